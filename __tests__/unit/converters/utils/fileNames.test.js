@@ -0,0 +1,29 @@
+/**
+ * Unit tests for fileNames.js
+ */
+
+const { slugify, sanitizeName, uniquePath } = require('../../../../src/electron/converters/utils/fileNames');
+
+describe('fileNames', () => {
+    it('slugifies titles, keeping the base letters of accented characters', () => {
+        expect(slugify('Résumé: Q3 Report!')).toBe('resume-q3-report');
+        expect(slugify('---')).toBe('');
+        expect(slugify(undefined)).toBe('');
+        expect(slugify(`${'a'.repeat(49)} b`)).toBe('a'.repeat(49));
+    });
+
+    it('replaces characters that are unsafe in file names or Obsidian links', () => {
+        expect(sanitizeName('Plans: 2024/25 [draft] #1')).toBe('Plans- 2024-25 -draft- -1');
+        expect(sanitizeName('  ..Trip\tnotes.  ')).toBe('Trip notes');
+        expect(sanitizeName(null)).toBe('');
+    });
+
+    it('adds a numeric suffix until the path is unused, ignoring case', () => {
+        const taken = new Set();
+
+        expect(uniquePath('Notes/Meeting.md', taken)).toBe('Notes/Meeting.md');
+        expect(uniquePath('notes/meeting.md', taken)).toBe('notes/meeting 2.md');
+        expect(uniquePath('Notes/Meeting.md', taken)).toBe('Notes/Meeting 3.md');
+        expect(taken).toEqual(new Set(['notes/meeting.md', 'notes/meeting 2.md', 'notes/meeting 3.md']));
+    });
+});
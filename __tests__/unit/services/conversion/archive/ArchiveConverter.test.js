@@ -0,0 +1,181 @@
+/**
+ * Unit tests for ArchiveConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+jest.mock('../../../../../src/electron/converters/UnifiedConverterFactory', () => ({
+    convertFile: jest.fn()
+}));
+
+const zlib = require('zlib');
+const JSZip = require('jszip');
+const unifiedConverterFactory = require('../../../../../src/electron/converters/UnifiedConverterFactory');
+const ArchiveConverter = require('../../../../../src/electron/services/conversion/archive/ArchiveConverter');
+
+/**
+ * Build a ustar archive from { name, data, type } entries
+ */
+function buildTar(entries) {
+    const blocks = [];
+    for (const entry of entries) {
+        const data = Buffer.from(entry.data || '');
+        const header = Buffer.alloc(512);
+        header.write(entry.name, 0, 100);
+        header.write('0000644\0', 100);
+        header.write('0000000\0', 108);
+        header.write('0000000\0', 116);
+        header.write(data.length.toString(8).padStart(11, '0') + '\0', 124);
+        header.write('00000000000\0', 136);
+        header.write(entry.type || '0', 156);
+        header.write('ustar\0', 257);
+        header.write('00', 263);
+        header.fill(' ', 148, 156);
+        const sum = header.reduce((total, byte) => total + byte, 0);
+        header.write(sum.toString(8).padStart(6, '0') + '\0 ', 148);
+        blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+    blocks.push(Buffer.alloc(1024));
+    return Buffer.concat(blocks);
+}
+
+describe('ArchiveConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new ArchiveConverter();
+        // Entries are converted through the factory; echo their text back with one image
+        unifiedConverterFactory.convertFile.mockImplementation(async (content, options) => ({
+            success: true,
+            content: `# ${options.originalFileName}\n\n${content.toString()}`,
+            images: [{ path: 'images/figure.png', data: Buffer.from('PNG') }],
+            files: []
+        }));
+    });
+
+    it('mirrors the folder structure and links every converted entry from the index', async () => {
+        const zip = new JSZip();
+        zip.file('docs/guide.md', 'Guide');
+        zip.file('docs/guide.txt', 'Guide text');
+        zip.file('data/table.csv', 'a,b');
+        zip.file('__MACOSX/docs/._guide.md', 'resource fork');
+        zip.file('tool.exe', 'MZ');
+        const content = await zip.generateAsync({ type: 'nodebuffer' });
+
+        const result = await converter.convertToMarkdown(content, { fileName: 'Project.zip' });
+
+        expect(unifiedConverterFactory.convertFile).toHaveBeenCalledWith(
+            Buffer.from('a,b'),
+            expect.objectContaining({ fileType: 'csv', originalFileName: 'table.csv', archiveDepth: 1 })
+        );
+        expect(result.files.map(file => file.name)).toEqual([
+            'Project/docs/guide.md',
+            'Project/docs/guide-txt.md',
+            'Project/data/table.md'
+        ]);
+        expect(result.files[1].content).toBe('# guide.txt\n\nGuide text');
+        expect(result.images.map(image => image.path)).toEqual([
+            'Project/docs/images/figure.png',
+            'Project/data/images/figure.png'
+        ]);
+        expect(result.metadata).toEqual({ title: 'Project', entry_count: 4, converted_count: 3, skipped_count: 1, uncompressed_size: 18 });
+        expect(result.content).toContain([
+            '## Converted Files',
+            '',
+            '- [docs/guide.md](Project/docs/guide.md)',
+            '- [docs/guide.txt](Project/docs/guide-txt.md)',
+            '- [data/table.csv](Project/data/table.md)'
+        ].join('\n'));
+        expect(result.content).toContain('| tool.exe | Unsupported file type (.exe) |');
+    });
+
+    it('skips unsafe paths, links, failed conversions and entries over the limits', async () => {
+        unifiedConverterFactory.convertFile.mockImplementation(async (content, options) => (
+            options.originalFileName === 'broken.json'
+                ? { success: false, error: 'JSON conversion failed: Unexpected token' }
+                : { success: true, content: content.toString() }
+        ));
+        const tar = buildTar([
+            { name: 'notes/a.txt', data: 'A' },
+            { name: '../escape.txt', data: 'evil' },
+            { name: '/etc/passwd.txt', data: 'evil' },
+            { name: 'notes/link.txt', type: '2' },
+            { name: 'notes/broken.json', data: '{' },
+            { name: 'notes/big.txt', data: 'x'.repeat(64) },
+            { name: 'notes/b.txt', data: 'B' },
+            { name: 'notes/c.txt', data: 'C' }
+        ]);
+
+        const result = await converter.convertToMarkdown(zlib.gzipSync(tar), {
+            fileName: 'notes.tar.gz',
+            maxEntrySize: 32,
+            maxEntries: 3
+        });
+
+        expect(result.files.map(file => file.name)).toEqual(['notes/notes/a.md', 'notes/notes/b.md']);
+        expect(result.content).toContain([
+            '| File | Reason |',
+            '|------|--------|',
+            '| ../escape.txt | Unsafe path outside the archive folder |',
+            '| /etc/passwd.txt | Unsafe path outside the archive folder |',
+            '| notes/link.txt | Links are not followed |',
+            '| notes/broken.json | Conversion failed: JSON conversion failed: Unexpected token |',
+            '| notes/big.txt | Larger than the 32 B entry limit |',
+            '| notes/c.txt | Entry limit reached (3 entries) |'
+        ].join('\n'));
+    });
+
+    it('checks the original name of zip entries rather than the sanitized one', async () => {
+        const zip = new JSZip();
+        zip.file('../../outside.md', 'evil');
+        const content = await zip.generateAsync({ type: 'nodebuffer' });
+
+        const result = await converter.convertToMarkdown(content, { fileName: 'bundle.zip' });
+
+        expect(unifiedConverterFactory.convertFile).not.toHaveBeenCalled();
+        expect(result.files).toEqual([]);
+        expect(result.content).toContain('| ../../outside.md | Unsafe path outside the archive folder |');
+    });
+
+    it('stops inflating a zip entry at the limit even when its declared size is false', async () => {
+        const zip = new JSZip();
+        zip.file('bomb.txt', Buffer.alloc(4 * 1024 * 1024), { compression: 'DEFLATE' });
+        const content = await zip.generateAsync({ type: 'nodebuffer' });
+        // Declare the entry as 10 bytes in the central directory
+        content.writeUInt32LE(10, content.indexOf(Buffer.from([0x50, 0x4b, 0x01, 0x02])) + 24);
+
+        const result = await converter.convertToMarkdown(content, { fileName: 'bomb.zip', maxEntrySize: 1024 });
+
+        expect(unifiedConverterFactory.convertFile).not.toHaveBeenCalled();
+        expect(result.content).toContain('| bomb.txt | Larger than the 1.0 KB entry limit |');
+        expect(result.metadata.uncompressed_size).toBe(1024);
+    });
+
+    it('gives nested archives what is left of the size budget and charges what they read', async () => {
+        unifiedConverterFactory.convertFile.mockImplementation(async (content, options) => (
+            options.fileType === 'zip'
+                ? { success: true, content: '# inner', metadata: { uncompressed_size: 900 } }
+                : { success: true, content: content.toString() }
+        ));
+        const inner = new JSZip();
+        inner.file('a.txt', 'A');
+        const innerContent = await inner.generateAsync({ type: 'nodebuffer' });
+        const outer = new JSZip();
+        outer.file('inner.zip', innerContent);
+        outer.file('after.txt', 'x'.repeat(200));
+        const content = await outer.generateAsync({ type: 'nodebuffer' });
+
+        const result = await converter.convertToMarkdown(content, { fileName: 'outer.zip', maxTotalSize: 1000 });
+
+        expect(unifiedConverterFactory.convertFile).toHaveBeenCalledWith(
+            innerContent,
+            expect.objectContaining({ fileType: 'zip', archiveDepth: 1, maxTotalSize: 1000 - innerContent.length })
+        );
+        expect(result.content).toContain('| after.txt | Archive size limit reached (1000 B) |');
+    });
+});
@@ -0,0 +1,68 @@
+/**
+ * Unit tests for DiscordConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const DiscordConverter = require('../../../../../src/electron/services/conversion/chat/DiscordConverter');
+
+const EXPORT = JSON.stringify({
+    guild: { name: 'Game Night' },
+    channel: { name: 'planning' },
+    messages: [
+        {
+            id: '1', type: 'Default', timestamp: '2024-01-12T20:00:00+00:00', content: 'Who is in?',
+            author: { name: 'alice', nickname: 'Alice' },
+            attachments: [{ url: 'https://cdn.example/board.png', fileName: 'board.png' }]
+        },
+        { id: '2', type: 'Default', timestamp: '2024-01-13T01:00:00+00:00', content: 'Next week then', author: { name: 'carol' } },
+        { id: '3', type: 'Reply', timestamp: '2024-01-13T09:00:00+00:00', content: 'Me!', author: { name: 'bob' }, reference: { messageId: '1' } }
+    ]
+}, null, 2);
+
+describe('DiscordConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new DiscordConverter();
+    });
+
+    it('detects DiscordChatExporter JSON', () => {
+        expect(converter.isDiscordExport(Buffer.from(EXPORT))).toBe(true);
+        expect(converter.isDiscordExport(Buffer.from('{"name": "package"}'))).toBe(false);
+    });
+
+    it('keeps replies with the message they answer', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(EXPORT), { timeZone: 'UTC' });
+
+        expect(result.metadata).toMatchObject({ title: 'Game Night', messages: 3, days: 2 });
+        expect(result.files.map(file => file.name)).toEqual([
+            'Game Night/planning/2024-01-12.md',
+            'Game Night/planning/2024-01-13.md'
+        ]);
+        expect(result.files[0].content).toContain('**Alice** · 20:00\nWho is in?\n![board.png](https://cdn.example/board.png)');
+        expect(result.files[0].content).toContain('> **bob** · 2024-01-13 09:00\n> Me!');
+        expect(result.files[1].content).not.toContain('Me!');
+    });
+
+    it('skips messages with a missing or malformed timestamp', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const data = JSON.parse(EXPORT);
+        data.messages.push(
+            { id: '4', type: 'Default', timestamp: 'yesterday-ish', content: 'Lost in time', author: { name: 'dave' } },
+            { id: '5', type: 'Default', content: 'No time at all', author: { name: 'erin' } }
+        );
+
+        const result = await converter.convertToMarkdown(Buffer.from(JSON.stringify(data)), { timeZone: 'UTC' });
+
+        expect(result.metadata).toMatchObject({ messages: 3, days: 2 });
+        expect(result.files.map(file => file.content).join('\n')).not.toContain('Lost in time');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Skipped 2 messages'));
+        console.warn.mockRestore();
+    });
+});
@@ -0,0 +1,62 @@
+/**
+ * Unit tests for SlackExportConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const JSZip = require('jszip');
+const SlackExportConverter = require('../../../../../src/electron/services/conversion/chat/SlackExportConverter');
+
+async function buildExport() {
+    const zip = new JSZip();
+    zip.file('users.json', JSON.stringify([
+        { id: 'U1', name: 'alice', real_name: 'Alice Smith' },
+        { id: 'U2', name: 'bob', profile: { display_name: 'Bob' } }
+    ]));
+    zip.file('channels.json', JSON.stringify([{ id: 'C1', name: 'general' }]));
+    zip.file('general/2024-01-12.json', JSON.stringify([
+        { type: 'message', user: 'U1', ts: '1705050000.000100', thread_ts: '1705050000.000100', text: 'Ping <@U2>, see *this* <https://example.com|page>' },
+        {
+            type: 'message', user: 'U2', ts: '1705053600.000200', thread_ts: '1705050000.000100', text: 'On it',
+            files: [{ name: 'chart.png', mimetype: 'image/png', url_private: 'https://files.example/chart.png' }]
+        },
+        { type: 'message', user: 'U2', ts: '1705057200.000300', text: 'Lunch &amp; coffee?' }
+    ]));
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('SlackExportConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new SlackExportConverter();
+    });
+
+    it('detects Slack exports and rejects other zips', async () => {
+        const other = new JSZip();
+        other.file('notes.txt', 'hello');
+
+        expect(await converter.isSlackExport(await buildExport())).toBe(true);
+        expect(await converter.isSlackExport(await other.generateAsync({ type: 'nodebuffer' }))).toBe(false);
+    });
+
+    it('writes a day note per channel with resolved names and nested threads', async () => {
+        const result = await converter.convertToMarkdown(await buildExport(), { fileName: 'Acme.zip', timeZone: 'UTC' });
+
+        expect(result.metadata).toMatchObject({ title: 'Acme', channels: 1, messages: 3, days: 1 });
+        expect(result.content).toContain('- [2024-01-12](Acme/general/2024-01-12.md) — 3 messages');
+        expect(result.files).toHaveLength(1);
+
+        const note = result.files[0];
+        expect(note.name).toBe('Acme/general/2024-01-12.md');
+        expect(note.content).toContain('channel: "#general"');
+        expect(note.content).toContain('**Alice Smith** · 09:00\nPing @Bob, see **this** [page](https://example.com)');
+        expect(note.content).toContain('> **Bob** · 10:00\n> On it\n> ![chart.png](https://files.example/chart.png)');
+        expect(note.content).toContain('**Bob** · 11:00\nLunch & coffee?');
+    });
+});
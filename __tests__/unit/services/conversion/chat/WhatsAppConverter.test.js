@@ -0,0 +1,79 @@
+/**
+ * Unit tests for WhatsAppConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const JSZip = require('jszip');
+const WhatsAppConverter = require('../../../../../src/electron/services/conversion/chat/WhatsAppConverter');
+
+describe('WhatsAppConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new WhatsAppConverter();
+    });
+
+    it('imports Android exports with 12-hour times and month-first dates', async () => {
+        const chat = [
+            '1/13/24, 9:15 PM - Alice: Are we still on',
+            'for tomorrow?',
+            '1/13/24, 9:20 PM - Bob: <Media omitted>',
+            '1/14/24, 8:00 AM - Alice added Carol'
+        ].join('\n');
+
+        expect(converter.isWhatsAppExport(Buffer.from(chat))).toBe(true);
+        expect(converter.isWhatsAppExport(Buffer.from('Shopping list\n- milk'))).toBe(false);
+
+        const result = await converter.convertToMarkdown(Buffer.from(chat), { fileName: 'WhatsApp Chat with Alice.txt' });
+
+        expect(result.metadata).toMatchObject({ title: 'WhatsApp Chat with Alice', messages: 3, days: 2 });
+        expect(result.files.map(file => file.name)).toEqual([
+            'WhatsApp Chat with Alice/2024-01-13.md',
+            'WhatsApp Chat with Alice/2024-01-14.md'
+        ]);
+        expect(result.files[0].content).toContain('**Alice** · 21:15\nAre we still on\nfor tomorrow?');
+        expect(result.files[0].content).toContain('**Bob** · 21:20\n*Media omitted*');
+        expect(result.files[1].content).toContain('*08:00 · Alice added Carol*');
+    });
+
+    it('saves media from zipped iOS exports and links it', async () => {
+        const zip = new JSZip();
+        zip.file('_chat.txt', [
+            '\u200e[12/01/2024, 09:15:32] Alice: Look at this',
+            '[12/01/2024, 09:16:00] Alice: \u200e<attached: 00000012-PHOTO-2024-01-12.jpg>'
+        ].join('\r\n'));
+        zip.file('00000012-PHOTO-2024-01-12.jpg', Buffer.from([0xff, 0xd8, 0xff]));
+        const content = await zip.generateAsync({ type: 'nodebuffer' });
+
+        expect(await converter.isWhatsAppZip(content)).toBe(true);
+
+        const result = await converter.convertToMarkdown(content, { fileName: 'WhatsApp Chat - Alice.zip' });
+
+        expect(result.images).toEqual([
+            { path: 'WhatsApp Chat with Alice/media/00000012-PHOTO-2024-01-12.jpg', data: Buffer.from([0xff, 0xd8, 0xff]) }
+        ]);
+        expect(result.files[0].name).toBe('WhatsApp Chat with Alice/2024-01-12.md');
+        expect(result.files[0].content).toContain('![00000012-PHOTO-2024-01-12.jpg](media/00000012-PHOTO-2024-01-12.jpg)');
+    });
+
+    it('names attachments that are not part of the export', async () => {
+        const chat = [
+            '[12/01/2024, 09:16:00] Alice: \u200e<attached: 00000001-PHOTO.jpg>',
+            '[12/01/2024, 09:17:00] Bob: \u200e<attached: 00000002-AUDIO.opus>'
+        ].join('\n');
+
+        const result = await converter.convertToMarkdown(Buffer.from(chat), { fileName: 'WhatsApp Chat with Alice.txt' });
+        const notes = result.files.map(file => file.content).join('\n');
+
+        expect(notes).toContain('**Alice** · 09:16\n📎 00000001-PHOTO.jpg');
+        expect(notes).toContain('**Bob** · 09:17\n📎 00000002-AUDIO.opus');
+        expect(notes).not.toContain('<attached:');
+        expect(result.images).toEqual([]);
+    });
+});
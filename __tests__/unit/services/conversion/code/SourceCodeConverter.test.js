@@ -0,0 +1,112 @@
+/**
+ * Unit tests for SourceCodeConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const SourceCodeConverter = require('../../../../../src/electron/services/conversion/code/SourceCodeConverter');
+
+const JAVASCRIPT = [
+    "const path = require('path');",
+    '',
+    '/**',
+    ' * Parse arguments',
+    ' */',
+    'function parseArgs(argv) {',
+    '    return argv.slice(2);',
+    '}',
+    '',
+    'const run = async (args) => {',
+    '    // ```not a fence```',
+    '    return parseArgs(args);',
+    '};',
+    '',
+    'class Runner {}',
+    '',
+    'module.exports = { parseArgs, run, Runner };',
+    ''
+].join('\n');
+
+const GO = [
+    'package server',
+    '',
+    'type Server struct {',
+    '    addr string',
+    '}',
+    '',
+    '// Start listens on the address',
+    'func (s *Server) Start() error {',
+    '    return nil',
+    '}',
+    '',
+    'func newServer() *Server {',
+    '    return &Server{}',
+    '}'
+].join('\n');
+
+describe('SourceCodeConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new SourceCodeConverter();
+    });
+
+    it('records path, language and line count and links an outline to per-symbol sections', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(JAVASCRIPT), {
+            fileName: 'cli.js',
+            sourcePath: '/repo/src/cli.js'
+        });
+
+        expect(result.metadata).toEqual({ title: 'cli.js', path: '/repo/src/cli.js', language: 'JavaScript', lines: 17 });
+        expect(result.content).toContain('path: /repo/src/cli.js\nlanguage: JavaScript\nlines: 17\n');
+        expect(result.content).toContain([
+            '## Outline',
+            '',
+            '- [[#parseArgs|parseArgs]] — function, line 6',
+            '- [[#run|run]] — function, line 10',
+            '- [[#Runner|Runner]] — class, line 15',
+            '- [[#module.exports|module.exports]] — exports, line 17'
+        ].join('\n'));
+        expect(result.content).toContain([
+            '## Source',
+            '',
+            '````javascript',
+            "const path = require('path');",
+            '````',
+            '',
+            '### parseArgs',
+            '',
+            '````javascript',
+            '/**',
+            ' * Parse arguments',
+            ' */',
+            'function parseArgs(argv) {',
+            '    return argv.slice(2);',
+            '}',
+            '````'
+        ].join('\n'));
+    });
+
+    it('names Go methods after their receiver and marks capitalized names as exported', async () => {
+        const result = await converter.convertToMarkdown(GO, { fileName: 'server.go' });
+
+        expect(result.content).toContain([
+            '- [[#Server|Server]] — exported struct, line 3',
+            '- [[#Server.Start|Server.Start]] — exported method, line 8',
+            '- [[#newServer|newServer]] — function, line 12'
+        ].join('\n'));
+        expect(result.content).toContain('### Server.Start\n\n```go\n// Start listens on the address\nfunc (s *Server) Start() error {');
+    });
+
+    it('keeps an empty fenced block with the language for an empty file', async () => {
+        const result = await converter.convertToMarkdown('', { fileName: 'x.js' });
+
+        expect(result.content).toContain('# x.js\n\n```javascript\n```\n');
+        expect(result.metadata.lines).toBe(0);
+    });
+});
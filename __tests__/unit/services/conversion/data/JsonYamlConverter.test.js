@@ -0,0 +1,99 @@
+/**
+ * Unit tests for JsonYamlConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const JsonYamlConverter = require('../../../../../src/electron/services/conversion/data/JsonYamlConverter');
+
+const SAMPLE = {
+    name: 'inventory',
+    owner: { team: 'ops', contact: { email: 'ops@example.com' } },
+    items: [
+        { sku: 'A-1', label: 'Bolt|M4', qty: 10 },
+        { sku: 'B-2', qty: 3, note: 'back\norder' }
+    ]
+};
+
+describe('JsonYamlConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new JsonYamlConverter();
+    });
+
+    it('renders arrays of flat objects as a table and nested objects as an outline', async () => {
+        const markdown = await converter.convertToMarkdown(Buffer.from(JSON.stringify(SAMPLE)), { fileName: 'stock.json' });
+
+        expect(markdown).toMatch(/^---\ntitle: stock\n/);
+        expect(markdown).toContain('fileType: json');
+        expect(markdown).toContain('- **name**: inventory');
+        expect(markdown).toContain('## owner\n\n- **team**: ops\n\n### contact\n\n- **email**: ops@example.com');
+        expect(markdown).toContain('| sku | label | qty | note |\n| --- | --- | --- | --- |\n| A-1 | Bolt\\|M4 | 10 |  |\n| B-2 |  | 3 | back<br>order |');
+    });
+
+    it('selects a subtree with a key path from YAML', async () => {
+        const yaml = 'spec:\n  containers:\n    - name: web\n      ports: [80, 443]\n';
+        const markdown = await converter.convertToMarkdown(Buffer.from(yaml), {
+            fileName: 'pod.yml',
+            keyPath: 'spec.containers[0]'
+        });
+
+        expect(markdown).toContain('fileType: yaml');
+        expect(markdown).toContain('> - Key path: `spec.containers[0]`');
+        expect(markdown).toContain('- **name**: web\n\n## ports\n\n- 80\n- 443');
+    });
+
+    it('converts the whole document when the key path is missing', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const yaml = 'spec:\n  containers:\n    - name: web\n';
+
+        const markdown = await converter.convertToMarkdown(Buffer.from(yaml), { fileName: 'pod.yml', keyPath: 'spec.volumes' });
+
+        expect(markdown).toContain('> - Key path: `spec.volumes` not found, showing the whole document');
+        expect(markdown).toContain('> - Root: object');
+        expect(markdown).toContain('web');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Key path "spec.volumes" not found'));
+        console.warn.mockRestore();
+    });
+
+    it('summarises large documents and includes the raw data', async () => {
+        const markdown = await converter.convertToMarkdown(Buffer.from(JSON.stringify(SAMPLE)), {
+            fileName: 'stock.json',
+            maxNodes: 5
+        });
+
+        expect(markdown).toContain('## Structure\n\n- `name`: string\n- `owner`: object (2 keys)');
+        expect(markdown).toContain('- `items`: array (2 items)\n    - `[0]`: object (3 keys)');
+        expect(markdown).toContain('## Data\n\n```json\n{\n  "name": "inventory"');
+    });
+
+    it('summarises a large top-level array without overflowing the stack', async () => {
+        const values = Array.from({ length: 300000 }, (_, index) => index);
+
+        const markdown = await converter.convertToMarkdown(Buffer.from(JSON.stringify(values)), { fileName: 'numbers.json' });
+
+        expect(markdown).toContain('> - Root: array (300000 items)');
+        expect(markdown).toContain('## Structure');
+        expect(markdown).toContain('## Data\n\n```json\n[\n  0,\n  1,');
+    });
+
+    it('treats empty and comment-only YAML as an empty document', async () => {
+        for (const yaml of ['', '# nothing configured yet\n']) {
+            const markdown = await converter.convertToMarkdown(Buffer.from(yaml), { fileName: 'empty.yaml' });
+
+            expect(markdown).toContain('> - Root: null');
+            expect(markdown).not.toContain('array');
+        }
+    });
+
+    it('reports invalid JSON', async () => {
+        await expect(converter.convertToMarkdown(Buffer.from('{"a": }'), { fileName: 'bad.json' }))
+            .rejects.toThrow('Invalid JSON');
+    });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for OdsConverter.js
+ */
+
+const JSZip = require('jszip');
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const OdsConverter = require('../../../../../src/electron/services/conversion/data/OdsConverter');
+
+const NAMESPACES = [
+    'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+    'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"',
+    'xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0"'
+].join(' ');
+
+/**
+ * Build an ODS package with a padded data sheet and an empty sheet
+ */
+async function buildOds() {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/vnd.oasis.opendocument.spreadsheet');
+    zip.file('meta.xml', `<?xml version="1.0"?>
+<office:document-meta ${NAMESPACES}><office:meta>
+  <meta:initial-creator>Ada Example</meta:initial-creator>
+  <meta:creation-date>2024-03-01T10:00:00</meta:creation-date>
+</office:meta></office:document-meta>`);
+    zip.file('content.xml', `<?xml version="1.0"?>
+<office:document-content ${NAMESPACES}>
+  <office:body><office:spreadsheet>
+    <table:table table:name="Budget">
+      <table:table-row>
+        <table:table-cell office:value-type="string"><text:p>Item</text:p></table:table-cell>
+        <table:table-cell office:value-type="string"><text:p>Cost</text:p></table:table-cell>
+        <table:table-cell table:number-columns-repeated="1020"/>
+      </table:table-row>
+      <table:table-row table:number-rows-repeated="2">
+        <table:table-cell office:value-type="string"><text:p>Desk | chair</text:p></table:table-cell>
+        <table:table-cell office:value-type="float" office:value="120.5"><text:p>€120.50</text:p></table:table-cell>
+        <table:table-cell table:number-columns-repeated="1020"/>
+      </table:table-row>
+      <table:table-row>
+        <table:table-cell office:value-type="float" office:value="3"/>
+        <table:table-cell office:value-type="string"><text:p>two</text:p><text:p>lines</text:p></table:table-cell>
+      </table:table-row>
+      <table:table-row table:number-rows-repeated="1048572">
+        <table:table-cell table:number-columns-repeated="1024"/>
+      </table:table-row>
+    </table:table>
+    <table:table table:name="Notes">
+      <table:table-row table:number-rows-repeated="1048576"><table:table-cell table:number-columns-repeated="1024"/></table:table-row>
+    </table:table>
+  </office:spreadsheet></office:body>
+</office:document-content>`);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('OdsConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new OdsConverter();
+    });
+
+    it('renders each sheet as a table in the Excel layout', async () => {
+        const result = await converter.convertToMarkdown(await buildOds(), { originalFileName: 'budget.ods' });
+
+        expect(result).toMatch(/^---\ntitle: budget\n/);
+        expect(result).toContain([
+            '> OpenDocument Spreadsheet Properties',
+            '> - Author: Ada Example',
+            '> - Created: 2024-03-01T10:00:00',
+            '',
+            '## Budget',
+            '> OpenDocument Sheet',
+            '> - Columns: 2',
+            '> - Rows: 4',
+            '',
+            '| Item | Cost |',
+            '| --- | --- |',
+            '| Desk \\| chair | €120.50 |',
+            '| Desk \\| chair | €120.50 |',
+            '| 3 | two<br>lines |',
+            '',
+            '## Notes',
+            '> No data found in this sheet.'
+        ].join('\n'));
+    });
+
+    it('converts a single sheet and limits rows when asked', async () => {
+        const result = await converter.convertToMarkdown(await buildOds(), {
+            originalFileName: 'budget.ods',
+            sheet: 'Budget',
+            maxRows: 1
+        });
+
+        expect(result).toContain('> - Rows: 2');
+        expect(result).toContain('| Desk \\| chair | €120.50 |\n');
+        expect(result).not.toContain('two<br>lines');
+        expect(result).not.toContain('## Notes');
+    });
+});
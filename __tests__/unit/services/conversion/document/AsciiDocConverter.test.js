@@ -0,0 +1,74 @@
+/**
+ * Unit tests for AsciiDocConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const AsciiDocConverter = require('../../../../../src/electron/services/conversion/document/AsciiDocConverter');
+
+const SAMPLE_ADOC = [
+    '= Widget Guide',
+    'Jane Doe <jane@example.com>',
+    'v2.1, 2024-03-05',
+    ':product: Widget',
+    ':toc: left',
+    ':status: draft',
+    '',
+    'Install `{product}` as described in <<setup,the setup section>>.',
+    '',
+    '[[setup]]',
+    '== Setup',
+    '',
+    'NOTE: Node 18 is required.',
+    '',
+    '. Download',
+    '. Install',
+    '.. Accept the license',
+    '+',
+    '[source,bash]',
+    '----',
+    'npm install widget',
+    '----',
+    '',
+    '|===',
+    '|Name |Value',
+    '',
+    '|a |1',
+    '2+|both columns',
+    '|==='
+].join('\n');
+
+describe('AsciiDocConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new AsciiDocConverter();
+    });
+
+    it('maps the header and document attributes into frontmatter', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(SAMPLE_ADOC), { fileName: 'guide.adoc' });
+
+        expect(result).toContain('title: Widget Guide');
+        expect(result).toContain('author: Jane Doe');
+        expect(result).toContain('email: jane@example.com');
+        expect(result).toContain('version: 2.1');
+        expect(result).toContain('status: draft');
+        expect(result).not.toContain('toc:');
+        expect(result).toContain('Install `Widget` as described in [[#Setup|the setup section]].');
+    });
+
+    it('converts sections, admonitions, nested lists with attached blocks and tables', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(SAMPLE_ADOC), { fileName: 'guide.adoc' });
+
+        expect(result).toContain('# Widget Guide');
+        expect(result).toContain('## Setup');
+        expect(result).toContain('> [!note]\n> Node 18 is required.');
+        expect(result).toContain('1. Download\n2. Install\n    1. Accept the license\n        ```bash\n        npm install widget\n        ```');
+        expect(result).toContain('| Name | Value |\n| --- | --- |\n| a | 1 |\n| both columns |  |');
+    });
+});
@@ -0,0 +1,372 @@
+/**
+ * Unit tests for DocxConverter.js
+ */
+
+const JSZip = require('jszip');
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const DocxConverter = require('../../../../../src/electron/services/conversion/document/DocxConverter');
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const GIF_BYTES = Buffer.from('474946383961', 'hex');
+const NAMESPACES = [
+    'xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main"',
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+    'xmlns:wp="http://schemas.openxmlformats.org/drawingml/2006/wordprocessingDrawing"',
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+    'xmlns:pic="http://schemas.openxmlformats.org/drawingml/2006/picture"'
+].join(' ');
+
+/**
+ * Paragraph holding an inline picture
+ */
+function picture(relationshipId, description) {
+    return `<w:p><w:r><w:drawing><wp:inline>
+      <wp:docPr id="1" name="Picture" descr="${description}"/>
+      <a:graphic><a:graphicData uri="http://schemas.openxmlformats.org/drawingml/2006/picture">
+        <pic:pic><pic:blipFill><a:blip r:embed="${relationshipId}"/></pic:blipFill></pic:pic>
+      </a:graphicData></a:graphic>
+    </wp:inline></w:drawing></w:r></w:p>`;
+}
+
+/**
+ * Table cell with optional cell properties
+ */
+function cell(content, properties = '') {
+    return `<w:tc><w:tcPr>${properties}</w:tcPr>${content}</w:tc>`;
+}
+
+/**
+ * Paragraph with plain text
+ */
+function text(value) {
+    return `<w:p><w:r><w:t xml:space="preserve">${value}</w:t></w:r></w:p>`;
+}
+
+/**
+ * Build a small DOCX package around the given body XML, plus any extra parts
+ */
+async function buildDocx(body, parts = {}) {
+    const zip = new JSZip();
+    zip.file('[Content_Types].xml', `<?xml version="1.0"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+  <Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+  <Default Extension="xml" ContentType="application/xml"/>
+  <Default Extension="png" ContentType="image/png"/>
+  <Default Extension="gif" ContentType="image/gif"/>
+  <Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/>
+</Types>`);
+    zip.file('_rels/.rels', `<?xml version="1.0"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="word/document.xml"/>
+</Relationships>`);
+    zip.file('word/_rels/document.xml.rels', `<?xml version="1.0"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+  <Relationship Id="rId5" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/image1.png"/>
+  <Relationship Id="rId6" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/image" Target="media/image2.gif"/>
+  <Relationship Id="rId7" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/footnotes" Target="footnotes.xml"/>
+  <Relationship Id="rId8" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/comments" Target="comments.xml"/>
+  <Relationship Id="rId9" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="https://example.com/" TargetMode="External"/>
+</Relationships>`);
+    zip.file('word/media/image1.png', PNG_BYTES);
+    zip.file('word/media/image2.gif', GIF_BYTES);
+    zip.file('word/document.xml', `<?xml version="1.0"?>
+<w:document ${NAMESPACES}><w:body>${body}</w:body></w:document>`);
+    Object.entries(parts).forEach(([name, xml]) => zip.file(name, xml));
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('DocxConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new DocxConverter();
+    });
+
+    it('extracts embedded images as numbered attachments', async () => {
+        const docx = await buildDocx([
+            '<w:p><w:r><w:t>Before the chart</w:t></w:r></w:p>',
+            picture('rId5', 'Sales chart'),
+            picture('rId6', 'Logo'),
+            picture('rId5', 'Sales chart again')
+        ].join(''));
+
+        const result = await converter.convertToMarkdown(docx, { fileName: 'Quarterly Report.docx' });
+
+        expect(result.images.map(image => image.path)).toEqual([
+            'attachments/quarterly-report-image-001.png',
+            'attachments/quarterly-report-image-002.gif'
+        ]);
+        expect(result.images[0].data.equals(PNG_BYTES)).toBe(true);
+        expect(result.content).toContain('![[attachments/quarterly-report-image-001.png]]');
+        expect(result.content).toContain('![[attachments/quarterly-report-image-002.gif]]');
+        expect(result.content.match(/image-001/g)).toHaveLength(2);
+        expect(result.content).not.toContain('data:image');
+    });
+
+    it('writes docProps core and app properties into the frontmatter', async () => {
+        const docx = await buildDocx('<w:p><w:r><w:t>First line is not the title</w:t></w:r></w:p>', {
+            'docProps/core.xml': `<?xml version="1.0"?>
+<cp:coreProperties xmlns:cp="http://schemas.openxmlformats.org/package/2006/metadata/core-properties"
+    xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:dcterms="http://purl.org/dc/terms/">
+  <dc:title>Annual Plan</dc:title>
+  <dc:subject>Planning</dc:subject>
+  <dc:creator>Ada Example</dc:creator>
+  <cp:lastModifiedBy>Grace Example</cp:lastModifiedBy>
+  <cp:keywords>budget; roadmap</cp:keywords>
+  <dcterms:created>2024-01-02T09:00:00Z</dcterms:created>
+  <dcterms:modified>2024-02-03T10:30:00Z</dcterms:modified>
+</cp:coreProperties>`,
+            'docProps/app.xml': `<?xml version="1.0"?>
+<Properties xmlns="http://schemas.openxmlformats.org/officeDocument/2006/extended-properties">
+  <Pages>3</Pages><Words>812</Words>
+</Properties>`
+        });
+
+        const result = await converter.convertToMarkdown(docx, { fileName: 'plan.docx' });
+
+        expect(result.content).toContain('title: Annual Plan');
+        expect(result.content).toContain('author: Ada Example');
+        expect(result.content).toContain('lastModifiedBy: Grace Example');
+        expect(result.content).toContain('created: "2024-01-02T09:00:00Z"');
+        expect(result.content).toContain('modified: "2024-02-03T10:30:00Z"');
+        expect(result.content).toContain('subject: Planning');
+        expect(result.content).toContain('keywords:\n  - budget\n  - roadmap');
+        expect(result.content).toContain('wordCount: 812');
+        expect(result.content).toContain('pageCount: 3');
+        expect(result.metadata).toMatchObject({ title: 'Annual Plan', author: 'Ada Example', wordCount: 812 });
+    });
+
+    describe('footnotes, comments and tracked changes', () => {
+        const BODY = [
+            '<w:p><w:r><w:t xml:space="preserve">The term </w:t></w:r>',
+            '<w:del w:id="10" w:author="Grace" w:date="2024-05-01T10:00:00Z"><w:r><w:delText>old</w:delText></w:r></w:del>',
+            '<w:ins w:id="11" w:author="Grace" w:date="2024-05-01T10:00:00Z"><w:r><w:t>new</w:t></w:r></w:ins>',
+            '<w:r><w:t xml:space="preserve"> applies</w:t></w:r>',
+            '<w:r><w:footnoteReference w:id="1"/></w:r>',
+            '<w:commentRangeStart w:id="0"/><w:r><w:t>.</w:t></w:r><w:commentRangeEnd w:id="0"/>',
+            '<w:r><w:commentReference w:id="0"/></w:r></w:p>',
+            '<w:p><w:r><w:t>Next paragraph</w:t></w:r></w:p>'
+        ].join('');
+        const PARTS = {
+            'word/footnotes.xml': `<?xml version="1.0"?>
+<w:footnotes ${NAMESPACES}>
+  <w:footnote w:type="separator" w:id="-1"><w:p><w:r><w:separator/></w:r></w:p></w:footnote>
+  <w:footnote w:id="1"><w:p><w:r><w:t>See the 2023 ruling.</w:t></w:r></w:p></w:footnote>
+</w:footnotes>`,
+            'word/comments.xml': `<?xml version="1.0"?>
+<w:comments ${NAMESPACES}>
+  <w:comment w:id="0" w:author="Ada Example" w:date="2024-04-30T08:00:00Z" w:initials="AE">
+    <w:p><w:r><w:t>Please cite the source.</w:t></w:r></w:p>
+  </w:comment>
+</w:comments>`
+        };
+
+        it('renders footnotes as markdown footnotes and comments as callouts', async () => {
+            const docx = await buildDocx(BODY, PARTS);
+
+            const result = await converter.convertToMarkdown(docx, { fileName: 'contract.docx' });
+
+            expect(result.content).toContain('The term new applies[^1].');
+            expect(result.content).toContain('> [!comment] Ada Example, 2024-04-30\n> Please cite the source.\n\nNext paragraph');
+            expect(result.content).toMatch(/\[\^1\]: See the 2023 ruling\.\s*$/);
+        });
+
+        it('lists comments in a section when asked', async () => {
+            const docx = await buildDocx(BODY, PARTS);
+
+            const result = await converter.convertToMarkdown(docx, { fileName: 'contract.docx', comments: 'section' });
+
+            expect(result.content).toContain('applies[^1].[[#^comment-1|C1]]');
+            expect(result.content).toContain('## Comments\n\n- **Ada Example** (2024-04-30): Please cite the source. ^comment-1');
+            expect(result.content).not.toContain('[!comment]');
+        });
+
+        it('rejects or shows tracked changes', async () => {
+            const docx = await buildDocx(BODY, PARTS);
+
+            const rejected = await converter.convertToMarkdown(docx, { fileName: 'contract.docx', trackedChanges: 'reject' });
+            const shown = await converter.convertToMarkdown(docx, { fileName: 'contract.docx', trackedChanges: 'show' });
+
+            expect(rejected.content).toContain('The term old applies');
+            expect(shown.content).toContain('The term ~~old~~==new== applies');
+        });
+    });
+
+    describe('tables', () => {
+        // Region spans two columns; "North" spans two rows
+        const MERGED_TABLE = [
+            '<w:tbl><w:tblGrid><w:gridCol/><w:gridCol/><w:gridCol/></w:tblGrid>',
+            `<w:tr>${cell(text('Region'), '<w:gridSpan w:val="2"/>')}${cell(text('Total'))}</w:tr>`,
+            `<w:tr>${cell(text('North'), '<w:vMerge w:val="restart"/>')}${cell(text('Q1'))}${cell(text('10'))}</w:tr>`,
+            `<w:tr>${cell(text(''), '<w:vMerge/>')}${cell(text('Q2'))}${cell(text('12'))}</w:tr>`,
+            '</w:tbl>'
+        ].join('');
+
+        it('keeps inline formatting and links in simple tables', async () => {
+            const docx = await buildDocx([
+                '<w:tbl><w:tblGrid><w:gridCol/><w:gridCol/></w:tblGrid>',
+                `<w:tr>${cell(text('Name'))}${cell(text('Site'))}</w:tr>`,
+                `<w:tr>${cell('<w:p><w:r><w:rPr><w:b/></w:rPr><w:t>Acme</w:t></w:r></w:p>')}`,
+                `${cell('<w:p><w:hyperlink r:id="rId9"><w:r><w:t>home|page</w:t></w:r></w:hyperlink></w:p>')}</w:tr>`,
+                '</w:tbl>'
+            ].join(''));
+
+            const result = await converter.convertToMarkdown(docx, { fileName: 'table.docx' });
+
+            expect(result.content).toContain('| Name | Site |\n| --- | --- |\n| **Acme** | [home\\|page](https://example.com/) |');
+        });
+
+        it('writes tables with merged cells as HTML by default', async () => {
+            const docx = await buildDocx(MERGED_TABLE);
+
+            const result = await converter.convertToMarkdown(docx, { fileName: 'table.docx' });
+
+            expect(result.content).toContain([
+                '<table>',
+                '<tr><td colspan="2">Region</td><td>Total</td></tr>',
+                '<tr><td rowspan="2">North</td><td>Q1</td><td>10</td></tr>',
+                '<tr><td>Q2</td><td>12</td></tr>',
+                '</table>'
+            ].join('\n'));
+        });
+
+        it('expands merged cells by repeating values when asked', async () => {
+            const docx = await buildDocx(MERGED_TABLE);
+
+            const result = await converter.convertToMarkdown(docx, { fileName: 'table.docx', complexTables: 'expand' });
+
+            expect(result.content).toContain([
+                '| Region | Region | Total |',
+                '| --- | --- | --- |',
+                '| North | Q1 | 10 |',
+                '| North | Q2 | 12 |'
+            ].join('\n'));
+        });
+
+        it('keeps footnote references and heading links in HTML tables', async () => {
+            const docx = await buildDocx([
+                '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:bookmarkStart w:id="0" w:name="_Ref1"/>',
+                '<w:r><w:t>Method</w:t></w:r><w:bookmarkEnd w:id="0"/></w:p>',
+                '<w:tbl><w:tblGrid><w:gridCol/><w:gridCol/></w:tblGrid>',
+                `<w:tr>${cell(text('Result'), '<w:gridSpan w:val="2"/>')}</w:tr>`,
+                `<w:tr>${cell('<w:p><w:r><w:t>42</w:t></w:r><w:r><w:footnoteReference w:id="1"/></w:r></w:p>')}`,
+                `${cell('<w:p><w:hyperlink w:anchor="_Ref1"><w:r><w:t>see method</w:t></w:r></w:hyperlink></w:p>')}</w:tr>`,
+                '</w:tbl>'
+            ].join(''), {
+                'word/footnotes.xml': `<?xml version="1.0"?>
+<w:footnotes ${NAMESPACES}>
+  <w:footnote w:id="1"><w:p><w:r><w:t>Rounded.</w:t></w:r></w:p></w:footnote>
+</w:footnotes>`
+            });
+
+            const result = await converter.convertToMarkdown(docx, { fileName: 'table.docx' });
+
+            expect(result.content).toContain('<tr><td>42[^1]</td><td>[[#Method|see method]]</td></tr>');
+            expect(result.content).toMatch(/\[\^1\]: Rounded\.\s*$/);
+        });
+    });
+
+    describe('styles, lists and links', () => {
+        const STYLES = `<?xml version="1.0"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading2Numbered"><w:name w:val="Heading 2 Numbered"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Code"><w:name w:val="Code"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Chapter"><w:name w:val="Chapter"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Tip"><w:name w:val="Tip Box"/></w:style>
+  <w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/></w:style>
+</w:styles>`;
+        const NUMBERING = `<?xml version="1.0"?>
+<w:numbering xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+  <w:abstractNum w:abstractNumId="0">
+    <w:lvl w:ilvl="0"><w:numFmt w:val="decimal"/></w:lvl>
+    <w:lvl w:ilvl="1"><w:numFmt w:val="bullet"/></w:lvl>
+    <w:lvl w:ilvl="2"><w:numFmt w:val="lowerLetter"/></w:lvl>
+  </w:abstractNum>
+  <w:num w:numId="1"><w:abstractNumId w:val="0"/></w:num>
+</w:numbering>`;
+        const styled = (styleId, value) => `<w:p><w:pPr><w:pStyle w:val="${styleId}"/></w:pPr><w:r><w:t xml:space="preserve">${value}</w:t></w:r></w:p>`;
+        const item = (level, value) => `<w:p><w:pPr><w:numPr><w:ilvl w:val="${level}"/><w:numId w:val="1"/></w:numPr></w:pPr><w:r><w:t>${value}</w:t></w:r></w:p>`;
+
+        it('maps template styles and the user\'s style mappings', async () => {
+            const docx = await buildDocx([
+                styled('Title', 'Handbook'),
+                styled('Chapter', 'Getting Started'),
+                styled('Heading2Numbered', 'Install'),
+                styled('Code', 'npm install'),
+                styled('Code', 'npm start'),
+                styled('Tip', 'Restart after installing.')
+            ].join(''), { 'word/styles.xml': STYLES });
+
+            const result = await converter.convertToMarkdown(docx, {
+                fileName: 'handbook.docx',
+                styleMappings: [
+                    { style: 'Chapter', target: 'heading1' },
+                    { style: 'Tip Box', target: 'callout', calloutType: 'tip' },
+                    { style: '', target: 'heading2' }
+                ]
+            });
+
+            expect(result.content).toContain('# Handbook\n\n# Getting Started\n\n## Install');
+            expect(result.content).toContain('```\nnpm install\nnpm start\n```');
+            expect(result.content).toContain('> [!tip]\n> Restart after installing.');
+        });
+
+        it('keeps nested ordered and bulleted list levels', async () => {
+            const docx = await buildDocx([
+                item(0, 'Prepare'),
+                item(1, 'Tools'),
+                item(2, 'Hammer'),
+                item(0, 'Build')
+            ].join(''), { 'word/numbering.xml': NUMBERING });
+
+            const result = await converter.convertToMarkdown(docx, { fileName: 'steps.docx' });
+
+            expect(result.content).toContain([
+                '1.  Prepare',
+                '    -   Tools',
+                '        1.  Hammer',
+                '2.  Build'
+            ].join('\n'));
+        });
+
+        it('turns bookmarks and cross-references into heading links', async () => {
+            const docx = await buildDocx([
+                '<w:p><w:pPr><w:pStyle w:val="Heading1"/></w:pPr><w:bookmarkStart w:id="0" w:name="_Ref1"/>',
+                '<w:r><w:t>Safety [Rules]</w:t></w:r><w:bookmarkEnd w:id="0"/></w:p>',
+                '<w:p><w:r><w:t>Body</w:t></w:r><w:bookmarkStart w:id="1" w:name="detail"/><w:bookmarkEnd w:id="1"/></w:p>',
+                '<w:p><w:r><w:t xml:space="preserve">See </w:t></w:r>',
+                '<w:r><w:fldChar w:fldCharType="begin"/></w:r><w:r><w:instrText xml:space="preserve"> REF _Ref1 \\h </w:instrText></w:r>',
+                '<w:r><w:fldChar w:fldCharType="separate"/></w:r><w:r><w:t>section 1</w:t></w:r><w:r><w:fldChar w:fldCharType="end"/></w:r>',
+                '<w:r><w:t xml:space="preserve"> and </w:t></w:r>',
+                '<w:hyperlink w:anchor="detail"><w:r><w:t>the detail</w:t></w:r></w:hyperlink>',
+                '<w:r><w:t xml:space="preserve"> or </w:t></w:r>',
+                '<w:hyperlink w:anchor="missing"><w:r><w:t>nowhere</w:t></w:r></w:hyperlink></w:p>'
+            ].join(''), { 'word/styles.xml': STYLES });
+
+            const result = await converter.convertToMarkdown(docx, { fileName: 'links.docx' });
+
+            expect(result.content).toContain('# Safety \\[Rules\\]');
+            expect(result.content).toContain('See [[#Safety Rules|section 1]] and [[#Safety Rules|the detail]] or nowhere');
+        });
+    });
+
+    it('returns no images for a text-only document', async () => {
+        const docx = await buildDocx('<w:p><w:r><w:t>Just text</w:t></w:r></w:p>');
+
+        const result = await converter.convertToMarkdown(docx, { fileName: 'notes.docx' });
+
+        expect(result.images).toEqual([]);
+        expect(result.content).toContain('Just text');
+        // Without docProps the file name is the title and nothing is guessed
+        expect(result.content).toContain('title: notes');
+        expect(result.content).not.toContain('author:');
+    });
+});
@@ -0,0 +1,139 @@
+/**
+ * Unit tests for EpubConverter.js
+ */
+
+const JSZip = require('jszip');
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const EpubConverter = require('../../../../../src/electron/services/conversion/document/EpubConverter');
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+
+/**
+ * Build a small EPUB 2 book with an NCX table of contents
+ * @param {Object} [options]
+ * @param {boolean} [options.blankFirst] - Start the spine with a page that has no text
+ */
+async function buildEpub({ blankFirst = false } = {}) {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/epub+zip');
+    zip.file('META-INF/container.xml', `<?xml version="1.0"?>
+<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">
+  <rootfiles><rootfile full-path="OEBPS/content.opf" media-type="application/oebps-package+xml"/></rootfiles>
+</container>`);
+    zip.file('OEBPS/content.opf', `<?xml version="1.0"?>
+<package xmlns="http://www.idpf.org/2007/opf" version="2.0">
+  <metadata xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:opf="http://www.idpf.org/2007/opf">
+    <dc:title>Practical Widgets</dc:title>
+    <dc:creator>Ada Example</dc:creator>
+    <dc:creator>Bo Sample</dc:creator>
+    <dc:publisher>Widget Press</dc:publisher>
+    <dc:identifier opf:scheme="ISBN">978-0-00-000000-2</dc:identifier>
+  </metadata>
+  <manifest>
+    <item id="ncx" href="toc.ncx" media-type="application/x-dtbncx+xml"/>
+    <item id="blank" href="text/blank.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch2" href="text/ch2.xhtml" media-type="application/xhtml+xml"/>
+    <item id="ch1" href="text/ch1.xhtml" media-type="application/xhtml+xml"/>
+    <item id="fig" href="images/fig%201.png" media-type="image/png"/>
+  </manifest>
+  <spine toc="ncx">${blankFirst ? '\n    <itemref idref="blank"/>' : ''}
+    <itemref idref="ch1"/>
+    <itemref idref="ch2"/>
+  </spine>
+</package>`);
+    zip.file('OEBPS/toc.ncx', `<?xml version="1.0"?>
+<ncx xmlns="http://www.daisy.org/z3986/2005/ncx/" version="2005-1">
+  <navMap>
+    <navPoint id="n1"><navLabel><text>Getting Started</text></navLabel><content src="text/ch1.xhtml"/></navPoint>
+    <navPoint id="n2"><navLabel><text>Advanced Widgets</text></navLabel><content src="text/ch2.xhtml#top"/></navPoint>
+  </navMap>
+</ncx>`);
+    zip.file('OEBPS/text/ch1.xhtml', `<html><body>
+<h1>Getting Started</h1>
+<p>Widgets are <em>useful</em>. See <a href="ch2.xhtml">the next chapter</a>.</p>
+<h2>Setup</h2>
+<p><img src="../images/fig%201.png" alt="Figure 1"/></p>
+</body></html>`);
+    zip.file('OEBPS/text/ch2.xhtml', '<html><body><h1 id="top">Advanced Widgets</h1><p>More widgets.</p></body></html>');
+    zip.file('OEBPS/text/blank.xhtml', '<html><head><title>Blank</title></head><body><div></div></body></html>');
+    zip.file('OEBPS/images/fig 1.png', PNG_BYTES);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('EpubConverter', () => {
+    let converter;
+    let epub;
+
+    beforeAll(async () => {
+        epub = await buildEpub();
+    });
+
+    beforeEach(() => {
+        converter = new EpubConverter();
+    });
+
+    it('emits one heading per chapter in spine order with OPF metadata', async () => {
+        const result = await converter.convertToMarkdown(epub, { fileName: 'widgets.epub' });
+
+        expect(result.content).toMatch(/^---\ntitle: Practical Widgets\n/);
+        expect(result.content).toContain('author: "Ada Example, Bo Sample"');
+        expect(result.content).toContain('publisher: Widget Press');
+        expect(result.content).toContain('isbn: 978-0-00-000000-2');
+        expect(result.metadata).toEqual(expect.objectContaining({
+            title: 'Practical Widgets',
+            isbn: '978-0-00-000000-2'
+        }));
+
+        const first = result.content.indexOf('## Getting Started');
+        const second = result.content.indexOf('## Advanced Widgets');
+        expect(first).toBeGreaterThan(-1);
+        expect(second).toBeGreaterThan(first);
+        expect(result.content).toContain('#### Setup');
+        expect(result.content).toContain('[the next chapter](#Advanced%20Widgets)');
+        expect(result.files).toEqual([]);
+    });
+
+    it('returns embedded images for saving', async () => {
+        const result = await converter.convertToMarkdown(epub, { fileName: 'widgets.epub' });
+
+        expect(result.images).toHaveLength(1);
+        expect(result.images[0].path).toBe('attachments/widgets-fig-1.png');
+        expect(Buffer.compare(result.images[0].data, PNG_BYTES)).toBe(0);
+        expect(result.content).toContain('![Figure 1](attachments/widgets-fig-1.png)');
+    });
+
+    it('writes one note per chapter plus an index when splitChapters is set', async () => {
+        const result = await converter.convertToMarkdown(epub, { fileName: 'widgets.epub', splitChapters: true });
+
+        expect(result.files.map(file => file.name)).toEqual([
+            'practical-widgets-chapters/01-getting-started.md',
+            'practical-widgets-chapters/02-advanced-widgets.md'
+        ]);
+        expect(result.content).toContain('1. [Getting Started](practical-widgets-chapters/01-getting-started.md)');
+        expect(result.files[0].content).toMatch(/^# Getting Started\n/);
+        expect(result.files[0].content).toContain('![[attachments/widgets-fig-1.png]]');
+        expect(result.files[0].content).toContain('[the next chapter](02-advanced-widgets.md)');
+    });
+
+    it('numbers chapter notes after dropping empty chapters', async () => {
+        const result = await converter.convertToMarkdown(await buildEpub({ blankFirst: true }), {
+            fileName: 'widgets.epub',
+            splitChapters: true
+        });
+
+        expect(result.files.map(file => file.name)).toEqual([
+            'practical-widgets-chapters/01-getting-started.md',
+            'practical-widgets-chapters/02-advanced-widgets.md'
+        ]);
+        expect(result.files.map(file => file.metadata.chapter)).toEqual([1, 2]);
+        expect(result.content).toContain('2. [Advanced Widgets](practical-widgets-chapters/02-advanced-widgets.md)');
+        expect(result.files[0].content).toContain('[the next chapter](02-advanced-widgets.md)');
+    });
+});
@@ -0,0 +1,141 @@
+/**
+ * Unit tests for JupyterConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const JupyterConverter = require('../../../../../src/electron/services/conversion/document/JupyterConverter');
+
+const PNG_BASE64 = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex').toString('base64');
+
+function buildNotebook(cells) {
+    return Buffer.from(JSON.stringify({
+        nbformat: 4,
+        nbformat_minor: 5,
+        metadata: {
+            kernelspec: { name: 'python3', display_name: 'Python 3 (ipykernel)', language: 'python' },
+            language_info: { name: 'python', version: '3.11.4' }
+        },
+        cells
+    }));
+}
+
+describe('JupyterConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new JupyterConverter();
+    });
+
+    it('renders markdown, code and outputs with kernel info in frontmatter', async () => {
+        const notebook = buildNotebook([
+            { cell_type: 'markdown', metadata: {}, source: ['# Churn analysis\n', '\n', 'Loading the data.'] },
+            {
+                cell_type: 'code',
+                execution_count: 1,
+                metadata: {},
+                source: ['df = load()\n', 'df.head()'],
+                outputs: [
+                    { output_type: 'stream', name: 'stdout', text: ['rows: 120\n'] },
+                    { output_type: 'stream', name: 'stdout', text: ['cols: 2\n'] },
+                    {
+                        output_type: 'execute_result',
+                        execution_count: 1,
+                        metadata: {},
+                        data: {
+                            'text/plain': ['   id  churn\n', '0   1  True'],
+                            'text/html': ['<style>.df{}</style><table class="df"><thead><tr><th></th><th>id</th><th>churn</th></tr></thead>',
+                                '<tbody><tr><th>0</th><td>1</td><td>True</td></tr></tbody></table>']
+                        }
+                    }
+                ]
+            },
+            {
+                cell_type: 'code',
+                execution_count: 2,
+                metadata: {},
+                source: 'plot()',
+                outputs: [
+                    { output_type: 'display_data', metadata: {}, data: { 'image/png': PNG_BASE64, 'text/plain': '<Figure>' } },
+                    { output_type: 'error', ename: 'ValueError', evalue: 'bad', traceback: ['\u001b[31mValueError\u001b[0m: bad'] }
+                ]
+            }
+        ]);
+
+        const result = await converter.convertToMarkdown(notebook, { fileName: 'Churn Analysis.ipynb' });
+
+        expect(result.metadata).toEqual({
+            title: 'Churn Analysis',
+            kernel: 'Python 3 (ipykernel)',
+            language: 'python',
+            language_version: '3.11.4'
+        });
+        expect(result.content).toContain('kernel: Python 3 (ipykernel)\nlanguage: python\n');
+        expect(result.content).toContain([
+            '# Churn analysis',
+            '',
+            'Loading the data.',
+            '',
+            '```python',
+            'df = load()',
+            'df.head()',
+            '```',
+            '',
+            '```text',
+            'rows: 120',
+            'cols: 2',
+            '```',
+            '',
+            '|  | id | churn |',
+            '| --- | --- | --- |',
+            '| 0 | 1 | True |',
+            '',
+            '```python',
+            'plot()',
+            '```',
+            '',
+            '![Output 3-1](attachments/churn-analysis-output-3-1.png)',
+            '',
+            '```text',
+            'ValueError: bad',
+            '```'
+        ].join('\n'));
+        expect(result.images).toEqual([{
+            path: 'attachments/churn-analysis-output-3-1.png',
+            data: Buffer.from(PNG_BASE64, 'base64')
+        }]);
+    });
+
+    it('truncates long outputs after the configured number of lines', async () => {
+        const lines = Array.from({ length: 10 }, (_, i) => `line ${i + 1}\n`);
+        const notebook = buildNotebook([
+            { cell_type: 'code', metadata: {}, source: 'spam()', outputs: [{ output_type: 'stream', name: 'stdout', text: lines }] }
+        ]);
+
+        const result = await converter.convertToMarkdown(notebook, { fileName: 'spam.ipynb', maxOutputLines: 3 });
+
+        expect(result.content).toContain('```text\nline 1\nline 2\nline 3\n… 7 more lines truncated\n```');
+        expect(result.content).not.toContain('line 4');
+    });
+
+    it('saves markdown cell attachments and rejects non-notebook JSON', async () => {
+        const notebook = buildNotebook([{
+            cell_type: 'markdown',
+            metadata: {},
+            source: 'Diagram: ![arch](attachment:arch.png)',
+            attachments: { 'arch.png': { 'image/png': PNG_BASE64 } }
+        }]);
+
+        const result = await converter.convertToMarkdown(notebook, { fileName: 'design.ipynb' });
+
+        expect(result.content).toContain('Diagram: ![arch](attachments/design-cell-1-arch.png)');
+        expect(result.images.map(image => image.path)).toEqual(['attachments/design-cell-1-arch.png']);
+        await expect(converter.convertToMarkdown(Buffer.from('{"name": "x"}'), { fileName: 'x.ipynb' }))
+            .rejects.toThrow('Not a Jupyter notebook');
+    });
+});
@@ -0,0 +1,66 @@
+/**
+ * Unit tests for MarkdownConverter.js
+ */
+
+const YAML = require('yaml');
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const MarkdownConverter = require('../../../../../src/electron/services/conversion/document/MarkdownConverter');
+
+describe('MarkdownConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new MarkdownConverter();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('merges existing frontmatter with the standard fields', async () => {
+        const result = await converter.convertToMarkdown('---\r\ntitle: My Note\r\ntags:\r\n  - a\r\n---\r\nBody text\r\n', {
+            fileName: 'note.md'
+        });
+
+        expect(result).toMatch(/^---\ntitle: My Note\n/);
+        expect(result).toContain('tags:\n  - a\n');
+        expect(result).toContain('fileType: md');
+        expect(result.endsWith('---\nBody text\n')).toBe(true);
+        expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    it('quotes the values of frontmatter that is not valid YAML and warns', async () => {
+        const result = await converter.convertToMarkdown('---\ntitle: [unclosed\ntags:\n  - {open\n---\nBody\n', {
+            fileName: 'broken.md'
+        });
+
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('broken.md'));
+        expect(result).toContain('title: "[unclosed"\n');
+        expect(result).toContain('tags:\n  - "{open"\n');
+
+        const frontmatter = YAML.parse(result.match(/^---\n([\s\S]*?)\n---\n/)[1]);
+        expect(frontmatter.title).toBe('[unclosed');
+        expect(frontmatter.tags).toEqual(['{open']);
+    });
+
+    it('keeps list items that are key/value pairs when quoting invalid frontmatter', async () => {
+        const result = await converter.convertToMarkdown('---\ntitle: [unclosed\nlinks:\n  - a\n  - b: c\n---\nBody\n', {
+            fileName: 'links.md'
+        });
+
+        expect(result).toContain('links:\n  - "a"\n  - b: c\n');
+
+        const frontmatter = YAML.parse(result.match(/^---\n([\s\S]*?)\n---\n/)[1]);
+        expect(frontmatter.title).toBe('[unclosed');
+        expect(frontmatter.links).toEqual(['a', { b: 'c' }]);
+    });
+});
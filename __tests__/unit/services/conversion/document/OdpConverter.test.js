@@ -0,0 +1,97 @@
+/**
+ * Unit tests for OdpConverter.js
+ */
+
+const JSZip = require('jszip');
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const OdpConverter = require('../../../../../src/electron/services/conversion/document/OdpConverter');
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const NAMESPACES = [
+    'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+    'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+    'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0"',
+    'xmlns:presentation="urn:oasis:names:tc:opendocument:xmlns:presentation:1.0"',
+    'xmlns:xlink="http://www.w3.org/1999/xlink"'
+].join(' ');
+
+/**
+ * Build an ODP package with two slides, speaker notes and a picture
+ */
+async function buildOdp() {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/vnd.oasis.opendocument.presentation');
+    zip.file('content.xml', `<?xml version="1.0"?>
+<office:document-content ${NAMESPACES}>
+  <office:automatic-styles>
+    <text:list-style style:name="L1"><text:list-level-style-bullet text:level="1"/></text:list-style>
+  </office:automatic-styles>
+  <office:body><office:presentation>
+    <draw:page draw:name="page1">
+      <draw:frame presentation:class="title"><draw:text-box><text:p>Roadmap 2025</text:p></draw:text-box></draw:frame>
+      <draw:frame presentation:class="outline"><draw:text-box>
+        <text:list text:style-name="L1">
+          <text:list-item><text:p>Ship sync</text:p></text:list-item>
+          <text:list-item><text:p>Open beta</text:p></text:list-item>
+        </text:list>
+      </draw:text-box></draw:frame>
+      <presentation:notes>
+        <draw:page-thumbnail presentation:class="page"/>
+        <draw:frame presentation:class="notes"><draw:text-box>
+          <text:p>Mention the hiring plan.</text:p>
+          <text:p>Keep it short.</text:p>
+        </draw:text-box></draw:frame>
+      </presentation:notes>
+    </draw:page>
+    <draw:page draw:name="page2">
+      <draw:frame draw:name="Logo"><draw:image xlink:href="Pictures/logo.png"/></draw:frame>
+      <draw:custom-shape><text:p>Questions?</text:p></draw:custom-shape>
+    </draw:page>
+  </office:presentation></office:body>
+</office:document-content>`);
+    zip.file('Pictures/logo.png', PNG_BYTES);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('OdpConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new OdpConverter();
+    });
+
+    it('renders one section per slide with speaker notes', async () => {
+        const result = await converter.convertToMarkdown(await buildOdp(), { fileName: 'roadmap.odp' });
+
+        expect(result.content).toMatch(/^---\ntitle: roadmap\n/);
+        expect(result.content).toContain([
+            '## Slide 1: Roadmap 2025',
+            '',
+            '- Ship sync',
+            '- Open beta',
+            '',
+            '> **Notes:** Mention the hiring plan.',
+            '>',
+            '> Keep it short.',
+            '',
+            '---',
+            '',
+            '## Slide 2: Untitled Slide',
+            '',
+            '![Logo](attachments/roadmap-logo.png)',
+            '',
+            'Questions?',
+            '',
+            '---'
+        ].join('\n'));
+        expect(result.images).toEqual([{ path: 'attachments/roadmap-logo.png', data: PNG_BYTES }]);
+    });
+});
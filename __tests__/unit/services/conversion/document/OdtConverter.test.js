@@ -0,0 +1,133 @@
+/**
+ * Unit tests for OdtConverter.js
+ */
+
+const JSZip = require('jszip');
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const OdtConverter = require('../../../../../src/electron/services/conversion/document/OdtConverter');
+
+const PNG_BYTES = Buffer.from('89504e470d0a1a0a0000000d49484452', 'hex');
+const NAMESPACES = [
+    'xmlns:office="urn:oasis:names:tc:opendocument:xmlns:office:1.0"',
+    'xmlns:style="urn:oasis:names:tc:opendocument:xmlns:style:1.0"',
+    'xmlns:text="urn:oasis:names:tc:opendocument:xmlns:text:1.0"',
+    'xmlns:table="urn:oasis:names:tc:opendocument:xmlns:table:1.0"',
+    'xmlns:draw="urn:oasis:names:tc:opendocument:xmlns:drawing:1.0"',
+    'xmlns:fo="urn:oasis:names:tc:opendocument:xmlns:xsl-fo-compatible:1.0"',
+    'xmlns:xlink="http://www.w3.org/1999/xlink"',
+    'xmlns:svg="urn:oasis:names:tc:opendocument:xmlns:svg-compatible:1.0"',
+    'xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    'xmlns:meta="urn:oasis:names:tc:opendocument:xmlns:meta:1.0"'
+].join(' ');
+
+/**
+ * Build a small ODT package with styles, a list, a table and a picture
+ */
+async function buildOdt() {
+    const zip = new JSZip();
+    zip.file('mimetype', 'application/vnd.oasis.opendocument.text');
+    zip.file('meta.xml', `<?xml version="1.0"?>
+<office:document-meta ${NAMESPACES}><office:meta>
+  <dc:title>Quarterly Report</dc:title>
+  <meta:initial-creator>Ada Example</meta:initial-creator>
+</office:meta></office:document-meta>`);
+    zip.file('styles.xml', `<?xml version="1.0"?>
+<office:document-styles ${NAMESPACES}><office:styles>
+  <style:style style:name="Title" style:family="paragraph"/>
+  <style:style style:name="Quotations" style:family="paragraph"/>
+  <text:list-style style:name="Numbering_20_123">
+    <text:list-level-style-number text:level="1"/>
+    <text:list-level-style-bullet text:level="2"/>
+  </text:list-style>
+</office:styles></office:document-styles>`);
+    zip.file('content.xml', `<?xml version="1.0"?>
+<office:document-content ${NAMESPACES}>
+  <office:automatic-styles>
+    <style:style style:name="T1" style:family="text"><style:text-properties fo:font-weight="bold"/></style:style>
+    <style:style style:name="T2" style:family="text"><style:text-properties fo:font-style="italic"/></style:style>
+    <style:style style:name="P1" style:family="paragraph" style:parent-style-name="Quotations"/>
+  </office:automatic-styles>
+  <office:body><office:text>
+    <text:sequence-decls><text:sequence-decl text:name="Figure"/></text:sequence-decls>
+    <text:p text:style-name="Title">Quarterly Report</text:p>
+    <text:h text:outline-level="2">Summary</text:h>
+    <text:p>Sales were <text:span text:style-name="T1">up</text:span>,<text:s/> costs <text:span text:style-name="T2">flat</text:span>.<text:note text:note-class="footnote"><text:note-citation>1</text:note-citation><text:note-body><text:p>Unaudited figures.</text:p></text:note-body></text:note></text:p>
+    <text:p text:style-name="P1">Keep going.</text:p>
+    <text:list text:style-name="Numbering_20_123">
+      <text:list-item><text:p>First step</text:p>
+        <text:list><text:list-item><text:p>Detail</text:p></text:list-item></text:list>
+      </text:list-item>
+      <text:list-item><text:p>Second step with <text:a xlink:href="https://example.com">a link</text:a></text:p></text:list-item>
+    </text:list>
+    <table:table table:name="Figures">
+      <table:table-column table:number-columns-repeated="2"/>
+      <table:table-header-rows>
+        <table:table-row><table:table-cell><text:p>Region</text:p></table:table-cell><table:table-cell><text:p>Total</text:p></table:table-cell></table:table-row>
+      </table:table-header-rows>
+      <table:table-row><table:table-cell><text:p>North</text:p><text:p>East</text:p></table:table-cell><table:table-cell><text:p>10 | 12</text:p></table:table-cell></table:table-row>
+    </table:table>
+    <text:p><draw:frame draw:name="Chart 1"><draw:image xlink:href="Pictures/100000chart.png"/><svg:title>Revenue chart</svg:title></draw:frame></text:p>
+  </office:text></office:body>
+</office:document-content>`);
+    zip.file('Pictures/100000chart.png', PNG_BYTES);
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('OdtConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new OdtConverter();
+    });
+
+    it('keeps headings, formatting, lists, tables and footnotes', async () => {
+        const result = await converter.convertToMarkdown(await buildOdt(), { fileName: 'q3-report.odt' });
+
+        expect(result.metadata).toEqual({ title: 'Quarterly Report' });
+        expect(result.content).toMatch(/^---\ntitle: Quarterly Report\n/);
+        expect(result.content).toContain('# Quarterly Report\n\n## Summary\n\n');
+        expect(result.content).toContain('Sales were **up**,  costs *flat*.[^1]');
+        expect(result.content).toContain('> Keep going.');
+        expect(result.content).toContain([
+            '1. First step',
+            '    - Detail',
+            '2. Second step with [a link](https://example.com)'
+        ].join('\n'));
+        expect(result.content).toContain([
+            '| Region | Total |',
+            '| --- | --- |',
+            '| North<br>East | 10 \\| 12 |'
+        ].join('\n'));
+        expect(result.content).toContain('[^1]: Unaudited figures.');
+    });
+
+    it('returns embedded pictures for the result manager to save', async () => {
+        const result = await converter.convertToMarkdown(await buildOdt(), { fileName: 'Q3 Report.odt' });
+
+        expect(result.images).toEqual([{ path: 'attachments/q3-report-100000chart.png', data: PNG_BYTES }]);
+        expect(result.content).toContain('![Revenue chart](attachments/q3-report-100000chart.png)');
+    });
+
+    it('skips pictures whose path is not valid percent-encoding', async () => {
+        const zip = await JSZip.loadAsync(await buildOdt());
+        const content = await zip.file('content.xml').async('string');
+        zip.file('content.xml', content.replace('Pictures/100000chart.png', 'Pictures/100%chart.png'));
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        const result = await converter.convertToMarkdown(await zip.generateAsync({ type: 'nodebuffer' }), {
+            fileName: 'q3-report.odt'
+        });
+
+        expect(result.images).toEqual([]);
+        expect(result.content).toContain('## Summary');
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('Pictures/100%chart.png'));
+        console.warn.mockRestore();
+    });
+});
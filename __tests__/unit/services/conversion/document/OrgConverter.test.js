@@ -0,0 +1,66 @@
+/**
+ * Unit tests for OrgConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const OrgConverter = require('../../../../../src/electron/services/conversion/document/OrgConverter');
+
+const SAMPLE_ORG = [
+    '#+TITLE: Project Notes',
+    '#+AUTHOR: Jane Doe',
+    '#+FILETAGS: :work:notes:',
+    '',
+    '* TODO Plan release                                             :urgent:',
+    '  SCHEDULED: <2024-03-05 Tue>',
+    '  See [[*Details][the details]] and [[https://example.com][the site]].',
+    '  - [X] write *changelog*',
+    '  - [ ] tag =v1.0=',
+    '',
+    '* Details',
+    '#+BEGIN_SRC python',
+    'print("hi")',
+    '#+END_SRC',
+    '',
+    '#+BEGIN_WARNING',
+    'Do not /skip/ this.',
+    '#+END_WARNING',
+    '',
+    '| Name | Value |',
+    '|------+-------|',
+    '| a    | 1     |'
+].join('\n');
+
+describe('OrgConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new OrgConverter();
+    });
+
+    it('maps keywords into frontmatter and headings under the title', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(SAMPLE_ORG), { fileName: 'notes.org' });
+
+        expect(result).toContain('title: Project Notes');
+        expect(result).toContain('author: Jane Doe');
+        expect(result).toMatch(/tags:\n {2}- work\n {2}- notes/);
+        expect(result).toContain('# Project Notes');
+        expect(result).toContain('## TODO Plan release\n#urgent');
+        expect(result).toContain('*Scheduled: 2024-03-05*');
+    });
+
+    it('converts links, checklists, source blocks, admonitions and tables', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(SAMPLE_ORG), { fileName: 'notes.org' });
+
+        expect(result).toContain('See [[#Details|the details]] and [the site](https://example.com).');
+        expect(result).toContain('- [x] write **changelog**\n- [ ] tag `v1.0`');
+        expect(result).toContain('```python\nprint("hi")\n```');
+        expect(result).toContain('> [!warning]\n> Do not *skip* this.');
+        expect(result).toContain('| Name | Value |\n| --- | --- |\n| a | 1 |');
+    });
+});
@@ -0,0 +1,274 @@
+/**
+ * Unit tests for PptxConverter.js
+ */
+
+const JSZip = require('jszip');
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const PptxConverter = require('../../../../../src/electron/services/conversion/document/PptxConverter');
+
+const NAMESPACES = [
+    'xmlns:a="http://schemas.openxmlformats.org/drawingml/2006/main"',
+    'xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"',
+    'xmlns:p="http://schemas.openxmlformats.org/presentationml/2006/main"'
+].join(' ');
+const RELATIONSHIP = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+
+/**
+ * Shape with a text body, optionally a placeholder and a position
+ */
+function shape(paragraphs, { placeholder, x, y } = {}) {
+    const ph = placeholder ? `<p:ph ${placeholder}/>` : '';
+    const xfrm = x !== undefined ? `<a:xfrm><a:off x="${x}" y="${y}"/><a:ext cx="100" cy="100"/></a:xfrm>` : '';
+    return `<p:sp><p:nvSpPr><p:cNvPr id="2" name="Shape"/><p:cNvSpPr/><p:nvPr>${ph}</p:nvPr></p:nvSpPr>`
+        + `<p:spPr>${xfrm}</p:spPr><p:txBody><a:bodyPr/>${paragraphs}</p:txBody></p:sp>`;
+}
+
+/**
+ * Paragraph with plain text and an optional a:pPr element
+ */
+function para(text, properties = '') {
+    return `<a:p>${properties}<a:r><a:t>${text}</a:t></a:r></a:p>`;
+}
+
+/**
+ * Graphic frame holding a table, chart or SmartArt
+ */
+function frame(graphicData, x, y) {
+    return `<p:graphicFrame><p:nvGraphicFramePr><p:cNvPr id="3" name="Frame"/><p:cNvGraphicFramePr/><p:nvPr/></p:nvGraphicFramePr>`
+        + `<p:xfrm><a:off x="${x}" y="${y}"/><a:ext cx="100" cy="100"/></p:xfrm><a:graphic><a:graphicData>${graphicData}</a:graphicData></a:graphic></p:graphicFrame>`;
+}
+
+/**
+ * Picture embedding the image of a relationship
+ */
+function picture(relationshipId, x, y) {
+    return `<p:pic><p:nvPicPr><p:cNvPr id="4" name="Picture"/><p:cNvPicPr/><p:nvPr/></p:nvPicPr>`
+        + `<p:blipFill><a:blip r:embed="${relationshipId}"/></p:blipFill>`
+        + `<p:spPr><a:xfrm><a:off x="${x}" y="${y}"/><a:ext cx="100" cy="100"/></a:xfrm></p:spPr></p:pic>`;
+}
+
+/**
+ * Slide or notes slide XML around the given shapes
+ */
+function sld(root, shapes) {
+    return `<?xml version="1.0"?><p:${root} ${NAMESPACES}><p:cSld><p:spTree>${shapes}</p:spTree></p:cSld></p:${root}>`;
+}
+
+/**
+ * Build a PPTX package. Slides are listed in presentation order; each has a file
+ * number, shapes, and optional notes, layout and extra relationships ({id: [type, target]}).
+ * Extra parts are added by path
+ */
+async function buildPptx(slides, layouts = {}, parts = {}) {
+    const zip = new JSZip();
+    zip.file('ppt/presentation.xml', `<?xml version="1.0"?><p:presentation ${NAMESPACES}><p:sldIdLst>`
+        + slides.map((slide, i) => `<p:sldId id="${256 + i}" r:id="rId${slide.file}"/>`).join('')
+        + '</p:sldIdLst></p:presentation>');
+    zip.file('ppt/_rels/presentation.xml.rels', `<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">`
+        + slides.map(slide => `<Relationship Id="rId${slide.file}" Type="${RELATIONSHIP}/slide" Target="slides/slide${slide.file}.xml"/>`).join('')
+        + '</Relationships>');
+
+    slides.forEach(slide => {
+        zip.file(`ppt/slides/slide${slide.file}.xml`, sld('sld', slide.shapes));
+        const rels = [];
+        if (slide.notes) {
+            zip.file(`ppt/notesSlides/notesSlide${slide.file}.xml`, sld('notes', slide.notes));
+            rels.push(`<Relationship Id="rId2" Type="${RELATIONSHIP}/notesSlide" Target="../notesSlides/notesSlide${slide.file}.xml"/>`);
+        }
+        if (slide.layout) {
+            rels.push(`<Relationship Id="rId1" Type="${RELATIONSHIP}/slideLayout" Target="/ppt/slideLayouts/${slide.layout}.xml"/>`);
+        }
+        Object.entries(slide.rels || {}).forEach(([id, [type, target]]) => {
+            rels.push(`<Relationship Id="${id}" Type="${RELATIONSHIP}/${type}" Target="${target}"/>`);
+        });
+        zip.file(`ppt/slides/_rels/slide${slide.file}.xml.rels`, `<?xml version="1.0"?><Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${rels.join('')}</Relationships>`);
+    });
+    Object.entries(layouts).forEach(([name, shapes]) => zip.file(`ppt/slideLayouts/${name}.xml`, sld('sldLayout', shapes)));
+    Object.entries(parts).forEach(([name, data]) => zip.file(name, data));
+
+    return zip.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('PptxConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new PptxConverter();
+    });
+
+    it('reads slides in presentation order with their titles and speaker notes', async () => {
+        const pptx = await buildPptx([
+            {
+                file: 2,
+                shapes: shape(para('Welcome'), { placeholder: 'type="ctrTitle"' })
+                    + shape(para('Slide 7 of the deck. Notes: none here'), { placeholder: 'type="subTitle"' }),
+                notes: shape(para('Slide image'), { placeholder: 'type="sldImg"' })
+                    + shape(para('Greet everyone.') + para('Then start.'), { placeholder: 'type="body" idx="1"' })
+            },
+            {
+                file: 1,
+                shapes: shape(para('Agenda'), { placeholder: 'type="title"' })
+                    + shape(para('12'), { placeholder: 'type="sldNum" idx="12"' })
+            }
+        ]);
+
+        const { content } = await converter.convertToMarkdown(pptx, { fileName: 'deck.pptx' });
+
+        expect(content).toContain([
+            '## Slide 1: Welcome',
+            '',
+            'Slide 7 of the deck. Notes: none here',
+            '',
+            '> **Notes:** Greet everyone.',
+            '>',
+            '> Then start.',
+            '',
+            '---',
+            '',
+            '## Slide 2: Agenda',
+            '',
+            '---'
+        ].join('\n'));
+        expect(content).not.toContain('Slide image');
+        // Only the body: the conversion time in the frontmatter may contain "12"
+        expect(content.split('\n---\n').slice(1).join('\n---\n')).not.toContain('12');
+    });
+
+    it('keeps bullet levels, numbering and formatting', async () => {
+        const pptx = await buildPptx([{
+            file: 1,
+            shapes: shape(para('Plan'), { placeholder: 'type="title"' })
+                + shape([
+                    '<a:p><a:r><a:rPr b="1"/><a:t>Goals</a:t></a:r><a:r><a:rPr b="1"/><a:t> for Q1</a:t></a:r></a:p>',
+                    para('Grow', '<a:pPr lvl="1"/>'),
+                    para('Hire', '<a:pPr lvl="1"/>'),
+                    para('Step one', '<a:pPr lvl="2"><a:buAutoNum type="arabicPeriod"/></a:pPr>'),
+                    para('Step two', '<a:pPr lvl="2"><a:buAutoNum type="arabicPeriod"/></a:pPr>'),
+                    para('Closing thought', '<a:pPr><a:buNone/></a:pPr>')
+                ].join(''), { placeholder: 'idx="1"' })
+        }]);
+
+        const { content } = await converter.convertToMarkdown(pptx, { fileName: 'plan.pptx' });
+
+        expect(content).toContain([
+            '- **Goals for Q1**',
+            '    - Grow',
+            '    - Hire',
+            '        1. Step one',
+            '        2. Step two',
+            '',
+            'Closing thought'
+        ].join('\n'));
+    });
+
+    it('exports pictures as attachments and converts tables', async () => {
+        const cellXml = value => `<a:tc><a:txBody><a:bodyPr/>${para(value)}</a:txBody></a:tc>`;
+        const pptx = await buildPptx([{
+            file: 1,
+            rels: { rId3: ['image', '../media/image1.png'] },
+            shapes: shape(para('Results'), { placeholder: 'type="title"' })
+                + frame([
+                    '<a:tbl><a:tblGrid><a:gridCol w="1"/><a:gridCol w="1"/></a:tblGrid>',
+                    `<a:tr h="1">${cellXml('Region')}${cellXml('Sales')}</a:tr>`,
+                    `<a:tr h="1"><a:tc gridSpan="2"><a:txBody><a:bodyPr/>${para('North|East')}</a:txBody></a:tc>`,
+                    `<a:tc hMerge="1"><a:txBody><a:bodyPr/>${para('hidden')}</a:txBody></a:tc></a:tr>`,
+                    '</a:tbl>'
+                ].join(''), 0, 2000000)
+                + picture('rId3', 0, 1000000)
+                + picture('rId3', 0, 3000000)
+        }], {}, { 'ppt/media/image1.png': Buffer.from('89504e47', 'hex') });
+
+        const result = await converter.convertToMarkdown(pptx, { fileName: 'Q1 Review.pptx' });
+
+        expect(result.images).toEqual([{ path: 'attachments/q1-review-image-001.png', data: Buffer.from('89504e47', 'hex') }]);
+        expect(result.content).toContain([
+            '## Slide 1: Results',
+            '',
+            '![[attachments/q1-review-image-001.png]]',
+            '',
+            '| Region | Sales |',
+            '| --- | --- |',
+            '| North\\|East |  |',
+            '',
+            '![[attachments/q1-review-image-001.png]]'
+        ].join('\n'));
+        expect(result.content).not.toContain('hidden');
+    });
+
+    it('renders chart data as a table and SmartArt as a nested list', async () => {
+        const point = (idx, value) => `<c:pt idx="${idx}"><c:v>${value}</c:v></c:pt>`;
+        const chart = `<?xml version="1.0"?><c:chartSpace ${NAMESPACES} xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart"><c:chart>
+  <c:title><c:tx><c:rich><a:bodyPr/><a:p><a:r><a:t>Revenue</a:t></a:r></a:p></c:rich></c:tx></c:title>
+  <c:plotArea><c:barChart>
+    <c:ser><c:tx><c:strRef><c:f>Sheet1!$B$1</c:f><c:strCache>${point(0, '2023')}</c:strCache></c:strRef></c:tx>
+      <c:cat><c:strRef><c:strCache>${point(0, 'North')}${point(1, 'South')}</c:strCache></c:strRef></c:cat>
+      <c:val><c:numRef><c:numCache>${point(0, '10')}${point(1, '7')}</c:numCache></c:numRef></c:val></c:ser>
+    <c:ser><c:tx><c:v>2024</c:v></c:tx>
+      <c:val><c:numRef><c:numCache>${point(0, '12')}${point(1, '9')}</c:numCache></c:numRef></c:val></c:ser>
+  </c:barChart></c:plotArea></c:chart></c:chartSpace>`;
+        const node = (id, value, type = '') => `<dgm:pt modelId="${id}"${type ? ` type="${type}"` : ''}><dgm:t><a:bodyPr/>${para(value)}</dgm:t></dgm:pt>`;
+        const link = (src, dest, order, type = '') => `<dgm:cxn modelId="c${dest}"${type ? ` type="${type}"` : ''} srcId="${src}" destId="${dest}" srcOrd="${order}"/>`;
+        const diagram = `<?xml version="1.0"?><dgm:dataModel ${NAMESPACES} xmlns:dgm="http://schemas.openxmlformats.org/drawingml/2006/diagram">
+  <dgm:ptLst>${node(0, '', 'doc')}${node(1, 'Plan')}${node(2, 'Research')}${node(3, 'Build')}${node(9, 'Shape text', 'pres')}</dgm:ptLst>
+  <dgm:cxnLst>${link(0, 3, 1)}${link(0, 1, 0)}${link(1, 2, 0)}${link(1, 9, 0, 'presOf')}</dgm:cxnLst></dgm:dataModel>`;
+
+        const pptx = await buildPptx([{
+            file: 1,
+            rels: { rId4: ['chart', '../charts/chart1.xml'], rId5: ['diagramData', '../diagrams/data1.xml'] },
+            shapes: frame('<c:chart xmlns:c="http://schemas.openxmlformats.org/drawingml/2006/chart" r:id="rId4"/>', 0, 1000000)
+                + frame('<dgm:relIds xmlns:dgm="http://schemas.openxmlformats.org/drawingml/2006/diagram" r:dm="rId5"/>', 0, 2000000)
+        }], {}, { 'ppt/charts/chart1.xml': chart, 'ppt/diagrams/data1.xml': diagram });
+
+        const { content } = await converter.convertToMarkdown(pptx, { fileName: 'charts.pptx' });
+
+        expect(content).toContain([
+            '**Chart: Revenue**',
+            '',
+            '| Category | 2023 | 2024 |',
+            '| --- | --- | --- |',
+            '| North | 10 | 12 |',
+            '| South | 7 | 9 |',
+            '',
+            '- Plan',
+            '    - Research',
+            '- Build'
+        ].join('\n'));
+        expect(content).not.toContain('Shape text');
+    });
+
+    it('reads text boxes in reading order, using layout positions for placeholders', async () => {
+        const pptx = await buildPptx([{
+            file: 1,
+            layout: 'slideLayout1',
+            shapes: shape(para('Right column'), { x: 5000000, y: 1000000 })
+                + shape(para('Footer text box'), { x: 0, y: 6000000 })
+                + shape(para('Left column'), { x: 0, y: 1100000 })
+                + shape(para('Body from layout'), { placeholder: 'idx="1"' })
+                + shape(para('Columns'), { placeholder: 'type="title"' })
+        }], {
+            slideLayout1: shape(para(''), { placeholder: 'type="title"', x: 0, y: 0 })
+                + shape(para(''), { placeholder: 'idx="1"', x: 0, y: 3000000 })
+        });
+
+        const { content } = await converter.convertToMarkdown(pptx, { fileName: 'columns.pptx' });
+
+        expect(content).toContain([
+            '## Slide 1: Columns',
+            '',
+            'Left column',
+            '',
+            'Right column',
+            '',
+            '- Body from layout',
+            '',
+            'Footer text box'
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit tests for RstConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const RstConverter = require('../../../../../src/electron/services/conversion/document/RstConverter');
+
+const SAMPLE_RST = [
+    '=============',
+    ' User Guide',
+    '=============',
+    '',
+    ':Author: Jane Doe',
+    ':Tags: docs, guide',
+    '',
+    '.. _install:',
+    '',
+    'Installation',
+    '============',
+    '',
+    'Run this::',
+    '',
+    '    pip install project',
+    '',
+    'See :ref:`setup <install>` and `Usage`_.',
+    '',
+    '.. warning:: Back up first.',
+    '',
+    'Usage',
+    '=====',
+    '',
+    '- First',
+    '',
+    '  - nested',
+    '',
+    '+------+-------+',
+    '| Name | Value |',
+    '+======+=======+',
+    '| a    | 1     |',
+    '+------+-------+'
+].join('\n');
+
+describe('RstConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new RstConverter();
+    });
+
+    it('maps the title and docinfo fields into frontmatter', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(SAMPLE_RST), { fileName: 'guide.rst' });
+
+        expect(result).toContain('title: User Guide');
+        expect(result).toContain('author: Jane Doe');
+        expect(result).toMatch(/tags:\n {2}- docs\n {2}- guide/);
+        expect(result).toContain('# User Guide\n\n## Installation');
+    });
+
+    it('converts literal blocks, admonitions, lists, tables and references', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(SAMPLE_RST), { fileName: 'guide.rst' });
+
+        expect(result).toContain('Run this:\n\n```\npip install project\n```');
+        expect(result).toContain('See [[#Installation|setup]] and [[#Usage]].');
+        expect(result).toContain('> [!warning]\n> Back up first.');
+        expect(result).toContain('- First\n    - nested');
+        expect(result).toContain('| Name | Value |\n| --- | --- |\n| a | 1 |');
+    });
+
+    it('separates the paragraphs of an admonition with a single quoted blank line', async () => {
+        const rst = [
+            '.. note::',
+            '',
+            '   Be careful.',
+            '',
+            '   Second para.',
+            '',
+            '   .. code-block:: text',
+            '',
+            '      one',
+            '',
+            '',
+            '      two'
+        ].join('\n');
+
+        const result = await converter.convertToMarkdown(Buffer.from(rst), { fileName: 'note.rst' });
+
+        expect(result).toContain('> [!note]\n> Be careful.\n>\n> Second para.\n>\n> ```text\n> one\n>\n>\n> two\n> ```');
+    });
+});
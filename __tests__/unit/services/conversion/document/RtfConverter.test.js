@@ -0,0 +1,75 @@
+/**
+ * Unit tests for RtfConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const RtfConverter = require('../../../../../src/electron/services/conversion/document/RtfConverter');
+
+const SAMPLE_RTF = [
+    '{\\rtf1\\ansi\\ansicpg1252\\deff0{\\fonttbl{\\f0 Times;}}',
+    '{\\stylesheet{\\s0 Normal;}{\\s1 heading 1;}{\\s2\\outlinelevel1 Custom Sub;}}',
+    '{\\info{\\author Jane Roe}{\\subject Testing}}',
+    '\\pard\\s1 Overview\\par',
+    '\\pard Some \\b bold\\b0  and \\i italic\\i0  caf\\\'e9 \\u8364?5 ',
+    '{\\field{\\*\\fldinst{HYPERLINK "https://example.com"}}{\\fldrslt{docs}}}.\\par',
+    '\\pard\\s2 Details\\par',
+    '{\\listtext\\pard\\plain \\\'b7\\tab}\\pard\\ls1\\ilvl0 first\\par',
+    '{\\listtext\\pard\\plain \\\'b7\\tab}\\pard\\ls1\\ilvl1 nested\\par',
+    '{\\pntext 1.\\tab}\\pard{\\*\\pn\\pnlvlbody\\pndec} numbered\\par',
+    '\\trowd\\cellx1000\\cellx2000',
+    '\\pard\\intbl Name\\cell Value\\cell\\row',
+    '\\trowd\\cellx1000\\cellx2000',
+    '\\pard\\intbl a|b\\cell 2\\cell\\row',
+    '\\pard Done}'
+].join('\n');
+
+describe('RtfConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new RtfConverter();
+    });
+
+    it('converts headings, inline formatting and links', async () => {
+        const markdown = await converter.convertToMarkdown(Buffer.from(SAMPLE_RTF, 'latin1'), { fileName: 'sample.rtf' });
+
+        expect(markdown).toMatch(/^---\ntitle: sample\n/);
+        expect(markdown).toContain('author: Jane Roe');
+        expect(markdown).toContain('subject: Testing');
+        expect(markdown).toContain('# Overview');
+        expect(markdown).toContain('## Details');
+        expect(markdown).toContain('Some **bold** and *italic* café €5 [docs](https://example.com).');
+        expect(markdown).toMatch(/Done\n$/);
+    });
+
+    it('uses the document title from the info group', async () => {
+        const rtf = SAMPLE_RTF.replace('{\\info{\\author Jane Roe}', '{\\info{\\title Quarterly \\\'c9tat}{\\author Jane Roe}');
+
+        const markdown = await converter.convertToMarkdown(Buffer.from(rtf, 'latin1'), { fileName: 'sample.rtf' });
+
+        expect(markdown).toMatch(/^---\ntitle: Quarterly État\n/);
+        expect(markdown).toContain('author: Jane Roe');
+    });
+
+    it('rebuilds bulleted, nested and numbered lists', async () => {
+        const markdown = await converter.convertToMarkdown(Buffer.from(SAMPLE_RTF, 'latin1'), { fileName: 'sample.rtf' });
+
+        expect(markdown).toContain('- first\n    - nested\n1. numbered');
+    });
+
+    it('renders table rows as a markdown table', async () => {
+        const markdown = await converter.convertToMarkdown(Buffer.from(SAMPLE_RTF, 'latin1'), { fileName: 'sample.rtf' });
+
+        expect(markdown).toContain('| Name | Value |\n| --- | --- |\n| a\\|b | 2 |');
+    });
+
+    it('rejects content that is not RTF', async () => {
+        await expect(converter.convertToMarkdown(Buffer.from('plain text'), {})).rejects.toThrow('not a valid RTF');
+    });
+});
@@ -0,0 +1,274 @@
+/**
+ * Unit tests for StandardPdfConverter.js
+ */
+
+const { PDFDocument, PDFHexString, PDFName, StandardFonts } = require('pdf-lib');
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const StandardPdfConverter = require('../../../../../src/electron/services/conversion/document/StandardPdfConverter');
+
+/**
+ * Add a bookmark outline, where each entry is {title, page, top, children}
+ */
+function addOutline(doc, entries) {
+    const context = doc.context;
+    const pages = doc.getPages();
+    const build = (items, parentRef) => {
+        const refs = items.map(() => context.nextRef());
+        items.forEach((item, i) => {
+            const fields = {
+                Title: PDFHexString.fromText(item.title),
+                Parent: parentRef,
+                Dest: [pages[item.page - 1].ref, 'XYZ', null, item.top, null]
+            };
+            if (i > 0) fields.Prev = refs[i - 1];
+            if (i < refs.length - 1) fields.Next = refs[i + 1];
+            const children = build(item.children || [], refs[i]);
+            if (children.length > 0) {
+                Object.assign(fields, { First: children[0], Last: children[children.length - 1], Count: children.length });
+            }
+            context.assign(refs[i], context.obj(fields));
+        });
+        return refs;
+    };
+
+    const outlineRef = context.nextRef();
+    const top = build(entries, outlineRef);
+    context.assign(outlineRef, context.obj({ Type: 'Outlines', First: top[0], Last: top[top.length - 1], Count: top.length }));
+    doc.catalog.set(PDFName.of('Outlines'), outlineRef);
+}
+
+/**
+ * Build a PDF where each page is a list of {text, x, y, size} items
+ */
+async function buildPdf(pages, outline) {
+    const doc = await PDFDocument.create();
+    const font = await doc.embedFont(StandardFonts.Helvetica);
+    for (const items of pages) {
+        const page = doc.addPage([600, 800]);
+        for (const { text, x = 50, y, size = 12 } of items) {
+            page.drawText(text, { x, y, size, font });
+        }
+    }
+    if (outline) {
+        addOutline(doc, outline);
+    }
+    return Buffer.from(await doc.save());
+}
+
+describe('StandardPdfConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new StandardPdfConverter(null, null, true);
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('reads each page section from that page\'s own text', async () => {
+        const content = await buildPdf([
+            [
+                { text: 'The first page has a long opening sentence that stays whole.', y: 700 },
+                { text: 'It continues on a second line.', y: 686 }
+            ],
+            [{ text: 'Short second page.', y: 700 }]
+        ]);
+
+        const result = await converter.convertToMarkdown(content, { name: 'paper.pdf' });
+
+        expect(result.success).toBe(true);
+        expect(result.content).toContain('## Page 1\n\nThe first page has a long opening sentence that stays whole. It continues on a second line.\n\n## Page 2');
+        expect(result.content).toContain('## Page 2\n\nShort second page.');
+    });
+
+    it('joins items on the same line from left to right', async () => {
+        const content = await buildPdf([[
+            { text: 'right', x: 300, y: 700 },
+            { text: 'left', x: 50, y: 700 },
+            { text: 'below', x: 50, y: 650 }
+        ]]);
+
+        const result = await converter.convertToMarkdown(content, { name: 'layout.pdf' });
+
+        expect(result.content).toContain('## Page 1\n\nleft right\n\nbelow');
+    });
+
+    it('drops running headers, footers and page numbers', async () => {
+        const content = await buildPdf([1, 2, 3, 4].map(n => [
+            { text: 'ACME Annual Report', y: 770, size: 9 },
+            { text: `Body text of page ${n}.`, y: 500 },
+            { text: 'Confidential', y: 50, size: 9 },
+            { text: `Page ${n} of 4`, x: 280, y: 30, size: 9 }
+        ]));
+
+        const result = await converter.convertToMarkdown(content, { name: 'report.pdf' });
+
+        expect(result.content).toContain('## Page 3\n\nBody text of page 3.\n\n## Page 4');
+        expect(result.content).not.toContain('ACME Annual Report');
+        expect(result.content).not.toContain('Confidential');
+        expect(result.content).not.toMatch(/Page \d of 4/);
+    });
+
+    it('keeps edge lines that do not repeat across pages', async () => {
+        const content = await buildPdf([
+            [{ text: 'Introduction', y: 770 }, { text: 'Opening body.', y: 700 }],
+            [{ text: 'Methods', y: 770 }, { text: 'Method body.', y: 700 }],
+            [{ text: 'Results', y: 770 }, { text: 'Result body.', y: 700 }]
+        ]);
+
+        const result = await converter.convertToMarkdown(content, { name: 'sections.pdf' });
+
+        expect(result.content).toContain('## Page 2\n\nMethods\n\nMethod body.');
+    });
+
+    it('starts a section for each page in order', async () => {
+        const content = await buildPdf([
+            [{ text: 'One', y: 700 }],
+            [{ text: 'Two', y: 700 }],
+            [{ text: 'Three', y: 700 }]
+        ]);
+
+        const result = await converter.convertToMarkdown(content, { name: 'breaks.pdf' });
+
+        expect(result.pageCount).toBe(3);
+        expect(result.content.match(/^## Page \d+$/gm)).toEqual(['## Page 1', '## Page 2', '## Page 3']);
+        expect(result.content).toContain('## Page 1\n\nOne\n\n## Page 2\n\nTwo\n\n## Page 3\n\nThree');
+    });
+
+    describe('layout', () => {
+        it('grades headings by font size and joins hyphenated paragraph lines', async () => {
+            const content = await buildPdf([[
+                { text: 'User Guide', y: 740, size: 20 },
+                { text: 'Getting Started', y: 700, size: 15 },
+                { text: 'Install the package and run the first', y: 670, size: 11 },
+                { text: 'exam-', y: 656, size: 11 },
+                { text: 'ple from the command line.', y: 642, size: 11 },
+                { text: 'A second paragraph follows the first one.', y: 610, size: 11 }
+            ]]);
+
+            const result = await converter.convertToMarkdown(content, { name: 'guide.pdf' });
+
+            expect(result.content).toContain([
+                '### User Guide',
+                '#### Getting Started',
+                'Install the package and run the first example from the command line.',
+                'A second paragraph follows the first one.'
+            ].join('\n\n'));
+        });
+
+        it('rebuilds bulleted and numbered lists with nesting', async () => {
+            const content = await buildPdf([[
+                { text: 'Steps:', y: 700 },
+                { text: '1. Open the file', y: 680 },
+                { text: '- Check the name', x: 70, y: 666 },
+                { text: 'and the size', x: 80, y: 652 },
+                { text: '2. Save it', y: 638 }
+            ]]);
+
+            const result = await converter.convertToMarkdown(content, { name: 'steps.pdf' });
+
+            expect(result.content).toContain('Steps:\n\n1. Open the file\n    - Check the name and the size\n2. Save it');
+        });
+
+        it('reads two-column pages column by column', async () => {
+            const line = (side, n) => `${side} column sentence number ${n} goes here`;
+            const content = await buildPdf([[
+                { text: 'A Title Spanning Both Columns Of The Page', x: 150, y: 740, size: 16 },
+                ...[1, 2, 3].flatMap(n => [
+                    { text: line('Left', n), x: 50, y: 700 - n * 14, size: 10 },
+                    { text: line('Right', n), x: 320, y: 700 - n * 14, size: 10 }
+                ])
+            ]]);
+
+            const result = await converter.convertToMarkdown(content, { name: 'paper.pdf' });
+
+            expect(result.content).toContain(`### A Title Spanning Both Columns Of The Page\n\n${line('Left', 1)} ${line('Left', 2)} ${line('Left', 3)} ${line('Right', 1)}`);
+        });
+
+        it('turns aligned rows into a table', async () => {
+            const content = await buildPdf([[
+                { text: 'Prices for this week.', y: 720 },
+                ...[['Item', 'Qty', 'Price'], ['Apple', '3', '1.20'], ['Pear', '10', '0.80']].flatMap((cells, r) =>
+                    cells.map((text, c) => ({ text, x: 50 + c * 150, y: 690 - r * 16 })))
+            ]]);
+
+            const result = await converter.convertToMarkdown(content, { name: 'prices.pdf' });
+
+            expect(result.content).toContain([
+                'Prices for this week.',
+                '',
+                '| Item | Qty | Price |',
+                '| --- | --- | --- |',
+                '| Apple | 3 | 1.20 |',
+                '| Pear | 10 | 0.80 |'
+            ].join('\n'));
+        });
+    });
+
+    describe('outline', () => {
+        const manual = () => buildPdf([
+            [{ text: 'Overview', y: 740, size: 16 }, { text: 'Intro text.', y: 700 }],
+            [{ text: 'Setup text continues.', y: 700 }, { text: 'Install', y: 500, size: 14 }, { text: 'Install steps.', y: 470 }],
+            [{ text: 'Reference', y: 740, size: 16 }, { text: 'Reference text.', y: 700 }]
+        ], [
+            { title: 'Overview', page: 1, top: 760, children: [{ title: 'Install', page: 2, top: 515 }] },
+            { title: 'Reference', page: 3, top: 760 }
+        ]);
+
+        it('places nested bookmark headings at their destinations under a linked contents list', async () => {
+            const result = await converter.convertToMarkdown(await manual(), { name: 'manual.pdf' });
+
+            expect(result.content).toContain('## Contents\n\n- [[#Overview]]\n    - [[#Install]]\n- [[#Reference]]\n\n[Page 1]');
+            expect(result.content).toContain('[Page 1]\n\n# Overview\n\nIntro text.\n\n[Page 2]');
+            expect(result.content).toContain('[Page 2]\n\nSetup text continues.\n\n## Install\n\nInstall steps.');
+            expect(result.content).toContain('[Page 3]\n\n# Reference\n\nReference text.');
+            expect(result.content).not.toContain('### Overview');
+            expect(result.content.match(/^\[Page \d+\]$/gm)).toEqual(['[Page 1]', '[Page 2]', '[Page 3]']);
+        });
+
+        it('splits the output into one note per top-level chapter', async () => {
+            const result = await converter.convertToMarkdown(await manual(), { name: 'manual.pdf', splitChapters: true });
+
+            expect(result.files.map(file => file.name)).toEqual([
+                'manual-chapters/01-overview.md',
+                'manual-chapters/02-reference.md'
+            ]);
+            expect(result.files[0].content).toBe('[Page 1]\n\n# Overview\n\nIntro text.\n\n[Page 2]\n\nSetup text continues.\n\n## Install\n\nInstall steps.\n');
+            expect(result.files[1].content).toBe('[Page 3]\n\n# Reference\n\nReference text.\n');
+            expect(result.files[1].metadata).toEqual({ title: 'Reference', document: 'manual', chapter: 2 });
+            expect(result.content).toContain('## Contents\n\n1. [Overview](manual-chapters/01-overview.md)\n2. [Reference](manual-chapters/02-reference.md)');
+            expect(result.content).not.toContain('Intro text.');
+        });
+
+        it('splits chapters in page order when the outline lists them out of order', async () => {
+            const pdf = await buildPdf([
+                [{ text: 'Start text.', y: 700 }],
+                [{ text: 'Setup text.', y: 700 }],
+                [{ text: 'Appendix text.', y: 700 }]
+            ], [
+                { title: 'Appendix [A]', page: 3, top: 760 },
+                { title: 'Start', page: 1, top: 760 },
+                { title: 'Setup', page: 2, top: 760 }
+            ]);
+
+            const result = await converter.convertToMarkdown(pdf, { name: 'guide.pdf', splitChapters: true });
+
+            expect(result.files.map(file => file.name)).toEqual([
+                'guide-chapters/01-start.md',
+                'guide-chapters/02-setup.md',
+                'guide-chapters/03-appendix-a.md'
+            ]);
+            expect(result.files[2].content).toBe('[Page 3]\n\n# Appendix [A]\n\nAppendix text.\n');
+            expect(result.content).toContain('3. [Appendix \\[A\\]](guide-chapters/03-appendix-a.md)');
+        });
+    });
+});
@@ -0,0 +1,64 @@
+/**
+ * Unit tests for TextConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const TextConverter = require('../../../../../src/electron/services/conversion/document/TextConverter');
+
+describe('TextConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new TextConverter();
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    it('decodes UTF-16 files and adds frontmatter', async () => {
+        const buffer = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Grüße aus Köln\r\n', 'utf16le')]);
+
+        const result = await converter.convertToMarkdown(buffer, { fileName: 'greeting.txt' });
+
+        expect(result).toMatch(/^---\ntitle: greeting\n/);
+        expect(result).toContain('fileType: txt');
+        expect(result.endsWith('---\nGrüße aus Köln\n')).toBe(true);
+    });
+
+    it('joins hard-wrapped paragraphs and keeps short lines, lists and indented blocks', () => {
+        const text = [
+            'This paragraph was wrapped by an old editor at a fixed',
+            'column width and should read as one line again.',
+            '',
+            '',
+            '',
+            '221B Baker Street',
+            'London',
+            '',
+            '• first item',
+            '• second item',
+            '',
+            '    const x = 1;',
+            '    const y = 2;'
+        ].join('\r\n');
+
+        expect(converter.normalizeParagraphs(text)).toBe([
+            'This paragraph was wrapped by an old editor at a fixed column width and should read as one line again.',
+            '221B Baker Street  \nLondon',
+            '- first item\n- second item',
+            '    const x = 1;\n    const y = 2;'
+        ].join('\n\n'));
+    });
+
+    it('splits pages on form feeds and drops control characters', () => {
+        expect(converter.normalizeParagraphs('Page one\fPage\u0007 two   ')).toBe('Page one\n\nPage two');
+    });
+});
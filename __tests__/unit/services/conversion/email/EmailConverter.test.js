@@ -0,0 +1,200 @@
+/**
+ * Unit tests for EmailConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+jest.mock('../../../../../src/electron/converters/UnifiedConverterFactory', () => ({
+    convertFile: jest.fn()
+}));
+
+const unifiedConverterFactory = require('../../../../../src/electron/converters/UnifiedConverterFactory');
+const EmailConverter = require('../../../../../src/electron/services/conversion/email/EmailConverter');
+
+const MESSAGE = [
+    'From: =?UTF-8?B?Sm9zw6kgR2FyY8OtYQ==?= <jose@example.com>',
+    'To: "Roe, Jane" <jane@example.com>, bob@example.com',
+    'Subject: =?UTF-8?Q?Caf=C3=A9_plans?=',
+    'Date: Tue, 14 May 2024 09:30:00 +0200',
+    'Message-ID: <m1@example.com>',
+    'Content-Type: multipart/mixed; boundary="outer"',
+    '',
+    '--outer',
+    'Content-Type: multipart/related; boundary="rel"',
+    '',
+    '--rel',
+    'Content-Type: multipart/alternative; boundary="alt"',
+    '',
+    '--alt',
+    'Content-Type: text/plain; charset=utf-8',
+    '',
+    'Plain body',
+    '--alt',
+    'Content-Type: text/html; charset=iso-8859-1',
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    '<p>Hello <b>caf=E9</b> <img src=3D"cid:logo@x"></p>',
+    '--alt--',
+    '--rel',
+    'Content-Type: image/png',
+    'Content-ID: <logo@x>',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from('PNGDATA').toString('base64'),
+    '--rel--',
+    '--outer',
+    'Content-Type: text/plain',
+    'Content-Disposition: attachment; filename*=utf-8\'\'n%C3%B6tes.txt',
+    '',
+    'attachment text',
+    '--outer',
+    'Content-Type: application/octet-stream',
+    'Content-Disposition: attachment; filename="data.bin"',
+    'Content-Transfer-Encoding: base64',
+    '',
+    Buffer.from([1, 2, 3]).toString('base64'),
+    '--outer--',
+    ''
+].join('\r\n');
+
+const MAILBOX = [
+    'From a@example.com Mon Jan  1 10:00:00 2024',
+    'From: Ann <a@example.com>',
+    'Subject: Launch',
+    'Message-ID: <a@example.com>',
+    'Date: Mon, 1 Jan 2024 10:00:00 +0000',
+    '',
+    '>From the start',
+    '',
+    'From b@example.com Tue Jan  2 10:00:00 2024',
+    'From: Ben <b@example.com>',
+    'Subject: Re: Launch',
+    'Message-ID: <b@example.com>',
+    'In-Reply-To: <a@example.com>',
+    'Date: Tue, 2 Jan 2024 10:00:00 +0000',
+    '',
+    'Sounds good',
+    '',
+    'From c@example.com Sun Dec 31 10:00:00 2023',
+    'Subject: Unrelated',
+    'Message-ID: <c@example.com>',
+    'Date: Sun, 31 Dec 2023 10:00:00 +0000',
+    '',
+    'Other topic',
+    ''
+].join('\n');
+
+describe('EmailConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new EmailConverter();
+        // Attachments are converted through the factory; echo their text back
+        unifiedConverterFactory.convertFile.mockImplementation(async (content, options) => ({
+            success: true,
+            content: `# ${options.originalFileName}\n\n${content.toString()}`,
+            images: [],
+            files: []
+        }));
+    });
+
+    it('writes message headers to the frontmatter and converts the HTML body', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(MESSAGE, 'latin1'), { fileName: 'msg.eml' });
+
+        expect(result.metadata).toMatchObject({
+            title: 'Café plans',
+            from: 'José García <jose@example.com>',
+            to: ['Roe, Jane <jane@example.com>', 'bob@example.com'],
+            date: '2024-05-14T07:30:00.000Z',
+            subject: 'Café plans',
+            'message-id': '<m1@example.com>'
+        });
+        expect(result.content).toContain('message-id: <m1@example.com>');
+        expect(result.content).toContain('Hello **café** ![](images/msg-logo.png)');
+        expect(result.content).not.toContain('Plain body');
+        expect(result.images[0]).toEqual({ path: 'images/msg-logo.png', data: Buffer.from('PNGDATA') });
+    });
+
+    it('converts attachments through the factory and saves the rest as-is', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(MESSAGE, 'latin1'), { fileName: 'msg.eml' });
+
+        expect(unifiedConverterFactory.convertFile).toHaveBeenCalledWith(
+            Buffer.from('attachment text'),
+            expect.objectContaining({ fileType: 'txt', originalFileName: 'nötes.txt', attachmentDepth: 1 })
+        );
+        expect(result.files).toEqual([
+            expect.objectContaining({ name: 'msg-attachments/notes-txt.md', content: '# nötes.txt\n\nattachment text' })
+        ]);
+        expect(result.content).toContain('- [nötes.txt](msg-attachments/notes-txt.md)');
+        expect(result.content).toContain('- [data.bin](attachments/msg-data.bin) (application/octet-stream, 3 B)');
+        expect(result.images[1]).toEqual({ path: 'attachments/msg-data.bin', data: Buffer.from([1, 2, 3]) });
+    });
+
+    it('writes one note per mbox message and an index grouped by thread', async () => {
+        const result = await converter.convertMailbox(Buffer.from(MAILBOX), { fileName: 'Inbox.mbox' });
+
+        expect(result.files.map(file => file.name)).toEqual([
+            'inbox-messages/001-launch.md',
+            'inbox-messages/002-re-launch.md',
+            'inbox-messages/003-unrelated.md'
+        ]);
+        expect(result.files[0].content).toContain('mailbox: Inbox');
+        expect(result.files[0].content).toContain('From the start');
+        expect(result.content).toContain([
+            '## Unrelated (1 message)',
+            '',
+            '- 2023-12-31 10:00 — [Unrelated](inbox-messages/003-unrelated.md)',
+            '',
+            '## Launch (2 messages)',
+            '',
+            '- 2024-01-01 10:00 — [Launch](inbox-messages/001-launch.md) — Ann',
+            '    - 2024-01-02 10:00 — [Re: Launch](inbox-messages/002-re-launch.md) — Ben'
+        ].join('\n'));
+    });
+
+    it('keeps the images of same-named attachments in different messages apart', async () => {
+        const messageWithReport = (id, text) => [
+            `From ${id}@example.com Mon Jan  1 10:00:00 2024`,
+            `Subject: Report ${id}`,
+            `Message-ID: <${id}@example.com>`,
+            'Content-Type: multipart/mixed; boundary="b"',
+            '',
+            '--b',
+            'Content-Type: text/plain',
+            '',
+            'See attached',
+            '--b',
+            'Content-Type: application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+            'Content-Disposition: attachment; filename="report.docx"',
+            'Content-Transfer-Encoding: base64',
+            '',
+            Buffer.from(text).toString('base64'),
+            '--b--',
+            ''
+        ].join('\n');
+        // Each attachment produces an image with the same path, as real converters do
+        unifiedConverterFactory.convertFile.mockImplementation(async (content) => ({
+            success: true,
+            content: `${content.toString()} ![chart](images/report-image1.png)`,
+            images: [{ path: 'images/report-image1.png', data: Buffer.from(content.toString()) }],
+            files: []
+        }));
+
+        const result = await converter.convertMailbox(Buffer.from(messageWithReport('a', 'first') + messageWithReport('b', 'second')), { fileName: 'Inbox.mbox' });
+
+        const notes = result.files.filter(file => file.name.endsWith('report-docx.md'));
+        expect(notes.map(note => note.content)).toEqual([
+            'first ![[images/inbox-001-report-image1.png]]',
+            'second ![[images/inbox-002-report-image1.png]]'
+        ]);
+        expect(result.images).toEqual([
+            { path: 'images/inbox-001-report-image1.png', data: Buffer.from('first') },
+            { path: 'images/inbox-002-report-image1.png', data: Buffer.from('second') }
+        ]);
+    });
+});
@@ -0,0 +1,188 @@
+/**
+ * Unit tests for ImageConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+jest.mock('tesseract.js', () => ({
+    createWorker: jest.fn()
+}), { virtual: true });
+
+jest.mock('../../../../../src/electron/services/conversion/document/mistral', () => ({
+    MistralApiClient: jest.fn(),
+    OcrProcessor: jest.requireActual('../../../../../src/electron/services/conversion/document/mistral/OcrProcessor')
+}));
+
+const { createWorker } = require('tesseract.js');
+const { MistralApiClient } = require('../../../../../src/electron/services/conversion/document/mistral');
+const ImageConverter = require('../../../../../src/electron/services/conversion/image/ImageConverter');
+
+/**
+ * Build a little-endian TIFF block with IFD0 and Exif/GPS sub-IFDs
+ * Entries are [tag, type, value]; rationals are [numerator, denominator] pairs.
+ */
+function buildTiff(ifd0, exif, gps) {
+    const encode = (type, value) => {
+        if (type === 2) return Buffer.from(`${value}\u0000`, 'latin1');
+        const values = Array.isArray(value) && type !== 5 ? value : [value];
+        if (type === 5) {
+            const pairs = Array.isArray(value[0]) ? value : [value];
+            const buffer = Buffer.alloc(pairs.length * 8);
+            pairs.forEach(([num, den], i) => {
+                buffer.writeUInt32LE(num, i * 8);
+                buffer.writeUInt32LE(den, i * 8 + 4);
+            });
+            return buffer;
+        }
+        const size = type === 3 ? 2 : 4;
+        const buffer = Buffer.alloc(Math.max(values.length * size, 4));
+        values.forEach((v, i) => (size === 2 ? buffer.writeUInt16LE(v, i * 2) : buffer.writeUInt32LE(v, i * 4)));
+        return buffer;
+    };
+    const count = (type, value) => (type === 2 ? String(value).length + 1 : type === 5 ? (Array.isArray(value[0]) ? value.length : 1) : [].concat(value).length);
+    const sizeOf = entries => 6 + entries.length * 12 + entries.reduce((sum, [, type, value]) => {
+        const data = encode(type, value);
+        return sum + (data.length > 4 ? data.length + (data.length % 2) : 0);
+    }, 0);
+    const writeIfd = (entries, start) => {
+        const header = Buffer.alloc(6 + entries.length * 12);
+        const data = [];
+        let dataOffset = start + header.length;
+        header.writeUInt16LE(entries.length, 0);
+        entries.forEach(([tag, type, value], i) => {
+            const at = 2 + i * 12;
+            const encoded = encode(type, value);
+            header.writeUInt16LE(tag, at);
+            header.writeUInt16LE(type, at + 2);
+            header.writeUInt32LE(count(type, value), at + 4);
+            if (encoded.length <= 4) {
+                encoded.copy(header, at + 8);
+            } else {
+                header.writeUInt32LE(dataOffset, at + 8);
+                const padded = encoded.length % 2 ? Buffer.concat([encoded, Buffer.alloc(1)]) : encoded;
+                data.push(padded);
+                dataOffset += padded.length;
+            }
+        });
+        return Buffer.concat([header, ...data]);
+    };
+
+    const exifStart = 8 + sizeOf(ifd0) + 24;
+    const gpsStart = exifStart + sizeOf(exif);
+    const root = [...ifd0, [0x8769, 4, exifStart], [0x8825, 4, gpsStart]];
+    const header = Buffer.from([0x49, 0x49, 0x2A, 0x00, 0x08, 0x00, 0x00, 0x00]);
+    return Buffer.concat([header, writeIfd(root, 8), writeIfd(exif, exifStart), writeIfd(gps, gpsStart)]);
+}
+
+function buildJpeg(tiff, width, height) {
+    const app1 = Buffer.concat([Buffer.from('Exif\u0000\u0000', 'latin1'), tiff]);
+    const app1Header = Buffer.from([0xFF, 0xE1, 0, 0]);
+    app1Header.writeUInt16BE(app1.length + 2, 2);
+    const sof = Buffer.from([0xFF, 0xC0, 0x00, 0x0B, 0x08, 0, 0, 0, 0, 0x01, 0x01, 0x11, 0x00]);
+    sof.writeUInt16BE(height, 5);
+    sof.writeUInt16BE(width, 7);
+    return Buffer.concat([Buffer.from([0xFF, 0xD8]), app1Header, app1, sof, Buffer.from([0xFF, 0xD9])]);
+}
+
+function buildPng(width, height) {
+    const ihdr = Buffer.alloc(25);
+    ihdr.writeUInt32BE(13, 0);
+    ihdr.write('IHDR', 4, 'latin1');
+    ihdr.writeUInt32BE(width, 8);
+    ihdr.writeUInt32BE(height, 12);
+    return Buffer.concat([Buffer.from([0x89, 0x50, 0x4E, 0x47, 0x0D, 0x0A, 0x1A, 0x0A]), ihdr, Buffer.from('0000IEND0000', 'latin1')]);
+}
+
+const PHOTO = buildJpeg(buildTiff(
+    [[0x010F, 2, 'Canon'], [0x0110, 2, 'Canon EOS R5']],
+    [[0x9003, 2, '2024:05:14 09:30:00'], [0x829A, 5, [1, 250]], [0x829D, 5, [28, 10]], [0x8827, 3, 200]],
+    [[0x01, 2, 'N'], [0x02, 5, [[48, 1], [51, 1], [2960, 100]]], [0x03, 2, 'W'], [0x04, 5, [[2, 1], [17, 1], [4020, 100]]]]
+), 640, 480);
+
+describe('ImageConverter', () => {
+    let converter;
+    let worker;
+
+    beforeEach(() => {
+        converter = new ImageConverter();
+        worker = {
+            recognize: jest.fn(async () => ({ data: { text: 'Receipt\r\nTotal  12.00  \n\n\n\nThanks' } })),
+            terminate: jest.fn(async () => {})
+        };
+        createWorker.mockImplementation(async () => worker);
+        // The language data package is an app dependency, not a test one
+        jest.spyOn(converter, 'resolveLanguagePath').mockReturnValue('/app/tessdata/eng');
+    });
+
+    it('embeds the image, writes EXIF to the frontmatter and adds local OCR text', async () => {
+        const result = await converter.convertToMarkdown(PHOTO, { fileName: 'Paris Trip.jpg' });
+
+        expect(result.metadata).toEqual({
+            title: 'Paris Trip',
+            width: 640,
+            height: 480,
+            captured: '2024-05-14T09:30:00',
+            camera: 'Canon EOS R5',
+            latitude: 48.858222,
+            longitude: -2.294500,
+            ocr: 'tesseract'
+        });
+        expect(result.images).toEqual([{ path: 'attachments/paris-trip.jpg', data: PHOTO }]);
+        expect(result.content).toContain('![Paris Trip](attachments/paris-trip.jpg)');
+        expect(result.content).toContain('| Exposure | 1/250 s, f/2.8, ISO 200 |');
+        expect(result.content).toContain('## Text\n\nReceipt\nTotal  12.00\n\nThanks');
+        expect(createWorker).toHaveBeenCalledWith('eng', 1, expect.objectContaining({ langPath: '/app/tessdata/eng', cacheMethod: 'none' }));
+        expect(worker.terminate).toHaveBeenCalled();
+    });
+
+    it('uses Mistral OCR when OCR is enabled and a Mistral key is set', async () => {
+        const processOcr = jest.fn(async () => ({
+            pages: [{ index: 0, markdown: '# Invoice\n\n![img-0.jpeg](img-0.jpeg)\n\nDue today' }]
+        }));
+        MistralApiClient.mockImplementation(() => ({ processOcr }));
+
+        const png = buildPng(800, 600);
+        const result = await converter.convertToMarkdown(png, {
+            fileName: 'scan.png',
+            useOcr: true,
+            mistralApiKey: 'key'
+        });
+
+        expect(MistralApiClient).toHaveBeenCalledWith({ apiKey: 'key' });
+        expect(processOcr).toHaveBeenCalledWith(`data:image/png;base64,${png.toString('base64')}`);
+        expect(createWorker).not.toHaveBeenCalled();
+        expect(result.metadata).toMatchObject({ width: 800, height: 600, ocr: 'mistral' });
+        expect(result.content).toContain('## Text\n\n# Invoice\n\nDue today');
+    });
+
+    it('still writes the note when no OCR engine is available', async () => {
+        createWorker.mockImplementation(async () => {
+            throw new Error("Cannot find module 'tesseract.js'");
+        });
+
+        const result = await converter.convertToMarkdown(buildPng(10, 20), { fileName: 'icon.png' });
+
+        expect(result.metadata).toEqual({ title: 'icon', width: 10, height: 20 });
+        expect(result.content).toContain('| Dimensions | 10 × 20 px |');
+        expect(result.content).not.toContain('## Text');
+    });
+
+    it('does not run local OCR without bundled language data', async () => {
+        converter.resolveLanguagePath.mockRestore();
+        const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+        expect(() => converter.resolveLanguagePath('xx-missing')).toThrow('@tesseract.js-data/xx-missing');
+
+        const result = await converter.convertToMarkdown(buildPng(10, 20), { fileName: 'icon.png', ocrLanguage: 'xx-missing' });
+
+        expect(createWorker).not.toHaveBeenCalled();
+        expect(warn).toHaveBeenCalledWith(expect.stringContaining('cannot be recognized offline'));
+        expect(result.content).not.toContain('## Text');
+        warn.mockRestore();
+    });
+});
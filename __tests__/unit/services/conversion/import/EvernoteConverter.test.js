@@ -0,0 +1,100 @@
+/**
+ * Unit tests for EvernoteConverter.js
+ */
+
+const crypto = require('crypto');
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const EvernoteConverter = require('../../../../../src/electron/services/conversion/import/EvernoteConverter');
+
+const IMAGE = Buffer.from('89504e470d0a1a0a0000', 'hex');
+const IMAGE_HASH = crypto.createHash('md5').update(IMAGE).digest('hex');
+
+const ENEX = `<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE en-export SYSTEM "http://xml.evernote.com/pub/evernote-export3.dtd">
+<en-export export-date="20240101T000000Z" application="Evernote">
+<note>
+<title>Trip / Plans</title>
+<content><![CDATA[<?xml version="1.0" encoding="UTF-8"?>
+<!DOCTYPE en-note SYSTEM "http://xml.evernote.com/pub/enml2.dtd">
+<en-note><div><b>Pack</b> bags</div><div><en-todo checked="true"/>Passport</div><div><en-todo/>Tickets</div><en-media type="image/png" hash="${IMAGE_HASH}"/></en-note>]]></content>
+<created>20200115T103000Z</created>
+<updated>20200116T080000Z</updated>
+<tag>travel</tag>
+<tag>todo</tag>
+<resource>
+<data encoding="base64">${IMAGE.toString('base64')}</data>
+<mime>image/png</mime>
+<resource-attributes><file-name>map.png</file-name></resource-attributes>
+</resource>
+</note>
+<note>
+<title>Receipt</title>
+<content><![CDATA[<en-note><div>Paid</div></en-note>]]></content>
+<created>20210101T000000Z</created>
+<resource>
+<data encoding="base64">${Buffer.from('%PDF-1.4').toString('base64')}</data>
+<mime>application/pdf</mime>
+</resource>
+</note>
+</en-export>`;
+
+describe('EvernoteConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new EvernoteConverter();
+    });
+
+    it('writes each note with its tags and dates and indexes them', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(ENEX), { fileName: 'Travel.enex' });
+
+        expect(result.metadata).toEqual({ title: 'Travel', notes: 2, attachments: 2 });
+        expect(result.files.map(file => file.name)).toEqual(['Travel/Trip - Plans.md', 'Travel/Receipt.md']);
+        expect(result.content).toContain('- [Trip / Plans](Travel/Trip%20-%20Plans.md) — 2020-01-15 — #travel #todo');
+
+        const trip = result.files[0].content;
+        expect(trip).toContain('title: Trip / Plans\n');
+        expect(trip).toContain('created: "2020-01-15T10:30:00.000Z"\nupdated: "2020-01-16T08:00:00.000Z"\ntags:\n  - travel\n  - todo\n');
+        expect(trip).toContain('**Pack** bags');
+        expect(trip).toContain('- [x] Passport');
+        expect(trip).toContain('- [ ] Tickets');
+    });
+
+    it('decodes resources into attachments, linking them where the note embeds them', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(ENEX), { fileName: 'Travel.enex' });
+
+        expect(result.images.map(image => image.path)).toEqual(['Travel/attachments/map.png', 'Travel/attachments/resource-1.pdf']);
+        expect(result.images[0].data.equals(IMAGE)).toBe(true);
+        expect(result.files[0].content).toContain('![map.png](attachments/map.png)');
+        expect(result.files[1].content).toContain('## Attachments\n\n- [resource-1.pdf](attachments/resource-1.pdf)');
+    });
+
+    it('renders tables as markdown tables', async () => {
+        const enex = `<?xml version="1.0" encoding="UTF-8"?>
+<en-export><note><title>Budget</title>
+<content><![CDATA[<en-note><div>Costs:</div><table><colgroup><col/><col/></colgroup><tbody>
+<tr><td><div><b>Item</b></div></td><td><div>Cost</div></td></tr>
+<tr><td><div>Flight</div><div>return</div></td><td><div>300 | 350</div></td></tr>
+<tr><td><div>Hotel</div></td></tr>
+</tbody></table></en-note>]]></content>
+</note></en-export>`;
+
+        const result = await converter.convertToMarkdown(Buffer.from(enex), { fileName: 'Budget.enex' });
+
+        expect(result.files[0].content).toContain([
+            'Costs:',
+            '',
+            '| **Item** | Cost |',
+            '| --- | --- |',
+            '| Flight<br>return | 300 \\| 350 |',
+            '| Hotel |  |'
+        ].join('\n'));
+    });
+});
@@ -0,0 +1,102 @@
+/**
+ * Unit tests for NotionExportConverter.js
+ */
+
+const JSZip = require('jszip');
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const NotionExportConverter = require('../../../../../src/electron/services/conversion/import/NotionExportConverter');
+
+const HOME = 'a'.repeat(32);
+const PROJECTS = 'b'.repeat(32);
+const ROADMAP = 'c'.repeat(32);
+const LAUNCH = 'd'.repeat(32);
+
+async function buildExport(folder = '') {
+    const root = new JSZip();
+    const zip = folder ? root.folder(folder) : root;
+    zip.file(`Home ${HOME}.md`, [
+        '# Home',
+        '',
+        `See [Projects](Home%20${HOME}/Projects%20${PROJECTS}.csv) and [Roadmap](Home%20${HOME}/Roadmap%20${ROADMAP}.md#goals).`,
+        `Also [online](https://www.notion.so/Roadmap-${ROADMAP}) and [elsewhere](https://example.com).`,
+        '',
+        `![diagram](Home%20${HOME}/diagram.png)`,
+        ''
+    ].join('\n'));
+    zip.file(`Home ${HOME}/Roadmap ${ROADMAP}.md`, `# Roadmap\n\nBack to [Home](../Home%20${HOME}.md).\n`);
+    zip.file(`Home ${HOME}/Projects ${PROJECTS}.csv`, 'Name,Status\n');
+    zip.file(`Home ${HOME}/Projects ${PROJECTS}_all.csv`, '\uFEFFName,Status\nLaunch,Done\nOther | x,Todo\n');
+    zip.file(`Home ${HOME}/Projects ${PROJECTS}/Launch ${LAUNCH}.md`, `# Launch\n\nPart of [Projects](../Projects%20${PROJECTS}.csv)\n`);
+    zip.file(`Home ${HOME}/diagram.png`, Buffer.from('89504e47', 'hex'));
+    return root.generateAsync({ type: 'nodebuffer' });
+}
+
+describe('NotionExportConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new NotionExportConverter();
+    });
+
+    it('recognizes Notion exports by their id suffixes', async () => {
+        const plain = new JSZip();
+        plain.file('notes/readme.md', '# Readme');
+
+        expect(await converter.isNotionExport(await buildExport())).toBe(true);
+        expect(await converter.isNotionExport(await plain.generateAsync({ type: 'nodebuffer' }))).toBe(false);
+    });
+
+    it('strips ids from names and rewrites links between pages', async () => {
+        const result = await converter.convertToMarkdown(await buildExport(), { fileName: `Export-${HOME}.zip` });
+
+        expect(result.files.map(file => file.name)).toEqual([
+            'Notion Export/Home.md',
+            'Notion Export/Home/Roadmap.md',
+            'Notion Export/Home/Projects.md',
+            'Notion Export/Home/Projects/Launch.md'
+        ]);
+        expect(result.images.map(image => image.path)).toEqual(['Notion Export/Home/diagram.png']);
+        expect(result.files[0].content).toContain('See [Projects](Home/Projects.md) and [Roadmap](Home/Roadmap.md#goals).');
+        expect(result.files[0].content).toContain('Also [online](Home/Roadmap.md) and [elsewhere](https://example.com).');
+        expect(result.files[0].content).toContain('![diagram](Home/diagram.png)');
+        expect(result.files[1].content).toContain('Back to [Home](../Home.md).');
+        expect(result.files[3].content).toContain('Part of [Projects](../Projects.md)');
+        expect(result.content).toContain('- [Home](Notion%20Export/Home.md)');
+    });
+
+    it('turns the complete database CSV into a table linking rows to their pages', async () => {
+        const result = await converter.convertToMarkdown(await buildExport(), { fileName: `Export-${HOME}.zip` });
+        const database = result.files.find(file => file.name === 'Notion Export/Home/Projects.md');
+
+        expect(result.metadata).toEqual({ title: 'Notion Export', pages: 3, databases: 1 });
+        expect(database.content).toBe([
+            '# Projects',
+            '',
+            '| Name | Status |',
+            '| --- | --- |',
+            '| [Launch](Projects/Launch.md) | Done |',
+            '| Other \\| x | Todo |',
+            ''
+        ].join('\n'));
+    });
+
+    it('drops the single folder that wraps a re-zipped export', async () => {
+        const result = await converter.convertToMarkdown(await buildExport('Workspace'), { fileName: 'Workspace.zip' });
+
+        expect(result.files.map(file => file.name)).toEqual([
+            'Workspace/Home.md',
+            'Workspace/Home/Roadmap.md',
+            'Workspace/Home/Projects.md',
+            'Workspace/Home/Projects/Launch.md'
+        ]);
+        expect(result.files[0].content).toContain('See [Projects](Home/Projects.md) and [Roadmap](Home/Roadmap.md#goals).');
+        expect(result.content).toContain('- [Home](Workspace/Home.md)');
+    });
+});
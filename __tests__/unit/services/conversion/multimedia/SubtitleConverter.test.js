@@ -0,0 +1,131 @@
+/**
+ * Unit tests for SubtitleConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const SubtitleConverter = require('../../../../../src/electron/services/conversion/multimedia/SubtitleConverter');
+
+const SRT = [
+    '1',
+    '00:00:01,000 --> 00:00:03,000',
+    '<i>Welcome back</i> to the',
+    'show.',
+    '',
+    '2',
+    '00:00:03,500 --> 00:00:05,000',
+    'Today we talk about tides.',
+    '',
+    '3',
+    '00:00:20,000 --> 00:00:22,250',
+    '{\\an8}Much later.',
+    ''
+].join('\r\n');
+
+const VTT = [
+    'WEBVTT',
+    'Language: en',
+    '',
+    'NOTE recorded live',
+    '',
+    'intro',
+    '00:01.000 --> 00:03.000 align:start',
+    '<v Ann>Hi, I am Ann &amp; this is the news.',
+    '',
+    '00:03.000 --> 00:05.000',
+    '<v Ann>Glad to be here.',
+    '<v.loud Ben>Thanks Ann!</v>',
+    '',
+    '00:05.000 --> 00:07.000',
+    '<v Ben>the weather today is',
+    '',
+    '00:06.000 --> 00:08.000',
+    '<v Ben>the weather today is sunny and warm',
+    ''
+].join('\n');
+
+const ASS = [
+    '[Script Info]',
+    'Title: Demo',
+    '',
+    '[Events]',
+    'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+    'Dialogue: 0,0:00:04.00,0:00:05.50,Default,Bo,0,0,0,,Second line, with a comma',
+    'Comment: 0,0:00:02.00,0:00:03.00,Default,Al,0,0,0,,ignored',
+    'Dialogue: 0,0:00:01.00,0:00:03.00,Default,Al,0,0,0,,{\\i1}First{\\i0}\\Nline',
+    ''
+].join('\n');
+
+describe('SubtitleConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new SubtitleConverter();
+    });
+
+    it('merges SRT cues into timestamped paragraphs in the media transcript layout', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(SRT), { fileName: 'episode.srt' });
+
+        expect(result).toContain('title: "Captions: episode.srt"');
+        expect(result).toContain([
+            '# Captions: episode.srt',
+            '',
+            '## Media Information',
+            '',
+            '| Property | Value |',
+            '| --- | --- |',
+            '| Filename | episode.srt |',
+            '| Type | Captions |',
+            '| Format | srt |'
+        ].join('\n'));
+        expect(result).toContain([
+            '## Transcription',
+            '',
+            '[00:00:01] Welcome back to the show. Today we talk about tides.',
+            '',
+            '[00:00:20] Much later.',
+            '',
+            '### Transcription Details',
+            '',
+            '| Property | Value |',
+            '| --- | --- |',
+            '| Source | SRT captions |',
+            '| Duration | 22 sec |'
+        ].join('\n'));
+    });
+
+    it('keeps VTT voice spans as speakers and collapses rolling captions', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(VTT), {
+            fileName: 'news.vtt',
+            includeTimestamps: false
+        });
+
+        expect(result).toContain([
+            '## Transcription',
+            '',
+            'Ann: Hi, I am Ann & this is the news. Glad to be here.',
+            '',
+            'Ben: Thanks Ann! the weather today is sunny and warm',
+            ''
+        ].join('\n'));
+        expect(result).not.toContain('recorded live');
+        expect(result).toContain('| Speakers | 2 |');
+        expect(result).toContain('| Language | en |');
+    });
+
+    it('reads ASS dialogue in time order with names and override tags removed', async () => {
+        const result = await converter.convertToMarkdown(ASS, { fileName: 'demo.ass' });
+
+        expect(result).toContain([
+            '[00:00:01] Al: First line',
+            '',
+            '[00:00:04] Bo: Second line, with a comma'
+        ].join('\n'));
+        expect(result).not.toContain('ignored');
+    });
+});
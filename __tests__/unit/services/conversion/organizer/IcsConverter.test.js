@@ -0,0 +1,106 @@
+/**
+ * Unit tests for IcsConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const IcsConverter = require('../../../../../src/electron/services/conversion/organizer/IcsConverter');
+
+const CALENDAR = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    'X-WR-CALNAME:Work',
+    'BEGIN:VEVENT',
+    'UID:standup@example.com',
+    'SUMMARY:Standup',
+    'DTSTART;TZID=Europe/Berlin:20240101T093000',
+    'DTEND;TZID=Europe/Berlin:20240101T094500',
+    'RRULE:FREQ=WEEKLY;BYDAY=MO,WE',
+    'EXDATE;TZID=Europe/Berlin:20240103T093000',
+    'LOCATION:Room 1\\, 2nd floor',
+    'ORGANIZER;CN=Alice:mailto:alice@example.com',
+    'ATTENDEE;CN="Bob B";PARTSTAT=ACCEPTED:mailto:bob@example.com',
+    'ATTENDEE;PARTSTAT=NEEDS-ACTION:mailto:carol@example.com',
+    'DESCRIPTION:Daily sync.\\nBring your upd',
+    ' ates.',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:standup@example.com',
+    'RECURRENCE-ID;TZID=Europe/Berlin:20240110T093000',
+    'SUMMARY:Standup (moved)',
+    'DTSTART;TZID=Europe/Berlin:20240110T140000',
+    'DTEND;TZID=Europe/Berlin:20240110T141500',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:review@example.com',
+    'SUMMARY:Review',
+    'DTSTART:20240126T150000Z',
+    'DURATION:PT1H',
+    'RRULE:FREQ=MONTHLY;BYDAY=-1FR;COUNT=3',
+    'END:VEVENT',
+    'BEGIN:VEVENT',
+    'UID:offsite@example.com',
+    'SUMMARY:Offsite',
+    'DTSTART;VALUE=DATE:20240220',
+    'DTEND;VALUE=DATE:20240222',
+    'END:VEVENT',
+    'END:VCALENDAR',
+    ''
+].join('\r\n');
+
+describe('IcsConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new IcsConverter();
+    });
+
+    it('writes one note per event with start, end, attendees and location in the frontmatter', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(CALENDAR), { fileName: 'work.ics', recurrenceHorizon: '2024-01-09' });
+        const standup = result.files.find(file => file.name === 'Work/2024-01-01 Standup.md');
+        const offsite = result.files.find(file => file.name === 'Work/2024-02-20 Offsite.md');
+
+        expect(standup.content).toContain([
+            'start: "2024-01-01T09:30:00"',
+            'end: "2024-01-01T09:45:00"',
+            'timezone: Europe/Berlin',
+            'location: "Room 1, 2nd floor"',
+            'organizer: Alice <alice@example.com>',
+            'attendees:',
+            '  - Bob B <bob@example.com>',
+            '  - carol@example.com',
+            'recurrence: "FREQ=WEEKLY;BYDAY=MO,WE"'
+        ].join('\n'));
+        expect(standup.content).toContain('- Bob B <bob@example.com> — accepted\n- carol@example.com — needs action');
+        expect(standup.content).toContain('## Description\n\nDaily sync.\nBring your updates.');
+        expect(offsite.content).toContain('start: 2024-02-20\nend: 2024-02-21\nall-day: true\n');
+        expect(result.content).toContain('- 2024-01-01 09:30 — [Standup](Work/2024-01-01%20Standup.md) — Room 1, 2nd floor');
+    });
+
+    it('expands recurring events up to the horizon, honoring EXDATE, COUNT and overrides', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(CALENDAR), { fileName: 'work.ics', recurrenceHorizon: '2024-01-18' });
+
+        expect(result.files.map(file => file.name)).toEqual([
+            'Work/2024-01-01 Standup.md',
+            'Work/2024-01-08 Standup.md',
+            'Work/2024-01-10 Standup (moved).md',
+            'Work/2024-01-15 Standup.md',
+            'Work/2024-01-17 Standup.md',
+            'Work/2024-01-26 Review.md',
+            'Work/2024-02-20 Offsite.md'
+        ]);
+        expect(result.metadata).toEqual({ title: 'Work', events: 3, notes: 7 });
+
+        const later = await converter.convertToMarkdown(Buffer.from(CALENDAR), { fileName: 'work.ics', recurrenceHorizon: '2024-12-31' });
+        expect(later.files.filter(file => file.name.endsWith('Review.md')).map(file => file.name)).toEqual([
+            'Work/2024-01-26 Review.md',
+            'Work/2024-02-23 Review.md',
+            'Work/2024-03-29 Review.md'
+        ]);
+    });
+});
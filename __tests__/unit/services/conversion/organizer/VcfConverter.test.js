@@ -0,0 +1,85 @@
+/**
+ * Unit tests for VcfConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+const VcfConverter = require('../../../../../src/electron/services/conversion/organizer/VcfConverter');
+
+const PHOTO = Buffer.from('89504e470d0a1a0a0000', 'hex');
+
+const CONTACTS = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    'FN:Jane Doe',
+    'N:Doe;Jane;;Dr.;',
+    'ORG:Acme Inc.;Research',
+    'TITLE:Lead Scientist',
+    'EMAIL;TYPE=INTERNET,WORK:jane@acme.example',
+    'item1.EMAIL;TYPE=INTERNET:jane@home.example',
+    'TEL;TYPE=CELL:+1 (555) 010-0200',
+    'ADR;TYPE=WORK:;;1 Main St;Springfield;IL;62701;USA',
+    'BDAY:1985-04-12',
+    'CATEGORIES:friends,science',
+    `PHOTO;ENCODING=b;TYPE=PNG:${PHOTO.toString('base64')}`,
+    'END:VCARD',
+    'BEGIN:VCARD',
+    'VERSION:2.1',
+    'N;CHARSET=UTF-8;ENCODING=QUOTED-PRINTABLE:M=C3=BCller;J=C3=BCrgen',
+    'TEL;HOME;VOICE:030 123456',
+    'NOTE;ENCODING=QUOTED-PRINTABLE:Line one=0D=0A=',
+    'Line two',
+    'END:VCARD',
+    ''
+].join('\r\n');
+
+describe('VcfConverter', () => {
+    let converter;
+
+    beforeEach(() => {
+        converter = new VcfConverter();
+    });
+
+    it('writes one note per contact with structured frontmatter and an index', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(CONTACTS), { fileName: 'Friends.vcf' });
+
+        expect(result.metadata).toEqual({ title: 'Friends', contacts: 2 });
+        expect(result.files.map(file => file.name)).toEqual(['Friends/Jane Doe.md', 'Friends/Jürgen Müller.md']);
+        expect(result.files[0].content).toContain([
+            'first-name: Jane',
+            'last-name: Doe',
+            'organization: Acme Inc.',
+            'department: Research',
+            'job-title: Lead Scientist',
+            'emails:',
+            '  - jane@acme.example (work)',
+            '  - jane@home.example',
+            'phones:',
+            '  - +1 (555) 010-0200 (cell)',
+            'addresses:',
+            '  - 1 Main St, 62701 Springfield, IL, USA (work)',
+            'birthday: 1985-04-12',
+            'tags:',
+            '  - friends',
+            '  - science'
+        ].join('\n'));
+        expect(result.content).toContain('- [Jane Doe](Friends/Jane%20Doe.md) — Acme Inc. — jane@acme.example');
+    });
+
+    it('saves embedded photos and reads vCard 2.1 quoted-printable values', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(CONTACTS), { fileName: 'Friends.vcf' });
+
+        expect(result.images).toHaveLength(1);
+        expect(result.images[0].path).toBe('Friends/attachments/Jane Doe.png');
+        expect(result.images[0].data.equals(PHOTO)).toBe(true);
+        expect(result.files[0].content).toContain('![Jane Doe](attachments/Jane%20Doe.png)');
+
+        expect(result.files[1].content).toContain('first-name: Jürgen\nlast-name: Müller\nphones:\n  - 030 123456 (home)\n');
+        expect(result.files[1].content).toContain('## Notes\n\nLine one\nLine two');
+    });
+});
@@ -0,0 +1,156 @@
+/**
+ * Unit tests for HtmlFileConverter.js
+ */
+
+// Mock BaseService to prevent its IPC logic
+jest.mock('../../../../../src/electron/services/BaseService', () => {
+    return class MockBaseService {
+        registerHandler() {}
+    };
+});
+
+// The converter must never start a browser
+jest.mock('puppeteer', () => ({
+    launch: jest.fn(() => {
+        throw new Error('puppeteer should not be launched');
+    })
+}));
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs-extra');
+const { pathToFileURL } = require('url');
+const HtmlFileConverter = require('../../../../../src/electron/services/conversion/web/HtmlFileConverter');
+
+const SAVED_PAGE = [
+    '<!DOCTYPE html>',
+    '<!-- saved from url=(0027)https://example.com/article -->',
+    '<html><head><meta charset="windows-1252"><title>Café notes</title>',
+    '<meta name="author" content="Jane Roe"><script>track()</script></head>',
+    '<body><nav>Menu</nav><article><h1>Heading</h1>',
+    '<p>Hello <b>world</b>, see <a href="other.html">the next page</a>.</p>',
+    '<img src="Saved%20Page_files/logo.png" alt="Logo">',
+    '<img src="https://cdn.example.com/remote.png" alt="Remote">',
+    '<img src="data:image/gif;base64,R0lGODlhAQABAAAAACw=" alt="Dot">',
+    '</article></body></html>'
+].join('\n');
+
+describe('HtmlFileConverter', () => {
+    let converter;
+    let tempDir;
+    let sourcePath;
+
+    beforeEach(async () => {
+        converter = new HtmlFileConverter();
+        tempDir = await fs.mkdtemp(path.join(os.tmpdir(), 'html-file-test-'));
+        sourcePath = path.join(tempDir, 'Saved Page.html');
+        await fs.outputFile(path.join(tempDir, 'Saved Page_files', 'logo.png'), Buffer.from('fake-png'));
+        await fs.writeFile(sourcePath, Buffer.from(SAVED_PAGE, 'latin1'));
+    });
+
+    afterEach(async () => {
+        await fs.remove(tempDir);
+    });
+
+    it('converts the main content using the declared charset', async () => {
+        const result = await converter.convertToMarkdown(await fs.readFile(sourcePath), {
+            fileName: 'Saved Page.html',
+            sourcePath
+        });
+
+        expect(result.metadata.title).toBe('Café notes');
+        expect(result.content).toContain('fileType: html');
+        expect(result.content).toContain('| Saved From | [https://example.com/article](https://example.com/article) |');
+        expect(result.content).toContain('| Author | Jane Roe |');
+        expect(result.content).toContain('Hello **world**, see [the next page](other.html).');
+        expect(result.content).not.toContain('Menu');
+        expect(result.content).not.toContain('track()');
+    });
+
+    it('copies local and inline images and keeps remote ones as links', async () => {
+        const result = await converter.convertToMarkdown(await fs.readFile(sourcePath), {
+            fileName: 'Saved Page.html',
+            sourcePath
+        });
+
+        expect(result.images.map(image => image.path)).toEqual([
+            'attachments/saved-page-logo.png',
+            'attachments/saved-page-inline.gif'
+        ]);
+        expect(result.images[0].data.toString()).toBe('fake-png');
+        expect(result.content).toContain('![Logo](attachments/saved-page-logo.png)');
+        expect(result.content).toContain('![Remote](https://cdn.example.com/remote.png)');
+    });
+
+    it('leaves relative images untouched when the file location is unknown', async () => {
+        const result = await converter.convertToMarkdown(Buffer.from(SAVED_PAGE, 'latin1'), {
+            fileName: 'Saved Page.html'
+        });
+
+        expect(result.images.map(image => image.path)).toEqual(['attachments/saved-page-inline.gif']);
+        expect(result.content).toContain('![Logo](Saved%20Page_files/logo.png)');
+    });
+
+    it('keeps inline SVG that is not percent-encoded as written', async () => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        const svg = '<svg xmlns="http://www.w3.org/2000/svg" width="100%"></svg>';
+
+        const result = await converter.convertToMarkdown(Buffer.from(`<html><body><article><p>Chart</p><img src='data:image/svg+xml;utf8,${svg}' alt="Chart"></article></body></html>`), {
+            fileName: 'chart.html'
+        });
+
+        expect(result.images.map(image => image.path)).toEqual(['attachments/chart-inline.svg']);
+        expect(result.images[0].data.toString()).toBe(svg);
+        expect(result.content).toContain('![Chart](attachments/chart-inline.svg)');
+        console.warn.mockRestore();
+    });
+
+    describe('local image access', () => {
+        let pageDir;
+        let pagePath;
+
+        const convertPage = (body) => converter.convertToMarkdown(Buffer.from(`<html><body><article>${body}</article></body></html>`), {
+            fileName: 'page.html',
+            sourcePath: pagePath
+        });
+
+        beforeEach(async () => {
+            pageDir = path.join(tempDir, 'site');
+            pagePath = path.join(pageDir, 'page.html');
+            await fs.outputFile(path.join(tempDir, 'secret.png'), Buffer.from('private key'));
+            await fs.outputFile(path.join(pageDir, 'page_files', 'photo.png'), Buffer.from('fake-png'));
+            await fs.outputFile(path.join(pageDir, 'page_files', 'notes.txt'), Buffer.from('not an image'));
+            await fs.outputFile(path.join(pageDir, 'page_files', 'scan'), Buffer.from('GIF89a-image-data'));
+        });
+
+        it('does not read relative paths that escape the page folder', async () => {
+            const result = await convertPage('<p>Text</p><img src="../secret.png" alt="Escape"><img src="page_files/../../secret.png" alt="Nested">');
+
+            expect(result.images).toEqual([]);
+            expect(result.content).toContain('![Escape](../secret.png)');
+            expect(result.content).not.toContain('private key');
+        });
+
+        it('does not read absolute file URLs outside the page folder', async () => {
+            const secretUrl = pathToFileURL(path.join(tempDir, 'secret.png')).href;
+            const result = await convertPage(`<p>Text</p><img src="${secretUrl}" alt="Absolute">`);
+
+            expect(result.images).toEqual([]);
+            expect(result.content).toContain(`![Absolute](${secretUrl})`);
+        });
+
+        it('copies file URLs inside the page folder', async () => {
+            const photoUrl = pathToFileURL(path.join(pageDir, 'page_files', 'photo.png')).href;
+            const result = await convertPage(`<p>Text</p><img src="${photoUrl}" alt="Photo">`);
+
+            expect(result.images.map(image => image.path)).toEqual(['attachments/page-photo.png']);
+        });
+
+        it('only copies files that are images by extension or signature', async () => {
+            const result = await convertPage('<p>Text</p><img src="page_files/notes.txt" alt="Notes"><img src="page_files/scan" alt="Scan">');
+
+            expect(result.images.map(image => image.path)).toEqual(['attachments/page-scan.png']);
+            expect(result.content).toContain('![Notes](page_files/notes.txt)');
+        });
+    });
+});
@@ -0,0 +1,74 @@
+/**
+ * Unit tests for encoding.js
+ */
+
+const { detectEncoding, decodeText } = require('../../../../src/electron/utils/files/encoding');
+
+/**
+ * Encode a string as UTF-16BE
+ * @param {string} text - Text to encode
+ * @returns {Buffer} Big-endian bytes
+ */
+function utf16be(text) {
+    return Buffer.from(text, 'utf16le').swap16();
+}
+
+describe('encoding', () => {
+    describe('byte order marks', () => {
+        it('strips a UTF-8 BOM', () => {
+            const buffer = Buffer.concat([Buffer.from([0xEF, 0xBB, 0xBF]), Buffer.from('Grüße')]);
+
+            expect(detectEncoding(buffer)).toEqual({ encoding: 'utf-8', bomLength: 3 });
+            expect(decodeText(buffer)).toEqual({ text: 'Grüße', encoding: 'utf-8' });
+        });
+
+        it('decodes UTF-16LE with a BOM', () => {
+            const buffer = Buffer.concat([Buffer.from([0xFF, 0xFE]), Buffer.from('Grüße', 'utf16le')]);
+
+            expect(detectEncoding(buffer)).toEqual({ encoding: 'utf-16le', bomLength: 2 });
+            expect(decodeText(buffer)).toEqual({ text: 'Grüße', encoding: 'utf-16le' });
+        });
+
+        it('decodes UTF-16BE with a BOM', () => {
+            const buffer = Buffer.concat([Buffer.from([0xFE, 0xFF]), utf16be('Grüße')]);
+
+            expect(detectEncoding(buffer)).toEqual({ encoding: 'utf-16be', bomLength: 2 });
+            expect(decodeText(buffer)).toEqual({ text: 'Grüße', encoding: 'utf-16be' });
+        });
+    });
+
+    describe('UTF-16 without a BOM', () => {
+        it('detects mostly-ASCII text from its NUL bytes', () => {
+            expect(decodeText(Buffer.from('Plain notes\r\n', 'utf16le'))).toEqual({ text: 'Plain notes\r\n', encoding: 'utf-16le' });
+            expect(decodeText(utf16be('Plain notes\r\n'))).toEqual({ text: 'Plain notes\r\n', encoding: 'utf-16be' });
+        });
+
+        it('detects non-Latin text without NUL bytes', () => {
+            expect(decodeText(Buffer.from('日本語のテキストです', 'utf16le'))).toEqual({ text: '日本語のテキストです', encoding: 'utf-16le' });
+            expect(decodeText(utf16be('日本語のテキストです'))).toEqual({ text: '日本語のテキストです', encoding: 'utf-16be' });
+        });
+
+        it('detects Cyrillic text whose bytes are also valid UTF-8', () => {
+            expect(decodeText(Buffer.from('Привет, мир', 'utf16le'))).toEqual({ text: 'Привет, мир', encoding: 'utf-16le' });
+        });
+    });
+
+    describe('fallbacks', () => {
+        it('prefers valid UTF-8', () => {
+            expect(decodeText(Buffer.from('日本語のテキストです'))).toEqual({ text: '日本語のテキストです', encoding: 'utf-8' });
+            expect(decodeText(Buffer.from('tab\tand escape \u001b kept'))).toEqual({ text: 'tab\tand escape \u001b kept', encoding: 'utf-8' });
+        });
+
+        it('decodes invalid UTF-8 as Windows-1252', () => {
+            const buffer = Buffer.from([0x93, 0x43, 0x61, 0x66, 0xE9, 0x94, 0x20, 0x80, 0x35, 0x20, 0x96, 0x20, 0x63, 0x72, 0xE8, 0x6D, 0x65]);
+
+            expect(decodeText(buffer)).toEqual({ text: '“Café” €5 – crème', encoding: 'latin1' });
+            expect(decodeText(Buffer.from([0xE9]))).toEqual({ text: 'é', encoding: 'latin1' });
+        });
+
+        it('uses a forced encoding and passes strings through', () => {
+            expect(decodeText(Buffer.from('Grüße', 'latin1'), 'latin1').text).toBe('Grüße');
+            expect(decodeText('already text')).toEqual({ text: 'already text', encoding: 'utf-8' });
+        });
+    });
+});
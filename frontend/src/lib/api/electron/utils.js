@@ -44,10 +44,13 @@ export function normalizeUrl(url) {
  * Maps file extensions to their appropriate types
  */
 export const fileCategories = {
-  documents: ['pdf', 'docx', 'pptx', 'html', 'htm'],
+  documents: ['pdf', 'docx', 'pptx', 'odt', 'odp', 'epub', 'ipynb', 'rtf', 'txt', 'md', 'html', 'htm', 'eml', 'mbox', 'srt', 'vtt', 'ass', 'ssa', 'enex', 'rst', 'rest', 'org', 'adoc', 'asciidoc'],
   audio: ['mp3', 'wav', 'm4a', 'flac', 'ogg'],
   video: ['mp4', 'webm', 'avi', 'mov', 'mkv'],
-  data: ['csv', 'xlsx']
+  images: ['png', 'jpg', 'jpeg', 'tif', 'tiff', 'webp'],
+  data: ['csv', 'xlsx', 'ods', 'json', 'yaml', 'yml', 'ics', 'vcf'],
+  archives: ['zip', 'tar', 'tgz', 'gz'],
+  code: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'go', 'rs', 'java', 'kt', 'kts', 'scala', 'cs', 'swift', 'c', 'h', 'cpp', 'cc', 'cxx', 'hpp', 'rb', 'php', 'sh', 'bash', 'zsh', 'lua', 'sql']
 };
 
 /**
@@ -64,10 +64,13 @@ export const CONFIG = {
 
     FILES: {
         CATEGORIES: {
-            documents: ['pdf', 'docx', 'pptx'],
+            documents: ['pdf', 'docx', 'pptx', 'odt', 'odp', 'epub', 'ipynb', 'rtf', 'txt', 'md', 'html', 'htm', 'eml', 'mbox', 'srt', 'vtt', 'ass', 'ssa', 'enex', 'rst', 'rest', 'org', 'adoc', 'asciidoc'],
             audio: ['mp3', 'wav', 'ogg', 'm4a', 'aac', 'wma'],
             video: ['mp4', 'mov', 'avi', 'mkv', 'webm'],
-            data: ['csv', 'xlsx']
+            images: ['png', 'jpg', 'jpeg', 'tif', 'tiff', 'webp'],
+            data: ['csv', 'xlsx', 'ods', 'json', 'yaml', 'yml', 'ics', 'vcf'],
+            archives: ['zip', 'tar', 'tgz', 'gz'],
+            code: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'go', 'rs', 'java', 'kt', 'kts', 'scala', 'cs', 'swift', 'c', 'h', 'cpp', 'cc', 'cxx', 'hpp', 'rb', 'php', 'sh', 'bash', 'zsh', 'lua', 'sql']
         },
             TYPES: {
                 // Document types
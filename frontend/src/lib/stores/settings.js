@@ -28,6 +28,19 @@ const DEFAULT_SETTINGS = {
   },
   websiteScraping: {
     saveMode: 'combined'
+  },
+  docx: {
+    activeProfile: 'Default',
+    profiles: {
+      Default: { styleMappings: [], trackedChanges: 'accept', comments: 'callout', complexTables: 'html' }
+    }
+  },
+  conversion: {
+    splitChapters: false,
+    dataKeyPath: '',
+    notebookOutputLines: 50,
+    calendarHorizonDays: 365,
+    subtitleTimestamps: true
   }
 };
 
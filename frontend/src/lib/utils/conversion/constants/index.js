@@ -30,9 +30,11 @@ export const TEMP_FILE_CONFIG = {
 };
 
 export const BINARY_FILE_EXTENSIONS = [
-    'pdf', 'pptx', 'docx', 'xlsx',
-    'jpg', 'jpeg', 'png', 'gif',
-    'mp3', 'mp4', 'wav', 'webm', 'avi'
+    'pdf', 'pptx', 'docx', 'xlsx', 'odt', 'ods', 'odp', 'epub', 'ipynb', 'rtf', 'txt', 'md', 'html', 'htm', 'eml', 'mbox', 'srt', 'vtt', 'ass', 'ssa', 'enex', 'rst', 'rest', 'org', 'adoc', 'asciidoc', 'json', 'yaml', 'yml', 'ics', 'vcf',
+    'jpg', 'jpeg', 'png', 'gif', 'tif', 'tiff', 'webp',
+    'mp3', 'mp4', 'wav', 'webm', 'avi',
+    'zip', 'tar', 'tgz', 'gz',
+    'js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'go', 'rs', 'java', 'kt', 'kts', 'scala', 'cs', 'swift', 'c', 'h', 'cpp', 'cc', 'cxx', 'hpp', 'rb', 'php', 'sh', 'bash', 'zsh', 'lua', 'sql'
 ];
 
 export const MIME_TYPES = {
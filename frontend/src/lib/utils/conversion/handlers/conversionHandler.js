@@ -14,6 +14,9 @@ import { storeManager } from '../manager/storeManager.js';
 import { CONVERSION_STATUSES, FILE_TYPES } from '../constants';
 import { getFileHandlingInfo } from '@lib/utils/files';
 
+// Dropped files of these types convert from their path so files saved next to them can be read
+const PATH_BASED_TYPES = ['html', 'htm'];
+
 // Map old Phase constants to new ConversionState constants for backward compatibility
 const Phase = {
     PREPARE: ConversionState.STATUS.PREPARING,
@@ -268,10 +271,17 @@ class ConversionHandler {
                 });
             }
 
-            if (item.isNative && item.path) {
+            // Electron exposes the native path of dropped files as File.path
+            const nativePath = item.isNative && item.path
+                ? item.path
+                : (item.file instanceof File && item.file.path && PATH_BASED_TYPES.includes(fileInfo.fileType)
+                    ? item.file.path
+                    : null);
+
+            if (nativePath) {
                 // Native file path - use unified file converter
                 result = await electronClient.convertFile(
-                    item.path,
+                    nativePath,
                     conversionOptions,
                     progress => {
                         storeManager.updateConversionStatus(CONVERSION_STATUSES.CONVERTING, progress);
@@ -769,10 +769,81 @@ const FILE_TYPE_CATEGORIES = {
   pdf: 'document',
   docx: 'document',
   pptx: 'document',
+  odt: 'document',
+  odp: 'document',
+  epub: 'document',
+  ipynb: 'document',
+  rtf: 'document',
+  txt: 'document',
+  md: 'document',
+  html: 'document',
+  htm: 'document',
+  eml: 'document',
+  mbox: 'document',
+  srt: 'document',
+  vtt: 'document',
+  ass: 'document',
+  ssa: 'document',
+  enex: 'document',
+  rst: 'document',
+  rest: 'document',
+  org: 'document',
+  adoc: 'document',
+  asciidoc: 'document',
+  
+  // Image files
+  png: 'image',
+  jpg: 'image',
+  jpeg: 'image',
+  tif: 'image',
+  tiff: 'image',
+  webp: 'image',
   
   // Data files
   xlsx: 'data',
+  ods: 'data',
   csv: 'data',
+  json: 'data',
+  yaml: 'data',
+  yml: 'data',
+  ics: 'data',
+  vcf: 'data',
+  
+  // Archive files
+  zip: 'archive',
+  tar: 'archive',
+  tgz: 'archive',
+  gz: 'archive',
+  
+  // Source code files
+  js: 'document',
+  jsx: 'document',
+  mjs: 'document',
+  cjs: 'document',
+  ts: 'document',
+  tsx: 'document',
+  py: 'document',
+  go: 'document',
+  rs: 'document',
+  java: 'document',
+  kt: 'document',
+  kts: 'document',
+  scala: 'document',
+  cs: 'document',
+  swift: 'document',
+  c: 'document',
+  h: 'document',
+  cpp: 'document',
+  cc: 'document',
+  cxx: 'document',
+  hpp: 'document',
+  rb: 'document',
+  php: 'document',
+  sh: 'document',
+  bash: 'document',
+  zsh: 'document',
+  lua: 'document',
+  sql: 'document',
   
   // Web content
   url: 'web',
@@ -857,8 +928,8 @@ class UnifiedConverterFactory {
             validate: (input) => typeof input === 'string' && input.length > 0,
             config: {
               name: normalizedType === 'url' ? 'Web Page' : 'Website',
-              extensions: ['.url', '.html', '.htm'],
-              mimeTypes: ['text/html', 'application/x-url'],
+              extensions: ['.url'],
+              mimeTypes: ['application/x-url'],
               maxSize: 10 * 1024 * 1024
             }
           },
@@ -1048,8 +1119,8 @@ class UnifiedConverterFactory {
         validate: (input) => typeof input === 'string' && input.length > 0,
         config: {
           name: fileType === 'url' ? 'Web Page' : 'Website',
-          extensions: ['.url', '.html', '.htm'],
-          mimeTypes: ['text/html', 'application/x-url'],
+          extensions: ['.url'],
+          mimeTypes: ['application/x-url'],
           maxSize: 10 * 1024 * 1024
         }
       },
@@ -1161,6 +1232,8 @@ class UnifiedConverterFactory {
             ...(result.metadata || {})
         },
         images: result.images || [],
+        // Keep additional notes intact; the sanitized copy truncates nested metadata
+        files: result.files,
         // Ensure content exists, provide fallback if needed
         content: result.content || (isSuccess ? '' : `# Conversion Result\n\nThe ${fileType} file was processed, but no content was generated. This might indicate an issue or be normal for this file type.`),
         // Ensure error property is present if not successful
@@ -1399,6 +1472,8 @@ class UnifiedConverterFactory {
         ...options,
         name: fileName,
         originalFileName: fileName, // Explicitly pass originalFileName
+        // Lets converters resolve files that sit next to the input (e.g. saved page assets)
+        sourcePath: Buffer.isBuffer(filePath) ? null : filePath,
         metadata: {
           ...(options.metadata || {}),
           originalFileName: fileName // Also add originalFileName to metadata
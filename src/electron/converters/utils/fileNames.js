@@ -0,0 +1,68 @@
+/**
+ * fileNames.js
+ *
+ * Utility functions for naming the notes and attachments converters return.
+ * Keeps slugs, note names and de-duplicated paths the same across converters.
+ *
+ * Related files:
+ * - src/electron/services/ConversionResultManager.js: Writes files under these names
+ * - src/electron/services/conversion/: Converters that name their output with these helpers
+ */
+
+const path = require('path');
+
+// Characters not allowed in note file names on Windows or in Obsidian links
+const UNSAFE_NAME_CHARS = /[\\/:*?"<>|#^[\]]/g;
+
+/**
+ * Turn text into a lowercase, dash-separated slug for generated file names
+ * @param {string} text - Text to slugify, usually a title or base file name
+ * @returns {string} - Slug of at most 50 characters, empty if nothing is left
+ */
+function slugify(text) {
+  return (text || '')
+    // Keep the base letters of accented characters
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .substring(0, 50)
+    .replace(/-+$/, '');
+}
+
+/**
+ * Make a readable note or folder name safe for the file system and Obsidian links
+ * @param {string} name - Name to clean, usually a title
+ * @returns {string} - Name without unsafe characters, empty if nothing is left
+ */
+function sanitizeName(name) {
+  return String(name || '')
+    .replace(UNSAFE_NAME_CHARS, '-')
+    .replace(/\s+/g, ' ')
+    .replace(/^[.\s]+|[.\s]+$/g, '')
+    .slice(0, 120);
+}
+
+/**
+ * Add a numeric suffix to a path until it is not taken, ignoring case, and reserve it
+ * @param {string} target - Wanted output path
+ * @param {Set<string>} taken - Lowercased paths already in use, updated in place
+ * @returns {string} - The target or "<name> 2.ext", "<name> 3.ext", ...
+ */
+function uniquePath(target, taken) {
+  const ext = path.posix.extname(target);
+  const stem = target.slice(0, target.length - ext.length);
+  let candidate = target;
+  for (let n = 2; taken.has(candidate.toLowerCase()); n++) {
+    candidate = `${stem} ${n}${ext}`;
+  }
+  taken.add(candidate.toLowerCase());
+  return candidate;
+}
+
+module.exports = {
+  slugify,
+  sanitizeName,
+  uniquePath
+};
@@ -30,6 +30,18 @@ function createStandardMetadata(options) {
   return metadata;
 }
 
+/**
+ * Drop the fields ConversionResultManager sets itself from converter metadata
+ * @param {object} metadata - Metadata built with createStandardMetadata
+ * @returns {object} - Copy of the metadata without converted and fileType
+ */
+function stripStandardFields(metadata) {
+  const rest = { ...metadata };
+  delete rest.converted;
+  delete rest.fileType;
+  return rest;
+}
+
 /**
  * Format metadata as YAML frontmatter
  * @param {object} metadata - Metadata object to format
@@ -135,6 +147,7 @@ function cleanTemporaryFilename(filename) {
 
 module.exports = {
   createStandardMetadata,
+  stripStandardFields,
   formatMetadata,
   createStandardFrontmatter,
   extractMetadata,
@@ -159,8 +159,11 @@ class TrayManager {
     dialog.showOpenDialog(this.window, {
       properties: ['openFile', 'multiSelections'],
       filters: [
-        { name: 'Documents', extensions: ['pdf', 'docx', 'pptx', 'xlsx', 'csv'] },
+        { name: 'Documents', extensions: ['pdf', 'docx', 'pptx', 'odt', 'odp', 'epub', 'ipynb', 'rtf', 'txt', 'md', 'html', 'htm', 'eml', 'mbox', 'srt', 'vtt', 'ass', 'ssa', 'enex', 'rst', 'rest', 'org', 'adoc', 'asciidoc', 'xlsx', 'ods', 'csv', 'json', 'yaml', 'yml', 'ics', 'vcf'] },
+        { name: 'Images', extensions: ['png', 'jpg', 'jpeg', 'tif', 'tiff', 'webp'] },
         { name: 'Media', extensions: ['mp3', 'mp4', 'wav', 'avi', 'mov'] },
+        { name: 'Archives', extensions: ['zip', 'tar', 'tgz', 'gz'] },
+        { name: 'Source Code', extensions: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'go', 'rs', 'java', 'kt', 'kts', 'scala', 'cs', 'swift', 'c', 'h', 'cpp', 'cc', 'cxx', 'hpp', 'rb', 'php', 'sh', 'bash', 'zsh', 'lua', 'sql'] },
         { name: 'All Files', extensions: ['*'] }
       ]
     }).then(result => {
@@ -35,6 +35,60 @@ function registerConversionHandlers() {
                 console.log(`[Conversion Handler] Final options:`, options);
             }
             
+            // Get DOCX style mappings and modes from the active settings profile if not already provided
+            if (options && ['docx', 'doc'].includes(options.fileType)) {
+                const { getSettingValue } = require('../settings');
+                const activeProfile = getSettingValue('docx.activeProfile', 'Default');
+                const profile = getSettingValue('docx.profiles', {})[activeProfile] || {};
+                if (options.styleMappings === undefined) {
+                    options.styleMappings = profile.styleMappings || [];
+                }
+                ['trackedChanges', 'comments', 'complexTables'].forEach(mode => {
+                    if (options[mode] === undefined && profile[mode]) {
+                        options[mode] = profile[mode];
+                    }
+                });
+                console.log(`[Conversion Handler] DOCX conversion with ${options.styleMappings.length} style mappings from profile ${activeProfile}`);
+            }
+            
+            // Get the chapter splitting setting for e-books and PDFs if not already provided
+            if (options && ['epub', 'pdf'].includes(options.fileType) && options.splitChapters === undefined) {
+                const { getSettingValue } = require('../settings');
+                options.splitChapters = getSettingValue('conversion.splitChapters', false);
+                console.log(`[Conversion Handler] ${options.fileType.toUpperCase()} conversion with chapter splitting ${options.splitChapters ? 'enabled' : 'disabled'}`);
+            }
+            
+            // Get the data key path for JSON and YAML files if not already provided
+            if (options && ['json', 'yaml', 'yml'].includes(options.fileType) && options.keyPath === undefined) {
+                const { getSettingValue } = require('../settings');
+                const keyPath = getSettingValue('conversion.dataKeyPath', '');
+                if (keyPath) {
+                    options.keyPath = keyPath;
+                    console.log(`[Conversion Handler] ${options.fileType.toUpperCase()} conversion with key path ${keyPath}`);
+                }
+            }
+            
+            // Get the notebook output limit if not already provided
+            if (options && options.fileType === 'ipynb' && options.maxOutputLines === undefined) {
+                const { getSettingValue } = require('../settings');
+                options.maxOutputLines = getSettingValue('conversion.notebookOutputLines', 50);
+                console.log(`[Conversion Handler] Notebook conversion keeping ${options.maxOutputLines || 'all'} output lines`);
+            }
+
+            // Get the recurring event horizon if not already provided
+            if (options && options.fileType === 'ics' && options.recurrenceHorizon === undefined) {
+                const { getSettingValue } = require('../settings');
+                options.recurrenceHorizon = getSettingValue('conversion.calendarHorizonDays', 365);
+                console.log(`[Conversion Handler] Calendar conversion expanding recurring events ${options.recurrenceHorizon} days ahead`);
+            }
+
+            // Get the subtitle timestamp setting if not already provided
+            if (options && ['srt', 'vtt', 'ass', 'ssa'].includes(options.fileType) && options.includeTimestamps === undefined) {
+                const { getSettingValue } = require('../settings');
+                options.includeTimestamps = getSettingValue('conversion.subtitleTimestamps', true);
+                console.log(`[Conversion Handler] Subtitle conversion with timestamps ${options.includeTimestamps ? 'enabled' : 'disabled'}`);
+            }
+            
             // Handle URL conversions
             if (options && (options.type === 'url' || options.type === 'parenturl')) {
                 const isParentUrl = options.type === 'parenturl';
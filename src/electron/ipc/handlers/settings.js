@@ -22,6 +22,27 @@ const DEFAULT_SETTINGS = {
   },
   transcription: {
     model: 'whisper'
+  },
+  docx: {
+    // Named profiles of paragraph style mappings ({ style, target, calloutType }),
+    // tracked changes ("accept", "reject" or "show"), comments ("callout", "section" or "omit")
+    // and tables with merged cells ("html" or "expand")
+    activeProfile: 'Default',
+    profiles: {
+      Default: { styleMappings: [], trackedChanges: 'accept', comments: 'callout', complexTables: 'html' }
+    }
+  },
+  conversion: {
+    // Write one note per chapter plus an index note (EPUB, and PDF by top-level bookmark)
+    splitChapters: false,
+    // Subtree of JSON and YAML files to render, e.g. "data.items" (empty renders everything)
+    dataKeyPath: '',
+    // Lines kept per Jupyter cell output before truncating (0 keeps everything)
+    notebookOutputLines: 50,
+    // Days from today that recurring calendar events are expanded to
+    calendarHorizonDays: 365,
+    // Prefix subtitle transcript paragraphs with their start time
+    subtitleTimestamps: true
   }
 };
 
@@ -12,6 +12,26 @@ const errorHandlers = {
     unhandledRejection: new Map()
 };
 
+// Whether the process listeners that run the handlers above are installed
+let processListenersInstalled = false;
+
+/**
+ * Install one process listener per event that runs every service's handler, so the
+ * number of services does not count against the process listener limit
+ */
+function installProcessListeners() {
+    if (processListenersInstalled) {
+        return;
+    }
+    processListenersInstalled = true;
+
+    Object.keys(errorHandlers).forEach(eventName => {
+        process.on(eventName, (...args) => {
+            errorHandlers[eventName].forEach(handler => handler(...args));
+        });
+    });
+}
+
 // Set higher max listeners to avoid warnings
 process.setMaxListeners(20);
 
@@ -42,13 +62,14 @@ class BaseService {
      * Ensures errors are properly logged and propagated.
      */
     setupErrorHandling() {
+        installProcessListeners();
+
         // Only register handlers once per service name to avoid duplicates
         if (!errorHandlers.uncaughtException.has(this.serviceName)) {
             const uncaughtHandler = (error) => {
                 console.error(`[${this.serviceName}] Uncaught Exception:`, error);
             };
             errorHandlers.uncaughtException.set(this.serviceName, uncaughtHandler);
-            process.on('uncaughtException', uncaughtHandler);
         }
 
         if (!errorHandlers.unhandledRejection.has(this.serviceName)) {
@@ -56,7 +77,6 @@ class BaseService {
                 console.error(`[${this.serviceName}] Unhandled Rejection:`, reason);
             };
             errorHandlers.unhandledRejection.set(this.serviceName, rejectionHandler);
-            process.on('unhandledRejection', rejectionHandler);
         }
     }
 
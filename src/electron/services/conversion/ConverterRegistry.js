@@ -275,12 +275,37 @@ ConverterRegistry.prototype.setupConverters = function() {
         // Import converters from the new location
         const CsvConverter = require('./data/CsvConverter');
         const XlsxConverter = require('./data/XlsxConverter');
+        const JsonYamlConverter = require('./data/JsonYamlConverter');
         const MediaConverter = require('./multimedia/MediaConverter');
+        const SubtitleConverter = require('./multimedia/SubtitleConverter');
         const PdfFactory = require('./document/PdfConverterFactory');
         const DocxConverter = require('./document/DocxConverter');
         const PptxConverter = require('./document/PptxConverter');
+        const OdtConverter = require('./document/OdtConverter');
+        const OdpConverter = require('./document/OdpConverter');
+        const OdsConverter = require('./data/OdsConverter');
+        const EpubConverter = require('./document/EpubConverter');
+        const JupyterConverter = require('./document/JupyterConverter');
+        const RtfConverter = require('./document/RtfConverter');
+        const TextConverter = require('./document/TextConverter');
+        const MarkdownConverter = require('./document/MarkdownConverter');
         const UrlConverter = require('./web/UrlConverter');
         const ParentUrlConverter = require('./web/ParentUrlConverter');
+        const HtmlFileConverter = require('./web/HtmlFileConverter');
+        const EmailConverter = require('./email/EmailConverter');
+        const ImageConverter = require('./image/ImageConverter');
+        const ArchiveConverter = require('./archive/ArchiveConverter');
+        const SourceCodeConverter = require('./code/SourceCodeConverter');
+        const EvernoteConverter = require('./import/EvernoteConverter');
+        const NotionExportConverter = require('./import/NotionExportConverter');
+        const IcsConverter = require('./organizer/IcsConverter');
+        const VcfConverter = require('./organizer/VcfConverter');
+        const SlackExportConverter = require('./chat/SlackExportConverter');
+        const WhatsAppConverter = require('./chat/WhatsAppConverter');
+        const DiscordConverter = require('./chat/DiscordConverter');
+        const RstConverter = require('./document/RstConverter');
+        const OrgConverter = require('./document/OrgConverter');
+        const AsciiDocConverter = require('./document/AsciiDocConverter');
 
         // Import singleton service instances
         const fileProcessorServiceInstance = require('../storage/FileProcessorService');
@@ -290,17 +315,42 @@ ConverterRegistry.prototype.setupConverters = function() {
         // Create instances of converter classes, passing singleton dependencies
         const csvConverterInstance = new CsvConverter();
         const xlsxConverterInstance = new XlsxConverter();
+        const jsonYamlConverterInstance = new JsonYamlConverter(fileProcessorServiceInstance);
         // Pass the singleton instances to the constructors
         const mediaConverterInstance = new MediaConverter(this, fileProcessorServiceInstance, fileStorageServiceInstance);
+        const subtitleConverterInstance = new SubtitleConverter(fileProcessorServiceInstance);
         const pdfConverterFactory = new PdfFactory();
         const docxConverterInstance = new DocxConverter();
         const pptxConverterInstance = new PptxConverter();
+        const odtConverterInstance = new OdtConverter(fileProcessorServiceInstance, fileStorageServiceInstance);
+        const odpConverterInstance = new OdpConverter(fileProcessorServiceInstance, fileStorageServiceInstance);
+        const odsConverterInstance = new OdsConverter(fileProcessorServiceInstance, fileStorageServiceInstance);
+        const epubConverterInstance = new EpubConverter(fileProcessorServiceInstance, fileStorageServiceInstance);
+        const jupyterConverterInstance = new JupyterConverter(fileProcessorServiceInstance);
+        const rtfConverterInstance = new RtfConverter(fileProcessorServiceInstance);
+        const textConverterInstance = new TextConverter(fileProcessorServiceInstance);
+        const markdownConverterInstance = new MarkdownConverter(fileProcessorServiceInstance);
         
         // Instantiate URL converters with singleton dependencies (or mocks if appropriate)
         // Note: URL converters might not need the full file services, using mocks might still be okay here
         // Using singletons for consistency, but could revert to mocks if needed.
         const urlConverterInstance = new UrlConverter(fileProcessorServiceInstance, fileStorageServiceInstance);
         const parentUrlConverterInstance = new ParentUrlConverter(fileProcessorServiceInstance, fileStorageServiceInstance);
+        const htmlFileConverterInstance = new HtmlFileConverter(fileProcessorServiceInstance, fileStorageServiceInstance);
+        const emailConverterInstance = new EmailConverter(fileProcessorServiceInstance);
+        const imageConverterInstance = new ImageConverter(fileProcessorServiceInstance);
+        const archiveConverterInstance = new ArchiveConverter(fileProcessorServiceInstance);
+        const sourceCodeConverterInstance = new SourceCodeConverter(fileProcessorServiceInstance);
+        const evernoteConverterInstance = new EvernoteConverter(fileProcessorServiceInstance);
+        const notionExportConverterInstance = new NotionExportConverter(fileProcessorServiceInstance);
+        const icsConverterInstance = new IcsConverter(fileProcessorServiceInstance);
+        const vcfConverterInstance = new VcfConverter(fileProcessorServiceInstance);
+        const slackExportConverterInstance = new SlackExportConverter(fileProcessorServiceInstance);
+        const whatsAppConverterInstance = new WhatsAppConverter(fileProcessorServiceInstance);
+        const discordConverterInstance = new DiscordConverter(fileProcessorServiceInstance);
+        const rstConverterInstance = new RstConverter(fileProcessorServiceInstance);
+        const orgConverterInstance = new OrgConverter(fileProcessorServiceInstance);
+        const asciiDocConverterInstance = new AsciiDocConverter(fileProcessorServiceInstance);
 
         // Create standardized adapter for DOCX converter using the actual implementation
         this.register('docx', {
@@ -321,13 +371,16 @@ ConverterRegistry.prototype.setupConverters = function() {
                     });
                     
                     // Ensure we have content
-                    if (!result || typeof result !== 'string' || result.trim() === '') {
+                    if (!result || typeof result.content !== 'string' || result.content.trim() === '') {
                         throw new Error('DOCX conversion produced empty content');
                     }
                     
+                    // Embedded images are written by ConversionResultManager
                     return {
                         success: true,
-                        content: result,
+                        content: result.content,
+                        images: result.images,
+                        metadata: result.metadata,
                         name: name,
                         type: 'docx'
                     };
@@ -364,13 +417,16 @@ ConverterRegistry.prototype.setupConverters = function() {
                     });
                     
                     // Ensure we have content
-                    if (!result || typeof result !== 'string' || result.trim() === '') {
+                    if (!result || typeof result.content !== 'string' || result.content.trim() === '') {
                         throw new Error('PPTX conversion produced empty content');
                     }
                     
+                    // Slide pictures are written by ConversionResultManager
                     return {
                         success: true,
-                        content: result,
+                        content: result.content,
+                        images: result.images,
+                        metadata: result.metadata,
                         name: name,
                         type: 'pptx'
                     };
@@ -388,6 +444,262 @@ ConverterRegistry.prototype.setupConverters = function() {
             }
         });
         
+        // Create standardized adapter for EPUB converter using the actual implementation
+        this.register('epub', {
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[EpubAdapter] Converting EPUB file: ${name}`);
+                    
+                    // Ensure content is a Buffer
+                    if (!Buffer.isBuffer(content)) {
+                        throw new Error('EPUB content must be a Buffer');
+                    }
+                    
+                    // Use the actual EpubConverter implementation
+                    const result = await epubConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    // Ensure we have content
+                    if (!result || typeof result.content !== 'string' || result.content.trim() === '') {
+                        throw new Error('EPUB conversion produced empty content');
+                    }
+                    
+                    // Images and per-chapter notes are written by ConversionResultManager
+                    return {
+                        success: true,
+                        content: result.content,
+                        images: result.images,
+                        files: result.files,
+                        metadata: result.metadata,
+                        name: name,
+                        type: 'epub'
+                    };
+                } catch (error) {
+                    console.error(`[EpubAdapter] Error converting EPUB: ${error.message}`);
+                    throw new Error(`EPUB conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => Buffer.isBuffer(content) && content.length > 0,
+            config: {
+                name: 'EPUB Converter',
+                extensions: ['.epub'],
+                mimeTypes: ['application/epub+zip'],
+                maxSize: 100 * 1024 * 1024 // 100MB
+            }
+        });
+        
+        // Create standardized adapter for Jupyter notebooks
+        this.register('ipynb', {
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[JupyterAdapter] Converting notebook: ${name}`);
+                    
+                    const result = await jupyterConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    if (!result || typeof result.content !== 'string' || result.content.trim() === '') {
+                        throw new Error('Notebook conversion produced empty content');
+                    }
+                    
+                    // Output images and cell attachments are written by ConversionResultManager
+                    return {
+                        success: true,
+                        content: result.content,
+                        images: result.images,
+                        metadata: result.metadata,
+                        name: name,
+                        type: 'ipynb'
+                    };
+                } catch (error) {
+                    console.error(`[JupyterAdapter] Error converting notebook: ${error.message}`);
+                    throw new Error(`Notebook conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => (Buffer.isBuffer(content) || typeof content === 'string') && content.length > 0,
+            config: {
+                name: 'Jupyter Notebook Converter',
+                extensions: ['.ipynb'],
+                mimeTypes: ['application/x-ipynb+json'],
+                maxSize: 100 * 1024 * 1024 // 100MB
+            }
+        });
+        
+        // Create standardized adapter for RTF converter using the actual implementation
+        this.register('rtf', {
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[RtfAdapter] Converting RTF file: ${name}`);
+                    
+                    const result = await rtfConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    // Ensure we have content
+                    if (!result || typeof result !== 'string' || result.trim() === '') {
+                        throw new Error('RTF conversion produced empty content');
+                    }
+                    
+                    return {
+                        success: true,
+                        content: result,
+                        name: name,
+                        type: 'rtf'
+                    };
+                } catch (error) {
+                    console.error(`[RtfAdapter] Error converting RTF: ${error.message}`);
+                    throw new Error(`RTF conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => (Buffer.isBuffer(content) || typeof content === 'string') && content.length > 0,
+            config: {
+                name: 'RTF Converter',
+                extensions: ['.rtf'],
+                mimeTypes: ['application/rtf', 'text/rtf'],
+                maxSize: 100 * 1024 * 1024 // 100MB
+            }
+        });
+        
+        // Create standardized adapters for lightweight markup (reStructuredText, Org-mode, AsciiDoc)
+        const createMarkupAdapter = (type, converterInstance, label, mimeTypes) => ({
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[${label}Adapter] Converting ${type.toUpperCase()} file: ${name}`);
+                    
+                    const result = await converterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    // Ensure we have content
+                    if (!result || typeof result !== 'string' || result.trim() === '') {
+                        throw new Error(`${label} conversion produced empty content`);
+                    }
+                    
+                    return {
+                        success: true,
+                        content: result,
+                        name: name,
+                        type
+                    };
+                } catch (error) {
+                    console.error(`[${label}Adapter] Error converting ${type.toUpperCase()} file: ${error.message}`);
+                    throw new Error(`${label} conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => (Buffer.isBuffer(content) || typeof content === 'string') && content.length > 0,
+            config: {
+                name: `${label} Converter`,
+                extensions: converterInstance.supportedExtensions,
+                mimeTypes,
+                maxSize: 100 * 1024 * 1024 // 100MB
+            }
+        });
+        this.register('rst', createMarkupAdapter('rst', rstConverterInstance, 'reStructuredText', ['text/x-rst', 'text/prs.fallenstein.rst']));
+        this.register('rest', this.converters['rst']);
+        this.register('org', createMarkupAdapter('org', orgConverterInstance, 'Org', ['text/org', 'text/x-org']));
+        this.register('adoc', createMarkupAdapter('adoc', asciiDocConverterInstance, 'AsciiDoc', ['text/asciidoc', 'text/x-asciidoc']));
+        this.register('asciidoc', this.converters['adoc']);
+        
+        // Create standardized adapter for plain text converter
+        this.register('txt', {
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[TextAdapter] Converting text file: ${name}`);
+                    
+                    // WhatsApp chat exports are plain text too, but become one note per day
+                    if (whatsAppConverterInstance.isWhatsAppExport(content)) {
+                        console.log(`[TextAdapter] Detected WhatsApp chat export: ${name}`);
+                        const chat = await whatsAppConverterInstance.convertToMarkdown(content, {
+                            ...options,
+                            fileName: name
+                        });
+                        return {
+                            success: true,
+                            content: chat.content,
+                            images: chat.images,
+                            files: chat.files,
+                            metadata: chat.metadata,
+                            name: name,
+                            type: 'txt'
+                        };
+                    }
+                    
+                    // Content stays a Buffer so the converter can detect its encoding
+                    const result = await textConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    if (!result || typeof result !== 'string' || result.trim() === '') {
+                        throw new Error('Text conversion produced empty content');
+                    }
+                    
+                    return {
+                        success: true,
+                        content: result,
+                        name: name,
+                        type: 'txt'
+                    };
+                } catch (error) {
+                    console.error(`[TextAdapter] Error converting text file: ${error.message}`);
+                    throw new Error(`Text conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => (Buffer.isBuffer(content) || typeof content === 'string') && content.length > 0,
+            config: {
+                name: 'Text Converter',
+                extensions: ['.txt'],
+                mimeTypes: ['text/plain'],
+                maxSize: 50 * 1024 * 1024 // 50MB
+            }
+        });
+        
+        // Create standardized adapter for markdown import
+        this.register('md', {
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[MarkdownAdapter] Importing markdown file: ${name}`);
+                    
+                    const result = await markdownConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    if (!result || typeof result !== 'string' || result.trim() === '') {
+                        throw new Error('Markdown import produced empty content');
+                    }
+                    
+                    // Pass the note's own title along, otherwise the saved frontmatter falls back to the filename
+                    const { extractFrontmatter } = require('../../utils/markdown');
+                    const { metadata } = extractFrontmatter(result);
+                    
+                    return {
+                        success: true,
+                        content: result,
+                        metadata: { title: metadata.title },
+                        name: name,
+                        type: 'md'
+                    };
+                } catch (error) {
+                    console.error(`[MarkdownAdapter] Error importing markdown: ${error.message}`);
+                    throw new Error(`Markdown import failed: ${error.message}`);
+                }
+            },
+            validate: (content) => (Buffer.isBuffer(content) || typeof content === 'string') && content.length > 0,
+            config: {
+                name: 'Markdown Converter',
+                extensions: ['.md', '.markdown'],
+                mimeTypes: ['text/markdown'],
+                maxSize: 50 * 1024 * 1024 // 50MB
+            }
+        });
+        this.register('markdown', this.converters['md']);
+        
         // Create standardized adapter for the CSV converter
         this.register('csv', {
             convert: async (content, name, apiKey, options) => {
@@ -505,6 +817,100 @@ ConverterRegistry.prototype.setupConverters = function() {
             }
         });
 
+        // Create standardized adapter for the ODS converter
+        this.register('ods', {
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[OdsAdapter] Converting ODS file: ${name}`);
+                    
+                    const result = await odsConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        name,
+                        originalFileName: name
+                    });
+                    
+                    if (!result || typeof result !== 'string' || result.trim() === '') {
+                        throw new Error('ODS conversion produced empty content');
+                    }
+                    
+                    return {
+                        success: true,
+                        content: result,
+                        name: name,
+                        type: 'ods'
+                    };
+                } catch (error) {
+                    console.error(`[OdsAdapter] Error converting ODS: ${error.message}`);
+                    throw new Error(`ODS conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => Buffer.isBuffer(content) && content.length > 0,
+            config: {
+                name: 'ODS Converter',
+                extensions: ['.ods'],
+                mimeTypes: ['application/vnd.oasis.opendocument.spreadsheet'],
+                maxSize: 100 * 1024 * 1024 // 100MB
+            }
+        });
+
+        // Create standardized adapters for JSON and YAML data files
+        const createJsonYamlAdapter = (format, label, extensions, mimeTypes) => ({
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[JsonYamlAdapter] Converting ${label} file: ${name}`);
+                    
+                    // DiscordChatExporter channels are JSON too, but become one note per day
+                    if (format === 'json' && discordConverterInstance.isDiscordExport(content)) {
+                        console.log(`[JsonYamlAdapter] Detected Discord export: ${name}`);
+                        const chat = await discordConverterInstance.convertToMarkdown(content, {
+                            ...options,
+                            fileName: name
+                        });
+                        return {
+                            success: true,
+                            content: chat.content,
+                            images: chat.images,
+                            files: chat.files,
+                            metadata: chat.metadata,
+                            name: name,
+                            type: format
+                        };
+                    }
+                    
+                    // Content stays a Buffer so the converter can detect its encoding
+                    const result = await jsonYamlConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        format,
+                        fileName: name
+                    });
+                    
+                    if (!result || typeof result !== 'string' || result.trim() === '') {
+                        throw new Error(`${label} conversion produced empty content`);
+                    }
+                    
+                    return {
+                        success: true,
+                        content: result,
+                        name: name,
+                        type: format
+                    };
+                } catch (error) {
+                    console.error(`[JsonYamlAdapter] Error converting ${label}: ${error.message}`);
+                    throw new Error(`${label} conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => (Buffer.isBuffer(content) || typeof content === 'string') && content.length > 0,
+            config: {
+                name: `${label} Converter`,
+                extensions,
+                mimeTypes,
+                maxSize: 100 * 1024 * 1024 // 100MB
+            }
+        });
+        this.register('json', createJsonYamlAdapter('json', 'JSON', ['.json'], ['application/json']));
+        this.register('yaml', createJsonYamlAdapter('yaml', 'YAML', ['.yaml', '.yml'], ['application/yaml', 'text/yaml']));
+        this.register('yml', this.converters['yaml']);
+
         // Create standardized adapter for media converters (audio and video)
         const mediaAdapter = {
             convert: async (content, name, apiKey, options) => {
@@ -613,9 +1019,84 @@ ConverterRegistry.prototype.setupConverters = function() {
         this.register('mkv', mediaAdapter);
         this.register('webm', mediaAdapter);
 
+        // Create standardized adapters for caption files, written in the same layout as transcripts
+        const createSubtitleAdapter = (type, label, extensions, mimeTypes) => ({
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[SubtitleAdapter] Converting ${label} captions: ${name}`);
+                    
+                    const result = await subtitleConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    return {
+                        success: true,
+                        content: result,
+                        name: name,
+                        type
+                    };
+                } catch (error) {
+                    console.error(`[SubtitleAdapter] Error converting captions: ${error.message}`);
+                    throw new Error(`Subtitle conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => (Buffer.isBuffer(content) || typeof content === 'string') && content.length > 0,
+            config: {
+                name: `${label} Subtitle Converter`,
+                extensions,
+                mimeTypes,
+                maxSize: 50 * 1024 * 1024 // 50MB
+            }
+        });
+        this.register('srt', createSubtitleAdapter('srt', 'SRT', ['.srt'], ['application/x-subrip']));
+        this.register('vtt', createSubtitleAdapter('vtt', 'WebVTT', ['.vtt'], ['text/vtt']));
+        this.register('ass', createSubtitleAdapter('ass', 'ASS', ['.ass', '.ssa'], ['text/x-ssa']));
+        this.register('ssa', this.converters['ass']);
+
         // Register ppt extension to use the same converter as pptx
         this.register('ppt', this.converters['pptx']);
 
+        // Create standardized adapters for OpenDocument text and presentation files
+        const createOpenDocumentAdapter = (type, label, converter, mimeType) => ({
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[OpenDocumentAdapter] Converting ${label}: ${name}`);
+                    
+                    const result = await converter.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    if (!result || typeof result.content !== 'string' || result.content.trim() === '') {
+                        throw new Error(`${label} conversion produced empty content`);
+                    }
+                    
+                    // Embedded pictures are written by ConversionResultManager
+                    return {
+                        success: true,
+                        content: result.content,
+                        images: result.images,
+                        metadata: result.metadata,
+                        name: name,
+                        type
+                    };
+                } catch (error) {
+                    console.error(`[OpenDocumentAdapter] Error converting ${label}: ${error.message}`);
+                    throw new Error(`${type.toUpperCase()} conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => Buffer.isBuffer(content) && content.length > 0,
+            config: {
+                name: `${type.toUpperCase()} Converter`,
+                extensions: [`.${type}`],
+                mimeTypes: [mimeType],
+                maxSize: 100 * 1024 * 1024 // 100MB
+            }
+        });
+        this.register('odt', createOpenDocumentAdapter('odt', 'OpenDocument Text', odtConverterInstance, 'application/vnd.oasis.opendocument.text'));
+        this.register('odp', createOpenDocumentAdapter('odp', 'OpenDocument Presentation', odpConverterInstance, 'application/vnd.oasis.opendocument.presentation'));
+
         // Register the PDF factory adapter with proper implementation
         this.register('pdf', {
             convert: async (content, name, apiKey, options) => {
@@ -779,8 +1260,8 @@ ConverterRegistry.prototype.setupConverters = function() {
             validate: (content) => typeof content === 'string' && content.length > 0,
             config: {
                 name: 'URL Converter',
-                extensions: ['.url', '.html', '.htm'],
-                mimeTypes: ['text/html', 'application/x-url'],
+                extensions: ['.url'],
+                mimeTypes: ['application/x-url'],
                 maxSize: 10 * 1024 * 1024 // 10MB
             }
         });
@@ -831,10 +1312,290 @@ ConverterRegistry.prototype.setupConverters = function() {
             validate: (content) => typeof content === 'string' && content.length > 0,
             config: {
                 name: 'Website Converter',
-                extensions: ['.url', '.html', '.htm'],
-                mimeTypes: ['text/html', 'application/x-url'],
+                extensions: ['.url'],
+                mimeTypes: ['application/x-url'],
+                maxSize: 10 * 1024 * 1024 // 10MB
+            }
+        });
+
+        // Create standardized adapter for saved HTML files, parsed offline without puppeteer
+        this.register('html', {
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[HtmlFileAdapter] Converting HTML file: ${name}`);
+                    
+                    const result = await htmlFileConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    if (!result || !result.content || result.content.trim() === '') {
+                        throw new Error('HTML conversion produced empty content');
+                    }
+                    
+                    return {
+                        success: true,
+                        content: result.content,
+                        images: result.images,
+                        metadata: result.metadata,
+                        name: name,
+                        type: 'html'
+                    };
+                } catch (error) {
+                    console.error(`[HtmlFileAdapter] Error converting HTML file: ${error.message}`);
+                    throw new Error(`HTML conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => (Buffer.isBuffer(content) || typeof content === 'string') && content.length > 0,
+            config: {
+                name: 'HTML File Converter',
+                extensions: ['.html', '.htm'],
+                mimeTypes: ['text/html', 'application/xhtml+xml'],
+                maxSize: 50 * 1024 * 1024 // 50MB
+            }
+        });
+        this.register('htm', this.converters['html']);
+
+        // Create standardized adapters for email messages and mailboxes
+        const createEmailAdapter = (type, label, extensions, mimeTypes) => ({
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[EmailAdapter] Converting ${label}: ${name}`);
+                    
+                    const conversionOptions = {
+                        ...options,
+                        apiKey,
+                        fileName: name
+                    };
+                    const result = type === 'mbox'
+                        ? await emailConverterInstance.convertMailbox(content, conversionOptions)
+                        : await emailConverterInstance.convertToMarkdown(content, conversionOptions);
+                    
+                    if (!result || !result.content || result.content.trim() === '') {
+                        throw new Error(`${label} conversion produced empty content`);
+                    }
+                    
+                    return {
+                        success: true,
+                        content: result.content,
+                        images: result.images,
+                        files: result.files,
+                        metadata: result.metadata,
+                        name: name,
+                        type
+                    };
+                } catch (error) {
+                    console.error(`[EmailAdapter] Error converting ${label}: ${error.message}`);
+                    throw new Error(`${label} conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => Buffer.isBuffer(content) && content.length > 0,
+            config: {
+                name: `${label} Converter`,
+                extensions,
+                mimeTypes,
+                maxSize: 500 * 1024 * 1024 // 500MB, mailboxes get large
+            }
+        });
+        this.register('eml', createEmailAdapter('eml', 'Email', ['.eml'], ['message/rfc822']));
+        this.register('mbox', createEmailAdapter('mbox', 'Mailbox', ['.mbox'], ['application/mbox']));
+
+        // Create standardized adapters for images: embedded with EXIF frontmatter and OCR text
+        const createImageAdapter = (type, extensions, mimeTypes) => ({
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[ImageAdapter] Converting ${type.toUpperCase()} image: ${name}`);
+                    
+                    const result = await imageConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    return {
+                        success: true,
+                        content: result.content,
+                        images: result.images,
+                        metadata: result.metadata,
+                        name: name,
+                        type
+                    };
+                } catch (error) {
+                    console.error(`[ImageAdapter] Error converting image: ${error.message}`);
+                    throw new Error(`Image conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => Buffer.isBuffer(content) && content.length > 0,
+            config: {
+                name: 'Image Converter',
+                extensions,
+                mimeTypes,
+                maxSize: 50 * 1024 * 1024 // 50MB
+            }
+        });
+        this.register('png', createImageAdapter('png', ['.png'], ['image/png']));
+        this.register('jpg', createImageAdapter('jpg', ['.jpg', '.jpeg'], ['image/jpeg']));
+        this.register('jpeg', this.converters['jpg']);
+        this.register('tiff', createImageAdapter('tiff', ['.tiff', '.tif'], ['image/tiff']));
+        this.register('tif', this.converters['tiff']);
+        this.register('webp', createImageAdapter('webp', ['.webp'], ['image/webp']));
+
+        // Create standardized adapters for archives: every supported entry is converted and indexed
+        const createArchiveAdapter = (type, extensions, mimeTypes) => ({
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[ArchiveAdapter] Converting ${type.toUpperCase()} archive: ${name}`);
+                    
+                    // Notion, Slack and WhatsApp exports are zips too, but get their own importers
+                    let importer = archiveConverterInstance;
+                    if (type === 'zip') {
+                        if (await notionExportConverterInstance.isNotionExport(content)) {
+                            importer = notionExportConverterInstance;
+                            console.log(`[ArchiveAdapter] Detected Notion export: ${name}`);
+                        } else if (await slackExportConverterInstance.isSlackExport(content)) {
+                            importer = slackExportConverterInstance;
+                            console.log(`[ArchiveAdapter] Detected Slack export: ${name}`);
+                        } else if (await whatsAppConverterInstance.isWhatsAppZip(content)) {
+                            importer = whatsAppConverterInstance;
+                            console.log(`[ArchiveAdapter] Detected WhatsApp chat export: ${name}`);
+                        }
+                    }
+                    
+                    const result = await importer.convertToMarkdown(content, {
+                        ...options,
+                        apiKey,
+                        fileName: name
+                    });
+                    
+                    return {
+                        success: true,
+                        content: result.content,
+                        images: result.images,
+                        files: result.files,
+                        metadata: result.metadata,
+                        name: name,
+                        type
+                    };
+                } catch (error) {
+                    console.error(`[ArchiveAdapter] Error converting archive: ${error.message}`);
+                    throw new Error(`Archive conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => Buffer.isBuffer(content) && content.length > 0,
+            config: {
+                name: 'Archive Converter',
+                extensions,
+                mimeTypes,
+                maxSize: 500 * 1024 * 1024 // 500MB
+            }
+        });
+        this.register('zip', createArchiveAdapter('zip', ['.zip'], ['application/zip', 'application/x-zip-compressed']));
+        this.register('tar', createArchiveAdapter('tar', ['.tar'], ['application/x-tar']));
+        this.register('tgz', createArchiveAdapter('tgz', ['.tgz', '.tar.gz'], ['application/gzip', 'application/x-gzip']));
+        this.register('gz', this.converters['tgz']);
+
+        // Create standardized adapter for Evernote exports: one note per ENEX note
+        this.register('enex', {
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[EvernoteAdapter] Converting ENEX export: ${name}`);
+                    
+                    const result = await evernoteConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    return {
+                        success: true,
+                        content: result.content,
+                        images: result.images,
+                        files: result.files,
+                        metadata: result.metadata,
+                        name: name,
+                        type: 'enex'
+                    };
+                } catch (error) {
+                    console.error(`[EvernoteAdapter] Error converting ENEX export: ${error.message}`);
+                    throw new Error(`Evernote conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => (Buffer.isBuffer(content) || typeof content === 'string') && content.length > 0,
+            config: {
+                name: 'Evernote Importer',
+                extensions: ['.enex'],
+                mimeTypes: ['application/enex+xml', 'application/xml'],
+                maxSize: 500 * 1024 * 1024 // 500MB
+            }
+        });
+
+        // Create standardized adapters for calendars and contacts: one note per event or contact
+        const createOrganizerAdapter = (type, converterInstance, label, mimeTypes) => ({
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[${label}Adapter] Converting ${type.toUpperCase()} file: ${name}`);
+                    
+                    const result = await converterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    return {
+                        success: true,
+                        content: result.content,
+                        images: result.images,
+                        files: result.files,
+                        metadata: result.metadata,
+                        name: name,
+                        type
+                    };
+                } catch (error) {
+                    console.error(`[${label}Adapter] Error converting ${type.toUpperCase()} file: ${error.message}`);
+                    throw new Error(`${label} conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => (Buffer.isBuffer(content) || typeof content === 'string') && content.length > 0,
+            config: {
+                name: `${label} Converter`,
+                extensions: converterInstance.supportedExtensions,
+                mimeTypes,
+                maxSize: 50 * 1024 * 1024 // 50MB
+            }
+        });
+        this.register('ics', createOrganizerAdapter('ics', icsConverterInstance, 'Calendar', ['text/calendar']));
+        this.register('vcf', createOrganizerAdapter('vcf', vcfConverterInstance, 'Contact', ['text/vcard', 'text/x-vcard']));
+
+        // Create standardized adapter for source code, shared by every language extension
+        const sourceCodeAdapter = {
+            convert: async (content, name, apiKey, options) => {
+                try {
+                    console.log(`[SourceCodeAdapter] Converting source file: ${name}`);
+                    
+                    const result = await sourceCodeConverterInstance.convertToMarkdown(content, {
+                        ...options,
+                        fileName: name
+                    });
+                    
+                    return {
+                        success: true,
+                        content: result.content,
+                        metadata: result.metadata,
+                        name: name,
+                        type: path.extname(name).slice(1).toLowerCase()
+                    };
+                } catch (error) {
+                    console.error(`[SourceCodeAdapter] Error converting source file: ${error.message}`);
+                    throw new Error(`Source code conversion failed: ${error.message}`);
+                }
+            },
+            validate: (content) => (Buffer.isBuffer(content) || typeof content === 'string') && content.length > 0,
+            config: {
+                name: 'Source Code Converter',
+                extensions: sourceCodeConverterInstance.supportedExtensions,
+                mimeTypes: ['text/plain', 'text/javascript', 'text/x-python', 'text/x-go', 'text/x-c'],
                 maxSize: 10 * 1024 * 1024 // 10MB
             }
+        };
+        sourceCodeConverterInstance.supportedExtensions.forEach(ext => {
+            this.register(ext.slice(1), sourceCodeAdapter);
         });
         
         const registeredTypes = Object.keys(this.converters);
@@ -0,0 +1,551 @@
+/**
+ * ArchiveConverter.js
+ * Handles conversion of ZIP and TAR archives (.zip, .tar, .tar.gz/.tgz) in the Electron main process.
+ *
+ * This converter:
+ * - Lists archive entries in memory without extracting anything to disk
+ * - Rejects entries whose paths would escape the output folder (zip-slip), links,
+ *   and anything over the entry-count or size limits
+ * - Routes every other entry through UnifiedConverterFactory.convertFile by extension
+ * - Writes each converted entry as a note at the same path inside a folder named after the archive
+ * - Produces an index note linking the converted entries and listing skipped ones with reasons
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - TarReader.js: TAR parsing
+ * - UnifiedConverterFactory.js: Converts the entries
+ * - ConverterRegistry.js: Registers the archive adapters
+ * - ConversionResultManager.js: Writes the entry notes and images returned here
+ */
+
+const path = require('path');
+const zlib = require('zlib');
+const JSZip = require('jszip');
+const BaseService = require('../../BaseService');
+const TarReader = require('./TarReader');
+const { getFileHandlingInfo } = require('../../../utils/files/types');
+const { formatMetadata, createStandardMetadata } = require('../../../converters/utils/metadata');
+
+const DEFAULT_LIMITS = {
+    maxEntries: 1000,
+    maxEntrySize: 100 * 1024 * 1024, // 100MB per entry
+    maxTotalSize: 500 * 1024 * 1024 // 500MB uncompressed in total
+};
+// Archives inside archives stop recursing here
+const MAX_ARCHIVE_DEPTH = 2;
+// Media would start transcription jobs, so it is listed as skipped instead
+const CONVERTIBLE_CATEGORIES = ['documents', 'data', 'images', 'code', 'archives'];
+// Entries created by archivers rather than by the sender
+const SYSTEM_ENTRY = /(^|\/)(__MACOSX\/|\.DS_Store$|Thumbs\.db$|desktop\.ini$)/i;
+
+class ArchiveConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.supportedExtensions = ['.zip', '.tar', '.tgz', '.gz'];
+    }
+
+    /**
+     * Set up IPC handlers for archive conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:archive', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle archive conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'archive.zip')
+            });
+
+            return { content: result.content, images: result.images, files: result.files };
+        } catch (error) {
+            console.error('[ArchiveConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert an archive's entries and build the index note
+     * @param {Buffer} content - Archive data
+     * @param {Object} options - Conversion options
+     * @param {number} [options.maxEntries=1000] - Entries processed before the rest are skipped
+     * @param {number} [options.maxEntrySize] - Largest uncompressed entry in bytes (default 100MB)
+     * @param {number} [options.maxTotalSize] - Total uncompressed bytes read (default 500MB); nested
+     *   archives get what is left of their parent's budget
+     * @returns {Promise<Object>} Index content, entry notes, images and archive metadata, including
+     *   the uncompressed bytes read
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'archive.zip';
+            const title = fileName.replace(/\.(tar\.gz|tgz|tar|zip|gz)$/i, '');
+            const limits = {
+                maxEntries: options.maxEntries || DEFAULT_LIMITS.maxEntries,
+                maxEntrySize: options.maxEntrySize || DEFAULT_LIMITS.maxEntrySize,
+                maxTotalSize: Number.isFinite(options.maxTotalSize) ? options.maxTotalSize : DEFAULT_LIMITS.maxTotalSize
+            };
+
+            const { format, entries } = await this.listEntries(content, fileName, limits);
+            console.log(`[ArchiveConverter] ${fileName}: ${format} archive with ${entries.length} entries`);
+
+            const state = {
+                root: this.sanitizeSegment(title).trim() || 'archive',
+                converted: [],
+                skipped: [],
+                files: [],
+                images: [],
+                notePaths: new Set(),
+                totalSize: 0
+            };
+            let processed = 0;
+
+            for (const entry of entries) {
+                const skipReason = this.checkEntry(entry, processed, limits, state);
+                if (skipReason === null) {
+                    continue;
+                }
+                if (skipReason) {
+                    state.skipped.push({ name: entry.name, reason: skipReason });
+                    continue;
+                }
+                processed++;
+                await this.convertEntry(entry, options, limits, state);
+            }
+
+            const metadata = {
+                ...createStandardMetadata({ title, fileType: format }),
+                entry_count: state.converted.length + state.skipped.length,
+                converted_count: state.converted.length,
+                skipped_count: state.skipped.length
+            };
+
+            return {
+                content: formatMetadata(metadata) + this.renderIndex(title, format, state),
+                files: state.files,
+                images: state.images,
+                metadata: {
+                    title,
+                    entry_count: metadata.entry_count,
+                    converted_count: metadata.converted_count,
+                    skipped_count: metadata.skipped_count,
+                    uncompressed_size: state.totalSize
+                }
+            };
+        } catch (error) {
+            console.error('[ArchiveConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Detect the archive format and list its entries
+     * @param {Buffer} content - Archive data
+     * @param {string} fileName - Archive name
+     * @param {Object} limits - Size limits
+     * @returns {Promise<{format: string, entries: Object[]}>} Format ('zip', 'tar' or 'gz') and entries
+     */
+    async listEntries(content, fileName, limits) {
+        if (content.length >= 4 && content.readUInt32LE(0) === 0x04034b50) {
+            return { format: 'zip', entries: await this.listZipEntries(content) };
+        }
+
+        if (content.length >= 2 && content[0] === 0x1f && content[1] === 0x8b) {
+            let data;
+            try {
+                data = zlib.gunzipSync(content, { maxOutputLength: limits.maxTotalSize });
+            } catch (error) {
+                if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                    throw new Error(`Archive expands beyond the ${this.formatSize(limits.maxTotalSize)} limit`);
+                }
+                throw new Error(`Invalid gzip data: ${error.message}`);
+            }
+
+            if (TarReader.isTar(data)) {
+                return { format: 'tar', entries: TarReader.read(data) };
+            }
+            // A single compressed file: convert it under its own name
+            const innerName = path.basename(fileName).replace(/\.gz$/i, '') || 'file';
+            return { format: 'gz', entries: [{ name: innerName, type: 'file', size: data.length, getData: () => data }] };
+        }
+
+        if (TarReader.isTar(content)) {
+            return { format: 'tar', entries: TarReader.read(content) };
+        }
+
+        throw new Error('Unrecognized archive format; expected ZIP, TAR or gzip-compressed TAR');
+    }
+
+    /**
+     * List the entries of a ZIP archive
+     * @param {Buffer} content - ZIP data
+     * @returns {Promise<Object[]>} Entries in archive order
+     */
+    async listZipEntries(content) {
+        const zip = await JSZip.loadAsync(content);
+        const entries = [];
+        zip.forEach((relativePath, file) => {
+            entries.push({
+                // JSZip rewrites "../" paths; the original is what must be checked
+                name: file.unsafeOriginalName || file.name,
+                type: file.dir ? 'directory' : 'file',
+                // Declared size from the central directory; it can lie, so reading enforces the limits
+                size: file._data && typeof file._data.uncompressedSize === 'number' ? file._data.uncompressedSize : 0,
+                getData: (maxBytes) => this.readZipEntry(file, maxBytes)
+            });
+        });
+        return entries;
+    }
+
+    /**
+     * Inflate a ZIP entry, stopping as soon as it grows past a byte budget
+     * @param {Object} file - JSZip file object
+     * @param {number} maxBytes - Most bytes to inflate
+     * @returns {Promise<Buffer>} Entry data; rejects with code ERR_BUFFER_TOO_LARGE past the budget
+     */
+    readZipEntry(file, maxBytes) {
+        return new Promise((resolve, reject) => {
+            const chunks = [];
+            let length = 0;
+            const stream = file.internalStream('nodebuffer');
+            stream
+                .on('data', (chunk) => {
+                    length += chunk.length;
+                    if (length > maxBytes) {
+                        stream.pause();
+                        const error = new Error(`Entry expands beyond ${maxBytes} bytes`);
+                        error.code = 'ERR_BUFFER_TOO_LARGE';
+                        reject(error);
+                        return;
+                    }
+                    chunks.push(chunk);
+                })
+                .on('error', reject)
+                .on('end', () => resolve(Buffer.concat(chunks)))
+                .resume();
+        });
+    }
+
+    /**
+     * Decide whether an entry should be converted
+     * @param {Object} entry - Archive entry
+     * @param {number} processed - Entries converted or attempted so far
+     * @param {Object} limits - Entry and size limits
+     * @param {Object} state - Conversion state
+     * @returns {string|null} Skip reason, '' to convert, or null to ignore silently
+     */
+    checkEntry(entry, processed, limits, state) {
+        if (entry.type === 'directory' || SYSTEM_ENTRY.test(entry.name)) {
+            return null;
+        }
+        if (!this.getSafePath(entry.name)) {
+            return 'Unsafe path outside the archive folder';
+        }
+        if (entry.type === 'symlink' || entry.type === 'link') {
+            return 'Links are not followed';
+        }
+        if (entry.type !== 'file') {
+            return 'Not a regular file';
+        }
+        if (processed >= limits.maxEntries) {
+            return `Entry limit reached (${limits.maxEntries} entries)`;
+        }
+        if (entry.size > limits.maxEntrySize) {
+            return `Larger than the ${this.formatSize(limits.maxEntrySize)} entry limit`;
+        }
+        if (state.totalSize + entry.size > limits.maxTotalSize) {
+            return `Archive size limit reached (${this.formatSize(limits.maxTotalSize)})`;
+        }
+
+        const fileType = path.posix.extname(entry.name).slice(1).toLowerCase();
+        if (!fileType) {
+            return 'No file extension';
+        }
+        const { category } = getFileHandlingInfo(entry.name);
+        if (category === 'audio' || category === 'video') {
+            return 'Audio and video are not transcribed from archives';
+        }
+        if (!CONVERTIBLE_CATEGORIES.includes(category)) {
+            return `Unsupported file type (.${fileType})`;
+        }
+        return '';
+    }
+
+    /**
+     * Convert one entry and add its note, images and extra files to the output
+     * @param {Object} entry - Archive entry
+     * @param {Object} options - Archive conversion options
+     * @param {Object} limits - Size limits
+     * @param {Object} state - Conversion state
+     */
+    async convertEntry(entry, options, limits, state) {
+        const entryPath = this.getSafePath(entry.name);
+        const fileType = path.posix.extname(entryPath).slice(1).toLowerCase();
+        const depth = options.archiveDepth || 0;
+
+        const isArchive = getFileHandlingInfo(entryPath).category === 'archives';
+        if (isArchive && depth >= MAX_ARCHIVE_DEPTH) {
+            state.skipped.push({ name: entry.name, reason: 'Nested archive depth limit reached' });
+            return;
+        }
+
+        // ZIP entries stop inflating once the entry or the rest of the archive budget is used up
+        const budget = Math.min(limits.maxEntrySize, limits.maxTotalSize - state.totalSize);
+        let data;
+        try {
+            data = await entry.getData(budget);
+        } catch (error) {
+            if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+                state.totalSize += Math.max(budget, 0);
+                state.skipped.push({
+                    name: entry.name,
+                    reason: budget < limits.maxEntrySize
+                        ? `Archive size limit reached (${this.formatSize(limits.maxTotalSize)})`
+                        : `Larger than the ${this.formatSize(limits.maxEntrySize)} entry limit`
+                });
+                return;
+            }
+            state.skipped.push({ name: entry.name, reason: `Could not be extracted: ${error.message}` });
+            return;
+        }
+
+        // TAR data is already in memory, so its limits are enforced on the real data
+        state.totalSize += data.length;
+        if (data.length > limits.maxEntrySize) {
+            state.skipped.push({ name: entry.name, reason: `Larger than the ${this.formatSize(limits.maxEntrySize)} entry limit` });
+            return;
+        }
+        if (state.totalSize > limits.maxTotalSize) {
+            state.skipped.push({ name: entry.name, reason: `Archive size limit reached (${this.formatSize(limits.maxTotalSize)})` });
+            return;
+        }
+        if (data.length === 0) {
+            state.skipped.push({ name: entry.name, reason: 'Empty file' });
+            return;
+        }
+        if (isArchive && state.totalSize >= limits.maxTotalSize) {
+            state.skipped.push({ name: entry.name, reason: `Archive size limit reached (${this.formatSize(limits.maxTotalSize)})` });
+            return;
+        }
+
+        let result;
+        try {
+            // Required lazily: the factory loads the registry, which loads this converter
+            const unifiedConverterFactory = require('../../../converters/UnifiedConverterFactory');
+            result = await unifiedConverterFactory.convertFile(data, {
+                fileType,
+                originalFileName: path.posix.basename(entryPath),
+                name: path.posix.basename(entryPath),
+                apiKey: options.apiKey,
+                mistralApiKey: options.mistralApiKey,
+                useOcr: options.useOcr,
+                attachmentDepth: options.attachmentDepth,
+                archiveDepth: depth + 1,
+                // Nested archives share this archive's limits instead of starting afresh
+                ...(isArchive ? {
+                    maxEntrySize: limits.maxEntrySize,
+                    maxTotalSize: limits.maxTotalSize - state.totalSize
+                } : {})
+            });
+        } catch (error) {
+            result = { success: false, error: error.message };
+        }
+
+        // Charge what a nested archive read to this archive's budget
+        if (isArchive && result && result.metadata && Number.isFinite(result.metadata.uncompressed_size)) {
+            state.totalSize += result.metadata.uncompressed_size;
+        }
+
+        if (!result || result.async) {
+            state.skipped.push({ name: entry.name, reason: 'Converted in the background; convert this file on its own' });
+            return;
+        }
+        if (!result.success || !result.content) {
+            state.skipped.push({ name: entry.name, reason: `Conversion failed: ${(result.error || 'no content produced').split('\n')[0]}` });
+            return;
+        }
+
+        const directory = path.posix.join(state.root, path.posix.dirname(entryPath));
+        const notePath = path.posix.join(state.root, this.uniqueNotePath(entryPath, state.notePaths));
+        const inDirectory = (relativePath) => path.posix.join(directory, relativePath);
+
+        state.files.push({
+            name: notePath,
+            type: 'text',
+            content: result.content,
+            metadata: { title: path.posix.basename(entryPath) }
+        });
+        // Images and notes produced by the entry's converter sit next to its note so relative links still work
+        (result.files || []).forEach(file => {
+            state.files.push({ ...file, name: inDirectory(file.name) });
+        });
+        (result.images || []).forEach(image => {
+            const imagePath = inDirectory(image.path);
+            if (!state.images.some(existing => existing.path === imagePath)) {
+                state.images.push({ ...image, path: imagePath });
+            }
+        });
+
+        state.converted.push({ name: entry.name, notePath });
+    }
+
+    /**
+     * Normalize an entry path and reject paths that leave the archive root
+     * @param {string} name - Entry name as stored in the archive
+     * @returns {string|null} Safe relative path, or null if unsafe
+     */
+    getSafePath(name) {
+        const normalizedSlashes = String(name || '').replace(/\\/g, '/');
+        if (!normalizedSlashes || normalizedSlashes.startsWith('/') || /^[a-z]:/i.test(normalizedSlashes) || normalizedSlashes.includes('\u0000')) {
+            return null;
+        }
+        if (normalizedSlashes.split('/').includes('..')) {
+            return null;
+        }
+
+        const normalized = path.posix.normalize(normalizedSlashes).replace(/\/+$/, '');
+        if (!normalized || normalized === '.') {
+            return null;
+        }
+        return normalized.split('/').map(segment => this.sanitizeSegment(segment)).join('/');
+    }
+
+    /**
+     * Replace characters Windows does not allow in file names
+     * @param {string} segment - Single path segment
+     * @returns {string} Safe segment
+     */
+    sanitizeSegment(segment) {
+        return segment.replace(/[<>:"/\\|?*]/g, '_');
+    }
+
+    /**
+     * Pick the note path for an entry, keeping its folder and avoiding name clashes
+     * @param {string} entryPath - Safe entry path
+     * @param {Set<string>} taken - Note paths already used
+     * @returns {string} Note path ending in .md
+     */
+    uniqueNotePath(entryPath, taken) {
+        const ext = path.posix.extname(entryPath);
+        const stem = entryPath.slice(0, entryPath.length - ext.length);
+        let notePath = `${stem}.md`;
+        if (taken.has(notePath.toLowerCase())) {
+            notePath = `${stem}${ext.replace('.', '-')}.md`;
+        }
+        for (let n = 2; taken.has(notePath.toLowerCase()); n++) {
+            notePath = `${stem}-${n}.md`;
+        }
+        taken.add(notePath.toLowerCase());
+        return notePath;
+    }
+
+    /**
+     * Render the index note body
+     * @param {string} title - Archive title
+     * @param {string} format - Archive format
+     * @param {Object} state - Conversion state
+     * @returns {string} Markdown
+     */
+    renderIndex(title, format, state) {
+        const markdown = [];
+        markdown.push(`# ${title}`);
+        markdown.push('');
+        markdown.push(`> ${format.toUpperCase()} archive: ${state.converted.length} converted, ${state.skipped.length} skipped`);
+        markdown.push('');
+
+        markdown.push('## Converted Files');
+        markdown.push('');
+        if (state.converted.length === 0) {
+            markdown.push('*No entries could be converted.*');
+        } else {
+            state.converted.forEach(entry => {
+                markdown.push(`- [${this.escapeLinkText(entry.name)}](${this.encodeLinkPath(entry.notePath)})`);
+            });
+        }
+        markdown.push('');
+
+        if (state.skipped.length > 0) {
+            markdown.push('## Skipped Files');
+            markdown.push('');
+            markdown.push('| File | Reason |');
+            markdown.push('|------|--------|');
+            state.skipped.forEach(entry => {
+                markdown.push(`| ${this.escapeTableText(entry.name)} | ${this.escapeTableText(entry.reason)} |`);
+            });
+            markdown.push('');
+        }
+
+        return markdown.join('\n');
+    }
+
+    /**
+     * Encode a relative path for use as a markdown link target
+     * @param {string} target - Relative path
+     * @returns {string} Encoded path
+     */
+    encodeLinkPath(target) {
+        return target.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    }
+
+    escapeLinkText(text) {
+        return String(text).replace(/([\\[\]])/g, '\\$1');
+    }
+
+    escapeTableText(text) {
+        return String(text).replace(/\|/g, '\\|').replace(/\r?\n/g, ' ');
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(0)} MB`;
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Archive Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts every supported file in a ZIP or TAR archive and writes an index note',
+            options: {
+                maxEntries: `Entries converted before the rest are skipped (default: ${DEFAULT_LIMITS.maxEntries})`,
+                maxEntrySize: 'Largest uncompressed entry in bytes (default: 100MB)',
+                maxTotalSize: 'Total uncompressed bytes read from the archive (default: 500MB)'
+            }
+        };
+    }
+}
+
+module.exports = ArchiveConverter;
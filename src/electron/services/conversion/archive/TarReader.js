@@ -0,0 +1,146 @@
+/**
+ * TarReader.js
+ * Minimal reader for TAR archives held in memory.
+ *
+ * Supports ustar and GNU/pax long file names. Entry data is sliced from the
+ * archive buffer on demand, and nothing is written to disk, so callers decide
+ * which entries are safe to extract.
+ *
+ * Related Files:
+ * - ArchiveConverter.js: Converts the entries listed here
+ */
+
+const BLOCK_SIZE = 512;
+
+const ENTRY_TYPES = {
+    '0': 'file',
+    '\u0000': 'file',
+    '7': 'file',
+    '1': 'link',
+    '2': 'symlink',
+    '5': 'directory'
+};
+
+class TarReader {
+    /**
+     * Check whether a buffer starts with a TAR header
+     * @param {Buffer} buffer - Data to check
+     * @returns {boolean} True if the first header block has a valid checksum
+     */
+    static isTar(buffer) {
+        return buffer.length >= BLOCK_SIZE && TarReader.verifyChecksum(buffer.subarray(0, BLOCK_SIZE));
+    }
+
+    /**
+     * List the entries of a TAR archive
+     * @param {Buffer} buffer - Archive data
+     * @returns {Array<{name: string, type: string, size: number, getData: Function}>} Entries in archive order
+     */
+    static read(buffer) {
+        const entries = [];
+        let offset = 0;
+        let longName = null;
+        let paxName = null;
+
+        while (offset + BLOCK_SIZE <= buffer.length) {
+            const header = buffer.subarray(offset, offset + BLOCK_SIZE);
+            if (header.every(byte => byte === 0)) {
+                break;
+            }
+            if (!TarReader.verifyChecksum(header)) {
+                throw new Error(`Invalid TAR header at offset ${offset}`);
+            }
+
+            const typeFlag = String.fromCharCode(header[156]);
+            const size = TarReader.readOctal(header, 124, 12);
+            const dataStart = offset + BLOCK_SIZE;
+            const dataEnd = dataStart + size;
+            if (dataEnd > buffer.length) {
+                throw new Error('TAR archive is truncated');
+            }
+            offset = dataStart + Math.ceil(size / BLOCK_SIZE) * BLOCK_SIZE;
+
+            if (typeFlag === 'L') {
+                // GNU long name for the next entry
+                longName = TarReader.readString(buffer, dataStart, size);
+                continue;
+            }
+            if (typeFlag === 'x') {
+                paxName = TarReader.readPaxPath(buffer.subarray(dataStart, dataEnd));
+                continue;
+            }
+            if (typeFlag === 'g' || typeFlag === 'K') {
+                continue;
+            }
+
+            let name = paxName || longName;
+            if (!name) {
+                const prefix = TarReader.readString(header, 345, 155);
+                const baseName = TarReader.readString(header, 0, 100);
+                name = prefix ? `${prefix}/${baseName}` : baseName;
+            }
+            longName = null;
+            paxName = null;
+
+            entries.push({
+                name,
+                type: ENTRY_TYPES[typeFlag] || 'other',
+                size,
+                getData: () => buffer.subarray(dataStart, dataEnd)
+            });
+        }
+
+        return entries;
+    }
+
+    /**
+     * Verify a header block's checksum, counting the checksum field as spaces
+     * @param {Buffer} header - 512-byte header
+     * @returns {boolean} True if valid
+     */
+    static verifyChecksum(header) {
+        const expected = TarReader.readOctal(header, 148, 8);
+        let sum = 0;
+        for (let i = 0; i < BLOCK_SIZE; i++) {
+            sum += i >= 148 && i < 156 ? 0x20 : header[i];
+        }
+        return expected === sum;
+    }
+
+    /**
+     * Read a NUL-terminated string field
+     * @param {Buffer} buffer - Source buffer
+     * @param {number} start - Field offset
+     * @param {number} length - Field length
+     * @returns {string} Field value
+     */
+    static readString(buffer, start, length) {
+        const field = buffer.subarray(start, start + length);
+        const end = field.indexOf(0);
+        return field.subarray(0, end === -1 ? field.length : end).toString('utf8');
+    }
+
+    /**
+     * Read an octal number field
+     * @param {Buffer} buffer - Source buffer
+     * @param {number} start - Field offset
+     * @param {number} length - Field length
+     * @returns {number} Parsed value, or 0 if empty
+     */
+    static readOctal(buffer, start, length) {
+        const text = TarReader.readString(buffer, start, length).trim();
+        return text ? parseInt(text, 8) || 0 : 0;
+    }
+
+    /**
+     * Read the path record of a pax extended header
+     * @param {Buffer} data - Extended header data ("<len> key=value\n" records)
+     * @returns {string|null} Path, if present
+     */
+    static readPaxPath(data) {
+        const match = data.toString('utf8').match(/(?:^|\n)\d+ path=([^\n]*)\n/);
+        return match ? match[1] : null;
+    }
+}
+
+module.exports = TarReader;
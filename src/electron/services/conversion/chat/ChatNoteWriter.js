@@ -0,0 +1,213 @@
+/**
+ * ChatNoteWriter.js
+ * Turns messages from any chat export into one note per channel per day plus an index.
+ *
+ * Converters normalize their messages to:
+ *   { id, parentId, author, timestamp, text, attachments: [{ name, link, image }], system }
+ * where timestamp is either epoch milliseconds (rendered in options.timeZone) or wall-clock
+ * milliseconds for exports without a time zone (rendered as is, see wallClock below).
+ *
+ * Replies are nested under the message that started their thread, in that message's day
+ * note, so a thread reads in one place even when replies arrive on later days.
+ *
+ * Related Files:
+ * - SlackExportConverter.js, WhatsAppConverter.js, DiscordConverter.js: Normalize messages
+ * - ConversionResultManager.js: Writes the notes returned here
+ */
+
+const { formatMetadata, createStandardMetadata } = require('../../../converters/utils/metadata');
+const { sanitizeName } = require('../../../converters/utils/fileNames');
+
+class ChatNoteWriter {
+    constructor() {
+        // One formatter per time zone; building them is slow compared to formatting
+        this.formatters = new Map();
+    }
+
+    /**
+     * Build the day notes and index for an export
+     * @param {Object} chat - Export to write
+     * @param {string} chat.title - Export title, used for the index and the root folder
+     * @param {string} chat.source - Label for the index, e.g. "Slack Export"
+     * @param {string} chat.fileType - File type recorded in the frontmatter
+     * @param {Array<{name: string, folder: string, messages: Object[]}>} chat.channels - Channels;
+     *   an empty folder writes the day notes directly in the root folder
+     * @param {Object} [options] - Rendering options
+     * @param {string} [options.timeZone] - IANA zone for epoch timestamps (default: the system zone)
+     * @param {boolean} [options.wallClock] - Timestamps are wall-clock time, render them as UTC
+     * @returns {{content: string, files: Object[], metadata: Object}} Index content, day notes and metadata
+     */
+    write(chat, options = {}) {
+        const root = sanitizeName(chat.title) || 'Chat';
+        const timeZone = options.wallClock ? 'UTC' : (options.timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone);
+        const files = [];
+        const index = [];
+        let messageCount = 0;
+
+        chat.channels.forEach(channel => {
+            const days = this.groupByDay(channel.messages, timeZone);
+            if (days.length === 0) {
+                return;
+            }
+            const folder = channel.folder ? `${root}/${sanitizeName(channel.folder) || 'channel'}` : root;
+            index.push('', `## ${channel.name}`, '');
+
+            days.forEach(({ day, threads, count }) => {
+                const notePath = `${folder}/${day}.md`;
+                const participants = [...new Set(threads
+                    .flatMap(thread => [thread.message, ...thread.replies])
+                    .filter(message => !message.system)
+                    .map(message => message.author))];
+                const metadata = {
+                    ...createStandardMetadata({ title: `${channel.name} ${day}`, fileType: chat.fileType }),
+                    channel: channel.name,
+                    date: day,
+                    messages: count,
+                    participants
+                };
+
+                const markdown = [`# ${channel.name} — ${day}`, ''];
+                threads.forEach(thread => {
+                    markdown.push(...this.renderMessage(thread.message, day, timeZone), '');
+                    thread.replies.forEach(reply => {
+                        markdown.push(...this.renderMessage(reply, day, timeZone).map(line => (line ? `> ${line}` : '>')), '');
+                    });
+                });
+
+                files.push({
+                    name: notePath,
+                    type: 'text',
+                    content: formatMetadata(metadata) + markdown.join('\n').trimEnd() + '\n'
+                });
+                index.push(`- [${day}](${this.encodeLinkPath(notePath)}) — ${count} ${count === 1 ? 'message' : 'messages'}`);
+                messageCount += count;
+            });
+        });
+
+        if (files.length === 0) {
+            throw new Error('Export contains no messages');
+        }
+        const channelCount = chat.channels.filter(channel => channel.messages.length > 0).length;
+
+        const markdown = [];
+        markdown.push(`# ${chat.title}`);
+        markdown.push('');
+        markdown.push(`> ${chat.source}`);
+        markdown.push(`> - Channels: ${channelCount}`);
+        markdown.push(`> - Messages: ${messageCount}`);
+        markdown.push(`> - Days: ${files.length}`);
+        markdown.push(...index, '');
+
+        const metadata = {
+            ...createStandardMetadata({ title: chat.title, fileType: chat.fileType }),
+            channels: channelCount,
+            messages: messageCount,
+            days: files.length
+        };
+        return {
+            content: formatMetadata(metadata) + markdown.join('\n'),
+            files,
+            metadata: { title: chat.title, channels: channelCount, messages: messageCount, days: files.length }
+        };
+    }
+
+    /**
+     * Nest replies under their thread's first message and group threads by that message's day
+     * @param {Object[]} messages - Normalized messages
+     * @param {string} timeZone - Zone to take days from
+     * @returns {Array<{day: string, threads: Array<{message: Object, replies: Object[]}>, count: number}>} Days, oldest first
+     */
+    groupByDay(messages, timeZone) {
+        const sorted = [...messages].sort((a, b) => a.timestamp - b.timestamp);
+        const threadsById = new Map();
+        const days = new Map();
+
+        sorted.forEach(message => {
+            // Replies to replies join the thread of the message they ultimately answer
+            const parent = message.parentId ? threadsById.get(message.parentId) : null;
+            if (parent) {
+                parent.replies.push(message);
+                parent.day.count++;
+                threadsById.set(message.id, parent);
+                return;
+            }
+
+            const day = this.toLocalTime(message.timestamp, timeZone).day;
+            if (!days.has(day)) {
+                days.set(day, { day, threads: [], count: 0 });
+            }
+            const thread = { message, replies: [], day: days.get(day) };
+            thread.day.threads.push(thread);
+            thread.day.count++;
+            threadsById.set(message.id, thread);
+        });
+
+        return [...days.values()].map(({ day, threads, count }) => ({
+            day,
+            threads: threads.map(({ message, replies }) => ({ message, replies })),
+            count
+        }));
+    }
+
+    /**
+     * Render one message
+     * @param {Object} message - Normalized message
+     * @param {string} noteDay - Day of the note, so replies from other days show their date
+     * @param {string} timeZone - Zone to render the time in
+     * @returns {string[]} Markdown lines
+     */
+    renderMessage(message, noteDay, timeZone) {
+        const { day, time } = this.toLocalTime(message.timestamp, timeZone);
+        const when = day === noteDay ? time : `${day} ${time}`;
+        const lines = [];
+
+        if (message.system) {
+            lines.push(`*${when} · ${[message.author, message.text].filter(Boolean).join(' ')}*`);
+        } else {
+            lines.push(`**${message.author}** · ${when}`);
+            if (message.text) {
+                lines.push(...message.text.split('\n'));
+            }
+        }
+        (message.attachments || []).forEach(attachment => {
+            const text = this.escapeLinkText(attachment.name);
+            lines.push(attachment.image ? `![${text}](${attachment.link})` : `[${text}](${attachment.link})`);
+        });
+        return lines;
+    }
+
+    /**
+     * Get the day and time of a timestamp in a time zone
+     * @param {number} timestamp - Milliseconds
+     * @param {string} timeZone - IANA zone
+     * @returns {{day: string, time: string}} YYYY-MM-DD and HH:MM
+     */
+    toLocalTime(timestamp, timeZone) {
+        if (!this.formatters.has(timeZone)) {
+            this.formatters.set(timeZone, new Intl.DateTimeFormat('en-US', {
+                timeZone,
+                year: 'numeric',
+                month: '2-digit',
+                day: '2-digit',
+                hour: '2-digit',
+                minute: '2-digit',
+                hourCycle: 'h23'
+            }));
+        }
+        const parts = {};
+        this.formatters.get(timeZone).formatToParts(new Date(timestamp)).forEach(part => {
+            parts[part.type] = part.value;
+        });
+        return { day: `${parts.year}-${parts.month}-${parts.day}`, time: `${parts.hour}:${parts.minute}` };
+    }
+
+    encodeLinkPath(target) {
+        return target.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    }
+
+    escapeLinkText(text) {
+        return String(text).replace(/([\\[\]])/g, '\\$1');
+    }
+}
+
+module.exports = ChatNoteWriter;
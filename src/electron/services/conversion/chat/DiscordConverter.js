@@ -0,0 +1,182 @@
+/**
+ * DiscordConverter.js
+ * Imports DiscordChatExporter JSON exports in the Electron main process.
+ *
+ * DiscordChatExporter writes one JSON file per channel:
+ *   { guild: { name }, channel: { name, category }, messages: [{ id, type, timestamp, content,
+ *     author: { name, nickname }, attachments: [{ url, fileName }], reference: { messageId } }] }
+ * This converter:
+ * - Recognizes an export by its leading "guild" key (see isDiscordExport)
+ * - Nests replies under the message they answer
+ * - Renders joins, pins and other non-message types as events
+ * - Links attachments and writes one note per day through ChatNoteWriter
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - ChatNoteWriter.js: Day notes and index
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Routes Discord exports here from the JSON adapter
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const ChatNoteWriter = require('./ChatNoteWriter');
+const { decodeText } = require('../../../utils/files/encoding');
+
+// Message types that carry a user's message; everything else is an event
+const MESSAGE_TYPES = ['Default', 'Reply'];
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+
+class DiscordConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.writer = new ChatNoteWriter();
+        this.supportedExtensions = ['.json'];
+    }
+
+    /**
+     * Set up IPC handlers for Discord import
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:discord', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle Discord import request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, options);
+            return { content: result.content, files: result.files };
+        } catch (error) {
+            console.error('[DiscordConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether JSON is a DiscordChatExporter export
+     * @param {Buffer|string} content - JSON file content
+     * @returns {boolean} True if the document starts with a "guild" key
+     */
+    isDiscordExport(content) {
+        const head = Buffer.isBuffer(content) ? content.subarray(0, 1024) : String(content).slice(0, 1024);
+        return /^\s*\{\s*"guild"\s*:/.test(decodeText(head).text);
+    }
+
+    /**
+     * Import a Discord channel export
+     * @param {Buffer|string} content - Export JSON
+     * @param {Object} options - Conversion options
+     * @param {string} [options.timeZone] - IANA zone for days and times (default: the system zone)
+     * @param {string} [options.encoding] - Force an encoding instead of detecting it
+     * @returns {Promise<Object>} Index content, day notes and export metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const data = JSON.parse(decodeText(content, options.encoding).text);
+            if (!data || !Array.isArray(data.messages)) {
+                throw new Error('Not a Discord export: messages are missing');
+            }
+
+            const guild = (data.guild && data.guild.name) || 'Discord';
+            const channelName = (data.channel && data.channel.name) || 'channel';
+            const messages = data.messages
+                .filter(message => message)
+                .map(message => this.normalizeMessage(message))
+                // Messages without a readable time cannot be placed in a day note
+                .filter(message => Number.isFinite(message.timestamp));
+            if (messages.length < data.messages.length) {
+                console.warn(`[DiscordConverter] Skipped ${data.messages.length - messages.length} messages without a valid timestamp`);
+            }
+            console.log(`[DiscordConverter] Importing ${messages.length} messages from #${channelName} in ${guild}`);
+
+            return this.writer.write({
+                title: guild,
+                source: 'Discord Export',
+                fileType: 'discord',
+                channels: [{ name: `#${channelName}`, folder: channelName, messages }]
+            }, { timeZone: options.timeZone });
+        } catch (error) {
+            console.error('[DiscordConverter] Import failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Turn a Discord message into the form ChatNoteWriter renders
+     * @param {Object} message - Exported message
+     * @returns {Object} Normalized message
+     */
+    normalizeMessage(message) {
+        const author = message.author || {};
+        const system = !MESSAGE_TYPES.includes(message.type || 'Default');
+        let text = message.content || '';
+        if (system && !text) {
+            // Events such as ChannelPinnedMessage may carry no text; "channel pinned message" is readable enough
+            text = String(message.type).replace(/([a-z])([A-Z])/g, '$1 $2').toLowerCase();
+        }
+
+        return {
+            id: message.id,
+            parentId: message.type === 'Reply' && message.reference ? message.reference.messageId : null,
+            author: author.nickname || author.name || 'Unknown',
+            timestamp: Date.parse(message.timestamp),
+            text,
+            attachments: (message.attachments || [])
+                .filter(attachment => attachment.url)
+                .map(attachment => {
+                    const name = attachment.fileName || path.posix.basename(attachment.url.split('?')[0]) || 'attachment';
+                    return {
+                        name,
+                        link: attachment.url,
+                        image: IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())
+                    };
+                }),
+            system
+        };
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Discord Export Importer',
+            extensions: this.supportedExtensions,
+            description: 'Imports DiscordChatExporter JSON exports as one note per day',
+            options: {
+                timeZone: 'IANA time zone for days and times (default: the system zone)'
+            }
+        };
+    }
+}
+
+module.exports = DiscordConverter;
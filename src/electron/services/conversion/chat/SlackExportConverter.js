@@ -0,0 +1,318 @@
+/**
+ * SlackExportConverter.js
+ * Imports Slack workspace export zips in the Electron main process.
+ *
+ * A Slack export holds users.json, channels.json (plus groups.json, mpims.json and dms.json
+ * for private conversations) and one folder per conversation with a JSON file per day.
+ * This converter:
+ * - Recognizes an export zip by users.json and channels.json (see isSlackExport)
+ * - Resolves user and channel IDs to names, in authors and in <@U123>/<#C123> mentions
+ * - Converts Slack mrkdwn (links, *bold*, _italic_, ~strike~, entities) to markdown
+ * - Nests thread replies under their parent and links shared files
+ * - Writes one note per channel per day through ChatNoteWriter
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - ChatNoteWriter.js: Day notes and index
+ * - ConverterRegistry.js: Routes Slack export zips here from the ZIP adapter
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const BaseService = require('../../BaseService');
+const ChatNoteWriter = require('./ChatNoteWriter');
+
+// Conversation lists in the export, and whether their folders are named by ID
+const CONVERSATION_FILES = [
+    { file: 'channels.json', byId: false },
+    { file: 'groups.json', byId: false },
+    { file: 'mpims.json', byId: false },
+    { file: 'dms.json', byId: true }
+];
+// Subtypes rendered as a one-line event rather than a message
+const SYSTEM_SUBTYPES = ['channel_join', 'channel_leave', 'channel_topic', 'channel_purpose', 'channel_name', 'channel_archive', 'group_join', 'group_leave'];
+const DAY_FILE = /^(\d{4}-\d{2}-\d{2})\.json$/;
+
+class SlackExportConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.writer = new ChatNoteWriter();
+        this.supportedExtensions = ['.zip'];
+    }
+
+    /**
+     * Set up IPC handlers for Slack import
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:slack', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle Slack import request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'slack-export.zip')
+            });
+
+            return { content: result.content, files: result.files };
+        } catch (error) {
+            console.error('[SlackExportConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a zip is a Slack workspace export
+     * @param {Buffer} content - Zip data
+     * @returns {Promise<boolean>} True if it holds users.json and channels.json
+     */
+    async isSlackExport(content) {
+        if (!Buffer.isBuffer(content) || content.length < 4 || content.readUInt32LE(0) !== 0x04034b50) {
+            return false;
+        }
+        try {
+            const zip = await JSZip.loadAsync(content);
+            return this.findBase(zip) !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Import a Slack export
+     * @param {Buffer} content - Export zip
+     * @param {Object} options - Conversion options
+     * @param {string} [options.timeZone] - IANA zone for days and times (default: the system zone)
+     * @returns {Promise<Object>} Index content, day notes and export metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'slack-export.zip';
+            const title = path.basename(fileName, path.extname(fileName));
+            const zip = await JSZip.loadAsync(content);
+            const base = this.findBase(zip);
+            if (base === null) {
+                throw new Error('Not a Slack export: users.json or channels.json is missing');
+            }
+
+            const users = new Map();
+            (await this.readJson(zip, `${base}users.json`)).forEach(user => {
+                const profile = user.profile || {};
+                users.set(user.id, user.real_name || profile.real_name || profile.display_name || user.name || user.id);
+            });
+
+            // Folder name -> conversation name; channels are listed by name, DMs by ID
+            const conversations = new Map();
+            const channelNames = new Map();
+            for (const { file, byId } of CONVERSATION_FILES) {
+                (await this.readJson(zip, `${base}${file}`)).forEach(conversation => {
+                    const name = conversation.name
+                        || (conversation.members || []).map(member => users.get(member) || member).join(', ')
+                        || conversation.id;
+                    conversations.set(byId ? conversation.id : conversation.name, byId ? name : `#${name}`);
+                    channelNames.set(conversation.id, name);
+                });
+            }
+
+            // Collect day files per folder; folders missing from the lists keep their own name
+            const dayFiles = new Map();
+            Object.values(zip.files).forEach(file => {
+                const relative = file.name.slice(base.length);
+                const parts = relative.split('/');
+                if (file.dir || !file.name.startsWith(base) || parts.length !== 2 || !DAY_FILE.test(parts[1])) {
+                    return;
+                }
+                if (!dayFiles.has(parts[0])) {
+                    dayFiles.set(parts[0], []);
+                }
+                dayFiles.get(parts[0]).push(file);
+            });
+
+            const channels = [];
+            for (const [folder, files] of [...dayFiles.entries()].sort((a, b) => a[0].localeCompare(b[0]))) {
+                const messages = [];
+                for (const file of files) {
+                    const dayMessages = JSON.parse(await file.async('string'));
+                    if (Array.isArray(dayMessages)) {
+                        messages.push(...dayMessages
+                            .filter(message => message && message.type === 'message' && message.ts)
+                            .map(message => this.normalizeMessage(message, users, channelNames)));
+                    }
+                }
+                const name = conversations.get(folder) || `#${folder}`;
+                channels.push({ name, folder: name.replace(/^#/, ''), messages });
+            }
+
+            const messageCount = channels.reduce((sum, channel) => sum + channel.messages.length, 0);
+            console.log(`[SlackExportConverter] Importing ${messageCount} messages from ${channels.length} conversations in ${fileName}`);
+
+            return this.writer.write({
+                title,
+                source: 'Slack Export',
+                fileType: 'slack',
+                channels
+            }, { timeZone: options.timeZone });
+        } catch (error) {
+            console.error('[SlackExportConverter] Import failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find the folder holding users.json and channels.json (the zip root, or one folder down)
+     * @param {JSZip} zip - Loaded zip
+     * @returns {string|null} Folder prefix ('' or 'name/'), or null if this is not an export
+     */
+    findBase(zip) {
+        const names = new Set(Object.keys(zip.files));
+        const candidates = [''].concat(
+            [...names].filter(name => /^[^/]+\/users\.json$/.test(name)).map(name => name.replace(/users\.json$/, ''))
+        );
+        const base = candidates.find(candidate => names.has(`${candidate}users.json`) && names.has(`${candidate}channels.json`));
+        return base === undefined ? null : base;
+    }
+
+    /**
+     * Read a JSON array from the zip
+     * @param {JSZip} zip - Loaded zip
+     * @param {string} name - Entry name
+     * @returns {Promise<Object[]>} Parsed array, or [] if the entry is missing or not an array
+     */
+    async readJson(zip, name) {
+        const file = zip.file(name);
+        if (!file) {
+            return [];
+        }
+        try {
+            const parsed = JSON.parse(await file.async('string'));
+            return Array.isArray(parsed) ? parsed : [];
+        } catch (error) {
+            console.warn(`[SlackExportConverter] Could not parse ${name}: ${error.message}`);
+            return [];
+        }
+    }
+
+    /**
+     * Turn a Slack message into the form ChatNoteWriter renders
+     * @param {Object} message - Slack message
+     * @param {Map<string, string>} users - User names by ID
+     * @param {Map<string, string>} channelNames - Channel names by ID
+     * @returns {Object} Normalized message
+     */
+    normalizeMessage(message, users, channelNames) {
+        const profile = message.user_profile || {};
+        const author = users.get(message.user)
+            || profile.real_name
+            || profile.display_name
+            || message.username
+            || (message.bot_profile && message.bot_profile.name)
+            || message.user
+            || 'Unknown';
+        const system = SYSTEM_SUBTYPES.includes(message.subtype);
+        let text = this.convertMrkdwn(message.text || '', users, channelNames);
+        if (system) {
+            // "<@U123> has joined the channel" reads as "Alice has joined the channel" with the author in front
+            text = text.replace(new RegExp(`^@${author.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*`), '');
+        }
+
+        return {
+            id: message.ts,
+            parentId: message.thread_ts && message.thread_ts !== message.ts ? message.thread_ts : null,
+            author,
+            timestamp: Math.round(parseFloat(message.ts) * 1000),
+            text,
+            attachments: (message.files || [])
+                .filter(file => file.url_private || file.permalink)
+                .map(file => ({
+                    name: file.name || file.title || 'file',
+                    link: file.url_private || file.permalink,
+                    image: /^image\//.test(file.mimetype || '')
+                })),
+            system
+        };
+    }
+
+    /**
+     * Convert Slack mrkdwn to markdown, leaving code untouched
+     * @param {string} text - Message text
+     * @param {Map<string, string>} users - User names by ID
+     * @param {Map<string, string>} channelNames - Channel names by ID
+     * @returns {string} Markdown
+     */
+    convertMrkdwn(text, users, channelNames) {
+        return text.split(/(```[\s\S]*?```|`[^`\n]*`)/).map((segment, index) => {
+            if (index % 2 === 1) {
+                return this.decodeEntities(segment);
+            }
+            const converted = segment
+                .replace(/<([^<>]+)>/g, (match, inner) => {
+                    const [target, label] = inner.split('|');
+                    if (target.startsWith('@')) {
+                        return `@${users.get(target.slice(1)) || label || target.slice(1)}`;
+                    }
+                    if (target.startsWith('#')) {
+                        return `#${label || channelNames.get(target.slice(1)) || target.slice(1)}`;
+                    }
+                    if (target.startsWith('!')) {
+                        // <!here>, <!channel>, <!subteam^S1|@team>, <!date^...|fallback>
+                        return label || `@${target.slice(1).split('^')[0]}`;
+                    }
+                    return label ? `[${label}](${target})` : target;
+                })
+                .replace(/(^|[\s(])\*([^*\n]+)\*(?=$|[\s).,!?:;])/gm, '$1**$2**')
+                .replace(/(^|[\s(])_([^_\n]+)_(?=$|[\s).,!?:;])/gm, '$1*$2*')
+                .replace(/(^|[\s(])~([^~\n]+)~(?=$|[\s).,!?:;])/gm, '$1~~$2~~');
+            return this.decodeEntities(converted);
+        }).join('');
+    }
+
+    decodeEntities(text) {
+        return text.replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&amp;/g, '&');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Slack Export Importer',
+            extensions: this.supportedExtensions,
+            description: 'Imports Slack workspace exports as one note per channel per day',
+            options: {
+                timeZone: 'IANA time zone for days and times (default: the system zone)'
+            }
+        };
+    }
+}
+
+module.exports = SlackExportConverter;
@@ -0,0 +1,319 @@
+/**
+ * WhatsAppConverter.js
+ * Imports WhatsApp chat exports in the Electron main process.
+ *
+ * WhatsApp exports a chat as a .txt file, or as a zip holding that file (_chat.txt on iOS)
+ * with the shared media. This converter:
+ * - Recognizes the iOS "[12/01/2024, 09:15:32] Name: text" and Android
+ *   "12/01/2024, 09:15 - Name: text" line formats, in 12- and 24-hour time
+ * - Works out whether dates are day-first or month-first from the whole chat
+ * - Joins multi-line messages and renders group events ("Alice added Bob") as events
+ * - Saves media from zipped exports and links it where the chat mentions it
+ * - Writes one note per day through ChatNoteWriter
+ *
+ * WhatsApp writes times in the exporting phone's local time without a zone, so they are
+ * kept as they are.
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - ChatNoteWriter.js: Day notes and index
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Routes WhatsApp exports here from the TXT and ZIP adapters
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const BaseService = require('../../BaseService');
+const ChatNoteWriter = require('./ChatNoteWriter');
+const { decodeText } = require('../../../utils/files/encoding');
+const { sanitizeName } = require('../../../converters/utils/fileNames');
+
+const DATE = '(\\d{1,4}[./-]\\d{1,2}[./-]\\d{1,4})';
+const TIME = '(\\d{1,2}[:.]\\d{2}(?:[:.]\\d{2})?)(?:[\\s\\u202f]?([AaPp])\\.?\\s?[Mm]\\.?)?';
+// [12/01/2024, 09:15:32] Name: text
+const IOS_LINE = new RegExp(`^\\[${DATE},? ${TIME}\\] (.*)$`);
+// 12/01/2024, 09:15 - Name: text
+const ANDROID_LINE = new RegExp(`^${DATE},? ${TIME} [-–] (.*)$`);
+// <attached: 00000012-PHOTO-2024-01-12-09-15-32.jpg> (iOS), IMG-20240112-WA0001.jpg (file attached) (Android)
+const ATTACHMENT = /^<attached: ([^>]+)>$|^(.+\.\w{2,5}) \(file attached\)$/;
+const IMAGE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.gif', '.webp'];
+const CHAT_FILE = /^(?:_chat|WhatsApp Chat.*)\.txt$/i;
+
+class WhatsAppConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.writer = new ChatNoteWriter();
+        this.supportedExtensions = ['.txt', '.zip'];
+    }
+
+    /**
+     * Set up IPC handlers for WhatsApp import
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:whatsapp', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle WhatsApp import request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'WhatsApp Chat.txt')
+            });
+
+            return { content: result.content, images: result.images, files: result.files };
+        } catch (error) {
+            console.error('[WhatsAppConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether text is a WhatsApp chat export
+     * @param {Buffer|string} content - Text file content
+     * @returns {boolean} True if the first line is a WhatsApp message line
+     */
+    isWhatsAppExport(content) {
+        const head = Buffer.isBuffer(content) ? content.subarray(0, 4096) : String(content).slice(0, 4096);
+        const firstLine = this.cleanLine(decodeText(head).text.split(/\r?\n/).find(line => line.trim() !== '') || '');
+        return IOS_LINE.test(firstLine) || ANDROID_LINE.test(firstLine);
+    }
+
+    /**
+     * Check whether a zip is a WhatsApp chat export
+     * @param {Buffer} content - Zip data
+     * @returns {Promise<boolean>} True if it holds a chat text file in WhatsApp's format
+     */
+    async isWhatsAppZip(content) {
+        if (!Buffer.isBuffer(content) || content.length < 4 || content.readUInt32LE(0) !== 0x04034b50) {
+            return false;
+        }
+        try {
+            const zip = await JSZip.loadAsync(content);
+            const chatFile = this.findChatFile(zip);
+            return !!chatFile && this.isWhatsAppExport(await chatFile.async('nodebuffer'));
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Import a WhatsApp chat
+     * @param {Buffer|string} content - Chat text, or a zip with the chat and its media
+     * @param {Object} options - Conversion options
+     * @param {string} [options.dateOrder] - 'dmy' or 'mdy' when the chat's dates are ambiguous (default: 'dmy')
+     * @param {string} [options.encoding] - Force an encoding instead of detecting it
+     * @returns {Promise<Object>} Index content, media, day notes and chat metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'WhatsApp Chat.txt';
+            let chatName = path.basename(fileName, path.extname(fileName));
+            let text;
+            const media = new Map();
+
+            if (Buffer.isBuffer(content) && content.length >= 4 && content.readUInt32LE(0) === 0x04034b50) {
+                const zip = await JSZip.loadAsync(content);
+                const chatFile = this.findChatFile(zip);
+                if (!chatFile) {
+                    throw new Error('Zip contains no WhatsApp chat file');
+                }
+                if (!/^_chat\.txt$/i.test(path.posix.basename(chatFile.name))) {
+                    chatName = path.posix.basename(chatFile.name, '.txt');
+                }
+                text = decodeText(await chatFile.async('nodebuffer'), options.encoding).text;
+                Object.values(zip.files)
+                    .filter(file => !file.dir && file !== chatFile)
+                    .forEach(file => media.set(path.posix.basename(file.name), file));
+            } else {
+                text = decodeText(content, options.encoding).text;
+            }
+
+            // "WhatsApp Chat with Alice" and "WhatsApp Chat - Alice" both name the chat "Alice"
+            chatName = chatName.replace(/^WhatsApp Chat\s*(?:with|-)\s*/i, '').trim() || 'WhatsApp';
+            const title = `WhatsApp Chat with ${chatName}`;
+
+            const entries = this.parseLines(text);
+            if (entries.length === 0) {
+                throw new Error('No WhatsApp messages found');
+            }
+            const dateOrder = this.detectDateOrder(entries, options.dateOrder);
+
+            const images = [];
+            const savedMedia = new Set();
+            const messages = [];
+            for (const [index, entry] of entries.entries()) {
+                const message = await this.normalizeMessage(entry, index, dateOrder, media, { images, savedMedia, title });
+                if (message) {
+                    messages.push(message);
+                }
+            }
+            console.log(`[WhatsAppConverter] Importing ${messages.length} messages and ${images.length} media files from ${fileName}`);
+
+            const result = this.writer.write({
+                title,
+                source: 'WhatsApp Chat',
+                fileType: 'whatsapp',
+                channels: [{ name: chatName, folder: '', messages }]
+            }, { wallClock: true });
+            return { ...result, images };
+        } catch (error) {
+            console.error('[WhatsAppConverter] Import failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Split the chat into entries, joining continuation lines to their message
+     * @param {string} text - Chat text
+     * @returns {Array<{date: string, time: string, meridiem: string|undefined, body: string}>} Entries
+     */
+    parseLines(text) {
+        const entries = [];
+        text.split(/\r\n|\r|\n/).forEach(rawLine => {
+            const line = this.cleanLine(rawLine);
+            const match = line.match(IOS_LINE) || line.match(ANDROID_LINE);
+            if (match) {
+                entries.push({ date: match[1], time: match[2], meridiem: match[3], body: match[4] });
+            } else if (entries.length > 0) {
+                entries[entries.length - 1].body += `\n${line}`;
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Work out whether dates are day-first or month-first
+     * @param {Object[]} entries - Parsed entries
+     * @param {string} [fallback] - Order to use when no date decides it
+     * @returns {string} 'ymd', 'dmy' or 'mdy'
+     */
+    detectDateOrder(entries, fallback) {
+        const parts = entries.map(entry => entry.date.split(/[./-]/));
+        if (parts.some(([first]) => first.length === 4)) return 'ymd';
+        if (parts.some(([first]) => parseInt(first, 10) > 12)) return 'dmy';
+        if (parts.some(([, second]) => parseInt(second, 10) > 12)) return 'mdy';
+        return fallback === 'mdy' ? 'mdy' : 'dmy';
+    }
+
+    /**
+     * Turn an entry into the form ChatNoteWriter renders, saving media it refers to
+     * @param {Object} entry - Parsed entry
+     * @param {number} index - Entry number
+     * @param {string} dateOrder - Date order
+     * @param {Map<string, Object>} media - Media files in the zip by name
+     * @param {Object} state - Saved images and the chat title
+     * @returns {Promise<Object|null>} Normalized message, or null if the date cannot be read
+     */
+    async normalizeMessage(entry, index, dateOrder, media, state) {
+        const numbers = entry.date.split(/[./-]/).map(part => parseInt(part, 10));
+        const [year, month, day] = dateOrder === 'ymd'
+            ? numbers
+            : (dateOrder === 'mdy' ? [numbers[2], numbers[0], numbers[1]] : [numbers[2], numbers[1], numbers[0]]);
+        const [hour, minute, second = 0] = entry.time.split(/[:.]/).map(part => parseInt(part, 10));
+        let hours = hour;
+        if (entry.meridiem) {
+            hours = (hour % 12) + (/p/i.test(entry.meridiem) ? 12 : 0);
+        }
+        const timestamp = Date.UTC(year < 100 ? 2000 + year : year, month - 1, day, hours, minute, second);
+        if (isNaN(timestamp)) {
+            return null;
+        }
+
+        // "Name: text" is a message; anything else is a group event
+        const separator = entry.body.indexOf(': ');
+        const system = separator === -1;
+        const author = system ? '' : entry.body.slice(0, separator).trim();
+        let text = (system ? entry.body : entry.body.slice(separator + 2)).trim();
+
+        const attachments = [];
+        const attachment = text.match(ATTACHMENT);
+        if (attachment) {
+            const name = (attachment[1] || attachment[2]).trim();
+            const file = media.get(name);
+            if (file) {
+                const savedPath = `${sanitizeName(state.title)}/media/${name}`;
+                if (!state.savedMedia.has(savedPath)) {
+                    state.savedMedia.add(savedPath);
+                    state.images.push({ path: savedPath, data: await file.async('nodebuffer') });
+                }
+                attachments.push({
+                    name,
+                    link: `media/${encodeURIComponent(name)}`,
+                    image: IMAGE_EXTENSIONS.includes(path.extname(name).toLowerCase())
+                });
+                text = '';
+            } else {
+                // Exports without their media still name the file; "<attached: ...>" would read as an HTML tag
+                text = `📎 ${name}`;
+            }
+        } else if (/^<Media omitted>$/i.test(text)) {
+            text = '*Media omitted*';
+        }
+
+        return { id: String(index), parentId: null, author, timestamp, text, attachments, system };
+    }
+
+    /**
+     * Find the chat text file in a zipped export
+     * @param {JSZip} zip - Loaded zip
+     * @returns {Object|null} Zip entry
+     */
+    findChatFile(zip) {
+        return Object.values(zip.files).find(file => !file.dir && CHAT_FILE.test(path.posix.basename(file.name))) || null;
+    }
+
+    /**
+     * Remove the direction marks WhatsApp puts around names and attachments
+     * @param {string} line - Raw line
+     * @returns {string} Clean line
+     */
+    cleanLine(line) {
+        return line.replace(/[\u200e\u200f\uFEFF]/g, '');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'WhatsApp Chat Importer',
+            extensions: this.supportedExtensions,
+            description: 'Imports WhatsApp chat exports as one note per day',
+            options: {
+                dateOrder: "'dmy' or 'mdy' when the chat's dates are ambiguous (default: 'dmy')"
+            }
+        };
+    }
+}
+
+module.exports = WhatsAppConverter;
@@ -0,0 +1,271 @@
+/**
+ * SourceCodeConverter.js
+ * Handles conversion of source code files to markdown in the Electron main process.
+ *
+ * This converter:
+ * - Detects the language from the file extension (see languages.js)
+ * - Finds top-level symbols (functions, classes, types, exports) line by line
+ * - Prepends an outline linking to one heading per symbol; since fenced code
+ *   cannot be a link target, the file is fenced in sections that start at each
+ *   symbol (with its leading comments and decorators) and read top to bottom as
+ *   the original file
+ * - Records the source path, language and line count in the frontmatter
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - languages.js: Extensions, fence tags and symbol patterns
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Registers the source code adapter
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const { LANGUAGES, getLanguage } = require('./languages');
+const { decodeText } = require('../../../utils/files/encoding');
+const { formatMetadata, createStandardMetadata } = require('../../../converters/utils/metadata');
+
+// Lines directly above a symbol that belong to it: comments, doc blocks, decorators and attributes
+const LEADING_LINE_PATTERN = /^\s*(\/\/|\/\*|\*|#(?!include\b|define\b|if|endif\b|else\b|pragma\b|!)|@|--)/;
+// Characters Obsidian drops from heading links
+const HEADING_LINK_UNSAFE = /[#|^:[\]]/g;
+
+class SourceCodeConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.supportedExtensions = Object.keys(LANGUAGES).map(ext => `.${ext}`);
+    }
+
+    /**
+     * Set up IPC handlers for source code conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:code', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle source code conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                sourcePath: options.sourcePath || filePath,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'source.txt')
+            });
+
+            return { content: result.content, metadata: result.metadata };
+        } catch (error) {
+            console.error('[SourceCodeConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert a source file to markdown
+     * @param {Buffer|string} content - Source file content
+     * @param {Object} options - Conversion options
+     * @param {string} [options.sourcePath] - Path recorded in the frontmatter (defaults to the file name)
+     * @param {boolean} [options.includeOutline=true] - Add the symbol outline and section headings
+     * @param {string} [options.encoding] - Force an encoding instead of detecting it
+     * @returns {Promise<Object>} Markdown content and file metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'source.txt';
+            const language = getLanguage(path.extname(fileName).slice(1));
+            if (!language) {
+                throw new Error(`Unsupported source file type: ${path.extname(fileName) || fileName}`);
+            }
+
+            const { text } = decodeText(content, options.encoding);
+            const source = text.replace(/\r\n?/g, '\n').replace(/\n$/, '');
+            const lines = source === '' ? [] : source.split('\n');
+            const symbols = options.includeOutline === false ? [] : this.findSymbols(lines, language);
+            console.log(`[SourceCodeConverter] ${fileName}: ${language.name}, ${lines.length} lines, ${symbols.length} top-level symbols`);
+
+            const title = options.title || fileName;
+            const metadata = {
+                ...createStandardMetadata({ title, fileType: path.extname(fileName).slice(1).toLowerCase() }),
+                path: options.sourcePath || fileName,
+                language: language.name,
+                lines: lines.length
+            };
+
+            const markdown = [`# ${title}`, ''];
+            if (symbols.length > 0) {
+                markdown.push('## Outline', '');
+                symbols.forEach(symbol => {
+                    const visibility = symbol.exported ? 'exported ' : '';
+                    markdown.push(`- [[#${this.toHeadingLink(symbol.heading)}|${symbol.name}]] — ${visibility}${symbol.kind}, line ${symbol.line}`);
+                });
+                markdown.push('', '## Source', '');
+            }
+            markdown.push(...this.renderSections(lines, symbols, language.fence));
+
+            return {
+                content: formatMetadata(metadata) + markdown.join('\n').trimEnd() + '\n',
+                metadata: {
+                    title,
+                    path: metadata.path,
+                    language: metadata.language,
+                    lines: metadata.lines
+                }
+            };
+        } catch (error) {
+            console.error('[SourceCodeConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Find top-level symbols and the line each section starts on
+     * @param {string[]} lines - Source lines
+     * @param {Object} language - Language from languages.js
+     * @returns {Array<{kind: string, name: string, exported: boolean, line: number, sectionStart: number, heading: string}>}
+     */
+    findSymbols(lines, language) {
+        const symbols = [];
+        const headings = new Set();
+        let previousStart = 0;
+
+        lines.forEach((line, index) => {
+            if (/^\s/.test(line)) {
+                return;
+            }
+            const rule = language.symbols.find(candidate => candidate.pattern.test(line));
+            if (!rule) {
+                return;
+            }
+            const symbol = rule.build(line.match(rule.pattern));
+
+            // Pull comments and decorators directly above the symbol into its section
+            let sectionStart = index;
+            while (sectionStart > previousStart && lines[sectionStart - 1].trim() !== '' && LEADING_LINE_PATTERN.test(lines[sectionStart - 1])) {
+                sectionStart--;
+            }
+            previousStart = index + 1;
+
+            let heading = symbol.name;
+            for (let n = 2; headings.has(heading.toLowerCase()); n++) {
+                heading = `${symbol.name} (${n})`;
+            }
+            headings.add(heading.toLowerCase());
+
+            symbols.push({ ...symbol, line: index + 1, sectionStart, heading });
+        });
+
+        return symbols;
+    }
+
+    /**
+     * Fence the source, one section per symbol after any leading code
+     * @param {string[]} lines - Source lines
+     * @param {Object[]} symbols - Symbols from findSymbols
+     * @param {string} fenceLanguage - Fence info string
+     * @returns {string[]} Markdown lines
+     */
+    renderSections(lines, symbols, fenceLanguage) {
+        const fence = this.getFence(lines);
+        const markdown = [];
+        const addBlock = (blockLines, keepEmpty = false) => {
+            const trimmed = this.trimBlankLines(blockLines);
+            if (trimmed.length > 0 || keepEmpty) {
+                markdown.push(`${fence}${fenceLanguage}`, ...trimmed, fence, '');
+            }
+        };
+
+        if (symbols.length === 0) {
+            // Keep the fence for empty files so the note still shows the language
+            addBlock(lines, true);
+            return markdown;
+        }
+
+        addBlock(lines.slice(0, symbols[0].sectionStart));
+        symbols.forEach((symbol, index) => {
+            const end = index + 1 < symbols.length ? symbols[index + 1].sectionStart : lines.length;
+            markdown.push(`### ${symbol.heading}`, '');
+            addBlock(lines.slice(symbol.sectionStart, end));
+        });
+        return markdown;
+    }
+
+    /**
+     * Pick a backtick fence longer than any backtick run in the code
+     * @param {string[]} lines - Source lines
+     * @returns {string} Fence
+     */
+    getFence(lines) {
+        const longest = lines.reduce((max, line) => {
+            const runs = line.match(/`+/g) || [];
+            return Math.max(max, ...runs.map(run => run.length));
+        }, 0);
+        return '`'.repeat(Math.max(3, longest + 1));
+    }
+
+    /**
+     * Remove leading and trailing blank lines
+     * @param {string[]} lines - Lines
+     * @returns {string[]} Trimmed lines
+     */
+    trimBlankLines(lines) {
+        let start = 0;
+        let end = lines.length;
+        while (start < end && lines[start].trim() === '') start++;
+        while (end > start && lines[end - 1].trim() === '') end--;
+        return lines.slice(start, end);
+    }
+
+    /**
+     * Convert heading text to the form Obsidian uses in [[#heading]] links
+     * @param {string} heading - Heading text
+     * @returns {string} Link target
+     */
+    toHeadingLink(heading) {
+        return heading.replace(HEADING_LINK_UNSAFE, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Source Code Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts source code files to fenced markdown with an outline of top-level symbols',
+            options: {
+                includeOutline: 'Add the symbol outline and section headings (default: true)',
+                sourcePath: 'Path recorded in the frontmatter',
+                title: 'Optional note title'
+            }
+        };
+    }
+}
+
+module.exports = SourceCodeConverter;
@@ -0,0 +1,205 @@
+/**
+ * languages.js
+ * Language definitions for the source code converter.
+ *
+ * Each language maps file extensions to a display name, a fence tag for
+ * syntax highlighting and a symbol family. A family lists the patterns that
+ * recognize top-level symbols (a line starting at column 0) and turn the match
+ * into { kind, name, exported }. CommonJS exports are flagged by their kind
+ * rather than the exported flag, so the outline does not repeat itself.
+ *
+ * Related Files:
+ * - SourceCodeConverter.js: Uses these definitions to fence code and build the outline
+ */
+
+const JS_NAME = '[A-Za-z_$][\\w$]*';
+
+const SYMBOL_FAMILIES = {
+    javascript: [
+        {
+            pattern: new RegExp(`^(export\\s+)?(?:default\\s+)?(?:async\\s+)?function\\s*\\*?\\s*(${JS_NAME})`),
+            build: m => ({ kind: 'function', name: m[2], exported: !!m[1] })
+        },
+        {
+            pattern: new RegExp(`^(export\\s+)?(?:default\\s+)?(?:abstract\\s+)?class\\s+(${JS_NAME})`),
+            build: m => ({ kind: 'class', name: m[2], exported: !!m[1] })
+        },
+        {
+            pattern: new RegExp(`^(export\\s+)?(?:declare\\s+)?(?:const\\s+)?(interface|type|enum|namespace)\\s+(${JS_NAME})`),
+            build: m => ({ kind: m[2], name: m[3], exported: !!m[1] })
+        },
+        {
+            // Arrow functions and function expressions assigned to a top-level binding
+            pattern: new RegExp(`^(export\\s+)?(?:const|let|var)\\s+(${JS_NAME})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*(?::[^=]+)?=>|${JS_NAME}\\s*=>)`),
+            build: m => ({ kind: 'function', name: m[2], exported: !!m[1] })
+        },
+        {
+            pattern: new RegExp(`^export\\s+(?:const|let|var)\\s+(${JS_NAME})`),
+            build: m => ({ kind: 'constant', name: m[1], exported: true })
+        },
+        {
+            pattern: /^module\.exports\s*=/,
+            build: () => ({ kind: 'exports', name: 'module.exports', exported: false })
+        },
+        {
+            pattern: new RegExp(`^(?:module\\.)?exports\\.(${JS_NAME})\\s*=`),
+            build: m => ({ kind: 'export', name: m[1], exported: false })
+        }
+    ],
+    python: [
+        {
+            pattern: /^(?:async\s+)?def\s+(\w+)/,
+            build: m => ({ kind: 'function', name: m[1], exported: !m[1].startsWith('_') })
+        },
+        {
+            pattern: /^class\s+(\w+)/,
+            build: m => ({ kind: 'class', name: m[1], exported: !m[1].startsWith('_') })
+        }
+    ],
+    go: [
+        {
+            pattern: /^func\s+\(\s*(?:\w+\s+)?\*?\s*(\w+)[^)]*\)\s*(\w+)/,
+            build: m => ({ kind: 'method', name: `${m[1]}.${m[2]}`, exported: /^[A-Z]/.test(m[2]) })
+        },
+        {
+            pattern: /^func\s+(\w+)/,
+            build: m => ({ kind: 'function', name: m[1], exported: /^[A-Z]/.test(m[1]) })
+        },
+        {
+            pattern: /^type\s+(\w+)\s+(struct|interface)\b/,
+            build: m => ({ kind: m[2], name: m[1], exported: /^[A-Z]/.test(m[1]) })
+        },
+        {
+            pattern: /^type\s+(\w+)/,
+            build: m => ({ kind: 'type', name: m[1], exported: /^[A-Z]/.test(m[1]) })
+        }
+    ],
+    rust: [
+        {
+            pattern: /^(pub(?:\([^)]*\))?\s+)?(?:const\s+)?(?:async\s+)?(?:unsafe\s+)?(?:extern\s+"[^"]*"\s+)?fn\s+(\w+)/,
+            build: m => ({ kind: 'function', name: m[2], exported: !!m[1] })
+        },
+        {
+            pattern: /^(pub(?:\([^)]*\))?\s+)?(struct|enum|trait|mod|union|type)\s+(\w+)/,
+            build: m => ({ kind: m[2], name: m[3], exported: !!m[1] })
+        },
+        {
+            pattern: /^(?:unsafe\s+)?impl(?:<[^>]*>)?\s+(?:([\w:]+)(?:<[^>]*>)?\s+for\s+)?([\w:]+)/,
+            build: m => ({ kind: 'impl', name: m[1] ? `${m[1]} for ${m[2]}` : m[2], exported: false })
+        }
+    ],
+    // Java, Kotlin, Scala, C# and Swift: types at the top level, plus Kotlin/Swift/Scala functions
+    jvm: [
+        {
+            pattern: /^((?:(?:public|private|protected|internal|open|abstract|final|sealed|static|data|partial|case|export)\s+)*)(class|interface|enum|record|struct|object|trait|protocol|extension)\s+(\w+)/,
+            build: m => ({ kind: m[2], name: m[3], exported: !/\b(private|internal)\b/.test(m[1]) })
+        },
+        {
+            pattern: /^((?:(?:public|private|internal|inline|suspend)\s+)*)(?:fun|func|def)\s+(?:<[^>]*>\s*)?(\w+)/,
+            build: m => ({ kind: 'function', name: m[2], exported: !/\b(private|internal)\b/.test(m[1]) })
+        }
+    ],
+    c: [
+        {
+            pattern: /^(?:typedef\s+)?(struct|class|union|enum)\s+(\w+)\s*(?::[^{;]*)?\{?\s*$/,
+            build: m => ({ kind: m[1], name: m[2], exported: true })
+        },
+        {
+            pattern: /^namespace\s+(\w+)/,
+            build: m => ({ kind: 'namespace', name: m[1], exported: true })
+        },
+        {
+            // A definition: return type, name and an opening parenthesis with no semicolon after it
+            pattern: /^(?!(?:if|for|while|switch|return|else|typedef|using)\b)((?:static\s+)?)[A-Za-z_][\w\s*&:<>,]*?[\s*&]([A-Za-z_~][\w:~]*)\s*\([^;]*$/,
+            build: m => ({ kind: 'function', name: m[2], exported: !m[1] })
+        }
+    ],
+    ruby: [
+        {
+            pattern: /^def\s+(?:self\.)?([\w?!=]+)/,
+            build: m => ({ kind: 'method', name: m[1], exported: true })
+        },
+        {
+            pattern: /^(class|module)\s+([\w:]+)/,
+            build: m => ({ kind: m[1], name: m[2], exported: true })
+        }
+    ],
+    php: [
+        {
+            pattern: /^(?:(?:abstract|final|readonly)\s+)*(class|interface|trait|enum)\s+(\w+)/,
+            build: m => ({ kind: m[1], name: m[2], exported: true })
+        },
+        {
+            pattern: /^function\s+(\w+)/,
+            build: m => ({ kind: 'function', name: m[1], exported: true })
+        }
+    ],
+    shell: [
+        {
+            pattern: /^(?:function\s+([A-Za-z_][\w-]*)|([A-Za-z_][\w-]*)\s*\(\s*\))/,
+            build: m => ({ kind: 'function', name: m[1] || m[2], exported: true })
+        }
+    ],
+    lua: [
+        {
+            pattern: /^(local\s+)?function\s+([\w.:]+)/,
+            build: m => ({ kind: 'function', name: m[2], exported: !m[1] })
+        }
+    ],
+    sql: [
+        {
+            pattern: /^create\s+(?:or\s+replace\s+)?(?:temporary\s+|temp\s+)?(table|view|function|procedure|index|trigger)\s+(?:if\s+not\s+exists\s+)?([\w."]+)/i,
+            build: m => ({ kind: m[1].toLowerCase(), name: m[2].replace(/"/g, ''), exported: true })
+        }
+    ]
+};
+
+// Keyed by extension without the dot
+const LANGUAGES = {
+    js: { name: 'JavaScript', fence: 'javascript', family: 'javascript' },
+    jsx: { name: 'JavaScript (JSX)', fence: 'jsx', family: 'javascript' },
+    mjs: { name: 'JavaScript', fence: 'javascript', family: 'javascript' },
+    cjs: { name: 'JavaScript', fence: 'javascript', family: 'javascript' },
+    ts: { name: 'TypeScript', fence: 'typescript', family: 'javascript' },
+    tsx: { name: 'TypeScript (TSX)', fence: 'tsx', family: 'javascript' },
+    py: { name: 'Python', fence: 'python', family: 'python' },
+    go: { name: 'Go', fence: 'go', family: 'go' },
+    rs: { name: 'Rust', fence: 'rust', family: 'rust' },
+    java: { name: 'Java', fence: 'java', family: 'jvm' },
+    kt: { name: 'Kotlin', fence: 'kotlin', family: 'jvm' },
+    kts: { name: 'Kotlin', fence: 'kotlin', family: 'jvm' },
+    scala: { name: 'Scala', fence: 'scala', family: 'jvm' },
+    cs: { name: 'C#', fence: 'csharp', family: 'jvm' },
+    swift: { name: 'Swift', fence: 'swift', family: 'jvm' },
+    c: { name: 'C', fence: 'c', family: 'c' },
+    h: { name: 'C', fence: 'c', family: 'c' },
+    cpp: { name: 'C++', fence: 'cpp', family: 'c' },
+    cc: { name: 'C++', fence: 'cpp', family: 'c' },
+    cxx: { name: 'C++', fence: 'cpp', family: 'c' },
+    hpp: { name: 'C++', fence: 'cpp', family: 'c' },
+    rb: { name: 'Ruby', fence: 'ruby', family: 'ruby' },
+    php: { name: 'PHP', fence: 'php', family: 'php' },
+    sh: { name: 'Shell', fence: 'bash', family: 'shell' },
+    bash: { name: 'Bash', fence: 'bash', family: 'shell' },
+    zsh: { name: 'Zsh', fence: 'zsh', family: 'shell' },
+    lua: { name: 'Lua', fence: 'lua', family: 'lua' },
+    sql: { name: 'SQL', fence: 'sql', family: 'sql' }
+};
+
+/**
+ * Look up a language by extension
+ * @param {string} ext - Extension without the dot
+ * @returns {Object|null} Language with its symbol patterns, or null if unknown
+ */
+function getLanguage(ext) {
+    const language = LANGUAGES[String(ext || '').toLowerCase()];
+    if (!language) {
+        return null;
+    }
+    return { ...language, symbols: SYMBOL_FAMILIES[language.family] };
+}
+
+module.exports = {
+    LANGUAGES,
+    getLanguage
+};
@@ -0,0 +1,582 @@
+/**
+ * JsonYamlConverter.js
+ * Handles conversion of JSON and YAML files to markdown format in the Electron main process.
+ *
+ * This converter:
+ * - Parses JSON with JSON.parse and YAML (including multi-document streams) with the yaml package
+ * - Optionally selects a subtree with a key path such as `data.items[0]`
+ * - Renders arrays of flat objects as markdown tables (matching CsvConverter)
+ * - Renders nested objects as a heading outline with key/value lists
+ * - Falls back to a structure summary plus a fenced code block for very large documents
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - CsvConverter.js: Table layout this converter follows
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Registers the JSON and YAML adapters
+ */
+
+const path = require('path');
+const YAML = require('yaml');
+const BaseService = require('../../BaseService');
+const { decodeText } = require('../../../utils/files/encoding');
+
+// Documents with more values than this are summarised instead of outlined
+const MAX_OUTLINE_NODES = 5000;
+// Markdown headings stop at level 6, deeper subtrees are shown as code
+const MAX_HEADING_LEVEL = 6;
+// Depth of the structure summary for large documents
+const SUMMARY_DEPTH = 3;
+const PREVIEW_ITEMS = 10;
+
+class JsonYamlConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.supportedExtensions = ['.json', '.yaml', '.yml'];
+    }
+
+    /**
+     * Set up IPC handlers for JSON and YAML conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:json', this.handleConvert.bind(this));
+        this.registerHandler('convert:json:preview', this.handlePreview.bind(this));
+        this.registerHandler('convert:yaml', this.handleConvert.bind(this));
+        this.registerHandler('convert:yaml:preview', this.handlePreview.bind(this));
+    }
+
+    /**
+     * Handle JSON/YAML conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, options = {} }) {
+        try {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            const result = await this.convertToMarkdown(fileResult.content, {
+                ...options,
+                fileName: options.originalFileName || path.basename(filePath)
+            });
+
+            return { content: result };
+        } catch (error) {
+            console.error('[JsonYamlConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Handle JSON/YAML preview request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Preview request details
+     */
+    async handlePreview(event, { filePath, options = {} }) {
+        return this.handleConvert(event, {
+            filePath,
+            options: { ...options, preview: true }
+        });
+    }
+
+    /**
+     * Convert JSON or YAML content to markdown
+     * @param {Buffer|string} content - Raw file content
+     * @param {Object} options - Conversion options
+     * @param {string} [options.format] - 'json' or 'yaml' (default: from the file extension)
+     * @param {string} [options.keyPath] - Path of the subtree to render, e.g. `data.items[0]`; documents
+     *   without it are rendered whole
+     * @param {number} [options.maxNodes] - Value count above which only a summary is rendered
+     * @returns {Promise<string>} Markdown content
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || options.name || 'data.json';
+            const format = this.resolveFormat(fileName, options.format);
+            const { text, encoding } = decodeText(content, options.encoding);
+            console.log(`[JsonYamlConverter] Decoded ${fileName} as ${encoding} (${format})`);
+
+            const document = this.parse(text, format);
+            let data = document;
+            let keyPathFound = false;
+            if (options.keyPath) {
+                // The key path is a setting for every data file, so files without it are converted whole
+                try {
+                    data = this.selectKeyPath(document, options.keyPath);
+                    keyPathFound = true;
+                } catch (error) {
+                    console.warn(`[JsonYamlConverter] ${error.message} in ${fileName}, converting the whole document`);
+                }
+            }
+
+            const nodeCount = this.countNodes(data, (options.maxNodes || MAX_OUTLINE_NODES) + 1);
+            const isLarge = nodeCount > (options.maxNodes || MAX_OUTLINE_NODES);
+            console.log(`[JsonYamlConverter] Rendering ${isLarge ? 'summary' : 'outline'} (${nodeCount} values)`);
+
+            const { createStandardFrontmatter } = require('../../../converters/utils/metadata');
+            const markdown = [];
+            markdown.push(createStandardFrontmatter({
+                title: path.basename(fileName, path.extname(fileName)),
+                fileType: format
+            }).trim());
+            markdown.push('');
+
+            // Describe the rendered data as a note, like the CSV converter does
+            markdown.push(`> ${format === 'yaml' ? 'YAML' : 'JSON'} Data${options.preview ? ' (Preview)' : ''}`);
+            if (options.keyPath) {
+                markdown.push(keyPathFound
+                    ? `> - Key path: \`${options.keyPath}\``
+                    : `> - Key path: \`${options.keyPath}\` not found, showing the whole document`);
+            }
+            markdown.push(`> - Root: ${this.describeType(data)}`);
+            markdown.push('');
+
+            if (isLarge) {
+                markdown.push(...this.renderSummary(data, format, options));
+            } else {
+                markdown.push(...this.renderValue(data, 2, options));
+            }
+
+            return markdown.join('\n').replace(/\n{3,}/g, '\n\n').trim() + '\n';
+        } catch (error) {
+            console.error('[JsonYamlConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Work out whether the content is JSON or YAML
+     * @param {string} fileName - Original file name
+     * @param {string} [format] - Explicit format
+     * @returns {string} 'json' or 'yaml'
+     */
+    resolveFormat(fileName, format) {
+        const requested = (format || path.extname(fileName).slice(1)).toLowerCase();
+        return requested === 'yaml' || requested === 'yml' ? 'yaml' : 'json';
+    }
+
+    /**
+     * Parse the decoded text
+     * @param {string} text - Decoded file content
+     * @param {string} format - 'json' or 'yaml'
+     * @returns {*} Parsed document; multi-document YAML streams become an array and empty ones null
+     */
+    parse(text, format) {
+        if (format === 'json') {
+            try {
+                return JSON.parse(text);
+            } catch (error) {
+                throw new Error(`Invalid JSON: ${error.message}`);
+            }
+        }
+
+        const documents = YAML.parseAllDocuments(text);
+        for (const doc of documents) {
+            if (doc.errors && doc.errors.length > 0) {
+                throw new Error(`Invalid YAML: ${doc.errors[0].message}`);
+            }
+        }
+
+        const values = documents.map(doc => doc.toJS());
+        if (values.length === 0) {
+            // Empty and comment-only files hold no document, which YAML reads as null
+            return null;
+        }
+        return values.length === 1 ? values[0] : values;
+    }
+
+    /**
+     * Select a subtree using dot and bracket notation
+     * @param {*} data - Parsed document
+     * @param {string} keyPath - Path such as `spec.containers[0]` or `meta["content-type"]`
+     * @returns {*} Selected subtree
+     */
+    selectKeyPath(data, keyPath) {
+        const segments = [];
+        const pattern = /\[(\d+)\]|\[(["'])(.*?)\2\]|([^.[\]]+)/g;
+        let match;
+        while ((match = pattern.exec(keyPath)) !== null) {
+            if (match[1] !== undefined) {
+                segments.push(Number(match[1]));
+            } else if (match[3] !== undefined) {
+                segments.push(match[3]);
+            } else {
+                segments.push(match[4]);
+            }
+        }
+
+        let current = data;
+        for (const segment of segments) {
+            const isContainer = current !== null && typeof current === 'object';
+            if (!isContainer || !Object.prototype.hasOwnProperty.call(current, segment)) {
+                throw new Error(`Key path "${keyPath}" not found (missing "${segment}")`);
+            }
+            current = current[segment];
+        }
+        return current;
+    }
+
+    /**
+     * Count values in a subtree, stopping once the limit is reached
+     * @param {*} value - Subtree
+     * @param {number} limit - Count at which to stop
+     * @returns {number} Number of values (capped at the limit)
+     */
+    countNodes(value, limit) {
+        let count = 0;
+        const stack = [value];
+        while (stack.length > 0 && count < limit) {
+            const current = stack.pop();
+            count++;
+            if (current !== null && typeof current === 'object') {
+                // Push one at a time: spreading a large array overflows the call stack
+                for (const child of Object.values(current)) {
+                    if (count + stack.length >= limit) {
+                        break;
+                    }
+                    stack.push(child);
+                }
+            }
+        }
+        return count;
+    }
+
+    /**
+     * Render any value at the given heading level
+     * @param {*} value - Value to render
+     * @param {number} level - Heading level for nested sections
+     * @param {Object} options - Conversion options
+     * @returns {string[]} Markdown lines
+     */
+    renderValue(value, level, options) {
+        if (Array.isArray(value)) {
+            return this.renderArray(value, level, options);
+        }
+        if (this.isPlainObject(value)) {
+            return this.renderObject(value, level, options);
+        }
+        return [this.formatScalar(value, false), ''];
+    }
+
+    /**
+     * Render an object: scalar fields as a key/value list, nested fields as sections
+     * @param {Object} object - Object to render
+     * @param {number} level - Heading level for nested sections
+     * @param {Object} options - Conversion options
+     * @returns {string[]} Markdown lines
+     */
+    renderObject(object, level, options) {
+        const entries = Object.entries(object);
+        if (entries.length === 0) {
+            return ['*Empty object*', ''];
+        }
+
+        // Scalars come first so they stay under the current heading
+        const scalars = entries.filter(([, value]) => !this.isNested(value));
+        const nested = entries.filter(([, value]) => this.isNested(value));
+        const lines = [];
+
+        scalars.forEach(([key, value]) => {
+            lines.push(...this.renderDefinition(key, value));
+        });
+        if (scalars.length > 0) {
+            lines.push('');
+        }
+
+        nested.forEach(([key, value]) => {
+            lines.push(...this.renderSection(key, value, level, options));
+        });
+
+        return lines;
+    }
+
+    /**
+     * Render an array as a table, a list or a sequence of sections
+     * @param {Array} array - Array to render
+     * @param {number} level - Heading level for nested sections
+     * @param {Object} options - Conversion options
+     * @returns {string[]} Markdown lines
+     */
+    renderArray(array, level, options) {
+        if (array.length === 0) {
+            return ['*Empty list*', ''];
+        }
+
+        const items = options.preview ? array.slice(0, PREVIEW_ITEMS) : array;
+        const lines = [];
+
+        if (this.isTableArray(items)) {
+            lines.push(...this.renderTable(items));
+        } else if (items.every(item => !this.isNested(item))) {
+            items.forEach(item => lines.push(`- ${this.formatScalar(item, false)}`));
+            lines.push('');
+        } else {
+            items.forEach((item, index) => {
+                lines.push(...this.renderSection(this.itemLabel(item, index), item, level, options));
+            });
+        }
+
+        if (items.length < array.length) {
+            lines.push(`*… ${array.length - items.length} more items*`, '');
+        }
+        return lines;
+    }
+
+    /**
+     * Render a nested value under its own heading
+     * @param {string} label - Heading text
+     * @param {*} value - Nested value
+     * @param {number} level - Heading level
+     * @param {Object} options - Conversion options
+     * @returns {string[]} Markdown lines
+     */
+    renderSection(label, value, level, options) {
+        if (level > MAX_HEADING_LEVEL) {
+            return [
+                `**${label}**:`,
+                '',
+                '```json',
+                JSON.stringify(value, null, 2),
+                '```',
+                ''
+            ];
+        }
+
+        return [
+            `${'#'.repeat(level)} ${label}`,
+            '',
+            ...this.renderValue(value, level + 1, options)
+        ];
+    }
+
+    /**
+     * Render a key/value pair as a definition list entry
+     * @param {string} key - Field name
+     * @param {*} value - Scalar value
+     * @returns {string[]} Markdown lines
+     */
+    renderDefinition(key, value) {
+        if (typeof value === 'string' && value.includes('\n')) {
+            // Multi-line strings keep their layout in an indented block
+            const block = value.replace(/\n$/, '').split('\n').map(line => `    ${line}`);
+            return [`- **${key}**:`, '', '    ```', ...block, '    ```'];
+        }
+        return [`- **${key}**: ${this.formatScalar(value, false)}`];
+    }
+
+    /**
+     * Render an array of flat objects as a markdown table
+     * @param {Object[]} rows - Rows to render
+     * @returns {string[]} Markdown lines
+     */
+    renderTable(rows) {
+        // Union of keys in order of first appearance, since rows may be sparse
+        const headers = [];
+        rows.forEach(row => {
+            Object.keys(row).forEach(key => {
+                if (!headers.includes(key)) {
+                    headers.push(key);
+                }
+            });
+        });
+
+        const lines = [];
+        lines.push('| ' + headers.map(header => this.escapeCell(header)).join(' | ') + ' |');
+        lines.push('| ' + headers.map(() => '---').join(' | ') + ' |');
+        rows.forEach(row => {
+            const cells = headers.map(header => {
+                return header in row ? this.escapeCell(this.formatScalar(row[header], true)) : '';
+            });
+            lines.push('| ' + cells.join(' | ') + ' |');
+        });
+        lines.push('');
+        return lines;
+    }
+
+    /**
+     * Render a structure summary and the raw data for large documents
+     * @param {*} data - Selected data
+     * @param {string} format - 'json' or 'yaml'
+     * @param {Object} options - Conversion options
+     * @returns {string[]} Markdown lines
+     */
+    renderSummary(data, format, options) {
+        const lines = ['## Structure', ''];
+        lines.push(...this.summarize(data, 0));
+        lines.push('');
+
+        if (options.preview) {
+            return lines;
+        }
+
+        const serialized = format === 'yaml'
+            ? YAML.stringify(data)
+            : JSON.stringify(data, null, 2);
+        lines.push('## Data', '', '```' + format, serialized.replace(/\n$/, ''), '```', '');
+        return lines;
+    }
+
+    /**
+     * Build an indented outline of keys and types
+     * @param {*} value - Subtree
+     * @param {number} depth - Current depth
+     * @returns {string[]} Markdown list lines
+     */
+    summarize(value, depth) {
+        const indent = '    '.repeat(depth);
+        const lines = [];
+
+        if (this.isPlainObject(value)) {
+            Object.entries(value).forEach(([key, child]) => {
+                lines.push(`${indent}- \`${key}\`: ${this.describeType(child)}`);
+                if (depth + 1 < SUMMARY_DEPTH) {
+                    lines.push(...this.summarize(child, depth + 1));
+                }
+            });
+        } else if (Array.isArray(value) && value.length > 0 && this.isNested(value[0])) {
+            // Arrays are summarised by their first item
+            lines.push(`${indent}- \`[0]\`: ${this.describeType(value[0])}`);
+            if (depth + 1 < SUMMARY_DEPTH) {
+                lines.push(...this.summarize(value[0], depth + 1));
+            }
+        }
+
+        return lines;
+    }
+
+    /**
+     * Describe the type and size of a value
+     * @param {*} value - Value to describe
+     * @returns {string} Description such as "object (3 keys)"
+     */
+    describeType(value) {
+        if (Array.isArray(value)) {
+            return `array (${value.length} ${value.length === 1 ? 'item' : 'items'})`;
+        }
+        if (this.isPlainObject(value)) {
+            const size = Object.keys(value).length;
+            return `object (${size} ${size === 1 ? 'key' : 'keys'})`;
+        }
+        if (value === null || value === undefined) {
+            return 'null';
+        }
+        if (value instanceof Date) {
+            return 'date';
+        }
+        return typeof value;
+    }
+
+    /**
+     * Pick a heading for an array item, preferring an identifying field
+     * @param {*} item - Array item
+     * @param {number} index - Item index
+     * @returns {string} Heading text
+     */
+    itemLabel(item, index) {
+        const label = `Item ${index + 1}`;
+        if (!this.isPlainObject(item)) {
+            return label;
+        }
+        const key = ['title', 'name', 'id', 'key'].find(candidate => {
+            const value = item[candidate];
+            return typeof value === 'string' || typeof value === 'number';
+        });
+        return key ? `${label}: ${item[key]}` : label;
+    }
+
+    /**
+     * Format a scalar for inline output
+     * @param {*} value - Scalar value
+     * @param {boolean} inTable - Whether the value goes into a table cell
+     * @returns {string} Formatted value
+     */
+    formatScalar(value, inTable) {
+        if (value === null || value === undefined) {
+            return inTable ? '' : '`null`';
+        }
+        if (value instanceof Date) {
+            return value.toISOString();
+        }
+        if (Array.isArray(value)) {
+            return '`[]`';
+        }
+        if (typeof value === 'object') {
+            return '`{}`';
+        }
+        return value.toString();
+    }
+
+    /**
+     * Escape pipe characters and line breaks for table cells
+     * @param {string} value - Cell text
+     * @returns {string} Escaped text
+     */
+    escapeCell(value) {
+        return value.toString().replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>');
+    }
+
+    /**
+     * Check whether every item is an object whose values are all scalars
+     * @param {Array} items - Array items
+     * @returns {boolean} True if the array can be shown as a table
+     */
+    isTableArray(items) {
+        return items.every(item => this.isPlainObject(item) &&
+            Object.keys(item).length > 0 &&
+            Object.values(item).every(value => !this.isNested(value)));
+    }
+
+    /**
+     * Check whether a value needs its own section (non-empty object or array)
+     * @param {*} value - Value to check
+     * @returns {boolean} True for non-empty containers
+     */
+    isNested(value) {
+        if (Array.isArray(value)) {
+            return value.length > 0;
+        }
+        return this.isPlainObject(value) && Object.keys(value).length > 0;
+    }
+
+    /**
+     * Check whether a value is a plain object
+     * @param {*} value - Value to check
+     * @returns {boolean} True for objects that are not arrays or dates
+     */
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' &&
+            !Array.isArray(value) && !(value instanceof Date);
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'JSON/YAML Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts JSON and YAML files to markdown tables and outlines',
+            options: {
+                format: 'Force json or yaml parsing (default: from extension)',
+                keyPath: 'Dot/bracket path of the subtree to render (default: whole document)',
+                maxNodes: `Value count above which a structure summary is rendered (default: ${MAX_OUTLINE_NODES})`,
+                encoding: 'Force a text encoding (default: detected)'
+            }
+        };
+    }
+}
+
+module.exports = JsonYamlConverter;
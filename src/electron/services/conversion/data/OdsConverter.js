@@ -0,0 +1,249 @@
+/**
+ * OdsConverter.js
+ * Handles conversion of OpenDocument Spreadsheet (.ods) files to markdown in the Electron main process.
+ *
+ * This converter:
+ * - Opens the ODS package and reads every table:table as a sheet
+ * - Expands repeated rows and columns, dropping the padding LibreOffice writes
+ *   after the last used cell
+ * - Renders one section and table per sheet in the same layout as XlsxConverter
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - XlsxConverter.js: Defines the sheet layout mirrored here
+ * - document/opendocument/OdfPackage.js: Package parsing and document properties
+ * - ConverterRegistry.js: Registers the ODS adapter
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const OdfPackage = require('../document/opendocument/OdfPackage');
+const OdfMarkdownRenderer = require('../document/opendocument/OdfMarkdownRenderer');
+
+class OdsConverter extends BaseService {
+    constructor(fileProcessor, fileStorage) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.fileStorage = fileStorage;
+        this.supportedExtensions = ['.ods'];
+    }
+
+    /**
+     * Set up IPC handlers for ODS conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:ods', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle ODS conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                originalFileName: options.originalFileName || options.name || path.basename(filePath || 'spreadsheet.ods')
+            });
+
+            return { content: result };
+        } catch (error) {
+            console.error('[OdsConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert ODS content to markdown
+     * @param {Buffer} content - ODS content as buffer
+     * @param {Object} options - Conversion options
+     * @param {string} [options.sheet] - Convert only this sheet
+     * @param {number} [options.maxRows] - Maximum data rows per sheet
+     * @returns {Promise<string>} Markdown content
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.originalFileName || options.name || 'spreadsheet.ods';
+            const fileTitle = fileName.replace(/\.[^/.]+$/, '');
+
+            const pkg = await OdfPackage.open(content, { imagePrefix: fileTitle });
+            const body = pkg.getBody('office:spreadsheet');
+            if (!body) {
+                throw new Error('Spreadsheet has no sheets body');
+            }
+
+            const renderer = new OdfMarkdownRenderer(pkg);
+            let tables = pkg.childElements(body).filter(el => el.name === 'table:table');
+            if (options.sheet) {
+                tables = tables.filter(table => table.attribs['table:name'] === options.sheet);
+                if (tables.length === 0) {
+                    throw new Error(`Sheet not found: ${options.sheet}`);
+                }
+            }
+            console.log(`[OdsConverter] Processing ${tables.length} sheets from ${fileName}`);
+
+            const markdown = [];
+
+            const { createStandardFrontmatter } = require('../../../converters/utils/metadata');
+            const frontmatter = createStandardFrontmatter({
+                title: fileTitle,
+                fileType: 'ods'
+            });
+
+            markdown.push(frontmatter.trim());
+            markdown.push('');
+
+            // Add document properties as notes
+            const properties = pkg.readMetadata();
+            if (properties.title || properties.author || properties.created) {
+                markdown.push('> OpenDocument Spreadsheet Properties');
+                if (properties.title) markdown.push(`> - Title: ${properties.title}`);
+                if (properties.author) markdown.push(`> - Author: ${properties.author}`);
+                if (properties.created) markdown.push(`> - Created: ${properties.created}`);
+                markdown.push('');
+            }
+
+            for (const table of tables) {
+                const sheetName = table.attribs['table:name'] || `Sheet${tables.indexOf(table) + 1}`;
+                const data = this.readSheet(table, renderer, options.maxRows ? options.maxRows + 1 : Infinity);
+
+                markdown.push(`## ${sheetName}`);
+                if (data.length === 0) {
+                    markdown.push('> No data found in this sheet.\n');
+                    continue;
+                }
+
+                const columnCount = Math.max(...data.map(row => row.length));
+                markdown.push('> OpenDocument Sheet');
+                markdown.push(`> - Columns: ${columnCount}`);
+                markdown.push(`> - Rows: ${data.length}`);
+                markdown.push('');
+
+                const headers = Array.from({ length: columnCount }, (_, i) => data[0][i] || '');
+                markdown.push('| ' + headers.map(h => h || ' ').join(' | ') + ' |');
+                markdown.push('| ' + headers.map(() => '---').join(' | ') + ' |');
+
+                data.slice(1).forEach(row => {
+                    markdown.push('| ' + headers.map((_, index) => row[index] || '').join(' | ') + ' |');
+                });
+                markdown.push('');
+            }
+
+            return markdown.join('\n');
+        } catch (error) {
+            console.error('[OdsConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read a sheet's cell texts, expanding repeated rows and dropping trailing empty rows
+     * @param {Object} table - table:table element
+     * @param {OdfMarkdownRenderer} renderer - Renderer providing row and cell expansion
+     * @param {number} limit - Maximum rows to return, including the header row
+     * @returns {string[][]} Rows of formatted cell text
+     */
+    readSheet(table, renderer, limit) {
+        const runs = renderer.collectRows(table).map(row => ({
+            cells: renderer.expandCells(row, cell => this.formatCell(this.getCellText(cell))),
+            repeat: parseInt(row.attribs['table:number-rows-repeated'], 10) || 1
+        }));
+
+        // The last row is usually an empty row repeated to the sheet's maximum size
+        while (runs.length > 0 && runs[runs.length - 1].cells.length === 0) {
+            runs.pop();
+        }
+
+        const rows = [];
+        for (const run of runs) {
+            for (let i = 0; i < run.repeat && rows.length < limit; i++) {
+                rows.push(run.cells);
+            }
+        }
+        return rows;
+    }
+
+    /**
+     * Get the displayed text of a cell, falling back to its typed value
+     * @param {Object} cell - table:table-cell element
+     * @returns {string} Cell text
+     */
+    getCellText(cell) {
+        const paragraphs = (cell.children || []).filter(child => child.name === 'text:p');
+        if (paragraphs.length > 0) {
+            return paragraphs.map(paragraph => this.getParagraphText(paragraph)).join('\n');
+        }
+
+        const attrs = cell.attribs;
+        const value = attrs['office:string-value'] || attrs['office:date-value'] || attrs['office:time-value']
+            || attrs['office:boolean-value'] || attrs['office:value'];
+        return value === undefined ? '' : String(value);
+    }
+
+    /**
+     * Get the text of a cell paragraph, expanding spaces, tabs and line breaks
+     * @param {Object} node - Paragraph or inline element
+     * @returns {string} Text
+     */
+    getParagraphText(node) {
+        return (node.children || []).map(child => {
+            if (child.type === 'text') return child.data;
+            if (child.type !== 'tag' || child.name === 'office:annotation') return '';
+            if (child.name === 'text:s') return ' '.repeat(parseInt(child.attribs['text:c'], 10) || 1);
+            if (child.name === 'text:tab') return '\t';
+            if (child.name === 'text:line-break') return '\n';
+            return this.getParagraphText(child);
+        }).join('');
+    }
+
+    /**
+     * Format cell value for markdown
+     * @param {string} value - Cell text
+     * @returns {string} Formatted cell value
+     */
+    formatCell(value) {
+        return value.replace(/\|/g, '\\|').replace(/\n/g, '<br>');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'ODS Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts OpenDocument Spreadsheet files to markdown tables',
+            options: {
+                sheet: 'Specific sheet to convert',
+                maxRows: 'Maximum rows to convert per sheet'
+            }
+        };
+    }
+}
+
+module.exports = OdsConverter;
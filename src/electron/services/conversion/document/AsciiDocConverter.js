@@ -0,0 +1,881 @@
+/**
+ * AsciiDocConverter.js
+ * Handles conversion of AsciiDoc documents to markdown in the Electron main process.
+ *
+ * This converter:
+ * - Parses AsciiDoc in-process (no Asciidoctor or other external binaries)
+ * - Reads the document header (title, author line, revision line, attribute entries)
+ *   into frontmatter and substitutes {attribute} references in the body
+ * - Maps sections, nested lists, checklists and description lists, including "+" continuations
+ * - Maps listing, literal, quote, verse, example, sidebar and passthrough blocks, and
+ *   NOTE/TIP/IMPORTANT/WARNING/CAUTION admonitions to fences, quotes and callouts
+ * - Converts |=== tables (with column spans) and ,=== CSV tables
+ * - Resolves <<id>>, <<Section Title>> and xref: cross-references to Obsidian links
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - markup/MarkdownBlocks.js: Fences, callouts, tables and heading links
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Registers the ADOC adapter
+ */
+
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const BaseService = require('../../BaseService');
+const MarkdownBlocks = require('./markup/MarkdownBlocks');
+const { decodeText } = require('../../../utils/files/encoding');
+const { createStandardMetadata, formatMetadata } = require('../../../converters/utils/metadata');
+
+const SECTION = /^(={1,6}|#{1,6})\s+(.+?)(?:\s+=+)?$/;
+const ATTRIBUTE_ENTRY = /^:(!?[\w][\w-]*!?):(?:\s+(.*))?$/;
+const DELIMITER = /^(-{4,}|\.{4,}|_{4,}|={4,}|\*{4,}|\+{4,}|\/{4,}|[|,]={3,}|--|```.*)$/;
+const BLOCK_ATTRIBUTES = /^\[([^[\]].*)\]$/;
+const ANCHOR = /^\[\[([^\],]+)(?:,\s*([^\]]+))?\]\]$/;
+const BLOCK_TITLE = /^\.([^.\s].*)$/;
+const LIST_ITEM = /^\s*(\*{1,5}|-|\.{1,5}|\d+\.)\s+(.*)$/;
+const DESCRIPTION_ITEM = /^(?!\/\/)(.*?\S)(:{2,4}|;;)(?:\s+(.*))?$/;
+const ADMONITION_PARAGRAPH = /^(NOTE|TIP|IMPORTANT|WARNING|CAUTION):\s+(.*)$/;
+const ADMONITIONS = ['note', 'tip', 'important', 'warning', 'caution'];
+// Cell spec before "|": a span or duplication factor ("2+", ".2+", "3*") and/or a style letter
+const CELL_SPEC = /(^|\s)((?:\d*(?:\.\d+)?[+*])?[adehlmsv]|\d*(?:\.\d+)?[+*])$/;
+
+// Built-in attributes that configure rendering rather than describe the document
+const SETTING_ATTRIBUTES = new Set([
+    'toc', 'toc-title', 'toclevels', 'toc-placement', 'icons', 'sectnums', 'sectnumlevels', 'sectanchors',
+    'sectlinks', 'source-highlighter', 'imagesdir', 'experimental', 'doctype', 'idprefix', 'idseparator',
+    'nofooter', 'noheader', 'notitle', 'showtitle', 'stylesheet', 'linkcss', 'data-uri', 'numbered',
+    'hardbreaks', 'table-caption', 'figure-caption', 'example-caption', 'xrefstyle', 'stem', 'pdf-theme',
+    'pdf-themesdir', 'outlinelevels', 'hide-uri-scheme', 'chapter-signifier', 'appendix-caption',
+    'last-update-label', 'allow-uri-read', 'compat-mode', 'page-background-image', 'title-page'
+]);
+// Attribute names carried into frontmatter under another key
+const METADATA_KEYS = {
+    revnumber: 'version',
+    revdate: 'date',
+    revremark: 'revision-remark',
+    lang: 'language'
+};
+const BUILT_IN_REFERENCES = {
+    nbsp: ' ',
+    sp: ' ',
+    empty: '',
+    zwsp: '',
+    plus: '+',
+    amp: '&',
+    lt: '<',
+    gt: '>',
+    startsb: '[',
+    endsb: ']',
+    vbar: '|',
+    caret: '^',
+    asterisk: '*',
+    tilde: '~',
+    backslash: '\\',
+    backtick: '`',
+    'two-colons': '::',
+    'two-semicolons': ';;'
+};
+
+class AsciiDocConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.blocks = new MarkdownBlocks();
+        this.supportedExtensions = ['.adoc', '.asciidoc'];
+    }
+
+    /**
+     * Set up IPC handlers for AsciiDoc conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:adoc', this.handleConvert.bind(this));
+        this.registerHandler('convert:adoc:preview', this.handlePreview.bind(this));
+    }
+
+    /**
+     * Handle AsciiDoc conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, options = {} }) {
+        try {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            const result = await this.convertToMarkdown(fileResult.content, {
+                ...options,
+                fileName: options.originalFileName || path.basename(filePath)
+            });
+
+            return { content: result };
+        } catch (error) {
+            console.error('[AsciiDocConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Handle AsciiDoc preview request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Preview request details
+     */
+    async handlePreview(event, params) {
+        return this.handleConvert(event, params);
+    }
+
+    /**
+     * Convert AsciiDoc content to markdown
+     * @param {Buffer|string} content - AsciiDoc content
+     * @param {Object} options - Conversion options
+     * @param {string} [options.encoding] - Force an encoding instead of detecting it
+     * @returns {Promise<string>} Markdown content
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'document.adoc';
+            const { text } = decodeText(content, options.encoding);
+            const lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, '    ').split('\n').map(line => line.trimEnd());
+
+            const { doc, bodyStart } = this.parseHeader(lines);
+            this.scan(lines, bodyStart, doc);
+            const body = [];
+            if (doc.title) {
+                body.push(`# ${this.convertInline(doc.title, doc)}`, '');
+            }
+            body.push(...this.parseBlocks(lines.slice(bodyStart), doc));
+            console.log(`[AsciiDocConverter] Converted ${fileName} with ${doc.titles.size} sections`);
+
+            const frontmatter = formatMetadata({
+                ...createStandardMetadata({
+                    title: doc.title ? this.plainText(this.substituteAttributes(doc.title, doc)) : path.basename(fileName, path.extname(fileName)),
+                    fileType: 'adoc'
+                }),
+                ...this.headerMetadata(doc)
+            });
+
+            return frontmatter + this.blocks.join(body) + '\n';
+        } catch (error) {
+            console.error('[AsciiDocConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the document header: title, author line, revision line and attribute entries
+     * @param {string[]} lines - Document lines
+     * @returns {{doc: Object, bodyStart: number}} Document state and the first body line
+     */
+    parseHeader(lines) {
+        const doc = {
+            title: null,
+            authors: [],
+            emails: [],
+            attributes: new Map(),
+            headerAttributes: [],
+            titles: new Map(),
+            ids: new Map()
+        };
+
+        let i = 0;
+        while (i < lines.length && (lines[i] === '' || /^\/\/(?!\/)/.test(lines[i]))) i++;
+
+        const title = lines[i] && lines[i].match(/^=\s+(.+)$/);
+        if (title) {
+            doc.title = title[1].trim();
+            i++;
+            // The author line and revision line follow the title directly
+            if (lines[i] && !ATTRIBUTE_ENTRY.test(lines[i]) && !/^\/\//.test(lines[i])) {
+                lines[i].split(/\s*;\s*/).forEach(author => {
+                    const match = author.match(/^(.*?)\s*(?:<([^>]+)>)?$/);
+                    if (match[1]) doc.authors.push(match[1]);
+                    if (match[2]) doc.emails.push(match[2]);
+                });
+                i++;
+                const revision = lines[i] && lines[i].match(/^v?(\d[^,:\s]*)?,?\s*([^:]*?)?(?::\s*(.*))?$/);
+                if (revision && lines[i] && !ATTRIBUTE_ENTRY.test(lines[i]) && !/^\/\//.test(lines[i]) && (revision[1] || revision[2])) {
+                    this.setAttribute('revnumber', revision[1], doc, true);
+                    this.setAttribute('revdate', revision[2], doc, true);
+                    this.setAttribute('revremark', revision[3], doc, true);
+                    i++;
+                }
+            }
+        }
+
+        // Attribute entries up to the first blank line belong to the header
+        while (i < lines.length && lines[i] !== '') {
+            const entry = lines[i].match(ATTRIBUTE_ENTRY);
+            if (entry) {
+                this.setAttribute(entry[1], entry[2], doc, true);
+            } else if (!/^\/\//.test(lines[i])) {
+                break;
+            }
+            i++;
+        }
+        return { doc, bodyStart: i };
+    }
+
+    /**
+     * Set or unset a document attribute
+     * @param {string} name - Attribute name, with "!" to unset
+     * @param {string} [value] - Attribute value
+     * @param {Object} doc - Document state
+     * @param {boolean} header - Whether the entry is in the document header
+     */
+    setAttribute(name, value, doc, header) {
+        if (name.startsWith('!') || name.endsWith('!')) {
+            doc.attributes.delete(name.replace(/!/g, ''));
+            return;
+        }
+        const text = (value || '').replace(/\s+\\$/, '').trim();
+        doc.attributes.set(name, text);
+        if (header && text && !doc.headerAttributes.includes(name)) {
+            doc.headerAttributes.push(name);
+        }
+    }
+
+    /**
+     * Build frontmatter fields from the header
+     * @param {Object} doc - Document state
+     * @returns {Object} Frontmatter fields
+     */
+    headerMetadata(doc) {
+        const metadata = {};
+        const authors = doc.authors.length > 0 ? doc.authors : [doc.attributes.get('author')].filter(Boolean);
+        if (authors.length === 1) {
+            metadata.author = authors[0];
+        } else if (authors.length > 1) {
+            metadata.authors = authors;
+        }
+        if (doc.emails.length > 0) {
+            metadata.email = doc.emails[0];
+        }
+
+        doc.headerAttributes
+            .filter(name => !SETTING_ATTRIBUTES.has(name) && !['author', 'email', 'title'].includes(name))
+            .forEach(name => {
+                const value = this.substituteAttributes(doc.attributes.get(name) || '', doc);
+                const key = METADATA_KEYS[name] || name;
+                if (value) {
+                    metadata[key] = name === 'keywords' ? value.split(/\s*,\s*/).filter(Boolean) : value;
+                }
+            });
+        if (!metadata.email && doc.attributes.get('email')) {
+            metadata.email = doc.attributes.get('email');
+        }
+        return metadata;
+    }
+
+    /**
+     * Collect section titles, their IDs and body attribute entries for cross-references
+     * @param {string[]} lines - Document lines
+     * @param {number} start - First body line
+     * @param {Object} doc - Document state
+     */
+    scan(lines, start, doc) {
+        let delimiter = null;
+        let anchors = [];
+        for (let i = start; i < lines.length; i++) {
+            const line = lines[i];
+            if (delimiter) {
+                if (line === delimiter) delimiter = null;
+                continue;
+            }
+            if (DELIMITER.test(line) && !/^(={4,}|\*{4,}|_{4,}|--)$/.test(line)) {
+                delimiter = line.startsWith('```') ? '```' : line;
+                continue;
+            }
+
+            const entry = line.match(ATTRIBUTE_ENTRY);
+            if (entry) {
+                this.setAttribute(entry[1], entry[2], doc, false);
+                continue;
+            }
+
+            const anchor = line.match(ANCHOR) || line.match(/^\[#([\w-]+)[^\]]*\]$/);
+            if (anchor) {
+                anchors.push(anchor[1]);
+                continue;
+            }
+
+            const section = line.match(SECTION);
+            if (section && lines[i - 1] !== undefined && (lines[i - 1] === '' || ANCHOR.test(lines[i - 1]) || BLOCK_ATTRIBUTES.test(lines[i - 1]) || i === start)) {
+                const title = this.plainText(this.substituteAttributes(section[2], doc));
+                doc.titles.set(title.toLowerCase(), title);
+                doc.ids.set(`_${title.toLowerCase().replace(/[^\w]+/g, '_').replace(/^_+|_+$/g, '')}`, title);
+                anchors.forEach(id => doc.ids.set(id, title));
+            }
+            if (line !== '') anchors = [];
+        }
+    }
+
+    /**
+     * Parse a run of lines into markdown lines
+     * @param {string[]} lines - Lines
+     * @param {Object} doc - Document state
+     * @returns {string[]} Markdown lines
+     */
+    parseBlocks(lines, doc) {
+        const out = [];
+        let attributes = null;
+        let blockTitle = null;
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (line === '') {
+                out.push('');
+                i++;
+                continue;
+            }
+
+            // Lines that describe the next block
+            if (/^\/\/(?!\/\/)/.test(line) || ANCHOR.test(line) || ATTRIBUTE_ENTRY.test(line)) {
+                const entry = line.match(ATTRIBUTE_ENTRY);
+                if (entry) this.setAttribute(entry[1], entry[2], doc, false);
+                i++;
+                continue;
+            }
+            const blockAttributes = line.match(BLOCK_ATTRIBUTES);
+            if (blockAttributes) {
+                attributes = this.parseAttributeList(blockAttributes[1]);
+                i++;
+                continue;
+            }
+            const title = line.match(BLOCK_TITLE);
+            if (title && lines[i + 1] !== undefined && lines[i + 1] !== '') {
+                blockTitle = this.convertInline(title[1], doc);
+                i++;
+                continue;
+            }
+
+            const { rendered, next } = this.parseBlock(lines, i, doc, attributes || {}, blockTitle);
+            out.push(...rendered);
+            attributes = null;
+            blockTitle = null;
+            i = next;
+        }
+        return out;
+    }
+
+    /**
+     * Parse one block starting at a line
+     * @param {string[]} lines - Lines
+     * @param {number} i - First line
+     * @param {Object} doc - Document state
+     * @param {Object} attributes - Block attributes from a preceding [...] line
+     * @param {string|null} blockTitle - Title from a preceding .Title line
+     * @returns {{rendered: string[], next: number}} Markdown lines and the next line
+     */
+    parseBlock(lines, i, doc, attributes, blockTitle) {
+        const line = lines[i];
+        const style = (attributes.style || '').toLowerCase();
+        const titleLines = blockTitle ? [`**${blockTitle}**`, ''] : [];
+
+        const section = line.match(SECTION);
+        if (section) {
+            const level = Math.min(section[1].length, 6);
+            return { rendered: ['', `${'#'.repeat(level)} ${this.convertInline(section[2], doc)}`, ''], next: i + 1 };
+        }
+
+        const delimiter = line.match(DELIMITER);
+        if (delimiter) {
+            const closing = line.startsWith('```') ? '```' : line;
+            const end = lines.findIndex((candidate, index) => index > i && candidate === closing);
+            if (end !== -1) {
+                const content = lines.slice(i + 1, end);
+                return { rendered: ['', ...this.renderDelimited(line, content, doc, attributes, blockTitle), ''], next: end + 1 };
+            }
+        }
+
+        if (/^(image|video|audio)::/.test(line)) {
+            return { rendered: ['', ...titleLines, this.convertInline(line.replace(/^(\w+)::/, '$1:'), doc), ''], next: i + 1 };
+        }
+        if (/^(include|toc)::/.test(line)) {
+            return { rendered: [], next: i + 1 };
+        }
+        if (line === "'''" || line === '---' || line === '***') {
+            return { rendered: ['', '---', ''], next: i + 1 };
+        }
+        if (line === '<<<') {
+            return { rendered: [], next: i + 1 };
+        }
+
+        if (this.listMarker(line)) {
+            const { rendered, next } = this.parseList(lines, i, doc);
+            return { rendered: ['', ...titleLines, ...rendered, ''], next };
+        }
+
+        // Indented lines are a literal paragraph
+        if (/^\s/.test(line) || style === 'literal') {
+            let end = i;
+            while (end < lines.length && lines[end] !== '') end++;
+            const literal = lines.slice(i, end);
+            const indent = Math.min(...literal.map(entry => entry.match(/^\s*/)[0].length));
+            return { rendered: ['', ...titleLines, ...this.blocks.fence('', literal.map(entry => entry.slice(indent))), ''], next: end };
+        }
+
+        let end = i + 1;
+        while (end < lines.length && lines[end] !== '' && !DELIMITER.test(lines[end]) && !BLOCK_ATTRIBUTES.test(lines[end]) && !LIST_ITEM.test(lines[end])) end++;
+        const paragraph = lines.slice(i, end);
+        const text = this.joinParagraph(paragraph, doc);
+
+        const admonition = paragraph[0].match(ADMONITION_PARAGRAPH);
+        if (admonition) {
+            const body = this.joinParagraph([admonition[2], ...paragraph.slice(1)], doc);
+            return { rendered: ['', ...this.blocks.callout(admonition[1], blockTitle, [body]), ''], next: end };
+        }
+        if (ADMONITIONS.includes(style)) {
+            return { rendered: ['', ...this.blocks.callout(style, blockTitle, [text]), ''], next: end };
+        }
+        if (style === 'source' || style === 'listing') {
+            return { rendered: ['', ...titleLines, ...this.blocks.fence(attributes.language || '', paragraph), ''], next: end };
+        }
+        if (style === 'quote' || style === 'verse') {
+            return { rendered: ['', ...titleLines, ...this.renderQuote(style === 'verse' ? paragraph.map(entry => this.convertInline(entry, doc)) : [text], attributes, doc), ''], next: end };
+        }
+        return { rendered: ['', ...titleLines, text, ''], next: end };
+    }
+
+    /**
+     * Render a delimited block
+     * @param {string} delimiter - Opening delimiter line
+     * @param {string[]} content - Lines between the delimiters
+     * @param {Object} doc - Document state
+     * @param {Object} attributes - Block attributes
+     * @param {string|null} blockTitle - Block title
+     * @returns {string[]} Markdown lines
+     */
+    renderDelimited(delimiter, content, doc, attributes, blockTitle) {
+        const style = (attributes.style || '').toLowerCase();
+        const titleLines = blockTitle ? [`**${blockTitle}**`, ''] : [];
+        const kind = delimiter.startsWith('```') ? '`' : delimiter.charAt(0);
+
+        if (kind === '/') {
+            return [];
+        }
+        if (kind === '`') {
+            return [...titleLines, ...this.blocks.fence(delimiter.slice(3).trim() || attributes.language || '', content)];
+        }
+        if (kind === '-' && delimiter !== '--') {
+            return [...titleLines, ...this.blocks.fence(attributes.language || '', this.stripCallouts(content))];
+        }
+        if (kind === '.') {
+            return [...titleLines, ...this.blocks.fence('', content)];
+        }
+        if (kind === '+') {
+            return content;
+        }
+        if (kind === '|' || kind === ',') {
+            return [...titleLines, ...this.blocks.table(this.parseTable(delimiter, content, attributes, doc))];
+        }
+        if (kind === '_' || style === 'quote' || style === 'verse') {
+            const body = style === 'verse'
+                ? content.map(entry => this.convertInline(entry, doc))
+                : this.parseBlocks(content, doc);
+            return [...titleLines, ...this.renderQuote(body, attributes, doc)];
+        }
+        if (ADMONITIONS.includes(style)) {
+            return this.blocks.callout(style, blockTitle, this.parseBlocks(content, doc));
+        }
+        if (kind === '=') {
+            return this.blocks.callout('example', blockTitle, this.parseBlocks(content, doc));
+        }
+        if (kind === '*') {
+            return this.blocks.callout('sidebar', blockTitle, this.parseBlocks(content, doc));
+        }
+        // Open block
+        if (style === 'source' || style === 'listing') {
+            return [...titleLines, ...this.blocks.fence(attributes.language || '', content)];
+        }
+        return [...titleLines, ...this.parseBlocks(content, doc)];
+    }
+
+    /**
+     * Render a quote with its attribution
+     * @param {string[]} body - Markdown lines
+     * @param {Object} attributes - Block attributes (positional: style, attribution, citation)
+     * @param {Object} doc - Document state
+     * @returns {string[]} Markdown lines
+     */
+    renderQuote(body, attributes, doc) {
+        const attribution = [attributes.positional[1], attributes.positional[2]].filter(Boolean).map(part => this.convertInline(part, doc));
+        const lines = this.blocks.trimBlankLines(body);
+        return this.blocks.quote(attribution.length > 0 ? [...lines, '', `— ${attribution.join(', ')}`] : body);
+    }
+
+    /**
+     * Parse a list: nesting follows the marker, not the indentation
+     * @param {string[]} lines - Lines
+     * @param {number} start - First item line
+     * @param {Object} doc - Document state
+     * @returns {{rendered: string[], next: number}} Markdown lines and the next line
+     */
+    parseList(lines, start, doc) {
+        const rendered = [];
+        const markers = [];
+        const counters = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            const marker = this.listMarker(line);
+            if (!marker) {
+                break;
+            }
+            const item = line.match(LIST_ITEM);
+            const description = item ? null : line.match(DESCRIPTION_ITEM);
+
+            let depth = markers.indexOf(marker);
+            if (depth === -1) {
+                markers.push(marker);
+                depth = markers.length - 1;
+            } else {
+                markers.length = depth + 1;
+            }
+            counters.length = depth + 1;
+            counters[depth] = (counters[depth] || 0) + 1;
+
+            // Following lines continue the item's text until a blank line or another item
+            const text = [item ? item[2] : (description[3] || '')];
+            i++;
+            while (i < lines.length && lines[i] !== '' && lines[i] !== '+' && !this.listMarker(lines[i]) && !DELIMITER.test(lines[i])) {
+                text.push(lines[i].trim());
+                i++;
+            }
+
+            const indent = '    '.repeat(depth);
+            let bullet = /^\./.test(marker) || marker === '1.' ? `${counters[depth]}.` : '-';
+            let itemText = this.joinParagraph(text.filter(Boolean), doc);
+            const checkbox = itemText.match(/^\[([ xX*])\]\s+/);
+            if (checkbox && bullet === '-') {
+                bullet = checkbox[1] === ' ' ? '- [ ]' : '- [x]';
+                itemText = itemText.slice(checkbox[0].length);
+            }
+            if (description) {
+                const term = this.convertInline(description[1], doc);
+                itemText = itemText ? `**${term}**: ${itemText}` : `**${term}**`;
+            }
+            rendered.push(`${indent}${bullet} ${itemText}`.trimEnd());
+
+            // "+" attaches the next block to the item
+            while (lines[i] === '+' && i + 1 < lines.length) {
+                const { rendered: attached, next } = this.parseAttached(lines, i + 1, doc);
+                rendered.push(...this.blocks.trimBlankLines(attached).map(entry => (entry ? `${indent}    ${entry}` : '')));
+                i = next;
+            }
+
+            // After blank lines, only items with a marker already in use continue the list
+            let next = i;
+            while (next < lines.length && lines[next] === '') next++;
+            if (next === i || next >= lines.length) {
+                continue;
+            }
+            if (!markers.includes(this.listMarker(lines[next]))) {
+                break;
+            }
+            i = next;
+        }
+        return { rendered, next: i };
+    }
+
+    /**
+     * Get the marker of a list item line
+     * @param {string} line - Line
+     * @returns {string|null} Marker ("*", "..", "1.", "::" ...), or null if the line is not an item
+     */
+    listMarker(line) {
+        const item = line.match(LIST_ITEM);
+        if (item) {
+            return item[1].replace(/^\d+\./, '1.');
+        }
+        const description = /^\s/.test(line) ? null : line.match(DESCRIPTION_ITEM);
+        return description ? description[2] : null;
+    }
+
+    /**
+     * Parse a block attached to a list item with "+"
+     * @param {string[]} lines - Lines
+     * @param {number} start - First line of the attached block
+     * @param {Object} doc - Document state
+     * @returns {{rendered: string[], next: number}} Markdown lines and the next line
+     */
+    parseAttached(lines, start, doc) {
+        let i = start;
+        let attributes = {};
+        let blockTitle = null;
+        while (i < lines.length && (BLOCK_ATTRIBUTES.test(lines[i]) || BLOCK_TITLE.test(lines[i]))) {
+            const match = lines[i].match(BLOCK_ATTRIBUTES);
+            if (match) {
+                attributes = this.parseAttributeList(match[1]);
+            } else {
+                blockTitle = this.convertInline(lines[i].slice(1), doc);
+            }
+            i++;
+        }
+        if (i >= lines.length) {
+            return { rendered: [], next: i };
+        }
+        // Paragraphs end at the next item; everything else is parsed as usual
+        if (!DELIMITER.test(lines[i]) && !/^\s/.test(lines[i]) && !ADMONITION_PARAGRAPH.test(lines[i]) && !attributes.style) {
+            let end = i;
+            while (end < lines.length && lines[end] !== '' && lines[end] !== '+' && !LIST_ITEM.test(lines[end])) end++;
+            return { rendered: [this.joinParagraph(lines.slice(i, end), doc)], next: end };
+        }
+        return this.parseBlock(lines, i, doc, attributes, blockTitle);
+    }
+
+    /**
+     * Parse a table into rows of inline markdown
+     * @param {string} delimiter - Opening delimiter, "|===" or ",==="
+     * @param {string[]} content - Table lines
+     * @param {Object} attributes - Block attributes
+     * @param {Object} doc - Document state
+     * @returns {string[][]} Cells by row
+     */
+    parseTable(delimiter, content, attributes, doc) {
+        const body = content.join('\n');
+        if (delimiter.startsWith(',') || attributes.format === 'csv') {
+            return parse(body, { relax_quotes: true, relax_column_count: true, skip_empty_lines: true, trim: true })
+                .map(cells => cells.map(cell => this.convertInline(cell, doc)));
+        }
+
+        // Cells start at "|", optionally preceded by a spec such as "2+" (column span) or "a" (style)
+        const cells = [];
+        const parts = body.split(/(?<!\\)\|/);
+        let spec = (parts[0].match(CELL_SPEC) || [])[2] || '';
+        for (let p = 1; p < parts.length; p++) {
+            let text = parts[p];
+            const span = spec.match(/^(\d+)\+/);
+            // A spec at the end of this cell's text belongs to the next cell
+            const nextSpec = p + 1 < parts.length ? text.match(CELL_SPEC) : null;
+            spec = nextSpec ? nextSpec[2] : '';
+            if (spec) {
+                text = text.slice(0, text.length - spec.length);
+            }
+            cells.push({ text: text.trim().replace(/\\\|/g, '|'), span: span ? parseInt(span[1], 10) : 1 });
+        }
+
+        const firstLine = content.find(line => line.trim() !== '') || '';
+        const columnCount = this.countColumns(attributes.cols) || (firstLine.match(/(?<!\\)\|/g) || []).length || 1;
+
+        const rows = [];
+        let row = [];
+        let used = 0;
+        cells.forEach(cell => {
+            row.push(this.convertInline(cell.text.replace(/\s*\n\s*/g, ' '), doc));
+            for (let s = 1; s < cell.span; s++) row.push('');
+            used += cell.span;
+            if (used >= columnCount) {
+                rows.push(row);
+                row = [];
+                used = 0;
+            }
+        });
+        if (row.length > 0) rows.push(row);
+        return rows;
+    }
+
+    /**
+     * Count the columns given by a cols attribute such as "1,2,1" or "3*"
+     * @param {string} [cols] - cols attribute
+     * @returns {number} Column count, or 0 if not given
+     */
+    countColumns(cols) {
+        if (!cols) {
+            return 0;
+        }
+        return cols.split(/[,;]/).reduce((count, spec) => {
+            const repeat = spec.trim().match(/^(\d+)\*/);
+            return count + (repeat ? parseInt(repeat[1], 10) : 1);
+        }, 0);
+    }
+
+    /**
+     * Parse a block attribute list such as "source,python" or "cols=\"1,2\",options=\"header\""
+     * @param {string} text - Text between the brackets
+     * @returns {Object} Named attributes plus style, language and positional values
+     */
+    parseAttributeList(text) {
+        const attributes = { positional: [] };
+        const pattern = /\s*(?:([\w-]+)\s*=\s*)?("(?:[^"\\]|\\.)*"|'[^']*'|[^,]*)\s*(?:,|$)/g;
+        let match;
+        while ((match = pattern.exec(text)) !== null && match[0] !== '') {
+            const value = match[2].replace(/^["']|["']$/g, '');
+            if (match[1]) {
+                attributes[match[1]] = value;
+            } else {
+                attributes.positional.push(value);
+            }
+        }
+
+        // The first positional attribute is the style, with #id, .role and %option shorthands
+        const first = (attributes.positional[0] || '').split(/(?=[#.%])/)[0];
+        attributes.style = first;
+        if (attributes.style === 'source' || attributes.style === 'listing') {
+            attributes.language = attributes.language || attributes.positional[1] || '';
+        }
+        return attributes;
+    }
+
+    /**
+     * Join paragraph lines, keeping hard line breaks (" +")
+     * @param {string[]} lines - Paragraph lines
+     * @param {Object} doc - Document state
+     * @returns {string} Inline markdown
+     */
+    joinParagraph(lines, doc) {
+        return lines
+            .map((line, index) => {
+                const text = line.trim();
+                const hardBreak = / \+$/.test(text) && index < lines.length - 1;
+                return this.convertInline(hardBreak ? text.slice(0, -2) : text, doc) + (hardBreak ? '<br>' : '');
+            })
+            .join(' ')
+            .replace(/<br> /g, '<br>');
+    }
+
+    /**
+     * Convert inline markup: attribute references, links, cross-references, emphasis and footnotes
+     * @param {string} text - Inline text
+     * @param {Object} doc - Document state
+     * @returns {string} Inline markdown
+     */
+    convertInline(text, doc) {
+        // Finished markdown is parked in placeholders so later patterns cannot touch it
+        const kept = [];
+        const keep = value => `\uE000${kept.push(value) - 1}\uE001`;
+
+        const result = this.substituteAttributes(text, doc)
+            .replace(/pass:[a-z,]*\[(.*?)\]/g, (match, value) => keep(value))
+            .replace(/\+\+\+(.+?)\+\+\+|\+\+(.+?)\+\+|(^|[^\w+])\+([^\s+](?:[^+]*?[^\s+])?)\+(?![\w+])/g, (match, triple, double, pre, single) => (single !== undefined
+                ? `${pre}${keep(single)}`
+                : keep(triple || double)))
+            .replace(/``(.+?)``|`([^`\s](?:[^`]*?[^`\s])?)`/g, (match, double, single) => keep(`\`${double || single}\``))
+            .replace(/kbd:\[([^\]]+)\]/g, (match, keys) => keep(`\`${keys}\``))
+            .replace(/btn:\[([^\]]+)\]/g, (match, label) => keep(`**${label}**`))
+            .replace(/footnote(?:ref)?:[\w-]*\[((?:[^\]\\]|\\.)*)\]/g, (match, note) => (note ? `^[${note}]` : ''))
+            .replace(/image:([^:\s[][^\s[]*)\[([^\]]*)\]/g, (match, target, attributeText) => keep(this.renderImage(target, attributeText, doc)))
+            .replace(/<<([^<>,]+?)(?:,\s*([^<>]+))?>>/g, (match, target, label) => keep(this.renderCrossReference(target, label, doc)))
+            .replace(/xref:([^[\s]+)\[([^\]]*)\]/g, (match, target, label) => keep(this.renderCrossReference(target, label, doc)))
+            .replace(/(?:link:|mailto:)?((?:https?|ftp|irc|mailto):[^\s[\]]*|(?<=link:)[^\s[]+)\[([^\]]*)\]/g, (match, target, label) => {
+                const href = match.startsWith('mailto:') && !target.startsWith('mailto:') ? `mailto:${target}` : target;
+                return keep(`[${label.replace(/\^$/, '') || target}](${href})`);
+            })
+            .replace(/\[\.[\w-]+(?:\s*\.[\w-]+)*\]#([^#]+)#/g, '$1')
+            .replace(/(^|[^\w*])\*(?!\s)([^*\n]+?)(?<!\s)\*(?![\w*])/g, '$1**$2**')
+            .replace(/__(.+?)__/g, '*$1*')
+            .replace(/(^|[^\w_])_(?!\s)([^_\n]+?)(?<!\s)_(?![\w_])/g, '$1*$2*')
+            .replace(/##(.+?)##/g, '==$1==')
+            .replace(/(^|[^\w#])#(?!\s)([^#\n]+?)(?<!\s)#(?![\w#])/g, '$1==$2==')
+            .replace(/\^([^\s^]+)\^/g, '<sup>$1</sup>')
+            .replace(/~([^\s~]+)~/g, '<sub>$1</sub>');
+
+        return result.replace(/\uE000(\d+)\uE001/g, (match, index) => kept[index]);
+    }
+
+    /**
+     * Render an image macro
+     * @param {string} target - Image path or URL
+     * @param {string} attributeText - Text between the brackets
+     * @param {Object} doc - Document state
+     * @returns {string} Markdown image
+     */
+    renderImage(target, attributeText, doc) {
+        const attributes = this.parseAttributeList(attributeText);
+        const alt = attributes.alt || attributes.positional[0] || path.basename(target, path.extname(target));
+        const imagesDir = doc.attributes.get('imagesdir');
+        const src = imagesDir && !/^([a-z]+:|\/)/i.test(target) ? `${imagesDir.replace(/\/$/, '')}/${target}` : target;
+        return `![${alt.replace(/([\\[\]])/g, '\\$1')}](${src})`;
+    }
+
+    /**
+     * Render a cross-reference to an ID, a section title or another document
+     * @param {string} target - Reference target
+     * @param {string} [label] - Link text
+     * @param {Object} doc - Document state
+     * @returns {string} Obsidian link
+     */
+    renderCrossReference(target, label, doc) {
+        const text = label ? this.convertInline(label.trim(), doc) : null;
+        const [file, fragment] = target.includes('#') ? target.split('#') : [null, target];
+        if (file) {
+            return this.blocks.documentLink(file.replace(/\.(adoc|asciidoc)$/, ''), fragment ? this.idToTitle(fragment) : null, text);
+        }
+        const heading = doc.ids.get(fragment) || doc.titles.get(fragment.toLowerCase());
+        return heading ? this.blocks.headingLink(heading, text) : (text || `[${fragment}]`);
+    }
+
+    /**
+     * Guess a section title from an automatic ID in another document ("_getting_started")
+     * @param {string} id - Section ID
+     * @returns {string} Title
+     */
+    idToTitle(id) {
+        const words = id.replace(/^_/, '').split('_').join(' ');
+        return words.charAt(0).toUpperCase() + words.slice(1);
+    }
+
+    /**
+     * Replace {name} attribute references
+     * @param {string} text - Text
+     * @param {Object} doc - Document state
+     * @returns {string} Text with known references replaced
+     */
+    substituteAttributes(text, doc) {
+        return text.replace(/(\\?)\{([\w-]+)\}/g, (match, escape, name) => {
+            if (escape) return match.slice(1);
+            if (doc.attributes.has(name)) return doc.attributes.get(name);
+            if (Object.prototype.hasOwnProperty.call(BUILT_IN_REFERENCES, name)) return BUILT_IN_REFERENCES[name];
+            return match;
+        });
+    }
+
+    /**
+     * Remove callout markers such as <1> from the ends of code lines
+     * @param {string[]} lines - Code lines
+     * @returns {string[]} Lines without callout markers
+     */
+    stripCallouts(lines) {
+        return lines.map(line => line.replace(/(\s*(\/\/|#|--|;)?\s*<(\d+|\.)>)+$/, ''));
+    }
+
+    /**
+     * Strip inline markup, for frontmatter values and link targets
+     * @param {string} text - Inline text
+     * @returns {string} Plain text
+     */
+    plainText(text) {
+        return text
+            .replace(/`([^`]*)`/g, '$1')
+            .replace(/(^|\W)[*_#]{1,2}([^*_#]+)[*_#]{1,2}(?=\W|$)/g, '$1$2')
+            .trim();
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'AsciiDoc Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts AsciiDoc documents to markdown',
+            options: {
+                encoding: 'Force a text encoding (default: detected)'
+            }
+        };
+    }
+}
+
+module.exports = AsciiDocConverter;
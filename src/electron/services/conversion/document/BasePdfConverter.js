@@ -159,7 +159,6 @@ class BasePdfConverter extends BaseService {
             description: 'Base class for PDF converters',
             options: {
                 title: 'Optional document title',
-                includeImages: 'Whether to include page images (default: false)',
                 maxPages: 'Maximum pages to convert (default: all)'
             }
         };
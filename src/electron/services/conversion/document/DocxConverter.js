@@ -5,19 +5,51 @@
  * This converter:
  * - Parses DOCX files using mammoth
  * - Extracts text, formatting, and structure
+ * - Reads document properties from docProps/core.xml and docProps/app.xml into frontmatter
+ * - Extracts embedded images as attachments/<doc>-image-001.png, written by ConversionResultManager
+ * - Renders footnotes and endnotes as markdown footnotes and reviewer comments as callouts or a section
+ * - Accepts, rejects or shows tracked changes
+ * - Keeps merged cells, lists and nested tables as HTML tables, or expands merged cells
+ * - Maps custom paragraph styles to headings, code blocks, quotes and callouts
+ * - Keeps nested list levels and turns bookmarks and cross-references into heading links
  * - Generates clean markdown output
  * 
  * Related Files:
  * - BaseService.js: Parent class providing IPC handling
+ * - docx/DocxPackage.js: Document properties, comment details and tracked changes
+ * - docx/DocxNotes.js: Footnotes, endnotes and comments in mammoth's output
+ * - docx/DocxTables.js: GFM and HTML tables
+ * - docx/DocxStyles.js: Mammoth style map, including the user's style mappings
+ * - docx/DocxBookmarks.js: Heading links for bookmarks and cross-references
  * - FileProcessorService.js: Used for file operations
  * - ConversionService.js: Registers and uses this converter
  */
 
 const path = require('path');
+const crypto = require('crypto');
 const fs = require('fs-extra');
 const mammoth = require('mammoth');
 const BaseService = require('../../BaseService');
-const { formatMetadata, cleanMetadata } = require('../../../utils/markdown');
+const DocxPackage = require('./docx/DocxPackage');
+const DocxNotes = require('./docx/DocxNotes');
+const DocxTables = require('./docx/DocxTables');
+const DocxStyles = require('./docx/DocxStyles');
+const DocxBookmarks = require('./docx/DocxBookmarks');
+const { createStandardMetadata, formatMetadata } = require('../../../converters/utils/metadata');
+const { slugify } = require('../../../converters/utils/fileNames');
+
+// File extensions for the image types Word embeds
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/bmp': 'bmp',
+    'image/tiff': 'tiff',
+    'image/svg+xml': 'svg',
+    'image/webp': 'webp',
+    'image/x-emf': 'emf',
+    'image/x-wmf': 'wmf'
+};
 
 class DocxConverter extends BaseService {
     constructor(fileProcessor, fileStorage) {
@@ -25,6 +57,8 @@ class DocxConverter extends BaseService {
         this.fileProcessor = fileProcessor;
         this.fileStorage = fileStorage;
         this.supportedExtensions = ['.docx', '.doc'];
+        this.notes = new DocxNotes();
+        this.bookmarks = new DocxBookmarks();
         this.activeConversions = new Map();
     }
     
@@ -114,7 +148,7 @@ class DocxConverter extends BaseService {
                 fileName: options.originalFileName || options.name || path.basename(filePath || 'document.docx')
             });
             
-            return { content: result };
+            return { content: result.content, images: result.images };
         } catch (error) {
             console.error('[DocxConverter] Conversion failed:', error);
             throw error;
@@ -148,7 +182,7 @@ class DocxConverter extends BaseService {
                 fileName: options.originalFileName || options.name || path.basename(filePath || 'document.docx')
             });
             
-            return { content: result };
+            return { content: result.content, images: result.images };
         } catch (error) {
             console.error('[DocxConverter] Preview generation failed:', error);
             throw error;
@@ -160,7 +194,7 @@ class DocxConverter extends BaseService {
      * @param {string} conversionId - Conversion identifier
      * @param {Buffer} content - DOCX content as buffer
      * @param {Object} options - Conversion options
-     * @returns {Promise<string>} Markdown content
+     * @returns {Promise<Object>} Markdown content and extracted images
      */
     async processConversion(conversionId, content, options) {
         try {
@@ -206,38 +240,51 @@ class DocxConverter extends BaseService {
      * Convert DOCX content to markdown
      * @param {Buffer} content - DOCX content as buffer
      * @param {Object} options - Conversion options
-     * @returns {Promise<string>} Markdown content
+     * @param {string} [options.trackedChanges='accept'] - "accept", "reject" or "show" (==inserted==, ~~deleted~~)
+     * @param {string} [options.comments='callout'] - "callout", "section" or "omit"
+     * @param {string} [options.complexTables='html'] - "html" or "expand" (repeat merged cells) for tables GFM cannot represent
+     * @param {Object[]} [options.styleMappings] - Paragraph style mappings ({style, target, calloutType}) from settings
+     * @returns {Promise<Object>} Markdown content, extracted images and document metadata
      */
     async convertToMarkdown(content, options = {}) {
         try {
             const fileName = options.fileName || 'document.docx';
             const isPreview = options.isPreview || false;
+            const trackedChanges = options.trackedChanges || 'accept';
+            const commentStyle = options.comments || 'callout';
+            const complexTables = options.complexTables || 'html';
+            const imageState = {
+                prefix: slugify(path.basename(fileName, path.extname(fileName))) || 'document',
+                images: [],
+                byHash: new Map()
+            };
             
             // Configure Mammoth options
             const mammothOptions = {
                 styleMap: [
-                    "p[style-name='Heading 1'] => # $1",
-                    "p[style-name='Heading 2'] => ## $1",
-                    "p[style-name='Heading 3'] => ### $1",
-                    "p[style-name='Heading 4'] => #### $1",
-                    "p[style-name='Heading 5'] => ##### $1",
-                    "p[style-name='Heading 6'] => ###### $1",
-                    "r[style-name='Strong'] => **$1**",
-                    "r[style-name='Emphasis'] => *$1*",
-                    "p[style-name='Quote'] => > $1",
-                    "p[style-name='List Paragraph'] => * $1",
-                    "table => $1",
-                    "tr => $1",
-                    "td => $1"
-                ]
+                    ...new DocxStyles(options.styleMappings).build(),
+                    "r[style-name='Emphasis'] => em",
+                    // Comments are dropped unless their references are mapped
+                    ...(commentStyle === 'omit' ? [] : ['comment-reference => sup']),
+                    `r.${DocxPackage.INSERTION_STYLE} => ins`,
+                    `r.${DocxPackage.DELETION_STYLE} => del`
+                ],
+                // Write images out instead of inlining them as base64 data URIs
+                convertImage: mammoth.images.imgElement(image => this.extractImage(image, imageState))
             };
             
             // Extract document metadata
-            const metadata = await this.extractMetadata(content);
+            const pkg = await DocxPackage.open(content);
+            const metadata = pkg.readProperties();
             
             // Convert DOCX to HTML
-            const result = await mammoth.convertToHtml({ buffer: content }, mammothOptions);
-            const html = result.value;
+            await pkg.applyTrackedChanges(trackedChanges);
+            await pkg.linkCrossReferences();
+            const result = await mammoth.convertToHtml({ buffer: await pkg.getContent() }, mammothOptions);
+            const { html, notes, comments } = this.notes.extract(this.bookmarks.link(result.value), {
+                commentDetails: pkg.readComments(),
+                commentStyle
+            });
             const warnings = result.messages;
             
             if (warnings.length > 0) {
@@ -253,46 +300,86 @@ class DocxConverter extends BaseService {
                 bulletListMarker: '-'
             });
             
-            // Customize turndown
+            // Tables GFM cannot represent become HTML, or are expanded (options.complexTables)
+            const tables = new DocxTables(turndownService, complexTables);
             turndownService.addRule('tables', {
                 filter: 'table',
-                replacement: function(content, node) {
-                    // Headers are the first row
-                    const rows = node.rows;
-                    if (rows.length === 0) return '';
-                    
-                    let markdown = '\n\n';
-                    
-                    // Process header row
-                    const headerCells = Array.from(rows[0].cells);
-                    markdown += '| ' + headerCells.map(cell => cell.textContent.trim()).join(' | ') + ' |\n';
-                    markdown += '| ' + headerCells.map(() => '---').join(' | ') + ' |\n';
-                    
-                    // Process data rows
-                    for (let i = 1; i < rows.length; i++) {
-                        const cells = Array.from(rows[i].cells);
-                        markdown += '| ' + cells.map(cell => cell.textContent.trim()).join(' | ') + ' |\n';
-                    }
-                    
-                    return markdown;
+                replacement: (content, node) => tables.render(node)
+            });
+            
+            // Extracted images use the same embeds as ConversionResultManager.updateImageReferences
+            turndownService.addRule('extractedImages', {
+                filter: node => node.nodeName === 'IMG' && imageState.images.some(image => image.path === node.getAttribute('src')),
+                replacement: (content, node) => `![[${node.getAttribute('src')}]]`
+            });
+            
+            turndownService.addRule('noteReferences', {
+                filter: node => node.nodeName === 'SUP' && node.hasAttribute('data-note'),
+                replacement: (content, node) => `[^${node.getAttribute('data-note')}]`
+            });
+            turndownService.addRule('commentReferences', {
+                filter: node => node.nodeName === 'SUP' && node.hasAttribute('data-comment-ref'),
+                replacement: (content, node) => `[[#^${node.getAttribute('data-comment-ref')}|${node.textContent}]]`
+            });
+            turndownService.addRule('commentCallouts', {
+                filter: node => node.nodeName === 'BLOCKQUOTE' && node.hasAttribute('data-comment'),
+                replacement: (content, node) => `\n\n${this.formatCallout('comment', node.getAttribute('data-comment'), content)}\n\n`
+            });
+            turndownService.addRule('styleCallouts', {
+                filter: node => node.nodeName === 'BLOCKQUOTE' && DocxStyles.calloutType(node) !== null,
+                replacement: (content, node) => `\n\n${this.formatCallout(DocxStyles.calloutType(node), '', content)}\n\n`
+            });
+            turndownService.addRule('headingLinks', {
+                filter: node => node.nodeName === 'A' && node.hasAttribute('data-heading'),
+                replacement: (content, node) => {
+                    const heading = node.getAttribute('data-heading');
+                    return content.trim() && content.trim() !== heading ? `[[#${heading}|${content.trim()}]]` : `[[#${heading}]]`;
+                }
+            });
+            turndownService.addRule('trackedChanges', {
+                filter: ['ins', 'del'],
+                replacement: (content, node) => {
+                    if (!content.trim()) return content;
+                    return node.nodeName === 'INS' ? `==${content}==` : `~~${content}~~`;
                 }
             });
             
-            // Convert HTML to markdown
-            const markdownContent = turndownService.turndown(html);
+            // Convert HTML to markdown, then add the notes and comments taken out of it
+            const sections = [turndownService.turndown(html)];
+            if (notes.length > 0) {
+                sections.push(notes.map(note => this.formatNote(note.label, turndownService.turndown(note.html))).join('\n'));
+            }
+            if (comments.length > 0) {
+                sections.push('## Comments\n\n' + comments.map(comment => (
+                    `- **${comment.author}**${comment.date ? ` (${comment.date})` : ''}: `
+                    + `${turndownService.turndown(comment.html).replace(/\s*\n+\s*/g, ' ')} ^${comment.id}`
+                )).join('\n'));
+            }
+            const markdownContent = sections.join('\n\n');
             
             // Get the title from metadata or filename
-            const fileTitle = metadata.title || path.basename(fileName, path.extname(fileName));
+            const { title, ...properties } = metadata;
+            const fileTitle = title || path.basename(fileName, path.extname(fileName));
             
-            // Create standardized frontmatter using metadata utility
-            const { createStandardFrontmatter } = require('../../../converters/utils/metadata');
-            const frontmatter = createStandardFrontmatter({
-                title: fileTitle,
-                fileType: 'docx'
+            // Standard fields first, then the document properties that are set
+            const frontmatter = formatMetadata({
+                ...createStandardMetadata({
+                    title: fileTitle,
+                    fileType: 'docx'
+                }),
+                ...properties
             });
             
+            if (imageState.images.length > 0) {
+                console.log(`[DocxConverter] Extracted ${imageState.images.length} images from ${fileName}`);
+            }
+            
             // Combine frontmatter and content
-            return frontmatter + markdownContent;
+            return {
+                content: frontmatter + markdownContent,
+                images: imageState.images,
+                metadata: { title: fileTitle, ...properties }
+            };
         } catch (error) {
             console.error('[DocxConverter] Markdown conversion failed:', error);
             throw error;
@@ -300,56 +387,51 @@ class DocxConverter extends BaseService {
     }
     
     /**
-     * Extract metadata from DOCX document
-     * @param {Buffer} content - DOCX content as buffer
-     * @returns {Promise<Object>} Document metadata
+     * Format a footnote definition, indenting paragraphs after the first
+     * @param {string} label - Footnote label
+     * @param {string} markdown - Footnote body
+     * @returns {string} Markdown footnote definition
      */
-    async extractMetadata(content) {
-        try {
-            // Use mammoth to extract metadata
-            const result = await mammoth.extractRawText({ buffer: content });
-            const text = result.value;
-            
-            // Try to extract title from first heading
-            let title = '';
-            const titleMatch = text.match(/^(.+)(?:\r?\n)/);
-            if (titleMatch) {
-                title = titleMatch[1].trim();
-            }
-            
-            // Return basic metadata
-            return {
-                title,
-                author: '',
-                date: new Date().toISOString().split('T')[0],
-                subject: '',
-                keywords: '',
-                pageCount: this.estimatePageCount(text)
-            };
-        } catch (error) {
-            console.error('[DocxConverter] Failed to extract metadata:', error);
-            return {
-                title: '',
-                author: '',
-                date: new Date().toISOString().split('T')[0],
-                subject: '',
-                keywords: '',
-                pageCount: 1
-            };
-        }
+    formatNote(label, markdown) {
+        const [first, ...rest] = markdown.trim().split('\n');
+        return [`[^${label}]: ${first || ''}`, ...rest.map(line => (line ? `    ${line}` : ''))].join('\n');
     }
     
     /**
-     * Estimate page count based on text length
-     * @param {string} text - Document text
-     * @returns {number} Estimated page count
+     * Format a reviewer comment or a styled paragraph as a callout
+     * @param {string} type - Callout type
+     * @param {string} title - Callout title, such as a comment's author and date
+     * @param {string} markdown - Callout body
+     * @returns {string} Markdown callout
      */
-    estimatePageCount(text) {
-        // Rough estimate: 3000 characters per page
-        const charsPerPage = 3000;
-        return Math.max(1, Math.ceil(text.length / charsPerPage));
+    formatCallout(type, title, markdown) {
+        const body = markdown.trim().split('\n').map(line => (line ? `> ${line}` : '>'));
+        return [`> [!${type}]${title ? ` ${title}` : ''}`, ...body].join('\n');
     }
-
+    
+    /**
+     * Extract an embedded image, reusing the file for repeats of the same image
+     * @param {Object} image - Mammoth image
+     * @param {Object} state - Images extracted so far
+     * @returns {Promise<Object>} Attributes for the img element
+     */
+    async extractImage(image, state) {
+        const data = await image.read();
+        const hash = crypto.createHash('sha1').update(data).digest('hex');
+        
+        let imagePath = state.byHash.get(hash);
+        if (!imagePath) {
+            const number = String(state.images.length + 1).padStart(3, '0');
+            const extension = IMAGE_EXTENSIONS[image.contentType] || 'png';
+            imagePath = `attachments/${state.prefix}-image-${number}.${extension}`;
+            state.byHash.set(hash, imagePath);
+            state.images.push({ path: imagePath, data, contentType: image.contentType });
+        }
+        
+        return { src: imagePath };
+    }
+    
+    
     /**
      * Check if this converter supports the given file
      * @param {string} filePath - Path to file
@@ -371,7 +453,11 @@ class DocxConverter extends BaseService {
             description: 'Converts DOCX files to markdown',
             options: {
                 title: 'Optional document title',
-                isPreview: 'Whether to generate a preview (default: false)'
+                isPreview: 'Whether to generate a preview (default: false)',
+                trackedChanges: 'accept, reject or show tracked changes (default: accept)',
+                comments: 'Render comments as callout, section or omit them (default: callout)',
+                complexTables: 'Write tables with merged cells or block content as html, or expand them (default: html)',
+                styleMappings: 'Paragraph style mappings to heading1-6, code, quote or callout, from the active settings profile'
             }
         };
     }
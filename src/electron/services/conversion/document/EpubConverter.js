@@ -0,0 +1,587 @@
+/**
+ * EpubConverter.js
+ * Handles conversion of EPUB e-books to markdown format in the Electron main process.
+ *
+ * This converter:
+ * - Opens the EPUB container with JSZip and locates the OPF package
+ * - Reads chapters in OPF spine order and titles them from the NCX/nav TOC
+ * - Emits one heading per chapter, or one note per chapter plus an index note
+ * - Carries OPF title/author/publisher/ISBN into frontmatter
+ * - Returns embedded images so ConversionResultManager can save them
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - ConverterRegistry.js: Registers the EPUB adapter
+ * - ConversionResultManager.js: Saves the images and chapter notes returned here
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+const TurndownService = require('turndown');
+const BaseService = require('../../BaseService');
+const { createStandardMetadata, formatMetadata } = require('../../../converters/utils/metadata');
+const { slugify } = require('../../../converters/utils/fileNames');
+
+// Placeholder href for links between chapters, resolved once note names are assigned
+const CHAPTER_LINK_PREFIX = 'codex-epub-chapter:';
+
+class EpubConverter extends BaseService {
+    constructor(fileProcessor, fileStorage) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.fileStorage = fileStorage;
+        this.supportedExtensions = ['.epub'];
+    }
+
+    /**
+     * Set up IPC handlers for EPUB conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:epub', this.handleConvert.bind(this));
+        this.registerHandler('convert:epub:preview', this.handlePreview.bind(this));
+    }
+
+    /**
+     * Handle EPUB conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            const content = await this.readInput(filePath, buffer);
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'book.epub')
+            });
+
+            return result;
+        } catch (error) {
+            console.error('[EpubConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Handle EPUB preview request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Preview request details
+     */
+    async handlePreview(event, { filePath, buffer, options = {} }) {
+        try {
+            const content = await this.readInput(filePath, buffer);
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                isPreview: true,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'book.epub')
+            });
+
+            return { content: result.content };
+        } catch (error) {
+            console.error('[EpubConverter] Preview generation failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the EPUB from a buffer or from disk
+     * @param {string} filePath - Path to the EPUB file
+     * @param {Buffer|ArrayBuffer} buffer - EPUB content
+     * @returns {Promise<Buffer>} EPUB content as buffer
+     */
+    async readInput(filePath, buffer) {
+        if (buffer) {
+            return Buffer.from(buffer);
+        }
+        if (filePath) {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            return fileResult.content;
+        }
+        throw new Error('No file path or buffer provided');
+    }
+
+    /**
+     * Convert EPUB content to markdown
+     * @param {Buffer} content - EPUB content as buffer
+     * @param {Object} options - Conversion options
+     * @param {boolean} [options.splitChapters=false] - Write one note per chapter plus an index note
+     * @returns {Promise<Object>} Markdown content, images, extra chapter notes and book metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'book.epub';
+            const baseName = path.basename(fileName, path.extname(fileName));
+            console.log(`[EpubConverter] Converting ${fileName} (splitChapters: ${!!options.splitChapters})`);
+
+            const zip = await JSZip.loadAsync(content);
+            const opfPath = await this.findPackagePath(zip);
+            const opfXml = await this.readZipText(zip, opfPath);
+            if (!opfXml) {
+                throw new Error(`Package document not found: ${opfPath}`);
+            }
+
+            const book = this.parsePackage(opfXml, opfPath);
+            const toc = await this.readToc(zip, book);
+            const tocTitles = new Map();
+            this.flattenToc(toc).forEach(entry => {
+                const target = entry.href.split('#')[0];
+                if (target && !tocTitles.has(target)) {
+                    tocTitles.set(target, entry.title);
+                }
+            });
+
+            const bookTitle = book.metadata.title || baseName;
+            const imagePrefix = slugify(baseName) || 'epub';
+            const imageState = { images: [], byZipPath: new Map() };
+
+            // Assign titles up front so cross-chapter links can be rewritten
+            const chapters = [];
+            for (const item of book.spine) {
+                const html = await this.readZipText(zip, item.path);
+                if (!html) {
+                    console.warn(`[EpubConverter] Spine item missing from archive: ${item.path}`);
+                    continue;
+                }
+                const $ = cheerio.load(html);
+                const fallbackTitle = $('h1, h2, h3').first().text().trim() || $('title').first().text().trim();
+                chapters.push({
+                    index: chapters.length,
+                    path: item.path,
+                    $,
+                    title: this.cleanText(tocTitles.get(item.path) || fallbackTitle) || `Chapter ${chapters.length + 1}`
+                });
+            }
+
+            const chaptersByPath = new Map(chapters.map(chapter => [chapter.path, chapter]));
+
+            const turndownService = new TurndownService({
+                headingStyle: 'atx',
+                codeBlockStyle: 'fenced',
+                emDelimiter: '*'
+            });
+
+            for (const chapter of chapters) {
+                chapter.markdown = await this.convertChapter(zip, chapter, {
+                    chaptersByPath,
+                    imageState,
+                    imagePrefix,
+                    turndownService,
+                    splitChapters: !!options.splitChapters
+                });
+            }
+
+            const nonEmpty = chapters.filter(chapter => chapter.markdown.trim().length > 0);
+            if (nonEmpty.length === 0) {
+                throw new Error('EPUB contains no readable chapters');
+            }
+
+            // Number notes after dropping empty chapters so they match the contents list
+            const notesDir = `${slugify(bookTitle) || imagePrefix}-chapters`;
+            nonEmpty.forEach((chapter, index) => {
+                const number = String(index + 1).padStart(2, '0');
+                chapter.noteName = `${notesDir}/${number}-${slugify(chapter.title) || 'chapter'}.md`;
+            });
+            nonEmpty.forEach(chapter => {
+                chapter.markdown = this.resolveChapterLinks(chapter.markdown, chapters);
+            });
+
+            const metadata = {
+                title: bookTitle,
+                author: book.metadata.authors.join(', '),
+                publisher: book.metadata.publisher,
+                isbn: book.metadata.isbn
+            };
+            const frontmatter = formatMetadata({
+                ...createStandardMetadata({ title: bookTitle, fileType: 'epub' }),
+                author: metadata.author,
+                publisher: metadata.publisher,
+                isbn: metadata.isbn
+            });
+
+            const markdown = [];
+            markdown.push(`# ${bookTitle}`);
+            markdown.push('');
+
+            const files = [];
+            if (options.splitChapters && !options.isPreview) {
+                markdown.push('## Contents');
+                markdown.push('');
+                nonEmpty.forEach((chapter, index) => {
+                    markdown.push(`${index + 1}. [${chapter.title}](${this.encodeLinkPath(chapter.noteName)})`);
+
+                    // Chapter notes live in a subfolder, so embed images by vault path
+                    const chapterMarkdown = chapter.markdown.trim().replace(/!\[[^\]]*\]\((attachments\/[^)\s]+)\)/g, '![[$1]]');
+                    files.push({
+                        name: chapter.noteName,
+                        type: 'text',
+                        content: `# ${chapter.title}\n\n${chapterMarkdown}\n`,
+                        metadata: {
+                            title: chapter.title,
+                            book: bookTitle,
+                            chapter: index + 1
+                        }
+                    });
+                });
+                markdown.push('');
+            } else {
+                const included = options.isPreview ? nonEmpty.slice(0, 3) : nonEmpty;
+                included.forEach(chapter => {
+                    markdown.push(`## ${chapter.title}`);
+                    markdown.push('');
+                    markdown.push(chapter.markdown.trim());
+                    markdown.push('');
+                });
+            }
+
+            console.log(`[EpubConverter] Converted ${nonEmpty.length} chapters, ${imageState.images.length} images`);
+
+            return {
+                content: frontmatter + markdown.join('\n'),
+                images: imageState.images,
+                files,
+                metadata
+            };
+        } catch (error) {
+            console.error('[EpubConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Locate the OPF package document via META-INF/container.xml
+     * @param {JSZip} zip - Opened EPUB archive
+     * @returns {Promise<string>} Archive path of the OPF file
+     */
+    async findPackagePath(zip) {
+        const containerXml = await this.readZipText(zip, 'META-INF/container.xml');
+        if (containerXml) {
+            const $ = cheerio.load(containerXml, { xmlMode: true });
+            const fullPath = $('rootfile').first().attr('full-path');
+            if (fullPath) {
+                return fullPath;
+            }
+        }
+
+        // Some generators omit container.xml; fall back to the first .opf in the archive
+        const opfFile = Object.keys(zip.files).find(name => name.toLowerCase().endsWith('.opf'));
+        if (!opfFile) {
+            throw new Error('Not a valid EPUB: no OPF package document found');
+        }
+        return opfFile;
+    }
+
+    /**
+     * Parse the OPF package into metadata, manifest and spine
+     * @param {string} opfXml - OPF document
+     * @param {string} opfPath - Archive path of the OPF document
+     * @returns {Object} Parsed package
+     */
+    parsePackage(opfXml, opfPath) {
+        const $ = cheerio.load(opfXml, { xmlMode: true });
+        const opfDir = path.posix.dirname(opfPath);
+        const byName = (name) => $('*').filter((i, el) => this.localName(el.tagName) === name);
+
+        const identifiers = byName('identifier').toArray().map(el => ({
+            scheme: ($(el).attr('opf:scheme') || $(el).attr('scheme') || '').toLowerCase(),
+            value: $(el).text().trim()
+        }));
+        const isbnEntry = identifiers.find(id => id.scheme === 'isbn') ||
+            identifiers.find(id => /^(urn:isbn:)?[\d-]{10,17}[\dx]?$/i.test(id.value));
+
+        const metadata = {
+            title: this.cleanText(byName('title').first().text()),
+            authors: byName('creator').toArray().map(el => this.cleanText($(el).text())).filter(Boolean),
+            publisher: this.cleanText(byName('publisher').first().text()),
+            isbn: isbnEntry ? isbnEntry.value.replace(/^urn:isbn:/i, '') : ''
+        };
+
+        const manifest = new Map();
+        byName('item').each((i, el) => {
+            const href = $(el).attr('href');
+            if (!href) return;
+            manifest.set($(el).attr('id'), {
+                id: $(el).attr('id'),
+                path: this.resolveZipPath(opfDir, href),
+                mediaType: $(el).attr('media-type') || '',
+                properties: ($(el).attr('properties') || '').split(/\s+/)
+            });
+        });
+
+        const spineEl = byName('spine').first();
+        const spine = [];
+        byName('itemref').each((i, el) => {
+            const item = manifest.get($(el).attr('idref'));
+            // The nav document is replaced by our own headings/index
+            if (!item || item.properties.includes('nav')) return;
+            if (!/x?html/i.test(item.mediaType)) return;
+            spine.push(item);
+        });
+
+        const navItem = Array.from(manifest.values()).find(item => item.properties.includes('nav'));
+        const ncxItem = manifest.get(spineEl.attr('toc')) ||
+            Array.from(manifest.values()).find(item => item.mediaType === 'application/x-dtbncx+xml');
+
+        return { metadata, manifest, spine, navItem, ncxItem };
+    }
+
+    /**
+     * Read the table of contents, preferring the EPUB 3 nav document over the NCX
+     * @param {JSZip} zip - Opened EPUB archive
+     * @param {Object} book - Parsed package
+     * @returns {Promise<Array>} TOC tree of { title, href, children }
+     */
+    async readToc(zip, book) {
+        if (book.navItem) {
+            const navHtml = await this.readZipText(zip, book.navItem.path);
+            if (navHtml) {
+                const $ = cheerio.load(navHtml);
+                const navDir = path.posix.dirname(book.navItem.path);
+                let nav = $('nav').filter((i, el) => ($(el).attr('epub:type') || '').split(/\s+/).includes('toc')).first();
+                if (nav.length === 0) nav = $('nav').first();
+
+                const walk = (list) => list.children('li').toArray().map(li => {
+                    const link = $(li).children('a, span').first();
+                    const href = link.attr('href');
+                    return {
+                        title: this.cleanText(link.text()),
+                        href: href ? this.resolveZipPath(navDir, href) : '',
+                        children: walk($(li).children('ol, ul').first())
+                    };
+                });
+                const toc = walk(nav.find('ol, ul').first());
+                if (toc.length > 0) return toc;
+            }
+        }
+
+        if (book.ncxItem) {
+            const ncxXml = await this.readZipText(zip, book.ncxItem.path);
+            if (ncxXml) {
+                const $ = cheerio.load(ncxXml, { xmlMode: true });
+                const ncxDir = path.posix.dirname(book.ncxItem.path);
+                const walk = (parent) => parent.children('navPoint').toArray().map(point => {
+                    const src = $(point).children('content').attr('src');
+                    return {
+                        title: this.cleanText($(point).children('navLabel').first().text()),
+                        href: src ? this.resolveZipPath(ncxDir, src) : '',
+                        children: walk($(point))
+                    };
+                });
+                return walk($('navMap').first());
+            }
+        }
+
+        return [];
+    }
+
+    /**
+     * Flatten a TOC tree in reading order
+     * @param {Array} entries - TOC entries
+     * @returns {Array} Flat list of entries
+     */
+    flattenToc(entries) {
+        return entries.reduce((flat, entry) => flat.concat([entry], this.flattenToc(entry.children || [])), []);
+    }
+
+    /**
+     * Convert a single spine document to markdown
+     * @param {JSZip} zip - Opened EPUB archive
+     * @param {Object} chapter - Chapter with loaded cheerio document
+     * @param {Object} context - Shared conversion state
+     * @returns {Promise<string>} Chapter markdown without its title heading
+     */
+    async convertChapter(zip, chapter, context) {
+        const { $ } = chapter;
+        const chapterDir = path.posix.dirname(chapter.path);
+        const body = $('body').length > 0 ? $('body') : $.root();
+
+        body.find('script, style, noscript').remove();
+
+        // Drop the chapter's own title heading, it is replaced by ours
+        const firstHeading = body.find('h1, h2, h3, h4, h5, h6').first();
+        if (firstHeading.length > 0 && this.cleanText(firstHeading.text()).toLowerCase() === chapter.title.toLowerCase()) {
+            firstHeading.remove();
+        }
+
+        // Nest the remaining headings below the chapter heading
+        const offset = context.splitChapters ? 1 : 2;
+        body.find('h1, h2, h3, h4, h5, h6').each((i, el) => {
+            const level = Math.min(6, parseInt(el.tagName.substring(1), 10) + offset);
+            el.tagName = `h${level}`;
+        });
+
+        // SVG cover pages reference the image through <image xlink:href>
+        body.find('svg').each((i, el) => {
+            const image = $(el).find('image').first();
+            const href = image.attr('xlink:href') || image.attr('href');
+            $(el).replaceWith(href ? $('<img>').attr('src', href).attr('alt', '') : '');
+        });
+
+        for (const el of body.find('img').toArray()) {
+            const src = $(el).attr('src');
+            if (!src || /^(https?:|data:)/i.test(src)) continue;
+
+            const imagePath = await this.collectImage(zip, this.resolveZipPath(chapterDir, src), context);
+            if (imagePath) {
+                $(el).attr('src', imagePath);
+            } else {
+                $(el).remove();
+            }
+        }
+
+        body.find('a[href]').each((i, el) => {
+            const href = $(el).attr('href');
+            if (/^[a-z][a-z0-9+.-]*:/i.test(href)) return;
+
+            const target = context.chaptersByPath.get(this.resolveZipPath(chapterDir, href).split('#')[0]);
+            if (!target) {
+                $(el).replaceWith($(el).contents());
+            } else if (context.splitChapters) {
+                // Note names are only known once empty chapters are dropped
+                $(el).attr('href', `${CHAPTER_LINK_PREFIX}${target.index}`);
+            } else {
+                $(el).attr('href', `#${encodeURIComponent(target.title)}`);
+            }
+        });
+
+        return context.turndownService.turndown(body.html() || '');
+    }
+
+    /**
+     * Point chapter link placeholders at the chapter notes. Links to chapters that
+     * produced no note keep only their text
+     * @param {string} markdown - Converted chapter markdown
+     * @param {Array<Object>} chapters - All chapters, indexed by position in the spine
+     * @returns {string} Markdown with resolved chapter links
+     */
+    resolveChapterLinks(markdown, chapters) {
+        const pattern = new RegExp(`\\[((?:\\\\.|[^\\]\\\\])*)\\]\\(${CHAPTER_LINK_PREFIX}(\\d+)\\)`, 'g');
+        return markdown.replace(pattern, (match, text, index) => {
+            const target = chapters[Number(index)];
+            return target && target.noteName
+                ? `[${text}](${this.encodeLinkPath(path.posix.basename(target.noteName))})`
+                : text;
+        });
+    }
+
+    /**
+     * Register an embedded image for saving and return its output path
+     * @param {JSZip} zip - Opened EPUB archive
+     * @param {string} zipPath - Archive path of the image
+     * @param {Object} context - Shared conversion state
+     * @returns {Promise<string|null>} Relative output path, or null if the image is missing
+     */
+    async collectImage(zip, zipPath, context) {
+        const { imageState, imagePrefix } = context;
+        if (imageState.byZipPath.has(zipPath)) {
+            return imageState.byZipPath.get(zipPath);
+        }
+
+        const entry = zip.file(zipPath);
+        if (!entry) {
+            console.warn(`[EpubConverter] Image missing from archive: ${zipPath}`);
+            return null;
+        }
+
+        const ext = path.posix.extname(zipPath).toLowerCase() || '.png';
+        const stem = slugify(path.posix.basename(zipPath, ext)) || 'image';
+        let outputPath = `attachments/${imagePrefix}-${stem}${ext}`;
+        const taken = new Set(imageState.images.map(image => image.path));
+        for (let n = 2; taken.has(outputPath); n++) {
+            outputPath = `attachments/${imagePrefix}-${stem}-${n}${ext}`;
+        }
+
+        imageState.images.push({
+            path: outputPath,
+            data: await entry.async('nodebuffer')
+        });
+        imageState.byZipPath.set(zipPath, outputPath);
+        return outputPath;
+    }
+
+    /**
+     * Read a text entry from the archive
+     * @param {JSZip} zip - Opened EPUB archive
+     * @param {string} zipPath - Archive path
+     * @returns {Promise<string|null>} Entry text, or null if missing
+     */
+    async readZipText(zip, zipPath) {
+        const entry = zip.file(zipPath);
+        return entry ? entry.async('string') : null;
+    }
+
+    /**
+     * Resolve an href relative to a directory inside the archive
+     * @param {string} baseDir - Directory of the referencing document
+     * @param {string} href - URL-encoded href, optionally with fragment
+     * @returns {string} Normalized archive path (fragment preserved)
+     */
+    resolveZipPath(baseDir, href) {
+        const [target, fragment] = href.split('#');
+        let decoded = target;
+        try {
+            decoded = decodeURIComponent(target);
+        } catch (error) {
+            // Keep the raw href when it is not valid URI encoding
+        }
+        const resolved = decoded ? path.posix.normalize(path.posix.join(baseDir, decoded)).replace(/^(\.\/)+/, '') : '';
+        return fragment !== undefined ? `${resolved}#${fragment}` : resolved;
+    }
+
+    /**
+     * Strip an XML namespace prefix from a tag name
+     * @param {string} tagName - Tag name such as dc:title
+     * @returns {string} Local name
+     */
+    localName(tagName) {
+        return (tagName || '').split(':').pop().toLowerCase();
+    }
+
+    /**
+     * Collapse whitespace in extracted text
+     * @param {string} text - Raw text
+     * @returns {string} Cleaned text
+     */
+    cleanText(text) {
+        return (text || '').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Encode a relative note path for use in a markdown link
+     * @param {string} notePath - Relative note path
+     * @returns {string} Encoded path
+     */
+    encodeLinkPath(notePath) {
+        return notePath.split('/').map(encodeURIComponent).join('/');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'EPUB Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts EPUB e-books to markdown',
+            options: {
+                splitChapters: 'Write one note per chapter plus an index note (default: false)',
+                isPreview: 'Whether to generate a preview (default: false)'
+            }
+        };
+    }
+}
+
+module.exports = EpubConverter;
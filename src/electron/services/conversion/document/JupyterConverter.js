@@ -0,0 +1,465 @@
+/**
+ * JupyterConverter.js
+ * Handles conversion of Jupyter notebooks (.ipynb) to markdown format in the Electron main process.
+ *
+ * This converter:
+ * - Passes markdown cells through, saving any pasted cell attachments
+ * - Renders code cells as fenced blocks tagged with the kernel language
+ * - Converts text, markdown, HTML and error outputs, truncating long outputs
+ *   after a configurable number of lines
+ * - Writes PNG, JPEG and SVG outputs out as attachments
+ * - Carries kernel and language information into frontmatter
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - ConverterRegistry.js: Registers the notebook adapter
+ * - ConversionResultManager.js: Saves the attachments returned here
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const { formatMetadata, createStandardMetadata, stripStandardFields } = require('../../../converters/utils/metadata');
+const { slugify } = require('../../../converters/utils/fileNames');
+
+// Output lines kept before the rest is truncated
+const DEFAULT_MAX_OUTPUT_LINES = 50;
+// Preferred representation of rich outputs, first match wins
+const OUTPUT_MIME_ORDER = ['image/png', 'image/jpeg', 'image/svg+xml', 'text/markdown', 'text/html', 'text/latex', 'text/plain'];
+const IMAGE_EXTENSIONS = {
+    'image/png': 'png',
+    'image/jpeg': 'jpg',
+    'image/gif': 'gif',
+    'image/svg+xml': 'svg'
+};
+// Terminal colour codes in tracebacks and progress output
+const ANSI_ESCAPE = new RegExp(`${String.fromCharCode(27)}\\[[0-9;]*[A-Za-z]`, 'g');
+
+class JupyterConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.supportedExtensions = ['.ipynb'];
+    }
+
+    /**
+     * Set up IPC handlers for notebook conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:ipynb', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle notebook conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'notebook.ipynb')
+            });
+
+            return { content: result.content, images: result.images };
+        } catch (error) {
+            console.error('[JupyterConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert a notebook to markdown
+     * @param {Buffer|string} content - Notebook JSON
+     * @param {Object} options - Conversion options
+     * @param {number} [options.maxOutputLines=50] - Lines kept per output; 0 keeps everything
+     * @param {boolean} [options.includeOutputs=true] - Render cell outputs
+     * @returns {Promise<Object>} Markdown content, attachments and notebook metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'notebook.ipynb';
+            const baseName = path.basename(fileName, path.extname(fileName));
+            const notebook = this.parseNotebook(content);
+
+            const info = this.readNotebookInfo(notebook);
+            const cells = this.getCells(notebook);
+            console.log(`[JupyterConverter] Converting ${fileName}: ${cells.length} cells, language ${info.language}`);
+
+            const context = {
+                language: info.language,
+                maxOutputLines: options.maxOutputLines === undefined ? DEFAULT_MAX_OUTPUT_LINES : Number(options.maxOutputLines),
+                includeOutputs: options.includeOutputs !== false,
+                attachmentPrefix: slugify(baseName) || 'notebook',
+                images: []
+            };
+
+            const blocks = [];
+            cells.forEach((cell, index) => {
+                blocks.push(...this.renderCell(cell, index, context));
+            });
+
+            const title = options.title || info.title || baseName;
+            const metadata = {
+                ...createStandardMetadata({ title, fileType: 'ipynb' }),
+                kernel: info.kernel,
+                language: info.language,
+                language_version: info.languageVersion
+            };
+
+            return {
+                content: formatMetadata(metadata) + blocks.filter(Boolean).join('\n\n') + '\n',
+                images: context.images,
+                metadata: this.stripStandardFields(metadata)
+            };
+        } catch (error) {
+            console.error('[JupyterConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse notebook JSON from a buffer or string
+     * @param {Buffer|string} content - Notebook JSON
+     * @returns {Object} Notebook
+     */
+    parseNotebook(content) {
+        const text = Buffer.isBuffer(content) ? new TextDecoder('utf-8').decode(content) : String(content);
+        let notebook;
+        try {
+            notebook = JSON.parse(text.replace(/^\uFEFF/, ''));
+        } catch (error) {
+            throw new Error(`Invalid notebook JSON: ${error.message}`);
+        }
+
+        if (!notebook || typeof notebook !== 'object' || (!Array.isArray(notebook.cells) && !Array.isArray(notebook.worksheets))) {
+            throw new Error('Not a Jupyter notebook: no cells found');
+        }
+        return notebook;
+    }
+
+    /**
+     * Read kernel and language information from notebook metadata
+     * @param {Object} notebook - Notebook
+     * @returns {{title: string, kernel: string, language: string, languageVersion: string}} Notebook info
+     */
+    readNotebookInfo(notebook) {
+        const metadata = notebook.metadata || {};
+        const kernelspec = metadata.kernelspec || {};
+        const languageInfo = metadata.language_info || {};
+
+        return {
+            title: typeof metadata.title === 'string' ? metadata.title.trim() : '',
+            kernel: kernelspec.display_name || kernelspec.name || '',
+            language: String(languageInfo.name || kernelspec.language || metadata.language || 'python').toLowerCase(),
+            languageVersion: languageInfo.version ? String(languageInfo.version) : ''
+        };
+    }
+
+    /**
+     * Get the notebook's cells; nbformat 3 keeps them in worksheets
+     * @param {Object} notebook - Notebook
+     * @returns {Object[]} Cells
+     */
+    getCells(notebook) {
+        if (Array.isArray(notebook.cells)) {
+            return notebook.cells;
+        }
+        return notebook.worksheets.reduce((cells, worksheet) => cells.concat(worksheet.cells || []), []);
+    }
+
+    /**
+     * Render a cell and its outputs
+     * @param {Object} cell - Notebook cell
+     * @param {number} index - Cell position
+     * @param {Object} context - Conversion context
+     * @returns {string[]} Markdown blocks
+     */
+    renderCell(cell, index, context) {
+        const source = this.joinText(cell.source !== undefined ? cell.source : cell.input).replace(/\s+$/, '');
+
+        switch (cell.cell_type) {
+            case 'markdown':
+                return [this.saveCellAttachments(source, cell.attachments, index, context)];
+            case 'heading': {
+                // nbformat 3 heading cells
+                const level = Math.min(Math.max(parseInt(cell.level, 10) || 1, 1), 6);
+                return source ? [`${'#'.repeat(level)} ${source}`] : [];
+            }
+            case 'raw':
+                return source ? [this.fence(source, '')] : [];
+            case 'code': {
+                const blocks = source ? [this.fence(source, cell.language || context.language)] : [];
+                if (context.includeOutputs) {
+                    blocks.push(...this.renderOutputs(cell.outputs || [], index, context));
+                }
+                return blocks;
+            }
+            default:
+                return source ? [source] : [];
+        }
+    }
+
+    /**
+     * Render a code cell's outputs, merging consecutive stream chunks
+     * @param {Object[]} outputs - Cell outputs
+     * @param {number} cellIndex - Cell position
+     * @param {Object} context - Conversion context
+     * @returns {string[]} Markdown blocks
+     */
+    renderOutputs(outputs, cellIndex, context) {
+        const blocks = [];
+        let stream = null;
+
+        const flushStream = () => {
+            if (stream && stream.text.trim()) {
+                blocks.push(this.renderText(stream.text, context));
+            }
+            stream = null;
+        };
+
+        outputs.forEach((output, outputIndex) => {
+            const type = output.output_type;
+            if (type === 'stream') {
+                const name = output.name || output.stream || 'stdout';
+                if (stream && stream.name !== name) flushStream();
+                stream = stream || { name, text: '' };
+                stream.text += this.joinText(output.text);
+                return;
+            }
+
+            flushStream();
+            if (type === 'error' || type === 'pyerr') {
+                const traceback = (output.traceback || []).join('\n') || `${output.ename}: ${output.evalue}`;
+                blocks.push(this.renderText(traceback, context));
+            } else if (type === 'execute_result' || type === 'display_data' || type === 'pyout') {
+                blocks.push(this.renderRichOutput(output, `${cellIndex + 1}-${outputIndex + 1}`, context));
+            }
+        });
+        flushStream();
+
+        return blocks.filter(Boolean);
+    }
+
+    /**
+     * Render a display or execute result using its richest supported representation
+     * @param {Object} output - Notebook output
+     * @param {string} id - Identifier used in attachment names
+     * @param {Object} context - Conversion context
+     * @returns {string} Markdown
+     */
+    renderRichOutput(output, id, context) {
+        const data = output.data || this.readLegacyOutputData(output);
+        const mimeType = OUTPUT_MIME_ORDER.find(type => data[type] !== undefined);
+        if (!mimeType) return '';
+
+        const value = data[mimeType];
+        if (IMAGE_EXTENSIONS[mimeType]) {
+            const imagePath = `attachments/${context.attachmentPrefix}-output-${id}.${IMAGE_EXTENSIONS[mimeType]}`;
+            const buffer = mimeType === 'image/svg+xml'
+                ? Buffer.from(this.joinText(value), 'utf8')
+                : Buffer.from(this.joinText(value).replace(/\s+/g, ''), 'base64');
+            context.images.push({ path: imagePath, data: buffer });
+            return `![Output ${id}](${imagePath})`;
+        }
+
+        const text = this.joinText(value).replace(/\s+$/, '');
+        if (!text.trim()) return '';
+
+        switch (mimeType) {
+            case 'text/markdown':
+                return this.truncate(text, context, '_', '_');
+            case 'text/html':
+                return this.truncate(this.convertHtml(text), context, '_', '_');
+            case 'text/latex':
+                return text.trim().startsWith('$') ? text.trim() : `$$\n${text.trim()}\n$$`;
+            default:
+                return this.renderText(text, context);
+        }
+    }
+
+    /**
+     * Map nbformat 3 output keys (png, text, html...) to MIME types
+     * @param {Object} output - nbformat 3 output
+     * @returns {Object} Output data keyed by MIME type
+     */
+    readLegacyOutputData(output) {
+        const keys = { png: 'image/png', jpeg: 'image/jpeg', svg: 'image/svg+xml', html: 'text/html', latex: 'text/latex', text: 'text/plain' };
+        return Object.entries(keys).reduce((data, [key, mimeType]) => {
+            if (output[key] !== undefined) data[mimeType] = output[key];
+            return data;
+        }, {});
+    }
+
+    /**
+     * Render plain text output as a fenced block
+     * @param {string} text - Output text
+     * @param {Object} context - Conversion context
+     * @returns {string} Markdown
+     */
+    renderText(text, context) {
+        const cleaned = text.replace(ANSI_ESCAPE, '').replace(/\r\n?/g, '\n').replace(/\s+$/, '');
+        return this.fence(this.truncate(cleaned, context, '', ''), 'text');
+    }
+
+    /**
+     * Keep the first lines of an output and note how many were dropped
+     * @param {string} text - Output text
+     * @param {Object} context - Conversion context with maxOutputLines
+     * @param {string} open - Markup before the truncation note
+     * @param {string} close - Markup after the truncation note
+     * @returns {string} Possibly truncated text
+     */
+    truncate(text, context, open, close) {
+        const lines = text.split('\n');
+        if (!context.maxOutputLines || lines.length <= context.maxOutputLines) {
+            return text;
+        }
+        const omitted = lines.length - context.maxOutputLines;
+        const note = `${open}… ${omitted} more line${omitted === 1 ? '' : 's'} truncated${close}`;
+        return `${lines.slice(0, context.maxOutputLines).join('\n')}\n${open ? '\n' : ''}${note}`;
+    }
+
+    /**
+     * Convert HTML output (e.g. DataFrame tables) to markdown
+     * @param {string} html - Output HTML
+     * @returns {string} Markdown
+     */
+    convertHtml(html) {
+        const TurndownService = require('turndown');
+        const turndownService = new TurndownService({
+            headingStyle: 'atx',
+            codeBlockStyle: 'fenced',
+            emDelimiter: '*',
+            bulletListMarker: '-'
+        });
+        turndownService.remove(['style', 'script']);
+
+        turndownService.addRule('tables', {
+            filter: 'table',
+            replacement: function(content, node) {
+                // Headers are the first row
+                const rows = Array.from(node.rows);
+                if (rows.length === 0) return '';
+
+                const cellText = cell => cell.textContent.trim().replace(/\s+/g, ' ').replace(/\|/g, '\\|');
+                const width = Math.max(...rows.map(row => row.cells.length));
+                const formatRow = row => {
+                    const cells = Array.from(row.cells).map(cellText);
+                    while (cells.length < width) cells.push('');
+                    return '| ' + cells.join(' | ') + ' |';
+                };
+
+                let markdown = '\n\n';
+                markdown += formatRow(rows[0]) + '\n';
+                markdown += '| ' + Array.from({ length: width }, () => '---').join(' | ') + ' |\n';
+                rows.slice(1).forEach(row => {
+                    markdown += formatRow(row) + '\n';
+                });
+                return markdown + '\n';
+            }
+        });
+
+        return turndownService.turndown(html).trim();
+    }
+
+    /**
+     * Save images pasted into a markdown cell and point their references at the saved files
+     * @param {string} source - Markdown cell source
+     * @param {Object} attachments - Cell attachments keyed by file name
+     * @param {number} cellIndex - Cell position
+     * @param {Object} context - Conversion context
+     * @returns {string} Markdown with attachment references rewritten
+     */
+    saveCellAttachments(source, attachments, cellIndex, context) {
+        if (!attachments) return source;
+
+        let markdown = source;
+        Object.entries(attachments).forEach(([name, bundle]) => {
+            const mimeType = Object.keys(bundle || {}).find(type => IMAGE_EXTENSIONS[type]);
+            if (!mimeType) return;
+
+            const stem = slugify(path.basename(name, path.extname(name))) || 'image';
+            const imagePath = `attachments/${context.attachmentPrefix}-cell-${cellIndex + 1}-${stem}.${IMAGE_EXTENSIONS[mimeType]}`;
+            const data = this.joinText(bundle[mimeType]);
+            context.images.push({
+                path: imagePath,
+                data: mimeType === 'image/svg+xml' ? Buffer.from(data, 'utf8') : Buffer.from(data.replace(/\s+/g, ''), 'base64')
+            });
+            markdown = markdown.split(`(attachment:${name})`).join(`(${imagePath})`);
+        });
+        return markdown;
+    }
+
+    /**
+     * Wrap text in a code fence longer than any backtick run it contains
+     * @param {string} text - Code or output
+     * @param {string} language - Info string
+     * @returns {string} Fenced block
+     */
+    fence(text, language) {
+        const longestRun = Math.max(2, ...(text.match(/`+/g) || []).map(run => run.length));
+        const marker = '`'.repeat(longestRun + 1);
+        return `${marker}${language}\n${text}\n${marker}`;
+    }
+
+    /**
+     * Join multiline notebook strings, which may be stored as arrays of lines
+     * @param {string|string[]} value - Notebook text
+     * @returns {string} Text
+     */
+    joinText(value) {
+        if (Array.isArray(value)) return value.join('');
+        return value === undefined || value === null ? '' : String(value);
+    }
+
+    /**
+     * Remove the fields the result manager adds itself
+     * @param {Object} metadata - Frontmatter fields
+     * @returns {Object} Fields to pass as result metadata
+     */
+    stripStandardFields(metadata) {
+        return Object.fromEntries(Object.entries(stripStandardFields(metadata)).filter(([, value]) => value !== null && value !== undefined && value !== ''));
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Jupyter Notebook Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts Jupyter notebooks to markdown with code, outputs and attachments',
+            options: {
+                maxOutputLines: `Lines kept per cell output before truncating (default: ${DEFAULT_MAX_OUTPUT_LINES}, 0 keeps all)`,
+                includeOutputs: 'Render cell outputs (default: true)',
+                title: 'Optional document title'
+            }
+        };
+    }
+}
+
+module.exports = JupyterConverter;
@@ -0,0 +1,164 @@
+/**
+ * MarkdownConverter.js
+ * Handles import of existing markdown files in the Electron main process.
+ *
+ * This converter:
+ * - Decodes the file with encoding detection (UTF-8, UTF-16, Latin-1)
+ * - Passes the markdown body through unchanged apart from line endings
+ * - Merges any existing frontmatter into the standard frontmatter
+ * - Quotes the values of frontmatter that is not valid YAML, so the note stays readable
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - utils/markdown/index.js: Frontmatter extraction and merging
+ * - ConverterRegistry.js: Registers the MD adapter
+ */
+
+const path = require('path');
+const YAML = require('yaml');
+const BaseService = require('../../BaseService');
+const { decodeText } = require('../../../utils/files/encoding');
+const { extractFrontmatter, mergeMetadata, formatMetadata } = require('../../../utils/markdown');
+
+class MarkdownConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.supportedExtensions = ['.md', '.markdown'];
+    }
+
+    /**
+     * Set up IPC handlers for markdown import
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:md', this.handleConvert.bind(this));
+        this.registerHandler('convert:md:preview', this.handlePreview.bind(this));
+    }
+
+    /**
+     * Handle markdown conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, options = {} }) {
+        try {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            const result = await this.convertToMarkdown(fileResult.content, {
+                ...options,
+                fileName: options.originalFileName || path.basename(filePath)
+            });
+
+            return { content: result };
+        } catch (error) {
+            console.error('[MarkdownConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Handle markdown preview request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Preview request details
+     */
+    async handlePreview(event, params) {
+        return this.handleConvert(event, params);
+    }
+
+    /**
+     * Convert markdown content, merging existing frontmatter with the standard fields
+     * @param {Buffer|string} content - Raw markdown content
+     * @param {Object} options - Conversion options
+     * @returns {Promise<string>} Markdown content with merged frontmatter
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'document.md';
+            const { text, encoding } = decodeText(content, options.encoding);
+            console.log(`[MarkdownConverter] Decoded ${fileName} as ${encoding}`);
+
+            // extractFrontmatter only recognises LF line endings
+            const normalized = text.replace(/\r\n?/g, '\n');
+            const { metadata: existingMetadata, content: body } = extractFrontmatter(normalized);
+
+            const frontmatter = normalized.match(/^---\n([\s\S]*?)\n---\n/);
+            if (frontmatter && !this.isValidYaml(frontmatter[1])) {
+                console.warn(`[MarkdownConverter] Frontmatter of ${fileName} is not valid YAML, quoting its values`);
+                this.quoteValues(existingMetadata);
+            }
+
+            const { createStandardMetadata } = require('../../../converters/utils/metadata');
+            const standardMetadata = createStandardMetadata({
+                title: path.basename(fileName, path.extname(fileName)),
+                fileType: 'md'
+            });
+
+            // The author's own fields (including title) win, our bookkeeping fields always apply
+            const merged = mergeMetadata(standardMetadata, existingMetadata, {
+                fileType: standardMetadata.fileType,
+                converted: standardMetadata.converted
+            });
+
+            return formatMetadata(merged) + body;
+        } catch (error) {
+            console.error('[MarkdownConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a frontmatter block parses as YAML
+     * @param {string} frontmatter - Frontmatter text between the fences
+     * @returns {boolean} True if valid
+     */
+    isValidYaml(frontmatter) {
+        try {
+            YAML.parse(frontmatter);
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Quote string values as YAML double-quoted scalars, in place. List items written as
+     * "key: value" are mappings rather than strings, so they are kept as they are
+     * @param {Object} metadata - Metadata from extractFrontmatter
+     */
+    quoteValues(metadata) {
+        for (const [key, value] of Object.entries(metadata)) {
+            metadata[key] = Array.isArray(value)
+                ? value.map(item => (/^[^\s:"'[{][^:]*:\s/.test(item) ? item : JSON.stringify(item)))
+                : JSON.stringify(value);
+        }
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Markdown Converter',
+            extensions: this.supportedExtensions,
+            description: 'Imports markdown files, merging their frontmatter',
+            options: {
+                encoding: 'Force a text encoding (default: detected)'
+            }
+        };
+    }
+}
+
+module.exports = MarkdownConverter;
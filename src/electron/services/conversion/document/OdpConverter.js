@@ -0,0 +1,192 @@
+/**
+ * OdpConverter.js
+ * Handles conversion of OpenDocument Presentation (.odp) files to markdown format in the Electron main process.
+ *
+ * This converter:
+ * - Opens the ODP package and reads each draw:page as a slide
+ * - Titles slides from their title placeholder and renders the remaining text boxes,
+ *   lists, tables and pictures
+ * - Adds speaker notes below each slide in the same layout as PptxConverter
+ * - Returns embedded pictures so ConversionResultManager can save them
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - PptxConverter.js: Defines the slide layout mirrored here
+ * - opendocument/OdfPackage.js: Package, style and image handling
+ * - opendocument/OdfMarkdownRenderer.js: Content rendering
+ * - ConverterRegistry.js: Registers the ODP adapter
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const OdfPackage = require('./opendocument/OdfPackage');
+const OdfMarkdownRenderer = require('./opendocument/OdfMarkdownRenderer');
+const { createStandardFrontmatter } = require('../../../converters/utils/metadata');
+
+class OdpConverter extends BaseService {
+    constructor(fileProcessor, fileStorage) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.fileStorage = fileStorage;
+        this.supportedExtensions = ['.odp'];
+    }
+
+    /**
+     * Set up IPC handlers for ODP conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:odp', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle ODP conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'presentation.odp')
+            });
+
+            return { content: result.content, images: result.images };
+        } catch (error) {
+            console.error('[OdpConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert ODP content to markdown
+     * @param {Buffer} content - ODP content as buffer
+     * @param {Object} options - Conversion options
+     * @returns {Promise<Object>} Markdown content, images and presentation metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'presentation.odp';
+            const baseName = path.basename(fileName, path.extname(fileName));
+
+            const pkg = await OdfPackage.open(content, { imagePrefix: baseName });
+            const body = pkg.getBody('office:presentation');
+            if (!body) {
+                throw new Error('Presentation has no slides body');
+            }
+
+            const renderer = new OdfMarkdownRenderer(pkg);
+            const pages = pkg.childElements(body).filter(el => el.name === 'draw:page');
+            let markdownContent = '';
+
+            pages.forEach((page, index) => {
+                const slide = this.readSlide(page, pkg, renderer);
+                markdownContent += `## Slide ${index + 1}: ${slide.title || 'Untitled Slide'}\n\n`;
+
+                if (slide.content) {
+                    markdownContent += `${slide.content}\n\n`;
+                }
+
+                if (slide.notes) {
+                    const notes = slide.notes.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+                    markdownContent += `> **Notes:** ${notes.slice(2)}\n\n`;
+                }
+
+                markdownContent += `---\n\n`;
+            });
+
+            const footnotes = renderer.renderFootnotes();
+            if (footnotes) {
+                markdownContent += `${footnotes}\n`;
+            }
+
+            const properties = pkg.readMetadata();
+            const title = options.title || properties.title || baseName;
+            const images = await pkg.loadImages();
+            console.log(`[OdpConverter] Converted ${fileName}: ${pages.length} slides, ${images.length} images`);
+
+            const frontmatter = createStandardFrontmatter({
+                title,
+                fileType: 'odp'
+            });
+
+            return {
+                content: frontmatter + markdownContent,
+                images,
+                metadata: { title }
+            };
+        } catch (error) {
+            console.error('[OdpConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Split a slide into its title, body content and speaker notes
+     * @param {Object} page - draw:page element
+     * @param {OdfPackage} pkg - Opened package
+     * @param {OdfMarkdownRenderer} renderer - Renderer shared across slides
+     * @returns {{title: string, content: string, notes: string}} Slide parts
+     */
+    readSlide(page, pkg, renderer) {
+        let title = '';
+        let notes = '';
+        const bodyNodes = [];
+
+        pkg.childElements(page).forEach(child => {
+            if (child.name === 'presentation:notes') {
+                const notesFrames = pkg.childElements(child).filter(frame => frame.attribs['presentation:class'] === 'notes');
+                notes = renderer.renderBlocks(notesFrames).join('\n\n');
+            } else if (!title && child.name === 'draw:frame' && child.attribs['presentation:class'] === 'title') {
+                title = renderer.renderBlocks([child]).join(' ').replace(/^#+\s*/, '').replace(/\s*\n\s*/g, ' ').trim();
+            } else if (child.name !== 'office:forms') {
+                bodyNodes.push(child);
+            }
+        });
+
+        return {
+            title,
+            content: renderer.renderBlocks(bodyNodes).join('\n\n'),
+            notes
+        };
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'ODP Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts OpenDocument Presentation files to markdown',
+            options: {
+                title: 'Optional document title'
+            }
+        };
+    }
+}
+
+module.exports = OdpConverter;
@@ -0,0 +1,136 @@
+/**
+ * OdtConverter.js
+ * Handles conversion of OpenDocument Text (.odt) files to markdown format in the Electron main process.
+ *
+ * This converter:
+ * - Opens the ODT package and renders content.xml directly to markdown
+ * - Keeps headings, nested bullet/numbered lists, tables, links and footnotes
+ * - Returns embedded pictures so ConversionResultManager can save them
+ * - Uses the document title from meta.xml when one is set
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - opendocument/OdfPackage.js: Package, style and image handling
+ * - opendocument/OdfMarkdownRenderer.js: Content rendering
+ * - ConverterRegistry.js: Registers the ODT adapter
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const OdfPackage = require('./opendocument/OdfPackage');
+const OdfMarkdownRenderer = require('./opendocument/OdfMarkdownRenderer');
+const { createStandardFrontmatter } = require('../../../converters/utils/metadata');
+
+class OdtConverter extends BaseService {
+    constructor(fileProcessor, fileStorage) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.fileStorage = fileStorage;
+        this.supportedExtensions = ['.odt'];
+    }
+
+    /**
+     * Set up IPC handlers for ODT conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:odt', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle ODT conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'document.odt')
+            });
+
+            return { content: result.content, images: result.images };
+        } catch (error) {
+            console.error('[OdtConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert ODT content to markdown
+     * @param {Buffer} content - ODT content as buffer
+     * @param {Object} options - Conversion options
+     * @returns {Promise<Object>} Markdown content, images and document metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'document.odt';
+            const baseName = path.basename(fileName, path.extname(fileName));
+
+            const pkg = await OdfPackage.open(content, { imagePrefix: baseName });
+            const body = pkg.getBody('office:text');
+            if (!body) {
+                throw new Error('Document has no text body');
+            }
+
+            const properties = pkg.readMetadata();
+            const title = options.title || properties.title || baseName;
+            const markdown = new OdfMarkdownRenderer(pkg).render(body.children);
+            const images = await pkg.loadImages();
+            console.log(`[OdtConverter] Converted ${fileName}: ${markdown.length} characters, ${images.length} images`);
+
+            const frontmatter = createStandardFrontmatter({
+                title,
+                fileType: 'odt'
+            });
+
+            return {
+                content: frontmatter + markdown + '\n',
+                images,
+                metadata: { title }
+            };
+        } catch (error) {
+            console.error('[OdtConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'ODT Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts OpenDocument Text files to markdown',
+            options: {
+                title: 'Optional document title'
+            }
+        };
+    }
+}
+
+module.exports = OdtConverter;
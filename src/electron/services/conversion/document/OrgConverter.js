@@ -0,0 +1,639 @@
+/**
+ * OrgConverter.js
+ * Handles conversion of Org-mode documents to markdown in the Electron main process.
+ *
+ * This converter:
+ * - Parses Org syntax in-process (no Emacs or other external binaries)
+ * - Maps outline headings to markdown headings, keeping TODO keywords and priorities
+ *   and turning heading tags into Obsidian tags
+ * - Converts plain, ordered, checkbox and description lists, tables and footnotes
+ * - Maps SRC/EXAMPLE/QUOTE blocks to fences and quotes, and NOTE/WARNING/TIP blocks to callouts
+ * - Resolves [[*Heading]], [[#custom-id]] and file links to Obsidian links
+ * - Carries #+TITLE, #+AUTHOR, #+DATE, #+FILETAGS and similar keywords into frontmatter
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - markup/MarkdownBlocks.js: Fences, callouts, tables and heading links
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Registers the ORG adapter
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const MarkdownBlocks = require('./markup/MarkdownBlocks');
+const { decodeText } = require('../../../utils/files/encoding');
+const { createStandardMetadata, formatMetadata } = require('../../../converters/utils/metadata');
+
+const HEADING = /^(\*+)\s+(.*)$/;
+const KEYWORD = /^#\+(\w+):\s*(.*)$/;
+const BLOCK_START = /^#\+begin_(\w+)\s*(.*)$/i;
+const DRAWER = /^:([\w-]+):\s*$/;
+const LIST_ITEM = /^(\s*)([-+]|\d+[.)]|(?<=\s)\*)(?:\s+(.*))?$/;
+const FOOTNOTE_DEFINITION = /^\[fn:([^\]]+)\]\s*(.*)$/;
+const PLANNING = /^\s*(SCHEDULED|DEADLINE|CLOSED):/;
+
+// #+KEYWORDS carried into frontmatter, and the frontmatter key for each
+const METADATA_KEYWORDS = {
+    title: 'title',
+    subtitle: 'subtitle',
+    author: 'author',
+    email: 'email',
+    date: 'date',
+    description: 'description',
+    language: 'language',
+    category: 'category',
+    keywords: 'keywords',
+    filetags: 'tags'
+};
+const ADMONITIONS = ['note', 'tip', 'hint', 'important', 'warning', 'caution', 'danger', 'attention', 'error'];
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.webp', '.bmp'];
+// Emphasis markers must sit between these characters and the surrounding text
+const PRE = '(^|[\\s\\-({\'"])';
+const POST = '(?=[\\s\\-.,;:!?\')}"\\\\]|$)';
+const EMPHASIS_BODY = '([^\\s](?:.*?[^\\s])?)';
+
+class OrgConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.blocks = new MarkdownBlocks();
+        this.supportedExtensions = ['.org'];
+    }
+
+    /**
+     * Set up IPC handlers for Org-mode conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:org', this.handleConvert.bind(this));
+        this.registerHandler('convert:org:preview', this.handlePreview.bind(this));
+    }
+
+    /**
+     * Handle Org-mode conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, options = {} }) {
+        try {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            const result = await this.convertToMarkdown(fileResult.content, {
+                ...options,
+                fileName: options.originalFileName || path.basename(filePath)
+            });
+
+            return { content: result };
+        } catch (error) {
+            console.error('[OrgConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Handle Org-mode preview request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Preview request details
+     */
+    async handlePreview(event, params) {
+        return this.handleConvert(event, params);
+    }
+
+    /**
+     * Convert Org-mode content to markdown
+     * @param {Buffer|string} content - Org-mode content
+     * @param {Object} options - Conversion options
+     * @param {string} [options.encoding] - Force an encoding instead of detecting it
+     * @returns {Promise<string>} Markdown content
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'document.org';
+            const { text } = decodeText(content, options.encoding);
+            const lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, '        ').split('\n').map(line => line.trimEnd());
+
+            const doc = this.scan(lines);
+            const body = [];
+            if (doc.metadata.title) {
+                body.push(`# ${this.convertInline(doc.metadata.title, doc)}`, '');
+            }
+            body.push(...this.parseBlocks(lines, doc, true));
+            console.log(`[OrgConverter] Converted ${fileName} with ${doc.headings.size} headings`);
+
+            const { title, ...fields } = doc.metadata;
+            const frontmatter = formatMetadata({
+                ...createStandardMetadata({
+                    title: title || path.basename(fileName, path.extname(fileName)),
+                    fileType: 'org'
+                }),
+                ...fields
+            });
+
+            return frontmatter + this.blocks.join(body) + '\n';
+        } catch (error) {
+            console.error('[OrgConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Collect document keywords, TODO keywords and heading link targets
+     * @param {string[]} lines - Document lines
+     * @returns {Object} Document state shared by the block and inline parsers
+     */
+    scan(lines) {
+        const doc = {
+            metadata: {},
+            todoKeywords: ['TODO', 'DONE'],
+            headings: new Map(),
+            customIds: new Map()
+        };
+
+        // TODO keywords change how headings are read, so collect them first
+        lines.forEach(line => {
+            const keyword = line.match(KEYWORD);
+            if (keyword && /^(seq_|typ_)?todo$/i.test(keyword[1])) {
+                doc.todoKeywords.push(...keyword[2].split(/\s+/)
+                    .filter(word => word && word !== '|')
+                    .map(word => word.replace(/\(.*\)$/, '')));
+            }
+        });
+
+        let inBlock = false;
+        let lastHeading = null;
+        lines.forEach(line => {
+            if (BLOCK_START.test(line)) inBlock = true;
+            if (/^#\+end_/i.test(line)) inBlock = false;
+            if (inBlock) return;
+
+            const keyword = line.match(KEYWORD);
+            const heading = line.match(HEADING);
+            if (keyword && METADATA_KEYWORDS[keyword[1].toLowerCase()] && keyword[2].trim()) {
+                this.addMetadata(METADATA_KEYWORDS[keyword[1].toLowerCase()], keyword[2].trim(), doc);
+            } else if (heading) {
+                const parsed = this.parseHeading(heading[2], doc);
+                lastHeading = this.headingText(parsed);
+                doc.headings.set(parsed.title.toLowerCase(), lastHeading);
+            } else if (lastHeading) {
+                const customId = line.match(/^\s*:CUSTOM_ID:\s*(\S+)/i);
+                if (customId) {
+                    doc.customIds.set(customId[1], lastHeading);
+                }
+            }
+        });
+        return doc;
+    }
+
+    /**
+     * Record a document keyword as a frontmatter field
+     * @param {string} key - Frontmatter key
+     * @param {string} value - Keyword value
+     * @param {Object} doc - Document state
+     */
+    addMetadata(key, value, doc) {
+        if (key === 'tags') {
+            doc.metadata.tags = (doc.metadata.tags || []).concat(value.split(/[:\s]+/).filter(Boolean));
+        } else if (key === 'keywords') {
+            doc.metadata.keywords = (doc.metadata.keywords || []).concat(value.split(/\s*,\s*|\s+/).filter(Boolean));
+        } else if (key === 'date') {
+            doc.metadata.date = this.formatTimestamp(value);
+        } else {
+            // Repeated keywords such as #+TITLE continue the value
+            doc.metadata[key] = doc.metadata[key] ? `${doc.metadata[key]} ${value}` : value;
+        }
+    }
+
+    /**
+     * Parse a run of lines into markdown lines
+     * @param {string[]} lines - Lines, dedented to this block's level
+     * @param {Object} doc - Document state
+     * @param {boolean} top - Whether this is the document level, where headings may appear
+     * @returns {string[]} Markdown lines
+     */
+    parseBlocks(lines, doc, top) {
+        const out = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (line.trim() === '') {
+                out.push('');
+                i++;
+                continue;
+            }
+
+            const heading = top ? line.match(HEADING) : null;
+            if (heading) {
+                const parsed = this.parseHeading(heading[2], doc);
+                const level = Math.min(heading[1].length + (doc.metadata.title ? 1 : 0), 6);
+                const text = [parsed.keyword, parsed.priority ? `[#${parsed.priority}]` : '', this.convertInline(parsed.title, doc)]
+                    .filter(Boolean)
+                    .join(' ');
+                out.push('', `${'#'.repeat(level)} ${text}`);
+                if (parsed.tags.length > 0) {
+                    out.push(parsed.tags.map(tag => `#${tag}`).join(' '));
+                }
+                out.push('');
+                i++;
+                // Planning lines and the property drawer belong to the heading
+                if (i < lines.length && PLANNING.test(lines[i])) {
+                    out.push(`*${this.formatPlanning(lines[i])}*`, '');
+                    i++;
+                }
+                continue;
+            }
+
+            const trimmed = line.trim();
+            const block = trimmed.match(BLOCK_START);
+            if (block) {
+                const name = block[1].toLowerCase();
+                const end = lines.findIndex((candidate, index) => index > i && new RegExp(`^\\s*#\\+end_${name}\\s*$`, 'i').test(candidate));
+                if (end !== -1) {
+                    out.push('', ...this.renderBlock(name, block[2].trim(), this.dedent(lines.slice(i + 1, end)), doc), '');
+                    i = end + 1;
+                    continue;
+                }
+            }
+
+            const keyword = trimmed.match(KEYWORD);
+            if (keyword || /^#\+/.test(trimmed) || /^#( |$)/.test(trimmed)) {
+                // Document keywords go to frontmatter; captions are the only ones shown in the body
+                if (keyword && keyword[1].toLowerCase() === 'caption') {
+                    out.push('', `*${this.convertInline(keyword[2], doc)}*`, '');
+                }
+                i++;
+                continue;
+            }
+
+            if (DRAWER.test(trimmed)) {
+                const end = lines.findIndex((candidate, index) => index > i && /^\s*:END:\s*$/i.test(candidate));
+                if (end !== -1) {
+                    i = end + 1;
+                    continue;
+                }
+            }
+
+            if (/^:( |$)/.test(trimmed)) {
+                let end = i;
+                while (end < lines.length && /^:( |$)/.test(lines[end].trim())) end++;
+                out.push('', ...this.blocks.fence('', lines.slice(i, end).map(entry => entry.trim().slice(2))), '');
+                i = end;
+                continue;
+            }
+
+            if (trimmed.startsWith('|')) {
+                let end = i;
+                while (end < lines.length && lines[end].trim().startsWith('|')) end++;
+                out.push('', ...this.blocks.table(this.parseTable(lines.slice(i, end), doc)), '');
+                i = end;
+                continue;
+            }
+
+            if (/^-{5,}$/.test(trimmed)) {
+                out.push('', '---', '');
+                i++;
+                continue;
+            }
+
+            const footnote = line.match(FOOTNOTE_DEFINITION);
+            if (footnote) {
+                let end = i + 1;
+                while (end < lines.length && lines[end].trim() !== '' && !this.startsBlock(lines[end], top)) end++;
+                const text = [footnote[2], ...lines.slice(i + 1, end).map(entry => entry.trim())].join(' ');
+                out.push('', `[^${footnote[1]}]: ${this.convertInline(text, doc)}`, '');
+                i = end;
+                continue;
+            }
+
+            if (LIST_ITEM.test(line)) {
+                const { items, next } = this.takeList(lines, i);
+                out.push('');
+                items.forEach((item, index) => {
+                    out.push(...this.renderListItem(item, index, doc));
+                });
+                out.push('');
+                i = next;
+                continue;
+            }
+
+            let end = i + 1;
+            while (end < lines.length && lines[end].trim() !== '' && !this.startsBlock(lines[end], top)) end++;
+            const text = lines.slice(i, end).map(entry => entry.trim()).join(' ');
+            out.push('', this.convertInline(text, doc), '');
+            i = end;
+        }
+
+        return out;
+    }
+
+    /**
+     * Render a #+BEGIN_ block
+     * @param {string} name - Block name, lower case
+     * @param {string} parameters - Text after the block name
+     * @param {string[]} lines - Block content
+     * @param {Object} doc - Document state
+     * @returns {string[]} Markdown lines
+     */
+    renderBlock(name, parameters, lines, doc) {
+        // Org escapes lines that would read as headings or keywords with a comma
+        const literal = lines.map(line => line.replace(/^(\s*),(\*|#\+)/, '$1$2'));
+
+        switch (name) {
+            case 'src':
+                return this.blocks.fence(parameters.split(/\s+/)[0], literal);
+            case 'example':
+                return this.blocks.fence('', literal);
+            case 'quote':
+                return this.blocks.quote(this.parseBlocks(lines, doc, false));
+            case 'verse':
+                return this.blocks.quote(lines.map(line => this.convertInline(line.trim(), doc)));
+            case 'comment':
+                return [];
+            case 'export':
+                return parameters.toLowerCase() === 'html' || parameters.toLowerCase() === 'markdown' ? literal : [];
+            default:
+                if (ADMONITIONS.includes(name)) {
+                    return this.blocks.callout(name, parameters ? this.convertInline(parameters, doc) : null, this.parseBlocks(lines, doc, false));
+                }
+                // CENTER and custom special blocks
+                return this.parseBlocks(lines, doc, false);
+        }
+    }
+
+    /**
+     * Take list items at the indentation of the first one
+     * @param {string[]} lines - Lines
+     * @param {number} start - First item line
+     * @returns {{items: Array<{bullet: string, text: string, content: string[]}>, next: number}} Items and the next line
+     */
+    takeList(lines, start) {
+        const indent = this.indentOf(lines[start]);
+        const ordered = /^\d/.test(lines[start].match(LIST_ITEM)[2]);
+        const items = [];
+        let i = start;
+
+        while (i < lines.length) {
+            const match = lines[i].match(LIST_ITEM);
+            // A change between bullets and numbers starts a new list
+            if (!match || match[1].length !== indent || /^\d/.test(match[2]) !== ordered) {
+                break;
+            }
+            const content = [];
+            let j = i + 1;
+            while (j < lines.length) {
+                if (lines[j] === '') {
+                    // Two blank lines end the list
+                    if (lines[j + 1] === '' || j + 1 >= lines.length || this.indentOf(lines[j + 1]) <= indent) break;
+                    content.push('');
+                } else if (this.indentOf(lines[j]) > indent) {
+                    content.push(lines[j]);
+                } else {
+                    break;
+                }
+                j++;
+            }
+            items.push({ bullet: match[2], text: match[3] || '', content: this.dedent(content) });
+
+            i = j;
+            if (lines[i] === '' && i + 1 < lines.length && lines[i + 1] !== '') {
+                const next = lines[i + 1].match(LIST_ITEM);
+                if (next && next[1].length === indent && /^\d/.test(next[2]) === ordered) i++;
+            }
+        }
+        return { items, next: i };
+    }
+
+    /**
+     * Render a list item with its checkbox, description and nested content
+     * @param {Object} item - List item
+     * @param {number} index - Position in the list
+     * @param {Object} doc - Document state
+     * @returns {string[]} Markdown lines
+     */
+    renderListItem(item, index, doc) {
+        let text = item.text.replace(/^\[@\d+\]\s*/, '');
+        let marker = /^\d/.test(item.bullet) ? `${index + 1}.` : '-';
+
+        const checkbox = text.match(/^\[([ xX-])\]\s*/);
+        if (checkbox) {
+            marker += checkbox[1].toLowerCase() === 'x' ? ' [x]' : ' [ ]';
+            text = text.slice(checkbox[0].length);
+        }
+        let term = null;
+        const description = text.match(/^(.*?\S)\s+::(?:\s+(.*))?$/);
+        if (description && !/^\d/.test(item.bullet)) {
+            term = this.convertInline(description[1], doc);
+            text = description[2] || '';
+        }
+
+        const content = this.blocks.trimBlankLines(this.parseBlocks([text, ...item.content], doc, false));
+        if (term !== null) {
+            content[0] = content[0] ? `**${term}**: ${content[0]}` : `**${term}**`;
+        }
+        return this.blocks.listItem(marker, content);
+    }
+
+    /**
+     * Parse table rows into rows of inline markdown, skipping rules and alignment cookies
+     * @param {string[]} lines - Table lines
+     * @param {Object} doc - Document state
+     * @returns {string[][]} Cells by row
+     */
+    parseTable(lines, doc) {
+        return lines
+            .map(line => line.trim())
+            .filter(line => !/^\|-/.test(line))
+            .map(line => line.replace(/^\||\|$/g, '').split('|').map(cell => cell.trim()))
+            .filter(cells => !cells.every(cell => /^(<[lrc]?\d*>)?$/.test(cell)))
+            .map(cells => cells.map(cell => this.convertInline(cell, doc)));
+    }
+
+    /**
+     * Convert inline markup: links, emphasis, code and footnote references
+     * @param {string} text - Inline text
+     * @param {Object} doc - Document state
+     * @returns {string} Inline markdown
+     */
+    convertInline(text, doc) {
+        // Finished markdown is parked in placeholders so later patterns cannot touch it
+        const kept = [];
+        const keep = value => `\uE000${kept.push(value) - 1}\uE001`;
+
+        const result = text
+            .replace(/\[\[([^\]]+)\](?:\[([^\]]*)\])?\]/g, (match, target, label) => keep(this.renderLink(target, label, doc)))
+            .replace(new RegExp(`${PRE}([=~])${EMPHASIS_BODY}\\2${POST}`, 'g'), (match, pre, marker, code) => `${pre}${keep(`\`${code}\``)}`)
+            .replace(/<<<?([^<>]+)>>>?/g, (match, target) => (match.startsWith('<<<') ? target : ''))
+            .replace(/\[fn:([^\]:]*):([^\]]+)\]/g, (match, name, definition) => `^[${definition.trim()}]`)
+            .replace(/\[fn:([^\]]+)\]/g, '[^$1]')
+            .replace(new RegExp(`${PRE}\\*${EMPHASIS_BODY}\\*${POST}`, 'g'), '$1**$2**')
+            .replace(new RegExp(`${PRE}/${EMPHASIS_BODY}/${POST}`, 'g'), '$1*$2*')
+            .replace(new RegExp(`${PRE}\\+${EMPHASIS_BODY}\\+${POST}`, 'g'), '$1~~$2~~')
+            .replace(new RegExp(`${PRE}_${EMPHASIS_BODY}_${POST}`, 'g'), '$1$2')
+            .replace(/\\\\$/, '');
+
+        return result.replace(/\uE000(\d+)\uE001/g, (match, index) => kept[index]);
+    }
+
+    /**
+     * Render an Org link
+     * @param {string} target - Link target
+     * @param {string} [label] - Link description
+     * @param {Object} doc - Document state
+     * @returns {string} Inline markdown
+     */
+    renderLink(target, label, doc) {
+        const text = label ? this.convertInline(label, doc) : null;
+        if (/^(https?|ftp|mailto):/i.test(target)) {
+            return text ? `[${text}](${target})` : target;
+        }
+        if (target.startsWith('*')) {
+            const heading = doc.headings.get(target.slice(1).trim().toLowerCase());
+            return heading ? this.blocks.headingLink(heading, text) : (text || target.slice(1));
+        }
+        if (target.startsWith('#')) {
+            const heading = doc.customIds.get(target.slice(1));
+            return heading ? this.blocks.headingLink(heading, text) : (text || target.slice(1));
+        }
+        if (/^id:/i.test(target)) {
+            return text || target.slice(3);
+        }
+
+        const file = target.replace(/^file:/i, '');
+        if (/^file:|^[./~]/i.test(target)) {
+            const [filePath, search] = file.split('::');
+            if (IMAGE_EXTENSIONS.includes(path.extname(filePath).toLowerCase()) && !text) {
+                return `![](${filePath})`;
+            }
+            if (path.extname(filePath).toLowerCase() === '.org') {
+                const document = filePath.replace(/^\.\//, '').replace(/\.org$/i, '');
+                return this.blocks.documentLink(document, search ? search.replace(/^\*/, '') : null, text);
+            }
+            return `[${text || path.basename(filePath)}](${filePath})`;
+        }
+
+        // Plain targets name a heading or a <<target>>
+        const heading = doc.headings.get(target.toLowerCase());
+        return heading ? this.blocks.headingLink(heading, text) : (text || target);
+    }
+
+    /**
+     * Split a heading into its TODO keyword, priority, title and tags
+     * @param {string} text - Heading text after the stars
+     * @param {Object} doc - Document state
+     * @returns {{keyword: string, priority: string, title: string, tags: string[]}} Heading parts
+     */
+    parseHeading(text, doc) {
+        let rest = text;
+        let keyword = '';
+        let priority = '';
+        let tags = [];
+
+        const firstWord = rest.split(/\s+/)[0];
+        if (doc.todoKeywords.includes(firstWord)) {
+            keyword = firstWord;
+            rest = rest.slice(firstWord.length).trim();
+        }
+        const cookie = rest.match(/^\[#([A-Z0-9])\]\s*/);
+        if (cookie) {
+            priority = cookie[1];
+            rest = rest.slice(cookie[0].length);
+        }
+        const tagMatch = rest.match(/\s+:([\w@#%:]+):\s*$/);
+        if (tagMatch) {
+            tags = tagMatch[1].split(':').filter(Boolean);
+            rest = rest.slice(0, tagMatch.index);
+        }
+        return { keyword, priority, title: rest.trim(), tags };
+    }
+
+    /**
+     * Heading text as rendered, without markup, for heading links
+     * @param {Object} parsed - Parsed heading
+     * @returns {string} Heading text
+     */
+    headingText(parsed) {
+        const title = parsed.title
+            .replace(/\[\[([^\]]+)\](?:\[([^\]]*)\])?\]/g, (match, target, label) => label || target)
+            .replace(/(^|\s)[*/=~+_](\S(?:.*?\S)?)[*/=~+_](?=\s|$)/g, '$1$2');
+        return [parsed.keyword, parsed.priority ? `[#${parsed.priority}]` : '', title].filter(Boolean).join(' ');
+    }
+
+    /**
+     * Render a planning line ("SCHEDULED: <2024-01-12 Fri> DEADLINE: ...")
+     * @param {string} line - Planning line
+     * @returns {string} Readable planning line
+     */
+    formatPlanning(line) {
+        return line.trim()
+            .split(/\s+(?=(?:SCHEDULED|DEADLINE|CLOSED):)/)
+            .map(part => {
+                const [name, ...value] = part.split(':');
+                return `${name.charAt(0)}${name.slice(1).toLowerCase()}: ${this.formatTimestamp(value.join(':').trim())}`;
+            })
+            .join(' · ');
+    }
+
+    /**
+     * Drop the brackets and weekday from an Org timestamp
+     * @param {string} value - Timestamp, e.g. "<2024-01-12 Fri 10:00>"
+     * @returns {string} Timestamp, e.g. "2024-01-12 10:00"
+     */
+    formatTimestamp(value) {
+        return value.replace(/[<[](\d{4}-\d{2}-\d{2})(?: [^\d\s>\]]+)?([^>\]]*)[>\]]/g, '$1$2').trim();
+    }
+
+    /**
+     * Check whether a line starts a new block, ending the paragraph before it
+     * @param {string} line - Line
+     * @param {boolean} top - Whether headings may appear
+     * @returns {boolean} True if the line starts a block
+     */
+    startsBlock(line, top) {
+        const trimmed = line.trim();
+        return (top && HEADING.test(line))
+            || /^#(\+|\s|$)/.test(trimmed)
+            || trimmed.startsWith('|')
+            || /^:( |$)/.test(trimmed)
+            || FOOTNOTE_DEFINITION.test(line)
+            || LIST_ITEM.test(line)
+            || /^-{5,}$/.test(trimmed);
+    }
+
+    dedent(lines) {
+        const indents = lines.filter(line => line.trim() !== '').map(line => this.indentOf(line));
+        const common = indents.length ? Math.min(...indents) : 0;
+        return lines.map(line => line.slice(common));
+    }
+
+    indentOf(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Org-mode Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts Org-mode documents to markdown',
+            options: {
+                encoding: 'Force a text encoding (default: detected)'
+            }
+        };
+    }
+}
+
+module.exports = OrgConverter;
@@ -3,12 +3,18 @@
  * Handles conversion of PPTX files to markdown format in the Electron main process.
  * 
  * This converter:
- * - Parses PPTX files using officeparser
- * - Extracts text, slides, and notes
+ * - Reads slides from the slide XML, in the order given by ppt/presentation.xml
+ * - Takes titles from the title placeholder and speaker notes from the notes slides
+ * - Keeps bullet levels and reads text boxes in reading order
+ * - Exports pictures as attachments/<deck>-image-001.png, written by ConversionResultManager
+ * - Renders tables, the data behind charts and SmartArt text
  * - Generates clean markdown output with slide structure
  * 
  * Related Files:
  * - BaseService.js: Parent class providing IPC handling
+ * - pptx/PptxPackage.js: Finds the slide, layout and notes parts
+ * - pptx/PptxSlideParser.js: Reads titles, text and notes from slide XML
+ * - pptx/PptxGraphics.js: Tables, charts and SmartArt
  * - FileProcessorService.js: Used for file operations
  * - ConversionService.js: Registers and uses this converter
  */
@@ -16,8 +22,9 @@
 const path = require('path');
 const fs = require('fs-extra');
 const BaseService = require('../../BaseService');
-const { formatMetadata, cleanMetadata } = require('../../../utils/markdown');
-const officeparser = require('officeparser');
+const PptxPackage = require('./pptx/PptxPackage');
+const PptxSlideParser = require('./pptx/PptxSlideParser');
+const { createStandardFrontmatter } = require('../../../converters/utils/metadata');
 
 class PptxConverter extends BaseService {
     constructor(fileProcessor, fileStorage) {
@@ -25,6 +32,7 @@ class PptxConverter extends BaseService {
         this.fileProcessor = fileProcessor;
         this.fileStorage = fileStorage;
         this.supportedExtensions = ['.pptx', '.ppt'];
+        this.slideParser = new PptxSlideParser();
         this.activeConversions = new Map();
     }
     
@@ -114,7 +122,7 @@ class PptxConverter extends BaseService {
                 fileName: options.originalFileName || options.name || path.basename(filePath || 'presentation.pptx')
             });
             
-            return { content: result };
+            return { content: result.content, images: result.images };
         } catch (error) {
             console.error('[PptxConverter] Conversion failed:', error);
             throw error;
@@ -148,7 +156,7 @@ class PptxConverter extends BaseService {
                 fileName: options.originalFileName || options.name || path.basename(filePath || 'presentation.pptx')
             });
             
-            return { content: result };
+            return { content: result.content, images: result.images };
         } catch (error) {
             console.error('[PptxConverter] Preview generation failed:', error);
             throw error;
@@ -160,7 +168,7 @@ class PptxConverter extends BaseService {
      * @param {string} conversionId - Conversion identifier
      * @param {Buffer} content - PPTX content as buffer
      * @param {Object} options - Conversion options
-     * @returns {Promise<string>} Markdown content
+     * @returns {Promise<Object>} Markdown content, extracted images and metadata
      */
     async processConversion(conversionId, content, options) {
         try {
@@ -206,46 +214,18 @@ class PptxConverter extends BaseService {
      * Convert PPTX content to markdown
      * @param {Buffer} content - PPTX content as buffer
      * @param {Object} options - Conversion options
-     * @returns {Promise<string>} Markdown content
+     * @returns {Promise<Object>} Markdown content, extracted images and metadata
      */
     async convertToMarkdown(content, options = {}) {
         try {
             const fileName = options.fileName || 'presentation.pptx';
-            const isPreview = options.isPreview || false;
+            const baseName = path.basename(fileName, path.extname(fileName));
             
-            // Create a temporary file to process
-            const tempDir = await fs.mkdtemp(path.join(require('os').tmpdir(), 'pptx-conversion-'));
-            const tempFile = path.join(tempDir, `${options.name || 'presentation'}.pptx`);
-            
-            // Write buffer to temp file
-            await fs.writeFile(tempFile, content);
-            
-            // Configure officeparser options
-            const parserConfig = {
-                newlineDelimiter: '\n',
-                ignoreNotes: false,
-                putNotesAtLast: false,
-                outputErrorToConsole: false
-            };
-            
-            // Extract text using officeparser
-            const extractedText = await officeparser.parseOfficeAsync(tempFile, parserConfig);
-            
-            // Process the extracted text to create slides
-            const slides = this.processExtractedText(extractedText);
-            
-            // Get file stats for metadata
-            const stats = await fs.stat(tempFile);
-            
-            // Extract basic metadata
-            const metadata = {
-                title: path.basename(fileName, path.extname(fileName)),
-                author: '',
-                date: new Date().toISOString().split('T')[0],
-                subject: '',
-                slideCount: slides.length,
-                fileSize: stats.size
-            };
+            // Read the slides in presentation order
+            const pkg = await PptxPackage.open(content, { imagePrefix: baseName });
+            const slides = (await pkg.readSlides()).map(parts => this.slideParser.parse(parts, pkg));
+            const images = await pkg.loadImages();
+            console.log(`[PptxConverter] Read ${slides.length} slides and ${images.length} images from ${fileName}`);
             
             // Generate markdown content
             let markdownContent = '';
@@ -255,75 +235,41 @@ class PptxConverter extends BaseService {
                 markdownContent += `## Slide ${index + 1}: ${slide.title || 'Untitled Slide'}\n\n`;
                 
                 // Add slide content
-                if (slide.content && slide.content.length > 0) {
+                if (slide.content) {
                     markdownContent += `${slide.content}\n\n`;
                 }
                 
-                // Add slide notes if available
-                if (slide.notes && slide.notes.length > 0) {
-                    markdownContent += `> **Notes:** ${slide.notes}\n\n`;
+                // Add speaker notes, one quoted line per line of notes
+                if (slide.notes) {
+                    const notes = slide.notes.split('\n').map(line => (line ? `> ${line}` : '>')).join('\n');
+                    markdownContent += `> **Notes:** ${notes.slice(2)}\n\n`;
                 }
                 
                 // Add separator between slides
                 markdownContent += `---\n\n`;
             });
             
-            // Clean up temp directory
-            await fs.remove(tempDir);
-            
-            // Get the title from metadata or filename
-            const fileTitle = metadata.title || path.basename(fileName, path.extname(fileName));
+            // Get the title from the filename
+            const fileTitle = baseName;
             
             // Create standardized frontmatter using metadata utility
-            const { createStandardFrontmatter } = require('../../../converters/utils/metadata');
             const frontmatter = createStandardFrontmatter({
                 title: fileTitle,
                 fileType: 'pptx'
             });
             
             // Combine frontmatter and content
-            return frontmatter + markdownContent;
+            return {
+                content: frontmatter + markdownContent,
+                images,
+                metadata: { title: fileTitle }
+            };
         } catch (error) {
             console.error('[PptxConverter] Markdown conversion failed:', error);
             throw error;
         }
     }
     
-    /**
-     * Process extracted text into slides
-     * @param {string} extractedText - Text extracted from PPTX
-     * @returns {Array} Array of slide objects
-     */
-    processExtractedText(extractedText) {
-        // Split the text by slide markers or other patterns
-        // This is a simple implementation and might need refinement based on actual output
-        const slideTexts = extractedText.split(/(?:Slide \d+:?)/i).filter(text => text.trim().length > 0);
-        
-        return slideTexts.map(slideText => {
-            // Try to extract a title from the first line
-            const lines = slideText.trim().split('\n');
-            const title = lines[0] || 'Untitled Slide';
-            
-            // Check if there are notes (indicated by "Notes:" or similar)
-            const notesIndex = slideText.indexOf('Notes:');
-            let content = '';
-            let notes = '';
-            
-            if (notesIndex > -1) {
-                content = slideText.substring(0, notesIndex).trim();
-                notes = slideText.substring(notesIndex + 6).trim();
-            } else {
-                content = slideText.trim();
-            }
-            
-            return {
-                title: title,
-                content: content,
-                notes: notes
-            };
-        });
-    }
-
     /**
      * Check if this converter supports the given file
      * @param {string} filePath - Path to file
@@ -0,0 +1,931 @@
+/**
+ * RstConverter.js
+ * Handles conversion of reStructuredText documents to markdown in the Electron main process.
+ *
+ * This converter:
+ * - Parses reStructuredText in-process (no docutils or other external binaries)
+ * - Ranks section adornment styles in order of appearance, promoting a lone top style to the title
+ * - Converts bullet, enumerated, definition and field lists, block quotes and literal blocks
+ * - Converts grid tables, simple tables and the list-table/csv-table directives
+ * - Maps code, admonition, image, math and toctree directives to fences, callouts and links
+ * - Resolves hyperlink targets, :ref:/:doc: roles and section references to links
+ * - Carries the bibliographic field list (author, version, date, ...) into frontmatter
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - markup/MarkdownBlocks.js: Fences, callouts, tables and heading links
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Registers the RST adapter
+ */
+
+const path = require('path');
+const { parse } = require('csv-parse/sync');
+const BaseService = require('../../BaseService');
+const MarkdownBlocks = require('./markup/MarkdownBlocks');
+const { decodeText } = require('../../../utils/files/encoding');
+const { createStandardMetadata, formatMetadata } = require('../../../converters/utils/metadata');
+
+// A line of one repeated punctuation character: section adornment or transition
+const ADORNMENT = /^([!-/:-@[-`{-~])\1+\s*$/;
+const BULLET = /^([-*+•‣⁃])( +|$)/;
+const ENUMERATOR = /^(?:(\d+|#|[A-Za-z]|[ivxlcdm]+|[IVXLCDM]+)[.)]|\((\d+|#|[A-Za-z]|[ivxlcdm]+|[IVXLCDM]+)\))( +)\S/;
+const FIELD = /^:((?:[^:\\]|\\.)+):(?: +(.*))?$/;
+const DIRECTIVE = /^\.\.\s+([\w:.+-]+)::(?:\s+(.*))?$/;
+const TARGET = /^\.\.\s+_(`[^`]+`|[^:]+):(?:\s+(.*))?$/;
+const SUBSTITUTION = /^\.\.\s+\|([^|]+)\|\s+([\w-]+)::(?:\s+(.*))?$/;
+const FOOTNOTE = /^\.\.\s+\[([^\]]+)\](?:\s+(.*))?$/;
+const GRID_BORDER = /^\+(?:[-=]+\+)+$/;
+const SIMPLE_BORDER = /^=+(?: +=+)+$/;
+
+const ADMONITIONS = ['note', 'tip', 'hint', 'important', 'warning', 'caution', 'danger', 'attention', 'error', 'seealso', 'todo'];
+const VERSION_LABELS = {
+    versionadded: 'New in version',
+    versionchanged: 'Changed in version',
+    deprecated: 'Deprecated since version'
+};
+const CODE_DIRECTIVES = ['code', 'code-block', 'sourcecode'];
+// Directives whose content is rendered as if the directive were not there
+const TRANSPARENT_DIRECTIVES = ['only', 'ifconfig', 'container', 'compound', 'class', 'rst-class', 'centered', 'highlights', 'epigraph', 'pull-quote'];
+// Directives with nothing to show in a note
+const SKIPPED_DIRECTIVES = ['contents', 'index', 'meta', 'include', 'literalinclude', 'sectnum', 'default-role', 'role', 'title', 'tabularcolumns', 'currentmodule', 'module'];
+const LIST_FIELDS = ['authors', 'tags', 'keywords'];
+
+class RstConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.blocks = new MarkdownBlocks();
+        this.supportedExtensions = ['.rst', '.rest'];
+    }
+
+    /**
+     * Set up IPC handlers for reStructuredText conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:rst', this.handleConvert.bind(this));
+        this.registerHandler('convert:rst:preview', this.handlePreview.bind(this));
+    }
+
+    /**
+     * Handle reStructuredText conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, options = {} }) {
+        try {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            const result = await this.convertToMarkdown(fileResult.content, {
+                ...options,
+                fileName: options.originalFileName || path.basename(filePath)
+            });
+
+            return { content: result };
+        } catch (error) {
+            console.error('[RstConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Handle reStructuredText preview request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Preview request details
+     */
+    async handlePreview(event, params) {
+        return this.handleConvert(event, params);
+    }
+
+    /**
+     * Convert reStructuredText content to markdown
+     * @param {Buffer|string} content - reStructuredText content
+     * @param {Object} options - Conversion options
+     * @param {string} [options.encoding] - Force an encoding instead of detecting it
+     * @returns {Promise<string>} Markdown content
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'document.rst';
+            const { text } = decodeText(content, options.encoding);
+            const lines = text.replace(/\r\n?/g, '\n').replace(/\t/g, '        ').split('\n').map(line => line.trimEnd());
+
+            const doc = this.scan(lines);
+            const body = this.parseBlocks(lines, doc, true);
+            console.log(`[RstConverter] Converted ${fileName} with ${doc.styles.length} heading levels`);
+
+            const { title, ...fields } = doc.docinfo;
+            const frontmatter = formatMetadata({
+                ...createStandardMetadata({
+                    title: title || doc.title || path.basename(fileName, path.extname(fileName)),
+                    fileType: 'rst'
+                }),
+                ...fields
+            });
+
+            return frontmatter + this.blocks.join(body) + '\n';
+        } catch (error) {
+            console.error('[RstConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Collect what later blocks refer to: section styles and titles, targets and substitutions
+     * @param {string[]} lines - Document lines
+     * @returns {Object} Document state shared by the block and inline parsers
+     */
+    scan(lines) {
+        const doc = {
+            styles: [],
+            titles: new Map(),
+            labels: new Map(),
+            targets: new Map(),
+            substitutions: new Map(),
+            docinfo: {},
+            title: null,
+            bodyStarted: false,
+            defaultLanguage: '',
+            footnotes: { references: 0, definitions: 0 }
+        };
+        const styleCounts = new Map();
+        let firstSection = null;
+        let pendingLabels = [];
+
+        for (let i = 0; i < lines.length; i++) {
+            const section = this.matchSection(lines, i);
+            if (section) {
+                const title = this.plainText(section.title);
+                if (!doc.styles.includes(section.style)) {
+                    doc.styles.push(section.style);
+                }
+                styleCounts.set(section.style, (styleCounts.get(section.style) || 0) + 1);
+                firstSection = firstSection || section;
+                doc.titles.set(this.normalizeName(title), title);
+                pendingLabels.forEach(label => doc.labels.set(label, title));
+                pendingLabels = [];
+                i += section.lines - 1;
+                continue;
+            }
+
+            const target = lines[i].match(TARGET);
+            const substitution = lines[i].match(SUBSTITUTION);
+            if (target) {
+                const name = this.normalizeName(target[1].replace(/^`|`$/g, ''));
+                let uri = target[2] || '';
+                while (i + 1 < lines.length && /^ +\S/.test(lines[i + 1])) {
+                    uri += lines[++i].trim();
+                }
+                if (uri) {
+                    doc.targets.set(name, uri.replace(/\s+/g, ''));
+                } else {
+                    pendingLabels.push(name);
+                }
+            } else if (substitution) {
+                const [, name, directive, value] = substitution;
+                if (directive === 'replace' || directive === 'unicode') {
+                    doc.substitutions.set(this.normalizeName(name), value || '');
+                } else if (directive === 'image') {
+                    doc.substitutions.set(this.normalizeName(name), `![${name}](${value})`);
+                }
+            } else if (lines[i].trim() !== '' && !/^ /.test(lines[i])) {
+                // Labels only name the section directly below them
+                pendingLabels = [];
+            }
+        }
+
+        // A section style used once, by the first section, is the document title
+        if (firstSection && firstSection.style === doc.styles[0] && styleCounts.get(firstSection.style) === 1) {
+            doc.title = this.plainText(firstSection.title);
+        }
+        return doc;
+    }
+
+    /**
+     * Parse a run of lines into markdown lines
+     * @param {string[]} lines - Lines, dedented to this block's level
+     * @param {Object} doc - Document state
+     * @param {boolean} top - Whether this is the document level, where sections may appear
+     * @returns {string[]} Markdown lines
+     */
+    parseBlocks(lines, doc, top) {
+        const out = [];
+        let i = 0;
+
+        while (i < lines.length) {
+            const line = lines[i];
+            if (line.trim() === '') {
+                out.push('');
+                i++;
+                continue;
+            }
+
+            const section = top ? this.matchSection(lines, i) : null;
+            if (section) {
+                const level = Math.min(doc.styles.indexOf(section.style) + 1, 6);
+                out.push('', `${'#'.repeat(level)} ${this.convertInline(section.title, doc)}`, '');
+                if (this.plainText(section.title) !== doc.title) {
+                    doc.bodyStarted = true;
+                }
+                i += section.lines;
+                continue;
+            }
+
+            if (ADORNMENT.test(line) && line.length >= 4 && (i === 0 || lines[i - 1] === '') && !lines[i + 1]) {
+                out.push('', '---', '');
+                i++;
+                continue;
+            }
+
+            if (/^ /.test(line)) {
+                const { block, next } = this.takeIndented(lines, i);
+                out.push('', ...this.blocks.quote(this.parseBlocks(this.dedent(block), doc, false)), '');
+                doc.bodyStarted = true;
+                i = next;
+                continue;
+            }
+
+            if (line === '..' || line.startsWith('.. ')) {
+                const { block, next } = this.takeIndented(lines, i + 1);
+                out.push('', ...this.renderExplicit(line, this.dedent(block), doc), '');
+                i = next;
+                continue;
+            }
+
+            if (GRID_BORDER.test(line)) {
+                let end = i;
+                while (end < lines.length && /^[+|]/.test(lines[end])) end++;
+                out.push('', ...this.blocks.table(this.parseGridTable(lines.slice(i, end), doc)), '');
+                doc.bodyStarted = true;
+                i = end;
+                continue;
+            }
+
+            if (SIMPLE_BORDER.test(line)) {
+                const { rows, next } = this.parseSimpleTable(lines, i, doc);
+                out.push('', ...this.blocks.table(rows), '');
+                doc.bodyStarted = true;
+                i = next;
+                continue;
+            }
+
+            if (line.startsWith('>>> ')) {
+                let end = i;
+                while (end < lines.length && lines[end].trim() !== '') end++;
+                out.push('', ...this.blocks.fence('python', lines.slice(i, end)), '');
+                i = end;
+                continue;
+            }
+
+            if (BULLET.test(line) || ENUMERATOR.test(line)) {
+                const { items, next } = this.takeList(lines, i);
+                out.push('');
+                items.forEach((item, index) => {
+                    const marker = item.ordered ? `${index + 1}.` : '-';
+                    out.push(...this.blocks.listItem(marker, this.parseBlocks(item.content, doc, false)));
+                });
+                out.push('');
+                doc.bodyStarted = true;
+                i = next;
+                continue;
+            }
+
+            if (FIELD.test(line)) {
+                const { fields, next } = this.takeFields(lines, i);
+                if (top && !doc.bodyStarted) {
+                    this.addDocinfo(fields, doc);
+                } else {
+                    out.push('');
+                    fields.forEach(({ name, content }) => {
+                        const value = this.parseBlocks(content, doc, false);
+                        out.push(...this.blocks.listItem('-', [`**${this.convertInline(name, doc)}**: ${value[0] || ''}`, ...value.slice(1)]));
+                    });
+                    out.push('');
+                    doc.bodyStarted = true;
+                }
+                i = next;
+                continue;
+            }
+
+            if (/^\|( |$)/.test(line)) {
+                let end = i;
+                while (end < lines.length && /^\|( |$)/.test(lines[end])) end++;
+                out.push('', lines.slice(i, end).map(entry => this.convertInline(entry.slice(2), doc)).join('<br>'), '');
+                i = end;
+                continue;
+            }
+
+            // A line directly followed by an indented one is a definition list term
+            if (lines[i + 1] && /^ +\S/.test(lines[i + 1])) {
+                out.push('');
+                while (i < lines.length && lines[i] && !/^ /.test(lines[i]) && lines[i + 1] && /^ +\S/.test(lines[i + 1])) {
+                    const term = this.convertInline(lines[i].split(/ : /)[0], doc);
+                    const { block, next } = this.takeIndented(lines, i + 1);
+                    const definition = this.blocks.trimBlankLines(this.parseBlocks(this.dedent(block), doc, false));
+                    out.push(...(definition.length === 1
+                        ? [`- **${term}**: ${definition[0]}`]
+                        : this.blocks.listItem('-', [`**${term}**`, ...definition])));
+                    i = next;
+                    while (i < lines.length && lines[i] === '' && lines[i + 1] && !/^ /.test(lines[i + 1]) && lines[i + 2] && /^ +\S/.test(lines[i + 2])) i++;
+                }
+                out.push('');
+                doc.bodyStarted = true;
+                continue;
+            }
+
+            i = this.parseParagraph(lines, i, doc, top, out);
+            doc.bodyStarted = true;
+        }
+
+        return out;
+    }
+
+    /**
+     * Parse a paragraph and the literal block it may introduce with "::"
+     * @param {string[]} lines - Lines
+     * @param {number} start - First paragraph line
+     * @param {Object} doc - Document state
+     * @param {boolean} top - Whether sections may interrupt the paragraph
+     * @param {string[]} out - Markdown lines to append to
+     * @returns {number} Index of the line after the paragraph
+     */
+    parseParagraph(lines, start, doc, top, out) {
+        let end = start + 1;
+        while (end < lines.length && lines[end].trim() !== '' && !(top && this.matchSection(lines, end))) end++;
+
+        let text = lines.slice(start, end).map(line => line.trim()).join(' ');
+        const literal = text.endsWith('::');
+        if (literal) {
+            text = text === '::' ? '' : text.replace(/\s*::$/, match => (match.length > 2 ? '' : ':'));
+        }
+        if (text) {
+            out.push('', this.convertInline(text, doc), '');
+        }
+
+        if (literal) {
+            let next = end;
+            while (next < lines.length && lines[next] === '') next++;
+            if (next < lines.length && /^ /.test(lines[next])) {
+                const { block, next: after } = this.takeIndented(lines, next);
+                out.push('', ...this.blocks.fence(doc.defaultLanguage, this.dedent(block)), '');
+                return after;
+            }
+        }
+        return end;
+    }
+
+    /**
+     * Render explicit markup: directives, footnotes, targets, substitutions and comments
+     * @param {string} line - First line, starting with ".."
+     * @param {string[]} body - Indented lines below it, dedented
+     * @param {Object} doc - Document state
+     * @returns {string[]} Markdown lines
+     */
+    renderExplicit(line, body, doc) {
+        if (TARGET.test(line) || SUBSTITUTION.test(line)) {
+            return [];
+        }
+
+        const footnote = line.match(FOOTNOTE);
+        if (footnote) {
+            let label = footnote[1];
+            if (label === '#' || label === '*') {
+                label = String(++doc.footnotes.definitions);
+            }
+            const text = [footnote[2] || '', ...body].map(entry => entry.trim()).filter(Boolean).join(' ');
+            return [`[^${label.replace(/^#/, '')}]: ${this.convertInline(text, doc)}`];
+        }
+
+        const directive = line.match(DIRECTIVE);
+        if (!directive) {
+            // Comment
+            return [];
+        }
+        doc.bodyStarted = true;
+        return this.renderDirective(directive[1].toLowerCase(), (directive[2] || '').trim(), body, doc);
+    }
+
+    /**
+     * Render a directive
+     * @param {string} name - Directive name
+     * @param {string} argument - Text after "::"
+     * @param {string[]} body - Directive body
+     * @param {Object} doc - Document state
+     * @returns {string[]} Markdown lines
+     */
+    renderDirective(name, argument, body, doc) {
+        const { options, content } = this.splitOptions(body);
+
+        if (CODE_DIRECTIVES.includes(name)) {
+            return this.blocks.fence(argument || doc.defaultLanguage, content);
+        }
+        if (name === 'highlight') {
+            doc.defaultLanguage = argument;
+            return [];
+        }
+        if (ADMONITIONS.includes(name)) {
+            // The argument is the start of the admonition text
+            return this.blocks.callout(name, null, this.parseBlocks(argument ? [argument, ...body] : content, doc, false));
+        }
+        if (name === 'admonition' || name === 'sidebar') {
+            return this.blocks.callout(name, this.convertInline(argument, doc), this.parseBlocks(content, doc, false));
+        }
+        if (VERSION_LABELS[name]) {
+            const [version, ...rest] = argument.split(/\s+/);
+            const text = [rest.join(' '), ...content].filter(Boolean);
+            return this.blocks.callout(name, `${VERSION_LABELS[name]} ${version}`, this.parseBlocks(text, doc, false));
+        }
+        if (name === 'image' || name === 'figure') {
+            const alt = options.alt || path.basename(argument);
+            const image = `![${alt.replace(/([\\[\]])/g, '\\$1')}](${options.target ? options.target : argument})`;
+            return [image, '', ...this.parseBlocks(content, doc, false)];
+        }
+        if (name === 'math') {
+            return ['$$', ...this.blocks.trimBlankLines([argument, ...content]), '$$'];
+        }
+        if (name === 'list-table' || name === 'csv-table' || name === 'table') {
+            const caption = argument ? [`**${this.convertInline(argument, doc)}**`, ''] : [];
+            if (name === 'list-table') {
+                return [...caption, ...this.blocks.table(this.parseListTable(content, doc))];
+            }
+            if (name === 'csv-table') {
+                return [...caption, ...this.blocks.table(this.parseCsvTable(options, content, doc))];
+            }
+            return [...caption, ...this.parseBlocks(content, doc, false)];
+        }
+        if (name === 'rubric') {
+            return [`**${this.convertInline(argument, doc)}**`];
+        }
+        if (name === 'topic') {
+            return [`**${this.convertInline(argument, doc)}**`, '', ...this.parseBlocks(content, doc, false)];
+        }
+        if (name === 'toctree') {
+            return content
+                .map(entry => entry.trim())
+                .filter(entry => entry && !entry.includes('*'))
+                .map(entry => {
+                    const { label, target } = this.splitTitleTarget(entry);
+                    return `- ${this.blocks.documentLink(target.replace(/^\//, ''), null, label)}`;
+                });
+        }
+        if (name === 'raw') {
+            return argument.split(/\s+/).includes('html') ? content : [];
+        }
+        if (SKIPPED_DIRECTIVES.includes(name)) {
+            return [];
+        }
+        if (TRANSPARENT_DIRECTIVES.includes(name) || !argument) {
+            return this.parseBlocks(content, doc, false);
+        }
+        // Anything else, such as Sphinx's py:function, shows its argument above its content
+        return [`**${this.convertInline(argument, doc)}**`, '', ...this.parseBlocks(content, doc, false)];
+    }
+
+    /**
+     * Convert inline markup: literals, roles, references, footnotes and substitutions
+     * @param {string} text - Inline text
+     * @param {Object} doc - Document state
+     * @returns {string} Inline markdown
+     */
+    convertInline(text, doc) {
+        // Finished markdown is parked in placeholders so later patterns cannot touch it
+        const kept = [];
+        const keep = value => `\uE000${kept.push(value) - 1}\uE001`;
+
+        const result = text
+            .replace(/``(.+?)``/g, (match, code) => keep(code.includes('`') ? `\`\` ${code} \`\`` : `\`${code}\``))
+            .replace(/:([A-Za-z][\w:+.-]*):`((?:[^`\\]|\\.)+)`/g, (match, role, value) => keep(this.renderRole(role, value, doc)))
+            .replace(/`([^`<]*?)\s*<([^<>`]+)>`__?/g, (match, label, uri) => keep(this.renderReference(label, uri, doc)))
+            .replace(/`([^`]+)`__?(?!\w)/g, (match, name) => keep(this.resolveReference(name, name, doc)))
+            .replace(/\[(#?[\w-]*|\*)\]_(?!\w)/g, (match, label) => {
+                if (label === '#' || label === '*') {
+                    return `[^${++doc.footnotes.references}]`;
+                }
+                return `[^${label.replace(/^#/, '')}]`;
+            })
+            .replace(/`([^`]+)`/g, '*$1*')
+            .replace(/\b([A-Za-z0-9][\w.-]*)__?(?=$|[\s.,;:!?)'"])/g, (match, name) => (doc.targets.has(this.normalizeName(name))
+                ? keep(this.resolveReference(name, name, doc))
+                : match))
+            .replace(/\|([^|\s][^|]*)\|_{0,2}/g, (match, name) => {
+                const value = doc.substitutions.get(this.normalizeName(name));
+                return value === undefined ? match : value;
+            });
+
+        return result.replace(/\uE000(\d+)\uE001/g, (match, index) => kept[index]);
+    }
+
+    /**
+     * Render an interpreted text role such as :ref:, :doc: or :code:
+     * @param {string} role - Role name
+     * @param {string} value - Role content
+     * @param {Object} doc - Document state
+     * @returns {string} Inline markdown
+     */
+    renderRole(role, value, doc) {
+        const { label, target } = this.splitTitleTarget(value);
+        switch (role.replace(/^(std|rst):/, '')) {
+            case 'ref': {
+                const heading = doc.labels.get(this.normalizeName(target));
+                return heading ? this.blocks.headingLink(heading, label || heading) : (label || target);
+            }
+            case 'doc':
+                return this.blocks.documentLink(target.replace(/^\//, ''), null, label);
+            case 'download':
+                return `[${label || path.basename(target)}](${target})`;
+            case 'emphasis':
+            case 'title-reference':
+                return `*${target}*`;
+            case 'strong':
+                return `**${target}**`;
+            case 'sub':
+            case 'subscript':
+                return `<sub>${target}</sub>`;
+            case 'sup':
+            case 'superscript':
+                return `<sup>${target}</sup>`;
+            case 'math':
+                return `$${target}$`;
+            case 'term':
+            case 'dfn':
+            case 'guilabel':
+            case 'menuselection':
+                return label || target;
+            case 'abbr':
+                return target.replace(/\s*\([^)]*\)$/, '');
+            default: {
+                // :code:, :file:, :kbd: and Sphinx object roles such as :py:func:
+                let shown = label || target.replace(/^!/, '');
+                if (shown.startsWith('~')) {
+                    shown = shown.slice(1).split('.').pop();
+                }
+                return `\`${shown}\``;
+            }
+        }
+    }
+
+    /**
+     * Render a reference with an embedded URI: `text <uri>`_
+     * @param {string} label - Link text
+     * @param {string} uri - URI, or a target name ending in "_"
+     * @param {Object} doc - Document state
+     * @returns {string} Inline markdown
+     */
+    renderReference(label, uri, doc) {
+        if (uri.endsWith('_')) {
+            return this.resolveReference(label || uri.slice(0, -1), uri.slice(0, -1), doc);
+        }
+        return `[${label || uri}](${uri.replace(/\s+/g, '')})`;
+    }
+
+    /**
+     * Resolve a named reference to an external target, a labelled section or a section title
+     * @param {string} label - Link text
+     * @param {string} name - Reference name
+     * @param {Object} doc - Document state
+     * @returns {string} Inline markdown
+     */
+    resolveReference(label, name, doc) {
+        const key = this.normalizeName(name);
+        let uri = doc.targets.get(key);
+        // Indirect targets point at another target by name
+        if (uri && uri.endsWith('_') && !uri.includes('/')) {
+            const indirect = this.normalizeName(uri.slice(0, -1).replace(/^`|`$/g, ''));
+            uri = doc.targets.get(indirect);
+            if (!uri && doc.labels.has(indirect)) {
+                return this.blocks.headingLink(doc.labels.get(indirect), label);
+            }
+        }
+        if (uri) {
+            return `[${label}](${uri})`;
+        }
+        const heading = doc.labels.get(key) || doc.titles.get(key);
+        return heading ? this.blocks.headingLink(heading, label) : label;
+    }
+
+    /**
+     * Match a section title at a line, with or without an overline
+     * @param {string[]} lines - Lines
+     * @param {number} i - Line index
+     * @returns {{title: string, style: string, lines: number}|null} Section, or null
+     */
+    matchSection(lines, i) {
+        const line = lines[i];
+        const next = lines[i + 1];
+        if (!line || next === undefined) {
+            return null;
+        }
+
+        const over = line.match(ADORNMENT);
+        if (over) {
+            const after = lines[i + 2];
+            if (next.trim() && !ADORNMENT.test(next) && after !== undefined && after.trim() === line.trim()) {
+                return { title: next.trim(), style: `o${over[1]}`, lines: 3 };
+            }
+            return null;
+        }
+
+        const under = next.match(ADORNMENT);
+        if (under && /^\S/.test(line) && (next.length >= line.length || next.length >= 4)) {
+            return { title: line.trim(), style: `u${under[1]}`, lines: 2 };
+        }
+        return null;
+    }
+
+    /**
+     * Take list items of the same kind as the first one
+     * @param {string[]} lines - Lines
+     * @param {number} start - First item line
+     * @returns {{items: Array<{ordered: boolean, content: string[]}>, next: number}} Items and the next line
+     */
+    takeList(lines, start) {
+        const items = [];
+        const bullet = lines[start].match(BULLET);
+        const ordered = !bullet;
+        let i = start;
+
+        while (i < lines.length) {
+            const match = ordered ? lines[i].match(ENUMERATOR) : lines[i].match(BULLET);
+            if (!match || (!ordered && match[1] !== bullet[1])) {
+                break;
+            }
+            const width = ordered ? match[0].length - 1 : match[0].length;
+            const content = [lines[i].slice(width)];
+            let j = i + 1;
+            while (j < lines.length) {
+                if (lines[j] === '') {
+                    let k = j;
+                    while (k < lines.length && lines[k] === '') k++;
+                    if (k >= lines.length || this.indentOf(lines[k]) < width) break;
+                    content.push('');
+                } else if (this.indentOf(lines[j]) >= width) {
+                    content.push(lines[j].slice(width));
+                } else {
+                    break;
+                }
+                j++;
+            }
+            items.push({ ordered, content });
+
+            // Blank lines may separate items of the same list
+            i = j;
+            while (i < lines.length && lines[i] === '') i++;
+            if (i >= lines.length || !(ordered ? ENUMERATOR : BULLET).test(lines[i])) {
+                i = j;
+                break;
+            }
+        }
+        return { items, next: i };
+    }
+
+    /**
+     * Take a field list
+     * @param {string[]} lines - Lines
+     * @param {number} start - First field line
+     * @returns {{fields: Array<{name: string, content: string[]}>, next: number}} Fields and the next line
+     */
+    takeFields(lines, start) {
+        const fields = [];
+        let i = start;
+        while (i < lines.length) {
+            const match = lines[i].match(FIELD);
+            if (!match) {
+                break;
+            }
+            const { block, next } = this.takeIndented(lines, i + 1);
+            fields.push({ name: match[1].replace(/\\(.)/g, '$1'), content: [match[2] || '', ...this.dedent(block)] });
+            i = next;
+        }
+        return { fields, next: i };
+    }
+
+    /**
+     * Record the bibliographic fields at the top of the document as frontmatter
+     * @param {Array<{name: string, content: string[]}>} fields - Fields
+     * @param {Object} doc - Document state
+     */
+    addDocinfo(fields, doc) {
+        fields.forEach(({ name, content }) => {
+            const key = name.trim().toLowerCase().replace(/\s+/g, '-');
+            const value = this.plainText(content.map(line => line.trim()).filter(Boolean).join(' '));
+            if (!value) {
+                return;
+            }
+            doc.docinfo[key] = LIST_FIELDS.includes(key)
+                ? value.split(/\s*[;,]\s*/).filter(Boolean)
+                : value;
+        });
+    }
+
+    /**
+     * Parse a grid table into rows of inline markdown
+     * @param {string[]} lines - Table lines, from border to border
+     * @param {Object} doc - Document state
+     * @returns {string[][]} Cells by row
+     */
+    parseGridTable(lines, doc) {
+        const columns = [];
+        for (let c = 0; c < lines[0].length; c++) {
+            if (lines[0][c] === '+') columns.push(c);
+        }
+
+        const rows = [];
+        let current = null;
+        lines.slice(1).forEach(line => {
+            if (GRID_BORDER.test(line)) {
+                if (current) rows.push(current);
+                current = null;
+                return;
+            }
+            current = current || columns.slice(1).map(() => []);
+            for (let c = 0; c < columns.length - 1; c++) {
+                current[c].push(line.slice(columns[c] + 1, columns[c + 1]).trim());
+            }
+        });
+        if (current) rows.push(current);
+
+        return rows.map(cells => cells.map(parts => this.convertInline(parts
+            .filter(Boolean)
+            .map((part, index) => (index > 0 && BULLET.test(part) ? '\n' : ' ') + part)
+            .join('')
+            .trim(), doc)));
+    }
+
+    /**
+     * Parse a simple table into rows of inline markdown
+     * @param {string[]} lines - Lines
+     * @param {number} start - Top border line
+     * @param {Object} doc - Document state
+     * @returns {{rows: string[][], next: number}} Cells by row and the next line
+     */
+    parseSimpleTable(lines, start, doc) {
+        const starts = [];
+        lines[start].replace(/=+/g, (match, offset) => starts.push(offset));
+
+        const rows = [];
+        let borders = 1;
+        let i = start + 1;
+        while (i < lines.length) {
+            const line = lines[i];
+            if (SIMPLE_BORDER.test(line)) {
+                borders++;
+                i++;
+                // A second border ends the table unless body rows follow a header
+                if (borders === 3 || i >= lines.length || lines[i] === '') break;
+                continue;
+            }
+            i++;
+            if (line === '' || /^[-\s]+$/.test(line)) {
+                continue;
+            }
+            const cells = starts.map((offset, c) => line.slice(offset, starts[c + 1]).trim());
+            if (cells[0] === '' && rows.length > 0) {
+                cells.forEach((cell, c) => {
+                    if (cell) rows[rows.length - 1][c] += ` ${cell}`;
+                });
+            } else {
+                rows.push(cells);
+            }
+        }
+        return { rows: rows.map(cells => cells.map(cell => this.convertInline(cell.trim(), doc))), next: i };
+    }
+
+    /**
+     * Parse the two-level bullet list of a list-table directive
+     * @param {string[]} content - Directive content
+     * @param {Object} doc - Document state
+     * @returns {string[][]} Cells by row
+     */
+    parseListTable(content, doc) {
+        const rows = [];
+        let cell = null;
+        content.forEach(line => {
+            const row = line.match(/^[*-] +[*-] +(.*)$/);
+            const next = line.match(/^ +[*-] +(.*)$/);
+            if (row) {
+                cell = [row[1]];
+                rows.push([cell]);
+            } else if (next && rows.length > 0) {
+                cell = [next[1]];
+                rows[rows.length - 1].push(cell);
+            } else if (line.trim() && cell) {
+                cell.push(line.trim());
+            }
+        });
+        return rows.map(cells => cells.map(parts => this.convertInline(parts.join(' '), doc)));
+    }
+
+    /**
+     * Parse the content of a csv-table directive
+     * @param {Object} options - Directive options
+     * @param {string[]} content - CSV lines
+     * @param {Object} doc - Document state
+     * @returns {string[][]} Cells by row
+     */
+    parseCsvTable(options, content, doc) {
+        const csvOptions = { relax_quotes: true, relax_column_count: true, skip_empty_lines: true, trim: true };
+        const rows = options.header ? parse(options.header, csvOptions) : [];
+        rows.push(...parse(content.join('\n'), csvOptions));
+        return rows.map(cells => cells.map(cell => this.convertInline(cell, doc)));
+    }
+
+    /**
+     * Split a directive body into its options and content
+     * @param {string[]} body - Directive body
+     * @returns {{options: Object, content: string[]}} Options by name and the remaining lines
+     */
+    splitOptions(body) {
+        const options = {};
+        let i = 0;
+        while (i < body.length) {
+            const match = body[i].match(/^:([\w-]+):(?: +(.*))?$/);
+            if (!match) break;
+            options[match[1]] = match[2] || '';
+            i++;
+        }
+        return { options, content: this.blocks.trimBlankLines(body.slice(i)) };
+    }
+
+    /**
+     * Split "Title <target>" into its parts
+     * @param {string} value - Role or toctree entry
+     * @returns {{label: string|null, target: string}} Label and target
+     */
+    splitTitleTarget(value) {
+        const match = value.match(/^(.*?)\s*<([^<>]+)>$/s);
+        return match && match[1] ? { label: match[1], target: match[2] } : { label: null, target: value.trim() };
+    }
+
+    /**
+     * Take the indented (or blank) lines starting at a line, without trailing blank lines
+     * @param {string[]} lines - Lines
+     * @param {number} start - First line
+     * @returns {{block: string[], next: number}} Lines and the index after them
+     */
+    takeIndented(lines, start) {
+        let end = start;
+        let last = start;
+        while (end < lines.length && (lines[end] === '' || /^ /.test(lines[end]))) {
+            end++;
+            if (lines[end - 1] !== '') last = end;
+        }
+        return { block: lines.slice(start, last), next: last };
+    }
+
+    dedent(lines) {
+        const indents = lines.filter(line => line.trim() !== '').map(line => this.indentOf(line));
+        const common = indents.length ? Math.min(...indents) : 0;
+        return lines.map(line => line.slice(common));
+    }
+
+    indentOf(line) {
+        return line.match(/^ */)[0].length;
+    }
+
+    /**
+     * Strip inline markup, for frontmatter values and link targets
+     * @param {string} text - Inline text
+     * @returns {string} Plain text
+     */
+    plainText(text) {
+        return text
+            .replace(/:[\w:+.-]+:`([^`]*)`/g, '$1')
+            .replace(/``([^`]*)``/g, '$1')
+            .replace(/`([^`]*)`_{0,2}/g, '$1')
+            .replace(/\s*<[^<>]*>$/, '')
+            .replace(/\*\*?([^*]+)\*\*?/g, '$1')
+            .trim();
+    }
+
+    normalizeName(name) {
+        return name.trim().toLowerCase().replace(/\s+/g, ' ');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'reStructuredText Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts reStructuredText documents to markdown',
+            options: {
+                encoding: 'Force a text encoding (default: detected)'
+            }
+        };
+    }
+}
+
+module.exports = RstConverter;
@@ -0,0 +1,704 @@
+/**
+ * RtfConverter.js
+ * Handles conversion of RTF documents to markdown format in the Electron main process.
+ *
+ * This converter:
+ * - Parses RTF control words and groups in-process (no external binaries)
+ * - Maps heading styles / outline levels to markdown headings
+ * - Keeps bold, italic, strikethrough and hyperlinks
+ * - Rebuilds bulleted/numbered lists and tables
+ * - Carries document info (author, subject, keywords) into frontmatter
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - ConverterRegistry.js: Registers the RTF adapter
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const { createStandardMetadata, formatMetadata } = require('../../../converters/utils/metadata');
+
+// Destinations whose text never reaches the document body
+const SKIPPED_DESTINATIONS = new Set([
+    'fonttbl', 'colortbl', 'filetbl', 'revtbl', 'rsidtbl', 'latentstyles', 'themedata',
+    'colorschememapping', 'datastore', 'xmlnstbl', 'generator', 'mmathPr', 'pgdsctbl',
+    'pict', 'object', 'shp', 'shppict', 'nonshppict', 'header', 'headerl', 'headerr',
+    'headerf', 'footer', 'footerl', 'footerr', 'footerf', 'footnote', 'annotation',
+    'atnid', 'atnauthor', 'bkmkstart', 'bkmkend', 'listtable', 'listoverridetable',
+    'pn', 'formfield', 'template', 'operator', 'comment', 'doccomm'
+]);
+
+const INFO_FIELDS = {
+    title: 'title',
+    subject: 'subject',
+    author: 'author',
+    keywords: 'keywords'
+};
+
+const SPECIAL_CHARACTERS = {
+    emdash: '—',
+    endash: '–',
+    bullet: '•',
+    lquote: '‘',
+    rquote: '’',
+    ldblquote: '“',
+    rdblquote: '”',
+    emspace: ' ',
+    enspace: ' ',
+    qmspace: ' ',
+    tab: '\t',
+    line: '\n'
+};
+
+const CODEPAGE_LABELS = {
+    932: 'shift_jis',
+    936: 'gbk',
+    949: 'euc-kr',
+    950: 'big5',
+    65001: 'utf-8'
+};
+
+class RtfConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.supportedExtensions = ['.rtf'];
+    }
+
+    /**
+     * Set up IPC handlers for RTF conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:rtf', this.handleConvert.bind(this));
+        this.registerHandler('convert:rtf:preview', this.handlePreview.bind(this));
+    }
+
+    /**
+     * Handle RTF conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, options = {} }) {
+        try {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            const result = await this.convertToMarkdown(fileResult.content, {
+                ...options,
+                fileName: options.originalFileName || path.basename(filePath)
+            });
+
+            return { content: result };
+        } catch (error) {
+            console.error('[RtfConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Handle RTF preview request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Preview request details
+     */
+    async handlePreview(event, params) {
+        return this.handleConvert(event, params);
+    }
+
+    /**
+     * Convert RTF content to markdown
+     * @param {Buffer|string} content - RTF content
+     * @param {Object} options - Conversion options
+     * @returns {Promise<string>} Markdown content
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'document.rtf';
+            // RTF is 7-bit; anything beyond ASCII is escaped, so latin1 keeps bytes intact
+            const rtf = Buffer.isBuffer(content) ? content.toString('latin1') : String(content);
+            if (!rtf.trimStart().startsWith('{\\rtf')) {
+                throw new Error('File is not a valid RTF document');
+            }
+
+            const doc = this.parseRtf(rtf);
+            const body = this.renderBlocks(doc);
+            console.log(`[RtfConverter] Parsed ${doc.blocks.length} blocks from ${fileName}`);
+
+            const frontmatter = formatMetadata({
+                ...createStandardMetadata({
+                    title: doc.info.title || path.basename(fileName, path.extname(fileName)),
+                    fileType: 'rtf'
+                }),
+                author: doc.info.author,
+                subject: doc.info.subject,
+                keywords: doc.info.keywords
+            });
+
+            return frontmatter + body + '\n';
+        } catch (error) {
+            console.error('[RtfConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Parse an RTF document into paragraph and table-row blocks
+     * @param {string} rtf - RTF source
+     * @returns {Object} Parsed document { blocks, styles, info }
+     */
+    parseRtf(rtf) {
+        const doc = { blocks: [], styles: {}, styleOutlineLevels: {}, info: {} };
+        const stack = [];
+        let state = {
+            bold: false,
+            italic: false,
+            strike: false,
+            destination: null,
+            uc: 1,
+            styleEntry: 0,
+            field: null,
+            link: null
+        };
+        let para = this.createParagraphProps();
+        let runs = [];
+        let cell = [];
+        let row = [];
+        let skipChars = 0;
+        let pendingBytes = [];
+        let decoder = new TextDecoder('windows-1252');
+
+        const flushBytes = () => {
+            if (pendingBytes.length > 0) {
+                const bytes = Buffer.from(pendingBytes);
+                pendingBytes = [];
+                emit(decoder.decode(bytes));
+            }
+        };
+
+        const emit = (text) => {
+            if (!text) return;
+            switch (state.destination) {
+                case null:
+                    runs.push({
+                        text,
+                        bold: state.bold,
+                        italic: state.italic,
+                        strike: state.strike,
+                        link: state.link
+                    });
+                    break;
+                case 'fldinst':
+                    state.field.instruction += text;
+                    break;
+                case 'listtext':
+                    para.listText += text;
+                    break;
+                case 'stylesheet':
+                    doc.styles[state.styleEntry] = (doc.styles[state.styleEntry] || '') + text;
+                    break;
+                default:
+                    if (state.destination.startsWith('info:')) {
+                        const key = state.destination.substring(5);
+                        doc.info[key] = (doc.info[key] || '') + text;
+                    }
+            }
+        };
+
+        const endParagraph = () => {
+            flushBytes();
+            if (para.inTable) {
+                cell.push(runs);
+            } else {
+                doc.blocks.push({ type: 'paragraph', runs, props: { ...para } });
+            }
+            runs = [];
+            para.listText = '';
+        };
+
+        let i = 0;
+        while (i < rtf.length) {
+            const ch = rtf[i];
+
+            if (ch === '{') {
+                flushBytes();
+                stack.push(state);
+                state = { ...state, starred: false };
+                i++;
+                continue;
+            }
+
+            if (ch === '}') {
+                flushBytes();
+                state = stack.pop() || state;
+                i++;
+                continue;
+            }
+
+            if (ch === '\r' || ch === '\n') {
+                i++;
+                continue;
+            }
+
+            if (ch !== '\\') {
+                flushBytes();
+                if (skipChars > 0) {
+                    skipChars--;
+                } else {
+                    emit(ch);
+                }
+                i++;
+                continue;
+            }
+
+            // Control symbol or control word
+            const next = rtf[i + 1];
+            if (next === '\'') {
+                const byte = parseInt(rtf.substr(i + 2, 2), 16);
+                i += 4;
+                if (skipChars > 0) {
+                    skipChars--;
+                } else if (!isNaN(byte)) {
+                    pendingBytes.push(byte);
+                }
+                continue;
+            }
+
+            if (!/[a-zA-Z]/.test(next || '')) {
+                flushBytes();
+                i += 2;
+                if (next === '\\' || next === '{' || next === '}') emit(next);
+                else if (next === '~') emit(' ');
+                else if (next === '_') emit('-');
+                else if (next === '\n' || next === '\r') endParagraph();
+                else if (next === '*') state.starred = true;
+                continue;
+            }
+
+            const match = /^\\([a-zA-Z]+)(-?\d+)? ?/.exec(rtf.substring(i, i + 64));
+            const word = match[1];
+            const param = match[2] !== undefined ? parseInt(match[2], 10) : null;
+            i += match[0].length;
+
+            if (word !== 'u') {
+                flushBytes();
+            }
+
+            // \* only marks the control word that immediately follows it
+            const starred = state.starred;
+            state.starred = false;
+
+            // Binary data is skipped wholesale
+            if (word === 'bin') {
+                i += param || 0;
+                continue;
+            }
+
+            if (state.destination === 'skip') {
+                continue;
+            }
+
+            // Destinations
+            if (SKIPPED_DESTINATIONS.has(word)) {
+                state.destination = 'skip';
+                continue;
+            }
+            if (word === 'stylesheet') {
+                state.destination = 'stylesheet';
+                continue;
+            }
+            if (word === 'info') {
+                state.destination = 'skip-info';
+                continue;
+            }
+            if (INFO_FIELDS[word] && state.destination === 'skip-info') {
+                state.destination = `info:${INFO_FIELDS[word]}`;
+                continue;
+            }
+            if (word === 'field') {
+                state.field = { instruction: '' };
+                continue;
+            }
+            if (word === 'fldinst') {
+                state.destination = 'fldinst';
+                continue;
+            }
+            if (word === 'fldrslt') {
+                state.destination = null;
+                state.link = this.parseHyperlink(state.field ? state.field.instruction : '');
+                continue;
+            }
+            if (word === 'pntext' || word === 'listtext') {
+                state.destination = 'listtext';
+                continue;
+            }
+            if (starred) {
+                // Unknown ignorable destination
+                state.destination = 'skip';
+                continue;
+            }
+
+            switch (word) {
+                case 'ansicpg': {
+                    const label = CODEPAGE_LABELS[param] || `windows-${param}`;
+                    try {
+                        decoder = new TextDecoder(label);
+                    } catch (error) {
+                        console.warn(`[RtfConverter] Unsupported code page ${param}, using windows-1252`);
+                    }
+                    break;
+                }
+                case 'u': {
+                    flushBytes();
+                    const code = param < 0 ? param + 65536 : param;
+                    emit(String.fromCharCode(code));
+                    skipChars = state.uc;
+                    break;
+                }
+                case 'uc':
+                    state.uc = param || 0;
+                    break;
+                case 'plain':
+                    state.bold = false;
+                    state.italic = false;
+                    state.strike = false;
+                    break;
+                case 'b':
+                    state.bold = param !== 0;
+                    break;
+                case 'i':
+                    state.italic = param !== 0;
+                    break;
+                case 'strike':
+                case 'striked':
+                    state.strike = param !== 0;
+                    break;
+                default:
+                    if (SPECIAL_CHARACTERS[word] !== undefined) {
+                        emit(SPECIAL_CHARACTERS[word]);
+                    }
+            }
+
+            if (word === 'outlinelevel' && state.destination === 'stylesheet') {
+                doc.styleOutlineLevels[state.styleEntry] = param;
+            }
+            if (word === 's' && state.destination === 'stylesheet') {
+                state.styleEntry = param;
+            }
+
+            // Paragraph structure only applies to body text
+            if (state.destination !== null) {
+                continue;
+            }
+
+            switch (word) {
+                case 'par':
+                case 'sect':
+                case 'page':
+                    endParagraph();
+                    break;
+                case 'pard':
+                    // List text precedes the \pard of the paragraph it numbers
+                    para = { ...this.createParagraphProps(), listText: para.listText };
+                    break;
+                case 's':
+                    para.style = param;
+                    break;
+                case 'outlinelevel':
+                    para.outlineLevel = param;
+                    break;
+                case 'intbl':
+                    para.inTable = true;
+                    break;
+                case 'ls':
+                case 'pnlvlblt':
+                    para.list = true;
+                    break;
+                case 'pnlvlbody':
+                    para.list = true;
+                    para.ordered = true;
+                    break;
+                case 'ilvl':
+                    para.listLevel = param || 0;
+                    break;
+                case 'cell':
+                    para.inTable = true;
+                    endParagraph();
+                    row.push(cell);
+                    cell = [];
+                    break;
+                case 'nestcell':
+                    // Nested tables are flattened into the enclosing cell
+                    endParagraph();
+                    break;
+                case 'row':
+                    if (cell.length > 0) {
+                        row.push(cell);
+                        cell = [];
+                    }
+                    if (row.length > 0) {
+                        doc.blocks.push({ type: 'row', cells: row });
+                    }
+                    row = [];
+                    break;
+            }
+        }
+
+        // Documents often end without a final \par
+        if (runs.some(run => run.text.trim())) {
+            endParagraph();
+        }
+
+        Object.keys(doc.styles).forEach(key => {
+            doc.styles[key] = doc.styles[key].replace(/;\s*$/, '').trim();
+        });
+        Object.keys(doc.info).forEach(key => {
+            doc.info[key] = doc.info[key].replace(/\s+/g, ' ').trim();
+        });
+
+        return doc;
+    }
+
+    /**
+     * Create default paragraph properties (state after \pard)
+     * @returns {Object} Paragraph properties
+     */
+    createParagraphProps() {
+        return {
+            style: null,
+            outlineLevel: null,
+            inTable: false,
+            list: false,
+            ordered: false,
+            listLevel: 0,
+            listText: ''
+        };
+    }
+
+    /**
+     * Extract the target URL from a HYPERLINK field instruction
+     * @param {string} instruction - Field instruction text
+     * @returns {string|null} URL or null
+     */
+    parseHyperlink(instruction) {
+        const match = /HYPERLINK\s+(?:\\l\s+)?"([^"]+)"/i.exec(instruction || '');
+        return match ? match[1] : null;
+    }
+
+    /**
+     * Render parsed blocks as markdown
+     * @param {Object} doc - Parsed document
+     * @returns {string} Markdown body
+     */
+    renderBlocks(doc) {
+        const output = [];
+        let previousWasList = false;
+        let tableRows = [];
+
+        const flushTable = () => {
+            if (tableRows.length > 0) {
+                output.push(this.renderTable(tableRows));
+                tableRows = [];
+            }
+        };
+
+        doc.blocks.forEach(block => {
+            if (block.type === 'row') {
+                previousWasList = false;
+                tableRows.push(block.cells);
+                return;
+            }
+            flushTable();
+
+            const text = this.renderRuns(block.runs).trim();
+            if (!text) {
+                return;
+            }
+
+            const props = block.props;
+            const headingLevel = this.getHeadingLevel(props, doc);
+            const isList = props.list || props.listText.trim().length > 0;
+
+            if (headingLevel) {
+                previousWasList = false;
+                output.push(`${'#'.repeat(headingLevel)} ${this.renderRuns(block.runs, { plain: true }).trim()}`);
+            } else if (isList) {
+                const marker = this.getListMarker(props);
+                const item = `${'    '.repeat(props.listLevel)}${marker} ${text.replace(/\n/g, ' ')}`;
+                if (previousWasList) {
+                    output[output.length - 1] += `\n${item}`;
+                } else {
+                    output.push(item);
+                }
+                previousWasList = true;
+            } else {
+                previousWasList = false;
+                output.push(text.replace(/\n/g, '  \n'));
+            }
+        });
+        flushTable();
+
+        return output.join('\n\n');
+    }
+
+    /**
+     * Determine the heading level of a paragraph, if any
+     * @param {Object} props - Paragraph properties
+     * @param {Object} doc - Parsed document (stylesheet names and outline levels)
+     * @returns {number|null} Heading level 1-6 or null
+     */
+    getHeadingLevel(props, doc) {
+        if (props.outlineLevel !== null && props.outlineLevel >= 0 && props.outlineLevel < 9) {
+            return Math.min(6, props.outlineLevel + 1);
+        }
+        if (props.style !== null && doc.styleOutlineLevels[props.style] !== undefined) {
+            const level = doc.styleOutlineLevels[props.style];
+            if (level >= 0 && level < 9) {
+                return Math.min(6, level + 1);
+            }
+        }
+        const styleName = props.style !== null ? (doc.styles[props.style] || '') : '';
+        const headingMatch = /heading\s*([1-9])/i.exec(styleName);
+        if (headingMatch) {
+            return Math.min(6, parseInt(headingMatch[1], 10));
+        }
+        if (/^title$/i.test(styleName)) {
+            return 1;
+        }
+        return null;
+    }
+
+    /**
+     * Pick the markdown list marker for a list paragraph
+     * @param {Object} props - Paragraph properties
+     * @returns {string} List marker
+     */
+    getListMarker(props) {
+        const numberMatch = /^\s*(\d+)[.)]/.exec(props.listText);
+        if (numberMatch) {
+            return `${numberMatch[1]}.`;
+        }
+        if (props.ordered || /^\s*[a-zA-Z]{1,4}[.)]/.test(props.listText)) {
+            return '1.';
+        }
+        return '-';
+    }
+
+    /**
+     * Render consecutive table rows as a markdown table
+     * @param {Array} rows - Rows of cells, each cell an array of run lists
+     * @returns {string} Markdown table
+     */
+    renderTable(rows) {
+        const columnCount = Math.max(...rows.map(cells => cells.length));
+        const renderCell = (paragraphs) => (paragraphs || [])
+            .map(runs => this.renderRuns(runs).trim())
+            .filter(Boolean)
+            .join('<br>')
+            .replace(/\n/g, '<br>')
+            .replace(/\|/g, '\\|');
+
+        const lines = rows.map(cells => {
+            const values = [];
+            for (let c = 0; c < columnCount; c++) {
+                values.push(renderCell(cells[c]));
+            }
+            return '| ' + values.join(' | ') + ' |';
+        });
+        lines.splice(1, 0, '| ' + new Array(columnCount).fill('---').join(' | ') + ' |');
+        return lines.join('\n');
+    }
+
+    /**
+     * Render formatted runs as inline markdown
+     * @param {Array} runs - Text runs with formatting flags
+     * @param {Object} [options] - Render options
+     * @param {boolean} [options.plain=false] - Drop emphasis markers (used for headings)
+     * @returns {string} Inline markdown
+     */
+    renderRuns(runs, options = {}) {
+        // Merge adjacent runs that share formatting
+        const merged = [];
+        runs.forEach(run => {
+            const text = run.text.replace(/\t/g, ' ');
+            const last = merged[merged.length - 1];
+            if (last && last.bold === run.bold && last.italic === run.italic &&
+                last.strike === run.strike && last.link === run.link) {
+                last.text += text;
+            } else {
+                merged.push({ ...run, text });
+            }
+        });
+
+        let markdown = '';
+        let linkText = '';
+        let currentLink = null;
+
+        const closeLink = () => {
+            if (currentLink) {
+                markdown += linkText.trim() ? `[${linkText.trim()}](${currentLink})` : '';
+                linkText = '';
+                currentLink = null;
+            }
+        };
+
+        merged.forEach(run => {
+            let piece = this.escapeMarkdown(run.text);
+            if (!options.plain && piece.trim()) {
+                const [, lead, core, trail] = /^(\s*)([\s\S]*?)(\s*)$/.exec(piece);
+                let wrapped = core;
+                if (run.strike) wrapped = `~~${wrapped}~~`;
+                if (run.italic) wrapped = `*${wrapped}*`;
+                if (run.bold) wrapped = `**${wrapped}**`;
+                piece = lead + wrapped + trail;
+            }
+
+            if (run.link && !options.plain) {
+                if (run.link !== currentLink) {
+                    closeLink();
+                    currentLink = run.link;
+                }
+                linkText += piece;
+            } else {
+                closeLink();
+                markdown += piece;
+            }
+        });
+        closeLink();
+
+        return markdown.replace(/[ \u00A0]{2,}/g, ' ');
+    }
+
+    /**
+     * Escape characters that would otherwise become markdown syntax
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    escapeMarkdown(text) {
+        return text.replace(/([*_`[\]])/g, '\\$1');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'RTF Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts RTF documents to markdown',
+            options: {}
+        };
+    }
+}
+
+module.exports = RtfConverter;
@@ -4,8 +4,12 @@
  * 
  * This converter:
  * - Uses pdf-lib and pdf-parse for PDF processing
- * - Extracts text and metadata from PDF documents
- * - Generates page thumbnails when requested
+ * - Extracts text page by page from each page's own text content
+ * - Drops running headers, footers and page numbers repeated across pages
+ * - Rebuilds headings, lists, two-column reading order and tables from text positions
+ * - Turns the bookmark outline into headings and a linked table of contents, and can
+ *   split the output into one note per top-level chapter
+ * - Extracts metadata from PDF documents
  * - Creates structured markdown output
  * 
  * Related Files:
@@ -13,6 +17,11 @@
  * - MistralPdfConverter.js: Alternative OCR-based converter
  * - FileStorageService.js: For temporary file management
  * - PdfConverterFactory.js: Factory for selecting appropriate converter
+ * - pdf/PdfTextExtractor.js: Reads the text lines of each page
+ * - pdf/PdfRunningContent.js: Removes running headers and footers
+ * - pdf/PdfLayout.js: Renders each page's lines as structured markdown
+ * - pdf/PdfOutline.js: Reads the bookmark outline
+ * - PageMarkerService.js: Formats the page markers between pages of outlined documents
  */
 
 const path = require('path');
@@ -21,6 +30,12 @@ const { PDFDocument } = require('pdf-lib');
 const pdfParse = require('pdf-parse');
 const { v4: uuidv4 } = require('uuid');
 const BasePdfConverter = require('./BasePdfConverter');
+const PdfTextExtractor = require('./pdf/PdfTextExtractor');
+const PdfRunningContent = require('./pdf/PdfRunningContent');
+const PdfLayout = require('./pdf/PdfLayout');
+const PdfOutline = require('./pdf/PdfOutline');
+const PageMarkerService = require('../../PageMarkerService');
+const { slugify } = require('../../../converters/utils/fileNames');
 
 class StandardPdfConverter extends BasePdfConverter {
     constructor(fileProcessor, fileStorage, skipHandlerSetup = false) {
@@ -155,26 +170,15 @@ class StandardPdfConverter extends BasePdfConverter {
             this.updateConversionStatus(conversionId, 'extracting_metadata', { progress: 5 });
             const metadata = await this.extractMetadata(filePath);
             
-            // Extract text
+            // Extract text page by page
             this.updateConversionStatus(conversionId, 'extracting_text', { progress: 10 });
             const pdfData = await fs.readFile(filePath);
-            const pdfContent = await pdfParse(pdfData);
-            
-            // Process pages
-            this.updateConversionStatus(conversionId, 'processing_pages', { progress: 30 });
             const maxPages = options.maxPages || metadata.pageCount;
-            const pages = await this.extractPages(filePath, pdfContent, Math.min(maxPages, metadata.pageCount));
-            
-            // Generate thumbnails if requested
-            let thumbnails = [];
-            if (options.includeImages) {
-                this.updateConversionStatus(conversionId, 'generating_thumbnails', { progress: 50 });
-                thumbnails = await this.generateThumbnails(filePath, tempDir, Math.min(maxPages, metadata.pageCount));
-            }
+            const pages = await this.extractPages(pdfData, Math.min(maxPages, metadata.pageCount), metadata.outline);
             
             // Generate markdown
             this.updateConversionStatus(conversionId, 'generating_markdown', { progress: 80 });
-            const markdown = this.generateMarkdown(metadata, pages, thumbnails, options);
+            const markdown = this.generateMarkdown(metadata, pages);
             
             // Clean up temp directory
             await fs.remove(tempDir);
@@ -200,7 +204,8 @@ class StandardPdfConverter extends BasePdfConverter {
         try {
             const pdfData = await fs.readFile(filePath);
             const pdfDoc = await PDFDocument.load(pdfData);
-            const pdfContent = await pdfParse(pdfData);
+            // Copy the data: pdf-parse misreads small Buffers that share Node's buffer pool
+            const pdfContent = await pdfParse(new Uint8Array(pdfData), { max: 1 });
             
             const stats = await fs.stat(filePath);
             
@@ -254,6 +259,14 @@ class StandardPdfConverter extends BasePdfConverter {
                 delete metadata.Producer;
             }
             
+            // Bookmark outline, used for headings and the table of contents
+            try {
+                metadata.outline = await new PdfOutline().read(pdfData);
+            } catch (error) {
+                console.warn(`[StandardPdfConverter] Could not read outline: ${error.message}`);
+                metadata.outline = [];
+            }
+            
             return metadata;
         } catch (error) {
             console.error('[StandardPdfConverter] Failed to extract metadata:', error);
@@ -285,41 +298,30 @@ class StandardPdfConverter extends BasePdfConverter {
     }
 
     /**
-     * Extract pages from PDF content
-     * @param {string} filePath - Path to PDF file
-     * @param {Object} pdfContent - PDF content from pdf-parse
+     * Extract pages from PDF content, reading each page's own text
+     * @param {Buffer} pdfData - PDF content
      * @param {number} maxPages - Maximum pages to extract
-     * @returns {Promise<Array>} Array of page objects
+     * @param {Array} [outline] - Bookmarks from extractMetadata, placed as headings
+     * @returns {Promise<Array>} Array of page objects ({pageNumber, width, height, lines, text})
      */
-    async extractPages(filePath, pdfContent, maxPages) {
+    async extractPages(pdfData, maxPages, outline = []) {
         try {
-            const pdfData = await fs.readFile(filePath);
-            const pdfDoc = await PDFDocument.load(pdfData);
+            const { pages } = await new PdfTextExtractor().extract(pdfData, { maxPages });
             
-            const pages = [];
-            const totalPages = pdfDoc.getPageCount();
+            // Drop running headers, footers and page numbers before building page text
+            const bodyPages = new PdfRunningContent().remove(pages);
             
-            // Split text into pages (pdf-parse gives us all text)
-            // This is a simple approach and might not be perfect
-            const textPerPage = Math.ceil(pdfContent.text.length / totalPages);
-            
-            for (let i = 0; i < Math.min(totalPages, maxPages); i++) {
-                const page = pdfDoc.getPage(i);
-                const { width, height } = page.getSize();
-                
-                const startIndex = i * textPerPage;
-                const endIndex = Math.min((i + 1) * textPerPage, pdfContent.text.length);
-                const text = pdfContent.text.substring(startIndex, endIndex).trim();
-                
-                pages.push({
-                    pageNumber: i + 1,
-                    width,
-                    height,
-                    text
-                });
-            }
+            // Headings found from font sizes nest below the outline levels, or below the page sections
+            const layout = new PdfLayout({
+                headingOffset: outline.length > 0 ? Math.min(5, Math.max(...outline.map(entry => entry.level))) : 2
+            });
+            layout.analyze(bodyPages);
             
-            return pages;
+            const anchors = new PdfOutline().byPosition(outline);
+            return bodyPages.map(page => ({
+                ...page,
+                text: layout.renderPage(page, anchors.filter(entry => entry.pageNumber === page.pageNumber))
+            }));
         } catch (error) {
             console.error('[StandardPdfConverter] Failed to extract pages:', error);
             throw error;
@@ -327,57 +329,101 @@ class StandardPdfConverter extends BasePdfConverter {
     }
 
     /**
-     * Generate thumbnails for PDF pages
-     * @param {string} filePath - Path to PDF file
-     * @param {string} outputDir - Output directory
-     * @param {number} pageCount - Number of pages
-     * @returns {Promise<Array>} Array of thumbnail info objects
-     */
-    async generateThumbnails(filePath, outputDir, pageCount) {
-        // This functionality has been removed to eliminate the canvas dependency
-        console.log(`[StandardPdfConverter] Thumbnail generation disabled`);
-        return [];
-    }
-
-    /**
-     * Generate a single page thumbnail
-     * @param {string} filePath - Path to PDF file
-     * @param {string} outputPath - Output path for thumbnail
-     * @param {number} pageNumber - Page number
-     * @param {Object} options - Thumbnail options
-     * @returns {Promise<void>}
+     * Generate markdown from PDF metadata and pages
+     * @param {Object} metadata - PDF metadata
+     * @param {Array} pages - Array of page objects
+     * @returns {string} Markdown content
      */
-    async generatePageThumbnail(filePath, outputPath, pageNumber, options = {}) {
-        // This functionality has been removed to eliminate the canvas dependency
-        console.log(`[StandardPdfConverter] Thumbnail generation disabled for page ${pageNumber}`);
-        return Promise.resolve();
+    generateMarkdown(metadata, pages) {
+        return this.renderPages(pages, metadata.outline);
     }
 
     /**
-     * Generate markdown from PDF metadata and pages
-     * @param {Object} metadata - PDF metadata
+     * Render page sections
+     * 
+     * Without an outline each page is a "## Page N" section. With one, the bookmark
+     * headings carry the structure, so pages are separated by page markers instead and
+     * a linked table of contents comes first.
+     * 
      * @param {Array} pages - Array of page objects
-     * @param {Array} thumbnails - Array of thumbnail info objects (always empty now that thumbnail generation is disabled)
-     * @param {Object} options - Conversion options
+     * @param {Array} [outline] - Bookmarks from extractMetadata
+     * @param {Object} [options] - Rendering options
+     * @param {boolean} [options.contents=true] - Whether to start with the table of contents
      * @returns {string} Markdown content
      */
-    generateMarkdown(metadata, pages, thumbnails, options) {
-        // Start with empty markdown array (no header - handled by standardized frontmatter)
-        const markdown = [];
+    renderPages(pages, outline = [], { contents = true } = {}) {
+        const lastPage = pages.length > 0 ? pages[pages.length - 1].pageNumber : 0;
+        const bookmarks = (outline || []).filter(entry => entry.pageNumber <= lastPage);
+        
+        // Start with empty markdown (no header - handled by standardized frontmatter)
+        let markdown = '';
+        
+        if (bookmarks.length > 0 && contents) {
+            markdown += `## Contents\n\n${new PdfOutline().renderContents(bookmarks)}\n\n`;
+        }
         
         // Add content for each page
         pages.forEach((page) => {
-            markdown.push(`## Page ${page.pageNumber}`);
-            markdown.push('');
-            
-            // No thumbnails are added since thumbnail generation is disabled
-            
-            // Add page text
-            markdown.push(page.text);
-            markdown.push('');
+            // Add page heading or marker, then the text
+            const pageLabel = bookmarks.length > 0
+                ? PageMarkerService.formatPageMarker(page.pageNumber).trim()
+                : `## Page ${page.pageNumber}`;
+            markdown += `${pageLabel}\n\n${page.text}\n\n`;
         });
         
-        return markdown.join('\n');
+        return markdown.replace(/\n$/, '');
+    }
+
+    /**
+     * Split rendered markdown into one note per top-level bookmark
+     * @param {string} markdown - Markdown from renderPages, without a table of contents
+     * @param {Array} outline - Bookmarks from extractMetadata
+     * @param {string} documentTitle - Title of the PDF
+     * @returns {{content: string, files: Array<Object>}} Index note content and chapter notes
+     */
+    splitChapters(markdown, outline, documentTitle) {
+        // Level-1 headings come only from top-level bookmarks, as layout headings nest below them.
+        // They appear in page order, which need not match the outline order
+        const titles = new PdfOutline().byPosition(outline.filter(entry => entry.level === 1)).map(entry => entry.title);
+        const intro = [];
+        const chapters = [];
+        
+        markdown.split('\n').forEach(line => {
+            if (chapters.length < titles.length && line === `# ${titles[chapters.length]}`) {
+                // The page marker just above the heading belongs to the new chapter
+                const previous = chapters.length > 0 ? chapters[chapters.length - 1].lines : intro;
+                const carried = [];
+                while (previous.length > 0 && /^(\[Page \d+\])?$/.test(previous[previous.length - 1])) {
+                    carried.unshift(previous.pop());
+                }
+                chapters.push({ title: titles[chapters.length], lines: [...carried, line] });
+            } else if (chapters.length > 0) {
+                chapters[chapters.length - 1].lines.push(line);
+            } else {
+                intro.push(line);
+            }
+        });
+        
+        const notesDir = `${slugify(documentTitle) || 'pdf'}-chapters`;
+        const files = chapters.map((chapter, index) => ({
+            name: `${notesDir}/${String(index + 1).padStart(2, '0')}-${slugify(chapter.title) || 'chapter'}.md`,
+            type: 'text',
+            content: `${chapter.lines.join('\n').trim()}\n`,
+            metadata: {
+                title: chapter.title,
+                document: documentTitle,
+                chapter: index + 1
+            }
+        }));
+        
+        const contents = files.map((file, index) =>
+            `${index + 1}. [${chapters[index].title.replace(/([\\[\]])/g, '\\$1')}](${file.name.split('/').map(encodeURIComponent).join('/')})`);
+        const introText = intro.join('\n').trim();
+        
+        return {
+            content: `## Contents\n\n${contents.join('\n')}\n${introText ? `\n${introText}\n` : ''}`,
+            files
+        };
     }
 
     /**
@@ -386,14 +432,16 @@ class StandardPdfConverter extends BasePdfConverter {
      * @param {string} name - File name
      * @param {string} apiKey - API key (not used for standard conversion)
      * @param {Object} options - Conversion options
-     * @returns {Promise<Object>} Conversion result
+     * @param {boolean} [options.splitChapters=false] - Write one note per top-level bookmark plus an index note
+     * @returns {Promise<Object>} Conversion result, with chapter notes in files when split
      */
     async convertToMarkdown(content, options = {}) {
+        let tempDir = null;
         try {
             console.log(`[StandardPdfConverter] Converting PDF: ${options.name || 'unnamed'}`);
             
             // Create a temporary file to process
-            const tempDir = await fs.mkdtemp(path.join(require('os').tmpdir(), 'pdf-conversion-'));
+            tempDir = await fs.mkdtemp(path.join(require('os').tmpdir(), 'pdf-conversion-'));
             const tempFile = path.join(tempDir, `${options.name || 'document'}.pdf`);
             
             // Write buffer to temp file
@@ -402,21 +450,9 @@ class StandardPdfConverter extends BasePdfConverter {
             // Extract metadata
             const metadata = await this.extractMetadata(tempFile);
             
-            // Extract text
-            const pdfContent = await pdfParse(content);
-            
-            // Process pages
+            // Extract text page by page
             const maxPages = options.maxPages || metadata.pageCount;
-            const pages = await this.extractPages(tempFile, pdfContent, Math.min(maxPages, metadata.pageCount));
-            
-            // Generate thumbnails if requested
-            let thumbnails = [];
-            if (options.includeImages) {
-                console.log('[StandardPdfConverter] Generating thumbnails for direct conversion');
-                const tempImagesDir = path.join(tempDir, 'thumbnails');
-                await fs.mkdir(tempImagesDir, { recursive: true });
-                thumbnails = await this.generateThumbnails(tempFile, tempImagesDir, Math.min(maxPages, metadata.pageCount));
-            }
+            const pages = await this.extractPages(content, Math.min(maxPages, metadata.pageCount), metadata.outline);
             
             // Get the title from metadata or filename - clean the filename to remove .pdf extension
             const cleanFileName = options.name ? options.name.replace(/\.pdf$/i, '') : 'PDF Document';
@@ -429,18 +465,34 @@ class StandardPdfConverter extends BasePdfConverter {
                 fileType: 'pdf'
             });
             
+            // Split into one note per top-level chapter when asked and the outline allows
+            const splitChapters = options.splitChapters && !options.isPreview
+                && metadata.outline.some(entry => entry.level === 1 && entry.pageNumber <= pages.length);
+            
             // Generate markdown content
-            const markdownContent = this.generateMarkdown(metadata, pages, thumbnails, options);
+            const markdownContent = this.renderPages(pages, metadata.outline, {
+                contents: !splitChapters
+            });
+            
+            if (splitChapters) {
+                const { content: indexContent, files } = this.splitChapters(markdownContent, metadata.outline, fileTitle);
+                console.log(`[StandardPdfConverter] Split into ${files.length} chapter notes`);
+                
+                return {
+                    success: true,
+                    content: frontmatter + indexContent,
+                    files,
+                    pageCount: metadata.pageCount
+                };
+            }
             
             // Combine frontmatter and content
             const finalMarkdown = frontmatter + markdownContent;
             
-            // Clean up temp directory
-            await fs.remove(tempDir);
-            
             return {
                 success: true,
-                content: finalMarkdown
+                content: finalMarkdown,
+                pageCount: metadata.pageCount
             };
         } catch (error) {
             console.error('[StandardPdfConverter] Direct conversion failed:', error);
@@ -449,6 +501,13 @@ class StandardPdfConverter extends BasePdfConverter {
                 error: `PDF conversion failed: ${error.message}`,
                 content: `# Conversion Error\n\nFailed to convert PDF: ${error.message}`
             };
+        } finally {
+            // Clean up temp directory, also when the conversion failed
+            if (tempDir) {
+                await fs.remove(tempDir).catch(err => {
+                    console.error(`[StandardPdfConverter] Failed to clean up temp directory: ${tempDir}`, err);
+                });
+            }
         }
     }
 
@@ -463,8 +522,8 @@ class StandardPdfConverter extends BasePdfConverter {
             description: this.description,
             options: {
                 title: 'Optional document title',
-                includeImages: 'Whether to include page images (default: false)',
-                maxPages: 'Maximum pages to convert (default: all)'
+                maxPages: 'Maximum pages to convert (default: all)',
+                splitChapters: 'Write one note per top-level bookmark plus an index note (default: false)'
             }
         };
     }
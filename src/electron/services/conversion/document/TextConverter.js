@@ -0,0 +1,198 @@
+/**
+ * TextConverter.js
+ * Handles conversion of plain text files to markdown format in the Electron main process.
+ *
+ * This converter:
+ * - Detects the text encoding (UTF-8, UTF-16 LE/BE, Latin-1)
+ * - Normalizes line endings, whitespace and blank lines
+ * - Re-flows hard-wrapped paragraphs while keeping lists and indented blocks intact
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Registers the TXT adapter
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const { decodeText } = require('../../../utils/files/encoding');
+
+// Lines shorter than this are treated as intentional breaks rather than hard wrapping
+const MIN_WRAPPED_LINE_LENGTH = 40;
+const LIST_ITEM_PATTERN = /^\s*([-*+•◦▪]|\d+[.)]|[a-zA-Z][.)])\s+/;
+
+class TextConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.supportedExtensions = ['.txt'];
+    }
+
+    /**
+     * Set up IPC handlers for text conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:txt', this.handleConvert.bind(this));
+        this.registerHandler('convert:txt:preview', this.handlePreview.bind(this));
+    }
+
+    /**
+     * Handle text conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, options = {} }) {
+        try {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            const result = await this.convertToMarkdown(fileResult.content, {
+                ...options,
+                fileName: options.originalFileName || path.basename(filePath)
+            });
+
+            return { content: result };
+        } catch (error) {
+            console.error('[TextConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Handle text preview request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Preview request details
+     */
+    async handlePreview(event, { filePath, options = {} }) {
+        try {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            const result = await this.convertToMarkdown(fileResult.content, {
+                ...options,
+                isPreview: true,
+                fileName: options.originalFileName || path.basename(filePath)
+            });
+
+            return { content: result };
+        } catch (error) {
+            console.error('[TextConverter] Preview generation failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert text content to markdown
+     * @param {Buffer|string} content - Raw text content
+     * @param {Object} options - Conversion options
+     * @param {string} [options.encoding] - Force an encoding instead of detecting it
+     * @returns {Promise<string>} Markdown content
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'document.txt';
+            const { text, encoding } = decodeText(content, options.encoding);
+            console.log(`[TextConverter] Decoded ${fileName} as ${encoding} (${text.length} chars)`);
+
+            let body = this.normalizeParagraphs(text);
+            if (options.isPreview) {
+                body = body.split('\n\n').slice(0, 10).join('\n\n');
+            }
+
+            const { createStandardFrontmatter } = require('../../../converters/utils/metadata');
+            const frontmatter = createStandardFrontmatter({
+                title: path.basename(fileName, path.extname(fileName)),
+                fileType: 'txt'
+            });
+
+            return frontmatter + body + '\n';
+        } catch (error) {
+            console.error('[TextConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Normalize line endings and paragraphs
+     * @param {string} text - Decoded text
+     * @returns {string} Normalized text with paragraphs separated by blank lines
+     */
+    normalizeParagraphs(text) {
+        const cleaned = text
+            .replace(/\r\n?/g, '\n')
+            .replace(/\f/g, '\n\n')
+            // Drop control characters other than tab and newline (C1 controls are kept)
+            .replace(/[^\P{Cc}\t\n\u0080-\u009F]/gu, '')
+            .split('\n')
+            .map(line => line.replace(/\s+$/, ''))
+            .join('\n');
+
+        return cleaned
+            .split(/\n{2,}/)
+            .map(block => this.normalizeBlock(block))
+            .filter(block => block.length > 0)
+            .join('\n\n');
+    }
+
+    /**
+     * Normalize a single blank-line separated block
+     * @param {string} block - Block of lines
+     * @returns {string} Normalized block
+     */
+    normalizeBlock(block) {
+        const lines = block.split('\n').filter(line => line.trim().length > 0);
+        if (lines.length === 0) {
+            return '';
+        }
+
+        // Lists: normalize bullet glyphs to markdown bullets, keep one item per line
+        if (lines.some(line => LIST_ITEM_PATTERN.test(line))) {
+            return lines.map(line => line.replace(/^(\s*)[•◦▪]\s+/, '$1- ')).join('\n');
+        }
+
+        // Indented blocks (code, addresses, tables) keep their layout
+        if (lines.every(line => /^(\s{4}|\t)/.test(line))) {
+            return lines.join('\n');
+        }
+
+        // Hard-wrapped prose: every line but the last is long, so join them
+        const isWrapped = lines.length > 1 &&
+            lines.slice(0, -1).every(line => line.trim().length >= MIN_WRAPPED_LINE_LENGTH);
+        if (isWrapped) {
+            return lines.map(line => line.trim()).join(' ').replace(/ {2,}/g, ' ');
+        }
+
+        // Short lines (poetry, addresses, headings) keep their breaks
+        return lines.map(line => line.trim()).join('  \n');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Text Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts plain text files to markdown',
+            options: {
+                encoding: 'Force a text encoding (default: detected)',
+                isPreview: 'Whether to generate a preview (default: false)'
+            }
+        };
+    }
+}
+
+module.exports = TextConverter;
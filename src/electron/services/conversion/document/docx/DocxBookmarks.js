@@ -0,0 +1,73 @@
+/**
+ * DocxBookmarks.js
+ * Turns internal links in mammoth's HTML into heading links.
+ *
+ * Mammoth writes bookmarks as empty <a id="..."> anchors and internal hyperlinks and
+ * cross-references as <a href="#...">, which mean nothing once the HTML is markdown. This
+ * class resolves each bookmark to its heading: the heading it sits in, or else the heading
+ * before it. Links to a resolved bookmark are marked with data-heading for DocxConverter's
+ * turndown rule ([[#Heading|text]]); links to anything else keep only their text.
+ *
+ * Related Files:
+ * - DocxConverter.js: Renders the heading links
+ * - DocxPackage.js: Turns REF cross-reference fields into internal hyperlinks
+ */
+
+const cheerio = require('cheerio');
+
+// Links DocxNotes resolves itself
+const NOTE_LINK = /^#((foot|end)note(-ref)?|comment(-ref)?)-/;
+
+class DocxBookmarks {
+    /**
+     * Mark internal links with the heading they point to
+     * @param {string} html - Mammoth HTML
+     * @returns {string} HTML with bookmark anchors removed and internal links marked
+     */
+    link(html) {
+        const $ = cheerio.load(html, null, false);
+        const headings = new Map();
+        let current = null;
+
+        $('h1, h2, h3, h4, h5, h6, a[id]').each((i, el) => {
+            if (/^h[1-6]$/.test(el.tagName)) {
+                current = this.headingText($(el).text());
+                return;
+            }
+            const heading = $(el).closest('h1, h2, h3, h4, h5, h6');
+            const text = heading.length > 0 ? this.headingText(heading.text()) : current;
+            if (text) {
+                headings.set($(el).attr('id'), text);
+            }
+        });
+
+        $('a[href^="#"]').each((i, el) => {
+            const href = $(el).attr('href');
+            if (NOTE_LINK.test(href)) {
+                return;
+            }
+            const heading = headings.get(decodeURIComponent(href.slice(1)));
+            if (heading) {
+                $(el).removeAttr('href').attr('data-heading', heading);
+            } else {
+                $(el).replaceWith($(el).contents());
+            }
+        });
+
+        // Bookmark anchors have no content and nothing left points at them
+        $('a[id]:not([href])').filter((i, el) => $(el).contents().length === 0).remove();
+
+        return $.html();
+    }
+
+    /**
+     * Clean heading text for use in a link
+     * @param {string} text - Heading text
+     * @returns {string} Text without the characters links cannot hold
+     */
+    headingText(text) {
+        return text.replace(/[#^|[\]]/g, ' ').replace(/\s+/g, ' ').trim();
+    }
+}
+
+module.exports = DocxBookmarks;
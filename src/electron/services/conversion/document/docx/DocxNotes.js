@@ -0,0 +1,89 @@
+/**
+ * DocxNotes.js
+ * Turns mammoth's footnote, endnote and comment output into markdown-ready pieces.
+ *
+ * Mammoth renders note and comment references as <sup><a href="#footnote-1">[1]</a></sup>
+ * and collects their bodies in a list at the end of the HTML. This class replaces the
+ * references with markers for DocxConverter's turndown rules and takes the bodies out of
+ * the HTML:
+ * - Footnotes and endnotes are numbered together in reading order, as [^1], [^2], ...
+ * - Comments become callouts after the block holding their anchor, or entries in a
+ *   "Comments" section that the anchors (C1, C2, ...) link to
+ *
+ * Related Files:
+ * - DocxConverter.js: Renders the markers and appends the note and comment sections
+ * - DocxPackage.js: Reads comment authors and dates from word/comments.xml
+ */
+
+const cheerio = require('cheerio');
+
+const COMMENT_STYLES = ['callout', 'section', 'omit'];
+
+class DocxNotes {
+    /**
+     * Take notes and comments out of mammoth's HTML
+     * @param {string} html - Mammoth HTML
+     * @param {Object} options - Extraction options
+     * @param {Map<string, Object>} options.commentDetails - Comment authors and dates by ID
+     * @param {string} options.commentStyle - "callout", "section" or "omit"
+     * @returns {{html: string, notes: Object[], comments: Object[]}} HTML with markers, note
+     *   bodies ({label, html}) and section comments ({id, author, date, html})
+     */
+    extract(html, { commentDetails = new Map(), commentStyle = 'callout' } = {}) {
+        if (!COMMENT_STYLES.includes(commentStyle)) {
+            throw new Error(`Unknown comment style: ${commentStyle}`);
+        }
+
+        const $ = cheerio.load(html, null, false);
+        const notes = [];
+        const comments = [];
+
+        $('sup').each((i, el) => {
+            const href = $(el).children('a').first().attr('href') || '';
+            const note = href.match(/^#((?:foot|end)note-[\w-]+)$/);
+            const comment = href.match(/^#comment-([\w-]+)$/);
+
+            if (note) {
+                const body = $(`li[id="${note[1]}"]`);
+                body.find('a[href^="#footnote-ref-"], a[href^="#endnote-ref-"]').remove();
+                const label = String(notes.length + 1);
+                notes.push({ label, html: body.html() || '' });
+                $(el).replaceWith($('<sup></sup>').attr('data-note', label).text(label));
+            } else if (comment) {
+                const body = $(`dt[id="comment-${comment[1]}"]`).next('dd');
+                body.find('a[href^="#comment-ref-"]').remove();
+                const details = commentDetails.get(comment[1]) || {};
+                const entry = {
+                    id: `comment-${comments.length + 1}`,
+                    author: details.author || details.initials || 'Reviewer',
+                    date: details.date || '',
+                    html: body.html() || ''
+                };
+
+                if (commentStyle === 'section') {
+                    comments.push(entry);
+                    $(el).replaceWith($('<sup></sup>').attr('data-comment-ref', entry.id).text(`C${comments.length}`));
+                } else if (commentStyle === 'callout') {
+                    // Place the callout after the top-level block, behind any comments already there
+                    let anchor = $(el).parents().last();
+                    if (anchor.length === 0) anchor = $(el);
+                    while (anchor.next().is('blockquote[data-comment]')) anchor = anchor.next();
+                    anchor.after($('<blockquote></blockquote>')
+                        .attr('data-comment', [entry.author, entry.date].filter(Boolean).join(', '))
+                        .html(entry.html));
+                    $(el).remove();
+                } else {
+                    $(el).remove();
+                }
+            }
+        });
+
+        // The note and comment bodies follow the document; they have been taken out above
+        $('li[id^="footnote-"], li[id^="endnote-"]').parent('ol').remove();
+        $('dt[id^="comment-"]').parent('dl').remove();
+
+        return { html: $.html(), notes, comments };
+    }
+}
+
+module.exports = DocxNotes;
@@ -0,0 +1,213 @@
+/**
+ * DocxPackage.js
+ * Reads the parts of a DOCX package that mammoth does not expose.
+ *
+ * Mammoth converts the document body, but it ignores document properties and comment
+ * authors and dates, it always accepts tracked changes, and it leaves REF cross-reference
+ * fields as plain text. This class reads those parts with JSZip and cheerio. It can also
+ * rewrite the document XML so that mammoth sees the tracked changes the way the user asked
+ * for, and sees cross-references as links to their bookmarks.
+ *
+ * Related Files:
+ * - DocxConverter.js: Opens the package before handing it to mammoth
+ * - DocxNotes.js: Attaches the comment details read here to mammoth's comment output
+ * - DocxBookmarks.js: Resolves the cross-reference links to headings
+ */
+
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+
+// Parts that can carry tracked changes and cross-references
+const BODY_PARTS = ['word/document.xml', 'word/footnotes.xml', 'word/endnotes.xml'];
+const INSERTED = /<w:(ins|moveTo)(?:\s[^>]*?)?(?<!\/)>([\s\S]*?)<\/w:\1>/g;
+const DELETED = /<w:(del|moveFrom)(?:\s[^>]*?)?(?<!\/)>([\s\S]*?)<\/w:\1>/g;
+const TRACKED_CHANGE_MODES = ['accept', 'reject', 'show'];
+// REF fields, as a field instruction or a simple field
+const REF_INSTRUCTION = /<w:instrText(\s[^>]*)?>\s*REF\s+([^\s<\\]+)[^<]*<\/w:instrText>/g;
+const REF_SIMPLE_FIELD = /<w:fldSimple\s[^>]*?w:instr="\s*REF\s+([^\s"\\]+)[^"]*"[^>]*>([\s\S]*?)<\/w:fldSimple>/g;
+
+// Run style IDs given to changed runs in "show" mode, mapped to <ins>/<del> by DocxConverter
+const INSERTION_STYLE = 'TrackedInsertion';
+const DELETION_STYLE = 'TrackedDeletion';
+
+class DocxPackage {
+    constructor(content, zip) {
+        this.content = content;
+        this.zip = zip;
+        this.core = null;
+        this.app = null;
+        this.comments = null;
+        this.modified = false;
+    }
+
+    /**
+     * Open a DOCX package and load its property and comment parts
+     * @param {Buffer} content - DOCX content as buffer
+     * @returns {Promise<DocxPackage>} Opened package
+     */
+    static async open(content) {
+        const pkg = new DocxPackage(content, await JSZip.loadAsync(content));
+        pkg.core = await pkg.loadXml('docProps/core.xml');
+        pkg.app = await pkg.loadXml('docProps/app.xml');
+        pkg.comments = await pkg.loadXml('word/comments.xml');
+        return pkg;
+    }
+
+    /**
+     * Load an XML part
+     * @param {string} name - Part path inside the package
+     * @returns {Promise<Function|null>} Cheerio root, or null if the part is missing
+     */
+    async loadXml(name) {
+        const entry = this.zip.file(name);
+        return entry ? cheerio.load(await entry.async('string'), { xmlMode: true }) : null;
+    }
+
+    /**
+     * Read document properties from docProps/core.xml and docProps/app.xml
+     * @returns {Object} Properties that are set: title, author, lastModifiedBy, created,
+     *   modified, subject, description, category, keywords, wordCount and pageCount
+     */
+    readProperties() {
+        const text = ($, selector) => ($ ? $(selector).first().text().replace(/\s+/g, ' ').trim() : '');
+        const number = selector => {
+            const value = parseInt(text(this.app, selector), 10);
+            return Number.isNaN(value) ? undefined : value;
+        };
+
+        const properties = {
+            title: text(this.core, 'dc\\:title'),
+            author: text(this.core, 'dc\\:creator'),
+            lastModifiedBy: text(this.core, 'cp\\:lastModifiedBy'),
+            created: text(this.core, 'dcterms\\:created'),
+            modified: text(this.core, 'dcterms\\:modified'),
+            subject: text(this.core, 'dc\\:subject'),
+            description: text(this.core, 'dc\\:description'),
+            category: text(this.core, 'cp\\:category'),
+            keywords: text(this.core, 'cp\\:keywords').split(/[,;]/).map(keyword => keyword.trim()).filter(Boolean),
+            wordCount: number('Words'),
+            pageCount: number('Pages')
+        };
+
+        // Drop properties the document leaves empty
+        return Object.fromEntries(Object.entries(properties).filter(([, value]) => (
+            value !== undefined && value !== '' && !(Array.isArray(value) && value.length === 0)
+        )));
+    }
+
+    /**
+     * Read comment authors and dates from word/comments.xml
+     * @returns {Map<string, Object>} Comment details (author, initials, date) by comment ID
+     */
+    readComments() {
+        const comments = new Map();
+        if (!this.comments) {
+            return comments;
+        }
+        this.comments('w\\:comment').each((i, el) => {
+            comments.set(el.attribs['w:id'], {
+                author: el.attribs['w:author'] || '',
+                initials: el.attribs['w:initials'] || '',
+                date: (el.attribs['w:date'] || '').slice(0, 10)
+            });
+        });
+        return comments;
+    }
+
+    /**
+     * Resolve tracked changes the way mammoth should see them
+     * @param {string} mode - "accept" (mammoth's own behaviour), "reject" or "show"
+     * @returns {Promise<void>}
+     */
+    async applyTrackedChanges(mode) {
+        if (!TRACKED_CHANGE_MODES.includes(mode)) {
+            throw new Error(`Unknown tracked changes mode: ${mode}`);
+        }
+        if (mode !== 'accept') {
+            await this.rewriteParts(xml => this.rewriteRevisions(xml, mode));
+        }
+    }
+
+    /**
+     * Turn REF cross-reference fields into hyperlinks to their bookmarks, which mammoth
+     * writes as internal links
+     * @returns {Promise<void>}
+     */
+    async linkCrossReferences() {
+        await this.rewriteParts(xml => xml
+            .replace(REF_INSTRUCTION, (match, attributes, bookmark) => (
+                `<w:instrText${attributes || ''}> HYPERLINK \\l "${bookmark}" </w:instrText>`
+            ))
+            .replace(REF_SIMPLE_FIELD, (match, bookmark, runs) => (
+                `<w:hyperlink w:anchor="${bookmark}">${runs}</w:hyperlink>`
+            )));
+    }
+
+    /**
+     * Get the package content for mammoth
+     * @returns {Promise<Buffer>} DOCX content, regenerated if any part was rewritten
+     */
+    async getContent() {
+        return this.modified ? this.zip.generateAsync({ type: 'nodebuffer' }) : this.content;
+    }
+
+    /**
+     * Rewrite the parts holding document text
+     * @param {Function} rewrite - Takes and returns part XML
+     * @returns {Promise<void>}
+     */
+    async rewriteParts(rewrite) {
+        for (const name of BODY_PARTS) {
+            const entry = this.zip.file(name);
+            if (!entry) continue;
+            const xml = await entry.async('string');
+            const rewritten = rewrite(xml);
+            if (rewritten !== xml) {
+                this.zip.file(name, rewritten);
+                this.modified = true;
+            }
+        }
+    }
+
+    /**
+     * Rewrite insertions and deletions in one XML part
+     * @param {string} xml - Part XML
+     * @param {string} mode - "reject" or "show"
+     * @returns {string} Rewritten XML
+     */
+    rewriteRevisions(xml, mode) {
+        // Deleted text is stored as w:delText, which mammoth skips
+        const restore = runs => runs
+            .replace(/<w:delText\b/g, '<w:t')
+            .replace(/<\/w:delText>/g, '</w:t>')
+            .replace(/<w:delInstrText\b/g, '<w:instrText')
+            .replace(/<\/w:delInstrText>/g, '</w:instrText>');
+
+        if (mode === 'reject') {
+            return xml
+                .replace(INSERTED, '')
+                .replace(DELETED, (match, tag, runs) => restore(runs));
+        }
+        return xml
+            .replace(INSERTED, (match, tag, runs) => this.markRuns(runs, INSERTION_STYLE))
+            .replace(DELETED, (match, tag, runs) => this.markRuns(restore(runs), DELETION_STYLE));
+    }
+
+    /**
+     * Give every run a run style, replacing any style it had
+     * @param {string} runs - Run XML
+     * @param {string} styleId - Run style ID
+     * @returns {string} Run XML with the style applied
+     */
+    markRuns(runs, styleId) {
+        return runs.replace(/<w:r(\s[^>]*)?>(\s*<w:rPr>([\s\S]*?)<\/w:rPr>)?/g, (match, attributes, rPr, properties) => {
+            const rest = (properties || '').replace(/<w:rStyle\b[^>]*\/>/g, '');
+            return `<w:r${attributes || ''}><w:rPr><w:rStyle w:val="${styleId}"/>${rest}</w:rPr>`;
+        });
+    }
+}
+
+DocxPackage.INSERTION_STYLE = INSERTION_STYLE;
+DocxPackage.DELETION_STYLE = DELETION_STYLE;
+
+module.exports = DocxPackage;
@@ -0,0 +1,120 @@
+/**
+ * DocxStyles.js
+ * Builds the mammoth style map used by DocxConverter.
+ *
+ * Mammoth only knows Word's built-in heading styles, so paragraphs in custom template
+ * styles ("Title", "Heading 1 Numbered", "Code") come out as plain paragraphs. This class
+ * combines three sets of rules, in order of precedence:
+ * - Style mappings from the user's settings profile, as {style, target} pairs
+ * - Defaults for common template styles
+ * - List rules for all nine Word list levels (mammoth's own map stops at five)
+ *
+ * Targets are heading1 to heading6, code, quote and callout. Callouts are written as
+ * blockquotes with a docx-callout-<type> class, which DocxConverter renders as callouts.
+ *
+ * Related Files:
+ * - DocxConverter.js: Passes the style map to mammoth and renders the callouts
+ * - src/electron/ipc/handlers/settings.js: Stores the style mapping profiles
+ */
+
+const STYLE_TARGETS = ['heading1', 'heading2', 'heading3', 'heading4', 'heading5', 'heading6', 'code', 'quote', 'callout'];
+const CALLOUT_CLASS_PREFIX = 'docx-callout-';
+const LIST_LEVELS = 9;
+
+// Template styles mapped without any settings
+const DEFAULT_STYLE_MAPPINGS = [
+    { style: 'Title', target: 'heading1' },
+    { style: 'Code', target: 'code' },
+    { style: 'HTML Preformatted', target: 'code' },
+    { style: 'Source Code', target: 'code' },
+    { style: 'Quote', target: 'quote' },
+    { style: 'Intense Quote', target: 'quote' }
+];
+
+class DocxStyles {
+    /**
+     * @param {Object[]} [mappings=[]] - User style mappings
+     * @param {string} mappings[].style - Word paragraph style name
+     * @param {string} mappings[].target - One of STYLE_TARGETS
+     * @param {string} [mappings[].calloutType='note'] - Callout type for the callout target
+     */
+    constructor(mappings = []) {
+        this.mappings = Array.isArray(mappings) ? mappings : [];
+    }
+
+    /**
+     * Build the style map
+     * @returns {string[]} Mammoth style map rules
+     */
+    build() {
+        const rules = [...this.mappings, ...DEFAULT_STYLE_MAPPINGS]
+            .map(mapping => this.rule(mapping))
+            .filter(Boolean);
+
+        // Numbered variants of the heading styles, such as "Heading 2 Numbered"
+        for (let level = 1; level <= 6; level++) {
+            rules.push(`p[style-name^='Heading ${level} '] => h${level}:fresh`);
+        }
+
+        return [...rules, ...this.listRules()];
+    }
+
+    /**
+     * Turn one style mapping into a mammoth rule
+     * @param {Object} mapping - Style mapping
+     * @returns {string|null} Mammoth rule, or null if the mapping is incomplete or unknown
+     */
+    rule(mapping) {
+        const style = String((mapping && mapping.style) || '').trim();
+        const target = mapping && mapping.target;
+        if (!style) {
+            return null;
+        }
+        if (!STYLE_TARGETS.includes(target)) {
+            console.warn(`[DocxStyles] Ignoring mapping for "${style}": unknown target ${target}`);
+            return null;
+        }
+
+        const selector = `p[style-name='${style.replace(/[\\']/g, '\\$&')}']`;
+        if (target.startsWith('heading')) {
+            return `${selector} => h${target.slice(-1)}:fresh`;
+        }
+        if (target === 'code') {
+            // Consecutive code paragraphs share one block
+            return `${selector} => pre > code:separator('\\n')`;
+        }
+        if (target === 'quote') {
+            return `${selector} => blockquote > p:fresh`;
+        }
+        const type = String(mapping.calloutType || 'note').toLowerCase().replace(/[^a-z0-9-]/g, '') || 'note';
+        return `${selector} => blockquote.${CALLOUT_CLASS_PREFIX}${type} > p:fresh`;
+    }
+
+    /**
+     * Build list rules for every Word list level
+     * @returns {string[]} Mammoth list rules
+     */
+    listRules() {
+        const rules = [];
+        for (let level = 1; level <= LIST_LEVELS; level++) {
+            const parents = 'ul|ol > li > '.repeat(level - 1);
+            rules.push(`p:unordered-list(${level}) => ${parents}ul > li:fresh`);
+            rules.push(`p:ordered-list(${level}) => ${parents}ol > li:fresh`);
+        }
+        return rules;
+    }
+
+    /**
+     * Get the callout type of a blockquote written for the callout target
+     * @param {Element} node - Blockquote element
+     * @returns {string|null} Callout type, or null for other blockquotes
+     */
+    static calloutType(node) {
+        const match = (node.getAttribute('class') || '').match(new RegExp(`(?:^|\\s)${CALLOUT_CLASS_PREFIX}([\\w-]+)`));
+        return match ? match[1] : null;
+    }
+}
+
+DocxStyles.STYLE_TARGETS = STYLE_TARGETS;
+
+module.exports = DocxStyles;
@@ -0,0 +1,214 @@
+/**
+ * DocxTables.js
+ * Renders the tables in mammoth's HTML as markdown.
+ *
+ * GFM tables cannot hold merged cells, several paragraphs, lists or nested tables. This
+ * class converts each cell with the caller's turndown service, so inline formatting, links
+ * and note markers survive, and picks an output per table:
+ * - Simple tables become GFM tables, with the first row as the header
+ * - In "html" mode, any table GFM cannot represent becomes a clean HTML table
+ * - In "expand" mode, merged cells are expanded by repeating their value, and paragraphs and
+ *   list items in a cell are joined with <br>; only nested tables still need HTML
+ *
+ * Related Files:
+ * - DocxConverter.js: Calls render() from its turndown table rule
+ */
+
+const COMPLEX_TABLE_MODES = ['html', 'expand'];
+// Attributes kept when a table is written as HTML
+const KEPT_ATTRIBUTES = ['colspan', 'rowspan', 'href', 'src', 'alt'];
+// Marker attributes set by DocxNotes and DocxBookmarks, which the turndown rules turn into links
+const MARKER_ATTRIBUTES = ['data-note', 'data-comment-ref', 'data-heading'];
+// Elements that make a cell more than a line of inline content
+const BLOCK_CONTENT = /^(UL|OL|PRE|BLOCKQUOTE|H[1-6])$/;
+
+class DocxTables {
+    /**
+     * @param {Object} turndownService - Turndown service used for cell content
+     * @param {string} [mode='html'] - "html" or "expand" for tables GFM cannot represent
+     */
+    constructor(turndownService, mode = 'html') {
+        if (!COMPLEX_TABLE_MODES.includes(mode)) {
+            throw new Error(`Unknown complex table mode: ${mode}`);
+        }
+        this.turndownService = turndownService;
+        this.mode = mode;
+    }
+
+    /**
+     * Render a table element
+     * @param {HTMLTableElement} table - Table from mammoth's HTML
+     * @returns {string} Markdown or HTML table, surrounded by blank lines
+     */
+    render(table) {
+        const rows = Array.from(table.rows);
+        if (rows.length === 0) {
+            return '';
+        }
+
+        const cells = rows.flatMap(row => Array.from(row.cells));
+        const merged = cells.some(cell => this.span(cell, 'colspan') > 1 || this.span(cell, 'rowspan') > 1);
+        const nestedTable = cells.some(cell => cell.getElementsByTagName('table').length > 0);
+        const blockContent = cells.some(cell => this.hasBlockContent(cell));
+
+        const useHtml = nestedTable || (this.mode === 'html' && (merged || blockContent));
+        return `\n\n${useHtml ? this.renderHtml(rows) : this.renderMarkdown(rows)}\n\n`;
+    }
+
+    /**
+     * Render rows as a GFM table, repeating merged cells in every position they cover
+     * @param {HTMLTableRowElement[]} rows - Table rows
+     * @returns {string} GFM table
+     */
+    renderMarkdown(rows) {
+        const grid = this.buildGrid(rows);
+        const columnCount = Math.max(...grid.map(row => row.length));
+        const text = new Map();
+        const cellText = cell => {
+            if (!cell) return '';
+            if (!text.has(cell)) text.set(cell, this.inlineMarkdown(cell));
+            return text.get(cell);
+        };
+
+        const lines = grid.map(row => {
+            const values = [];
+            for (let c = 0; c < columnCount; c++) {
+                values.push(cellText(row[c]));
+            }
+            return `| ${values.join(' | ')} |`;
+        });
+        lines.splice(1, 0, `| ${new Array(columnCount).fill('---').join(' | ')} |`);
+        return lines.join('\n');
+    }
+
+    /**
+     * Lay cells out on a grid, so a merged cell fills every position it covers
+     * @param {HTMLTableRowElement[]} rows - Table rows
+     * @returns {Array<Array<HTMLTableCellElement>>} Cells by row and column
+     */
+    buildGrid(rows) {
+        const grid = rows.map(() => []);
+        rows.forEach((row, r) => {
+            let c = 0;
+            Array.from(row.cells).forEach(cell => {
+                while (grid[r][c]) c++;
+                const colspan = this.span(cell, 'colspan');
+                const rowspan = Math.min(this.span(cell, 'rowspan'), rows.length - r);
+                for (let dr = 0; dr < rowspan; dr++) {
+                    for (let dc = 0; dc < colspan; dc++) {
+                        grid[r + dr][c + dc] = cell;
+                    }
+                }
+                c += colspan;
+            });
+        });
+        return grid;
+    }
+
+    /**
+     * Convert a cell to one line of markdown
+     * @param {HTMLTableCellElement} cell - Table cell
+     * @returns {string} Cell markdown, with lines joined by <br> and pipes escaped
+     */
+    inlineMarkdown(cell) {
+        return this.turndownService.turndown(cell.innerHTML)
+            .split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .join('<br>')
+            .replace(/(^|[^\\])\|/g, '$1\\|');
+    }
+
+    /**
+     * Render rows as an HTML table, keeping spans and inline markup
+     * @param {HTMLTableRowElement[]} rows - Table rows
+     * @returns {string} HTML table
+     */
+    renderHtml(rows) {
+        const lines = ['<table>'];
+        rows.forEach(row => {
+            const cells = Array.from(row.cells).map(cell => {
+                const tag = cell.nodeName.toLowerCase();
+                // A single paragraph needs no <p> inside the cell
+                const children = Array.from(cell.childNodes);
+                const content = children.length === 1 && children[0].nodeName === 'P' ? children[0].childNodes : children;
+                return `<${tag}${this.attributes(cell)}>${Array.from(content).map(node => this.serialize(node)).join('')}</${tag}>`;
+            });
+            lines.push(`<tr>${cells.join('')}</tr>`);
+        });
+        lines.push('</table>');
+        return lines.join('\n');
+    }
+
+    /**
+     * Serialize a node without mammoth's IDs and the converter's marker attributes
+     * @param {Node} node - DOM node
+     * @returns {string} HTML
+     */
+    serialize(node) {
+        if (node.nodeType === 3) {
+            return this.escape(node.nodeValue);
+        }
+        if (node.nodeType !== 1) {
+            return '';
+        }
+        const tag = node.nodeName.toLowerCase();
+        if (tag === 'table') {
+            return this.renderHtml(Array.from(node.rows));
+        }
+        if (MARKER_ATTRIBUTES.some(name => node.hasAttribute(name))) {
+            // Note references and heading links use the same markdown as outside tables,
+            // so footnote definitions and comment anchors still have their references
+            return this.escape(this.turndownService.turndown(node.outerHTML));
+        }
+        if (tag === 'img' || tag === 'br') {
+            return `<${tag}${this.attributes(node)}>`;
+        }
+        const inner = Array.from(node.childNodes).map(child => this.serialize(child)).join('');
+        return `<${tag}${this.attributes(node)}>${inner}</${tag}>`;
+    }
+
+    /**
+     * Serialize the attributes worth keeping
+     * @param {Element} node - DOM element
+     * @returns {string} Attribute HTML with a leading space, or ''
+     */
+    attributes(node) {
+        return KEPT_ATTRIBUTES
+            .filter(name => node.getAttribute(name) && !(name.endsWith('span') && node.getAttribute(name) === '1'))
+            .map(name => ` ${name}="${this.escape(node.getAttribute(name))}"`)
+            .join('');
+    }
+
+    /**
+     * Escape text for HTML
+     * @param {string} text - Text
+     * @returns {string} Escaped text
+     */
+    escape(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Read a colspan or rowspan
+     * @param {HTMLTableCellElement} cell - Table cell
+     * @param {string} name - "colspan" or "rowspan"
+     * @returns {number} Span, at least 1
+     */
+    span(cell, name) {
+        return parseInt(cell.getAttribute(name), 10) || 1;
+    }
+
+    /**
+     * Check whether a cell holds more than one paragraph or any block element
+     * @param {HTMLTableCellElement} cell - Table cell
+     * @returns {boolean} True if the cell cannot be one line of inline content
+     */
+    hasBlockContent(cell) {
+        const children = Array.from(cell.children || []);
+        return children.filter(child => child.nodeName === 'P').length > 1
+            || children.some(child => BLOCK_CONTENT.test(child.nodeName));
+    }
+}
+
+module.exports = DocxTables;
@@ -0,0 +1,170 @@
+/**
+ * MarkdownBlocks.js
+ * Markdown output shared by the lightweight markup converters (reStructuredText, Org-mode, AsciiDoc).
+ *
+ * The three formats have their own syntax for code blocks, admonitions, tables and
+ * cross-references but map to the same markdown: fenced code, Obsidian callouts,
+ * pipe tables and [[#heading]] links. Parsing stays in each converter; this class
+ * only produces the markdown lines.
+ *
+ * Related Files:
+ * - RstConverter.js, OrgConverter.js, AsciiDocConverter.js: Parse their formats into these blocks
+ * - ../pdf/PdfLayout.js: Renders the tables it finds in PDF pages
+ */
+
+// Characters Obsidian drops from heading links
+const HEADING_LINK_UNSAFE = /[#|^:[\]]/g;
+
+// Admonition names without a callout of the same name
+const CALLOUT_TYPES = {
+    admonition: 'note',
+    attention: 'warning',
+    seealso: 'info',
+    sidebar: 'abstract',
+    versionadded: 'info',
+    versionchanged: 'info',
+    deprecated: 'warning'
+};
+
+const INDENT = '    ';
+
+class MarkdownBlocks {
+    /**
+     * Fence code lines, using a fence longer than any backtick run inside them
+     * @param {string} language - Fence language, or '' for none
+     * @param {string[]} lines - Code lines
+     * @returns {string[]} Markdown lines
+     */
+    fence(language, lines) {
+        const longest = Math.max(2, ...lines.map(line => Math.max(0, ...(line.match(/`+/g) || []).map(run => run.length))));
+        const fence = '`'.repeat(longest + 1);
+        return [`${fence}${language || ''}`, ...this.trimBlankLines(lines), fence];
+    }
+
+    /**
+     * Quote markdown lines
+     * @param {string[]} lines - Markdown lines
+     * @returns {string[]} Quoted lines
+     */
+    quote(lines) {
+        // Nested blocks each add blank lines around themselves; keep one between paragraphs
+        const body = this.join(lines);
+        return body ? body.split('\n').map(line => (line ? `> ${line}` : '>')) : [];
+    }
+
+    /**
+     * Render an admonition as an Obsidian callout
+     * @param {string} kind - Admonition name, e.g. "note" or "warning"
+     * @param {string} [title] - Callout title
+     * @param {string[]} lines - Markdown body lines
+     * @returns {string[]} Markdown lines
+     */
+    callout(kind, title, lines) {
+        const name = kind.toLowerCase();
+        const type = CALLOUT_TYPES[name] || name;
+        return [`> [!${type}]${title ? ` ${title}` : ''}`, ...this.quote(lines)];
+    }
+
+    /**
+     * Render rows of inline markdown as a pipe table; the first row is the header
+     * @param {string[][]} rows - Cells by row
+     * @returns {string[]} Markdown lines
+     */
+    table(rows) {
+        if (rows.length === 0) {
+            return [];
+        }
+        const columnCount = Math.max(...rows.map(cells => cells.length));
+        const lines = rows.map(cells => {
+            const values = [];
+            for (let c = 0; c < columnCount; c++) {
+                values.push(String(cells[c] || '').replace(/\s*\n\s*/g, '<br>').replace(/(^|[^\\])\|/g, '$1\\|').trim());
+            }
+            return '| ' + values.join(' | ') + ' |';
+        });
+        lines.splice(1, 0, '| ' + new Array(columnCount).fill('---').join(' | ') + ' |');
+        return lines;
+    }
+
+    /**
+     * Render a list item, indenting its continuation lines under the marker
+     * @param {string} marker - List marker, e.g. "-", "1." or "- [x]"
+     * @param {string[]} lines - Markdown lines of the item's content
+     * @returns {string[]} Markdown lines
+     */
+    listItem(marker, lines) {
+        const content = this.trimBlankLines(lines);
+        // Blank lines before a nested list would make the list loose
+        const compact = content.filter((line, index) => line !== '' || !/^(\s*([-*+]|\d+\.) |$)/.test(content[index + 1]));
+        if (compact.length === 0) {
+            return [marker];
+        }
+        return compact.map((line, index) => {
+            if (index === 0) return `${marker} ${line}`;
+            return line ? `${INDENT}${line}` : '';
+        });
+    }
+
+    /**
+     * Link to a heading in the same note
+     * @param {string} heading - Heading text
+     * @param {string} [label] - Link text, if different from the heading
+     * @returns {string} Obsidian link
+     */
+    headingLink(heading, label) {
+        const target = this.toHeadingLink(heading);
+        return label && label !== heading ? `[[#${target}|${label}]]` : `[[#${target}]]`;
+    }
+
+    /**
+     * Link to another converted document, optionally at a heading
+     * @param {string} document - Document path without extension
+     * @param {string} [heading] - Heading in that document
+     * @param {string} [label] - Link text
+     * @returns {string} Obsidian link
+     */
+    documentLink(document, heading, label) {
+        const target = `${document}${heading ? `#${this.toHeadingLink(heading)}` : ''}`;
+        return label ? `[[${target}|${label}]]` : `[[${target}]]`;
+    }
+
+    /**
+     * Convert heading text to the form Obsidian uses in [[#heading]] links
+     * @param {string} heading - Heading text
+     * @returns {string} Link target
+     */
+    toHeadingLink(heading) {
+        return heading.replace(HEADING_LINK_UNSAFE, ' ').replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Join blocks with single blank lines
+     * @param {string[]} lines - Markdown lines
+     * @returns {string} Markdown with runs of blank lines collapsed outside code fences
+     */
+    join(lines) {
+        const output = [];
+        let fence = null;
+        this.trimBlankLines(lines).forEach(line => {
+            const marker = line.match(/^(`{3,})/);
+            if (marker && (fence === null || marker[1] === fence)) {
+                fence = fence === null ? marker[1] : null;
+            }
+            if (fence === null && line === '' && output[output.length - 1] === '') {
+                return;
+            }
+            output.push(line);
+        });
+        return output.join('\n');
+    }
+
+    trimBlankLines(lines) {
+        let start = 0;
+        let end = lines.length;
+        while (start < end && lines[start].trim() === '') start++;
+        while (end > start && lines[end - 1].trim() === '') end--;
+        return lines.slice(start, end);
+    }
+}
+
+module.exports = MarkdownBlocks;
@@ -210,20 +210,21 @@ class MistralApiClient {
 
   /**
    * Process document with OCR using the provided signed URL
-   * @param {string} documentUrl - Signed URL for the document
+   * @param {string} documentUrl - Signed URL for the document, or a data:image/... URL for a single image
    * @param {Object} options - OCR options
    * @returns {Promise<Object>} OCR result
    */
   async processOcr(documentUrl, options = {}) {
     try {
-      console.log('[MistralApiClient] Calling OCR API with signed URL');
+      // Images can be sent inline without uploading them first
+      const isImage = documentUrl.startsWith('data:image/');
+      console.log(`[MistralApiClient] Calling OCR API with ${isImage ? 'inline image' : 'signed URL'}`);
       
       const requestBody = {
         model: options.model || "mistral-ocr-latest",
-        document: {
-          type: "document_url",
-          document_url: documentUrl
-        },
+        document: isImage
+          ? { type: "image_url", image_url: documentUrl }
+          : { type: "document_url", document_url: documentUrl },
         include_image_base64: false
       };
 
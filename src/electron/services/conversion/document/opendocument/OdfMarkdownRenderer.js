@@ -0,0 +1,405 @@
+/**
+ * OdfMarkdownRenderer.js
+ * Renders OpenDocument text content (paragraphs, headings, lists, tables, frames) to markdown.
+ *
+ * Walks the parsed content.xml directly rather than going through HTML, so list
+ * numbering, heading levels and character styles come from the package's own
+ * style definitions. Footnotes are collected while rendering and emitted as
+ * markdown footnote definitions by render().
+ *
+ * Related Files:
+ * - OdfPackage.js: Provides parsed XML, style lookups and image registration
+ * - OdtConverter.js, OdpConverter.js: Render document and slide content with this class
+ */
+
+// Elements with no visible content in the converted note
+const SKIPPED_ELEMENTS = new Set([
+    'text:table-of-content',
+    'text:tracked-changes',
+    'text:sequence-decls',
+    'text:variable-decls',
+    'text:user-field-decls',
+    'office:forms',
+    'office:annotation',
+    'office:annotation-end',
+    'table:named-expressions',
+    'text:soft-page-break',
+    'text:bookmark',
+    'text:bookmark-start',
+    'text:bookmark-end',
+    'text:reference-mark',
+    'text:reference-mark-start',
+    'text:reference-mark-end',
+    'text:change',
+    'text:change-start',
+    'text:change-end',
+    'svg:title',
+    'svg:desc'
+]);
+
+const INDENT = '    ';
+
+class OdfMarkdownRenderer {
+    /**
+     * @param {OdfPackage} pkg - Opened OpenDocument package
+     */
+    constructor(pkg) {
+        this.pkg = pkg;
+        this.footnotes = [];
+    }
+
+    /**
+     * Render block content followed by any collected footnotes
+     * @param {Object[]} nodes - Block-level nodes
+     * @returns {string} Markdown
+     */
+    render(nodes) {
+        const blocks = this.renderBlocks(nodes);
+        const footnotes = this.renderFootnotes();
+        if (footnotes) {
+            blocks.push(footnotes);
+        }
+        return blocks.join('\n\n');
+    }
+
+    /**
+     * Render the footnotes collected so far as markdown definitions
+     * @returns {string} Footnote definitions, or an empty string
+     */
+    renderFootnotes() {
+        return this.footnotes.map((note, i) => `[^${i + 1}]: ${note}`).join('\n');
+    }
+
+    /**
+     * Render a sequence of block-level nodes
+     * @param {Object[]} nodes - Nodes to render
+     * @returns {string[]} Non-empty markdown blocks
+     */
+    renderBlocks(nodes) {
+        const blocks = [];
+        (nodes || []).forEach(node => {
+            if (node.type !== 'tag' || SKIPPED_ELEMENTS.has(node.name)) return;
+
+            switch (node.name) {
+                case 'text:h':
+                    blocks.push(this.renderHeading(node));
+                    break;
+                case 'text:p':
+                    blocks.push(this.renderParagraph(node));
+                    break;
+                case 'text:list':
+                    blocks.push(this.renderList(node, 1, null).join('\n'));
+                    break;
+                case 'table:table':
+                    blocks.push(this.renderTable(node));
+                    break;
+                case 'draw:frame':
+                    blocks.push(this.renderFrame(node, true));
+                    break;
+                default:
+                    // Sections, groups, shapes and other containers
+                    blocks.push(...this.renderBlocks(node.children));
+            }
+        });
+        return blocks.filter(block => block && block.trim());
+    }
+
+    /**
+     * Render a text:h heading
+     * @param {Object} node - text:h element
+     * @returns {string} Markdown heading
+     */
+    renderHeading(node) {
+        const level = Math.min(Math.max(parseInt(node.attribs['text:outline-level'], 10) || 1, 1), 6);
+        const text = this.renderInline(node).replace(/\s*\n\s*/g, ' ').trim();
+        return text ? `${'#'.repeat(level)} ${text}` : '';
+    }
+
+    /**
+     * Render a paragraph, mapping Title, Heading and Quotations styles to markdown
+     * @param {Object} node - text:p element
+     * @returns {string} Markdown paragraph
+     */
+    renderParagraph(node) {
+        const styleName = node.attribs['text:style-name'];
+        const text = this.renderInline(node).trim();
+        if (!text) return '';
+
+        const chain = this.pkg.getParagraphStyleChain(styleName);
+        const headingStyle = chain.find(name => /^(Title|Heading_20_[1-6])$/.test(name));
+        if (headingStyle) {
+            const level = headingStyle === 'Title' ? 1 : parseInt(headingStyle.slice(-1), 10);
+            return `${'#'.repeat(level)} ${text.replace(/\s*\n\s*/g, ' ')}`;
+        }
+
+        const paragraph = this.escapeLineStart(this.wrapFormat(text, this.pkg.getTextFormat(styleName, 'paragraph')));
+        if (chain.includes('Quotations')) {
+            return paragraph.split('\n').map(line => `> ${line}`).join('\n');
+        }
+        return paragraph;
+    }
+
+    /**
+     * Render a text:list, numbering items from the list style
+     * @param {Object} node - text:list element
+     * @param {number} level - 1-based nesting level
+     * @param {string|null} inheritedStyle - List style of the enclosing list
+     * @returns {string[]} Markdown lines
+     */
+    renderList(node, level, inheritedStyle) {
+        const styleName = node.attribs['text:style-name'] || inheritedStyle;
+        const ordered = this.pkg.isOrderedList(styleName, level);
+        const indent = INDENT.repeat(level - 1);
+        const lines = [];
+        let number = 1;
+
+        this.pkg.childElements(node).forEach(item => {
+            if (item.name !== 'text:list-item' && item.name !== 'text:list-header') return;
+
+            const startValue = parseInt(item.attribs['text:start-value'], 10);
+            if (startValue) number = startValue;
+            const marker = item.name === 'text:list-header' ? '' : (ordered ? `${number++}. ` : '- ');
+            let first = true;
+
+            this.pkg.childElements(item).forEach(child => {
+                if (child.name === 'text:list') {
+                    lines.push(...this.renderList(child, level + 1, styleName));
+                    return;
+                }
+                const block = this.renderBlocks([child]).join('\n\n');
+                if (!block) return;
+
+                const [head, ...rest] = block.split('\n');
+                lines.push(`${indent}${first ? marker : INDENT}${head}`);
+                rest.forEach(line => lines.push(line ? `${indent}${INDENT}${line}` : ''));
+                first = false;
+            });
+        });
+
+        return lines;
+    }
+
+    /**
+     * Render a table:table as a markdown table, using the first row as the header
+     * @param {Object} node - table:table element
+     * @returns {string} Markdown table
+     */
+    renderTable(node) {
+        const rows = this.collectRows(node).map(row => this.expandCells(row, cell => this.renderCell(cell)));
+        return this.formatTable(rows).join('\n');
+    }
+
+    /**
+     * Collect table rows from header, body and grouped row containers
+     * @param {Object} node - table:table or row container element
+     * @returns {Object[]} table:table-row elements in document order
+     */
+    collectRows(node) {
+        const rows = [];
+        this.pkg.childElements(node).forEach(child => {
+            if (child.name === 'table:table-row') {
+                rows.push(child);
+            } else if (/^table:table-(header-rows|rows|row-group)$/.test(child.name)) {
+                rows.push(...this.collectRows(child));
+            }
+        });
+        return rows;
+    }
+
+    /**
+     * Expand a row's cells, honouring column repeats and dropping trailing empty cells
+     * @param {Object} row - table:table-row element
+     * @param {Function} renderCell - Maps a cell element to its text
+     * @returns {string[]} Cell texts
+     */
+    expandCells(row, renderCell) {
+        const runs = this.pkg.childElements(row)
+            .filter(cell => cell.name === 'table:table-cell' || cell.name === 'table:covered-table-cell')
+            .map(cell => ({
+                text: cell.name === 'table:covered-table-cell' ? '' : renderCell(cell),
+                repeat: parseInt(cell.attribs['table:number-columns-repeated'], 10) || 1
+            }));
+
+        // Spreadsheets pad rows with one empty cell repeated to the last column
+        while (runs.length > 0 && !runs[runs.length - 1].text) {
+            runs.pop();
+        }
+
+        const cells = [];
+        runs.forEach(run => {
+            for (let i = 0; i < run.repeat; i++) cells.push(run.text);
+        });
+        return cells;
+    }
+
+    /**
+     * Render the content of a table cell on a single line
+     * @param {Object} cell - table:table-cell element
+     * @returns {string} Cell text
+     */
+    renderCell(cell) {
+        return this.renderBlocks(cell.children)
+            .join('\n')
+            .replace(/ *\n+/g, '<br>')
+            .replace(/\|/g, '\\|');
+    }
+
+    /**
+     * Format rows of cell text as a markdown table
+     * @param {string[][]} rows - Cell texts, first row used as the header
+     * @returns {string[]} Markdown lines
+     */
+    formatTable(rows) {
+        const columnCount = Math.max(0, ...rows.map(row => row.length));
+        if (columnCount === 0) return [];
+
+        const pad = row => Array.from({ length: columnCount }, (_, i) => row[i] || '');
+        const [header, ...body] = rows.map(pad);
+        return [
+            `| ${header.join(' | ')} |`,
+            `| ${header.map(() => '---').join(' | ')} |`,
+            ...body.map(row => `| ${row.join(' | ')} |`)
+        ];
+    }
+
+    /**
+     * Render a draw:frame holding an image, a text box or a table
+     * @param {Object} node - draw:frame element
+     * @param {boolean} block - Whether the frame stands on its own rather than inside a paragraph
+     * @returns {string} Markdown
+     */
+    renderFrame(node, block) {
+        const parts = [];
+        this.pkg.childElements(node).forEach(child => {
+            if (child.name === 'draw:image') {
+                // A frame lists alternative representations; use the first that is a picture
+                if (parts.some(part => part.startsWith('!['))) return;
+                const imagePath = this.pkg.collectImage(child.attribs['xlink:href']);
+                if (imagePath) {
+                    parts.push(`![${this.escapeText(this.getFrameTitle(node))}](${imagePath})`);
+                }
+            } else if (child.name === 'draw:text-box') {
+                const text = this.renderBlocks(child.children).join('\n\n');
+                if (text) parts.push(text);
+            } else if (child.name === 'table:table') {
+                parts.push(this.renderTable(child));
+            }
+        });
+        return parts.join(block ? '\n\n' : ' ');
+    }
+
+    /**
+     * Get the alternative text of a frame
+     * @param {Object} node - draw:frame element
+     * @returns {string} Title, description or frame name
+     */
+    getFrameTitle(node) {
+        const described = this.pkg.childElements(node).find(child => child.name === 'svg:title' || child.name === 'svg:desc');
+        const text = described ? this.textContent(described).trim() : '';
+        return text || node.attribs['draw:name'] || '';
+    }
+
+    /**
+     * Render the inline content of a paragraph-like element
+     * @param {Object} node - Element whose children are inline content
+     * @returns {string} Markdown text
+     */
+    renderInline(node) {
+        return (node.children || []).map(child => {
+            if (child.type === 'text') {
+                return this.escapeText(child.data.replace(/[ \t\r\n]+/g, ' '));
+            }
+            if (child.type !== 'tag' || SKIPPED_ELEMENTS.has(child.name)) {
+                return '';
+            }
+
+            switch (child.name) {
+                case 'text:s':
+                    return ' '.repeat(parseInt(child.attribs['text:c'], 10) || 1);
+                case 'text:tab':
+                    return ' ';
+                case 'text:line-break':
+                    return '  \n';
+                case 'text:span':
+                    return this.wrapFormat(this.renderInline(child), this.pkg.getTextFormat(child.attribs['text:style-name']));
+                case 'text:a': {
+                    const label = this.renderInline(child);
+                    const href = child.attribs['xlink:href'];
+                    if (!href) return label;
+                    return label.trim() ? `[${label}](${href.replace(/ /g, '%20')})` : `<${href}>`;
+                }
+                case 'text:note':
+                    return this.renderNote(child);
+                case 'draw:frame':
+                    return this.renderFrame(child, false);
+                default:
+                    // Fields (dates, page numbers, cross references) contain their displayed text
+                    return this.renderInline(child);
+            }
+        }).join('');
+    }
+
+    /**
+     * Collect a footnote or endnote and return its reference marker
+     * @param {Object} node - text:note element
+     * @returns {string} Footnote reference
+     */
+    renderNote(node) {
+        const body = this.pkg.childElements(node).find(child => child.name === 'text:note-body');
+        if (!body) return '';
+
+        const text = this.renderBlocks(body.children).join(' ').replace(/\s*\n\s*/g, ' ').trim();
+        this.footnotes.push(text);
+        return `[^${this.footnotes.length}]`;
+    }
+
+    /**
+     * Wrap text in emphasis markers, keeping surrounding whitespace outside them
+     * @param {string} text - Rendered text
+     * @param {Object} format - bold/italic/strike/code flags
+     * @returns {string} Formatted text
+     */
+    wrapFormat(text, format) {
+        const match = text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        let inner = match[2];
+        if (!inner) return text;
+
+        if (format.code) inner = `\`${inner.replace(/\\([\\`*_[\]])/g, '$1')}\``;
+        if (format.strike) inner = `~~${inner}~~`;
+        if (format.italic) inner = `*${inner}*`;
+        if (format.bold) inner = `**${inner}**`;
+        return `${match[1]}${inner}${match[3]}`;
+    }
+
+    /**
+     * Escape characters that markdown would treat as formatting
+     * @param {string} text - Plain text
+     * @returns {string} Escaped text
+     */
+    escapeText(text) {
+        return text.replace(/([\\`*_[\]])/g, '\\$1');
+    }
+
+    /**
+     * Escape block markers at the start of a paragraph
+     * @param {string} text - Paragraph text
+     * @returns {string} Escaped text
+     */
+    escapeLineStart(text) {
+        return text
+            .replace(/^(#{1,6}\s|>|[-+]\s)/, '\\$1')
+            .replace(/^(\d+)\.(\s)/, '$1\\.$2');
+    }
+
+    /**
+     * Concatenated text of a node and its descendants
+     * @param {Object} node - Node
+     * @returns {string} Text
+     */
+    textContent(node) {
+        if (node.type === 'text') return node.data;
+        return (node.children || []).map(child => this.textContent(child)).join('');
+    }
+}
+
+module.exports = OdfMarkdownRenderer;
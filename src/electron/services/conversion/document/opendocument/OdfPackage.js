@@ -0,0 +1,253 @@
+/**
+ * OdfPackage.js
+ * Opens OpenDocument packages (.odt, .ods, .odp) and exposes their parsed parts.
+ *
+ * Loads content.xml, styles.xml and meta.xml with cheerio in XML mode, indexes the
+ * text, paragraph and list styles needed to recognise formatting, and registers
+ * embedded pictures so converters can return them for saving.
+ *
+ * Related Files:
+ * - OdfMarkdownRenderer.js: Renders text content using the style index built here
+ * - OdtConverter.js, OdpConverter.js, data/OdsConverter.js: Converters using this package
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+const { slugify } = require('../../../../converters/utils/fileNames');
+
+// Fonts treated as inline code when a span uses them
+const MONOSPACE_FONT = /mono|courier|consolas|menlo|source code/i;
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.svg', '.webp', '.tif', '.tiff'];
+
+class OdfPackage {
+    /**
+     * @param {JSZip} zip - Opened package
+     * @param {Object} parts - Parsed XML parts
+     * @param {string} imagePrefix - Prefix for saved image names, usually the file's base name
+     */
+    constructor(zip, parts, imagePrefix) {
+        this.zip = zip;
+        this.content = parts.content;
+        this.meta = parts.meta;
+        this.imagePrefix = slugify(imagePrefix) || 'document';
+        this.images = [];
+        this.imagesByZipPath = new Map();
+        this.styles = this.indexStyles([parts.styles, parts.content].filter(Boolean));
+    }
+
+    /**
+     * Open an OpenDocument package
+     * @param {Buffer} content - Package bytes
+     * @param {Object} options - Options
+     * @param {string} options.imagePrefix - Prefix for saved image names
+     * @returns {Promise<OdfPackage>} Opened package
+     */
+    static async open(content, { imagePrefix }) {
+        const zip = await JSZip.loadAsync(content);
+        const read = async name => {
+            const entry = zip.file(name);
+            return entry ? cheerio.load(await entry.async('string'), { xmlMode: true }) : null;
+        };
+
+        const parts = {
+            content: await read('content.xml'),
+            styles: await read('styles.xml'),
+            meta: await read('meta.xml')
+        };
+        if (!parts.content) {
+            throw new Error('Not a valid OpenDocument file: content.xml not found');
+        }
+        return new OdfPackage(zip, parts, imagePrefix);
+    }
+
+    /**
+     * Get the office:body child holding the document content
+     * @param {string} name - Body type: office:text, office:spreadsheet or office:presentation
+     * @returns {Object|null} Element node
+     */
+    getBody(name) {
+        const body = this.content('office\\:body').get(0);
+        return body ? this.childElements(body).find(el => el.name === name) || null : null;
+    }
+
+    /**
+     * Read document properties from meta.xml
+     * @returns {Object} title, subject, description, author, creator, created, modified, keywords
+     */
+    readMetadata() {
+        if (!this.meta) {
+            return { keywords: [] };
+        }
+        const text = selector => this.meta(selector).first().text().replace(/\s+/g, ' ').trim();
+        return {
+            title: text('dc\\:title'),
+            subject: text('dc\\:subject'),
+            description: text('dc\\:description'),
+            author: text('meta\\:initial-creator') || text('dc\\:creator'),
+            creator: text('dc\\:creator'),
+            created: text('meta\\:creation-date'),
+            modified: text('dc\\:date'),
+            keywords: this.meta('meta\\:keyword').toArray().map(el => this.meta(el).text().trim()).filter(Boolean)
+        };
+    }
+
+    /**
+     * Build lookup tables for the styles used to detect formatting
+     * @param {Array} documents - Loaded XML parts containing style definitions
+     * @returns {Object} Text, paragraph and list style maps
+     */
+    indexStyles(documents) {
+        const styles = { text: new Map(), paragraph: new Map(), list: new Map() };
+
+        documents.forEach($ => {
+            $('style\\:style').each((i, el) => {
+                const family = el.attribs['style:family'];
+                if (family !== 'text' && family !== 'paragraph') return;
+
+                const props = $(el).children('style\\:text-properties').get(0);
+                const attrs = props ? props.attribs : {};
+                const entry = {
+                    parent: el.attribs['style:parent-style-name'] || null,
+                    displayName: el.attribs['style:display-name'] || el.attribs['style:name'],
+                    bold: /^(bold|[6-9]00)$/.test(attrs['fo:font-weight'] || '') || null,
+                    italic: /^(italic|oblique)$/.test(attrs['fo:font-style'] || '') || null,
+                    strike: attrs['style:text-line-through-style'] ? attrs['style:text-line-through-style'] !== 'none' : null,
+                    code: attrs['style:font-name'] ? MONOSPACE_FONT.test(attrs['style:font-name']) : null
+                };
+                // Explicit "normal" weight/style overrides an inherited one
+                if (attrs['fo:font-weight'] === 'normal') entry.bold = false;
+                if (attrs['fo:font-style'] === 'normal') entry.italic = false;
+
+                styles[family === 'text' ? 'text' : 'paragraph'].set(el.attribs['style:name'], entry);
+            });
+
+            $('text\\:list-style').each((i, el) => {
+                const levels = {};
+                $(el).children().each((j, level) => {
+                    levels[level.attribs['text:level']] = level.name === 'text:list-level-style-number' ? 'number' : 'bullet';
+                });
+                styles.list.set(el.attribs['style:name'], levels);
+            });
+        });
+
+        return styles;
+    }
+
+    /**
+     * Resolve the effective character formatting of a style, following parent styles
+     * @param {string} name - Style name
+     * @param {string} family - 'text' or 'paragraph'
+     * @returns {{bold: boolean, italic: boolean, strike: boolean, code: boolean}} Formatting
+     */
+    getTextFormat(name, family = 'text') {
+        const format = { bold: null, italic: null, strike: null, code: null };
+        const seen = new Set();
+        let current = name;
+
+        while (current && !seen.has(current)) {
+            seen.add(current);
+            const style = this.styles[family].get(current) || (family === 'text' ? this.styles.paragraph.get(current) : null);
+            if (!style) break;
+            Object.keys(format).forEach(key => {
+                if (format[key] === null && style[key] !== null) format[key] = style[key];
+            });
+            current = style.parent;
+        }
+
+        return {
+            bold: !!format.bold,
+            italic: !!format.italic,
+            strike: !!format.strike,
+            code: !!format.code
+        };
+    }
+
+    /**
+     * List the names in a paragraph style's inheritance chain
+     * @param {string} name - Paragraph style name
+     * @returns {string[]} Style and ancestor names
+     */
+    getParagraphStyleChain(name) {
+        const chain = [];
+        let current = name;
+        while (current && !chain.includes(current)) {
+            chain.push(current);
+            const style = this.styles.paragraph.get(current);
+            current = style ? style.parent : null;
+        }
+        return chain;
+    }
+
+    /**
+     * Check whether a list level is numbered
+     * @param {string} styleName - List style name
+     * @param {number} level - 1-based list level
+     * @returns {boolean} True for numbered lists
+     */
+    isOrderedList(styleName, level) {
+        const levels = this.styles.list.get(styleName);
+        return !!levels && levels[String(level)] === 'number';
+    }
+
+    /**
+     * Register an embedded picture for saving and return its output path
+     * @param {string} href - xlink:href of a draw:image
+     * @returns {string|null} Relative output path, or null if it is not a stored picture
+     */
+    collectImage(href) {
+        if (!href || /^[a-z][a-z0-9+.-]*:/i.test(href)) return null;
+
+        let decoded;
+        try {
+            decoded = decodeURIComponent(href);
+        } catch (error) {
+            console.warn(`[OdfPackage] Skipping picture with a malformed path: ${href}`);
+            return null;
+        }
+
+        const zipPath = path.posix.normalize(decoded.replace(/^\.\//, ''));
+        if (this.imagesByZipPath.has(zipPath)) {
+            return this.imagesByZipPath.get(zipPath);
+        }
+
+        const ext = path.posix.extname(zipPath).toLowerCase();
+        // Object replacement previews (charts, formulas) are in StarView format
+        if (!IMAGE_EXTENSIONS.includes(ext) || !this.zip.file(zipPath)) {
+            return null;
+        }
+
+        const stem = slugify(path.posix.basename(zipPath, ext)) || 'image';
+        let outputPath = `attachments/${this.imagePrefix}-${stem}${ext}`;
+        const taken = new Set(this.images.map(image => image.path));
+        for (let n = 2; taken.has(outputPath); n++) {
+            outputPath = `attachments/${this.imagePrefix}-${stem}-${n}${ext}`;
+        }
+
+        this.images.push({ path: outputPath, zipPath });
+        this.imagesByZipPath.set(zipPath, outputPath);
+        return outputPath;
+    }
+
+    /**
+     * Read the data of every registered picture
+     * @returns {Promise<Array<{path: string, data: Buffer}>>} Images for ConversionResultManager
+     */
+    async loadImages() {
+        return Promise.all(this.images.map(async image => ({
+            path: image.path,
+            data: await this.zip.file(image.zipPath).async('nodebuffer')
+        })));
+    }
+
+    /**
+     * Element children of a node
+     * @param {Object} node - Parent node
+     * @returns {Object[]} Child elements
+     */
+    childElements(node) {
+        return (node.children || []).filter(child => child.type === 'tag');
+    }
+}
+
+module.exports = OdfPackage;
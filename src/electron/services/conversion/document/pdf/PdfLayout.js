@@ -0,0 +1,351 @@
+/**
+ * PdfLayout.js
+ * Rebuilds document structure from the positioned text lines of PDF pages.
+ *
+ * - Headings are graded by font size: sizes clearly larger than the body text become
+ *   heading levels, largest first. Bold lines at body size, when the font name shows the
+ *   weight, become the next level down
+ * - Bulleted and numbered lines become list items, nested by their indentation
+ * - Two-column pages are read column by column, with full-width lines (titles,
+ *   abstracts, figures) keeping their place between the column blocks
+ * - Lines of a paragraph are joined, and words hyphenated across a line break rejoined
+ * - Rows of aligned segments become tables
+ * - Bookmark headings from the outline are placed at their destinations, replacing the
+ *   page's own copy of the heading text
+ *
+ * Everything is worked out from the text layer, so no OCR service is involved.
+ *
+ * Related Files:
+ * - PdfTextExtractor.js: Produces the lines and segments used here
+ * - PdfTables.js: Finds tables among the rows
+ * - PdfOutline.js: Reads the bookmark headings placed here
+ * - ../markup/MarkdownBlocks.js: Renders the tables
+ * - StandardPdfConverter.js: Renders each page with this class
+ */
+
+const PdfTables = require('./PdfTables');
+const MarkdownBlocks = require('../markup/MarkdownBlocks');
+
+// Lines at least this much larger than the body text are headings
+const HEADING_RATIO = 1.15;
+// Font sizes graded as separate heading levels; smaller heading sizes share the last one
+const MAX_SIZE_LEVELS = 3;
+// Lines longer than this are never headings
+const MAX_HEADING_LENGTH = 150;
+// Baseline gaps wider than this end a paragraph (fraction of the font size)
+const PARAGRAPH_GAP = 1.6;
+// Segments narrower than this (fraction of the page width) do not count as column text
+const MIN_COLUMN_WIDTH = 0.25;
+// Each half needs this many column-width segments for a page to be read as two columns
+const MIN_COLUMN_LINES = 3;
+// Rows searched after a bookmark heading for the page's own copy of its text
+const MAX_ECHO_ROWS = 3;
+
+const BOLD_FONT = /bold|black|heavy|semibold|demi/i;
+// Bullet glyphs: bullet, triangle, hyphen bullet, squares, circles, en and em dash
+const BULLET = /^[\u2022\u2023\u2043\u25AA\u25AB\u25CB\u25CF\u25A0\u25A1\u25E6\u2013\u2014*-](\s+|$)/;
+const NUMBERED = /^(\d{1,3}|[a-z]|[ivx]{1,5})[.)](\s+|$)/i;
+const INDENT = '    ';
+
+class PdfLayout {
+    /**
+     * @param {Object} [options] - Options
+     * @param {number} [options.headingOffset=2] - Levels above the largest heading, so
+     *   headings nest under the page sections
+     */
+    constructor({ headingOffset = 2 } = {}) {
+        this.headingOffset = headingOffset;
+        this.tables = new PdfTables();
+        this.blocks = new MarkdownBlocks();
+        this.bodySize = 0;
+        this.headingSizes = [];
+    }
+
+    /**
+     * Find the body text size and the heading sizes across all pages
+     * @param {Object[]} pages - Pages with their lines
+     */
+    analyze(pages) {
+        const characters = new Map();
+        const lines = pages.flatMap(page => page.lines);
+        for (const line of lines) {
+            const size = this.roundSize(line.size);
+            characters.set(size, (characters.get(size) || 0) + line.text.length);
+        }
+
+        let body = 0;
+        characters.forEach((count, size) => {
+            if (body === 0 || count > characters.get(body)) body = size;
+        });
+        this.bodySize = body;
+        this.headingSizes = Array.from(new Set(lines
+            .filter(line => line.text.length <= MAX_HEADING_LENGTH)
+            .map(line => this.roundSize(line.size))
+            .filter(size => size >= body * HEADING_RATIO)))
+            .sort((a, b) => b - a);
+    }
+
+    /**
+     * Render a page as markdown
+     * @param {Object} page - Page with its width and lines
+     * @param {Array<{title: string, level: number, top: number|null}>} [anchors] - Bookmark
+     *   headings on this page, in the order of PdfOutline.byPosition
+     * @returns {string} Markdown
+     */
+    renderPage(page, anchors = []) {
+        const rows = this.orderRows(page);
+        const pending = [...anchors];
+        const output = [];
+        let paragraph = null;
+        let list = null;
+        let echo = null;
+
+        const flush = () => {
+            if (paragraph) output.push(paragraph.text);
+            if (list) output.push(list.lines.join('\n'));
+            paragraph = null;
+            list = null;
+        };
+
+        for (let i = 0; i < rows.length; i++) {
+            const row = rows[i];
+            const previous = rows[i - 1];
+
+            // Bookmark headings go before the first row at or below their destination
+            while (pending.length > 0 && (pending[0].top === null || row.y <= pending[0].top + row.size)) {
+                const anchor = pending.shift();
+                flush();
+                output.push(`${'#'.repeat(Math.min(6, anchor.level))} ${anchor.title}`);
+                const key = this.compareText(anchor.title);
+                echo = key ? { text: key, rows: MAX_ECHO_ROWS, matched: false } : null;
+            }
+
+            // Drop the page's own copy of a bookmark heading, which may wrap over several rows
+            if (echo) {
+                const text = this.compareText(row.text);
+                if (text && echo.text.startsWith(text)) {
+                    echo.text = echo.text.slice(text.length);
+                    echo.matched = true;
+                    if (!echo.text) echo = null;
+                    continue;
+                }
+                echo = echo.matched || --echo.rows <= 0 ? null : echo;
+            }
+
+            const table = this.tables.match(rows, i);
+            if (table) {
+                flush();
+                output.push(this.blocks.table(table.cells).join('\n'));
+                i += table.count - 1;
+                continue;
+            }
+
+            const level = this.headingLevel(row);
+            if (level > 0) {
+                // Headings that wrap onto a second line stay one heading
+                const last = output[output.length - 1];
+                if (!paragraph && !list && previous && previous.heading === level && last && last.startsWith('#')) {
+                    output[output.length - 1] = this.joinText(last, row.text);
+                } else {
+                    flush();
+                    output.push(`${'#'.repeat(level)} ${row.text}`);
+                }
+                row.heading = level;
+                continue;
+            }
+
+            const marker = this.listMarker(row.text);
+            if (marker) {
+                if (paragraph || !list) {
+                    flush();
+                    list = { lines: [], indents: [] };
+                }
+                list.indents = list.indents.filter(x => x < row.x - row.size / 2);
+                list.lines.push(`${INDENT.repeat(list.indents.length)}${marker.markdown} ${marker.text}`);
+                list.indents.push(row.x);
+                list.itemX = row.x;
+                continue;
+            }
+
+            if (list && !this.startsParagraph(row, previous) && row.x > list.itemX) {
+                // Continuation line of the last list item
+                list.lines[list.lines.length - 1] = this.joinText(list.lines[list.lines.length - 1], row.text);
+                continue;
+            }
+
+            if (paragraph && !this.startsParagraph(row, previous)) {
+                paragraph.text = this.joinText(paragraph.text, row.text);
+            } else {
+                flush();
+                paragraph = { text: row.text };
+            }
+        }
+        flush();
+        pending.forEach(anchor => output.push(`${'#'.repeat(Math.min(6, anchor.level))} ${anchor.title}`));
+
+        return output.join('\n\n');
+    }
+
+    /**
+     * Put the rows of a page in reading order, reading two-column blocks column by column
+     * @param {Object} page - Page with its width and lines
+     * @returns {Object[]} Rows ({text, x, right, y, size, bold, segments})
+     */
+    orderRows(page) {
+        const middle = page.width / 2;
+        const segments = page.lines.flatMap(line => line.segments);
+        const columnText = side => segments.filter(segment => side(segment)
+            && segment.right - segment.x >= page.width * MIN_COLUMN_WIDTH).length;
+        const twoColumns = columnText(segment => segment.right <= middle) >= MIN_COLUMN_LINES
+            && columnText(segment => segment.x >= middle) >= MIN_COLUMN_LINES;
+
+        if (!twoColumns) {
+            return page.lines.map(line => this.createRow(line.y, line.segments));
+        }
+
+        const rows = [];
+        let left = [];
+        let right = [];
+        const flushColumns = () => {
+            rows.push(...left, ...right);
+            left = [];
+            right = [];
+        };
+
+        for (const line of page.lines) {
+            if (line.segments.some(segment => segment.x < middle && segment.right > middle)) {
+                // A full-width line ends the column block above it
+                flushColumns();
+                rows.push(this.createRow(line.y, line.segments));
+                continue;
+            }
+            const leftSegments = line.segments.filter(segment => segment.right <= middle);
+            const rightSegments = line.segments.filter(segment => segment.x >= middle);
+            if (leftSegments.length > 0) left.push(this.createRow(line.y, leftSegments));
+            if (rightSegments.length > 0) right.push(this.createRow(line.y, rightSegments));
+        }
+        flushColumns();
+
+        return rows;
+    }
+
+    /**
+     * Build a row from line segments, keeping a lone list marker with its text
+     * @param {number} y - Baseline
+     * @param {Object[]} lineSegments - Segments ordered left to right
+     * @returns {Object} Row
+     */
+    createRow(y, lineSegments) {
+        const segments = [...lineSegments];
+        if (segments.length > 1 && this.listMarker(segments[0].text) && !this.listMarker(segments[0].text).text) {
+            const [marker, text] = segments.splice(0, 2);
+            segments.unshift({ ...text, text: `${marker.text} ${text.text}`, x: marker.x, items: [...marker.items, ...text.items] });
+        }
+
+        const items = segments.flatMap(segment => segment.items);
+        return {
+            text: segments.map(segment => segment.text).join(' '),
+            x: segments[0].x,
+            right: segments[segments.length - 1].right,
+            y,
+            size: Math.max(...segments.map(segment => segment.size)),
+            bold: items.length > 0 && items.every(item => BOLD_FONT.test(item.fontName || '')),
+            segments
+        };
+    }
+
+    /**
+     * Find the heading level of a row
+     * @param {Object} row - Row
+     * @returns {number} Markdown heading level, or 0 for body text
+     */
+    headingLevel(row) {
+        if (row.text.length > MAX_HEADING_LENGTH) {
+            return 0;
+        }
+        const rank = this.headingSizes.indexOf(this.roundSize(row.size));
+        if (rank >= 0) {
+            return Math.min(6, this.headingOffset + Math.min(rank, MAX_SIZE_LEVELS - 1) + 1);
+        }
+        if (row.bold && this.roundSize(row.size) >= this.bodySize && !/[.,;:]$/.test(row.text)) {
+            return Math.min(6, this.headingOffset + Math.min(this.headingSizes.length, MAX_SIZE_LEVELS) + 1);
+        }
+        return 0;
+    }
+
+    /**
+     * Read the list marker at the start of a line
+     * @param {string} text - Line text
+     * @returns {{markdown: string, text: string}|null} Markdown marker and the item text
+     */
+    listMarker(text) {
+        const bullet = text.match(BULLET);
+        if (bullet) {
+            return { markdown: '-', text: text.slice(bullet[0].length) };
+        }
+        const numbered = text.match(NUMBERED);
+        if (numbered) {
+            // Letters and roman numerals keep their label, as markdown lists only number with digits
+            return /^\d+$/.test(numbered[1])
+                ? { markdown: `${numbered[1]}.`, text: text.slice(numbered[0].length) }
+                : { markdown: '-', text: text.trim() };
+        }
+        return null;
+    }
+
+    /**
+     * Check whether a row starts a new paragraph rather than continuing the previous row
+     * @param {Object} row - Row
+     * @param {Object} previous - Previous row
+     * @returns {boolean} True for a new paragraph
+     */
+    startsParagraph(row, previous) {
+        if (!previous) {
+            return true;
+        }
+        const gap = previous.y - row.y;
+        // Rows above the previous row continue it at the top of the next column
+        if (gap < 0) {
+            return false;
+        }
+        return gap > row.size * PARAGRAPH_GAP
+            || Math.abs(row.size - previous.size) > row.size * 0.2
+            || row.x > previous.x + row.size;
+    }
+
+    /**
+     * Join two lines of text, rejoining a word hyphenated across the line break
+     * @param {string} text - Text so far
+     * @param {string} next - Next line
+     * @returns {string} Joined text
+     */
+    joinText(text, next) {
+        if (/[A-Za-z]-$/.test(text) && /^[a-z]/.test(next)) {
+            return text.slice(0, -1) + next;
+        }
+        if (text.endsWith('\u00AD')) {
+            return text.slice(0, -1) + next;
+        }
+        return `${text} ${next}`;
+    }
+
+    /**
+     * Reduce text to lowercase letters and digits, to compare headings with page text
+     * @param {string} text - Text
+     * @returns {string} Comparison key
+     */
+    compareText(text) {
+        return text.toLowerCase().replace(/[^a-z0-9]+/g, '');
+    }
+
+    /**
+     * Round a font size so that sizes differing by rendering noise compare equal
+     * @param {number} size - Font size in points
+     * @returns {number} Size rounded to half a point
+     */
+    roundSize(size) {
+        return Math.round(size * 2) / 2;
+    }
+}
+
+module.exports = PdfLayout;
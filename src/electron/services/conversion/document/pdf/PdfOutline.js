@@ -0,0 +1,108 @@
+/**
+ * PdfOutline.js
+ * Reads the bookmark outline of a PDF and renders it as a table of contents.
+ *
+ * pdf-parse does not expose the outline, so the document is opened with the pdf.js
+ * build that pdf-parse bundles. Each bookmark is resolved to its destination page and,
+ * where the destination gives one, the vertical position on that page, so its heading
+ * can be placed where the section starts.
+ *
+ * Related Files:
+ * - PdfLayout.js: Inserts the outline headings into the page text
+ * - ../markup/MarkdownBlocks.js: Builds the heading links of the table of contents
+ * - StandardPdfConverter.js: Reads the outline with the metadata and renders the contents
+ */
+
+// The pdf.js build pdf-parse loads by default, so both share one instance
+const PDFJS = require('pdf-parse/lib/pdf.js/v1.10.100/build/pdf.js');
+const MarkdownBlocks = require('../markup/MarkdownBlocks');
+
+// Destination types whose first argument after the type is the top of the view
+const TOP_FIRST = ['FitH', 'FitBH'];
+const INDENT = '    ';
+
+class PdfOutline {
+    constructor() {
+        this.blocks = new MarkdownBlocks();
+    }
+
+    /**
+     * Read the outline, flattened in document order
+     * @param {Buffer|Uint8Array} content - PDF content
+     * @returns {Promise<Array<{title: string, level: number, pageNumber: number, top: number|null}>>}
+     *   Bookmarks with their nesting level (1 for top-level) and destination; bookmarks
+     *   without a page destination are left out
+     */
+    async read(content) {
+        PDFJS.disableWorker = true;
+        // Copy the data: pdf.js misreads small Buffers that share Node's buffer pool
+        const doc = await PDFJS.getDocument(new Uint8Array(content));
+        try {
+            const entries = [];
+            const walk = async (items, level) => {
+                for (const item of items || []) {
+                    const title = (item.title || '').replace(/\s+/g, ' ').trim();
+                    const target = await this.resolveDestination(doc, item.dest);
+                    if (title && target) {
+                        entries.push({ title, level, ...target });
+                    }
+                    await walk(item.items, level + 1);
+                }
+            };
+            await walk(await doc.getOutline(), 1);
+            return entries;
+        } finally {
+            doc.destroy();
+        }
+    }
+
+    /**
+     * Resolve a bookmark destination to a page and position
+     * @param {Object} doc - pdf.js document
+     * @param {string|Array} dest - Named or explicit destination
+     * @returns {Promise<{pageNumber: number, top: number|null}|null>} Destination, or null
+     *   for bookmarks that link elsewhere
+     */
+    async resolveDestination(doc, dest) {
+        try {
+            const explicit = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+            if (!Array.isArray(explicit) || explicit.length === 0) {
+                return null;
+            }
+
+            const [ref, type, ...args] = explicit;
+            const pageIndex = typeof ref === 'number' ? ref : await doc.getPageIndex(ref);
+            const name = type && type.name;
+            const top = name === 'XYZ' ? args[1] : (TOP_FIRST.includes(name) ? args[0] : null);
+            return { pageNumber: pageIndex + 1, top: typeof top === 'number' ? top : null };
+        } catch (error) {
+            console.warn(`[PdfOutline] Could not resolve bookmark destination: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Order bookmarks by where their sections start, which need not match the outline order
+     * @param {Object[]} entries - Bookmarks from read()
+     * @returns {Object[]} Bookmarks by page, then from the top of the page down; bookmarks
+     *   without a position come first on their page and ties keep the outline order
+     */
+    byPosition(entries) {
+        const top = entry => (entry.top === null ? Infinity : entry.top);
+        return [...entries].sort((a, b) => a.pageNumber - b.pageNumber || top(b) - top(a));
+    }
+
+    /**
+     * Render a linked table of contents
+     * @param {Object[]} entries - Bookmarks from read()
+     * @returns {string} Markdown list of heading links, nested by level
+     */
+    renderContents(entries) {
+        const minLevel = Math.min(...entries.map(entry => entry.level));
+        return entries
+            .map(entry => `${INDENT.repeat(entry.level - minLevel)}- ${this.blocks.headingLink(entry.title)}`)
+            .join('\n');
+    }
+}
+
+module.exports = PdfOutline;
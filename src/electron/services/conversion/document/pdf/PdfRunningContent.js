@@ -0,0 +1,87 @@
+/**
+ * PdfRunningContent.js
+ * Finds and removes running headers, footers and page numbers.
+ *
+ * Only the first and last lines of each page are considered, and only while they sit in
+ * the top or bottom margin band of the page. A line is treated as running content when
+ * the same text sits at the same edge on at least half of the pages. Digits are ignored
+ * when comparing, so "Page 3 of 10" on one page matches "Page 4 of 10" on the next, and
+ * bare page numbers match each other.
+ *
+ * Related Files:
+ * - PdfTextExtractor.js: Produces the page lines checked here
+ * - StandardPdfConverter.js: Removes running content before rendering pages
+ */
+
+// Lines at each edge of a page that can be running content
+const EDGE_LINES = 2;
+// Height of the top and bottom margin bands (fraction of the page height)
+const EDGE_ZONE = 0.15;
+// Documents shorter than this keep all their lines
+const MIN_PAGES = 3;
+// Share of pages a line must repeat on to be removed
+const MIN_SHARE = 0.5;
+
+class PdfRunningContent {
+    /**
+     * Remove running content from every page
+     * @param {Object[]} pages - Pages with their lines ordered top to bottom
+     * @returns {Object[]} Pages with running lines removed
+     */
+    remove(pages) {
+        if (pages.length < MIN_PAGES) {
+            return pages;
+        }
+
+        const counts = new Map();
+        for (const page of pages) {
+            // Count each key once per page
+            new Set(this.edgeLines(page).map(entry => entry.key)).forEach(key => {
+                counts.set(key, (counts.get(key) || 0) + 1);
+            });
+        }
+
+        const minCount = Math.ceil(pages.length * MIN_SHARE);
+        return pages.map(page => {
+            const running = new Set(this.edgeLines(page)
+                .filter(entry => counts.get(entry.key) >= minCount)
+                .map(entry => entry.index));
+            return running.size > 0
+                ? { ...page, lines: page.lines.filter((line, index) => !running.has(index)) }
+                : page;
+        });
+    }
+
+    /**
+     * List the lines at the top and bottom edge of a page
+     * @param {Object} page - Page with its height and lines ordered top to bottom
+     * @returns {Array<{index: number, key: string}>} Line indexes with their comparison keys
+     */
+    edgeLines({ height, lines }) {
+        const entries = [];
+        lines.forEach((line, index) => {
+            if (index < EDGE_LINES && line.y >= height * (1 - EDGE_ZONE)) {
+                entries.push({ index, key: `top:${this.normalize(line.text)}` });
+            } else if (index >= lines.length - EDGE_LINES && line.y <= height * EDGE_ZONE) {
+                entries.push({ index, key: `bottom:${this.normalize(line.text)}` });
+            }
+        });
+        return entries;
+    }
+
+    /**
+     * Normalize line text for comparison across pages
+     * @param {string} text - Line text
+     * @returns {string} Lowercase text with numbers replaced
+     */
+    normalize(text) {
+        return text
+            .toLowerCase()
+            .replace(/\d+/g, '#')
+            .replace(/^[ivxlc]+$/, '#')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+}
+
+module.exports = PdfRunningContent;
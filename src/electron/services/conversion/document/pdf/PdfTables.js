@@ -0,0 +1,85 @@
+/**
+ * PdfTables.js
+ * Finds simple tables in the rows of a PDF page.
+ *
+ * PDFs have no table structure, only text placed at positions. A table is recognized
+ * as a run of rows that each have two or more segments, where every segment lines up
+ * with one column of the first row. Ruled tables are found the same way, from the
+ * alignment of their cell text. Cells that span lines or columns are not rebuilt.
+ *
+ * Related Files:
+ * - PdfTextExtractor.js: Splits lines into segments at wide gaps
+ * - PdfLayout.js: Renders the tables found here
+ */
+
+// Tables need at least this many rows, the first being the header
+const MIN_ROWS = 2;
+// Rows further apart than this end the table (fraction of the font size)
+const MAX_ROW_GAP = 2.5;
+
+class PdfTables {
+    /**
+     * Match a table starting at a row
+     * @param {Object[]} rows - Rows in reading order, each with its segments
+     * @param {number} start - Index of the first row
+     * @returns {{cells: string[][], count: number}|null} Cell text by row and the number
+     *   of rows used, or null when no table starts here
+     */
+    match(rows, start) {
+        const first = rows[start];
+        if (!first || first.segments.length < 2) {
+            return null;
+        }
+
+        const columns = first.segments.map(segment => ({ x: segment.x, right: segment.right }));
+        const cells = [first.segments.map(segment => segment.text)];
+        let previous = first;
+
+        for (let i = start + 1; i < rows.length; i++) {
+            const row = rows[i];
+            if (row.segments.length < 2 || previous.y - row.y > row.size * MAX_ROW_GAP || row.y > previous.y) {
+                break;
+            }
+            const indexes = this.assignColumns(row.segments, columns);
+            if (!indexes) {
+                break;
+            }
+
+            const rowCells = new Array(columns.length).fill('');
+            row.segments.forEach((segment, s) => {
+                const column = columns[indexes[s]];
+                rowCells[indexes[s]] = segment.text;
+                column.x = Math.min(column.x, segment.x);
+                column.right = Math.max(column.right, segment.right);
+            });
+            cells.push(rowCells);
+            previous = row;
+        }
+
+        return cells.length >= MIN_ROWS ? { cells, count: cells.length } : null;
+    }
+
+    /**
+     * Find the column of each segment
+     * @param {Object[]} segments - Segments of a row, left to right
+     * @param {Array<{x: number, right: number}>} columns - Column extents so far
+     * @returns {number[]|null} Column index by segment, or null if the row does not fit
+     */
+    assignColumns(segments, columns) {
+        const indexes = [];
+        for (const segment of segments) {
+            const overlapping = columns
+                .map((column, index) => ({ index, overlap: Math.min(column.right, segment.right) - Math.max(column.x, segment.x) }))
+                .filter(candidate => candidate.overlap > 0);
+            // Each segment must sit under exactly one column, left of the next segment's column
+            if (overlapping.length !== 1 || indexes.includes(overlapping[0].index)
+                || (indexes.length > 0 && overlapping[0].index < indexes[indexes.length - 1])) {
+                return null;
+            }
+            indexes.push(overlapping[0].index);
+        }
+        return indexes;
+    }
+}
+
+module.exports = PdfTables;
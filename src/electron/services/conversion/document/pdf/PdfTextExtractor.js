@@ -0,0 +1,163 @@
+/**
+ * PdfTextExtractor.js
+ * Reads the text layer of a PDF one page at a time.
+ *
+ * pdf-parse joins the text of every page into a single string, which loses the page
+ * boundaries. This class hooks its pagerender callback instead, so each page's text
+ * content is read from that page alone, and keeps the position and size of every text
+ * item. Items are grouped into lines by their baseline and ordered top to bottom, then
+ * left to right. Wide gaps split a line into segments, which keeps table cells and the
+ * two halves of a two-column line apart.
+ *
+ * Related Files:
+ * - PdfRunningContent.js: Drops running headers, footers and page numbers from the lines
+ * - PdfLayout.js: Rebuilds headings, lists, columns and tables from the lines
+ * - StandardPdfConverter.js: Renders the extracted pages as markdown
+ */
+
+const pdfParse = require('pdf-parse');
+
+// Items whose baselines are closer than this share a line (fraction of the font size)
+const LINE_TOLERANCE = 0.5;
+// Gaps wider than this between items on a line become a space (fraction of the font size)
+const WORD_GAP = 0.2;
+// Gaps wider than this start a new segment of the line (fraction of the font size)
+const SEGMENT_GAP = 1.2;
+
+class PdfTextExtractor {
+    /**
+     * Extract the text lines of each page
+     * @param {Buffer|Uint8Array} content - PDF content
+     * @param {Object} [options] - Options
+     * @param {number} [options.maxPages] - Maximum pages to read (default: all)
+     * @returns {Promise<Object>} {pageCount, pages}, where each page is
+     *   {pageNumber, width, height, lines}; each line is {text, x, y, right, size, segments}
+     *   and each segment is {text, x, right, size, items}
+     */
+    async extract(content, { maxPages = 0 } = {}) {
+        const pages = [];
+
+        // pdf.js reads the underlying ArrayBuffer, so small Buffers that share Node's
+        // buffer pool must be copied first
+        const data = new Uint8Array(content);
+        const result = await pdfParse(data, {
+            max: maxPages > 0 ? maxPages : 0,
+            pagerender: async pageData => {
+                const textContent = await pageData.getTextContent({ normalizeWhitespace: true });
+                const [x0, y0, x1, y1] = pageData.view;
+                pages[pageData.pageIndex] = {
+                    pageNumber: pageData.pageIndex + 1,
+                    width: x1 - x0,
+                    height: y1 - y0,
+                    lines: this.buildLines(textContent.items)
+                };
+                return '';
+            }
+        });
+
+        // pdf-parse swallows page errors, so unreadable pages are kept as empty pages
+        for (let i = 0; i < result.numrender; i++) {
+            if (!pages[i]) {
+                console.warn(`[PdfTextExtractor] Could not read text of page ${i + 1}`);
+                pages[i] = { pageNumber: i + 1, width: 0, height: 0, lines: [] };
+            }
+        }
+
+        return { pageCount: result.numpages, pages };
+    }
+
+    /**
+     * Group text items into lines
+     * @param {Object[]} textItems - pdf.js text items
+     * @returns {Object[]} Lines ordered top to bottom
+     */
+    buildLines(textItems) {
+        const items = textItems
+            .filter(item => item.str && item.str.trim())
+            .map(item => ({
+                str: item.str,
+                x: item.transform[4],
+                y: item.transform[5],
+                width: item.width,
+                size: Math.hypot(item.transform[2], item.transform[3]) || item.height || 1,
+                fontName: item.fontName
+            }))
+            .sort((a, b) => b.y - a.y || a.x - b.x);
+
+        const lines = [];
+        for (const item of items) {
+            const line = lines.find(candidate =>
+                Math.abs(candidate.y - item.y) <= Math.max(candidate.size, item.size) * LINE_TOLERANCE);
+            if (line) {
+                line.items.push(item);
+                line.size = Math.max(line.size, item.size);
+            } else {
+                lines.push({ y: item.y, size: item.size, items: [item] });
+            }
+        }
+
+        return lines
+            .sort((a, b) => b.y - a.y)
+            .map(line => {
+                line.items.sort((a, b) => a.x - b.x);
+                const segments = this.buildSegments(line.items);
+                return {
+                    text: segments.map(segment => segment.text).join(' '),
+                    x: segments.length > 0 ? segments[0].x : 0,
+                    y: line.y,
+                    right: segments.length > 0 ? segments[segments.length - 1].right : 0,
+                    size: line.size,
+                    segments
+                };
+            })
+            .filter(line => line.text);
+    }
+
+    /**
+     * Split the items of a line at wide gaps
+     * @param {Object[]} items - Items ordered left to right
+     * @returns {Object[]} Segments ordered left to right
+     */
+    buildSegments(items) {
+        const groups = [];
+        let end = null;
+        for (const item of items) {
+            if (end === null || item.x - end > item.size * SEGMENT_GAP) {
+                groups.push([]);
+            }
+            groups[groups.length - 1].push(item);
+            end = Math.max(end === null ? item.x : end, item.x + item.width);
+        }
+
+        return groups
+            .map(group => ({
+                text: this.joinItems(group),
+                x: group[0].x,
+                right: Math.max(...group.map(item => item.x + item.width)),
+                size: Math.max(...group.map(item => item.size)),
+                items: group
+            }))
+            .filter(segment => segment.text);
+    }
+
+    /**
+     * Join the items of a line, adding spaces where the gap between items is word sized
+     * @param {Object[]} items - Items ordered left to right
+     * @returns {string} Line text
+     */
+    joinItems(items) {
+        let text = '';
+        let end = null;
+        for (const item of items) {
+            const gap = end === null ? 0 : item.x - end;
+            if (text && gap > item.size * WORD_GAP && !/\s$/.test(text) && !/^\s/.test(item.str)) {
+                text += ' ';
+            }
+            text += item.str;
+            end = item.x + item.width;
+        }
+        return text.replace(/\s+/g, ' ').trim();
+    }
+}
+
+module.exports = PdfTextExtractor;
@@ -0,0 +1,201 @@
+/**
+ * PptxGraphics.js
+ * Renders the graphic frames on a slide: tables, charts and SmartArt.
+ *
+ * - Native tables (a:tbl) become GFM tables, with the first row as the header. Cells
+ *   covered by a merged cell are left empty
+ * - Charts are rendered from the data cached in ppt/charts/chartN.xml: the chart title,
+ *   then a table with one row per category and one column per series
+ * - SmartArt is rendered from its data model (ppt/diagrams/dataN.xml) as a nested list
+ *   that follows the parent-child connections between its nodes
+ *
+ * Related Files:
+ * - PptxSlideParser.js: Finds the graphic frames and renders cell and node text
+ * - PptxPackage.js: Loads the chart and SmartArt data parts
+ */
+
+// SmartArt points that hold no content of their own
+const SMARTART_SKIPPED_TYPES = ['doc', 'pres', 'parTrans', 'sibTrans'];
+
+class PptxGraphics {
+    /**
+     * @param {PptxSlideParser} textParser - Parser used for text and element access
+     */
+    constructor(textParser) {
+        this.textParser = textParser;
+    }
+
+    /**
+     * Render a graphic frame
+     * @param {Object} frame - p:graphicFrame element
+     * @param {Object} slideParts - Slide relationships and loaded graphic parts
+     * @param {Map<string, Object>} slideParts.relationships - Slide relationships
+     * @param {Map<string, Function>} slideParts.parts - Chart and SmartArt XML by relationship ID
+     * @returns {string} Markdown, or '' for graphics that cannot be read
+     */
+    render(frame, { relationships, parts }) {
+        const t = this.textParser;
+        const data = t.child(t.child(frame, 'a:graphic'), 'a:graphicData');
+        const table = t.child(data, 'a:tbl');
+        const chart = t.child(data, 'c:chart');
+        const diagram = t.child(data, 'dgm:relIds');
+
+        if (table) {
+            return this.renderTable(table, relationships);
+        }
+        if (chart && parts.has(chart.attribs['r:id'])) {
+            return this.renderChart(parts.get(chart.attribs['r:id']));
+        }
+        if (diagram && parts.has(diagram.attribs['r:dm'])) {
+            return this.renderSmartArt(parts.get(diagram.attribs['r:dm']));
+        }
+        return '';
+    }
+
+    /**
+     * Render a native table as a GFM table
+     * @param {Object} table - a:tbl element
+     * @param {Map<string, Object>} relationships - Slide relationships for hyperlinks
+     * @returns {string} GFM table
+     */
+    renderTable(table, relationships) {
+        const t = this.textParser;
+        const rows = t.children(table, 'a:tr').map(row => t.children(row, 'a:tc').map(cell => {
+            // Cells covered by a merged cell stay empty
+            if (cell.attribs.hMerge === '1' || cell.attribs.vMerge === '1') {
+                return '';
+            }
+            return t.children(t.child(cell, 'a:txBody'), 'a:p')
+                .map(paragraph => t.renderRuns(paragraph, relationships).trim())
+                .filter(Boolean)
+                .join('<br>');
+        }));
+        return this.markdownTable(rows);
+    }
+
+    /**
+     * Render the cached data of a chart as a titled table
+     * @param {Function} $ - Chart XML
+     * @returns {string} Markdown
+     */
+    renderChart($) {
+        const chart = $('c\\:chartSpace > c\\:chart').first();
+        const title = this.chartTitle($, chart.children('c\\:title'));
+        const series = chart.find('c\\:plotArea c\\:ser').toArray().map((ser, index) => {
+            const el = $(ser);
+            const name = this.chartValues($, el.children('c\\:tx'))[0];
+            return {
+                name: name || `Series ${index + 1}`,
+                categories: this.chartValues($, el.children('c\\:cat, c\\:xVal')),
+                values: this.chartValues($, el.children('c\\:val, c\\:yVal'))
+            };
+        });
+
+        const heading = `**Chart: ${title || 'Untitled Chart'}**`;
+        if (series.length === 0) {
+            return heading;
+        }
+
+        const categories = (series.find(s => s.categories.length > 0) || {}).categories || [];
+        const rowCount = Math.max(categories.length, ...series.map(s => s.values.length));
+        const rows = [['Category', ...series.map(s => s.name)]];
+        for (let i = 0; i < rowCount; i++) {
+            rows.push([categories[i] || String(i + 1), ...series.map(s => s.values[i] || '')]);
+        }
+        return `${heading}\n\n${this.markdownTable(rows)}`;
+    }
+
+    /**
+     * Read a chart title, either rich text or a reference to a cell
+     * @param {Function} $ - Chart XML
+     * @param {Object} title - Cheerio selection of c:title
+     * @returns {string} Title, or '' if the chart has none
+     */
+    chartTitle($, title) {
+        const rich = title.find('a\\:p').toArray()
+            .map(p => $(p).find('a\\:t').toArray().map(t => $(t).text()).join(''))
+            .join(' ')
+            .trim();
+        return rich || this.chartValues($, title.children('c\\:tx')).join(' ').trim();
+    }
+
+    /**
+     * Read the cached points of a chart data reference
+     * @param {Function} $ - Chart XML
+     * @param {Object} source - Cheerio selection of c:tx, c:cat, c:val, c:xVal or c:yVal
+     * @returns {string[]} Values by point index
+     */
+    chartValues($, source) {
+        // Multi-level categories keep their innermost level
+        const cache = source.find('c\\:strCache, c\\:numCache, c\\:strLit, c\\:numLit, c\\:lvl').first();
+        if (cache.length === 0) {
+            const value = source.find('c\\:v').first().text();
+            return value ? [value] : [];
+        }
+        const values = [];
+        cache.children('c\\:pt').each((i, pt) => {
+            values[parseInt(pt.attribs.idx, 10) || 0] = $(pt).children('c\\:v').text();
+        });
+        return Array.from(values, value => value || '');
+    }
+
+    /**
+     * Render a SmartArt data model as a nested list
+     * @param {Function} $ - Diagram data XML
+     * @returns {string} Markdown list
+     */
+    renderSmartArt($) {
+        const points = new Map();
+        let root = null;
+        $('dgm\\:ptLst > dgm\\:pt').each((i, pt) => {
+            const type = pt.attribs.type || 'node';
+            if (type === 'doc') root = pt.attribs.modelId;
+            if (!SMARTART_SKIPPED_TYPES.includes(type)) {
+                points.set(pt.attribs.modelId, this.textParser.plainText($(pt).children('dgm\\:t').get(0)));
+            }
+        });
+
+        const childrenOf = new Map();
+        $('dgm\\:cxnLst > dgm\\:cxn').each((i, cxn) => {
+            if ((cxn.attribs.type || 'parOf') !== 'parOf') return;
+            if (!childrenOf.has(cxn.attribs.srcId)) childrenOf.set(cxn.attribs.srcId, []);
+            childrenOf.get(cxn.attribs.srcId).push({ id: cxn.attribs.destId, order: parseInt(cxn.attribs.srcOrd, 10) || 0 });
+        });
+
+        const lines = [];
+        const walk = (id, depth) => {
+            (childrenOf.get(id) || [])
+                .sort((a, b) => a.order - b.order)
+                .filter(child => points.has(child.id))
+                .forEach(child => {
+                    const text = points.get(child.id);
+                    if (text) lines.push(`${'    '.repeat(depth)}- ${text}`);
+                    walk(child.id, text ? depth + 1 : depth);
+                });
+        };
+        if (root !== null) walk(root, 0);
+        return lines.join('\n');
+    }
+
+    /**
+     * Build a GFM table, with the first row as the header
+     * @param {string[][]} rows - Cell text by row
+     * @returns {string} GFM table, or '' for an empty table
+     */
+    markdownTable(rows) {
+        const columnCount = Math.max(0, ...rows.map(row => row.length));
+        if (rows.length === 0 || columnCount === 0) {
+            return '';
+        }
+        const line = cells => {
+            const values = [];
+            for (let c = 0; c < columnCount; c++) {
+                values.push(String(cells[c] || '').replace(/\n/g, ' ').replace(/(^|[^\\])\|/g, '$1\\|'));
+            }
+            return `| ${values.join(' | ')} |`;
+        };
+        return [line(rows[0]), line(new Array(columnCount).fill('---')), ...rows.slice(1).map(line)].join('\n');
+    }
+}
+
+module.exports = PptxGraphics;
@@ -0,0 +1,204 @@
+/**
+ * PptxPackage.js
+ * Opens PPTX packages and finds the parts that make up each slide.
+ *
+ * Slides are listed in ppt/presentation.xml in presentation order, which need not match
+ * the slideN.xml file numbers. This class follows the relationships from the presentation
+ * to each slide, and from each slide to its layout, speaker notes, charts and SmartArt
+ * data, and loads those parts with cheerio in XML mode. Pictures are registered as they
+ * are found and read once the slides are done.
+ *
+ * Related Files:
+ * - PptxSlideParser.js: Reads titles, text and notes from the parts loaded here
+ * - PptxGraphics.js: Renders the chart and SmartArt parts loaded here
+ * - PptxConverter.js: Opens the package and renders the slides
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const cheerio = require('cheerio');
+const { slugify } = require('../../../../converters/utils/fileNames');
+
+const RELATIONSHIP_TYPES = {
+    slide: '/relationships/slide',
+    slideLayout: '/relationships/slideLayout',
+    notesSlide: '/relationships/notesSlide',
+    chart: '/relationships/chart',
+    diagramData: '/relationships/diagramData'
+};
+// Graphic parts loaded with each slide, so the parser can stay synchronous
+const GRAPHIC_PART_TYPES = ['chart', 'diagramData'];
+const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.bmp', '.svg', '.webp', '.tif', '.tiff', '.emf', '.wmf'];
+
+class PptxPackage {
+    /**
+     * @param {JSZip} zip - Opened package
+     * @param {Function} presentation - Cheerio root of ppt/presentation.xml
+     * @param {string} imagePrefix - Prefix for saved image names, usually the file's base name
+     */
+    constructor(zip, presentation, imagePrefix) {
+        this.zip = zip;
+        this.presentation = presentation;
+        this.imagePrefix = slugify(imagePrefix) || 'presentation';
+        this.relationships = new Map();
+        this.images = [];
+        this.imagesByZipPath = new Map();
+    }
+
+    /**
+     * Open a PPTX package
+     * @param {Buffer} content - PPTX content as buffer
+     * @param {Object} [options] - Options
+     * @param {string} [options.imagePrefix] - Prefix for saved image names
+     * @returns {Promise<PptxPackage>} Opened package
+     */
+    static async open(content, { imagePrefix } = {}) {
+        let zip;
+        try {
+            zip = await JSZip.loadAsync(content);
+        } catch (error) {
+            throw new Error('Not a valid PPTX file: only Office Open XML presentations are supported');
+        }
+        const entry = zip.file('ppt/presentation.xml');
+        if (!entry) {
+            throw new Error('Not a valid PPTX file: ppt/presentation.xml not found');
+        }
+        return new PptxPackage(zip, cheerio.load(await entry.async('string'), { xmlMode: true }), imagePrefix);
+    }
+
+    /**
+     * Load an XML part
+     * @param {string} name - Part path inside the package
+     * @returns {Promise<Function|null>} Cheerio root, or null if the part is missing
+     */
+    async loadXml(name) {
+        const entry = name && this.zip.file(name);
+        return entry ? cheerio.load(await entry.async('string'), { xmlMode: true }) : null;
+    }
+
+    /**
+     * Read the relationships of a part, with targets resolved to package paths
+     * @param {string} part - Part path, such as ppt/slides/slide1.xml
+     * @returns {Promise<Map<string, Object>>} Relationships ({type, target, external}) by ID
+     */
+    async readRelationships(part) {
+        if (this.relationships.has(part)) {
+            return this.relationships.get(part);
+        }
+
+        const relationships = new Map();
+        const $ = await this.loadXml(path.posix.join(path.posix.dirname(part), '_rels', `${path.posix.basename(part)}.rels`));
+        if ($) {
+            $('Relationship').each((i, el) => {
+                const external = el.attribs.TargetMode === 'External';
+                const target = el.attribs.Target || '';
+                relationships.set(el.attribs.Id, {
+                    type: el.attribs.Type || '',
+                    external,
+                    target: external ? target : this.resolve(part, target)
+                });
+            });
+        }
+        this.relationships.set(part, relationships);
+        return relationships;
+    }
+
+    /**
+     * Resolve a relationship target against the part that holds it
+     * @param {string} part - Source part path
+     * @param {string} target - Relative or package-absolute target
+     * @returns {string} Package path
+     */
+    resolve(part, target) {
+        if (target.startsWith('/')) {
+            return target.slice(1);
+        }
+        return path.posix.normalize(path.posix.join(path.posix.dirname(part), target));
+    }
+
+    /**
+     * Find the first relationship of a type
+     * @param {Map<string, Object>} relationships - Relationships by ID
+     * @param {string} type - Key of RELATIONSHIP_TYPES
+     * @returns {Object|null} Relationship
+     */
+    findRelationship(relationships, type) {
+        return Array.from(relationships.values()).find(rel => rel.type.endsWith(RELATIONSHIP_TYPES[type])) || null;
+    }
+
+    /**
+     * Load every slide in presentation order, with its layout, notes and graphic parts
+     * @returns {Promise<Object[]>} Slides ({path, slide, layout, notes, relationships, parts});
+     *   layout and notes are null when the slide has none, and parts holds the chart and
+     *   SmartArt data XML by relationship ID
+     */
+    async readSlides() {
+        const presentationRelationships = await this.readRelationships('ppt/presentation.xml');
+        const slides = [];
+
+        for (const el of this.presentation('p\\:sldIdLst > p\\:sldId').toArray()) {
+            const rel = presentationRelationships.get(el.attribs['r:id']);
+            const slide = rel && await this.loadXml(rel.target);
+            if (!slide) {
+                console.warn(`[PptxPackage] Skipping missing slide ${el.attribs['r:id']}`);
+                continue;
+            }
+
+            const relationships = await this.readRelationships(rel.target);
+            const layout = this.findRelationship(relationships, 'slideLayout');
+            const notes = this.findRelationship(relationships, 'notesSlide');
+            const parts = new Map();
+            for (const [id, partRel] of relationships) {
+                if (GRAPHIC_PART_TYPES.some(type => partRel.type.endsWith(RELATIONSHIP_TYPES[type]))) {
+                    const part = await this.loadXml(partRel.target);
+                    if (part) parts.set(id, part);
+                }
+            }
+            slides.push({
+                path: rel.target,
+                slide,
+                layout: layout ? await this.loadXml(layout.target) : null,
+                notes: notes ? await this.loadXml(notes.target) : null,
+                relationships,
+                parts
+            });
+        }
+
+        return slides;
+    }
+
+    /**
+     * Register a picture for saving and return its output path
+     * @param {string} zipPath - Picture path inside the package
+     * @returns {string|null} Relative output path, or null if the picture is missing
+     */
+    collectImage(zipPath) {
+        if (this.imagesByZipPath.has(zipPath)) {
+            return this.imagesByZipPath.get(zipPath);
+        }
+
+        const ext = path.posix.extname(zipPath).toLowerCase();
+        if (!IMAGE_EXTENSIONS.includes(ext) || !this.zip.file(zipPath)) {
+            return null;
+        }
+
+        const number = String(this.images.length + 1).padStart(3, '0');
+        const outputPath = `attachments/${this.imagePrefix}-image-${number}${ext === '.jpeg' ? '.jpg' : ext}`;
+        this.images.push({ path: outputPath, zipPath });
+        this.imagesByZipPath.set(zipPath, outputPath);
+        return outputPath;
+    }
+
+    /**
+     * Read the data of every registered picture
+     * @returns {Promise<Array<{path: string, data: Buffer}>>} Images for ConversionResultManager
+     */
+    async loadImages() {
+        return Promise.all(this.images.map(async image => ({
+            path: image.path,
+            data: await this.zip.file(image.zipPath).async('nodebuffer')
+        })));
+    }
+}
+
+module.exports = PptxPackage;
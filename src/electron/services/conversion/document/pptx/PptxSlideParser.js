@@ -0,0 +1,442 @@
+/**
+ * PptxSlideParser.js
+ * Reads the title, body text and speaker notes of a slide from its XML.
+ *
+ * - The title comes from the title placeholder (title or ctrTitle)
+ * - Shapes and text boxes are read top to bottom, then left to right. Placeholders
+ *   without their own position take it from the slide layout, and shapes in groups are
+ *   placed with the group's transform
+ * - Paragraph levels (a:pPr lvl) become nested list items. Body placeholders are bulleted
+ *   unless a paragraph turns bullets off; other shapes only where a bullet is set
+ * - Pictures are registered with the package and embedded where they sit on the slide;
+ *   tables, charts and SmartArt are rendered by PptxGraphics
+ * - Notes come from the body placeholder of the slide's notes slide
+ *
+ * Related Files:
+ * - PptxPackage.js: Loads the slide, layout and notes parts and collects pictures
+ * - PptxGraphics.js: Renders tables, charts and SmartArt
+ * - PptxConverter.js: Renders the parsed slides as markdown
+ */
+
+const PptxGraphics = require('./PptxGraphics');
+
+const TITLE_TYPES = ['title', 'ctrTitle'];
+// Placeholders that repeat on every slide rather than holding content
+const SKIPPED_TYPES = ['dt', 'ftr', 'sldNum', 'hdr', 'sldImg'];
+// Placeholders that are not bulleted by the slide master
+const UNBULLETED_TYPES = [...TITLE_TYPES, 'subTitle', ...SKIPPED_TYPES];
+// Shapes whose tops are closer than this (a quarter inch, in EMU) are on the same row
+const ROW_TOLERANCE = 228600;
+const LIST_INDENT = '    ';
+
+class PptxSlideParser {
+    constructor() {
+        this.graphics = new PptxGraphics(this);
+    }
+
+    /**
+     * Parse one slide
+     * @param {Object} parts - Slide parts from PptxPackage.readSlides()
+     * @param {Function} parts.slide - Slide XML
+     * @param {Function|null} parts.layout - Slide layout XML
+     * @param {Function|null} parts.notes - Notes slide XML
+     * @param {Map<string, Object>} parts.relationships - Slide relationships
+     * @param {Map<string, Function>} parts.parts - Chart and SmartArt XML by relationship ID
+     * @param {PptxPackage} pkg - Package that collects the slide's pictures
+     * @returns {{title: string, content: string, notes: string}} Slide parts
+     */
+    parse({ slide, layout, notes, relationships, parts }, pkg) {
+        const layoutPositions = layout ? this.placeholderPositions(layout) : new Map();
+        const shapes = this.readShapes(slide, layoutPositions);
+
+        let title = '';
+        const blocks = [];
+        shapes.forEach(shape => {
+            const type = shape.placeholder && shape.placeholder.type;
+            let block = '';
+            if (shape.kind === 'picture') {
+                block = this.renderPicture(shape.element, relationships, pkg);
+            } else if (shape.kind === 'graphic') {
+                block = this.graphics.render(shape.element, { relationships, parts: parts || new Map() });
+            } else if (!title && TITLE_TYPES.includes(type)) {
+                title = this.plainText(shape.textBody);
+            } else if (!SKIPPED_TYPES.includes(type)) {
+                const bulleted = Boolean(shape.placeholder) && !UNBULLETED_TYPES.includes(type);
+                block = this.renderTextBody(shape.textBody, { bulleted, relationships });
+            }
+            if (block) blocks.push(block);
+        });
+
+        return {
+            title,
+            content: blocks.join('\n\n'),
+            notes: notes ? this.readNotes(notes) : ''
+        };
+    }
+
+    /**
+     * Read the text of the body placeholder on a notes slide
+     * @param {Function} notes - Notes slide XML
+     * @returns {string} Notes markdown
+     */
+    readNotes(notes) {
+        return this.readShapes(notes, new Map())
+            .filter(shape => shape.kind === 'text' && shape.placeholder && shape.placeholder.type === 'body')
+            .map(shape => this.renderTextBody(shape.textBody, { bulleted: false, relationships: new Map() }))
+            .filter(Boolean)
+            .join('\n\n');
+    }
+
+    /**
+     * Collect the shapes of a slide in reading order
+     * @param {Function} $ - Slide XML
+     * @param {Map<string, Object>} layoutPositions - Placeholder positions from the layout
+     * @returns {Object[]} Shapes ({kind, element, placeholder, position, textBody}); kind is
+     *   "text", "picture" or "graphic"
+     */
+    readShapes($, layoutPositions) {
+        const tree = $('p\\:cSld > p\\:spTree').get(0);
+        if (!tree) {
+            return [];
+        }
+
+        const shapes = [];
+        this.collectShapes(tree, point => point, shapes);
+        shapes.forEach(shape => {
+            if (!shape.position && shape.placeholder) {
+                shape.position = layoutPositions.get(`idx:${shape.placeholder.idx}`)
+                    || layoutPositions.get(`type:${shape.placeholder.type}`)
+                    || null;
+            }
+        });
+
+        // Shapes with no known position keep their document order, after the rest
+        return shapes.sort((a, b) => {
+            if (!a.position || !b.position) {
+                return (a.position ? 0 : 1) - (b.position ? 0 : 1);
+            }
+            const dy = a.position.y - b.position.y;
+            return Math.abs(dy) > ROW_TOLERANCE ? dy : a.position.x - b.position.x;
+        });
+    }
+
+    /**
+     * Walk a shape tree, flattening groups
+     * @param {Object} tree - p:spTree or p:grpSp element
+     * @param {Function} transform - Maps a point in the tree's coordinates to slide coordinates
+     * @param {Object[]} shapes - Collected shapes
+     */
+    collectShapes(tree, transform, shapes) {
+        this.childElements(tree).forEach(el => {
+            const add = (kind, xfrm, textBody = null) => {
+                const offset = this.offset(xfrm);
+                shapes.push({
+                    kind,
+                    element: el,
+                    placeholder: this.placeholder(el),
+                    position: offset ? transform(offset) : null,
+                    textBody
+                });
+            };
+
+            if (el.name === 'p:sp') {
+                const textBody = this.child(el, 'p:txBody');
+                if (textBody) add('text', this.child(this.child(el, 'p:spPr'), 'a:xfrm'), textBody);
+            } else if (el.name === 'p:pic') {
+                add('picture', this.child(this.child(el, 'p:spPr'), 'a:xfrm'));
+            } else if (el.name === 'p:graphicFrame') {
+                add('graphic', this.child(el, 'p:xfrm'));
+            } else if (el.name === 'p:grpSp') {
+                this.collectShapes(el, this.groupTransform(el, transform), shapes);
+            } else if (el.name === 'mc:AlternateContent') {
+                // The fallback holds content every reader understands
+                const content = this.child(el, 'mc:Fallback') || this.child(el, 'mc:Choice');
+                if (content) this.collectShapes(content, transform, shapes);
+            }
+        });
+    }
+
+    /**
+     * Build the transform from a group's child coordinates to slide coordinates
+     * @param {Object} group - p:grpSp element
+     * @param {Function} transform - Transform of the enclosing tree
+     * @returns {Function} Point transform
+     */
+    groupTransform(group, transform) {
+        const xfrm = this.child(this.child(group, 'p:grpSpPr'), 'a:xfrm');
+        const offset = this.offset(xfrm);
+        const extent = this.point(this.child(xfrm, 'a:ext'), 'cx', 'cy');
+        const childOffset = this.point(this.child(xfrm, 'a:chOff'), 'x', 'y');
+        const childExtent = this.point(this.child(xfrm, 'a:chExt'), 'cx', 'cy');
+        if (!offset || !extent || !childOffset || !childExtent) {
+            return transform;
+        }
+
+        const scaleX = childExtent.x ? extent.x / childExtent.x : 1;
+        const scaleY = childExtent.y ? extent.y / childExtent.y : 1;
+        return point => transform({
+            x: offset.x + (point.x - childOffset.x) * scaleX,
+            y: offset.y + (point.y - childOffset.y) * scaleY
+        });
+    }
+
+    /**
+     * Index the positions of a layout's placeholders by idx and type
+     * @param {Function} layout - Slide layout XML
+     * @returns {Map<string, Object>} Positions by "idx:N" and "type:T"
+     */
+    placeholderPositions(layout) {
+        const positions = new Map();
+        const tree = layout('p\\:cSld > p\\:spTree').get(0);
+        if (!tree) {
+            return positions;
+        }
+
+        const shapes = [];
+        this.collectShapes(tree, point => point, shapes);
+        shapes.forEach(shape => {
+            if (!shape.placeholder || !shape.position) return;
+            if (shape.placeholder.idx !== undefined && !positions.has(`idx:${shape.placeholder.idx}`)) {
+                positions.set(`idx:${shape.placeholder.idx}`, shape.position);
+            }
+            if (!positions.has(`type:${shape.placeholder.type}`)) {
+                positions.set(`type:${shape.placeholder.type}`, shape.position);
+            }
+        });
+        return positions;
+    }
+
+    /**
+     * Read a shape's placeholder
+     * @param {Object} shape - p:sp, p:pic or p:graphicFrame element
+     * @returns {{type: string, idx: string|undefined}|null} Placeholder, or null for a plain shape
+     */
+    placeholder(shape) {
+        // The non-visual properties are p:nvSpPr, p:nvPicPr or p:nvGraphicFramePr
+        const nonVisual = this.childElements(shape).find(el => /^p:nv\w+Pr$/.test(el.name));
+        const nvPr = this.child(nonVisual, 'p:nvPr');
+        const ph = this.child(nvPr, 'p:ph');
+        // A placeholder without a type is a content ("obj") placeholder
+        return ph ? { type: ph.attribs.type || 'obj', idx: ph.attribs.idx } : null;
+    }
+
+    /**
+     * Register a picture with the package and embed it
+     * @param {Object} picture - p:pic element
+     * @param {Map<string, Object>} relationships - Slide relationships
+     * @param {PptxPackage} pkg - Package collecting pictures
+     * @returns {string} Embed, or '' for linked or missing pictures
+     */
+    renderPicture(picture, relationships, pkg) {
+        const blip = this.child(this.child(picture, 'p:blipFill'), 'a:blip');
+        const rel = blip && relationships.get(blip.attribs['r:embed']);
+        const imagePath = rel && !rel.external && pkg ? pkg.collectImage(rel.target) : null;
+        return imagePath ? `![[${imagePath}]]` : '';
+    }
+
+    /**
+     * Render a text body as markdown paragraphs and list items
+     * @param {Object} textBody - p:txBody element
+     * @param {Object} options - Rendering options
+     * @param {boolean} options.bulleted - Whether paragraphs are bulleted unless turned off
+     * @param {Map<string, Object>} options.relationships - Relationships for hyperlinks
+     * @returns {string} Markdown
+     */
+    renderTextBody(textBody, { bulleted, relationships }) {
+        const blocks = [];
+        const counters = [];
+
+        this.children(textBody, 'a:p').forEach(paragraph => {
+            const text = this.renderRuns(paragraph, relationships).trim();
+            if (!text) return;
+
+            const properties = this.child(paragraph, 'a:pPr');
+            const level = Math.min(parseInt(properties && properties.attribs.lvl, 10) || 0, 8);
+            const bullet = this.bulletType(properties, bulleted);
+
+            if (!bullet) {
+                counters.length = 0;
+                blocks.push({ text, listItem: false });
+                return;
+            }
+
+            // Numbering restarts below the current level and after a bullet at this level
+            counters.length = level + 1;
+            if (bullet.numbered) {
+                counters[level] = counters[level] === undefined ? bullet.startAt : counters[level] + 1;
+            } else {
+                counters[level] = undefined;
+            }
+            const marker = bullet.numbered ? `${counters[level]}.` : '-';
+            const indent = LIST_INDENT.repeat(level);
+            blocks.push({ text: `${indent}${marker} ${text.replace(/\n/g, `\n${indent}  `)}`, listItem: true });
+        });
+
+        // List items follow each other directly; paragraphs are separated by blank lines
+        return blocks.map((block, i) => {
+            if (i === 0) return block.text;
+            return `${block.listItem && blocks[i - 1].listItem ? '\n' : '\n\n'}${block.text}`;
+        }).join('');
+    }
+
+    /**
+     * Work out how a paragraph is bulleted
+     * @param {Object|null} properties - a:pPr element
+     * @param {boolean} bulleted - Whether the shape is bulleted by default
+     * @returns {{numbered: boolean, startAt: number}|null} Bullet, or null for none
+     */
+    bulletType(properties, bulleted) {
+        if (this.child(properties, 'a:buNone')) {
+            return null;
+        }
+        const autoNumber = this.child(properties, 'a:buAutoNum');
+        if (autoNumber) {
+            return { numbered: true, startAt: parseInt(autoNumber.attribs.startAt, 10) || 1 };
+        }
+        if (this.child(properties, 'a:buChar') || this.child(properties, 'a:buBlip') || bulleted) {
+            return { numbered: false, startAt: 1 };
+        }
+        return null;
+    }
+
+    /**
+     * Render the runs of a paragraph with bold, italic, strikethrough and links
+     * @param {Object} paragraph - a:p element
+     * @param {Map<string, Object>} relationships - Relationships for hyperlinks
+     * @returns {string} Markdown text
+     */
+    renderRuns(paragraph, relationships) {
+        const segments = [];
+        this.childElements(paragraph).forEach(el => {
+            if (el.name === 'a:br') {
+                segments.push({ text: '\n' });
+                return;
+            }
+            if (el.name !== 'a:r' && el.name !== 'a:fld') return;
+            if (el.name === 'a:fld' && el.attribs.type === 'slidenum') return;
+
+            const properties = this.child(el, 'a:rPr');
+            const attribs = properties ? properties.attribs : {};
+            const link = this.child(properties, 'a:hlinkClick');
+            const rel = link && relationships.get(link.attribs['r:id']);
+            segments.push({
+                text: this.textOf(this.child(el, 'a:t')),
+                bold: attribs.b === '1' || attribs.b === 'true',
+                italic: attribs.i === '1' || attribs.i === 'true',
+                strike: Boolean(attribs.strike) && attribs.strike !== 'noStrike',
+                href: rel && rel.external ? rel.target : ''
+            });
+        });
+
+        // Merge neighbouring runs with the same formatting, so markers are not doubled
+        const merged = [];
+        segments.forEach(segment => {
+            const last = merged[merged.length - 1];
+            if (last && segment.text !== '\n' && last.text !== '\n'
+                && ['bold', 'italic', 'strike', 'href'].every(key => last[key] === segment[key])) {
+                last.text += segment.text;
+            } else {
+                merged.push({ ...segment });
+            }
+        });
+
+        return merged.map(segment => this.formatSegment(segment)).join('');
+    }
+
+    /**
+     * Apply formatting to a run of text, keeping surrounding spaces outside the markers
+     * @param {Object} segment - Text and formatting
+     * @returns {string} Markdown text
+     */
+    formatSegment(segment) {
+        const match = segment.text.match(/^(\s*)([\s\S]*?)(\s*)$/);
+        let core = match[2];
+        if (!core) {
+            return segment.text;
+        }
+        if (segment.href) core = `[${core}](${segment.href})`;
+        if (segment.strike) core = `~~${core}~~`;
+        if (segment.italic) core = `*${core}*`;
+        if (segment.bold) core = `**${core}**`;
+        return `${match[1]}${core}${match[3]}`;
+    }
+
+    /**
+     * Get the unformatted text of a text body on one line
+     * @param {Object} textBody - p:txBody element
+     * @returns {string} Text
+     */
+    plainText(textBody) {
+        return this.children(textBody, 'a:p')
+            .map(paragraph => this.childElements(paragraph)
+                .map(el => (el.name === 'a:br' ? ' ' : this.textOf(this.child(el, 'a:t'))))
+                .join(''))
+            .join(' ')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Read an a:off element, or the offset of an a:xfrm
+     * @param {Object|null} xfrm - a:xfrm element
+     * @returns {{x: number, y: number}|null} Offset
+     */
+    offset(xfrm) {
+        return this.point(this.child(xfrm, 'a:off'), 'x', 'y');
+    }
+
+    /**
+     * Read two numeric attributes as a point
+     * @param {Object|null} el - Element
+     * @param {string} xName - Attribute holding x
+     * @param {string} yName - Attribute holding y
+     * @returns {{x: number, y: number}|null} Point, or null if either is missing
+     */
+    point(el, xName, yName) {
+        if (!el || el.attribs[xName] === undefined || el.attribs[yName] === undefined) {
+            return null;
+        }
+        return { x: Number(el.attribs[xName]), y: Number(el.attribs[yName]) };
+    }
+
+    /**
+     * Get the text content of an element
+     * @param {Object|null} el - Element
+     * @returns {string} Text
+     */
+    textOf(el) {
+        if (!el) return '';
+        return (el.children || []).map(node => (node.type === 'text' ? node.data : this.textOf(node))).join('');
+    }
+
+    /**
+     * Get the element children of a node
+     * @param {Object|null} el - Element
+     * @returns {Object[]} Child elements
+     */
+    childElements(el) {
+        return el ? (el.children || []).filter(node => node.type === 'tag') : [];
+    }
+
+    /**
+     * Get the child elements with a name
+     * @param {Object|null} el - Element
+     * @param {string} name - Qualified element name
+     * @returns {Object[]} Matching children
+     */
+    children(el, name) {
+        return this.childElements(el).filter(node => node.name === name);
+    }
+
+    /**
+     * Get the first child element with a name
+     * @param {Object|null} el - Element
+     * @param {string} name - Qualified element name
+     * @returns {Object|null} Matching child
+     */
+    child(el, name) {
+        return this.children(el, name)[0] || null;
+    }
+}
+
+module.exports = PptxSlideParser;
@@ -0,0 +1,737 @@
+/**
+ * EmailConverter.js
+ * Handles conversion of email messages (.eml) and mailboxes (.mbox) to markdown
+ * in the Electron main process.
+ *
+ * This converter:
+ * - Parses MIME messages with MimeParser (headers, multiparts, encodings, charsets)
+ * - Writes from/to/cc/date/subject/message-id into the note frontmatter
+ * - Converts the HTML body with turndown, falling back to the plain-text body
+ * - Embeds inline (cid:) and attached images
+ * - Feeds other attachments back through UnifiedConverterFactory.convertFile and links
+ *   the resulting notes; attachments that cannot be converted are saved as-is
+ * - For mailboxes, writes one note per message plus an index grouped by thread
+ *   using In-Reply-To/References
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - MimeParser.js: MIME parsing
+ * - UnifiedConverterFactory.js: Converts attachments
+ * - ConverterRegistry.js: Registers the EML and MBOX adapters
+ */
+
+const path = require('path');
+const TurndownService = require('turndown');
+const BaseService = require('../../BaseService');
+const MimeParser = require('./MimeParser');
+const { getFileHandlingInfo } = require('../../../utils/files/types');
+const { slugify } = require('../../../converters/utils/fileNames');
+
+// Attachments inside attachments (forwarded mail, archives) stop recursing here
+const MAX_ATTACHMENT_DEPTH = 3;
+// Only these categories are converted; media would start transcription jobs
+const CONVERTIBLE_CATEGORIES = ['documents', 'data'];
+// Extensions for unnamed parts
+const EXTENSIONS_BY_MIME = {
+    'message/rfc822': '.eml',
+    'application/pdf': '.pdf',
+    'text/plain': '.txt',
+    'text/html': '.html',
+    'text/calendar': '.ics',
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/webp': '.webp'
+};
+
+class EmailConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.mimeParser = new MimeParser();
+        this.supportedExtensions = ['.eml', '.mbox'];
+    }
+
+    /**
+     * Set up IPC handlers for email conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:eml', this.handleConvert.bind(this));
+        this.registerHandler('convert:mbox', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle email conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, options = {} }) {
+        try {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            const fileName = options.originalFileName || path.basename(filePath);
+            const result = path.extname(fileName).toLowerCase() === '.mbox'
+                ? await this.convertMailbox(fileResult.content, { ...options, fileName })
+                : await this.convertToMarkdown(fileResult.content, { ...options, fileName });
+
+            return result;
+        } catch (error) {
+            console.error('[EmailConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert a single .eml message to markdown
+     * @param {Buffer} content - Raw message
+     * @param {Object} options - Conversion options
+     * @param {boolean} [options.convertAttachments] - Whether to convert attachments (default: true)
+     * @returns {Promise<Object>} Markdown content, images, additional files and metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'message.eml';
+            const baseName = path.basename(fileName, path.extname(fileName));
+            const message = this.readMessage(this.mimeParser.parseMessage(content));
+            const title = message.subject || baseName;
+
+            const state = { images: [], files: [] };
+            const body = await this.renderMessage(message, {
+                ...options,
+                state,
+                prefix: slugify(baseName) || 'message',
+                attachmentDir: `${slugify(baseName) || 'message'}-attachments`
+            });
+
+            const metadata = this.buildMetadata(message, title);
+            const { formatMetadata, stripStandardFields } = require('../../../converters/utils/metadata');
+            console.log(`[EmailConverter] Converted message "${title}" with ${message.attachments.length} attachments`);
+
+            return {
+                content: formatMetadata(metadata) + body,
+                images: state.images,
+                files: state.files,
+                metadata: stripStandardFields(metadata)
+            };
+        } catch (error) {
+            console.error('[EmailConverter] Message conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert an .mbox mailbox to a thread index plus one note per message
+     * @param {Buffer} content - Raw mailbox
+     * @param {Object} options - Conversion options
+     * @returns {Promise<Object>} Index content, images, message notes and metadata
+     */
+    async convertMailbox(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'mailbox.mbox';
+            const baseName = path.basename(fileName, path.extname(fileName));
+            const prefix = slugify(baseName) || 'mailbox';
+            const notesDir = `${prefix}-messages`;
+            const { formatMetadata, createStandardMetadata } = require('../../../converters/utils/metadata');
+
+            const rawMessages = this.mimeParser.splitMbox(content);
+            if (rawMessages.length === 0) {
+                throw new Error('Mailbox contains no messages');
+            }
+
+            const state = { images: [], files: [] };
+            const messages = [];
+            for (let i = 0; i < rawMessages.length; i++) {
+                const message = this.readMessage(this.mimeParser.parseMessage(rawMessages[i]));
+                const number = String(i + 1).padStart(3, '0');
+                const noteStem = `${number}-${slugify(message.subject) || 'message'}`;
+                message.noteName = `${notesDir}/${noteStem}.md`;
+
+                const body = await this.renderMessage(message, {
+                    ...options,
+                    state,
+                    prefix: `${prefix}-${number}`,
+                    attachmentDir: `${notesDir}/${noteStem}-attachments`,
+                    // Message notes live in a subfolder, so attachment links are relative to it
+                    linkBase: notesDir
+                });
+                const metadata = this.buildMetadata(message, message.subject || `Message ${i + 1}`);
+                metadata.mailbox = baseName;
+
+                state.files.push({
+                    name: message.noteName,
+                    type: 'text',
+                    content: formatMetadata(metadata) + body.replace(/!\[[^\]]*\]\((images\/[^)\s]+)\)/g, '![[$1]]')
+                });
+                messages.push(message);
+            }
+
+            const threads = this.groupThreads(messages);
+            const markdown = [];
+            markdown.push(`# ${baseName}`);
+            markdown.push('');
+            markdown.push('> Mailbox');
+            markdown.push(`> - Messages: ${messages.length}`);
+            markdown.push(`> - Threads: ${threads.length}`);
+            markdown.push('');
+
+            threads.forEach(thread => {
+                const count = thread.entries.length;
+                markdown.push(`## ${thread.subject || '(no subject)'} (${count} ${count === 1 ? 'message' : 'messages'})`);
+                markdown.push('');
+                thread.entries.forEach(({ message, depth }) => {
+                    const date = message.date ? `${this.formatDate(message.date)} — ` : '';
+                    const from = message.from.length > 0 ? ` — ${this.formatAddress(message.from[0], true)}` : '';
+                    const link = `[${this.escapeLinkText(message.subject || '(no subject)')}](${this.encodeLinkPath(message.noteName)})`;
+                    markdown.push(`${'    '.repeat(depth)}- ${date}${link}${from}`);
+                });
+                markdown.push('');
+            });
+
+            console.log(`[EmailConverter] Converted mailbox ${fileName}: ${messages.length} messages in ${threads.length} threads`);
+
+            const frontmatter = formatMetadata({
+                ...createStandardMetadata({ title: baseName, fileType: 'mbox' }),
+                messages: messages.length,
+                threads: threads.length
+            });
+            return {
+                content: frontmatter + markdown.join('\n'),
+                images: state.images,
+                files: state.files,
+                metadata: { title: baseName, messages: messages.length, threads: threads.length }
+            };
+        } catch (error) {
+            console.error('[EmailConverter] Mailbox conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Pull the fields we render out of a parsed message
+     * @param {Object} root - Root MIME part
+     * @returns {Object} Message summary with bodies and attachments
+     */
+    readMessage(root) {
+        const header = (name) => this.mimeParser.getHeader(root.headers, name);
+        const ids = (value) => (value || '').match(/<[^<>\s]+>/g) || [];
+
+        const message = {
+            subject: this.mimeParser.decodeWords(header('subject') || '').replace(/\s+/g, ' ').trim(),
+            from: this.parseAddresses(header('from')),
+            to: this.parseAddresses(header('to')),
+            cc: this.parseAddresses(header('cc')),
+            date: this.parseDate(header('date')),
+            rawDate: header('date'),
+            messageId: ids(header('message-id'))[0] || null,
+            inReplyTo: ids(header('in-reply-to'))[0] || null,
+            references: ids(header('references')),
+            html: null,
+            text: null,
+            inlineImages: new Map(),
+            attachments: []
+        };
+
+        this.collectParts(root, message, false);
+        return message;
+    }
+
+    /**
+     * Walk the part tree, picking body parts, inline images and attachments
+     * @param {Object} part - MIME part
+     * @param {Object} message - Message summary to fill in
+     * @param {boolean} inAlternative - Whether the part is an alternative body
+     */
+    collectParts(part, message, inAlternative) {
+        if (part.children.length > 0) {
+            const isAlternative = part.contentType === 'multipart/alternative';
+            part.children.forEach(child => this.collectParts(child, message, isAlternative || inAlternative));
+            return;
+        }
+
+        const isAttachment = part.disposition === 'attachment' ||
+            (part.filename && part.disposition !== 'inline' && !inAlternative);
+        const isBody = !isAttachment && (part.contentType === 'text/html' || part.contentType === 'text/plain');
+
+        if (isBody) {
+            const key = part.contentType === 'text/html' ? 'html' : 'text';
+            const text = this.mimeParser.decodeText(part);
+            // Several body parts (e.g. text around an inline attachment) are concatenated
+            message[key] = message[key] ? `${message[key]}\n${text}` : text;
+            return;
+        }
+
+        if (part.contentType.startsWith('image/') && part.contentId && part.disposition !== 'attachment') {
+            message.inlineImages.set(part.contentId, {
+                name: part.filename || `${part.contentId.split('@')[0]}${this.extensionForType(part.contentType)}`,
+                data: part.content
+            });
+            return;
+        }
+
+        let name = part.filename;
+        if (!name) {
+            name = part.contentType === 'message/rfc822'
+                ? `${slugify(this.readMessage(part.message).subject) || 'forwarded-message'}.eml`
+                : `attachment-${message.attachments.length + 1}${this.extensionForType(part.contentType)}`;
+        }
+        message.attachments.push({
+            name: path.basename(name.replace(/\\/g, '/')),
+            contentType: part.contentType,
+            data: part.content || Buffer.alloc(0)
+        });
+    }
+
+    /**
+     * Render the header block, body and attachment list of a message
+     * @param {Object} message - Message summary
+     * @param {Object} context - Output state and naming
+     * @returns {Promise<string>} Markdown body (without frontmatter)
+     */
+    async renderMessage(message, context) {
+        const { state, prefix } = context;
+        const markdown = [];
+        markdown.push(`# ${message.subject || '(no subject)'}`);
+        markdown.push('');
+
+        const headerLines = [];
+        if (message.from.length > 0) headerLines.push(`**From:** ${this.formatAddressList(message.from)}`);
+        if (message.to.length > 0) headerLines.push(`**To:** ${this.formatAddressList(message.to)}`);
+        if (message.cc.length > 0) headerLines.push(`**Cc:** ${this.formatAddressList(message.cc)}`);
+        if (message.date || message.rawDate) headerLines.push(`**Date:** ${message.date ? this.formatDate(message.date) : message.rawDate}`);
+        if (headerLines.length > 0) {
+            markdown.push(headerLines.join('  \n'));
+            markdown.push('');
+        }
+
+        // Inline images are referenced from the HTML by Content-ID
+        const cidPaths = new Map();
+        message.inlineImages.forEach((image, contentId) => {
+            cidPaths.set(contentId, this.registerBinary(image, 'images', prefix, state));
+        });
+
+        markdown.push(this.renderBody(message, cidPaths));
+        markdown.push('');
+
+        if (message.attachments.length > 0) {
+            markdown.push('## Attachments');
+            markdown.push('');
+            for (const attachment of message.attachments) {
+                markdown.push(await this.renderAttachment(attachment, context));
+            }
+            markdown.push('');
+        }
+
+        return markdown.join('\n');
+    }
+
+    /**
+     * Convert the message body to markdown
+     * @param {Object} message - Message summary
+     * @param {Map} cidPaths - Output paths of inline images by Content-ID
+     * @returns {string} Markdown body
+     */
+    renderBody(message, cidPaths) {
+        if (message.html) {
+            const cheerio = require('cheerio');
+            const $ = cheerio.load(message.html);
+            $('script, style, head').remove();
+            $('img').each((i, el) => {
+                const src = $(el).attr('src') || '';
+                if (src.toLowerCase().startsWith('cid:')) {
+                    const imagePath = cidPaths.get(decodeURIComponent(src.slice(4)));
+                    if (imagePath) $(el).attr('src', imagePath);
+                }
+            });
+            return this.createTurndownService().turndown($('body').html() || '').trim();
+        }
+
+        if (message.text) {
+            // Plain text keeps its line breaks
+            return message.text.replace(/\r\n?/g, '\n').trim().split(/\n{2,}/)
+                .map(block => block.split('\n').map(line => line.replace(/\s+$/, '')).join('  \n'))
+                .join('\n\n');
+        }
+
+        return '*This message has no text body.*';
+    }
+
+    /**
+     * Convert, embed or save one attachment and return its list entry
+     * @param {Object} attachment - Attachment name, type and data
+     * @param {Object} context - Output state, naming and conversion options
+     * @returns {Promise<string>} Markdown list entry
+     */
+    async renderAttachment(attachment, context) {
+        const { state, prefix, attachmentDir, linkBase } = context;
+        const relativeLink = (target) => this.encodeLinkPath(linkBase ? path.posix.relative(linkBase, target) : target);
+
+        if (attachment.contentType.startsWith('image/')) {
+            const imagePath = this.registerBinary(attachment, 'images', prefix, state);
+            return `- ![${this.escapeLinkText(attachment.name)}](${imagePath})`;
+        }
+
+        const converted = await this.convertAttachment(attachment, context);
+        if (converted) {
+            // Attachments with the same name in other messages produce the same image paths,
+            // so the images are saved under this message's prefix and the links rewritten
+            const renamed = new Map();
+            (converted.images || []).forEach(image => {
+                if (!renamed.has(image.path)) {
+                    renamed.set(image.path, this.registerBinary({ name: path.basename(image.path), data: image.data }, 'images', prefix, state));
+                }
+            });
+            const relink = (text) => this.replacePaths(text, renamed);
+
+            const notePath = `${attachmentDir}/${slugify(attachment.name) || 'attachment'}.md`;
+            state.files.push({
+                name: notePath,
+                type: 'text',
+                content: relink(converted.content).replace(/!\[[^\]]*\]\((images\/[^)\s]+)\)/g, '![[$1]]'),
+                metadata: { title: attachment.name }
+            });
+            // Notes produced by the attachment's own converter keep their layout next to it
+            (converted.files || []).forEach(file => {
+                state.files.push({
+                    ...file,
+                    name: `${attachmentDir}/${file.name}`,
+                    content: typeof file.content === 'string' ? relink(file.content) : file.content
+                });
+            });
+            return `- [${this.escapeLinkText(attachment.name)}](${relativeLink(notePath)})`;
+        }
+
+        const savedPath = this.registerBinary(attachment, 'attachments', prefix, state);
+        return `- [${this.escapeLinkText(attachment.name)}](${relativeLink(savedPath)}) (${attachment.contentType}, ${this.formatSize(attachment.data.length)})`;
+    }
+
+    /**
+     * Replace every occurrence of the given paths in a text
+     * @param {string} text - Markdown text
+     * @param {Map<string, string>} paths - New path by old path
+     * @returns {string} Text with the paths replaced
+     */
+    replacePaths(text, paths) {
+        if (paths.size === 0) {
+            return text;
+        }
+        const escaped = Array.from(paths.keys())
+            .sort((a, b) => b.length - a.length)
+            .map(oldPath => oldPath.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'));
+        return text.replace(new RegExp(escaped.join('|'), 'g'), match => paths.get(match));
+    }
+
+    /**
+     * Run an attachment through the unified converter factory
+     * @param {Object} attachment - Attachment name and data
+     * @param {Object} context - Conversion options
+     * @returns {Promise<Object|null>} Conversion result, or null if not convertible
+     */
+    async convertAttachment(attachment, context) {
+        const depth = context.attachmentDepth || 0;
+        const fileType = path.extname(attachment.name).slice(1).toLowerCase();
+        const { category } = getFileHandlingInfo(attachment.name);
+
+        if (context.convertAttachments === false || !fileType || depth >= MAX_ATTACHMENT_DEPTH ||
+            !CONVERTIBLE_CATEGORIES.includes(category) || attachment.data.length === 0) {
+            return null;
+        }
+
+        try {
+            // Required lazily: the factory loads the registry, which loads this converter
+            const unifiedConverterFactory = require('../../../converters/UnifiedConverterFactory');
+            const result = await unifiedConverterFactory.convertFile(attachment.data, {
+                fileType,
+                originalFileName: attachment.name,
+                name: attachment.name,
+                apiKey: context.apiKey,
+                mistralApiKey: context.mistralApiKey,
+                useOcr: context.useOcr,
+                attachmentDepth: depth + 1
+            });
+
+            if (!result || !result.success || !result.content) {
+                console.warn(`[EmailConverter] Attachment ${attachment.name} not converted: ${result && result.error}`);
+                return null;
+            }
+            return result;
+        } catch (error) {
+            console.warn(`[EmailConverter] Attachment ${attachment.name} failed to convert: ${error.message}`);
+            return null;
+        }
+    }
+
+    /**
+     * Add binary data to the output under a unique path
+     * @param {Object} item - Name and data
+     * @param {string} folder - Output folder ('images' or 'attachments')
+     * @param {string} prefix - Prefix derived from the source name
+     * @param {Object} state - Shared output state
+     * @returns {string} Relative output path
+     */
+    registerBinary(item, folder, prefix, state) {
+        const ext = path.extname(item.name).toLowerCase();
+        const stem = slugify(path.basename(item.name, path.extname(item.name))) || 'file';
+        const taken = new Set(state.images.map(image => image.path));
+
+        let outputPath = `${folder}/${prefix}-${stem}${ext}`;
+        for (let n = 2; taken.has(outputPath); n++) {
+            outputPath = `${folder}/${prefix}-${stem}-${n}${ext}`;
+        }
+
+        // Saved through the image pipeline, which writes any buffer to its relative path
+        state.images.push({ path: outputPath, data: item.data });
+        return outputPath;
+    }
+
+    /**
+     * Group messages into threads using In-Reply-To and References
+     * @param {Object[]} messages - Message summaries
+     * @returns {Object[]} Threads ordered by first message, each with depth-annotated entries
+     */
+    groupThreads(messages) {
+        const byId = new Map();
+        messages.forEach(message => {
+            if (message.messageId && !byId.has(message.messageId)) {
+                byId.set(message.messageId, message);
+            }
+        });
+
+        // The closest ancestor present in the mailbox is the parent
+        messages.forEach(message => {
+            const candidates = [message.inReplyTo, ...message.references.slice().reverse()].filter(Boolean);
+            const parentId = candidates.find(id => id !== message.messageId && byId.has(id));
+            message.parent = parentId ? byId.get(parentId) : null;
+        });
+
+        const rootOf = (message) => {
+            const seen = new Set();
+            let current = message;
+            while (current.parent && !seen.has(current.parent)) {
+                seen.add(current);
+                current = current.parent;
+            }
+            return current;
+        };
+
+        // Replies to a message missing from the mailbox still share its id as their thread key
+        const threadKey = (message) => {
+            const root = rootOf(message);
+            return root.references[0] || root.inReplyTo || root.messageId || root.noteName;
+        };
+
+        const threads = new Map();
+        messages.forEach(message => {
+            const key = threadKey(message);
+            if (!threads.has(key)) {
+                threads.set(key, []);
+            }
+            threads.get(key).push(message);
+        });
+
+        const byDate = (a, b) => (a.date ? a.date.getTime() : 0) - (b.date ? b.date.getTime() : 0);
+        return Array.from(threads.values())
+            .map(members => {
+                const memberSet = new Set(members);
+                const entries = [];
+                const visit = (message, depth) => {
+                    entries.push({ message, depth });
+                    members
+                        .filter(child => child.parent === message)
+                        .sort(byDate)
+                        .forEach(child => visit(child, depth + 1));
+                };
+                members
+                    .filter(message => !message.parent || !memberSet.has(message.parent))
+                    .sort(byDate)
+                    .forEach(message => visit(message, 0));
+
+                const first = entries[0].message;
+                return {
+                    subject: first.subject.replace(/^((re|fwd?|aw|wg)\s*:\s*)+/i, ''),
+                    entries,
+                    start: members.slice().sort(byDate)[0]
+                };
+            })
+            .sort((a, b) => byDate(a.start, b.start));
+    }
+
+    /**
+     * Build frontmatter fields for a message
+     * @param {Object} message - Message summary
+     * @param {string} title - Note title
+     * @returns {Object} Metadata object
+     */
+    buildMetadata(message, title) {
+        const { createStandardMetadata } = require('../../../converters/utils/metadata');
+        return {
+            ...createStandardMetadata({ title, fileType: 'eml' }),
+            from: message.from.map(address => this.formatAddress(address, false)).join(', '),
+            to: message.to.map(address => this.formatAddress(address, false)),
+            cc: message.cc.map(address => this.formatAddress(address, false)),
+            date: message.date ? message.date.toISOString() : message.rawDate,
+            subject: message.subject,
+            'message-id': message.messageId
+        };
+    }
+
+    /**
+     * Parse an address list header
+     * @param {string|null} value - Raw header value
+     * @returns {Array<{name: string, address: string}>} Addresses
+     */
+    parseAddresses(value) {
+        if (!value) return [];
+
+        // Split on commas outside quotes and angle brackets
+        const entries = [];
+        let current = '';
+        let inQuotes = false;
+        let inAngle = false;
+        for (const char of value) {
+            if (char === '"') inQuotes = !inQuotes;
+            if (char === '<' && !inQuotes) inAngle = true;
+            if (char === '>' && !inQuotes) inAngle = false;
+            if (char === ',' && !inQuotes && !inAngle) {
+                entries.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        entries.push(current);
+
+        return entries
+            .map(entry => entry.trim())
+            .filter(Boolean)
+            .map(entry => {
+                const match = entry.match(/^(.*?)\s*<([^<>]+)>\s*$/);
+                const name = match ? match[1] : '';
+                return {
+                    name: this.mimeParser.decodeWords(name.replace(/^"|"$/g, '').replace(/\\(.)/g, '$1')).trim(),
+                    address: (match ? match[2] : entry.replace(/\s*\(.*\)\s*$/, '')).trim()
+                };
+            });
+    }
+
+    /**
+     * Format an address for output
+     * @param {Object} address - Parsed address
+     * @param {boolean} short - Whether to prefer the display name alone
+     * @returns {string} Formatted address
+     */
+    formatAddress(address, short) {
+        if (!address.name) return address.address;
+        return short ? address.name : `${address.name} <${address.address}>`;
+    }
+
+    /**
+     * Format an address list for the message header block
+     * @param {Object[]} addresses - Parsed addresses
+     * @returns {string} Markdown-safe address list
+     */
+    formatAddressList(addresses) {
+        return addresses
+            .map(address => this.formatAddress(address, false).replace(/</g, '&lt;').replace(/>/g, '&gt;'))
+            .join(', ');
+    }
+
+    /**
+     * Parse a Date header
+     * @param {string|null} value - Raw header value
+     * @returns {Date|null} Parsed date
+     */
+    parseDate(value) {
+        if (!value) return null;
+        // Drop trailing comments such as "(UTC)" that Date cannot parse
+        const date = new Date(value.replace(/\s*\([^)]*\)\s*$/, ''));
+        return isNaN(date.getTime()) ? null : date;
+    }
+
+    /**
+     * Format a date for display
+     * @param {Date} date - Date to format
+     * @returns {string} Date as YYYY-MM-DD HH:MM (UTC)
+     */
+    formatDate(date) {
+        return date.toISOString().slice(0, 16).replace('T', ' ');
+    }
+
+    /**
+     * Format a byte count
+     * @param {number} bytes - Size in bytes
+     * @returns {string} Human readable size
+     */
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Pick a file extension for a content type
+     * @param {string} contentType - MIME type
+     * @returns {string} Extension including the dot
+     */
+    extensionForType(contentType) {
+        return EXTENSIONS_BY_MIME[contentType] || '.bin';
+    }
+
+    /**
+     * Create the turndown service used for HTML bodies
+     * @returns {TurndownService} Configured turndown instance
+     */
+    createTurndownService() {
+        return new TurndownService({
+            headingStyle: 'atx',
+            codeBlockStyle: 'fenced',
+            emDelimiter: '*'
+        });
+    }
+
+    /**
+     * Escape characters that would end markdown link text
+     * @param {string} text - Link text
+     * @returns {string} Escaped text
+     */
+    escapeLinkText(text) {
+        return text.replace(/([[\]])/g, '\\$1');
+    }
+
+    /**
+     * Encode a relative note path for use in a markdown link
+     * @param {string} notePath - Relative note path
+     * @returns {string} Encoded path
+     */
+    encodeLinkPath(notePath) {
+        return notePath.split('/').map(encodeURIComponent).join('/');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Email Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts .eml messages and .mbox mailboxes to markdown notes',
+            options: {
+                convertAttachments: 'Whether to convert attachments to linked notes (default: true)'
+            }
+        };
+    }
+}
+
+module.exports = EmailConverter;
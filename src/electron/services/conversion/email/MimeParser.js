@@ -0,0 +1,295 @@
+/**
+ * MimeParser.js
+ * Parses RFC 5322 messages and mbox mailboxes into a MIME part tree.
+ *
+ * Handles folded and RFC 2047 encoded headers, RFC 2231 parameters, nested
+ * multiparts, base64/quoted-printable transfer encodings and per-part charsets.
+ * Message bytes are handled as latin1 strings so every byte survives until the
+ * part content is decoded.
+ */
+
+class MimeParser {
+    /**
+     * Parse a single message
+     * @param {Buffer|string} input - Raw message
+     * @returns {Object} Root part with headers, content type, children and decoded body
+     */
+    parseMessage(input) {
+        const raw = Buffer.isBuffer(input) ? input.toString('latin1') : Buffer.from(input, 'utf8').toString('latin1');
+        return this.parsePart(raw);
+    }
+
+    /**
+     * Split an mbox file into raw messages
+     * @param {Buffer|string} input - Raw mailbox
+     * @returns {Buffer[]} Raw message buffers
+     */
+    splitMbox(input) {
+        const raw = Buffer.isBuffer(input) ? input.toString('latin1') : Buffer.from(input, 'utf8').toString('latin1');
+        const messages = [];
+        let current = null;
+
+        raw.split(/\r?\n/).forEach(line => {
+            if (/^From /.test(line)) {
+                if (current) messages.push(current);
+                current = [];
+                return;
+            }
+            if (current) {
+                // mboxrd quoting: one leading '>' was added to body lines starting with From
+                current.push(line.replace(/^>(>*From )/, '$1'));
+            }
+        });
+        if (current) messages.push(current);
+
+        return messages
+            .filter(lines => lines.some(line => line.trim().length > 0))
+            .map(lines => Buffer.from(lines.join('\n'), 'latin1'));
+    }
+
+    /**
+     * Parse a MIME part (or whole message) from a latin1 string
+     * @param {string} raw - Raw part
+     * @returns {Object} Parsed part
+     */
+    parsePart(raw) {
+        const separator = raw.match(/\r?\n\r?\n/);
+        const headerText = separator ? raw.slice(0, separator.index) : raw;
+        const bodyText = separator ? raw.slice(separator.index + separator[0].length) : '';
+
+        const headers = this.parseHeaders(headerText);
+        const contentType = this.parseHeaderValue(this.getHeader(headers, 'content-type') || 'text/plain');
+        const disposition = this.parseHeaderValue(this.getHeader(headers, 'content-disposition') || '');
+        const part = {
+            headers,
+            contentType: contentType.value.toLowerCase() || 'text/plain',
+            params: contentType.params,
+            disposition: disposition.value.toLowerCase(),
+            dispositionParams: disposition.params,
+            contentId: (this.getHeader(headers, 'content-id') || '').replace(/^<|>$/g, '').trim(),
+            children: []
+        };
+        part.filename = this.decodeWords(part.dispositionParams.filename || part.params.name || '');
+
+        if (part.contentType.startsWith('multipart/') && part.params.boundary) {
+            part.children = this.splitMultipart(bodyText, part.params.boundary).map(child => this.parsePart(child));
+            return part;
+        }
+
+        const encoding = (this.getHeader(headers, 'content-transfer-encoding') || '7bit').trim().toLowerCase();
+        part.content = this.decodeTransfer(bodyText, encoding);
+
+        if (part.contentType === 'message/rfc822') {
+            part.message = this.parsePart(part.content.toString('latin1'));
+        }
+        return part;
+    }
+
+    /**
+     * Unfold and split a header block
+     * @param {string} headerText - Raw header block
+     * @returns {Array<{name: string, value: string}>} Headers in order
+     */
+    parseHeaders(headerText) {
+        const headers = [];
+        headerText.split(/\r?\n/).forEach(line => {
+            if (/^[ \t]/.test(line) && headers.length > 0) {
+                headers[headers.length - 1].value += ' ' + line.trim();
+                return;
+            }
+            const colon = line.indexOf(':');
+            if (colon > 0) {
+                headers.push({
+                    name: line.slice(0, colon).trim().toLowerCase(),
+                    value: line.slice(colon + 1).trim()
+                });
+            }
+        });
+        return headers;
+    }
+
+    /**
+     * Get the first header with a name
+     * @param {Array} headers - Parsed headers
+     * @param {string} name - Lowercase header name
+     * @returns {string|null} Raw header value
+     */
+    getHeader(headers, name) {
+        const header = headers.find(entry => entry.name === name);
+        return header ? header.value : null;
+    }
+
+    /**
+     * Parse a structured header such as Content-Type into a value and parameters
+     * @param {string} value - Raw header value
+     * @returns {{value: string, params: Object}} Main value and decoded parameters
+     */
+    parseHeaderValue(value) {
+        const segments = [];
+        let current = '';
+        let inQuotes = false;
+        for (let i = 0; i < value.length; i++) {
+            const char = value[i];
+            if (char === '"' && value[i - 1] !== '\\') {
+                inQuotes = !inQuotes;
+            }
+            if (char === ';' && !inQuotes) {
+                segments.push(current);
+                current = '';
+            } else {
+                current += char;
+            }
+        }
+        segments.push(current);
+
+        const params = {};
+        const continuations = {};
+        segments.slice(1).forEach(segment => {
+            const eq = segment.indexOf('=');
+            if (eq < 0) return;
+            const key = segment.slice(0, eq).trim().toLowerCase();
+            let paramValue = segment.slice(eq + 1).trim();
+            if (paramValue.startsWith('"') && paramValue.endsWith('"')) {
+                paramValue = paramValue.slice(1, -1).replace(/\\(.)/g, '$1');
+            }
+
+            // RFC 2231: name*0*=charset''part, name*1*=part, or name*=charset''value
+            const extended = key.match(/^([^*]+)\*(?:(\d+)\*?)?$/);
+            if (extended) {
+                const [, name, index] = extended;
+                const entry = continuations[name] || (continuations[name] = { parts: [], encoded: key.endsWith('*') });
+                entry.parts[index === undefined ? 0 : Number(index)] = paramValue;
+                entry.encoded = entry.encoded || key.endsWith('*');
+            } else {
+                params[key] = paramValue;
+            }
+        });
+
+        Object.entries(continuations).forEach(([name, entry]) => {
+            const joined = entry.parts.join('');
+            params[name] = entry.encoded ? this.decodeRfc2231(joined) : joined;
+        });
+
+        return { value: segments[0].trim(), params };
+    }
+
+    /**
+     * Decode an RFC 2231 extended parameter value
+     * @param {string} value - Value such as utf-8''caf%C3%A9.pdf
+     * @returns {string} Decoded value
+     */
+    decodeRfc2231(value) {
+        const match = value.match(/^([^']*)'[^']*'(.*)$/);
+        const charset = match ? match[1] : 'utf-8';
+        const encoded = match ? match[2] : value;
+        const bytes = Buffer.from(encoded.replace(/%([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+        return this.decodeCharset(bytes, charset || 'utf-8');
+    }
+
+    /**
+     * Decode RFC 2047 encoded words and raw 8-bit header text
+     * @param {string} value - Header value as a latin1 string
+     * @returns {string} Decoded text
+     */
+    decodeWords(value) {
+        if (!value) return '';
+
+        // Whitespace between adjacent encoded words is not part of the text
+        const collapsed = value.replace(/(=\?[^?]+\?[bqBQ]\?[^?]*\?=)\s+(?==\?)/g, '$1');
+        const decoded = collapsed.replace(/=\?([^?*]+)(?:\*[^?]*)?\?([bqBQ])\?([^?]*)\?=/g, (match, charset, encoding, text) => {
+            const bytes = encoding.toUpperCase() === 'B'
+                ? Buffer.from(text, 'base64')
+                : Buffer.from(text.replace(/_/g, ' ').replace(/=([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+            // Mark decoded text so the raw 8-bit pass below leaves it alone
+            return `\u0000${this.decodeCharset(bytes, charset)}\u0000`;
+        });
+
+        return decoded
+            .split('\u0000')
+            .map((segment, index) => index % 2 === 1 ? segment : this.decodeCharset(Buffer.from(segment, 'latin1'), 'utf-8'))
+            .join('');
+    }
+
+    /**
+     * Undo the content transfer encoding of a part body
+     * @param {string} body - Body as a latin1 string
+     * @param {string} encoding - Content-Transfer-Encoding value
+     * @returns {Buffer} Decoded bytes
+     */
+    decodeTransfer(body, encoding) {
+        if (encoding === 'base64') {
+            return Buffer.from(body.replace(/[^A-Za-z0-9+/=]/g, ''), 'base64');
+        }
+        if (encoding === 'quoted-printable') {
+            const decoded = body
+                .replace(/=\r?\n/g, '')
+                .replace(/=([0-9a-f]{2})/gi, (m, hex) => String.fromCharCode(parseInt(hex, 16)));
+            return Buffer.from(decoded, 'latin1');
+        }
+        return Buffer.from(body, 'latin1');
+    }
+
+    /**
+     * Split a multipart body on its boundary
+     * @param {string} body - Multipart body
+     * @param {string} boundary - Boundary parameter
+     * @returns {string[]} Raw child parts
+     */
+    splitMultipart(body, boundary) {
+        const escaped = boundary.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        const delimiter = new RegExp(`(?:^|\\r?\\n)--${escaped}(--)?[ \\t]*(?=\\r?\\n|$)`, 'g');
+        const parts = [];
+        let start = null;
+        let match;
+
+        while ((match = delimiter.exec(body)) !== null) {
+            if (start !== null) {
+                parts.push(body.slice(start, match.index));
+            }
+            if (match[1]) {
+                // Closing delimiter, anything after it is epilogue
+                return parts;
+            }
+            start = match.index + match[0].length;
+            // Skip the line break that ends the delimiter line
+            const lineBreak = body.slice(start).match(/^\r?\n/);
+            if (lineBreak) start += lineBreak[0].length;
+        }
+
+        // Unterminated multipart: keep whatever followed the last delimiter
+        if (start !== null && start < body.length) {
+            parts.push(body.slice(start));
+        }
+        return parts;
+    }
+
+    /**
+     * Decode bytes in a named charset, falling back to UTF-8 then Windows-1252
+     * @param {Buffer} bytes - Raw bytes
+     * @param {string} charset - Charset label
+     * @returns {string} Decoded text
+     */
+    decodeCharset(bytes, charset) {
+        const label = (charset || 'utf-8').trim().toLowerCase();
+        try {
+            if (label === 'utf-8' || label === 'utf8') {
+                return new TextDecoder('utf-8', { fatal: true }).decode(bytes);
+            }
+            return new TextDecoder(label).decode(bytes);
+        } catch (error) {
+            // Mislabelled or unknown charsets are common in mail; Windows-1252 never fails
+            return new TextDecoder('windows-1252').decode(bytes);
+        }
+    }
+
+    /**
+     * Decode a text part using its charset parameter
+     * @param {Object} part - Parsed part
+     * @returns {string} Decoded text
+     */
+    decodeText(part) {
+        return this.decodeCharset(part.content || Buffer.alloc(0), part.params.charset || 'utf-8');
+    }
+}
+
+module.exports = MimeParser;
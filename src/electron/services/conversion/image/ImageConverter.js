@@ -0,0 +1,336 @@
+/**
+ * ImageConverter.js
+ * Handles conversion of image files (scans, screenshots, photos) to markdown
+ * in the Electron main process.
+ *
+ * This converter:
+ * - Copies the image into the note's attachments folder and embeds it
+ * - Writes EXIF data (capture date, camera, GPS, dimensions) into the frontmatter
+ * - Recognizes text with the bundled Tesseract engine so OCR works offline
+ * - Uses Mistral OCR instead when OCR is enabled in settings and a Mistral key is set,
+ *   falling back to the local engine if the request fails
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - ImageMetadataReader.js: Dimension and EXIF parsing
+ * - mistral/MistralApiClient.js: Mistral OCR requests
+ * - mistral/OcrProcessor.js: Normalizes Mistral OCR results
+ * - ConverterRegistry.js: Registers the image adapters
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const ImageMetadataReader = require('./ImageMetadataReader');
+const { slugify } = require('../../../converters/utils/fileNames');
+
+const MIME_TYPES = {
+    png: 'image/png',
+    jpg: 'image/jpeg',
+    jpeg: 'image/jpeg',
+    tif: 'image/tiff',
+    tiff: 'image/tiff',
+    webp: 'image/webp'
+};
+// Language of the traineddata bundled with the app
+const DEFAULT_OCR_LANGUAGE = 'eng';
+// Traineddata variant shipped by @tesseract.js-data packages
+const TESSDATA_VARIANT = '4.0.0_best_int';
+
+class ImageConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.metadataReader = new ImageMetadataReader();
+        this.supportedExtensions = Object.keys(MIME_TYPES).map(ext => `.${ext}`);
+    }
+
+    /**
+     * Set up IPC handlers for image conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:image', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle image conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, options = {} }) {
+        try {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            const result = await this.convertToMarkdown(fileResult.content, {
+                ...options,
+                fileName: options.originalFileName || path.basename(filePath)
+            });
+
+            return { content: result.content, images: result.images };
+        } catch (error) {
+            console.error('[ImageConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert an image to a markdown note
+     * @param {Buffer} content - Image bytes
+     * @param {Object} options - Conversion options
+     * @param {boolean} [options.useOcr] - OCR enabled in settings; selects Mistral OCR when a key is set
+     * @param {string} [options.mistralApiKey] - Mistral API key
+     * @param {string} [options.ocrLanguage] - Tesseract language code (default: eng)
+     * @param {boolean} [options.skipOcr] - Only embed the image and its metadata
+     * @returns {Promise<Object>} Markdown content, the image to save and metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || options.name || 'image.png';
+            const extension = path.extname(fileName).slice(1).toLowerCase() || 'png';
+            const title = path.basename(fileName, path.extname(fileName));
+
+            const info = this.metadataReader.read(content);
+            console.log(`[ImageConverter] Read ${fileName}: ${info.format || 'unknown format'} ${info.width || '?'}x${info.height || '?'}`);
+
+            const attachmentPath = `attachments/${slugify(title) || 'image'}.${extension}`;
+            const ocr = options.skipOcr
+                ? null
+                : await this.recognizeText(content, {
+                    ...options,
+                    fileName,
+                    mimeType: MIME_TYPES[extension] || `image/${info.format || extension}`
+                });
+
+            const { formatMetadata, createStandardMetadata } = require('../../../converters/utils/metadata');
+            const metadata = {
+                ...createStandardMetadata({ title, fileType: extension }),
+                ...this.buildImageMetadata(info),
+                ocr: ocr && ocr.engine ? ocr.engine : null
+            };
+
+            const markdown = [];
+            markdown.push(`# ${title}`);
+            markdown.push('');
+            markdown.push(`![${title}](${attachmentPath})`);
+            markdown.push('');
+            markdown.push(...this.renderInformation(info, content.length));
+
+            if (ocr && ocr.engine) {
+                markdown.push('## Text');
+                markdown.push('');
+                markdown.push(ocr.text || '_No text was recognized in this image._');
+                markdown.push('');
+            }
+
+            return {
+                content: formatMetadata(metadata) + markdown.join('\n').trim() + '\n',
+                images: [{ path: attachmentPath, data: content }],
+                metadata: this.stripStandardFields(metadata)
+            };
+        } catch (error) {
+            console.error('[ImageConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Recognize text with Mistral OCR when enabled, otherwise with the local engine
+     * @param {Buffer} content - Image bytes
+     * @param {Object} options - Conversion options including mimeType
+     * @returns {Promise<{engine: string|null, text: string}>} OCR result
+     */
+    async recognizeText(content, options) {
+        if (options.useOcr === true && options.mistralApiKey) {
+            try {
+                return await this.recognizeWithMistral(content, options);
+            } catch (error) {
+                console.warn(`[ImageConverter] Mistral OCR failed, using local OCR: ${error.message}`);
+            }
+        }
+
+        try {
+            return await this.recognizeLocally(content, options);
+        } catch (error) {
+            // A missing engine or unreadable image should not lose the note itself
+            console.warn(`[ImageConverter] Local OCR failed: ${error.message}`);
+            return { engine: null, text: '' };
+        }
+    }
+
+    /**
+     * Recognize text with the bundled Tesseract engine
+     * @param {Buffer} content - Image bytes
+     * @param {Object} options - Conversion options
+     * @returns {Promise<{engine: string, text: string}>} OCR result
+     */
+    async recognizeLocally(content, options) {
+        const { createWorker } = require('tesseract.js');
+        const language = options.ocrLanguage || DEFAULT_OCR_LANGUAGE;
+        const langPath = this.resolveLanguagePath(language);
+        console.log(`[ImageConverter] Running local OCR (${language})`);
+
+        const worker = await createWorker(language, 1, {
+            langPath,
+            cacheMethod: 'none',
+            logger: () => {}
+        });
+        try {
+            const { data } = await worker.recognize(content);
+            return { engine: 'tesseract', text: this.cleanText(data.text) };
+        } finally {
+            await worker.terminate();
+        }
+    }
+
+    /**
+     * Recognize text with Mistral OCR, sending the image inline as a data URL
+     * @param {Buffer} content - Image bytes
+     * @param {Object} options - Conversion options including mimeType and mistralApiKey
+     * @returns {Promise<{engine: string, text: string}>} OCR result
+     */
+    async recognizeWithMistral(content, options) {
+        const { MistralApiClient, OcrProcessor } = require('../document/mistral');
+        console.log('[ImageConverter] Running Mistral OCR');
+
+        const client = new MistralApiClient({ apiKey: options.mistralApiKey });
+        const result = await client.processOcr(`data:${options.mimeType};base64,${content.toString('base64')}`);
+        const { pages } = new OcrProcessor().processResult(result);
+
+        const text = pages
+            .map(page => (page.text || '')
+                // Image placeholders point at crops that are not downloaded
+                .replace(/!\[[^\]]*\]\([^)]*\)/g, ''))
+            .join('\n\n');
+        return { engine: 'mistral', text: this.cleanText(text) };
+    }
+
+    /**
+     * Locate bundled traineddata for a language. Without a local copy tesseract.js would
+     * download the data from its CDN, so a missing package is an error instead
+     * @param {string} language - Tesseract language code
+     * @returns {string} Directory containing <language>.traineddata.gz
+     * @throws {Error} If the language data package is not installed
+     */
+    resolveLanguagePath(language) {
+        let packageDir;
+        try {
+            packageDir = path.dirname(require.resolve(`@tesseract.js-data/${language}/package.json`));
+        } catch (error) {
+            throw new Error(`OCR language data for "${language}" is not installed (@tesseract.js-data/${language}), so text cannot be recognized offline`);
+        }
+        // The OCR worker reads the file directly, so it must come from the unpacked copy
+        return path.join(packageDir, TESSDATA_VARIANT).replace(/app\.asar([\\/])/, 'app.asar.unpacked$1');
+    }
+
+    /**
+     * Build frontmatter fields from the image metadata
+     * @param {Object} info - ImageMetadataReader result
+     * @returns {Object} Frontmatter fields
+     */
+    buildImageMetadata(info) {
+        const { exif } = info;
+        return {
+            width: info.width,
+            height: info.height,
+            captured: exif.dateTaken,
+            camera: exif.camera,
+            lens: exif.lens,
+            latitude: exif.latitude,
+            longitude: exif.longitude,
+            altitude: exif.altitude
+        };
+    }
+
+    /**
+     * Render the image information table
+     * @param {Object} info - ImageMetadataReader result
+     * @param {number} size - File size in bytes
+     * @returns {string[]} Markdown lines
+     */
+    renderInformation(info, size) {
+        const { exif } = info;
+        const exposure = [exif.exposureTime, exif.fNumber, exif.iso ? `ISO ${exif.iso}` : null, exif.focalLength]
+            .filter(Boolean)
+            .join(', ');
+        const rows = [
+            ['Format', info.format ? info.format.toUpperCase() : null],
+            ['Dimensions', info.width && info.height ? `${info.width} × ${info.height} px` : null],
+            ['File Size', this.formatSize(size)],
+            ['Captured', exif.dateTaken ? exif.dateTaken.replace('T', ' ') : null],
+            ['Camera', exif.camera],
+            ['Lens', exif.lens],
+            ['Exposure', exposure],
+            ['Software', exif.software],
+            ['Location', exif.latitude !== undefined
+                ? `[${exif.latitude}, ${exif.longitude}](https://www.openstreetmap.org/?mlat=${exif.latitude}&mlon=${exif.longitude})`
+                : null]
+        ].filter(([, value]) => value);
+
+        return [
+            '## Image Information',
+            '',
+            '| Property | Value |',
+            '|----------|-------|',
+            ...rows.map(([name, value]) => `| ${name} | ${String(value).replace(/\|/g, '\\|')} |`),
+            ''
+        ];
+    }
+
+    /**
+     * Tidy OCR output: normalize line endings and collapse runs of blank lines
+     * @param {string} text - Recognized text
+     * @returns {string} Cleaned text
+     */
+    cleanText(text) {
+        return (text || '')
+            .replace(/\r\n?/g, '\n')
+            .replace(/[ \t]+$/gm, '')
+            .replace(/\n{3,}/g, '\n\n')
+            .trim();
+    }
+
+    /**
+     * Remove the fields the result manager adds itself, and empty ones
+     * @param {Object} metadata - Frontmatter fields
+     * @returns {Object} Fields to pass as result metadata
+     */
+    stripStandardFields(metadata) {
+        const { stripStandardFields } = require('../../../converters/utils/metadata');
+        return Object.fromEntries(Object.entries(stripStandardFields(metadata)).filter(([, value]) => value !== null && value !== undefined));
+    }
+
+    formatSize(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Image Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts images to markdown with EXIF metadata and OCR text',
+            options: {
+                useOcr: 'Use Mistral OCR instead of the local engine (requires a Mistral API key)',
+                ocrLanguage: 'Tesseract language code for local OCR (default: eng)',
+                skipOcr: 'Only embed the image and its metadata'
+            }
+        };
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        return this.supportedExtensions.includes(path.extname(filePath).toLowerCase());
+    }
+}
+
+module.exports = ImageConverter;
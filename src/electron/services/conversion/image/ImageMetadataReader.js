@@ -0,0 +1,409 @@
+/**
+ * ImageMetadataReader.js
+ * Reads pixel dimensions and EXIF tags from image files without decoding pixels.
+ *
+ * Understands PNG (IHDR, eXIf), JPEG (SOFn, APP1 Exif), TIFF, WebP (VP8, VP8L,
+ * VP8X, EXIF) and GIF headers. EXIF data is read from the TIFF structure all of
+ * these formats embed, including the Exif and GPS sub-IFDs.
+ */
+
+// Byte size of each TIFF field type, indexed by type id
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+
+const TAGS = {
+    IMAGE_WIDTH: 0x0100,
+    IMAGE_HEIGHT: 0x0101,
+    MAKE: 0x010F,
+    MODEL: 0x0110,
+    ORIENTATION: 0x0112,
+    SOFTWARE: 0x0131,
+    DATE_TIME: 0x0132,
+    EXPOSURE_TIME: 0x829A,
+    F_NUMBER: 0x829D,
+    EXIF_IFD: 0x8769,
+    GPS_IFD: 0x8825,
+    ISO: 0x8827,
+    DATE_TIME_ORIGINAL: 0x9003,
+    OFFSET_TIME_ORIGINAL: 0x9011,
+    FOCAL_LENGTH: 0x920A,
+    PIXEL_X: 0xA002,
+    PIXEL_Y: 0xA003,
+    LENS_MODEL: 0xA434
+};
+
+const GPS_TAGS = {
+    LATITUDE_REF: 0x01,
+    LATITUDE: 0x02,
+    LONGITUDE_REF: 0x03,
+    LONGITUDE: 0x04,
+    ALTITUDE_REF: 0x05,
+    ALTITUDE: 0x06
+};
+
+class ImageMetadataReader {
+    /**
+     * Read the format, dimensions and EXIF data of an image
+     * @param {Buffer} buffer - Image bytes
+     * @returns {{format: string|null, width: number|null, height: number|null, exif: Object}} Image metadata
+     */
+    read(buffer) {
+        const info = { format: this.detectFormat(buffer), width: null, height: null, exif: {} };
+
+        try {
+            switch (info.format) {
+                case 'png':
+                    this.readPng(buffer, info);
+                    break;
+                case 'jpeg':
+                    this.readJpeg(buffer, info);
+                    break;
+                case 'tiff':
+                    this.readTiff(buffer, info);
+                    break;
+                case 'webp':
+                    this.readWebp(buffer, info);
+                    break;
+                case 'gif':
+                    info.width = buffer.readUInt16LE(6);
+                    info.height = buffer.readUInt16LE(8);
+                    break;
+                default:
+                    break;
+            }
+        } catch (error) {
+            // Truncated or malformed headers still leave the image itself usable
+            console.warn(`[ImageMetadataReader] Could not read ${info.format} metadata: ${error.message}`);
+        }
+
+        // Fall back to the EXIF pixel dimensions when the container had none
+        info.width = info.width || info.exif.width || null;
+        info.height = info.height || info.exif.height || null;
+        delete info.exif.width;
+        delete info.exif.height;
+        return info;
+    }
+
+    /**
+     * Detect the image format from its signature
+     * @param {Buffer} buffer - Image bytes
+     * @returns {string|null} Format name
+     */
+    detectFormat(buffer) {
+        if (!Buffer.isBuffer(buffer) || buffer.length < 12) return null;
+        if (buffer.readUInt32BE(0) === 0x89504E47) return 'png';
+        if (buffer[0] === 0xFF && buffer[1] === 0xD8) return 'jpeg';
+        if (buffer.toString('latin1', 0, 4) === 'II*\u0000' || buffer.toString('latin1', 0, 4) === 'MM\u0000*') return 'tiff';
+        if (buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP') return 'webp';
+        if (buffer.toString('latin1', 0, 4) === 'GIF8') return 'gif';
+        return null;
+    }
+
+    /**
+     * Read PNG dimensions and the eXIf chunk
+     * @param {Buffer} buffer - PNG bytes
+     * @param {Object} info - Metadata being collected
+     */
+    readPng(buffer, info) {
+        info.width = buffer.readUInt32BE(16);
+        info.height = buffer.readUInt32BE(20);
+
+        let offset = 8;
+        while (offset + 8 <= buffer.length) {
+            const length = buffer.readUInt32BE(offset);
+            const type = buffer.toString('latin1', offset + 4, offset + 8);
+            if (type === 'eXIf') {
+                info.exif = this.parseExif(buffer.subarray(offset + 8, offset + 8 + length));
+            }
+            if (type === 'IEND' || type === 'IDAT') break;
+            offset += 12 + length;
+        }
+    }
+
+    /**
+     * Read JPEG dimensions from the frame header and EXIF from APP1
+     * @param {Buffer} buffer - JPEG bytes
+     * @param {Object} info - Metadata being collected
+     */
+    readJpeg(buffer, info) {
+        let offset = 2;
+        while (offset + 4 <= buffer.length) {
+            if (buffer[offset] !== 0xFF) break;
+            const marker = buffer[offset + 1];
+            if (marker === 0xFF) {
+                // Fill byte before a marker
+                offset++;
+                continue;
+            }
+            // Start of scan or end of image: no more headers follow
+            if (marker === 0xDA || marker === 0xD9) break;
+
+            const length = buffer.readUInt16BE(offset + 2);
+            const segment = buffer.subarray(offset + 4, offset + 2 + length);
+
+            if (marker === 0xE1 && segment.toString('latin1', 0, 6) === 'Exif\u0000\u0000') {
+                info.exif = this.parseExif(segment.subarray(6));
+            }
+            // SOF0-SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+            if (marker >= 0xC0 && marker <= 0xCF && ![0xC4, 0xC8, 0xCC].includes(marker)) {
+                info.height = segment.readUInt16BE(1);
+                info.width = segment.readUInt16BE(3);
+            }
+            offset += 2 + length;
+        }
+    }
+
+    /**
+     * Read TIFF dimensions and EXIF, which share one structure
+     * @param {Buffer} buffer - TIFF bytes
+     * @param {Object} info - Metadata being collected
+     */
+    readTiff(buffer, info) {
+        const tags = this.parseTiff(buffer);
+        info.width = this.first(tags.ifd0[TAGS.IMAGE_WIDTH]) || null;
+        info.height = this.first(tags.ifd0[TAGS.IMAGE_HEIGHT]) || null;
+        info.exif = this.summarize(tags);
+    }
+
+    /**
+     * Read WebP dimensions from the VP8, VP8L or VP8X chunk and the EXIF chunk
+     * @param {Buffer} buffer - WebP bytes
+     * @param {Object} info - Metadata being collected
+     */
+    readWebp(buffer, info) {
+        let offset = 12;
+        while (offset + 8 <= buffer.length) {
+            const type = buffer.toString('latin1', offset, offset + 4);
+            const size = buffer.readUInt32LE(offset + 4);
+            const data = buffer.subarray(offset + 8, offset + 8 + size);
+
+            if (type === 'VP8X' && !info.width) {
+                info.width = data.readUIntLE(4, 3) + 1;
+                info.height = data.readUIntLE(7, 3) + 1;
+            } else if (type === 'VP8 ' && !info.width) {
+                info.width = data.readUInt16LE(6) & 0x3FFF;
+                info.height = data.readUInt16LE(8) & 0x3FFF;
+            } else if (type === 'VP8L' && !info.width) {
+                const bits = data.readUInt32LE(1);
+                info.width = (bits & 0x3FFF) + 1;
+                info.height = ((bits >> 14) & 0x3FFF) + 1;
+            } else if (type === 'EXIF') {
+                // Some writers keep the JPEG-style Exif header in the chunk
+                const tiff = data.toString('latin1', 0, 6) === 'Exif\u0000\u0000' ? data.subarray(6) : data;
+                info.exif = this.parseExif(tiff);
+            }
+            // Chunks are padded to an even size
+            offset += 8 + size + (size % 2);
+        }
+    }
+
+    /**
+     * Parse an EXIF TIFF block into summarized fields
+     * @param {Buffer} tiff - TIFF structured EXIF data
+     * @returns {Object} Summarized EXIF fields
+     */
+    parseExif(tiff) {
+        return this.summarize(this.parseTiff(tiff));
+    }
+
+    /**
+     * Parse IFD0 and its Exif and GPS sub-IFDs
+     * @param {Buffer} tiff - TIFF structured data
+     * @returns {{ifd0: Object, exif: Object, gps: Object}} Tag values keyed by tag id
+     */
+    parseTiff(tiff) {
+        const empty = { ifd0: {}, exif: {}, gps: {} };
+        if (tiff.length < 8) return empty;
+
+        const order = tiff.toString('latin1', 0, 2);
+        if (order !== 'II' && order !== 'MM') return empty;
+        const view = { buffer: tiff, little: order === 'II' };
+        if (this.readUInt16(view, 2) !== 42) return empty;
+
+        const ifd0 = this.readIfd(view, this.readUInt32(view, 4));
+        return {
+            ifd0,
+            exif: this.readIfd(view, this.first(ifd0[TAGS.EXIF_IFD])),
+            gps: this.readIfd(view, this.first(ifd0[TAGS.GPS_IFD]))
+        };
+    }
+
+    /**
+     * Read every entry of an image file directory
+     * @param {Object} view - Buffer and byte order
+     * @param {number} offset - IFD offset within the TIFF data
+     * @returns {Object} Tag values keyed by tag id
+     */
+    readIfd(view, offset) {
+        const tags = {};
+        if (!offset || offset + 2 > view.buffer.length) return tags;
+
+        const count = this.readUInt16(view, offset);
+        for (let i = 0; i < count; i++) {
+            const entry = offset + 2 + i * 12;
+            if (entry + 12 > view.buffer.length) break;
+
+            const tag = this.readUInt16(view, entry);
+            const type = this.readUInt16(view, entry + 2);
+            const valueCount = this.readUInt32(view, entry + 4);
+            const size = (TYPE_SIZES[type] || 0) * valueCount;
+            if (size === 0) continue;
+
+            // Values of four bytes or less are stored inline
+            const valueOffset = size <= 4 ? entry + 8 : this.readUInt32(view, entry + 8);
+            if (valueOffset + size > view.buffer.length) continue;
+            tags[tag] = this.readValue(view, type, valueCount, valueOffset);
+        }
+        return tags;
+    }
+
+    /**
+     * Read a typed TIFF value
+     * @param {Object} view - Buffer and byte order
+     * @param {number} type - TIFF field type
+     * @param {number} count - Number of values
+     * @param {number} offset - Offset of the first value
+     * @returns {string|number|number[]} Value, or an array when count > 1
+     */
+    readValue(view, type, count, offset) {
+        if (type === 2) {
+            // ASCII values end at the first NUL
+            const text = view.buffer.toString('latin1', offset, offset + count);
+            const end = text.indexOf('\u0000');
+            return (end === -1 ? text : text.slice(0, end)).trim();
+        }
+
+        const values = [];
+        for (let i = 0; i < count; i++) {
+            const at = offset + i * TYPE_SIZES[type];
+            switch (type) {
+                case 3:
+                    values.push(this.readUInt16(view, at));
+                    break;
+                case 4:
+                    values.push(this.readUInt32(view, at));
+                    break;
+                case 9:
+                    values.push(view.little ? view.buffer.readInt32LE(at) : view.buffer.readInt32BE(at));
+                    break;
+                case 5:
+                case 10: {
+                    const signed = type === 10;
+                    const read = position => signed
+                        ? (view.little ? view.buffer.readInt32LE(position) : view.buffer.readInt32BE(position))
+                        : this.readUInt32(view, position);
+                    const denominator = read(at + 4);
+                    values.push(denominator === 0 ? 0 : read(at) / denominator);
+                    break;
+                }
+                default:
+                    values.push(view.buffer[at]);
+            }
+        }
+        return count === 1 ? values[0] : values;
+    }
+
+    /**
+     * Turn raw tags into the fields written to frontmatter
+     * @param {Object} tags - Parsed IFDs
+     * @returns {Object} Summarized EXIF fields
+     */
+    summarize({ ifd0, exif, gps }) {
+        const make = this.text(ifd0[TAGS.MAKE]);
+        const model = this.text(ifd0[TAGS.MODEL]);
+        const exposureTime = this.first(exif[TAGS.EXPOSURE_TIME]);
+        const fNumber = this.first(exif[TAGS.F_NUMBER]);
+        const focalLength = this.first(exif[TAGS.FOCAL_LENGTH]);
+
+        const summary = {
+            dateTaken: this.formatExifDate(
+                this.text(exif[TAGS.DATE_TIME_ORIGINAL]) || this.text(ifd0[TAGS.DATE_TIME]),
+                this.text(exif[TAGS.OFFSET_TIME_ORIGINAL])
+            ),
+            // Many cameras repeat the make in the model name
+            camera: model && make && !model.toLowerCase().startsWith(make.toLowerCase().split(' ')[0])
+                ? `${make} ${model}`
+                : (model || make || null),
+            lens: this.text(exif[TAGS.LENS_MODEL]) || null,
+            software: this.text(ifd0[TAGS.SOFTWARE]) || null,
+            orientation: this.first(ifd0[TAGS.ORIENTATION]) || null,
+            exposureTime: exposureTime ? this.formatExposure(exposureTime) : null,
+            fNumber: fNumber ? `f/${this.round(fNumber, 1)}` : null,
+            iso: this.first(exif[TAGS.ISO]) || null,
+            focalLength: focalLength ? `${this.round(focalLength, 1)} mm` : null,
+            width: this.first(exif[TAGS.PIXEL_X]) || null,
+            height: this.first(exif[TAGS.PIXEL_Y]) || null
+        };
+
+        const latitude = this.toDecimalDegrees(gps[GPS_TAGS.LATITUDE], this.text(gps[GPS_TAGS.LATITUDE_REF]), 'S');
+        const longitude = this.toDecimalDegrees(gps[GPS_TAGS.LONGITUDE], this.text(gps[GPS_TAGS.LONGITUDE_REF]), 'W');
+        if (latitude !== null && longitude !== null) {
+            summary.latitude = latitude;
+            summary.longitude = longitude;
+            const altitude = this.first(gps[GPS_TAGS.ALTITUDE]);
+            if (typeof altitude === 'number') {
+                // Altitude ref 1 means below sea level
+                summary.altitude = this.round(this.first(gps[GPS_TAGS.ALTITUDE_REF]) === 1 ? -altitude : altitude, 1);
+            }
+        }
+
+        return Object.fromEntries(Object.entries(summary).filter(([, value]) => value !== null && value !== ''));
+    }
+
+    /**
+     * Convert an EXIF date such as 2024:05:14 09:30:00 to ISO 8601
+     * @param {string} value - EXIF date
+     * @param {string} [offset] - EXIF time zone offset such as +02:00
+     * @returns {string|null} ISO date, without a zone when none was recorded
+     */
+    formatExifDate(value, offset) {
+        const match = (value || '').match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+        if (!match || match[1] === '0000') return null;
+        const [, year, month, day, hour, minute, second] = match;
+        return `${year}-${month}-${day}T${hour}:${minute}:${second}${/^[+-]\d{2}:\d{2}$/.test(offset || '') ? offset : ''}`;
+    }
+
+    /**
+     * Format an exposure time in seconds
+     * @param {number} seconds - Exposure time
+     * @returns {string} Exposure such as 1/250 s
+     */
+    formatExposure(seconds) {
+        return seconds >= 1 ? `${this.round(seconds, 1)} s` : `1/${Math.round(1 / seconds)} s`;
+    }
+
+    /**
+     * Convert GPS degree/minute/second rationals to signed decimal degrees
+     * @param {number[]} value - Degrees, minutes and seconds
+     * @param {string} ref - Hemisphere reference
+     * @param {string} negativeRef - Reference that makes the value negative
+     * @returns {number|null} Decimal degrees
+     */
+    toDecimalDegrees(value, ref, negativeRef) {
+        if (!Array.isArray(value) || value.length < 3) return null;
+        const degrees = value[0] + value[1] / 60 + value[2] / 3600;
+        return this.round(ref === negativeRef ? -degrees : degrees, 6);
+    }
+
+    first(value) {
+        return Array.isArray(value) ? value[0] : value;
+    }
+
+    text(value) {
+        return typeof value === 'string' ? value.trim() : '';
+    }
+
+    round(value, digits) {
+        const factor = Math.pow(10, digits);
+        return Math.round(value * factor) / factor;
+    }
+
+    readUInt16(view, offset) {
+        return view.little ? view.buffer.readUInt16LE(offset) : view.buffer.readUInt16BE(offset);
+    }
+
+    readUInt32(view, offset) {
+        return view.little ? view.buffer.readUInt32LE(offset) : view.buffer.readUInt32BE(offset);
+    }
+}
+
+module.exports = ImageMetadataReader;
@@ -0,0 +1,362 @@
+/**
+ * EvernoteConverter.js
+ * Imports Evernote exports (.enex) in the Electron main process.
+ *
+ * This converter:
+ * - Writes every note in the export as its own note, named after its title, in a
+ *   folder named after the export
+ * - Converts ENML to markdown with turndown, including checkboxes and embedded media
+ * - Decodes base64 resources into an attachments folder next to the notes and links
+ *   them where the note references them by MD5 hash
+ * - Carries tags, created/updated dates, author and source URL into each note's frontmatter
+ * - Returns an index note linking the imported notes
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - ConverterRegistry.js: Registers the ENEX adapter
+ * - ConversionResultManager.js: Writes the notes and attachments returned here
+ */
+
+const path = require('path');
+const crypto = require('crypto');
+const cheerio = require('cheerio');
+const TurndownService = require('turndown');
+const BaseService = require('../../BaseService');
+const { formatMetadata, createStandardMetadata } = require('../../../converters/utils/metadata');
+const { sanitizeName, uniquePath } = require('../../../converters/utils/fileNames');
+
+const MIME_EXTENSIONS = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/svg+xml': '.svg',
+    'application/pdf': '.pdf',
+    'audio/mpeg': '.mp3',
+    'audio/wav': '.wav',
+    'audio/amr': '.amr',
+    'video/mp4': '.mp4',
+    'text/plain': '.txt'
+};
+
+class EvernoteConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.supportedExtensions = ['.enex'];
+    }
+
+    /**
+     * Set up IPC handlers for Evernote import
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:enex', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle Evernote import request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'notebook.enex')
+            });
+
+            return { content: result.content, images: result.images, files: result.files };
+        } catch (error) {
+            console.error('[EvernoteConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert an ENEX export to one note per Evernote note plus an index
+     * @param {Buffer|string} content - ENEX XML
+     * @param {Object} options - Conversion options
+     * @returns {Promise<Object>} Index content, notes, attachments and export metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'notebook.enex';
+            const notebook = path.basename(fileName, path.extname(fileName));
+            const folder = sanitizeName(notebook) || 'Evernote';
+
+            const text = Buffer.isBuffer(content) ? content.toString('utf8') : String(content);
+            const $ = cheerio.load(text, { xmlMode: true });
+            const notes = $('en-export > note').toArray();
+            if (notes.length === 0) {
+                throw new Error('No notes found; expected an Evernote .enex export');
+            }
+
+            const state = { images: [], files: [], noteNames: new Set(), attachmentNames: new Set() };
+            const imported = [];
+            notes.forEach((element, index) => {
+                const note = this.readNote($, $(element), index);
+                imported.push(this.convertNote(note, folder, state));
+            });
+
+            console.log(`[EvernoteConverter] Imported ${imported.length} notes and ${state.images.length} attachments from ${fileName}`);
+
+            const markdown = [];
+            markdown.push(`# ${notebook}`);
+            markdown.push('');
+            markdown.push('> Evernote Export');
+            markdown.push(`> - Notes: ${imported.length}`);
+            markdown.push(`> - Attachments: ${state.images.length}`);
+            markdown.push('');
+            imported.forEach(note => {
+                const date = note.created ? ` — ${note.created.slice(0, 10)}` : '';
+                const tags = note.tags.length > 0 ? ` — ${note.tags.map(tag => `#${tag.replace(/\s+/g, '-')}`).join(' ')}` : '';
+                markdown.push(`- [${this.escapeLinkText(note.title)}](${this.encodeLinkPath(note.notePath)})${date}${tags}`);
+            });
+            markdown.push('');
+
+            const metadata = {
+                ...createStandardMetadata({ title: notebook, fileType: 'enex' }),
+                notes: imported.length,
+                attachments: state.images.length
+            };
+            return {
+                content: formatMetadata(metadata) + markdown.join('\n'),
+                images: state.images,
+                files: state.files,
+                metadata: { title: notebook, notes: imported.length, attachments: state.images.length }
+            };
+        } catch (error) {
+            console.error('[EvernoteConverter] Import failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the fields and resources of a <note> element
+     * @param {CheerioAPI} $ - Export document
+     * @param {Cheerio} $note - Note element
+     * @param {number} index - Note position, used for untitled notes
+     * @returns {Object} Note with ENML body and decoded resources
+     */
+    readNote($, $note, index) {
+        const field = (selector) => $note.children(selector).first().text().trim();
+        const attributes = $note.children('note-attributes');
+
+        const resources = $note.children('resource').toArray().map((resource, resourceIndex) => {
+            const $resource = $(resource);
+            const data = Buffer.from($resource.children('data').text().replace(/\s+/g, ''), 'base64');
+            const mime = $resource.children('mime').text().trim() || 'application/octet-stream';
+            const originalName = $resource.find('resource-attributes > file-name').first().text().trim();
+            return {
+                data,
+                mime,
+                name: originalName || `resource-${resourceIndex + 1}${MIME_EXTENSIONS[mime] || ''}`,
+                hash: crypto.createHash('md5').update(data).digest('hex')
+            };
+        });
+
+        return {
+            title: field('title') || `Untitled ${index + 1}`,
+            enml: field('content'),
+            created: this.parseDate(field('created')),
+            updated: this.parseDate(field('updated')),
+            tags: $note.children('tag').toArray().map(tag => $(tag).text().trim()).filter(Boolean),
+            author: attributes.children('author').first().text().trim(),
+            sourceUrl: attributes.children('source-url').first().text().trim(),
+            resources
+        };
+    }
+
+    /**
+     * Convert one note and add it and its resources to the output
+     * @param {Object} note - Note from readNote
+     * @param {string} folder - Folder the notes are written to
+     * @param {Object} state - Output state
+     * @returns {Object} Note summary for the index
+     */
+    convertNote(note, folder, state) {
+        const notePath = uniquePath(`${folder}/${sanitizeName(note.title) || 'Untitled'}.md`, state.noteNames);
+
+        // Resources are saved once each and referenced by hash from the ENML
+        const resourcesByHash = new Map();
+        note.resources.forEach(resource => {
+            const savedPath = uniquePath(`${folder}/attachments/${sanitizeName(resource.name) || 'resource'}`, state.attachmentNames);
+            state.images.push({ path: savedPath, data: resource.data });
+            resourcesByHash.set(resource.hash, { ...resource, link: path.posix.relative(folder, savedPath) });
+        });
+
+        const referenced = new Set();
+        const body = this.convertEnml(note.enml, resourcesByHash, referenced);
+
+        // Resources the body never embeds are listed so they are not lost
+        const unreferenced = [...resourcesByHash.values()].filter(resource => !referenced.has(resource.hash));
+        const attachmentList = unreferenced.map(resource => `- [${this.escapeLinkText(resource.name)}](${this.encodeLinkPath(resource.link)})`);
+
+        const metadata = {
+            ...createStandardMetadata({ title: note.title, fileType: 'enex' }),
+            created: note.created,
+            updated: note.updated,
+            tags: note.tags,
+            author: note.author,
+            source: note.sourceUrl
+        };
+        const sections = [body];
+        if (attachmentList.length > 0) {
+            sections.push(['## Attachments', '', ...attachmentList].join('\n'));
+        }
+
+        state.files.push({
+            name: notePath,
+            type: 'text',
+            content: formatMetadata(metadata) + sections.filter(Boolean).join('\n\n') + '\n'
+        });
+
+        return { title: note.title, notePath, created: note.created, tags: note.tags };
+    }
+
+    /**
+     * Convert ENML to markdown
+     * @param {string} enml - Note content
+     * @param {Map<string, Object>} resourcesByHash - Saved resources keyed by MD5
+     * @param {Set<string>} referenced - Collects the hashes the body embeds
+     * @returns {string} Markdown
+     */
+    convertEnml(enml, resourcesByHash, referenced) {
+        // ENML is XHTML: empty elements are self-closed, which the HTML parser must honor
+        const $ = cheerio.load(enml || '', { xml: { xmlMode: false, recognizeSelfClosing: true, decodeEntities: true } });
+        const root = $('en-note').length > 0 ? $('en-note') : $.root();
+
+        root.find('en-todo').each((_, element) => {
+            const checked = String(element.attribs.checked).toLowerCase() === 'true';
+            $(element).replaceWith(`<input type="checkbox"${checked ? ' checked' : ''}>`);
+        });
+        root.find('en-crypt').replaceWith('<em>[Encrypted content]</em>');
+        root.find('en-media').each((_, element) => {
+            const hash = ($(element).attr('hash') || '').toLowerCase();
+            const resource = resourcesByHash.get(hash);
+            if (!resource) {
+                $(element).remove();
+                return;
+            }
+            referenced.add(hash);
+            const href = this.encodeLinkPath(resource.link);
+            const label = this.escapeHtml(resource.name);
+            $(element).replaceWith(resource.mime.startsWith('image/')
+                ? `<img src="${href}" alt="${label}">`
+                : `<a href="${href}">${label}</a>`);
+        });
+
+        return this.createTurndownService().turndown(root.html() || '').trim();
+    }
+
+    /**
+     * Create the turndown service for ENML bodies
+     * @returns {TurndownService} Configured turndown instance
+     */
+    createTurndownService() {
+        const turndownService = new TurndownService({
+            headingStyle: 'atx',
+            codeBlockStyle: 'fenced',
+            emDelimiter: '*'
+        });
+
+        // Evernote checklists; inside list items the bullet is already there
+        turndownService.addRule('evernoteTodo', {
+            filter: node => node.nodeName === 'INPUT' && node.getAttribute('type') === 'checkbox',
+            replacement: (content, node) => {
+                const box = node.hasAttribute('checked') ? '[x] ' : '[ ] ';
+                return node.parentNode && node.parentNode.nodeName === 'LI' ? box : `- ${box}`;
+            }
+        });
+
+        // Evernote has no header rows, so the first row becomes the header
+        turndownService.addRule('tables', {
+            filter: 'table',
+            replacement: (content, node) => {
+                const rows = Array.from(node.rows);
+                if (rows.length === 0) return '';
+
+                // Cells keep their inline formatting, with line breaks as <br>
+                const cellText = cell => turndownService.turndown(cell.innerHTML)
+                    .trim()
+                    .replace(/\s*\n+\s*/g, '<br>')
+                    .replace(/\|/g, '\\|');
+                const width = Math.max(...rows.map(row => row.cells.length));
+                const formatRow = row => {
+                    const cells = Array.from(row.cells).map(cellText);
+                    while (cells.length < width) cells.push('');
+                    return '| ' + cells.join(' | ') + ' |';
+                };
+
+                const lines = [formatRow(rows[0]), '| ' + Array.from({ length: width }, () => '---').join(' | ') + ' |'];
+                rows.slice(1).forEach(row => lines.push(formatRow(row)));
+                return `\n\n${lines.join('\n')}\n\n`;
+            }
+        });
+        return turndownService;
+    }
+
+    /**
+     * Parse an ENEX timestamp (20200115T103000Z)
+     * @param {string} value - Timestamp
+     * @returns {string|null} ISO date, or null if missing
+     */
+    parseDate(value) {
+        const match = (value || '').match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+        if (!match) {
+            return null;
+        }
+        const [, year, month, day, hour, minute, second] = match;
+        return new Date(Date.UTC(+year, +month - 1, +day, +hour, +minute, +second)).toISOString();
+    }
+
+    encodeLinkPath(target) {
+        return target.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    }
+
+    escapeLinkText(text) {
+        return String(text).replace(/([\\[\]])/g, '\\$1');
+    }
+
+    escapeHtml(text) {
+        return String(text).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Evernote Importer',
+            extensions: this.supportedExtensions,
+            description: 'Imports Evernote .enex exports as one note per Evernote note with attachments',
+            options: {}
+        };
+    }
+}
+
+module.exports = EvernoteConverter;
@@ -0,0 +1,399 @@
+/**
+ * NotionExportConverter.js
+ * Imports Notion "Markdown & CSV" export zips in the Electron main process.
+ *
+ * Notion names every exported page, database and folder "<Title> <32-hex id>".
+ * This converter:
+ * - Recognizes an export zip by those id suffixes (see isNotionExport)
+ * - Strips the ids from every path segment, keeping names unique
+ * - Rewrites links between pages, to databases and to assets for the new names,
+ *   including notion.so URLs of pages that are part of the export
+ * - Turns database CSVs into notes with a markdown table, linking each row to its page
+ * - Returns an index note linking the top-level pages
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - ArchiveConverter.js: Handles zips that are not Notion exports
+ * - ConverterRegistry.js: Routes Notion export zips here from the ZIP adapter
+ * - ConversionResultManager.js: Writes the pages and assets returned here
+ */
+
+const path = require('path');
+const JSZip = require('jszip');
+const { parse } = require('csv-parse/sync');
+const BaseService = require('../../BaseService');
+const { formatMetadata, createStandardMetadata } = require('../../../converters/utils/metadata');
+const { uniquePath } = require('../../../converters/utils/fileNames');
+
+// " 0123456789abcdef0123456789abcdef" before the extension, plus "_all" on complete database CSVs
+const ID_SUFFIX = /\s+([0-9a-f]{32})(_all)?(?=(\.[^./]+)?$)/;
+const NOTION_URL = /^https?:\/\/(?:www\.)?notion\.so\/(?:[^/?#]+\/)?(?:[^/?#]*-)?([0-9a-f]{32})(?:[?#].*)?$/;
+const EXPORT_NAME = /^Export-[0-9a-f-]{32,36}$/i;
+const MARKDOWN_LINK = /(!?\[[^\]]*\]\()([^)\s]+)(\))/g;
+
+class NotionExportConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.supportedExtensions = ['.zip'];
+    }
+
+    /**
+     * Set up IPC handlers for Notion import
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:notion', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle Notion import request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'notion-export.zip')
+            });
+
+            return { content: result.content, images: result.images, files: result.files };
+        } catch (error) {
+            console.error('[NotionExportConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Check whether a zip is a Notion Markdown & CSV export
+     * @param {Buffer} content - Zip data
+     * @returns {Promise<boolean>} True if most pages and databases carry Notion ids
+     */
+    async isNotionExport(content) {
+        if (!Buffer.isBuffer(content) || content.length < 4 || content.readUInt32LE(0) !== 0x04034b50) {
+            return false;
+        }
+        try {
+            const zip = await JSZip.loadAsync(content);
+            const documents = Object.values(zip.files)
+                .filter(file => !file.dir && /\.(md|csv)$/i.test(file.name));
+            const withIds = documents.filter(file => ID_SUFFIX.test(path.posix.basename(file.name)));
+            return withIds.length > 0 && withIds.length * 2 >= documents.length;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Import a Notion export
+     * @param {Buffer} content - Export zip
+     * @param {Object} options - Conversion options
+     * @returns {Promise<Object>} Index content, pages, assets and export metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'notion-export.zip';
+            // Notion names the zip "Export-<uuid>.zip", which makes a poor folder name
+            const stem = this.stripIds(path.basename(fileName, path.extname(fileName)));
+            const title = !stem || EXPORT_NAME.test(stem) ? 'Notion Export' : stem;
+            const zip = await JSZip.loadAsync(content);
+
+            const entries = Object.values(zip.files).filter(file => !file.dir && this.isSafePath(file.unsafeOriginalName || file.name));
+            // Re-zipped exports wrap everything in one folder, which the root folder already replaces
+            const prefix = this.sharedFolder(entries.map(file => file.name));
+            const entryName = file => file.name.slice(prefix.length);
+            const plan = this.planPaths(entries.map(entryName));
+            const root = title.replace(/[\\/:*?"<>|]/g, '-');
+
+            const files = [];
+            const images = [];
+            let pageCount = 0;
+            let databaseCount = 0;
+
+            for (const file of entries) {
+                const name = entryName(file);
+                const target = plan.paths.get(name);
+                if (!target || plan.superseded.has(name)) {
+                    continue;
+                }
+                const outputPath = `${root}/${target}`;
+                const ext = path.posix.extname(name).toLowerCase();
+
+                if (ext === '.md') {
+                    const markdown = await file.async('string');
+                    files.push({
+                        name: outputPath,
+                        type: 'text',
+                        content: this.rewriteLinks(markdown, name, target, plan),
+                        metadata: { title: this.readPageTitle(markdown, target) }
+                    });
+                    pageCount++;
+                } else if (ext === '.csv') {
+                    const csv = await file.async('string');
+                    files.push({
+                        name: outputPath,
+                        type: 'text',
+                        content: this.renderDatabase(csv, target, plan),
+                        metadata: { title: path.posix.basename(target, '.md') }
+                    });
+                    databaseCount++;
+                } else {
+                    images.push({ path: outputPath, data: await file.async('nodebuffer') });
+                }
+            }
+
+            if (pageCount + databaseCount === 0) {
+                throw new Error('Export contains no Markdown pages or CSV databases');
+            }
+            console.log(`[NotionExportConverter] Imported ${pageCount} pages, ${databaseCount} databases and ${images.length} assets from ${fileName}`);
+
+            const topLevel = files.filter(file => !file.name.slice(root.length + 1).includes('/'));
+            const markdown = [];
+            markdown.push(`# ${title}`);
+            markdown.push('');
+            markdown.push('> Notion Export');
+            markdown.push(`> - Pages: ${pageCount}`);
+            markdown.push(`> - Databases: ${databaseCount}`);
+            markdown.push(`> - Assets: ${images.length}`);
+            markdown.push('');
+            topLevel.forEach(file => {
+                markdown.push(`- [${this.escapeLinkText(file.metadata.title)}](${this.encodeLinkPath(file.name)})`);
+            });
+            markdown.push('');
+
+            const metadata = {
+                ...createStandardMetadata({ title, fileType: 'notion' }),
+                pages: pageCount,
+                databases: databaseCount
+            };
+            return {
+                content: formatMetadata(metadata) + markdown.join('\n'),
+                images,
+                files,
+                metadata: { title, pages: pageCount, databases: databaseCount }
+            };
+        } catch (error) {
+            console.error('[NotionExportConverter] Import failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Work out the new path of every entry
+     * @param {string[]} names - Entry paths in the zip
+     * @returns {{paths: Map<string, string>, byId: Map<string, string>, superseded: Set<string>}} New paths by old path,
+     *   page paths by Notion id, and the CSVs replaced by their "_all" version
+     */
+    planPaths(names) {
+        const paths = new Map();
+        const byId = new Map();
+        const taken = new Set();
+
+        // Newer exports write "<db>.csv" and "<db>_all.csv"; only the complete one is kept
+        const allVersions = new Set(names
+            .filter(name => /_all\.csv$/i.test(name))
+            .map(name => name.replace(/_all\.csv$/i, '.csv')));
+
+        // Shorter paths first, so parents keep the plain names when titles collide
+        const ordered = names
+            .filter(name => !allVersions.has(name))
+            .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+
+        ordered.forEach(name => {
+            const segments = name.split('/');
+            const folders = segments.slice(0, -1).map(segment => this.stripIds(segment) || 'Untitled');
+            let fileName = this.stripIds(segments[segments.length - 1]) || 'Untitled';
+            if (/\.csv$/i.test(fileName)) {
+                fileName = fileName.replace(/\.csv$/i, '.md');
+            }
+
+            const target = uniquePath([...folders, fileName].join('/'), taken);
+            paths.set(name, target);
+
+            const id = path.posix.basename(name).match(ID_SUFFIX);
+            if (id && /\.(md|csv)$/i.test(name)) {
+                byId.set(id[1], target);
+            }
+        });
+
+        // The superseded CSV still receives links, which now point to the database note
+        allVersions.forEach(name => {
+            const complete = name.replace(/\.csv$/i, '_all.csv');
+            if (paths.has(complete)) {
+                paths.set(name, paths.get(complete));
+            }
+        });
+
+        return { paths, byId, superseded: allVersions };
+    }
+
+    /**
+     * Rewrite the relative and notion.so links of a page for the new paths
+     * @param {string} markdown - Page markdown
+     * @param {string} sourcePath - Page path in the zip
+     * @param {string} targetPath - New page path
+     * @param {Object} plan - Result of planPaths
+     * @returns {string} Markdown with rewritten links
+     */
+    rewriteLinks(markdown, sourcePath, targetPath, plan) {
+        const sourceDir = path.posix.dirname(sourcePath);
+        const targetDir = path.posix.dirname(targetPath);
+
+        return markdown.replace(MARKDOWN_LINK, (match, open, href, close) => {
+            let linked = null;
+            let fragment = '';
+
+            const notionUrl = href.match(NOTION_URL);
+            if (notionUrl) {
+                linked = plan.byId.get(notionUrl[1]) || null;
+            } else if (!/^([a-z][\w+.-]*:|#)/i.test(href)) {
+                const hashIndex = href.indexOf('#');
+                fragment = hashIndex === -1 ? '' : href.slice(hashIndex);
+                const relative = this.decodeLinkPath(hashIndex === -1 ? href : href.slice(0, hashIndex));
+                linked = plan.paths.get(path.posix.normalize(path.posix.join(sourceDir, relative))) || null;
+            }
+
+            if (!linked) {
+                return match;
+            }
+            const relativePath = path.posix.relative(targetDir === '.' ? '' : targetDir, linked);
+            return `${open}${this.encodeLinkPath(relativePath)}${fragment}${close}`;
+        });
+    }
+
+    /**
+     * Render a database CSV as a note with a markdown table
+     * @param {string} csv - CSV text
+     * @param {string} targetPath - New path of the database note
+     * @param {Object} plan - Result of planPaths
+     * @returns {string} Markdown
+     */
+    renderDatabase(csv, targetPath, plan) {
+        const rows = parse(csv, { bom: true, skip_empty_lines: true, relax_column_count: true, relax_quotes: true });
+        const name = path.posix.basename(targetPath, '.md');
+        const markdown = [`# ${name}`, ''];
+        if (rows.length === 0) {
+            markdown.push('*This database is empty.*');
+            return markdown.join('\n') + '\n';
+        }
+
+        // Row pages sit in a folder named after the database
+        const targetDir = path.posix.dirname(targetPath);
+        const rowFolder = targetDir === '.' ? name : `${targetDir}/${name}`;
+        const newPaths = new Set(plan.paths.values());
+
+        const headers = rows[0];
+        const columnCount = Math.max(...rows.map(row => row.length));
+        const cell = (value) => String(value || '').replace(/\|/g, '\\|').replace(/\r?\n/g, '<br>').trim();
+
+        markdown.push('| ' + Array.from({ length: columnCount }, (_, i) => cell(headers[i]) || ' ').join(' | ') + ' |');
+        markdown.push('| ' + Array.from({ length: columnCount }, () => '---').join(' | ') + ' |');
+        rows.slice(1).forEach(row => {
+            const cells = Array.from({ length: columnCount }, (_, i) => cell(row[i]));
+            const rowPage = `${rowFolder}/${String(row[0] || '').trim()}.md`;
+            if (cells[0] && newPaths.has(rowPage)) {
+                cells[0] = `[${this.escapeLinkText(cells[0])}](${this.encodeLinkPath(path.posix.relative(targetDir === '.' ? '' : targetDir, rowPage))})`;
+            }
+            markdown.push('| ' + cells.join(' | ') + ' |');
+        });
+
+        return markdown.join('\n') + '\n';
+    }
+
+    /**
+     * Read a page title from its first heading, falling back to the file name
+     * @param {string} markdown - Page markdown
+     * @param {string} targetPath - New page path
+     * @returns {string} Title
+     */
+    readPageTitle(markdown, targetPath) {
+        const heading = markdown.match(/^#\s+(.+)$/m);
+        return heading ? heading[1].trim() : path.posix.basename(targetPath, '.md');
+    }
+
+    /**
+     * Remove Notion ids from a file or folder name
+     * @param {string} name - Path segment
+     * @returns {string} Name without the id
+     */
+    stripIds(name) {
+        return name.replace(ID_SUFFIX, '').trim();
+    }
+
+    /**
+     * Find a single folder that contains every entry
+     * @param {string[]} names - Entry paths in the zip
+     * @returns {string} The folder with a trailing slash, or '' if entries sit at the top level
+     */
+    sharedFolder(names) {
+        if (names.length === 0 || !names[0].includes('/')) {
+            return '';
+        }
+        const folder = names[0].slice(0, names[0].indexOf('/') + 1);
+        return names.every(name => name.startsWith(folder)) ? folder : '';
+    }
+
+    /**
+     * Reject entry paths that would leave the output folder
+     * @param {string} name - Entry path
+     * @returns {boolean} True if safe
+     */
+    isSafePath(name) {
+        const normalized = String(name).replace(/\\/g, '/');
+        return !normalized.startsWith('/') && !/^[a-z]:/i.test(normalized) && !normalized.split('/').includes('..');
+    }
+
+    decodeLinkPath(href) {
+        try {
+            return decodeURIComponent(href);
+        } catch (error) {
+            return href;
+        }
+    }
+
+    encodeLinkPath(target) {
+        return target.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    }
+
+    escapeLinkText(text) {
+        return String(text).replace(/([\\[\]])/g, '\\$1');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Notion Export Importer',
+            extensions: this.supportedExtensions,
+            description: 'Imports Notion Markdown & CSV export zips with clean names, working links and database tables',
+            options: {}
+        };
+    }
+}
+
+module.exports = NotionExportConverter;
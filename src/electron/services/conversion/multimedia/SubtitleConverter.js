@@ -0,0 +1,534 @@
+/**
+ * SubtitleConverter.js
+ * Handles conversion of subtitle files (.srt, .vtt, .ass/.ssa) to transcript notes in the Electron main process.
+ *
+ * This converter:
+ * - Parses SRT, WebVTT and Advanced SubStation cues, dropping styling and positioning tags
+ * - Keeps speaker names from VTT <v> voice spans and the ASS Name field
+ * - Collapses rolling captions (each cue repeating the previous line) into plain text
+ * - Merges consecutive cues into paragraphs, starting a new one on a speaker change or a pause
+ * - Writes the same note layout as MediaConverter.generateMarkdown, so caption-based
+ *   and transcribed notes look alike
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - MediaConverter.js: Defines the transcript layout mirrored here
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Registers the subtitle adapters
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const { decodeText } = require('../../../utils/files/encoding');
+
+// Seconds of silence between cues that start a new paragraph
+const DEFAULT_PARAGRAPH_GAP = 3;
+// Paragraphs longer than this end at the next sentence boundary
+const DEFAULT_MAX_PARAGRAPH_LENGTH = 500;
+// Words a cue must share with the end of the previous one to count as a rolling caption
+const MIN_ROLLING_OVERLAP = 3;
+const TIMING_PATTERN = /((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})\s*-->\s*((?:\d+:)?\d{1,2}:\d{2}[.,]\d{1,3})/;
+const VOICE_PATTERN = /<v(?:\.[^\s>]*)?\s+([^>]+)>/;
+const SENTENCE_END = /[.!?…]["'”’)\]]*$/;
+const FORMAT_NAMES = {
+    srt: 'SRT',
+    vtt: 'WebVTT',
+    ass: 'ASS',
+    ssa: 'SSA'
+};
+// Field order used when an ASS file has no Format line
+const DEFAULT_ASS_FIELDS = ['layer', 'start', 'end', 'style', 'name', 'marginl', 'marginr', 'marginv', 'effect', 'text'];
+
+class SubtitleConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.supportedExtensions = ['.srt', '.vtt', '.ass', '.ssa'];
+    }
+
+    /**
+     * Set up IPC handlers for subtitle conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:subtitle', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle subtitle conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'captions.srt')
+            });
+
+            return { content: result };
+        } catch (error) {
+            console.error('[SubtitleConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert subtitle content to a transcript note
+     * @param {Buffer|string} content - Subtitle file content
+     * @param {Object} options - Conversion options
+     * @param {boolean} [options.includeTimestamps=true] - Prefix each paragraph with its start time
+     * @param {number} [options.paragraphGap=3] - Seconds of silence that start a new paragraph
+     * @param {string} [options.language] - Language shown in the transcription details
+     * @param {string} [options.title] - Note title
+     * @returns {Promise<string>} Markdown content
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'captions.srt';
+            const { text } = decodeText(content, options.encoding);
+            const format = this.detectFormat(fileName, text);
+
+            const { cues, language } = this.parse(text, format);
+            if (cues.length === 0) {
+                throw new Error('No subtitle cues found');
+            }
+            console.log(`[SubtitleConverter] Parsed ${cues.length} ${FORMAT_NAMES[format]} cues from ${fileName}`);
+
+            const paragraphs = this.mergeCues(cues, options);
+            const transcriptText = paragraphs
+                .map(paragraph => this.formatParagraph(paragraph, options.includeTimestamps !== false))
+                .join('\n\n');
+
+            return this.generateMarkdown({
+                filename: fileName,
+                format,
+                size: Buffer.isBuffer(content) ? content.length : Buffer.byteLength(content)
+            }, {
+                text: transcriptText,
+                duration: Math.max(...cues.map(cue => cue.end)),
+                language: options.language || language,
+                speakers: new Set(cues.map(cue => cue.speaker).filter(Boolean)).size
+            }, options);
+        } catch (error) {
+            console.error('[SubtitleConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Work out the subtitle format from the file name, falling back to the content
+     * @param {string} fileName - Subtitle file name
+     * @param {string} text - Decoded content
+     * @returns {string} 'srt', 'vtt', 'ass' or 'ssa'
+     */
+    detectFormat(fileName, text) {
+        const ext = path.extname(fileName).slice(1).toLowerCase();
+        if (FORMAT_NAMES[ext]) {
+            return ext;
+        }
+        if (/^WEBVTT/.test(text)) {
+            return 'vtt';
+        }
+        if (/^\[Script Info\]/im.test(text)) {
+            return 'ass';
+        }
+        return 'srt';
+    }
+
+    /**
+     * Parse subtitle text into cues
+     * @param {string} text - Decoded content
+     * @param {string} format - Subtitle format
+     * @returns {{cues: Array<{start: number, end: number, text: string, speaker: string|null}>, language: string|null}}
+     */
+    parse(text, format) {
+        const normalized = text.replace(/\r\n?/g, '\n');
+        if (format === 'ass' || format === 'ssa') {
+            return { cues: this.parseAss(normalized), language: null };
+        }
+        return this.parseBlocks(normalized, format === 'vtt');
+    }
+
+    /**
+     * Parse SRT or WebVTT cue blocks
+     * @param {string} text - Content with normalized line endings
+     * @param {boolean} isVtt - Whether VTT header, note and voice syntax applies
+     * @returns {{cues: Object[], language: string|null}} Cues and the VTT Language header
+     */
+    parseBlocks(text, isVtt) {
+        const cues = [];
+        let language = null;
+
+        text.split(/\n[ \t]*\n/).forEach((block, index) => {
+            const lines = block.split('\n').filter(line => line.trim() !== '');
+            if (lines.length === 0) {
+                return;
+            }
+
+            if (isVtt && index === 0 && /^WEBVTT/.test(lines[0])) {
+                const languageLine = lines.find(line => /^Language:/i.test(line));
+                language = languageLine ? languageLine.replace(/^Language:\s*/i, '').trim() : null;
+                return;
+            }
+            if (isVtt && /^(NOTE|STYLE|REGION)\b/.test(lines[0])) {
+                return;
+            }
+
+            const timingIndex = lines.findIndex(line => TIMING_PATTERN.test(line));
+            if (timingIndex === -1) {
+                return;
+            }
+            const [, start, end] = lines[timingIndex].match(TIMING_PATTERN);
+
+            // Each line can open a new voice; lines without one continue the current cue
+            let cue = null;
+            lines.slice(timingIndex + 1).forEach(line => {
+                const voice = isVtt ? line.match(VOICE_PATTERN) : null;
+                const lineText = this.cleanText(line);
+                if (!lineText) {
+                    return;
+                }
+
+                if (cue && !voice) {
+                    cue.text += ` ${lineText}`;
+                    return;
+                }
+                cue = {
+                    start: this.parseTimestamp(start),
+                    end: this.parseTimestamp(end),
+                    text: lineText,
+                    speaker: voice ? this.cleanText(voice[1]) : null
+                };
+                cues.push(cue);
+            });
+        });
+
+        return { cues, language };
+    }
+
+    /**
+     * Parse the [Events] section of an ASS/SSA script
+     * @param {string} text - Content with normalized line endings
+     * @returns {Object[]} Cues sorted by start time
+     */
+    parseAss(text) {
+        const cues = [];
+        let inEvents = false;
+        let fields = DEFAULT_ASS_FIELDS;
+
+        text.split('\n').forEach(rawLine => {
+            const line = rawLine.trim();
+            if (/^\[.+\]$/.test(line)) {
+                inEvents = line.toLowerCase() === '[events]';
+                return;
+            }
+            if (!inEvents) {
+                return;
+            }
+
+            if (/^Format:/i.test(line)) {
+                fields = line.replace(/^Format:/i, '').split(',').map(field => field.trim().toLowerCase());
+                return;
+            }
+            if (!/^Dialogue:/i.test(line)) {
+                return;
+            }
+
+            // Text is the last field and may itself contain commas
+            const values = line.replace(/^Dialogue:\s*/i, '').split(',');
+            const record = {};
+            fields.forEach((field, index) => {
+                record[field] = index === fields.length - 1
+                    ? values.slice(index).join(',')
+                    : (values[index] || '').trim();
+            });
+
+            const cueText = this.cleanText(String(record.text || '')
+                .replace(/\{[^}]*\}/g, '')
+                .replace(/\\[Nn]/g, ' ')
+                .replace(/\\h/g, ' '));
+            if (!cueText) {
+                return;
+            }
+
+            cues.push({
+                start: this.parseTimestamp(record.start),
+                end: this.parseTimestamp(record.end),
+                text: cueText,
+                speaker: record.name || null
+            });
+        });
+
+        return cues.sort((a, b) => a.start - b.start);
+    }
+
+    /**
+     * Merge cues into paragraphs
+     * @param {Object[]} cues - Parsed cues in time order
+     * @param {Object} options - Conversion options
+     * @returns {Array<{start: number, end: number, speaker: string|null, text: string}>} Paragraphs
+     */
+    mergeCues(cues, options = {}) {
+        const gap = typeof options.paragraphGap === 'number' ? options.paragraphGap : DEFAULT_PARAGRAPH_GAP;
+        const maxLength = options.maxParagraphLength || DEFAULT_MAX_PARAGRAPH_LENGTH;
+        const paragraphs = [];
+        let current = null;
+        let previousText = '';
+
+        cues.forEach(cue => {
+            let cueText = cue.text;
+            if (current && cue.speaker === current.speaker) {
+                cueText = this.removeRepeatedWords(previousText, cue.text);
+                if (!cueText) {
+                    current.end = Math.max(current.end, cue.end);
+                    return;
+                }
+            }
+            previousText = cue.text;
+
+            const startsParagraph = !current
+                || cue.speaker !== current.speaker
+                || cue.start - current.end > gap
+                || (current.text.length >= maxLength && SENTENCE_END.test(current.text));
+
+            if (startsParagraph) {
+                current = { start: cue.start, end: cue.end, speaker: cue.speaker, text: cueText };
+                paragraphs.push(current);
+            } else {
+                current.text += ` ${cueText}`;
+                current.end = Math.max(current.end, cue.end);
+            }
+        });
+
+        return paragraphs;
+    }
+
+    /**
+     * Drop the words a rolling caption repeats from the end of the previous cue
+     * @param {string} previousText - Previous cue text
+     * @param {string} text - Current cue text
+     * @returns {string} Text without the repeated words ('' if nothing is new)
+     */
+    removeRepeatedWords(previousText, text) {
+        if (text === previousText) {
+            return '';
+        }
+        const previousWords = previousText.split(' ');
+        const words = text.split(' ');
+
+        // Short overlaps are likely real repetition, so at least MIN_ROLLING_OVERLAP words must match
+        for (let length = Math.min(previousWords.length, words.length); length >= MIN_ROLLING_OVERLAP; length--) {
+            if (previousWords.slice(-length).join(' ') === words.slice(0, length).join(' ')) {
+                return words.slice(length).join(' ');
+            }
+        }
+        return text;
+    }
+
+    /**
+     * Format a paragraph with its optional timestamp marker and speaker
+     * @param {Object} paragraph - Merged paragraph
+     * @param {boolean} includeTimestamps - Whether to prefix the start time
+     * @returns {string} Paragraph line
+     */
+    formatParagraph(paragraph, includeTimestamps) {
+        const parts = [];
+        if (includeTimestamps) {
+            parts.push(`[${this.formatTimestamp(paragraph.start)}]`);
+        }
+        if (paragraph.speaker) {
+            parts.push(`${paragraph.speaker}:`);
+        }
+        parts.push(paragraph.text);
+        return parts.join(' ');
+    }
+
+    /**
+     * Remove markup from cue text
+     * @param {string} text - Raw cue line
+     * @returns {string} Plain text
+     */
+    cleanText(text) {
+        return text
+            .replace(/<[^>]*>/g, '')
+            .replace(/\{\\[^}]*\}/g, '')
+            .replace(/&lt;/g, '<')
+            .replace(/&gt;/g, '>')
+            .replace(/&nbsp;/g, ' ')
+            .replace(/&lrm;|&rlm;/g, '')
+            .replace(/&amp;/g, '&')
+            .replace(/\s+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Parse a cue timestamp (SRT "00:01:02,500", VTT "01:02.500", ASS "0:01:02.50")
+     * @param {string} value - Timestamp
+     * @returns {number} Seconds
+     */
+    parseTimestamp(value) {
+        const match = String(value || '').trim().match(/^(?:(\d+):)?(\d{1,2}):(\d{2})(?:[.,](\d+))?$/);
+        if (!match) {
+            return 0;
+        }
+        const [, hours, minutes, seconds, fraction] = match;
+        return (parseInt(hours || '0', 10) * 3600)
+            + (parseInt(minutes, 10) * 60)
+            + parseInt(seconds, 10)
+            + (fraction ? parseFloat(`0.${fraction}`) : 0);
+    }
+
+    /**
+     * Format seconds as an HH:MM:SS marker
+     * @param {number} seconds - Time in seconds
+     * @returns {string} Timestamp
+     */
+    formatTimestamp(seconds) {
+        const total = Math.floor(seconds);
+        return [Math.floor(total / 3600), Math.floor((total % 3600) / 60), total % 60]
+            .map(part => String(part).padStart(2, '0'))
+            .join(':');
+    }
+
+    /**
+     * Generate markdown in the MediaConverter transcript layout
+     * @param {Object} metadata - Subtitle file metadata
+     * @param {Object} transcription - Transcript text and details
+     * @param {Object} options - Conversion options
+     * @returns {string} Markdown content
+     */
+    generateMarkdown(metadata, transcription, options) {
+        const markdown = [];
+
+        // Determine title
+        const title = options.title || `Captions: ${metadata.filename}`;
+
+        // Create standardized frontmatter using metadata utility
+        const { createStandardFrontmatter } = require('../../../converters/utils/metadata');
+        const frontmatter = createStandardFrontmatter({
+            title: title,
+            fileType: metadata.format
+        });
+
+        markdown.push(frontmatter.trim());
+        markdown.push('');
+
+        // Add title as heading
+        markdown.push(`# ${title}`);
+        markdown.push('');
+
+        // Add metadata
+        markdown.push('## Media Information');
+        markdown.push('');
+        markdown.push('| Property | Value |');
+        markdown.push('| --- | --- |');
+        markdown.push(`| Filename | ${metadata.filename} |`);
+        markdown.push('| Type | Captions |');
+        markdown.push(`| Format | ${metadata.format} |`);
+        markdown.push(`| File Size | ${this.formatFileSize(metadata.size)} |`);
+
+        markdown.push('');
+
+        // Add transcription section
+        markdown.push('## Transcription');
+        markdown.push('');
+
+        markdown.push(transcription.text);
+
+        // Add transcription details; the source replaces the model row of a Deepgram transcript
+        markdown.push('');
+        markdown.push('### Transcription Details');
+        markdown.push('');
+        markdown.push('| Property | Value |');
+        markdown.push('| --- | --- |');
+        markdown.push(`| Source | ${FORMAT_NAMES[metadata.format]} captions |`);
+        if (transcription.duration) {
+            markdown.push(`| Duration | ${this.formatDuration(transcription.duration)} |`);
+        }
+        if (transcription.speakers) {
+            markdown.push(`| Speakers | ${transcription.speakers} |`);
+        }
+        if (transcription.language) {
+            markdown.push(`| Language | ${transcription.language} |`);
+        }
+
+        return markdown.join('\n');
+    }
+
+    /**
+     * Format file size in bytes to human-readable format
+     * @param {number} bytes - File size in bytes
+     * @returns {string} Formatted file size
+     */
+    formatFileSize(bytes) {
+        const units = ['B', 'KB', 'MB', 'GB'];
+        let size = bytes;
+        let unitIndex = 0;
+
+        while (size >= 1024 && unitIndex < units.length - 1) {
+            size /= 1024;
+            unitIndex++;
+        }
+
+        return `${size.toFixed(2)} ${units[unitIndex]}`;
+    }
+
+    /**
+     * Format duration in seconds to a human-readable format
+     * @param {number} seconds - Duration in seconds
+     * @returns {string} Formatted duration
+     */
+    formatDuration(seconds) {
+        const minutes = Math.floor(seconds / 60);
+        const remainingSeconds = Math.floor(seconds % 60);
+
+        if (minutes === 0) {
+            return `${remainingSeconds} sec`;
+        }
+
+        return `${minutes}:${remainingSeconds.toString().padStart(2, '0')}`;
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Subtitle Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts SRT, WebVTT and ASS/SSA captions to transcript notes',
+            options: {
+                includeTimestamps: 'Prefix each paragraph with its start time (default: true)',
+                paragraphGap: `Seconds of silence that start a new paragraph (default: ${DEFAULT_PARAGRAPH_GAP})`,
+                language: 'Language shown in the transcription details',
+                title: 'Optional note title'
+            }
+        };
+    }
+}
+
+module.exports = SubtitleConverter;
@@ -0,0 +1,207 @@
+/**
+ * ContentLineParser.js
+ * Parses iCalendar (RFC 5545) and vCard (RFC 2426/6350, plus 2.1) text into a component tree.
+ *
+ * Both formats are lines of "group.NAME;PARAM=value:value" folded at 75 octets and nested
+ * with BEGIN/END. Handles folding, quoted and bare (vCard 2.1) parameters, quoted-printable
+ * values with their charsets, and the backslash escapes of text values.
+ */
+
+class ContentLineParser {
+    /**
+     * Parse calendar or contact text
+     * @param {string} text - Decoded file content
+     * @returns {Object} Root component; VCALENDAR/VCARD components are its children
+     */
+    parse(text) {
+        const root = { name: 'ROOT', properties: [], components: [] };
+        const stack = [root];
+
+        this.unfold(text).forEach(line => {
+            const property = this.parseLine(line);
+            if (!property) {
+                return;
+            }
+            const current = stack[stack.length - 1];
+            if (property.name === 'BEGIN') {
+                const component = { name: property.value.trim().toUpperCase(), properties: [], components: [] };
+                current.components.push(component);
+                stack.push(component);
+            } else if (property.name === 'END') {
+                // Tolerate mismatched END lines rather than losing the rest of the file
+                const name = property.value.trim().toUpperCase();
+                const index = stack.map(component => component.name).lastIndexOf(name);
+                if (index > 0) {
+                    stack.length = index;
+                }
+            } else {
+                current.properties.push(property);
+            }
+        });
+
+        return root;
+    }
+
+    /**
+     * Join folded lines, and quoted-printable soft line breaks
+     * @param {string} text - Raw text
+     * @returns {string[]} Logical lines
+     */
+    unfold(text) {
+        const lines = [];
+        let softBreak = false;
+        text.replace(/^\uFEFF/, '').split(/\r\n|\r|\n/).forEach(line => {
+            if (lines.length > 0 && (softBreak || /^[ \t]/.test(line))) {
+                lines[lines.length - 1] += softBreak ? line : line.slice(1);
+            } else {
+                lines.push(line);
+            }
+            const last = lines[lines.length - 1];
+            softBreak = last.endsWith('=') && /;(?:ENCODING=)?QUOTED-PRINTABLE[;:]/i.test(last);
+            if (softBreak) {
+                lines[lines.length - 1] = last.slice(0, -1);
+            }
+        });
+        return lines.filter(line => line.trim() !== '');
+    }
+
+    /**
+     * Split a content line into group, name, parameters and raw value
+     * @param {string} line - Logical line
+     * @returns {{group: string|null, name: string, params: Object<string, string[]>, value: string}|null}
+     */
+    parseLine(line) {
+        let inQuotes = false;
+        let colon = -1;
+        for (let i = 0; i < line.length; i++) {
+            if (line[i] === '"') inQuotes = !inQuotes;
+            if (line[i] === ':' && !inQuotes) {
+                colon = i;
+                break;
+            }
+        }
+        if (colon === -1) {
+            return null;
+        }
+
+        const [fullName, ...rawParams] = this.splitOutsideQuotes(line.slice(0, colon), ';');
+        const dot = fullName.lastIndexOf('.');
+        const params = {};
+        rawParams.forEach(param => {
+            const equals = param.indexOf('=');
+            // vCard 2.1 writes types bare: TEL;HOME;VOICE:...
+            const key = (equals === -1 ? 'TYPE' : param.slice(0, equals)).trim().toUpperCase();
+            const values = equals === -1 ? [param] : this.splitOutsideQuotes(param.slice(equals + 1), ',');
+            let unquoted = values.map(value => value.trim().replace(/^"|"$/g, ''));
+            if (key === 'TYPE') {
+                // vCard 4.0 quotes type lists: TYPE="work,voice"
+                unquoted = unquoted.flatMap(value => value.split(','));
+            }
+            params[key] = (params[key] || []).concat(unquoted);
+        });
+
+        return {
+            group: dot === -1 ? null : fullName.slice(0, dot),
+            name: fullName.slice(dot + 1).trim().toUpperCase(),
+            params,
+            value: this.decodeValue(line.slice(colon + 1), params)
+        };
+    }
+
+    /**
+     * Undo quoted-printable encoding of a value
+     * @param {string} value - Raw value
+     * @param {Object} params - Property parameters
+     * @returns {string} Value; base64 data is left to the caller so binary survives
+     */
+    decodeValue(value, params) {
+        const encoding = (this.getParam(params, 'ENCODING') || '').toUpperCase();
+        const quotedPrintable = encoding === 'QUOTED-PRINTABLE' || this.hasType(params, 'QUOTED-PRINTABLE');
+        if (!quotedPrintable) {
+            return value;
+        }
+        const bytes = Buffer.from(value.replace(/=([0-9A-F]{2})/gi, (match, hex) => String.fromCharCode(parseInt(hex, 16))), 'latin1');
+        const charset = (this.getParam(params, 'CHARSET') || 'utf-8').toLowerCase();
+        let decoded;
+        try {
+            decoded = new TextDecoder(charset).decode(bytes);
+        } catch (error) {
+            decoded = bytes.toString('utf8');
+        }
+        return decoded.replace(/\r\n?/g, '\n');
+    }
+
+    /**
+     * Unescape a TEXT value
+     * @param {string} value - Escaped value
+     * @returns {string} Plain text
+     */
+    unescapeText(value) {
+        return String(value || '').replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+    }
+
+    /**
+     * Split a structured or list value on unescaped separators, unescaping each part
+     * @param {string} value - Escaped value
+     * @param {string} separator - ';' for structured values, ',' for lists
+     * @returns {string[]} Parts
+     */
+    splitValue(value, separator) {
+        const parts = [''];
+        const text = String(value || '');
+        for (let i = 0; i < text.length; i++) {
+            if (text[i] === '\\' && i + 1 < text.length) {
+                parts[parts.length - 1] += text.slice(i, i + 2);
+                i++;
+            } else if (text[i] === separator) {
+                parts.push('');
+            } else {
+                parts[parts.length - 1] += text[i];
+            }
+        }
+        return parts.map(part => this.unescapeText(part));
+    }
+
+    /**
+     * Split on a separator outside double quotes
+     * @param {string} text - Text to split
+     * @param {string} separator - Separator character
+     * @returns {string[]} Parts
+     */
+    splitOutsideQuotes(text, separator) {
+        const parts = [''];
+        let inQuotes = false;
+        for (const char of text) {
+            if (char === '"') inQuotes = !inQuotes;
+            if (char === separator && !inQuotes) {
+                parts.push('');
+            } else {
+                parts[parts.length - 1] += char;
+            }
+        }
+        return parts;
+    }
+
+    /**
+     * First value of a parameter
+     * @param {Object} params - Property parameters
+     * @param {string} name - Parameter name
+     * @returns {string|null} Value
+     */
+    getParam(params, name) {
+        const values = params[name];
+        return values && values.length > 0 ? values[0] : null;
+    }
+
+    /**
+     * Check whether a property has a TYPE, case-insensitively
+     * @param {Object} params - Property parameters
+     * @param {string} type - Type to look for
+     * @returns {boolean} True if present
+     */
+    hasType(params, type) {
+        return (params.TYPE || []).some(value => value.toUpperCase() === type.toUpperCase());
+    }
+}
+
+module.exports = ContentLineParser;
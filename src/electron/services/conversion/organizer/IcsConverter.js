@@ -0,0 +1,694 @@
+/**
+ * IcsConverter.js
+ * Handles conversion of iCalendar files (.ics) to event notes in the Electron main process.
+ *
+ * This converter:
+ * - Writes one note per VEVENT, named "<date> <summary>", in a folder named after the calendar
+ * - Records start, end, timezone, location, organizer, attendees, status and categories
+ *   in the frontmatter
+ * - Expands recurring events (RRULE, RDATE, EXDATE and RECURRENCE-ID overrides) into one
+ *   note per occurrence, up to a configurable horizon
+ * - Returns an index note listing the events by month
+ *
+ * Times are kept as wall-clock time in the event's TZID, which is recorded in the
+ * frontmatter, so recurrences keep their local time across daylight saving changes.
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - ContentLineParser.js: iCalendar parsing
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Registers the ICS adapter
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const ContentLineParser = require('./ContentLineParser');
+const { decodeText } = require('../../../utils/files/encoding');
+const { formatMetadata, createStandardMetadata } = require('../../../converters/utils/metadata');
+const { sanitizeName, uniquePath } = require('../../../converters/utils/fileNames');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_HORIZON_DAYS = 365;
+// Notes kept per recurring event; a daily meeting running for decades keeps its latest occurrences
+const MAX_OCCURRENCES = 1000;
+// Periods walked per rule before giving up, for rules whose filters never match
+const MAX_PERIODS = 50000;
+const WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+class IcsConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.parser = new ContentLineParser();
+        this.supportedExtensions = ['.ics'];
+    }
+
+    /**
+     * Set up IPC handlers for calendar conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:ics', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle calendar conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'calendar.ics')
+            });
+
+            return { content: result.content, files: result.files };
+        } catch (error) {
+            console.error('[IcsConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert a calendar to event notes and an index
+     * @param {Buffer|string} content - Calendar file content
+     * @param {Object} options - Conversion options
+     * @param {string|Date|number} [options.recurrenceHorizon] - Expand recurring events until this
+     *   date, or this many days from today (default: 365)
+     * @param {string} [options.encoding] - Force an encoding instead of detecting it
+     * @returns {Promise<Object>} Index content, event notes and calendar metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'calendar.ics';
+            const { text } = decodeText(content, options.encoding);
+            const calendars = this.parser.parse(text).components.filter(component => component.name === 'VCALENDAR');
+            if (calendars.length === 0) {
+                throw new Error('File contains no VCALENDAR');
+            }
+
+            const calendarName = calendars
+                .map(calendar => this.getText(calendar, 'X-WR-CALNAME'))
+                .find(Boolean) || path.basename(fileName, path.extname(fileName));
+            const folder = sanitizeName(calendarName) || 'Calendar';
+            const horizon = this.resolveHorizon(options.recurrenceHorizon);
+
+            const events = calendars
+                .flatMap(calendar => calendar.components.filter(component => component.name === 'VEVENT'))
+                .map(component => this.readEvent(component))
+                .filter(Boolean);
+            if (events.length === 0) {
+                throw new Error('Calendar contains no events');
+            }
+
+            const instances = this.expandEvents(events, horizon)
+                .sort((a, b) => a.start.time - b.start.time);
+            const noteNames = new Set();
+            const files = instances.map(instance => {
+                instance.noteName = uniquePath(
+                    `${folder}/${this.formatDay(instance.start.time)} ${sanitizeName(instance.event.summary) || 'Event'}.md`,
+                    noteNames
+                );
+                return {
+                    name: instance.noteName,
+                    type: 'text',
+                    content: this.renderEvent(instance, calendarName)
+                };
+            });
+
+            const seriesCount = events.filter(event => !event.recurrenceId).length;
+            const recurring = events.some(event => event.rrule || event.rdates.length > 0);
+            console.log(`[IcsConverter] Converted ${fileName}: ${seriesCount} events, ${files.length} notes`);
+
+            const markdown = [];
+            markdown.push(`# ${calendarName}`);
+            markdown.push('');
+            markdown.push('> Calendar');
+            markdown.push(`> - Events: ${seriesCount}`);
+            markdown.push(`> - Notes: ${files.length}`);
+            if (recurring) {
+                markdown.push(`> - Recurring events expanded until: ${this.formatDay(horizon)}`);
+            }
+
+            let month = null;
+            instances.forEach(instance => {
+                const instanceMonth = this.formatDay(instance.start.time).slice(0, 7);
+                if (instanceMonth !== month) {
+                    month = instanceMonth;
+                    markdown.push('', `## ${month}`, '');
+                }
+                const when = instance.start.dateOnly ? this.formatDay(instance.start.time) : this.formatDateTime(instance.start.time);
+                const link = `[${this.escapeLinkText(instance.event.summary)}](${this.encodeLinkPath(instance.noteName)})`;
+                const where = instance.event.location ? ` — ${instance.event.location}` : '';
+                markdown.push(`- ${when} — ${link}${where}`);
+            });
+            markdown.push('');
+
+            const metadata = {
+                ...createStandardMetadata({ title: calendarName, fileType: 'ics' }),
+                events: seriesCount,
+                notes: files.length
+            };
+            return {
+                content: formatMetadata(metadata) + markdown.join('\n'),
+                files,
+                metadata: { title: calendarName, events: seriesCount, notes: files.length }
+            };
+        } catch (error) {
+            console.error('[IcsConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the fields we render from a VEVENT
+     * @param {Object} component - VEVENT component
+     * @returns {Object|null} Event, or null without a usable DTSTART
+     */
+    readEvent(component) {
+        const start = this.parseDate(this.getProperty(component, 'DTSTART'));
+        if (!start) {
+            return null;
+        }
+
+        let end = this.parseDate(this.getProperty(component, 'DTEND'));
+        if (!end) {
+            // Without DTEND, DURATION applies; all-day events then last one day and others no time
+            const duration = this.parseDuration(this.getText(component, 'DURATION'));
+            end = { ...start, time: start.time + (duration !== null ? duration : (start.dateOnly ? DAY_MS : 0)) };
+        }
+
+        const organizer = this.getProperty(component, 'ORGANIZER');
+        const rrule = this.getProperty(component, 'RRULE');
+        return {
+            uid: this.getText(component, 'UID'),
+            summary: this.getText(component, 'SUMMARY') || 'Untitled event',
+            description: this.getText(component, 'DESCRIPTION'),
+            location: this.getText(component, 'LOCATION'),
+            status: this.getText(component, 'STATUS').toLowerCase(),
+            url: this.getText(component, 'URL'),
+            categories: this.getProperties(component, 'CATEGORIES')
+                .flatMap(property => this.parser.splitValue(property.value, ','))
+                .map(category => category.trim())
+                .filter(Boolean),
+            organizer: organizer ? this.readPerson(organizer) : null,
+            attendees: this.getProperties(component, 'ATTENDEE').map(property => this.readPerson(property)),
+            start,
+            end,
+            rrule: rrule ? rrule.value.trim() : '',
+            rdates: this.getProperties(component, 'RDATE').flatMap(property => this.parseDateList(property)),
+            exdates: this.getProperties(component, 'EXDATE').flatMap(property => this.parseDateList(property)),
+            recurrenceId: this.parseDate(this.getProperty(component, 'RECURRENCE-ID'))
+        };
+    }
+
+    /**
+     * Read an ORGANIZER or ATTENDEE
+     * @param {Object} property - Property
+     * @returns {{name: string, email: string, status: string}} Person
+     */
+    readPerson(property) {
+        return {
+            name: this.parser.getParam(property.params, 'CN') || '',
+            email: property.value.trim().replace(/^mailto:/i, ''),
+            status: (this.parser.getParam(property.params, 'PARTSTAT') || '').toLowerCase().replace(/-/g, ' ')
+        };
+    }
+
+    /**
+     * Turn events into the instances that get notes: single events as they are, recurring
+     * events once per occurrence with RECURRENCE-ID overrides replacing their occurrence
+     * @param {Object[]} events - Events from readEvent
+     * @param {number} horizon - Last time to expand recurrences to
+     * @returns {Array<{event: Object, series: Object|null, start: Object, end: Object}>} Instances
+     */
+    expandEvents(events, horizon) {
+        const overrides = events.filter(event => event.recurrenceId);
+        const usedOverrides = new Set();
+        const instances = [];
+
+        events.filter(event => !event.recurrenceId).forEach(event => {
+            const duration = event.end.time - event.start.time;
+            const recurring = !!event.rrule || event.rdates.length > 0;
+            const eventOverrides = overrides.filter(override => override.uid === event.uid);
+
+            this.expandOccurrences(event, horizon).forEach(time => {
+                const override = eventOverrides.find(candidate => candidate.recurrenceId.time === time);
+                if (override) {
+                    usedOverrides.add(override);
+                    if (override.status !== 'cancelled') {
+                        instances.push({ event: override, series: event, start: override.start, end: override.end });
+                    }
+                    return;
+                }
+                instances.push({
+                    event,
+                    series: recurring ? event : null,
+                    start: { ...event.start, time },
+                    end: { ...event.end, time: time + duration }
+                });
+            });
+        });
+
+        // Overrides of occurrences we did not generate (beyond the horizon, or without their series)
+        overrides
+            .filter(override => !usedOverrides.has(override) && override.status !== 'cancelled')
+            .forEach(override => instances.push({ event: override, series: null, start: override.start, end: override.end }));
+
+        return instances;
+    }
+
+    /**
+     * List the start times of an event: DTSTART, RRULE occurrences up to the horizon and RDATEs,
+     * minus EXDATEs
+     * @param {Object} event - Event from readEvent
+     * @param {number} horizon - Last time to expand to
+     * @returns {number[]} Start times, sorted
+     */
+    expandOccurrences(event, horizon) {
+        // DTSTART is always the first instance, even beyond the horizon
+        const times = [event.start.time];
+        if (event.rrule) {
+            times.push(...this.expandRule(this.parseRule(event.rrule), event.start, horizon));
+        }
+        event.rdates.forEach(date => {
+            if (date.time <= horizon) {
+                times.push(date.dateOnly ? date.time + this.getTimeOfDay(event.start.time) : date.time);
+            }
+        });
+
+        return [...new Set(times)]
+            .filter(time => !event.exdates.some(date => (date.dateOnly
+                ? this.formatDay(date.time) === this.formatDay(time)
+                : date.time === time)))
+            .sort((a, b) => a - b);
+    }
+
+    /**
+     * Parse an RRULE value
+     * @param {string} value - Rule, e.g. FREQ=WEEKLY;BYDAY=MO,WE;COUNT=10
+     * @returns {Object} Rule
+     */
+    parseRule(value) {
+        const parts = {};
+        value.split(';').forEach(part => {
+            const [key, partValue] = part.split('=');
+            if (key && partValue) {
+                parts[key.trim().toUpperCase()] = partValue.trim().toUpperCase();
+            }
+        });
+        const numbers = (list) => (list ? list.split(',').map(number => parseInt(number, 10)).filter(number => !isNaN(number) && number !== 0) : null);
+        const until = parts.UNTIL ? this.parseDate({ value: parts.UNTIL, params: {} }) : null;
+
+        return {
+            freq: parts.FREQ || '',
+            interval: Math.max(1, parseInt(parts.INTERVAL, 10) || 1),
+            count: parts.COUNT ? parseInt(parts.COUNT, 10) : null,
+            // A date-only UNTIL includes that whole day
+            until: until ? until.time + (until.dateOnly ? DAY_MS - 1 : 0) : null,
+            byDay: parts.BYDAY
+                ? parts.BYDAY.split(',')
+                    .map(day => day.trim().match(/^([+-]?\d+)?(SU|MO|TU|WE|TH|FR|SA)$/))
+                    .filter(Boolean)
+                    .map(match => ({ ordinal: match[1] ? parseInt(match[1], 10) : 0, weekday: WEEKDAYS.indexOf(match[2]) }))
+                : null,
+            byMonthDay: numbers(parts.BYMONTHDAY),
+            byMonth: numbers(parts.BYMONTH),
+            bySetPos: numbers(parts.BYSETPOS),
+            weekStart: WEEKDAYS.includes(parts.WKST) ? WEEKDAYS.indexOf(parts.WKST) : 1
+        };
+    }
+
+    /**
+     * Generate the occurrences of a rule after DTSTART
+     *
+     * Supports DAILY, WEEKLY, MONTHLY and YEARLY rules with INTERVAL, COUNT, UNTIL, BYDAY
+     * (with ordinals), BYMONTHDAY, BYMONTH, BYSETPOS and WKST. Sub-daily rules are not expanded.
+     * @param {Object} rule - Rule from parseRule
+     * @param {Object} start - DTSTART
+     * @param {number} horizon - Last time to expand to
+     * @returns {number[]} Start times after DTSTART
+     */
+    expandRule(rule, start, horizon) {
+        if (!['DAILY', 'WEEKLY', 'MONTHLY', 'YEARLY'].includes(rule.freq)) {
+            return [];
+        }
+
+        const timeOfDay = this.getTimeOfDay(start.time);
+        const limit = Math.min(horizon, rule.until !== null ? rule.until : Infinity);
+        const occurrences = [];
+        let count = 1; // DTSTART counts towards COUNT
+
+        for (let index = 0; index < MAX_PERIODS; index++) {
+            const period = this.getPeriodDays(rule, start, index);
+            if (period.start > limit) {
+                break;
+            }
+            for (const day of period.days) {
+                const time = day + timeOfDay;
+                if (time <= start.time) {
+                    continue;
+                }
+                if (time > limit || (rule.count !== null && count >= rule.count)) {
+                    return occurrences.slice(-MAX_OCCURRENCES);
+                }
+                occurrences.push(time);
+                count++;
+            }
+        }
+        return occurrences.slice(-MAX_OCCURRENCES);
+    }
+
+    /**
+     * List the days a rule selects in one period (day, week, month or year)
+     * @param {Object} rule - Rule from parseRule
+     * @param {Object} start - DTSTART
+     * @param {number} index - Period number; the first period contains DTSTART
+     * @returns {{start: number, days: number[]}} Period start and the selected days (midnight)
+     */
+    getPeriodDays(rule, start, index) {
+        const first = new Date(start.time);
+        const startDay = start.time - this.getTimeOfDay(start.time);
+        let periodStart;
+        let days = [];
+
+        if (rule.freq === 'DAILY') {
+            periodStart = startDay + index * rule.interval * DAY_MS;
+            days = [periodStart].filter(day => this.matchesDayFilters(rule, day));
+        } else if (rule.freq === 'WEEKLY') {
+            const weekOffset = (first.getUTCDay() - rule.weekStart + 7) % 7;
+            periodStart = startDay - weekOffset * DAY_MS + index * rule.interval * 7 * DAY_MS;
+            const weekdays = rule.byDay ? rule.byDay.map(day => day.weekday) : [first.getUTCDay()];
+            for (let offset = 0; offset < 7; offset++) {
+                const day = periodStart + offset * DAY_MS;
+                if (weekdays.includes(new Date(day).getUTCDay()) && (!rule.byMonth || rule.byMonth.includes(new Date(day).getUTCMonth() + 1))) {
+                    days.push(day);
+                }
+            }
+        } else if (rule.freq === 'MONTHLY') {
+            const month = first.getUTCFullYear() * 12 + first.getUTCMonth() + index * rule.interval;
+            const year = Math.floor(month / 12);
+            periodStart = Date.UTC(year, month % 12, 1);
+            if (!rule.byMonth || rule.byMonth.includes((month % 12) + 1)) {
+                days = this.getMonthDays(rule, year, month % 12, first.getUTCDate());
+            }
+        } else {
+            const year = first.getUTCFullYear() + index * rule.interval;
+            periodStart = Date.UTC(year, 0, 1);
+            const months = rule.byMonth ? rule.byMonth.map(month => month - 1).sort((a, b) => a - b) : [first.getUTCMonth()];
+            days = months.flatMap(month => this.getMonthDays(rule, year, month, first.getUTCDate()));
+        }
+
+        if (rule.bySetPos) {
+            days = rule.bySetPos
+                .map(position => (position > 0 ? days[position - 1] : days[days.length + position]))
+                .filter(day => day !== undefined)
+                .sort((a, b) => a - b);
+        }
+        return { start: periodStart, days: [...new Set(days)] };
+    }
+
+    /**
+     * List the days of a month selected by BYMONTHDAY and BYDAY
+     * @param {Object} rule - Rule from parseRule
+     * @param {number} year - Year
+     * @param {number} month - Month (0-11)
+     * @param {number} defaultDay - DTSTART's day of the month, used without BYMONTHDAY/BYDAY
+     * @returns {number[]} Days (midnight), sorted
+     */
+    getMonthDays(rule, year, month, defaultDay) {
+        const daysInMonth = new Date(Date.UTC(year, month + 1, 0)).getUTCDate();
+        let days = null;
+
+        if (rule.byMonthDay) {
+            days = rule.byMonthDay
+                .map(day => (day > 0 ? day : daysInMonth + 1 + day))
+                .filter(day => day >= 1 && day <= daysInMonth);
+        }
+        if (rule.byDay) {
+            const matching = [];
+            rule.byDay.forEach(({ ordinal, weekday }) => {
+                const all = [];
+                for (let day = 1; day <= daysInMonth; day++) {
+                    if (new Date(Date.UTC(year, month, day)).getUTCDay() === weekday) {
+                        all.push(day);
+                    }
+                }
+                if (ordinal === 0) {
+                    matching.push(...all);
+                } else {
+                    const picked = ordinal > 0 ? all[ordinal - 1] : all[all.length + ordinal];
+                    if (picked) {
+                        matching.push(picked);
+                    }
+                }
+            });
+            days = days ? days.filter(day => matching.includes(day)) : matching;
+        }
+        if (!days) {
+            // Months without DTSTART's day (the 31st, say) are skipped, as RFC 5545 requires
+            days = defaultDay <= daysInMonth ? [defaultDay] : [];
+        }
+
+        return [...new Set(days)].sort((a, b) => a - b).map(day => Date.UTC(year, month, day));
+    }
+
+    /**
+     * Check a day against the BYMONTH, BYMONTHDAY and BYDAY filters of a DAILY rule
+     * @param {Object} rule - Rule from parseRule
+     * @param {number} day - Day (midnight)
+     * @returns {boolean} True if the day is selected
+     */
+    matchesDayFilters(rule, day) {
+        const date = new Date(day);
+        const daysInMonth = new Date(Date.UTC(date.getUTCFullYear(), date.getUTCMonth() + 1, 0)).getUTCDate();
+        if (rule.byMonth && !rule.byMonth.includes(date.getUTCMonth() + 1)) {
+            return false;
+        }
+        if (rule.byMonthDay && !rule.byMonthDay.some(monthDay => (monthDay > 0 ? monthDay : daysInMonth + 1 + monthDay) === date.getUTCDate())) {
+            return false;
+        }
+        return !rule.byDay || rule.byDay.some(({ weekday }) => weekday === date.getUTCDay());
+    }
+
+    /**
+     * Render the note for one event or occurrence
+     * @param {Object} instance - Instance from expandEvents
+     * @param {string} calendarName - Calendar name
+     * @returns {string} Note content with frontmatter
+     */
+    renderEvent(instance, calendarName) {
+        const { event, series, start, end } = instance;
+        // All-day events end on the following midnight; the note shows the last day instead
+        const lastDay = start.dateOnly ? { ...end, time: Math.max(start.time, end.time - DAY_MS) } : end;
+
+        const metadata = {
+            ...createStandardMetadata({ title: event.summary, fileType: 'ics' }),
+            start: this.formatDateValue(start),
+            end: end.time > start.time ? this.formatDateValue(lastDay) : null,
+            'all-day': start.dateOnly ? true : null,
+            timezone: start.tzid,
+            location: event.location,
+            organizer: event.organizer ? this.formatPerson(event.organizer) : null,
+            attendees: event.attendees.map(attendee => this.formatPerson(attendee)),
+            status: event.status,
+            recurrence: series ? series.rrule : null,
+            tags: event.categories,
+            calendar: calendarName,
+            uid: event.uid,
+            url: event.url
+        };
+
+        const markdown = [`# ${event.summary}`, ''];
+        markdown.push(`- **When:** ${this.describeWhen(start, end)}`);
+        if (event.location) markdown.push(`- **Where:** ${event.location}`);
+        if (event.organizer) markdown.push(`- **Organizer:** ${this.formatPerson(event.organizer)}`);
+        if (series && series.rrule) markdown.push(`- **Repeats:** \`${series.rrule}\``);
+        if (event.url) markdown.push(`- **Link:** ${event.url}`);
+
+        if (event.attendees.length > 0) {
+            markdown.push('', '## Attendees', '');
+            event.attendees.forEach(attendee => {
+                const status = attendee.status ? ` — ${attendee.status}` : '';
+                markdown.push(`- ${this.formatPerson(attendee)}${status}`);
+            });
+        }
+        if (event.description) {
+            markdown.push('', '## Description', '', event.description);
+        }
+
+        return formatMetadata(metadata) + markdown.join('\n') + '\n';
+    }
+
+    /**
+     * Describe when an event happens
+     * @param {Object} start - Start
+     * @param {Object} end - End
+     * @returns {string} e.g. "2024-01-15 10:00 – 11:00 (Europe/Berlin)"
+     */
+    describeWhen(start, end) {
+        if (start.dateOnly) {
+            const lastDay = Math.max(start.time, end.time - DAY_MS);
+            const range = lastDay === start.time ? this.formatDay(start.time) : `${this.formatDay(start.time)} – ${this.formatDay(lastDay)}`;
+            return `${range} (all day)`;
+        }
+
+        let range = this.formatDateTime(start.time);
+        if (end.time > start.time) {
+            const sameDay = this.formatDay(start.time) === this.formatDay(end.time);
+            range += ` – ${sameDay ? this.formatDateTime(end.time).slice(11) : this.formatDateTime(end.time)}`;
+        }
+        const zone = start.utc ? ' UTC' : (start.tzid ? ` (${start.tzid})` : '');
+        return `${range}${zone}`;
+    }
+
+    /**
+     * Parse a DATE or DATE-TIME property
+     * @param {Object|null} property - Property
+     * @returns {{time: number, dateOnly: boolean, utc: boolean, tzid: string|null}|null} Wall-clock time
+     */
+    parseDate(property) {
+        if (!property) {
+            return null;
+        }
+        const match = property.value.trim().match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})?(Z)?)?$/i);
+        if (!match) {
+            return null;
+        }
+        const [, year, month, day, hour, minute, second, utc] = match;
+        return {
+            time: Date.UTC(+year, +month - 1, +day, +(hour || 0), +(minute || 0), +(second || 0)),
+            dateOnly: !hour,
+            utc: !!utc,
+            tzid: utc ? null : this.parser.getParam(property.params, 'TZID')
+        };
+    }
+
+    /**
+     * Parse a comma-separated EXDATE or RDATE property; RDATE periods are skipped
+     * @param {Object} property - Property
+     * @returns {Object[]} Dates
+     */
+    parseDateList(property) {
+        return property.value.split(',')
+            .map(value => this.parseDate({ value, params: property.params }))
+            .filter(Boolean);
+    }
+
+    /**
+     * Parse a DURATION value
+     * @param {string} value - e.g. PT1H30M or P1D
+     * @returns {number|null} Milliseconds
+     */
+    parseDuration(value) {
+        const match = String(value || '').trim().match(/^([+-])?P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/i);
+        if (!match || match[0].replace(/[+-]/, '') === 'P') {
+            return null;
+        }
+        const [, sign, weeks, days, hours, minutes, seconds] = match;
+        const ms = ((+weeks || 0) * 7 + (+days || 0)) * DAY_MS
+            + ((+hours || 0) * 3600 + (+minutes || 0) * 60 + (+seconds || 0)) * 1000;
+        return sign === '-' ? -ms : ms;
+    }
+
+    /**
+     * Work out the time recurring events are expanded to
+     * @param {string|Date|number} [option] - Date, or days from today
+     * @returns {number} Horizon time
+     */
+    resolveHorizon(option) {
+        if (option instanceof Date || (typeof option === 'string' && isNaN(Number(option)))) {
+            const date = new Date(option);
+            if (!isNaN(date.getTime())) {
+                return date.getTime();
+            }
+        }
+        const days = option !== undefined && option !== null && option !== '' && Number.isFinite(Number(option))
+            ? Number(option)
+            : DEFAULT_HORIZON_DAYS;
+        return Date.now() + days * DAY_MS;
+    }
+
+    getProperty(component, name) {
+        return component.properties.find(property => property.name === name) || null;
+    }
+
+    getProperties(component, name) {
+        return component.properties.filter(property => property.name === name);
+    }
+
+    getText(component, name) {
+        const property = this.getProperty(component, name);
+        return property ? this.parser.unescapeText(property.value).trim() : '';
+    }
+
+    getTimeOfDay(time) {
+        return ((time % DAY_MS) + DAY_MS) % DAY_MS;
+    }
+
+    formatPerson(person) {
+        if (!person.name) return person.email;
+        return person.email ? `${person.name} <${person.email}>` : person.name;
+    }
+
+    formatDateValue(date) {
+        if (date.dateOnly) return this.formatDay(date.time);
+        return new Date(date.time).toISOString().slice(0, 19) + (date.utc ? 'Z' : '');
+    }
+
+    formatDay(time) {
+        return new Date(time).toISOString().slice(0, 10);
+    }
+
+    formatDateTime(time) {
+        return new Date(time).toISOString().slice(0, 16).replace('T', ' ');
+    }
+
+    encodeLinkPath(target) {
+        return target.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    }
+
+    escapeLinkText(text) {
+        return String(text).replace(/([\\[\]])/g, '\\$1');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Calendar Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts iCalendar files to one note per event, expanding recurring events',
+            options: {
+                recurrenceHorizon: 'Expand recurring events until this date, or this many days from today (default: 365)'
+            }
+        };
+    }
+}
+
+module.exports = IcsConverter;
@@ -0,0 +1,361 @@
+/**
+ * VcfConverter.js
+ * Handles conversion of vCard files (.vcf) to contact notes in the Electron main process.
+ *
+ * This converter:
+ * - Writes one note per contact, named after its display name, in a folder named after the file
+ * - Records names, organization, emails, phones, addresses, birthday, websites and
+ *   categories as frontmatter fields
+ * - Saves embedded photos next to the notes and shows them in the contact note
+ * - Reads vCard 2.1, 3.0 and 4.0, including 2.1 quoted-printable values
+ * - Returns an index note listing the contacts
+ *
+ * Related Files:
+ * - BaseService.js: Parent class providing IPC handling
+ * - ContentLineParser.js: vCard parsing
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Registers the VCF adapter
+ */
+
+const path = require('path');
+const BaseService = require('../../BaseService');
+const ContentLineParser = require('./ContentLineParser');
+const { decodeText } = require('../../../utils/files/encoding');
+const { formatMetadata, createStandardMetadata } = require('../../../converters/utils/metadata');
+const { sanitizeName, uniquePath } = require('../../../converters/utils/fileNames');
+
+// Type parameters that describe how a value is used; the rest (VOICE, INTERNET, PREF...) are noise
+const LABEL_TYPES = ['home', 'work', 'cell', 'mobile', 'fax', 'pager', 'main', 'other', 'iphone'];
+const PHOTO_EXTENSIONS = {
+    jpeg: '.jpg',
+    jpg: '.jpg',
+    png: '.png',
+    gif: '.gif',
+    webp: '.webp'
+};
+
+class VcfConverter extends BaseService {
+    constructor(fileProcessor) {
+        super();
+        this.fileProcessor = fileProcessor;
+        this.parser = new ContentLineParser();
+        this.supportedExtensions = ['.vcf'];
+    }
+
+    /**
+     * Set up IPC handlers for contact conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:vcf', this.handleConvert.bind(this));
+    }
+
+    /**
+     * Handle contact conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, buffer, options = {} }) {
+        try {
+            let content;
+            if (buffer) {
+                content = Buffer.from(buffer);
+            } else if (filePath) {
+                const fileResult = await this.fileProcessor.handleFileRead(null, {
+                    filePath,
+                    asBinary: true
+                });
+                content = fileResult.content;
+            } else {
+                throw new Error('No file path or buffer provided');
+            }
+
+            const result = await this.convertToMarkdown(content, {
+                ...options,
+                fileName: options.originalFileName || options.name || path.basename(filePath || 'contacts.vcf')
+            });
+
+            return { content: result.content, images: result.images, files: result.files };
+        } catch (error) {
+            console.error('[VcfConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Convert a vCard file to contact notes and an index
+     * @param {Buffer|string} content - vCard file content
+     * @param {Object} options - Conversion options
+     * @param {string} [options.encoding] - Force an encoding instead of detecting it
+     * @returns {Promise<Object>} Index content, photos, contact notes and metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'contacts.vcf';
+            const title = path.basename(fileName, path.extname(fileName));
+            const folder = sanitizeName(title) || 'Contacts';
+            const { text } = decodeText(content, options.encoding);
+
+            const contacts = this.parser.parse(text).components
+                .filter(component => component.name === 'VCARD')
+                .map(component => this.readContact(component))
+                .sort((a, b) => a.sortKey.localeCompare(b.sortKey));
+            if (contacts.length === 0) {
+                throw new Error('File contains no VCARD');
+            }
+
+            const noteNames = new Set();
+            const photoNames = new Set();
+            const images = [];
+            const files = contacts.map(contact => {
+                contact.noteName = uniquePath(`${folder}/${sanitizeName(contact.name) || 'Contact'}.md`, noteNames);
+                let photoLink = contact.photoUrl;
+                if (contact.photo) {
+                    const photoPath = uniquePath(
+                        `${folder}/attachments/${path.posix.basename(contact.noteName, '.md')}${contact.photo.extension}`,
+                        photoNames
+                    );
+                    images.push({ path: photoPath, data: contact.photo.data });
+                    photoLink = this.encodeLinkPath(path.posix.relative(folder, photoPath));
+                }
+                return {
+                    name: contact.noteName,
+                    type: 'text',
+                    content: this.renderContact(contact, photoLink)
+                };
+            });
+
+            console.log(`[VcfConverter] Converted ${fileName}: ${contacts.length} contacts, ${images.length} photos`);
+
+            const markdown = [];
+            markdown.push(`# ${title}`);
+            markdown.push('');
+            markdown.push('> Contacts');
+            markdown.push(`> - Contacts: ${contacts.length}`);
+            markdown.push('');
+            contacts.forEach(contact => {
+                const details = [contact.organization, contact.emails[0] && contact.emails[0].value].filter(Boolean);
+                const suffix = details.length > 0 ? ` — ${details.join(' — ')}` : '';
+                markdown.push(`- [${this.escapeLinkText(contact.name)}](${this.encodeLinkPath(contact.noteName)})${suffix}`);
+            });
+            markdown.push('');
+
+            const metadata = {
+                ...createStandardMetadata({ title, fileType: 'vcf' }),
+                contacts: contacts.length
+            };
+            return {
+                content: formatMetadata(metadata) + markdown.join('\n'),
+                images,
+                files,
+                metadata: { title, contacts: contacts.length }
+            };
+        } catch (error) {
+            console.error('[VcfConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the fields we render from a VCARD
+     * @param {Object} component - VCARD component
+     * @returns {Object} Contact
+     */
+    readContact(component) {
+        const get = (name) => component.properties.find(property => property.name === name) || null;
+        const all = (name) => component.properties.filter(property => property.name === name);
+        const text = (name) => (get(name) ? this.parser.unescapeText(get(name).value).trim() : '');
+
+        const [lastName = '', firstName = '', middleName = '', prefix = '', suffix = ''] = get('N')
+            ? this.parser.splitValue(get('N').value, ';').map(part => part.trim())
+            : [];
+        const organization = get('ORG')
+            ? this.parser.splitValue(get('ORG').value, ';').map(part => part.trim()).filter(Boolean)
+            : [];
+        const name = text('FN')
+            || [prefix, firstName, middleName, lastName, suffix].filter(Boolean).join(' ')
+            || organization[0]
+            || (all('EMAIL')[0] ? all('EMAIL')[0].value.trim() : '')
+            || 'Unnamed contact';
+
+        return {
+            name,
+            sortKey: `${lastName || name} ${firstName}`.toLowerCase(),
+            firstName,
+            lastName,
+            nickname: text('NICKNAME'),
+            organization: organization[0] || '',
+            department: organization.slice(1).join(', '),
+            jobTitle: text('TITLE') || text('ROLE'),
+            emails: all('EMAIL').map(property => this.readLabeled(property, property.value.trim().replace(/^mailto:/i, ''))),
+            phones: all('TEL').map(property => this.readLabeled(property, property.value.trim().replace(/^tel:/i, ''))),
+            addresses: all('ADR').map(property => this.readLabeled(property, this.formatAddress(property))).filter(address => address.value),
+            websites: all('URL').map(property => property.value.trim()).filter(Boolean),
+            birthday: this.formatDate(text('BDAY')),
+            anniversary: this.formatDate(text('ANNIVERSARY')),
+            categories: all('CATEGORIES')
+                .flatMap(property => this.parser.splitValue(property.value, ','))
+                .map(category => category.trim())
+                .filter(Boolean),
+            note: text('NOTE'),
+            uid: text('UID').replace(/^urn:uuid:/i, ''),
+            photo: this.readPhoto(get('PHOTO')),
+            photoUrl: get('PHOTO') && /^https?:\/\//i.test(get('PHOTO').value.trim()) ? get('PHOTO').value.trim() : null
+        };
+    }
+
+    /**
+     * Pair a value with its home/work/cell label
+     * @param {Object} property - Property
+     * @param {string} value - Display value
+     * @returns {{value: string, label: string}} Labeled value
+     */
+    readLabeled(property, value) {
+        const label = (property.params.TYPE || [])
+            .map(type => type.toLowerCase())
+            .find(type => LABEL_TYPES.includes(type));
+        return { value, label: label === 'mobile' || label === 'iphone' ? 'cell' : (label || '') };
+    }
+
+    /**
+     * Format a structured ADR value on one line
+     * @param {Object} property - ADR property
+     * @returns {string} Address
+     */
+    formatAddress(property) {
+        const [poBox, extended, street, locality, region, postalCode, country] = this.parser.splitValue(property.value, ';')
+            .map(part => part.replace(/\s*\n\s*/g, ', ').trim());
+        const cityLine = [postalCode, locality].filter(Boolean).join(' ');
+        return [poBox, extended, street, cityLine, region, country].filter(Boolean).join(', ');
+    }
+
+    /**
+     * Decode an embedded PHOTO (base64 in 2.1/3.0, a data: URI in 4.0)
+     * @param {Object|null} property - PHOTO property
+     * @returns {{data: Buffer, extension: string}|null} Photo
+     */
+    readPhoto(property) {
+        if (!property) {
+            return null;
+        }
+        const value = property.value.replace(/\s+/g, '');
+        const dataUri = value.match(/^data:image\/([\w+.-]+)(?:;[^,]*)?;base64,(.+)$/i);
+        const encoding = (this.parser.getParam(property.params, 'ENCODING') || '').toUpperCase();
+        const base64 = encoding === 'B' || encoding === 'BASE64' || this.parser.hasType(property.params, 'BASE64');
+
+        let format;
+        let data;
+        if (dataUri) {
+            format = dataUri[1];
+            data = dataUri[2];
+        } else if (base64) {
+            format = (property.params.TYPE || []).find(type => type.toUpperCase() !== 'BASE64') || 'jpeg';
+            data = value;
+        } else {
+            return null;
+        }
+
+        const bytes = Buffer.from(data, 'base64');
+        if (bytes.length === 0) {
+            return null;
+        }
+        const subtype = format.toLowerCase().replace(/^image\//, '');
+        return { data: bytes, extension: PHOTO_EXTENSIONS[subtype] || '.jpg' };
+    }
+
+    /**
+     * Render the note for one contact
+     * @param {Object} contact - Contact from readContact
+     * @param {string|null} photoLink - Link to the photo, relative to the note
+     * @returns {string} Note content with frontmatter
+     */
+    renderContact(contact, photoLink) {
+        const labeled = (item) => (item.label ? `${item.value} (${item.label})` : item.value);
+        const metadata = {
+            ...createStandardMetadata({ title: contact.name, fileType: 'vcf' }),
+            'first-name': contact.firstName,
+            'last-name': contact.lastName,
+            nickname: contact.nickname,
+            organization: contact.organization,
+            department: contact.department,
+            'job-title': contact.jobTitle,
+            emails: contact.emails.map(labeled),
+            phones: contact.phones.map(labeled),
+            addresses: contact.addresses.map(labeled),
+            websites: contact.websites,
+            birthday: contact.birthday,
+            anniversary: contact.anniversary,
+            tags: contact.categories,
+            uid: contact.uid
+        };
+
+        const markdown = [`# ${contact.name}`, ''];
+        if (photoLink) {
+            markdown.push(`![${this.escapeLinkText(contact.name)}](${photoLink})`, '');
+        }
+        const role = [contact.jobTitle, contact.department, contact.organization].filter(Boolean).join(', ');
+        if (role) {
+            markdown.push(`*${role}*`, '');
+        }
+
+        const details = [];
+        contact.emails.forEach(email => details.push(`- **Email${email.label ? ` (${email.label})` : ''}:** [${email.value}](mailto:${email.value})`));
+        contact.phones.forEach(phone => details.push(`- **Phone${phone.label ? ` (${phone.label})` : ''}:** [${phone.value}](tel:${phone.value.replace(/[^\d+]/g, '')})`));
+        contact.addresses.forEach(address => details.push(`- **Address${address.label ? ` (${address.label})` : ''}:** ${address.value}`));
+        contact.websites.forEach(website => details.push(`- **Website:** ${website}`));
+        if (contact.birthday) details.push(`- **Birthday:** ${contact.birthday}`);
+        if (details.length > 0) {
+            markdown.push('## Contact Details', '', ...details, '');
+        }
+        if (contact.note) {
+            markdown.push('## Notes', '', contact.note, '');
+        }
+
+        return formatMetadata(metadata) + markdown.join('\n').trimEnd() + '\n';
+    }
+
+    /**
+     * Normalize a vCard date (19850412, 1985-04-12, --0412 without a year)
+     * @param {string} value - Raw date
+     * @returns {string} YYYY-MM-DD, --MM-DD, or the value unchanged
+     */
+    formatDate(value) {
+        const match = value.match(/^(\d{4}|--)-?(\d{2})-?(\d{2})(?:T.*)?$/);
+        if (!match) {
+            return value;
+        }
+        return match[1] === '--' ? `--${match[2]}-${match[3]}` : `${match[1]}-${match[2]}-${match[3]}`;
+    }
+
+    encodeLinkPath(target) {
+        return target.split('/').map(segment => encodeURIComponent(segment)).join('/');
+    }
+
+    escapeLinkText(text) {
+        return String(text).replace(/([\\[\]])/g, '\\$1');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'Contact Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts vCard files to one note per contact with structured frontmatter',
+            options: {}
+        };
+    }
+}
+
+module.exports = VcfConverter;
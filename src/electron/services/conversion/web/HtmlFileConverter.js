@@ -0,0 +1,416 @@
+/**
+ * HtmlFileConverter.js
+ * Handles conversion of saved HTML files to markdown format in the Electron main process.
+ *
+ * This converter:
+ * - Extends UrlConverter and reuses its cheerio extraction and turndown setup
+ * - Parses the file offline, without launching a browser
+ * - Honours the charset declared in the page when there is no byte order mark
+ * - Resolves relative images (including "Save Page As" `_files` folders) against the
+ *   file's folder and copies them, along with inline data URIs, into the output. Files
+ *   outside that folder, and files that are not images, are never read into the output
+ *
+ * Related Files:
+ * - UrlConverter.js: Parent class providing content extraction and markdown conversion
+ * - ../image/ImageMetadataReader.js: Recognizes image files by their signature
+ * - utils/files/encoding.js: Encoding detection and decoding
+ * - ConverterRegistry.js: Registers the HTML adapter
+ */
+
+const path = require('path');
+const fs = require('fs-extra');
+const cheerio = require('cheerio');
+const { pathToFileURL, fileURLToPath } = require('url');
+const UrlConverter = require('./UrlConverter');
+const ImageMetadataReader = require('../image/ImageMetadataReader');
+const { detectEncoding, decodeText } = require('../../../utils/files/encoding');
+const { slugify } = require('../../../converters/utils/fileNames');
+
+const IMAGE_EXTENSIONS_BY_MIME = {
+    'image/png': '.png',
+    'image/jpeg': '.jpg',
+    'image/gif': '.gif',
+    'image/webp': '.webp',
+    'image/svg+xml': '.svg',
+    'image/bmp': '.bmp'
+};
+
+// Local files with these extensions are copied even when their signature is not recognized
+const IMAGE_EXTENSIONS = [...Object.values(IMAGE_EXTENSIONS_BY_MIME), '.jpeg', '.tif', '.tiff', '.ico', '.avif'];
+
+class HtmlFileConverter extends UrlConverter {
+    constructor(fileProcessor, fileStorage) {
+        super(fileProcessor, fileStorage);
+        this.supportedExtensions = ['.html', '.htm'];
+        this.imageReader = new ImageMetadataReader();
+    }
+
+    /**
+     * Set up IPC handlers for HTML file conversion
+     */
+    setupIpcHandlers() {
+        this.registerHandler('convert:html', this.handleConvert.bind(this));
+        this.registerHandler('convert:html:preview', this.handlePreview.bind(this));
+    }
+
+    /**
+     * Handle HTML file conversion request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Conversion request details
+     */
+    async handleConvert(event, { filePath, options = {} }) {
+        try {
+            const fileResult = await this.fileProcessor.handleFileRead(null, {
+                filePath,
+                asBinary: true
+            });
+            const result = await this.convertToMarkdown(fileResult.content, {
+                ...options,
+                sourcePath: filePath,
+                fileName: options.originalFileName || path.basename(filePath)
+            });
+
+            return { content: result.content, images: result.images };
+        } catch (error) {
+            console.error('[HtmlFileConverter] Conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Handle HTML file preview request
+     * @param {Electron.IpcMainInvokeEvent} event - IPC event
+     * @param {Object} request - Preview request details
+     */
+    async handlePreview(event, params) {
+        return this.handleConvert(event, params);
+    }
+
+    /**
+     * Convert a saved HTML file to markdown
+     * @param {Buffer|string} content - Raw HTML content
+     * @param {Object} options - Conversion options
+     * @param {string} [options.sourcePath] - Path of the HTML file, used to resolve relative assets
+     * @param {boolean} [options.includeImages] - Whether to copy local images (default: true)
+     * @returns {Promise<Object>} Markdown content, images to save and page metadata
+     */
+    async convertToMarkdown(content, options = {}) {
+        try {
+            const fileName = options.fileName || options.originalFileName || 'page.html';
+            const baseName = path.basename(fileName, path.extname(fileName));
+            const { text, encoding } = decodeText(content, options.encoding || this.detectDeclaredCharset(content));
+            console.log(`[HtmlFileConverter] Decoded ${fileName} as ${encoding}`);
+
+            const $ = cheerio.load(text);
+            const metadata = this.extractMetadata($, text, baseName);
+
+            const images = [];
+            if (options.includeImages !== false) {
+                await this.collectImages($, images, {
+                    sourcePath: options.sourcePath,
+                    imagePrefix: slugify(baseName) || 'page'
+                });
+            }
+
+            // Relative links resolve against the file itself; without a path they stay as written
+            const baseUrl = options.sourcePath ? pathToFileURL(options.sourcePath).href : undefined;
+            const extracted = this.parseHtmlContent($.html(), baseUrl);
+            const markdown = this.generateFileMarkdown(metadata, extracted, { ...options, fileName });
+
+            console.log(`[HtmlFileConverter] Converted ${fileName} with ${images.length} local images`);
+            return {
+                content: markdown,
+                images,
+                metadata: { title: metadata.title }
+            };
+        } catch (error) {
+            console.error('[HtmlFileConverter] Markdown conversion failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Read the charset declared in a meta tag, when the buffer has no byte order mark
+     * @param {Buffer|string} content - Raw HTML content
+     * @returns {string|undefined} Encoding label supported by TextDecoder
+     */
+    detectDeclaredCharset(content) {
+        if (!Buffer.isBuffer(content) || detectEncoding(content).bomLength > 0) {
+            return undefined;
+        }
+
+        // Browsers only look at the first 1024 bytes for the declaration
+        const head = content.subarray(0, 1024).toString('latin1');
+        const match = head.match(/<meta[^>]+charset\s*=\s*["']?\s*([\w-]+)/i);
+        if (!match) {
+            return undefined;
+        }
+
+        const label = match[1].toLowerCase();
+        if (label === 'utf-16' || label === 'utf-16le' || label === 'utf-16be') {
+            // A UTF-16 declaration in ASCII-readable bytes is wrong, let detection decide
+            return undefined;
+        }
+        try {
+            new TextDecoder(label);
+            return label;
+        } catch (error) {
+            console.warn(`[HtmlFileConverter] Ignoring unsupported charset: ${label}`);
+            return undefined;
+        }
+    }
+
+    /**
+     * Extract page metadata from the document head
+     * @param {CheerioAPI} $ - Loaded document
+     * @param {string} html - Decoded HTML, used for the "saved from" comment
+     * @param {string} fallbackTitle - Title to use when the page has none
+     * @returns {Object} Page metadata
+     */
+    extractMetadata($, html, fallbackTitle) {
+        const getMetaContent = (name) => {
+            const value = $(`meta[name="${name}"], meta[property="${name}"]`).first().attr('content');
+            return value ? value.trim() : null;
+        };
+
+        // Browsers record the original address when saving a page
+        const savedFrom = html.match(/<!--\s*saved from url=\(\d+\)(\S+?)\s*-->/i);
+        const sourceUrl = (savedFrom && savedFrom[1]) ||
+            $('link[rel="canonical"]').attr('href') ||
+            getMetaContent('og:url');
+
+        return {
+            title: $('title').first().text().trim() ||
+                getMetaContent('og:title') ||
+                $('h1').first().text().trim() ||
+                fallbackTitle,
+            description: getMetaContent('description') || getMetaContent('og:description'),
+            author: getMetaContent('author'),
+            keywords: getMetaContent('keywords'),
+            sourceUrl: sourceUrl && /^https?:\/\//i.test(sourceUrl) ? sourceUrl : null
+        };
+    }
+
+    /**
+     * Copy local and inline images and point the document at their output paths
+     * @param {CheerioAPI} $ - Loaded document, updated in place
+     * @param {Array} images - Collected images, appended to
+     * @param {Object} context - Source path and output naming prefix
+     * @returns {Promise<void>}
+     */
+    async collectImages($, images, context) {
+        const bySource = new Map();
+
+        for (const el of $('img').toArray()) {
+            const src = ($(el).attr('src') || '').trim();
+            if (!src || /^(https?:)?\/\//i.test(src)) {
+                // Remote images stay as external links, like UrlConverter does
+                continue;
+            }
+
+            if (!bySource.has(src)) {
+                const image = src.startsWith('data:')
+                    ? this.decodeDataUri(src)
+                    : await this.readLocalImage(src, context.sourcePath);
+                bySource.set(src, image ? this.registerImage(image, images, context.imagePrefix) : null);
+            }
+
+            const outputPath = bySource.get(src);
+            if (outputPath) {
+                $(el).attr('src', outputPath);
+                $(el).removeAttr('srcset');
+            }
+        }
+    }
+
+    /**
+     * Read an image referenced by a relative path or file URL. Only image files inside
+     * the HTML file's folder (where "Save Page As" puts its `_files` folder) are read
+     * @param {string} src - Image reference from the document
+     * @param {string} [sourcePath] - Path of the HTML file
+     * @returns {Promise<Object|null>} Image name and data, or null if unavailable
+     */
+    async readLocalImage(src, sourcePath) {
+        if (!sourcePath) {
+            console.warn(`[HtmlFileConverter] No source path, leaving local image as is: ${src}`);
+            return null;
+        }
+
+        const folder = path.dirname(path.resolve(sourcePath));
+        let imagePath;
+        try {
+            imagePath = src.startsWith('file:')
+                ? fileURLToPath(src)
+                : path.resolve(folder, decodeURIComponent(src.replace(/[?#].*$/, '')));
+        } catch (error) {
+            console.warn(`[HtmlFileConverter] Could not resolve image path: ${src}`);
+            return null;
+        }
+
+        try {
+            // Compare real paths, so symbolic links cannot point outside the folder either
+            const realPath = await fs.realpath(imagePath);
+            if (!this.isInsideFolder(realPath, await fs.realpath(folder))) {
+                console.warn(`[HtmlFileConverter] Skipping image outside the page folder: ${src}`);
+                return null;
+            }
+
+            const stats = await fs.stat(realPath);
+            if (!stats.isFile()) {
+                return null;
+            }
+
+            const data = await fs.readFile(realPath);
+            if (!IMAGE_EXTENSIONS.includes(path.extname(realPath).toLowerCase()) && !this.imageReader.detectFormat(data)) {
+                console.warn(`[HtmlFileConverter] Skipping file that is not an image: ${src}`);
+                return null;
+            }
+
+            return {
+                name: path.basename(imagePath),
+                data
+            };
+        } catch (error) {
+            console.warn(`[HtmlFileConverter] Image not found: ${imagePath}`);
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a path lies inside a folder
+     * @param {string} filePath - Absolute path
+     * @param {string} folder - Absolute folder path
+     * @returns {boolean} True if inside
+     */
+    isInsideFolder(filePath, folder) {
+        const relative = path.relative(folder, filePath);
+        return relative !== '' && !relative.startsWith('..') && !path.isAbsolute(relative);
+    }
+
+    /**
+     * Decode an inline data URI image
+     * @param {string} src - data: URI
+     * @returns {Object|null} Image name and data, or null if not an image
+     */
+    decodeDataUri(src) {
+        const match = src.match(/^data:([^;,]+)((?:;[^;,]*)*),(.*)$/s);
+        if (!match || !IMAGE_EXTENSIONS_BY_MIME[match[1].toLowerCase()]) {
+            return null;
+        }
+
+        const isBase64 = /;base64/i.test(match[2]);
+        let text = match[3];
+        if (!isBase64) {
+            try {
+                text = decodeURIComponent(text);
+            } catch (error) {
+                // Inline SVG is often written without escaping, e.g. width="100%"; use it as written
+                console.warn('[HtmlFileConverter] Inline image is not percent-encoded, using it as written');
+            }
+        }
+        const data = isBase64 ? Buffer.from(text, 'base64') : Buffer.from(text, 'utf8');
+        return {
+            name: `inline${IMAGE_EXTENSIONS_BY_MIME[match[1].toLowerCase()]}`,
+            data
+        };
+    }
+
+    /**
+     * Add an image to the output list under a unique path
+     * @param {Object} image - Image name and data
+     * @param {Array} images - Collected images
+     * @param {string} imagePrefix - Prefix derived from the document name
+     * @returns {string} Relative output path
+     */
+    registerImage(image, images, imagePrefix) {
+        const ext = path.extname(image.name).toLowerCase() || '.png';
+        const stem = slugify(path.basename(image.name, path.extname(image.name))) || 'image';
+        const taken = new Set(images.map(existing => existing.path));
+
+        let outputPath = `attachments/${imagePrefix}-${stem}${ext}`;
+        for (let n = 2; taken.has(outputPath); n++) {
+            outputPath = `attachments/${imagePrefix}-${stem}-${n}${ext}`;
+        }
+
+        images.push({ path: outputPath, data: image.data });
+        return outputPath;
+    }
+
+    /**
+     * Generate markdown for a saved page, following UrlConverter's layout
+     * @param {Object} metadata - Page metadata
+     * @param {Object} content - Extracted content
+     * @param {Object} options - Conversion options
+     * @returns {string} Markdown content
+     */
+    generateFileMarkdown(metadata, content, options) {
+        const markdown = [];
+        const escapeCell = (value) => value.replace(/\|/g, '\\|').replace(/\s*\n\s*/g, ' ');
+
+        const { createStandardFrontmatter } = require('../../../converters/utils/metadata');
+        const frontmatter = createStandardFrontmatter({
+            title: metadata.title,
+            fileType: 'html'
+        });
+
+        markdown.push(frontmatter.trim());
+        markdown.push('');
+        markdown.push(`# ${metadata.title}`);
+        markdown.push('');
+
+        markdown.push('## Page Information');
+        markdown.push('');
+        markdown.push('| Property | Value |');
+        markdown.push('| --- | --- |');
+        markdown.push(`| File | ${escapeCell(options.fileName)} |`);
+        if (metadata.sourceUrl) markdown.push(`| Saved From | [${metadata.sourceUrl}](${metadata.sourceUrl}) |`);
+        if (metadata.description) markdown.push(`| Description | ${escapeCell(metadata.description)} |`);
+        if (metadata.author) markdown.push(`| Author | ${escapeCell(metadata.author)} |`);
+        if (metadata.keywords) markdown.push(`| Keywords | ${escapeCell(metadata.keywords)} |`);
+        markdown.push('');
+
+        markdown.push('## Content');
+        markdown.push('');
+        markdown.push(this.createTurndownService().turndown(content.html || ''));
+
+        if (options.includeLinks && content.links && content.links.length > 0) {
+            markdown.push('');
+            markdown.push('## Links');
+            markdown.push('');
+            content.links.forEach(link => {
+                markdown.push(`- [${link.text}](${link.href})`);
+            });
+        }
+
+        return markdown.join('\n');
+    }
+
+    /**
+     * Check if this converter supports the given file
+     * @param {string} filePath - Path to file
+     * @returns {boolean} True if supported
+     */
+    supportsFile(filePath) {
+        const ext = path.extname(filePath).toLowerCase();
+        return this.supportedExtensions.includes(ext);
+    }
+
+    /**
+     * Get converter information
+     * @returns {Object} Converter details
+     */
+    getInfo() {
+        return {
+            name: 'HTML File Converter',
+            extensions: this.supportedExtensions,
+            description: 'Converts saved HTML pages to markdown offline, copying local images',
+            options: {
+                includeImages: 'Whether to copy local and inline images (default: true)',
+                includeLinks: 'Whether to include links section (default: false)',
+                encoding: 'Force a text encoding (default: BOM, declared charset, then detected)'
+            }
+        };
+    }
+}
+
+module.exports = HtmlFileConverter;
@@ -389,86 +389,111 @@ class UrlConverter extends BaseService {
             // Get page HTML
             const html = await page.content();
             
-            // Extract content using cheerio
-            const $ = cheerio.load(html);
-            
-            // Remove unwanted elements
-            $('script, style, iframe, noscript').remove();
-            
-            // Extract main content
-            let mainContent = '';
-            const mainSelectors = [
-                'main',
-                'article',
-                '#content',
-                '.content',
-                '.main',
-                '.article',
-                '.post',
-                '.post-content'
-            ];
-            
-            // Try to find main content using common selectors
-            for (const selector of mainSelectors) {
-                if ($(selector).length > 0) {
-                    mainContent = $(selector).html();
-                    break;
-                }
-            }
-            
-            // If no main content found, use body
-            if (!mainContent) {
-                mainContent = $('body').html();
-            }
-            
-            // Extract images
-            const images = [];
-            $('img').each((i, el) => {
-                const src = $(el).attr('src');
-                const alt = $(el).attr('alt') || '';
-                
-                if (src) {
-                    // Resolve relative URLs
-                    const absoluteSrc = new URL(src, url).href;
-                    
-                    images.push({
-                        src: absoluteSrc,
-                        alt,
-                        filename: path.basename(absoluteSrc)
-                    });
-                }
-            });
-            
-            // Extract links
-            const links = [];
-            $('a').each((i, el) => {
-                const href = $(el).attr('href');
-                const text = $(el).text().trim();
-                
-                if (href && !href.startsWith('#') && !href.startsWith('javascript:')) {
-                    // Resolve relative URLs
-                    const absoluteHref = new URL(href, url).href;
-                    
-                    links.push({
-                        href: absoluteHref,
-                        text: text || absoluteHref
-                    });
-                }
-            });
-            
             await page.close();
             
-            return {
-                html: mainContent,
-                images,
-                links
-            };
+            return this.parseHtmlContent(html, url);
         } catch (error) {
             console.error('[UrlConverter] Failed to extract content:', error);
             throw error;
         }
     }
 
+    /**
+     * Extract main content, images and links from page HTML
+     * Shared with HtmlFileConverter, which parses saved pages without a browser
+     * @param {string} html - Page HTML
+     * @param {string} baseUrl - URL used to resolve relative links
+     * @returns {Object} Extracted content
+     */
+    parseHtmlContent(html, baseUrl) {
+        // Extract content using cheerio
+        const $ = cheerio.load(html);
+        
+        // Remove unwanted elements
+        $('script, style, iframe, noscript').remove();
+        
+        // Extract main content
+        let mainContent = '';
+        const mainSelectors = [
+            'main',
+            'article',
+            '#content',
+            '.content',
+            '.main',
+            '.article',
+            '.post',
+            '.post-content'
+        ];
+        
+        // Try to find main content using common selectors
+        for (const selector of mainSelectors) {
+            if ($(selector).length > 0) {
+                mainContent = $(selector).html();
+                break;
+            }
+        }
+        
+        // If no main content found, use body
+        if (!mainContent) {
+            mainContent = $('body').html();
+        }
+        
+        // Extract images
+        const images = [];
+        $('img').each((i, el) => {
+            const src = $(el).attr('src');
+            const alt = $(el).attr('alt') || '';
+            
+            if (src) {
+                // Resolve relative URLs
+                const absoluteSrc = this.resolveUrl(src, baseUrl);
+                
+                images.push({
+                    src: absoluteSrc,
+                    alt,
+                    filename: path.basename(absoluteSrc)
+                });
+            }
+        });
+        
+        // Extract links
+        const links = [];
+        $('a').each((i, el) => {
+            const href = $(el).attr('href');
+            const text = $(el).text().trim();
+            
+            if (href && !href.startsWith('#') && !href.startsWith('javascript:')) {
+                // Resolve relative URLs
+                const absoluteHref = this.resolveUrl(href, baseUrl);
+                
+                links.push({
+                    href: absoluteHref,
+                    text: text || absoluteHref
+                });
+            }
+        });
+        
+        return {
+            html: mainContent,
+            images,
+            links
+        };
+    }
+
+    /**
+     * Resolve a possibly relative URL against a base URL
+     * @param {string} href - URL or path to resolve
+     * @param {string} baseUrl - Base URL
+     * @returns {string} Absolute URL, or the input if it cannot be resolved
+     */
+    resolveUrl(href, baseUrl) {
+        try {
+            return new URL(href, baseUrl).href;
+        } catch (error) {
+            return href;
+        }
+    }
+
     /**
      * Process images from content
      * @param {Object} content - Extracted content
@@ -542,16 +567,8 @@ class UrlConverter extends BaseService {
         markdown.push('');
         
         // Convert HTML to markdown
-        const TurndownService = require('turndown');
-        const turndownService = new TurndownService({
-            headingStyle: 'atx',
-            codeBlockStyle: 'fenced',
-            emDelimiter: '*'
-        });
-        
-        // Customize turndown - no special handling needed for images
-        // Just use the original URLs for Obsidian compatibility
-        
+        // No special handling needed for images, the original URLs are kept for Obsidian compatibility
+        const turndownService = this.createTurndownService();
         const markdownContent = turndownService.turndown(content.html);
         markdown.push(markdownContent);
         
@@ -569,6 +586,19 @@ class UrlConverter extends BaseService {
         return markdown.join('\n');
     }
 
+    /**
+     * Create the turndown service used to convert page HTML to markdown
+     * @returns {TurndownService} Configured turndown instance
+     */
+    createTurndownService() {
+        const TurndownService = require('turndown');
+        return new TurndownService({
+            headingStyle: 'atx',
+            codeBlockStyle: 'fenced',
+            emDelimiter: '*'
+        });
+    }
+
     /**
      * Generate unique conversion ID
      * @returns {string} Unique conversion ID
@@ -0,0 +1,186 @@
+/**
+ * Text Encoding Utilities
+ * Provides encoding detection and decoding for text-based input files
+ *
+ * Text files arrive as raw buffers from the converter registry. This module
+ * picks between UTF-8, UTF-16 (LE/BE) and Latin-1 using byte order marks,
+ * NUL-byte distribution, UTF-8 validity and, for UTF-16 text without NUL
+ * bytes, how few distinct high bytes the code units share.
+ *
+ * Used by:
+ * - src/electron/services/conversion/document/TextConverter.js
+ * - src/electron/services/conversion/document/MarkdownConverter.js
+ * - src/electron/services/conversion/data/JsonYamlConverter.js
+ * - src/electron/services/conversion/web/HtmlFileConverter.js
+ * - src/electron/services/conversion/multimedia/SubtitleConverter.js
+ * - src/electron/services/conversion/code/SourceCodeConverter.js
+ * - src/electron/services/conversion/organizer/IcsConverter.js
+ * - src/electron/services/conversion/organizer/VcfConverter.js
+ * - src/electron/services/conversion/chat/WhatsAppConverter.js
+ * - src/electron/services/conversion/chat/DiscordConverter.js
+ * - src/electron/services/conversion/document/RstConverter.js
+ * - src/electron/services/conversion/document/OrgConverter.js
+ * - src/electron/services/conversion/document/AsciiDocConverter.js
+ */
+
+// Control, private-use, unassigned and surrogate code points; tab, newline, carriage return and form feed are fine
+const NON_TEXT_PATTERN = /[^\P{C}\p{Cf}\t\n\r\f]/u;
+// Minimum sample size for the byte spread check, in bytes
+const MIN_SPREAD_SAMPLE = 8;
+// Windows-1252 characters for bytes 0x80-0x9F (undefined bytes keep their C1 code point)
+const WINDOWS_1252_C1 = '\u20AC\u0081\u201A\u0192\u201E\u2026\u2020\u2021\u02C6\u2030\u0160\u2039\u0152\u008D\u017D\u008F' +
+    '\u0090\u2018\u2019\u201C\u201D\u2022\u2013\u2014\u02DC\u2122\u0161\u203A\u0153\u009D\u017E\u0178';
+
+/**
+ * Check whether decoded text is free of characters that never appear in text files
+ * @param {string} text - Decoded text
+ * @returns {boolean} True if the text looks like real text
+ */
+function isPlausibleText(text) {
+    return !NON_TEXT_PATTERN.test(text);
+}
+
+/**
+ * Detect UTF-16 text without a BOM or NUL bytes (CJK, Cyrillic, Greek, ...)
+ *
+ * Text in one script keeps the high byte of each code unit within a few values,
+ * while the low bytes vary, so one side of each byte pair has far fewer distinct
+ * values than the other. The candidate is only accepted if it decodes to text.
+ * @param {Buffer} sample - Start of the file
+ * @returns {string|null} 'utf-16le', 'utf-16be' or null
+ */
+function detectUtf16BySpread(sample) {
+    const length = sample.length - (sample.length % 2);
+    if (length < MIN_SPREAD_SAMPLE) {
+        return null;
+    }
+
+    const evenBytes = new Set();
+    const oddBytes = new Set();
+    for (let i = 0; i < length; i++) {
+        (i % 2 === 0 ? evenBytes : oddBytes).add(sample[i]);
+    }
+
+    let encoding = null;
+    if (oddBytes.size * 2 <= evenBytes.size) {
+        encoding = 'utf-16le';
+    } else if (evenBytes.size * 2 <= oddBytes.size) {
+        encoding = 'utf-16be';
+    }
+    if (!encoding) {
+        return null;
+    }
+
+    const units = Buffer.from(sample.subarray(0, length));
+    if (encoding === 'utf-16be') {
+        units.swap16();
+    }
+    // The sample may end inside a surrogate pair
+    const text = units.toString('utf16le').replace(/[\uD800-\uDBFF]$/, '');
+    return isPlausibleText(text) ? encoding : null;
+}
+
+/**
+ * Detect the encoding of a text buffer
+ * @param {Buffer} buffer - Raw file content
+ * @returns {{encoding: string, bomLength: number}} Detected encoding and BOM size in bytes
+ */
+function detectEncoding(buffer) {
+    if (!buffer || buffer.length === 0) {
+        return { encoding: 'utf-8', bomLength: 0 };
+    }
+
+    // Byte order marks are authoritative
+    if (buffer.length >= 3 && buffer[0] === 0xEF && buffer[1] === 0xBB && buffer[2] === 0xBF) {
+        return { encoding: 'utf-8', bomLength: 3 };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xFE) {
+        return { encoding: 'utf-16le', bomLength: 2 };
+    }
+    if (buffer.length >= 2 && buffer[0] === 0xFE && buffer[1] === 0xFF) {
+        return { encoding: 'utf-16be', bomLength: 2 };
+    }
+
+    // UTF-16 without a BOM: mostly-ASCII text leaves NUL bytes on one side of each pair
+    const sample = buffer.subarray(0, Math.min(buffer.length, 4096));
+    let evenNulls = 0;
+    let oddNulls = 0;
+    for (let i = 0; i < sample.length; i++) {
+        if (sample[i] === 0) {
+            if (i % 2 === 0) evenNulls++;
+            else oddNulls++;
+        }
+    }
+    const pairs = Math.floor(sample.length / 2) || 1;
+    if (oddNulls / pairs > 0.3 && evenNulls / pairs < 0.05) {
+        return { encoding: 'utf-16le', bomLength: 0 };
+    }
+    if (evenNulls / pairs > 0.3 && oddNulls / pairs < 0.05) {
+        return { encoding: 'utf-16be', bomLength: 0 };
+    }
+
+    // Valid UTF-8 (which includes plain ASCII) wins unless it decodes to control characters
+    let isUtf8Text = false;
+    try {
+        // Streaming mode tolerates a multi-byte sequence cut off at the end of the sample
+        isUtf8Text = isPlausibleText(new TextDecoder('utf-8', { fatal: true })
+            .decode(sample, { stream: sample.length < buffer.length }));
+    } catch (error) {
+        isUtf8Text = false;
+    }
+    if (isUtf8Text) {
+        return { encoding: 'utf-8', bomLength: 0 };
+    }
+
+    const utf16 = detectUtf16BySpread(sample);
+    if (utf16) {
+        return { encoding: utf16, bomLength: 0 };
+    }
+
+    // Fall back to UTF-8 for valid input with stray control characters, otherwise Latin-1
+    try {
+        new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+        return { encoding: 'utf-8', bomLength: 0 };
+    } catch (error) {
+        return { encoding: 'latin1', bomLength: 0 };
+    }
+}
+
+/**
+ * Decode a text buffer using the detected (or a forced) encoding
+ * @param {Buffer|string} content - Raw file content
+ * @param {string} [forcedEncoding] - Encoding to use instead of detection
+ * @returns {{text: string, encoding: string}} Decoded text and the encoding used
+ */
+function decodeText(content, forcedEncoding) {
+    if (typeof content === 'string') {
+        return { text: content, encoding: 'utf-8' };
+    }
+
+    const detected = detectEncoding(content);
+    const encoding = forcedEncoding || detected.encoding;
+    const body = content.subarray(forcedEncoding ? 0 : detected.bomLength);
+
+    let text;
+    if (encoding === 'utf-16be') {
+        // Node has no big-endian decoder, swap to little-endian first
+        const swapped = Buffer.from(body.subarray(0, body.length - (body.length % 2)));
+        swapped.swap16();
+        text = swapped.toString('utf16le');
+    } else if (encoding === 'latin1') {
+        // Windows-1252 is the practical superset of Latin-1 for legacy text files. Some Node
+        // releases decode the 'windows-1252' label as plain Latin-1, so map 0x80-0x9F here
+        text = body.toString('latin1').replace(/[\u0080-\u009F]/g, char => WINDOWS_1252_C1[char.charCodeAt(0) - 0x80]);
+    } else {
+        text = new TextDecoder(encoding).decode(body);
+    }
+
+    // Strip a BOM that survived a forced decode
+    return { text: text.replace(/^\uFEFF/, ''), encoding };
+}
+
+// CommonJS exports
+module.exports = {
+    detectEncoding,
+    decodeText
+};
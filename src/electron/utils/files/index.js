@@ -16,6 +16,8 @@ const types = require('./types');
 
 const names = require('./names');
 
+const encoding = require('./encoding');
+
 // Group functions by category for organizational clarity
 const fileTypes = {
   getFileHandlingInfo: types.getFileHandlingInfo,
@@ -46,6 +48,10 @@ module.exports = {
   generateUrlFilename: names.generateUrlFilename,
   sanitizeFilename: names.sanitizeFilename,
   
+  // Text encoding utilities
+  detectEncoding: encoding.detectEncoding,
+  decodeText: encoding.decodeText,
+  
   // Grouped exports
   fileTypes
 };
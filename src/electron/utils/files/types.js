@@ -13,10 +13,13 @@
 
 // File Categories - Group similar file types
 const FILE_CATEGORIES = {
-  documents: ['pdf', 'docx', 'pptx', 'rtf', 'txt', 'md'],
+  documents: ['pdf', 'docx', 'pptx', 'odt', 'odp', 'epub', 'ipynb', 'rtf', 'txt', 'md', 'html', 'htm', 'eml', 'mbox', 'srt', 'vtt', 'ass', 'ssa', 'enex', 'rst', 'rest', 'org', 'adoc', 'asciidoc'],
   audio: ['mp3', 'wav', 'ogg', 'm4a', 'aac', 'wma'],
   video: ['mp4', 'mov', 'avi', 'mkv', 'webm'],
-  data: ['csv', 'xlsx', 'xls', 'json', 'yaml'],
+  images: ['png', 'jpg', 'jpeg', 'tif', 'tiff', 'webp'],
+  data: ['csv', 'xlsx', 'xls', 'ods', 'json', 'yaml', 'yml', 'ics', 'vcf'],
+  archives: ['zip', 'tar', 'tgz', 'gz'],
+  code: ['js', 'jsx', 'mjs', 'cjs', 'ts', 'tsx', 'py', 'go', 'rs', 'java', 'kt', 'kts', 'scala', 'cs', 'swift', 'c', 'h', 'cpp', 'cc', 'cxx', 'hpp', 'rb', 'php', 'sh', 'bash', 'zsh', 'lua', 'sql'],
   web: ['url', 'parenturl']
 };
 
@@ -40,11 +43,116 @@ const CONVERTER_CONFIG = {
     converter: 'text',
     requiresOcr: false
   },
+  odt: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'text',
+    requiresOcr: false
+  },
+  odp: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'text',
+    requiresOcr: false
+  },
   pdf: {
     handling: HANDLING_TYPES.BINARY,
     converter: 'pdf',
     requiresOcr: true
   },
+  epub: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'text',
+    requiresOcr: false
+  },
+  ipynb: {
+    handling: HANDLING_TYPES.BINARY, // Notebook JSON, decoded by the converter
+    converter: 'text',
+    requiresOcr: false
+  },
+  srt: {
+    handling: HANDLING_TYPES.BINARY, // Captions, decoded by the converter
+    converter: 'text',
+    requiresOcr: false
+  },
+  vtt: {
+    handling: HANDLING_TYPES.BINARY, // Captions, decoded by the converter
+    converter: 'text',
+    requiresOcr: false
+  },
+  ass: {
+    handling: HANDLING_TYPES.BINARY, // Captions, decoded by the converter
+    converter: 'text',
+    requiresOcr: false
+  },
+  ssa: {
+    handling: HANDLING_TYPES.BINARY, // Captions, decoded by the converter
+    converter: 'text',
+    requiresOcr: false
+  },
+  enex: {
+    handling: HANDLING_TYPES.BINARY, // Evernote export, split into notes by the converter
+    converter: 'text',
+    requiresOcr: false
+  },
+  rtf: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'text',
+    requiresOcr: false
+  },
+  rst: {
+    handling: HANDLING_TYPES.BINARY, // Lightweight markup, decoded and parsed by the converter
+    converter: 'text',
+    requiresOcr: false
+  },
+  rest: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'text',
+    requiresOcr: false
+  },
+  org: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'text',
+    requiresOcr: false
+  },
+  adoc: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'text',
+    requiresOcr: false
+  },
+  asciidoc: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'text',
+    requiresOcr: false
+  },
+  txt: {
+    handling: HANDLING_TYPES.BINARY, // Decoded server-side with encoding detection
+    converter: 'text',
+    requiresOcr: false
+  },
+  md: {
+    handling: HANDLING_TYPES.BINARY, // Decoded server-side with encoding detection
+    converter: 'text',
+    requiresOcr: false
+  },
+  html: {
+    handling: HANDLING_TYPES.BINARY, // Parsed offline server-side, local images resolved from disk
+    converter: 'text',
+    requiresOcr: false
+  },
+  htm: {
+    handling: HANDLING_TYPES.BINARY, // Parsed offline server-side, local images resolved from disk
+    converter: 'text',
+    requiresOcr: false
+  },
+  eml: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'text',
+    requiresOcr: false
+  },
+  mbox: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'text',
+    requiresOcr: false
+  },
   
   // Data files
   xlsx: {
@@ -52,11 +160,95 @@ const CONVERTER_CONFIG = {
     converter: 'data',
     requiresOcr: false
   },
+  ods: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'data',
+    requiresOcr: false
+  },
   csv: {
     handling: HANDLING_TYPES.TEXT,
     converter: 'data',
     requiresOcr: false
   },
+  json: {
+    handling: HANDLING_TYPES.BINARY, // Decoded server-side with encoding detection
+    converter: 'data',
+    requiresOcr: false
+  },
+  yaml: {
+    handling: HANDLING_TYPES.BINARY, // Decoded server-side with encoding detection
+    converter: 'data',
+    requiresOcr: false
+  },
+  yml: {
+    handling: HANDLING_TYPES.BINARY, // Decoded server-side with encoding detection
+    converter: 'data',
+    requiresOcr: false
+  },
+  ics: {
+    handling: HANDLING_TYPES.BINARY, // Calendar, decoded and split into notes by the converter
+    converter: 'data',
+    requiresOcr: false
+  },
+  vcf: {
+    handling: HANDLING_TYPES.BINARY, // Contacts, decoded and split into notes by the converter
+    converter: 'data',
+    requiresOcr: false
+  },
+  
+  // Image files
+  png: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'image',
+    requiresOcr: false
+  },
+  jpg: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'image',
+    requiresOcr: false
+  },
+  jpeg: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'image',
+    requiresOcr: false
+  },
+  tif: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'image',
+    requiresOcr: false
+  },
+  tiff: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'image',
+    requiresOcr: false
+  },
+  webp: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'image',
+    requiresOcr: false
+  },
+
+  // Archives, each supported entry converted by its own converter
+  zip: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'archive',
+    requiresOcr: false
+  },
+  tar: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'archive',
+    requiresOcr: false
+  },
+  tgz: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'archive',
+    requiresOcr: false
+  },
+  gz: {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'archive',
+    requiresOcr: false
+  },
   
   // Media files
   mp3: {
@@ -76,6 +268,15 @@ const CONVERTER_CONFIG = {
   }
 };
 
+// Source code is decoded by the converter, like plain text
+FILE_CATEGORIES.code.forEach(ext => {
+  CONVERTER_CONFIG[ext] = {
+    handling: HANDLING_TYPES.BINARY,
+    converter: 'text',
+    requiresOcr: false
+  };
+});
+
 // List of types that require an API key
 const API_REQUIRED_TYPES = [
   'mp3', 'wav', 'ogg', 'm4a', 'mpga',  // Audio
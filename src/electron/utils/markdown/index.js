@@ -100,7 +100,8 @@ function extractFrontmatter(text) {
             const keyMatch = line.match(/^([^:]+):\s*(.*)$/);
             const listItemMatch = line.match(/^\s*-\s*(.+)$/);
             
-            if (keyMatch) {
+            // List items may contain a colon themselves ("- key: value")
+            if (keyMatch && !(listItemMatch && currentKey && isList)) {
                 const [, key, value] = keyMatch;
                 currentKey = key.trim();
                 if (value.trim()) {